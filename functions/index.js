@@ -5,11 +5,13 @@
  */
 
 import { onRequest } from 'firebase-functions/v2/https';
-import { onDocumentUpdated } from 'firebase-functions/v2/firestore';
+import { onDocumentUpdated, onDocumentWritten } from 'firebase-functions/v2/firestore';
 import { initializeApp, getApps } from 'firebase-admin/app';
+import { getFirestore } from 'firebase-admin/firestore';
 import express from 'express';
 import cors from 'cors';
 import { writeShareNotificationEmail } from './lib/email.js';
+import { getNewMentionEmails, notifyMentionedCollaborators } from './lib/notifications.js';
 
 // Import routes
 import notesRouter from './routes/notes.js';
@@ -165,3 +167,37 @@ export const onNoteShared = onDocumentUpdated(
     return null;
   }
 );
+
+/**
+ * Firestore trigger that detects @mentions in comments
+ * and notifies newly mentioned collaborators in the popup and by email.
+ * Mentions of people outside the note's owner and collaborators are ignored.
+ */
+export const onCommentMentioned = onDocumentWritten(
+  {
+    document: 'notes/{noteId}/comments/{commentId}',
+    region: 'us-central1'
+  },
+  async (event) => {
+    const before = event.data.before.exists ? event.data.before.data() : undefined;
+    const after = event.data.after.exists ? event.data.after.data() : undefined;
+    
+    const newlyMentioned = getNewMentionEmails(before, after);
+    
+    if (newlyMentioned.length === 0) {
+      return null;
+    }
+    
+    const { noteId, commentId } = event.params;
+    const noteSnap = await getFirestore().collection('notes').doc(noteId).get();
+    
+    if (!noteSnap.exists) {
+      return null;
+    }
+    
+    const notified = await notifyMentionedCollaborators(newlyMentioned, after, noteSnap.data(), { noteId, commentId });
+    
+    console.log(`Sent mention notifications to ${notified.length} user(s) for comment ${commentId}`);
+    return null;
+  }
+);
@@ -1,11 +1,12 @@
 /**
- * Email utilities for sending notifications via Firebase Trigger Email Extension.
+ * Email utilities for sending share and mention notifications via Firebase Trigger Email Extension.
  * 
  * This module writes documents to the 'mail' collection in Firestore,
  * which are then processed by the Firebase Trigger Email extension.
  */
 
 import { getFirestore, FieldValue } from 'firebase-admin/firestore';
+import { getCommentText } from './utils.js';
 
 // Collection name that the Firebase Trigger Email extension watches
 const MAIL_COLLECTION = 'mail';
@@ -38,13 +39,14 @@ function extractDomain(url) {
  * 
  * @param {string} content - The content to truncate
  * @param {number} maxLength - Maximum length
+ * @param {boolean} isHtml - Whether the content is HTML (comment text is passed as plain text)
  * @returns {string} Truncated content
  */
-function truncateContent(content, maxLength = MAX_CONTENT_PREVIEW_LENGTH) {
+function truncateContent(content, maxLength = MAX_CONTENT_PREVIEW_LENGTH, isHtml = true) {
   if (!content) return '';
   
   // Strip HTML tags for plain text preview
-  const plainText = content.replace(/<[^>]*>/g, '').trim();
+  const plainText = (isHtml ? content.replace(/<[^>]*>/g, '') : content).trim();
   
   if (plainText.length <= maxLength) {
     return plainText;
@@ -298,6 +300,198 @@ export async function writeShareNotificationEmail(recipientEmail, noteData, note
   return mailRef.id;
 }
 
+/**
+ * Generates the HTML email template for mention notifications.
+ * 
+ * @param {Object} params - Template parameters
+ * @param {string} params.authorName - Name of the person who wrote the comment
+ * @param {string} params.commentContent - Content of the comment
+ * @param {string} params.noteUrl - URL where the note is attached
+ * @param {string} params.domain - Domain of the note URL
+ * @returns {string} HTML email content
+ */
+function generateMentionHtmlTemplate({ authorName, commentContent, noteUrl, domain }) {
+  const escapedAuthorName = escapeHtml(authorName);
+  const escapedContent = escapeHtml(commentContent);
+  const escapedUrl = escapeHtml(noteUrl);
+  const escapedDomain = escapeHtml(domain);
+  
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>You were mentioned in a comment</title>
+  <style>
+    body {
+      font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Oxygen, Ubuntu, sans-serif;
+      line-height: 1.6;
+      color: #333;
+      max-width: 600px;
+      margin: 0 auto;
+      padding: 20px;
+      background-color: #f5f5f5;
+    }
+    .container {
+      background-color: #ffffff;
+      border-radius: 8px;
+      padding: 30px;
+      box-shadow: 0 2px 4px rgba(0, 0, 0, 0.1);
+    }
+    .header {
+      border-bottom: 2px solid #ffd700;
+      padding-bottom: 15px;
+      margin-bottom: 20px;
+    }
+    .header h1 {
+      color: #333;
+      font-size: 24px;
+      margin: 0;
+    }
+    .comment-card {
+      background-color: #f8fafc;
+      border-left: 4px solid #4a90d9;
+      border-radius: 4px;
+      padding: 15px 20px;
+      margin: 20px 0;
+    }
+    .comment-content {
+      white-space: pre-wrap;
+      word-wrap: break-word;
+    }
+    .meta {
+      color: #666;
+      font-size: 14px;
+      margin: 15px 0;
+    }
+    .button {
+      display: inline-block;
+      background-color: #4a90d9;
+      color: #ffffff !important;
+      text-decoration: none;
+      padding: 12px 24px;
+      border-radius: 6px;
+      font-weight: 500;
+      margin: 10px 5px 10px 0;
+    }
+    .footer {
+      margin-top: 30px;
+      padding-top: 20px;
+      border-top: 1px solid #eee;
+      color: #888;
+      font-size: 12px;
+    }
+  </style>
+</head>
+<body>
+  <div class="container">
+    <div class="header">
+      <h1>You were mentioned in a comment</h1>
+    </div>
+    
+    <p><strong>${escapedAuthorName}</strong> mentioned you in a comment on a sticky note on <strong>${escapedDomain}</strong>.</p>
+    
+    <div class="comment-card">
+      <div class="comment-content">${escapedContent}</div>
+    </div>
+    
+    <div class="meta">
+      <strong>Page:</strong> <a href="${escapedUrl}">${escapedUrl}</a>
+    </div>
+    
+    <a href="${escapedUrl}" class="button">View Page</a>
+    
+    <div class="footer">
+      <p>This email was sent because someone mentioned you in a comment using the Sticky Notes Chrome Extension.</p>
+    </div>
+  </div>
+</body>
+</html>`;
+}
+
+/**
+ * Generates the plain text email template for mention notifications.
+ * 
+ * @param {Object} params - Template parameters
+ * @param {string} params.authorName - Name of the person who wrote the comment
+ * @param {string} params.commentContent - Content of the comment
+ * @param {string} params.noteUrl - URL where the note is attached
+ * @param {string} params.domain - Domain of the note URL
+ * @returns {string} Plain text email content
+ */
+function generateMentionTextTemplate({ authorName, commentContent, noteUrl, domain }) {
+  return `You were mentioned in a comment
+
+${authorName} mentioned you in a comment on a sticky note on ${domain}.
+
+---
+${commentContent}
+---
+
+View Page: ${noteUrl}
+
+---
+This email was sent because someone mentioned you in a comment using the Sticky Notes Chrome Extension.`;
+}
+
+/**
+ * Writes a mention notification email to the mail collection.
+ * The Firebase Trigger Email extension will process this and send the email.
+ * 
+ * @param {string} recipientEmail - Email address of the mentioned user
+ * @param {Object} commentData - The comment data from Firestore
+ * @param {string} commentData.content - Comment content
+ * @param {string} commentData.authorName - Name of the comment author
+ * @param {Object} noteData - The note the comment belongs to
+ * @param {string} noteData.url - URL where note is attached
+ * @param {Object} ids - Document IDs { noteId, commentId }
+ * @param {Object} deps - Optional dependencies for testing
+ * @returns {Promise<string>} The document ID of the created mail document
+ */
+export async function writeMentionNotificationEmail(recipientEmail, commentData, noteData, ids, deps = {}) {
+  const db = deps.db || getFirestore();
+  
+  if (!recipientEmail || typeof recipientEmail !== 'string') {
+    throw new Error('Recipient email is required');
+  }
+  
+  if (!commentData || typeof commentData !== 'object') {
+    throw new Error('Comment data is required');
+  }
+  
+  const authorName = commentData.authorName || commentData.authorEmail || 'Someone';
+  const commentContent = truncateContent(getCommentText(commentData), MAX_CONTENT_PREVIEW_LENGTH, false);
+  const noteUrl = noteData?.url || '';
+  const domain = extractDomain(noteUrl);
+  
+  const subject = `${authorName} mentioned you on ${domain}`;
+  
+  const templateParams = { authorName, commentContent, noteUrl, domain };
+  
+  const mailDoc = {
+    to: recipientEmail,
+    message: {
+      subject,
+      html: generateMentionHtmlTemplate(templateParams),
+      text: generateMentionTextTemplate(templateParams)
+    },
+    metadata: {
+      type: 'mention_notification',
+      noteId: ids?.noteId,
+      commentId: ids?.commentId,
+      authorEmail: commentData.authorEmail || '',
+      recipientEmail,
+      createdAt: deps.serverTimestamp ? deps.serverTimestamp() : FieldValue.serverTimestamp()
+    }
+  };
+  
+  const mailRef = await db.collection(MAIL_COLLECTION).add(mailDoc);
+  
+  console.log(`Created mention notification email for ${recipientEmail}, mail doc: ${mailRef.id}`);
+  
+  return mailRef.id;
+}
+
 // Export helper functions for testing
 export const _testHelpers = {
   extractDomain,
@@ -305,6 +499,8 @@ export const _testHelpers = {
   escapeHtml,
   generateHtmlTemplate,
   generateTextTemplate,
+  generateMentionHtmlTemplate,
+  generateMentionTextTemplate,
   MAIL_COLLECTION,
   MAX_CONTENT_PREVIEW_LENGTH
 };
@@ -0,0 +1,120 @@
+/**
+ * In-app notifications, shown in the extension popup.
+ *
+ * Notifications are written by Cloud Functions only. Recipients can read
+ * their own and mark them as read (see firestore.rules).
+ */
+
+import { getFirestore, FieldValue } from 'firebase-admin/firestore';
+import { getCommentText } from './utils.js';
+import { writeMentionNotificationEmail } from './email.js';
+
+// Collection read by the extension popup
+const NOTIFICATIONS_COLLECTION = 'notifications';
+
+// Maximum length of the comment preview stored on a notification
+const MAX_PREVIEW_LENGTH = 200;
+
+/**
+ * Finds the people mentioned in a comment write who were not mentioned before.
+ * Authors are never notified about their own comments.
+ *
+ * @param {Object|undefined} beforeData - Comment before the write (undefined on create)
+ * @param {Object|undefined} afterData - Comment after the write (undefined on delete)
+ * @returns {string[]} Lowercased emails to notify
+ */
+export function getNewMentionEmails(beforeData, afterData) {
+  if (!afterData) return [];
+
+  const toEmails = (data) => (data?.mentions || [])
+    .map(mention => mention?.email)
+    .filter(email => typeof email === 'string' && email.length > 0)
+    .map(email => email.toLowerCase());
+
+  const previous = new Set(toEmails(beforeData));
+  const author = (afterData.authorEmail || '').toLowerCase();
+
+  return [...new Set(toEmails(afterData))].filter(email => !previous.has(email) && email !== author);
+}
+
+/**
+ * Writes a mention notification for one recipient.
+ *
+ * @param {string} recipientEmail - Email address of the mentioned user
+ * @param {Object} commentData - The comment data from Firestore
+ * @param {Object} noteData - The note the comment belongs to
+ * @param {Object} ids - Document IDs { noteId, commentId }
+ * @param {Object} deps - Optional dependencies for testing
+ * @returns {Promise<string>} The document ID of the created notification
+ */
+export async function writeMentionNotification(recipientEmail, commentData, noteData, ids, deps = {}) {
+  const db = deps.db || getFirestore();
+
+  if (!recipientEmail || typeof recipientEmail !== 'string') {
+    throw new Error('Recipient email is required');
+  }
+
+  const content = getCommentText(commentData).trim();
+
+  const notification = {
+    recipientEmail: recipientEmail.toLowerCase(),
+    type: 'mention',
+    noteId: ids?.noteId,
+    commentId: ids?.commentId,
+    authorName: commentData?.authorName || commentData?.authorEmail || '',
+    authorEmail: commentData?.authorEmail || '',
+    url: noteData?.url || '',
+    preview: content.length > MAX_PREVIEW_LENGTH ? `${content.substring(0, MAX_PREVIEW_LENGTH).trim()}...` : content,
+    read: false,
+    createdAt: deps.serverTimestamp ? deps.serverTimestamp() : FieldValue.serverTimestamp()
+  };
+
+  const notificationRef = await db.collection(NOTIFICATIONS_COLLECTION).add(notification);
+
+  return notificationRef.id;
+}
+
+/**
+ * Keeps the mentioned emails that belong to the note's owner or collaborators.
+ * The mentions array is written by the client, so it cannot be trusted to
+ * only name people who can see the note.
+ *
+ * @param {string[]} emails - Lowercased emails from getNewMentionEmails
+ * @param {Object} noteData - The note the comment belongs to
+ * @returns {string[]} Emails of people with access to the note
+ */
+export function filterMentionRecipients(emails, noteData) {
+  const collaborators = new Set(
+    [noteData?.ownerEmail, ...(noteData?.sharedWith || [])]
+      .filter(email => typeof email === 'string')
+      .map(email => email.toLowerCase())
+  );
+  return emails.filter(email => collaborators.has(email));
+}
+
+/**
+ * Notifies the mentioned collaborators in the popup and by email.
+ * Mentions of anyone without access to the note are dropped.
+ *
+ * @param {string[]} emails - Lowercased emails from getNewMentionEmails
+ * @param {Object} commentData - The comment data from Firestore
+ * @param {Object} noteData - The note the comment belongs to
+ * @param {Object} ids - Document IDs { noteId, commentId }
+ * @param {Object} deps - Optional dependencies for testing
+ * @returns {Promise<string[]>} Emails that were notified
+ */
+export async function notifyMentionedCollaborators(emails, commentData, noteData, ids, deps = {}) {
+  const recipients = filterMentionRecipients(emails, noteData);
+
+  // Don't throw - one failed notification must not block the others
+  await Promise.all(recipients.map(email => Promise.all([
+    writeMentionNotification(email, commentData, noteData, ids, deps),
+    writeMentionNotificationEmail(email, commentData, noteData, ids, deps)
+  ]).catch(error => {
+    console.error(`Failed to send mention notification to ${email}:`, error);
+  })));
+
+  return recipients;
+}
+
+export { NOTIFICATIONS_COLLECTION, MAX_PREVIEW_LENGTH };
@@ -26,6 +26,138 @@ export const MAX_SELECTOR_LENGTH = 1000;
  */
 export const VALID_THEMES = ['yellow', 'blue', 'green', 'pink'];
 
+/**
+ * Valid note statuses and the statuses each one can move to
+ * Must match NOTE_STATUS_TRANSITIONS in src/shared/utils.js
+ */
+export const STATUS_TRANSITIONS = {
+  open: ['in_progress', 'resolved'],
+  in_progress: ['open', 'resolved'],
+  resolved: ['reopened'],
+  reopened: ['in_progress', 'resolved']
+};
+
+export const VALID_STATUSES = Object.keys(STATUS_TRANSITIONS);
+
+/**
+ * Get a note's workflow status
+ * Notes created before statuses existed, or with an unknown status, count as open
+ * Must match getNoteStatus in src/shared/utils.js
+ * @param {Object} noteData - Note data
+ * @returns {string} Status
+ */
+export function getNoteStatus(noteData) {
+  const status = noteData?.status;
+  return STATUS_TRANSITIONS[status] ? status : 'open';
+}
+
+/**
+ * Check whether a note may move from one status to another
+ * Must match isValidStatusTransition in src/shared/utils.js
+ * @param {string} from - Current status
+ * @param {string} to - Requested status
+ * @returns {boolean} True if the transition is allowed
+ */
+export function isValidStatusTransition(from, to) {
+  return (STATUS_TRANSITIONS[from] || []).includes(to);
+}
+
+/**
+ * Check whether a value is a valid due date (YYYY-MM-DD calendar date)
+ * Must match isValidDueDate in src/shared/utils.js
+ * @param {*} value - Value to check
+ * @returns {boolean} True if the value is a valid due date
+ */
+export function isValidDueDate(value) {
+  if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    return false;
+  }
+  const [year, month, day] = value.split('-').map(Number);
+  const date = new Date(Date.UTC(year, month - 1, day));
+  return date.getUTCFullYear() === year && date.getUTCMonth() === month - 1 && date.getUTCDate() === day;
+}
+
+/**
+ * Check whether a note is past its due date (in UTC) and not resolved
+ * @param {Object} note - Note with dueDate and status
+ * @param {Date} now - Current date (defaults to now)
+ * @returns {boolean} True if the note is overdue
+ */
+export function isNoteOverdue(note, now = new Date()) {
+  if (!isValidDueDate(note?.dueDate) || note.status === 'resolved') {
+    return false;
+  }
+  return note.dueDate < now.toISOString().slice(0, 10);
+}
+
+const HTML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', '#39': '\'', nbsp: ' ' };
+
+/**
+ * Get a comment's text, without the markup of rich text comments
+ * Must match getCommentText in src/shared/utils.js
+ * @param {Object} comment - Comment { content, format }
+ * @returns {string} Plain text, with a line break after each block
+ */
+export function getCommentText(comment) {
+  const content = typeof comment?.content === 'string' ? comment.content : '';
+  if (comment?.format !== 'html') {
+    return content;
+  }
+  return content
+    .replace(/<br\s*\/?>|<\/(?:div|p|li|pre|blockquote)>/gi, '\n')
+    .replace(/<[^>]*>/g, '')
+    .replace(/&(amp|lt|gt|quot|#39|nbsp);/g, (_match, entity) => HTML_ENTITIES[entity]);
+}
+
+/**
+ * Maximum number of tags on a note
+ */
+export const MAX_TAGS_PER_NOTE = 10;
+
+/**
+ * Maximum length of a single tag (in characters)
+ */
+export const MAX_TAG_LENGTH = 32;
+
+const TAG_PATTERN = /^[\p{L}\p{N}][\p{L}\p{N}_-]*$/u;
+
+/**
+ * Normalize a tag: trim, drop a leading #, lowercase and join words with dashes
+ * Must match normalizeTag in src/shared/utils.js
+ * @param {*} tag - Raw tag
+ * @returns {string|null} Normalized tag, or null if it is not a valid tag
+ */
+export function normalizeTag(tag) {
+  if (typeof tag !== 'string') {
+    return null;
+  }
+  const normalized = tag.trim().replace(/^#+/, '').trim().toLowerCase().replace(/\s+/g, '-');
+  if (normalized.length === 0 || normalized.length > MAX_TAG_LENGTH || !TAG_PATTERN.test(normalized)) {
+    return null;
+  }
+  return normalized;
+}
+
+/**
+ * Normalize a list of tags, dropping invalid ones and duplicates
+ * @param {*} tags - Raw tags (array, or comma-separated string)
+ * @returns {string[]} Up to MAX_TAGS_PER_NOTE normalized tags
+ */
+export function normalizeTags(tags) {
+  const list = typeof tags === 'string' ? tags.split(',') : tags;
+  if (!Array.isArray(list)) {
+    return [];
+  }
+  const normalized = list.map(normalizeTag).filter(Boolean);
+  return [...new Set(normalized)].slice(0, MAX_TAGS_PER_NOTE);
+}
+
+/**
+ * Reactions people can leave on notes and comments
+ * Matches REACTION_TYPES in src/shared/utils.js
+ */
+export const REACTION_TYPES = ['thumbsUp', 'eyes', 'check', 'heart'];
+
 /**
  * Special selector value for page-level notes (not anchored to any element)
  */
@@ -173,6 +305,28 @@ export function validateNoteData(noteData, isUpdate = false) {
     errors.push(`Invalid theme. Must be one of: ${VALID_THEMES.join(', ')}`);
   }
   
+  if (noteData.status !== undefined && !VALID_STATUSES.includes(noteData.status)) {
+    errors.push(`Invalid status. Must be one of: ${VALID_STATUSES.join(', ')}`);
+  }
+  
+  if (noteData.assignee !== undefined && noteData.assignee !== null && typeof noteData.assignee !== 'string') {
+    errors.push('Assignee must be an email address or null');
+  }
+  
+  if (noteData.dueDate !== undefined && noteData.dueDate !== null && !isValidDueDate(noteData.dueDate)) {
+    errors.push('Invalid due date. Must be YYYY-MM-DD or null');
+  }
+  
+  if (noteData.tags !== undefined) {
+    if (!Array.isArray(noteData.tags)) {
+      errors.push('Tags must be an array of strings');
+    } else if (noteData.tags.length > MAX_TAGS_PER_NOTE) {
+      errors.push(`Too many tags. Maximum is ${MAX_TAGS_PER_NOTE}`);
+    } else if (noteData.tags.some(tag => normalizeTag(tag) === null)) {
+      errors.push(`Invalid tag. Tags must be up to ${MAX_TAG_LENGTH} letters, digits, dashes or underscores`);
+    }
+  }
+  
   if (noteData.content !== undefined && typeof noteData.content !== 'string') {
     errors.push('Content must be a string');
   }
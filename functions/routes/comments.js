@@ -11,6 +11,8 @@ const router = Router();
 const NOTES_COLLECTION = 'notes';
 const COMMENTS_SUBCOLLECTION = 'comments';
 const MAX_COMMENT_LENGTH = 2000;
+// Firestore rejects batches with more writes than this
+const MAX_BATCH_WRITES = 500;
 
 /**
  * Check if user has access to a note (owner or shared with)
@@ -68,7 +70,16 @@ router.get('/:noteId/comments', apiKeyAuth({ requiredScope: 'notes:read' }), asy
         authorEmail: data.authorEmail,
         authorName: data.authorName,
         content: data.content,
+        format: data.format === 'html' ? 'html' : 'text',
+        deleted: Boolean(data.deleted),
+        attachments: data.attachments || [],
+        mentions: data.mentions || [],
+        reactions: data.reactions || {},
         parentId: data.parentId,
+        resolved: Boolean(data.resolved),
+        resolvedBy: data.resolvedBy || null,
+        resolvedAt: data.resolvedAt?.toDate?.()?.toISOString() || data.resolvedAt || null,
+        acceptedAnswerId: data.acceptedAnswerId || null,
         createdAt: data.createdAt?.toDate?.()?.toISOString() || data.createdAt,
         updatedAt: data.updatedAt?.toDate?.()?.toISOString() || data.updatedAt
       });
@@ -128,7 +139,7 @@ router.post('/:noteId/comments', apiKeyAuth({ requiredScope: 'notes:write' }), a
       });
     }
     
-    // If parentId provided, validate it exists and check depth
+    // If parentId provided, validate it exists (replies can nest at any depth)
     if (parentId) {
       const parentRef = db.collection(NOTES_COLLECTION).doc(noteId)
         .collection(COMMENTS_SUBCOLLECTION).doc(parentId);
@@ -140,14 +151,6 @@ router.post('/:noteId/comments', apiKeyAuth({ requiredScope: 'notes:write' }), a
           message: 'Parent comment not found'
         });
       }
-      
-      const parentData = parentSnap.data();
-      if (parentData.parentId !== null) {
-        return res.status(400).json({
-          error: 'Bad Request',
-          message: 'Maximum reply depth reached (cannot reply to a reply)'
-        });
-      }
     }
     
     // Create comment
@@ -157,6 +160,9 @@ router.post('/:noteId/comments', apiKeyAuth({ requiredScope: 'notes:write' }), a
       authorName: req.apiKey.name || 'API User',
       authorPhotoURL: null,
       content: trimmedContent,
+      format: 'text',
+      attachments: [],
+      mentions: [],
       parentId: parentId || null,
       createdAt: FieldValue.serverTimestamp(),
       updatedAt: FieldValue.serverTimestamp()
@@ -170,6 +176,9 @@ router.post('/:noteId/comments', apiKeyAuth({ requiredScope: 'notes:write' }), a
       authorId: comment.authorId,
       authorName: comment.authorName,
       content: comment.content,
+      format: comment.format,
+      attachments: comment.attachments,
+      mentions: comment.mentions,
       parentId: comment.parentId,
       createdAt: new Date().toISOString(),
       updatedAt: new Date().toISOString()
@@ -233,14 +242,17 @@ router.put('/:noteId/comments/:commentId', apiKeyAuth({ requiredScope: 'notes:wr
       });
     }
     
+    // API edits are plain text, so a rich text comment becomes plain text
     await commentRef.update({
       content: trimmedContent,
+      format: 'text',
       updatedAt: FieldValue.serverTimestamp()
     });
     
     res.json({
       id: commentId,
       content: trimmedContent,
+      format: 'text',
       updatedAt: new Date().toISOString()
     });
   } catch (error) {
@@ -298,22 +310,54 @@ router.delete('/:noteId/comments/:commentId', apiKeyAuth({ requiredScope: 'notes
       });
     }
     
-    // If top-level comment, delete replies too
-    if (commentData.parentId === null) {
-      const repliesQuery = db.collection(NOTES_COLLECTION).doc(noteId)
-        .collection(COMMENTS_SUBCOLLECTION)
-        .where('parentId', '==', commentId);
-      
-      const repliesSnap = await repliesQuery.get();
-      
-      const batch = db.batch();
-      repliesSnap.forEach(doc => {
-        batch.delete(doc.ref);
+    // Delete the replies below the comment too, at any depth
+    const commentsSnap = await db.collection(NOTES_COLLECTION).doc(noteId)
+      .collection(COMMENTS_SUBCOLLECTION)
+      .get();
+    
+    const childrenByParent = new Map();
+    commentsSnap.forEach(doc => {
+      const replyParentId = doc.data().parentId;
+      if (!replyParentId) return;
+      if (!childrenByParent.has(replyParentId)) {
+        childrenByParent.set(replyParentId, []);
+      }
+      childrenByParent.get(replyParentId).push(doc);
+    });
+    
+    const replies = [];
+    const visited = new Set([commentId]);
+    const queue = [commentId];
+    while (queue.length > 0) {
+      (childrenByParent.get(queue.shift()) || []).forEach(doc => {
+        if (visited.has(doc.id)) return;
+        visited.add(doc.id);
+        replies.push(doc);
+        queue.push(doc.id);
+      });
+    }
+    
+    // Like the extension, only the note owner deletes other people's replies;
+    // anyone else leaves an emptied, deleted comment above them
+    if (noteData.ownerId !== userId && replies.some(doc => doc.data().authorId !== userId)) {
+      await commentRef.update({
+        content: '',
+        format: 'text',
+        attachments: [],
+        mentions: [],
+        deleted: true,
+        deletedAt: FieldValue.serverTimestamp()
       });
-      batch.delete(commentRef);
+      return res.status(204).send();
+    }
+    
+    // Replies before their parents, in batches Firestore accepts
+    const refs = replies.reverse().map(doc => doc.ref);
+    refs.push(commentRef);
+    for (let start = 0; start < refs.length; start += MAX_BATCH_WRITES) {
+      const batch = db.batch();
+      refs.slice(start, start + MAX_BATCH_WRITES).forEach(ref => batch.delete(ref));
       await batch.commit();
-    } else {
-      await commentRef.delete();
     }
     
     res.status(204).send();
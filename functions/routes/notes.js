@@ -6,11 +6,16 @@
 import { Router } from 'express';
 import { getFirestore, FieldValue } from 'firebase-admin/firestore';
 import { apiKeyAuth } from '../middleware/auth.js';
-import { validateNoteData, normalizeUrl, normalizeDomain, VALID_THEMES } from '../lib/utils.js';
+import { validateNoteData, normalizeUrl, normalizeDomain, VALID_THEMES, VALID_STATUSES, REACTION_TYPES, getNoteStatus, isValidStatusTransition, isNoteOverdue, normalizeTags } from '../lib/utils.js';
 
 const router = Router();
 const NOTES_COLLECTION = 'notes';
 const COMMENTS_SUBCOLLECTION = 'comments';
+const REVISIONS_SUBCOLLECTION = 'revisions';
+
+// Consecutive saves by the same author within this window share a revision
+// Must match REVISION_COALESCE_WINDOW in src/firebase/revisions.js
+const REVISION_COALESCE_WINDOW = 5 * 60 * 1000;
 
 /**
  * Get comment counts for multiple notes
@@ -44,6 +49,95 @@ async function getCommentCounts(db, noteIds) {
   return counts;
 }
 
+/**
+ * Record a content change in a note's version history
+ * Folds into the latest revision when it is by the same author, recent and not a
+ * restore, like recordRevision in src/firebase/revisions.js
+ * @param {FirebaseFirestore.DocumentReference} noteRef - Note document
+ * @param {Object} revision - { authorId, authorEmail, authorName, content, previousContent }
+ * @returns {Promise<void>}
+ */
+async function recordRevision(noteRef, revision) {
+  const revisionsRef = noteRef.collection(REVISIONS_SUBCOLLECTION);
+  const latestSnap = await revisionsRef.orderBy('createdAt', 'desc').limit(1).get();
+  const latestDoc = latestSnap.docs[0];
+  const latest = latestDoc?.data();
+  const createdAt = latest?.createdAt?.toMillis?.() ?? null;
+  
+  if (latest && latest.authorId === revision.authorId && !latest.restoredFrom &&
+      createdAt !== null && Date.now() - createdAt < REVISION_COALESCE_WINDOW) {
+    await latestDoc.ref.update({
+      content: revision.content,
+      updatedAt: FieldValue.serverTimestamp()
+    });
+    return;
+  }
+  
+  await revisionsRef.add({
+    ...revision,
+    restoredFrom: null,
+    createdAt: FieldValue.serverTimestamp(),
+    updatedAt: FieldValue.serverTimestamp()
+  });
+}
+
+/**
+ * Values of the threads query param of GET /commented
+ */
+const THREAD_FILTERS = ['open', 'resolved'];
+
+/**
+ * Count the resolved and open comment threads (top-level comments) of a note
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @param {string} noteId - Note ID
+ * @returns {Promise<Object>} { open, resolved }
+ */
+async function getThreadCounts(db, noteId) {
+  const snapshot = await db.collection(NOTES_COLLECTION).doc(noteId)
+    .collection(COMMENTS_SUBCOLLECTION)
+    .where('parentId', '==', null)
+    .get();
+  
+  const counts = { open: 0, resolved: 0 };
+  snapshot.forEach(doc => {
+    counts[doc.data().resolved ? 'resolved' : 'open']++;
+  });
+  return counts;
+}
+
+/**
+ * Attach thread counts to each note (batch of 10 to avoid overwhelming Firestore)
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @param {Array<Object>} notes - Notes to update in place
+ * @returns {Promise<void>}
+ */
+async function addThreadCounts(db, notes) {
+  for (let i = 0; i < notes.length; i += 10) {
+    await Promise.all(notes.slice(i, i + 10).map(async (note) => {
+      note.threads = await getThreadCounts(db, note.id);
+    }));
+  }
+}
+
+/**
+ * Parse the status query param into a list of statuses
+ * @param {string|undefined} status - Comma-separated statuses
+ * @returns {Object} { statuses: string[]|null, error?: string }
+ */
+function parseStatusFilter(status) {
+  if (!status) {
+    return { statuses: null };
+  }
+  
+  const statuses = String(status).split(',').map(value => value.trim()).filter(Boolean);
+  const invalid = statuses.filter(value => !VALID_STATUSES.includes(value));
+  if (invalid.length > 0) {
+    return { statuses: null, error: `Invalid status. Must be one of: ${VALID_STATUSES.join(', ')}` };
+  }
+  
+  return { statuses };
+}
+
 /**
  * GET /api/notes
  * List notes for the authenticated user (owned + shared with them)
@@ -51,17 +145,37 @@ async function getCommentCounts(db, noteIds) {
  *   - url: Filter by exact URL (optional)
  *   - domain: Filter by domain/origin prefix - matches all pages on that domain (optional)
  *   - filter: Filter by ownership - 'owned', 'shared', or 'all' (default: 'all')
+ *   - status: Comma-separated statuses - open, in_progress, resolved, reopened (optional)
+ *   - assignee: 'me' or an email address - only notes assigned to that person (optional)
+ *   - overdue: 'true' - only unresolved notes past their due date (optional)
+ *   - tag: Comma-separated tags - notes with any of these tags (optional)
  *   - limit: Max results (default 50, max 100)
  *   - offset: Pagination offset (default 0)
  */
 router.get('/', apiKeyAuth({ requiredScope: 'notes:read' }), async (req, res) => {
   try {
     const { userId, userEmail } = req.apiKey;
-    const { url, domain, filter = 'all', limit = '50', offset = '0' } = req.query;
+    const { url, domain, filter = 'all', status, assignee, overdue, tag, limit = '50', offset = '0' } = req.query;
     
     const limitNum = Math.min(Math.max(1, parseInt(limit, 10) || 50), 100);
     const offsetNum = Math.max(0, parseInt(offset, 10) || 0);
     
+    const statusFilter = parseStatusFilter(status);
+    if (statusFilter.error) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: statusFilter.error
+      });
+    }
+    
+    // Repeating the param (?assignee=a&assignee=b) gives an array
+    if (assignee !== undefined && typeof assignee !== 'string') {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: 'Invalid assignee. Must be "me" or a single email address'
+      });
+    }
+    
     // Validate filter parameter
     const validFilters = ['owned', 'shared', 'all'];
     const filterValue = validFilters.includes(filter) ? filter : 'all';
@@ -192,8 +306,16 @@ router.get('/', apiKeyAuth({ requiredScope: 'notes:read' }), async (req, res) =>
             selector: data.selector,
             content: data.content,
             theme: data.theme,
+            status: data.status || 'open',
+            assignee: data.assignee || null,
+            dueDate: data.dueDate || null,
+            tags: data.tags || [],
             position: data.position,
             metadata: data.metadata,
+            screenshot: data.screenshot || null,
+            attachments: data.attachments || [],
+            drawings: data.drawings || [],
+            reactions: data.reactions || {},
             sharedWith: data.sharedWith || [],
             isShared: false,
             ownerEmail: data.ownerEmail,
@@ -216,8 +338,16 @@ router.get('/', apiKeyAuth({ requiredScope: 'notes:read' }), async (req, res) =>
             selector: data.selector,
             content: data.content,
             theme: data.theme,
+            status: data.status || 'open',
+            assignee: data.assignee || null,
+            dueDate: data.dueDate || null,
+            tags: data.tags || [],
             position: data.position,
             metadata: data.metadata,
+            screenshot: data.screenshot || null,
+            attachments: data.attachments || [],
+            drawings: data.drawings || [],
+            reactions: data.reactions || {},
             sharedWith: data.sharedWith || [],
             isShared: true,
             ownerEmail: data.ownerEmail,
@@ -231,9 +361,19 @@ router.get('/', apiKeyAuth({ requiredScope: 'notes:read' }), async (req, res) =>
     // Sort all notes by createdAt desc
     notes.sort((noteA, noteB) => new Date(noteB.createdAt) - new Date(noteA.createdAt));
     
+    // Status, assignment and tags are filtered in memory: older notes lack those fields
+    const assigneeEmail = assignee === 'me' ? normalizedEmail : assignee?.toLowerCase();
+    const tags = normalizeTags(tag);
+    const matchingNotes = notes.filter(note =>
+      (!statusFilter.statuses || statusFilter.statuses.includes(note.status)) &&
+      (!assignee || (Boolean(assigneeEmail) && note.assignee === assigneeEmail)) &&
+      (overdue !== 'true' || isNoteOverdue(note)) &&
+      (tags.length === 0 || tags.some(value => note.tags.includes(value)))
+    );
+    
     // Apply pagination
-    const paginatedNotes = notes.slice(offsetNum, offsetNum + limitNum);
-    const hasMore = notes.length > offsetNum + limitNum;
+    const paginatedNotes = matchingNotes.slice(offsetNum, offsetNum + limitNum);
+    const hasMore = matchingNotes.length > offsetNum + limitNum;
     
     // Get comment counts for paginated notes
     const noteIds = paginatedNotes.map(note => note.id);
@@ -327,7 +467,15 @@ router.get('/search', apiKeyAuth({ requiredScope: 'notes:read' }), async (req, r
           selector: data.selector,
           content: data.content,
           theme: data.theme,
+          status: data.status || 'open',
+          assignee: data.assignee || null,
+          dueDate: data.dueDate || null,
+          tags: data.tags || [],
           metadata: data.metadata,
+          screenshot: data.screenshot || null,
+          attachments: data.attachments || [],
+          drawings: data.drawings || [],
+          reactions: data.reactions || {},
           isShared,
           ownerEmail: data.ownerEmail,
           matchedIn: [
@@ -404,10 +552,29 @@ router.get('/stats', apiKeyAuth({ requiredScope: 'notes:read' }), async (req, re
         green: 0,
         pink: 0
       },
+      byTag: {},
+      byReaction: Object.fromEntries(REACTION_TYPES.map(type => [type, 0])),
       domains: new Set(),
       recentlyUpdated: 0
     };
     
+    const countTags = (data) => {
+      for (const tag of data.tags || []) {
+        stats.byTag[tag] = (stats.byTag[tag] || 0) + 1;
+      }
+    };
+    
+    // Reactions are stored per person: { [userId]: ['thumbsUp', ...] }
+    const countReactions = (data) => {
+      for (const types of Object.values(data.reactions || {})) {
+        for (const type of Array.isArray(types) ? types : []) {
+          if (stats.byReaction[type] !== undefined) {
+            stats.byReaction[type]++;
+          }
+        }
+      }
+    };
+    
     const oneWeekAgo = new Date();
     oneWeekAgo.setDate(oneWeekAgo.getDate() - 7);
     
@@ -418,6 +585,8 @@ router.get('/stats', apiKeyAuth({ requiredScope: 'notes:read' }), async (req, re
       if (stats.byTheme[theme] !== undefined) {
         stats.byTheme[theme]++;
       }
+      countTags(data);
+      countReactions(data);
       
       // Extract domain from URL
       try {
@@ -446,6 +615,8 @@ router.get('/stats', apiKeyAuth({ requiredScope: 'notes:read' }), async (req, re
           if (stats.byTheme[theme] !== undefined) {
             stats.byTheme[theme]++;
           }
+          countTags(data);
+          countReactions(data);
           
           try {
             const url = new URL(data.url);
@@ -473,6 +644,8 @@ router.get('/stats', apiKeyAuth({ requiredScope: 'notes:read' }), async (req, re
       owned: stats.owned,
       shared: stats.shared,
       byTheme: stats.byTheme,
+      byTag: stats.byTag,
+      byReaction: stats.byReaction,
       domainCount: stats.domains.size,
       domains: Array.from(stats.domains).slice(0, 20), // Return up to 20 domains
       recentlyUpdated: stats.recentlyUpdated
@@ -492,18 +665,38 @@ router.get('/stats', apiKeyAuth({ requiredScope: 'notes:read' }), async (req, re
  * Get all notes where the user has written at least one comment
  * Uses collection group query on comments subcollection
  * Query params:
+ *   - status: Comma-separated statuses - open, in_progress, resolved, reopened (optional)
+ *   - tag: Comma-separated tags - notes with any of these tags (optional)
+ *   - threads: 'open' - notes with an unresolved comment thread, 'resolved' - notes whose threads are all resolved (optional)
  *   - limit: Max results (default 50, max 100)
  *   - offset: Pagination offset (default 0)
  */
 router.get('/commented', apiKeyAuth({ requiredScope: 'notes:read' }), async (req, res) => {
   try {
     const { userId, userEmail } = req.apiKey;
-    const { limit = '50', offset = '0' } = req.query;
+    const { status, tag, threads, limit = '50', offset = '0' } = req.query;
     
     const limitNum = Math.min(Math.max(1, parseInt(limit, 10) || 50), 100);
     const offsetNum = Math.max(0, parseInt(offset, 10) || 0);
     const normalizedEmail = userEmail?.toLowerCase();
     
+    const statusFilter = parseStatusFilter(status);
+    if (statusFilter.error) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: statusFilter.error
+      });
+    }
+    
+    if (threads && !THREAD_FILTERS.includes(threads)) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: `Invalid threads filter. Must be one of: ${THREAD_FILTERS.join(', ')}`
+      });
+    }
+    
+    const tags = normalizeTags(tag);
+    
     const db = getFirestore();
     
     // Collection group query to find all comments by this user
@@ -555,15 +748,26 @@ router.get('/commented', apiKeyAuth({ requiredScope: 'notes:read' }), async (req
         const isOwner = data.ownerId === userId;
         const isSharedWithUser = normalizedEmail && (data.sharedWith || []).includes(normalizedEmail);
         
-        if (isOwner || isSharedWithUser) {
+        const matchesStatus = !statusFilter.statuses || statusFilter.statuses.includes(data.status || 'open');
+        const matchesTags = tags.length === 0 || tags.some(value => (data.tags || []).includes(value));
+        
+        if ((isOwner || isSharedWithUser) && matchesStatus && matchesTags) {
           notes.push({
             id: doc.id,
             url: data.url,
             selector: data.selector,
             content: data.content,
             theme: data.theme,
+            status: data.status || 'open',
+            assignee: data.assignee || null,
+            dueDate: data.dueDate || null,
+            tags: data.tags || [],
             position: data.position,
             metadata: data.metadata,
+            screenshot: data.screenshot || null,
+            attachments: data.attachments || [],
+            drawings: data.drawings || [],
+            reactions: data.reactions || {},
             sharedWith: data.sharedWith || [],
             isShared: !isOwner,
             ownerEmail: data.ownerEmail,
@@ -574,16 +778,30 @@ router.get('/commented', apiKeyAuth({ requiredScope: 'notes:read' }), async (req
       }
     }
     
+    // Filtering by thread state needs every note's counts; otherwise only the returned page is counted
+    let matchingNotes = notes;
+    if (threads) {
+      await addThreadCounts(db, notes);
+      matchingNotes = notes.filter(note => {
+        if (threads === 'open') return note.threads.open > 0;
+        return note.threads.open === 0 && note.threads.resolved > 0;
+      });
+    }
+    
     // Sort by updatedAt desc (most recently updated first)
-    notes.sort((noteA, noteB) => new Date(noteB.updatedAt) - new Date(noteA.updatedAt));
+    matchingNotes.sort((noteA, noteB) => new Date(noteB.updatedAt) - new Date(noteA.updatedAt));
     
     // Apply pagination
-    const paginatedNotes = notes.slice(offsetNum, offsetNum + limitNum);
-    const hasMore = notes.length > offsetNum + limitNum;
+    const paginatedNotes = matchingNotes.slice(offsetNum, offsetNum + limitNum);
+    const hasMore = matchingNotes.length > offsetNum + limitNum;
+    
+    if (!threads) {
+      await addThreadCounts(db, paginatedNotes);
+    }
     
     res.json({
       notes: paginatedNotes,
-      totalCommentedNotes: notes.length,
+      totalCommentedNotes: matchingNotes.length,
       pagination: {
         limit: limitNum,
         offset: offsetNum,
@@ -646,8 +864,16 @@ router.get('/export', apiKeyAuth({ requiredScope: 'notes:read' }), async (req, r
         selector: data.selector,
         content: data.content,
         theme: data.theme,
+        status: data.status || 'open',
+        assignee: data.assignee || null,
+        dueDate: data.dueDate || null,
+        tags: data.tags || [],
         position: data.position,
         metadata: data.metadata,
+        screenshot: data.screenshot || null,
+        attachments: data.attachments || [],
+        drawings: data.drawings || [],
+        reactions: data.reactions || {},
         sharedWith: data.sharedWith || [],
         isShared,
         ownerEmail: data.ownerEmail,
@@ -670,7 +896,11 @@ router.get('/export', apiKeyAuth({ requiredScope: 'notes:read' }), async (req, r
             id: commentDoc.id,
             authorName: commentData.authorName,
             content: commentData.content,
+            format: commentData.format === 'html' ? 'html' : 'text',
+            attachments: commentData.attachments || [],
             parentId: commentData.parentId,
+            resolved: Boolean(commentData.resolved),
+            acceptedAnswerId: commentData.acceptedAnswerId || null,
             createdAt: commentData.createdAt?.toDate?.()?.toISOString() || commentData.createdAt
           });
         });
@@ -760,8 +990,16 @@ router.get('/:id', apiKeyAuth({ requiredScope: 'notes:read' }), async (req, res)
       selector: data.selector,
       content: data.content,
       theme: data.theme,
+      status: data.status || 'open',
+      assignee: data.assignee || null,
+      dueDate: data.dueDate || null,
+      tags: data.tags || [],
       position: data.position,
       metadata: data.metadata,
+      screenshot: data.screenshot || null,
+      attachments: data.attachments || [],
+      drawings: data.drawings || [],
+      reactions: data.reactions || {},
       sharedWith: data.sharedWith || [],
       isShared: !isOwner,
       ownerEmail: data.ownerEmail,
@@ -781,6 +1019,7 @@ router.get('/:id', apiKeyAuth({ requiredScope: 'notes:read' }), async (req, res)
 /**
  * POST /api/notes
  * Create a new note
+ * The assignee can only be the owner, since a new note is not shared with anyone yet
  */
 router.post('/', apiKeyAuth({ requiredScope: 'notes:write' }), async (req, res) => {
   try {
@@ -797,12 +1036,25 @@ router.post('/', apiKeyAuth({ requiredScope: 'notes:write' }), async (req, res)
       });
     }
     
+    // A new note has no collaborators yet, so it can only be assigned to its owner
+    const assignee = typeof noteData.assignee === 'string' ? noteData.assignee.trim().toLowerCase() : '';
+    if (assignee && assignee !== req.apiKey.userEmail?.toLowerCase()) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: 'Assignee must be the owner or a collaborator'
+      });
+    }
+    
     // Build note document
     const note = {
       url: normalizeUrl(noteData.url),
       selector: noteData.selector.trim(),
       content: noteData.content || '',
       theme: VALID_THEMES.includes(noteData.theme) ? noteData.theme : 'yellow',
+      status: VALID_STATUSES.includes(noteData.status) ? noteData.status : 'open',
+      assignee: assignee || null,
+      dueDate: noteData.dueDate || null,
+      tags: normalizeTags(noteData.tags),
       position: noteData.position || { anchor: 'top-right' },
       metadata: noteData.metadata || null,
       ownerId: userId,
@@ -822,6 +1074,10 @@ router.post('/', apiKeyAuth({ requiredScope: 'notes:write' }), async (req, res)
       selector: note.selector,
       content: note.content,
       theme: note.theme,
+      status: note.status,
+      assignee: note.assignee,
+      dueDate: note.dueDate,
+      tags: note.tags,
       position: note.position,
       metadata: note.metadata,
       sharedWith: note.sharedWith,
@@ -879,7 +1135,7 @@ router.put('/:id', apiKeyAuth({ requiredScope: 'notes:write' }), async (req, res
     }
     
     // Build update object - only allow certain fields
-    const allowedFields = ['content', 'theme', 'position', 'selector'];
+    const allowedFields = ['content', 'theme', 'status', 'assignee', 'dueDate', 'tags', 'position', 'selector'];
     const filteredUpdates = {};
     
     for (const key of allowedFields) {
@@ -895,10 +1151,52 @@ router.put('/:id', apiKeyAuth({ requiredScope: 'notes:write' }), async (req, res
       });
     }
     
+    // Legacy or hand-edited notes may hold a status outside the workflow; those count as open
+    const currentStatus = getNoteStatus(data);
+    if (filteredUpdates.status !== undefined && filteredUpdates.status !== currentStatus) {
+      if (!isValidStatusTransition(currentStatus, filteredUpdates.status)) {
+        return res.status(400).json({
+          error: 'Bad Request',
+          message: `Invalid status transition: ${currentStatus} -> ${filteredUpdates.status}`
+        });
+      }
+      filteredUpdates.statusChangedAt = FieldValue.serverTimestamp();
+    }
+    
+    // Notes can only be assigned to their owner or a collaborator
+    if (typeof filteredUpdates.assignee === 'string') {
+      filteredUpdates.assignee = filteredUpdates.assignee.trim().toLowerCase();
+      const collaborators = [data.ownerEmail, ...(data.sharedWith || [])]
+        .filter(Boolean)
+        .map(email => email.toLowerCase());
+      if (!collaborators.includes(filteredUpdates.assignee)) {
+        return res.status(400).json({
+          error: 'Bad Request',
+          message: 'Assignee must be the owner or a collaborator'
+        });
+      }
+    }
+    
+    if (filteredUpdates.tags !== undefined) {
+      filteredUpdates.tags = normalizeTags(filteredUpdates.tags);
+    }
+    
     filteredUpdates.updatedAt = FieldValue.serverTimestamp();
     
     await docRef.update(filteredUpdates);
     
+    // Keep the version history in step with edits made from the extension
+    const previousContent = data.content || '';
+    if (filteredUpdates.content !== undefined && filteredUpdates.content !== previousContent) {
+      await recordRevision(docRef, {
+        authorId: userId,
+        authorEmail: req.apiKey.userEmail || '',
+        authorName: req.apiKey.name || 'API User',
+        content: filteredUpdates.content,
+        previousContent
+      });
+    }
+    
     // Fetch updated document
     const updatedDoc = await docRef.get();
     const updatedData = updatedDoc.data();
@@ -909,8 +1207,16 @@ router.put('/:id', apiKeyAuth({ requiredScope: 'notes:write' }), async (req, res
       selector: updatedData.selector,
       content: updatedData.content,
       theme: updatedData.theme,
+      status: updatedData.status || 'open',
+      assignee: updatedData.assignee || null,
+      dueDate: updatedData.dueDate || null,
+      tags: updatedData.tags || [],
       position: updatedData.position,
       metadata: updatedData.metadata,
+      screenshot: updatedData.screenshot || null,
+      attachments: updatedData.attachments || [],
+      drawings: updatedData.drawings || [],
+      reactions: updatedData.reactions || {},
       sharedWith: updatedData.sharedWith || [],
       createdAt: updatedData.createdAt?.toDate?.()?.toISOString() || updatedData.createdAt,
       updatedAt: updatedData.updatedAt?.toDate?.()?.toISOString() || updatedData.updatedAt
@@ -1238,6 +1544,10 @@ router.post('/bulk', apiKeyAuth({ requiredScope: 'notes:write' }), async (req, r
         selector: noteData.selector.trim(),
         content: noteData.content || '',
         theme: VALID_THEMES.includes(noteData.theme) ? noteData.theme : 'yellow',
+        status: VALID_STATUSES.includes(noteData.status) ? noteData.status : 'open',
+        assignee: null,
+        dueDate: noteData.dueDate || null,
+        tags: normalizeTags(noteData.tags),
         position: noteData.position || { anchor: 'top-right' },
         metadata: noteData.metadata || null,
         ownerId: userId,
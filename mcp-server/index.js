@@ -82,6 +82,96 @@ function formatConsoleErrors(errors, indent = '') {
   return markdown;
 }
 
+const HTML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', '#39': '\'', nbsp: ' ' };
+
+/**
+ * Convert a comment's content to markdown
+ * Rich text comments (format 'html') keep their code blocks, inline code, links and lists.
+ * @param {Object} comment - Comment from the API
+ * @returns {string} Markdown string
+ */
+function commentToMarkdown(comment) {
+  if (comment.format !== 'html') {
+    return (comment.content || '').replace(/\s+/g, ' ').trim();
+  }
+  
+  const strip = html => html.replace(/<br\s*\/?>/gi, '\n').replace(/<[^>]*>/g, '');
+  
+  return (comment.content || '')
+    .replace(/<pre[^>]*>([\s\S]*?)<\/pre>/gi, (_match, code) => `\n\`\`\`\n${strip(code).replace(/\n$/, '')}\n\`\`\`\n`)
+    .replace(/<code[^>]*>([\s\S]*?)<\/code>/gi, (_match, code) => `\`${strip(code)}\``)
+    .replace(/<a [^>]*href="([^"]*)"[^>]*>([\s\S]*?)<\/a>/gi, (_match, href, text) => `[${text}](${href})`)
+    .replace(/<\/?(?:b|strong)>/gi, '**')
+    .replace(/<\/?(?:i|em)>/gi, '*')
+    .replace(/<li[^>]*>/gi, '- ')
+    .replace(/<br\s*\/?>|<\/(?:div|p|li|ul|ol|blockquote)>/gi, '\n')
+    .replace(/<[^>]*>/g, '')
+    .replace(/&(amp|lt|gt|quot|#39|nbsp);/g, (_match, entity) => HTML_ENTITIES[entity])
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+/**
+ * Format a note's comments as markdown threads, with resolved state and accepted answers
+ * Replies whose parent is missing are listed on their own so no comment is dropped
+ * @param {Array} comments - Comments from the API, oldest first
+ * @returns {string} Formatted markdown string
+ */
+function formatCommentThreads(comments) {
+  const byId = new Map(comments.map(comment => [comment.id, comment]));
+  const repliesByParent = new Map();
+  comments.forEach(comment => {
+    if (!comment.parentId) return;
+    if (!repliesByParent.has(comment.parentId)) {
+      repliesByParent.set(comment.parentId, []);
+    }
+    repliesByParent.get(comment.parentId).push(comment);
+  });
+  
+  const formatComment = (comment, depth, answerId, visited) => {
+    const indent = '  '.repeat(depth);
+    const content = comment.deleted ? '_Deleted_' : (commentToMarkdown(comment) || '_No text_');
+    const answer = comment.id === answerId ? ' **(accepted answer)**' : '';
+    let markdown = `${indent}- **${comment.authorName || 'Anonymous'}**${answer}: `;
+    if (content.includes('\n')) {
+      // Multi-line content (code blocks, lists) goes below the author, inside the list item
+      markdown += `_(ID: ${comment.id})_\n${content.split('\n').map(line => (line ? `${indent}  ${line}` : '')).join('\n')}\n`;
+    } else {
+      markdown += `${content} _(ID: ${comment.id})_\n`;
+    }
+    (repliesByParent.get(comment.id) || []).forEach(reply => {
+      if (visited.has(reply.id)) return;
+      visited.add(reply.id);
+      markdown += formatComment(reply, depth + 1, answerId, visited);
+    });
+    return markdown;
+  };
+  
+  const threads = comments.filter(comment => !comment.parentId);
+  const orphans = comments.filter(comment => comment.parentId && !byId.has(comment.parentId));
+  const resolvedCount = threads.filter(thread => thread.resolved).length;
+  let markdown = `## Comments (${comments.length})\n\n`;
+  markdown += `${threads.length - resolvedCount} open thread${threads.length - resolvedCount !== 1 ? 's' : ''}, ${resolvedCount} resolved\n\n`;
+  
+  threads.forEach((thread, index) => {
+    const resolver = thread.resolvedBy?.name || thread.resolvedBy?.email;
+    const state = thread.resolved ? `Resolved${resolver ? ` by ${resolver}` : ''}` : 'Open';
+    const answerId = byId.has(thread.acceptedAnswerId) ? thread.acceptedAnswerId : null;
+    markdown += `### Thread ${index + 1} - ${state}\n`;
+    markdown += formatComment(thread, 0, answerId, new Set([thread.id]));
+    markdown += '\n';
+  });
+  
+  if (orphans.length > 0) {
+    markdown += '### Replies to missing comments\n';
+    orphans.forEach(reply => {
+      markdown += formatComment(reply, 0, null, new Set([reply.id]));
+    });
+  }
+  
+  return markdown.trimEnd();
+}
+
 // Create MCP server
 const server = new Server(
   {
@@ -103,7 +193,7 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
     tools: [
       {
         name: 'list_notes',
-        description: 'List sticky notes with flexible filtering by ownership, URL, or domain',
+        description: 'List sticky notes with flexible filtering by ownership, URL, domain, or tag',
         inputSchema: {
           type: 'object',
           properties: {
@@ -120,6 +210,10 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
               type: 'string',
               description: 'Filter notes by domain - matches all pages on that domain (e.g., "example.com" or "https://example.com"). More flexible than url filter.'
             },
+            tag: {
+              type: 'string',
+              description: 'Filter notes by tag - comma-separated, matches notes with any of the tags (e.g., "a11y,regression")'
+            },
             limit: {
               type: 'number',
               description: 'Maximum number of notes to return (default: 50)'
@@ -163,6 +257,11 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
               type: 'string',
               enum: ['yellow', 'blue', 'green', 'pink'],
               description: 'Note color theme (default: yellow)'
+            },
+            tags: {
+              type: 'array',
+              items: { type: 'string' },
+              description: 'Tags for the note (e.g., ["a11y", "copy"]). Up to 10, letters, digits, dashes and underscores'
             }
           },
           required: ['url', 'selector']
@@ -186,6 +285,11 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
               type: 'string',
               enum: ['yellow', 'blue', 'green', 'pink'],
               description: 'New color theme'
+            },
+            tags: {
+              type: 'array',
+              items: { type: 'string' },
+              description: 'Replacement tags for the note (an empty array removes all tags)'
             }
           },
           required: ['id']
@@ -282,6 +386,11 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
         inputSchema: {
           type: 'object',
           properties: {
+            threads: {
+              type: 'string',
+              enum: ['open', 'resolved'],
+              description: 'Only notes with an open comment thread, or only notes whose threads are all resolved'
+            },
             limit: {
               type: 'number',
               description: 'Maximum number of notes to return (default: 50)'
@@ -291,7 +400,7 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
       },
       {
         name: 'list_note_comments',
-        description: 'Get all comments for a specific note',
+        description: 'Get all comments for a specific note as threads, showing which are resolved and which reply is the accepted answer',
         inputSchema: {
           type: 'object',
           properties: {
@@ -372,6 +481,7 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
         if (args?.filter) params.set('filter', args.filter);
         if (args?.url) params.set('url', args.url);
         if (args?.domain) params.set('domain', args.domain);
+        if (args?.tag) params.set('tag', args.tag);
         if (args?.limit) params.set('limit', args.limit.toString());
         const queryString = params.toString();
         const endpoint = queryString ? `/notes?${queryString}` : '/notes';
@@ -405,7 +515,8 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
             url: args.url,
             selector: args.selector,
             content: args.content || '',
-            theme: args.theme || 'yellow'
+            theme: args.theme || 'yellow',
+            tags: args.tags || []
           })
         });
         return {
@@ -422,6 +533,7 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
         const updates = {};
         if (args.content !== undefined) updates.content = args.content;
         if (args.theme !== undefined) updates.theme = args.theme;
+        if (args.tags !== undefined) updates.tags = args.tags;
         
         const result = await apiRequest(`/notes/${args.id}`, {
           method: 'PUT',
@@ -577,6 +689,7 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
 
       case 'list_commented_notes': {
         const params = new URLSearchParams();
+        if (args?.threads) params.set('threads', args.threads);
         if (args?.limit) params.set('limit', args.limit.toString());
         const queryString = params.toString();
         const endpoint = queryString ? `/notes/commented?${queryString}` : '/notes/commented';
@@ -592,6 +705,9 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
             markdown += `${index + 1}. **${note.selector}** on ${note.url}\n`;
             markdown += `   > ${content}${content.length >= 100 ? '...' : ''}\n`;
             markdown += `   _ID: ${note.id}${note.isShared ? ' (shared)' : ''}_\n`;
+            if (note.threads) {
+              markdown += `   Threads: ${note.threads.open} open, ${note.threads.resolved} resolved\n`;
+            }
             
             // Add console errors if present
             const consoleErrors = note.metadata?.consoleErrors;
@@ -609,11 +725,12 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
 
       case 'list_note_comments': {
         const result = await apiRequest(`/notes/${args.noteId}/comments`);
+        const comments = result.comments || [];
         return {
           content: [
             {
               type: 'text',
-              text: JSON.stringify(result, null, 2)
+              text: comments.length > 0 ? formatCommentThreads(comments) : '_No comments on this note yet._'
             }
           ]
         };
@@ -791,19 +908,24 @@ Add a comment to any note you have access to.
 - **parentId** (optional) - Reply to another comment
 
 ### Notes on Replies
-- Only one level of nesting allowed
-- You can reply to top-level comments only
+- Replies can nest at any depth: reply to any comment, including another reply
+- Deleting a comment also deletes all replies below it, unless you are not the note owner and someone else replied: then the comment is emptied and shown as deleted, and the replies stay
 
 ## list_note_comments Tool
-Get all comments on a specific note.
+Get all comments on a specific note, grouped into threads.
 
 ### Parameters
 - **noteId** - The note ID
 
+### Output
+- Each top-level comment starts a thread, shown as open or resolved (and by whom)
+- The reply accepted as a thread's answer is marked "(accepted answer)"
+
 ## list_commented_notes Tool
 Find all notes where you've left comments.
 
 ### Parameters
+- **threads** (optional) - open (notes with an unresolved thread) or resolved (all threads resolved)
 - **limit** (optional) - Max results`;
             break;
             
@@ -70,6 +70,47 @@ function stripHtml(html) {
     return div.textContent || div.innerText || '';
 }
 
+/**
+ * Tags kept when rendering rich text comments
+ */
+const COMMENT_HTML_TAGS = ['A', 'B', 'BR', 'CODE', 'DIV', 'EM', 'I', 'LI', 'OL', 'P', 'PRE', 'S', 'SPAN', 'STRIKE', 'STRONG', 'U', 'UL'];
+
+/**
+ * Sanitize a rich text comment's HTML
+ * Unknown tags are unwrapped, all attributes dropped and only http(s) links kept.
+ * @param {string} html - Comment HTML
+ * @returns {string} Sanitized HTML
+ */
+function sanitizeCommentHtml(html) {
+    const doc = new DOMParser().parseFromString(html || '', 'text/html');
+    doc.body.querySelectorAll('script, style, template, iframe, object, embed').forEach(el => el.remove());
+
+    Array.from(doc.body.querySelectorAll('*')).reverse().forEach(el => {
+        if (!COMMENT_HTML_TAGS.includes(el.tagName)) {
+            el.replaceWith(...el.childNodes);
+            return;
+        }
+        const href = el.getAttribute('href');
+        Array.from(el.attributes).forEach(attr => el.removeAttribute(attr.name));
+        if (el.tagName === 'A' && isValidUrl(href)) {
+            el.setAttribute('href', href);
+            el.setAttribute('target', '_blank');
+            el.setAttribute('rel', 'noopener noreferrer');
+        }
+    });
+
+    return doc.body.innerHTML;
+}
+
+/**
+ * Render a comment's content, formatted for rich text comments
+ * @param {Object} comment - Comment with content and format
+ * @returns {string} HTML string
+ */
+function renderCommentContent(comment) {
+    return comment.format === 'html' ? sanitizeCommentHtml(comment.content) : escapeHtml(comment.content);
+}
+
 /**
  * Format a date string for display
  * @param {string} dateString - ISO date string
@@ -102,6 +143,55 @@ function getErrorTypeLabel(type) {
     return labels[type] || type;
 }
 
+/**
+ * Get a human-readable label for a note status
+ * @param {string} status - Note status (open, in_progress, resolved, reopened)
+ * @returns {string} Human-readable label
+ */
+function getStatusLabel(status) {
+    const labels = {
+        'open': 'Open',
+        'in_progress': 'In progress',
+        'resolved': 'Resolved',
+        'reopened': 'Reopened'
+    };
+    return labels[status] || labels.open;
+}
+
+/**
+ * Parse a comma-separated tag filter into normalized tags
+ * Mirrors normalizeTag in the extension: lowercase, no leading #, spaces become dashes
+ * @param {string} value - Raw input (e.g. "#A11y, copy edit")
+ * @returns {string[]} Unique normalized tags
+ */
+function parseTagFilter(value) {
+    if (!value) return [];
+    const tags = String(value).split(',')
+        .map(tag => tag.trim().replace(/^#+/, '').trim().toLowerCase().replace(/\s+/g, '-'))
+        .filter(Boolean);
+    return [...new Set(tags)];
+}
+
+/**
+ * Render the attachments of a note or comment as links
+ * Files kept only in the extension's local storage have no URL, so just their name is shown
+ * @param {Array} attachments - Attachment references
+ * @returns {string} HTML string for the attachments, or '' if there are none
+ */
+function renderAttachments(attachments) {
+    if (!Array.isArray(attachments) || attachments.length === 0) return '';
+    
+    const items = attachments.map(attachment => {
+        const name = escapeHtml(attachment.name || 'Attachment');
+        if (!isValidUrl(attachment.url)) {
+            return `<span class="note-attachment note-attachment-local" title="Stored in the extension only">${name}</span>`;
+        }
+        return `<a href="${escapeHtml(attachment.url)}" target="_blank" rel="noopener noreferrer" class="note-attachment">${name}</a>`;
+    }).join('');
+    
+    return `<div class="note-attachments" aria-label="Attachments">${items}</div>`;
+}
+
 /**
  * Render console errors section for a note
  * @param {Array} errors - Array of console error objects
@@ -210,6 +300,8 @@ function getDOMElements() {
         filterTabs: document.querySelectorAll('.filter-tab'),
         keyIndicator: document.getElementById('keyIndicator'),
         domainSelect: document.getElementById('domainSelect'),
+        statusSelect: document.getElementById('statusSelect'),
+        tagSelect: document.getElementById('tagSelect'),
         userEmailSpan: document.getElementById('userEmail'),
         searchInput: document.getElementById('searchInput'),
         lastUpdated: document.getElementById('lastUpdated'),
@@ -344,6 +436,35 @@ function populateDomainDropdown(domainSelect, domains) {
     }
 }
 
+/**
+ * Populate the tag dropdown with the user's tags, most used first
+ * @param {HTMLSelectElement} tagSelect - The tag select element
+ * @param {Object} byTag - Map of tag to note count
+ */
+function populateTagDropdown(tagSelect, byTag) {
+    if (!tagSelect) return;
+    
+    const currentValue = tagSelect.value;
+    
+    // Remove old tag options (keep "All tags")
+    while (tagSelect.options.length > 1) {
+        tagSelect.remove(1);
+    }
+    
+    Object.entries(byTag || {})
+        .sort((tagA, tagB) => tagB[1] - tagA[1] || tagA[0].localeCompare(tagB[0]))
+        .forEach(([tag, count]) => {
+            const option = document.createElement('option');
+            option.value = tag;
+            option.textContent = `#${tag} (${count})`;
+            tagSelect.appendChild(option);
+        });
+    
+    if (currentValue && Array.from(tagSelect.options).some((option) => option.value === currentValue)) {
+        tagSelect.value = currentValue;
+    }
+}
+
 // ============================================
 // Rendering Functions
 // ============================================
@@ -373,6 +494,12 @@ function renderNotes(notesList, notes, context = {}) {
         } else if (context.filter === 'owned') {
             emptyMessage = 'You haven\'t created any notes yet';
             emptyAction = '<p class="empty-state-hint">Use the Sticky Notes extension to pin notes on any webpage.</p>';
+        } else if (context.tag) {
+            emptyMessage = `No notes tagged #${escapeHtml(context.tag)}`;
+            emptyAction = '<p class="empty-state-hint">Try selecting "All tags" to see every note.</p>';
+        } else if (context.status) {
+            emptyMessage = `No ${escapeHtml(getStatusLabel(context.status).toLowerCase())} notes`;
+            emptyAction = '<p class="empty-state-hint">Try selecting "All statuses" to see every note.</p>';
         } else if (context.domain) {
             emptyMessage = `No notes on ${escapeHtml(context.domain)}`;
             emptyAction = '<p class="empty-state-hint">Try selecting "All domains" to see all your notes.</p>';
@@ -390,9 +517,11 @@ function renderNotes(notesList, notes, context = {}) {
     notesList.innerHTML = notes.map((note) => {
         const safeUrl = getSafeUrl(note.url);
         const displayUrl = escapeHtml(note.url);
+        const status = note.status || 'open';
         return `
         <div class="note-card theme-${note.theme || 'yellow'}">
             <div class="note-header">
+                <span class="note-status note-status-${escapeHtml(status)}">${getStatusLabel(status)}</span>
                 ${note.isShared ? `<span class="note-badge" title="Shared by ${escapeHtml(note.ownerEmail || 'unknown')}">Shared by ${escapeHtml(note.ownerEmail || 'unknown')}</span>` : ''}
                 <code class="note-selector">${escapeHtml(note.selector)}</code>
             </div>
@@ -407,6 +536,17 @@ function renderNotes(notesList, notes, context = {}) {
             <div class="note-content-box">
                 ${escapeHtml(stripHtml(note.content)) || '<em class="no-content">No content</em>'}
             </div>
+            ${note.tags && note.tags.length > 0 ? `
+            <div class="note-tags">
+                ${note.tags.map(tag => `<span class="note-tag">#${escapeHtml(tag)}</span>`).join('')}
+            </div>
+            ` : ''}
+            ${isValidUrl(note.screenshot?.url) ? `
+            <a href="${escapeHtml(note.screenshot.url)}" target="_blank" rel="noopener noreferrer" class="note-screenshot" title="Open screenshot">
+                <img src="${escapeHtml(note.screenshot.url)}" alt="Screenshot taken when the note was created" loading="lazy">
+            </a>
+            ` : ''}
+            ${renderAttachments(note.attachments)}
             ${renderConsoleErrors(note.metadata?.consoleErrors)}
             ${note.comments && note.comments.length > 0 ? `
             <div class="note-comments">
@@ -415,7 +555,8 @@ function renderNotes(notesList, notes, context = {}) {
                     <div class="comment ${comment.parentId ? 'comment-reply' : ''}">
                         <span class="comment-author">${escapeHtml(comment.authorName || 'Unknown')}</span>
                         <span class="comment-date">${formatDate(comment.createdAt)}</span>
-                        <div class="comment-content">${escapeHtml(comment.content)}</div>
+                        ${comment.content ? `<div class="comment-content">${renderCommentContent(comment)}</div>` : ''}
+                        ${renderAttachments(comment.attachments)}
                     </div>
                 `).join('')}
             </div>
@@ -549,6 +690,11 @@ async function loadStats(apiKey, elements) {
             populateDomainDropdown(elements.domainSelect, stats.domains || []);
         }
         
+        // Populate tag dropdown
+        if (elements.tagSelect) {
+            populateTagDropdown(elements.tagSelect, stats.byTag || {});
+        }
+        
         // Update last updated timestamp
         updateLastUpdated();
         
@@ -588,6 +734,8 @@ async function loadNotes(options = {}) {
         // Get domain/URL filter
         const selectedDomain = elements?.domainSelect?.value;
         const customUrl = elements?.urlInput?.value?.trim();
+        const selectedStatus = elements?.statusSelect?.value;
+        const selectedTag = elements?.tagSelect?.value;
         
         if (currentFilter === 'commented') {
             endpoint = `${API_BASE_URL}/notes/commented`;
@@ -611,6 +759,14 @@ async function loadNotes(options = {}) {
             params.set('domain', selectedDomain);
         }
         
+        if (selectedStatus) {
+            params.set('status', selectedStatus);
+        }
+        
+        if (selectedTag) {
+            params.set('tag', selectedTag);
+        }
+        
         const queryString = params.toString();
         const fullUrl = queryString ? `${endpoint}?${queryString}` : endpoint;
         
@@ -668,6 +824,8 @@ async function loadNotes(options = {}) {
         const context = {
             filter: currentFilter,
             domain: selectedDomain && selectedDomain !== '__custom__' ? selectedDomain : null,
+            status: selectedStatus || null,
+            tag: selectedTag || null,
             isSearch: !!searchQuery
         };
         
@@ -793,6 +951,8 @@ function setupEventListeners(elements, appState, handlers = {}) {
         loadBtn, 
         urlInput, 
         domainSelect, 
+        statusSelect, 
+        tagSelect, 
         filterTabs, 
         autoRefreshCheckbox, 
         settingsBtn,
@@ -822,6 +982,12 @@ function setupEventListeners(elements, appState, handlers = {}) {
     if (domainSelect) {
         domainSelect.addEventListener('change', () => handlers.onDomainChange?.());
     }
+    if (statusSelect) {
+        statusSelect.addEventListener('change', () => handlers.onLoadNotes?.());
+    }
+    if (tagSelect) {
+        tagSelect.addEventListener('change', () => handlers.onLoadNotes?.());
+    }
 
     // Filter tabs
     if (filterTabs) {
@@ -982,6 +1148,9 @@ function openReportModal() {
     if (metadataCheckbox) metadataCheckbox.checked = true;
     if (commentsCheckbox) commentsCheckbox.checked = true;
     
+    const tagsInput = document.getElementById('reportTags');
+    if (tagsInput) tagsInput.value = '';
+    
     modal.classList.remove('hidden');
 }
 
@@ -1006,12 +1175,14 @@ function getReportOptions() {
     const commentsEl = document.getElementById('reportIncludeComments');
     const dateStartEl = document.getElementById('reportDateStart');
     const dateEndEl = document.getElementById('reportDateEnd');
+    const tagsEl = document.getElementById('reportTags');
 
     const options = {
         format: formatEl?.value || 'html',
         scope: scopeEl?.value || 'allNotes',
         includeMetadata: metadataEl?.checked ?? true,
-        includeComments: commentsEl?.checked ?? true
+        includeComments: commentsEl?.checked ?? true,
+        tags: parseTagFilter(tagsEl?.value)
     };
 
     if (options.scope === 'dateRange' && dateStartEl && dateEndEl) {
@@ -1027,7 +1198,7 @@ function getReportOptions() {
 }
 
 /**
- * Get notes to include in report based on scope
+ * Get notes to include in report based on scope and tag filter
  * @param {Object} options - Report options
  * @param {Array} allNotes - All notes from state
  * @param {Array} filteredNotes - Currently filtered/displayed notes
@@ -1057,6 +1228,10 @@ function getNotesForReport(options, allNotes, filteredNotes) {
             break;
     }
     
+    if (options.tags && options.tags.length > 0) {
+        notes = notes.filter(note => options.tags.some(tag => (note.tags || []).includes(tag)));
+    }
+    
     return notes;
 }
 
@@ -1132,6 +1307,18 @@ function generateReportHTML(notes, options) {
                 </div>
                 <div class="note-content">${content}</div>`;
         
+        if (note.tags && note.tags.length > 0) {
+            notesHTML += `
+                <div class="note-tags">${note.tags.map(tag => `<span class="note-tag">#${escapeHtml(tag)}</span>`).join('')}</div>`;
+        }
+        
+        if (isValidUrl(note.screenshot?.url)) {
+            notesHTML += `
+                <div class="note-screenshot"><img src="${escapeHtml(note.screenshot.url)}" alt="Screenshot"></div>`;
+        }
+        
+        notesHTML += renderAttachments(note.attachments);
+        
         if (url) {
             notesHTML += `
                 <div class="note-url">
@@ -1200,6 +1387,13 @@ function generateReportHTML(notes, options) {
         .note-theme { display: inline-block; padding: 2px 8px; border-radius: 10px; font-size: 11px; font-weight: 600; text-transform: uppercase; color: #1f2937; }
         .note-date { font-size: 12px; color: #6b7280; }
         .note-content { font-size: 14px; line-height: 1.7; margin-bottom: 12px; }
+        .note-tags { display: flex; flex-wrap: wrap; gap: 6px; margin-bottom: 12px; }
+        .note-tag { padding: 2px 8px; border-radius: 10px; background: #eef2ff; color: #4338ca; font-size: 12px; }
+        .note-screenshot { margin-bottom: 12px; }
+        .note-screenshot img { display: block; max-width: 100%; max-height: 320px; border: 1px solid #e5e7eb; border-radius: 6px; }
+        .note-attachments { display: flex; flex-wrap: wrap; gap: 6px; margin-bottom: 12px; font-size: 12px; }
+        .note-attachment { padding: 2px 8px; border: 1px solid #e5e7eb; border-radius: 4px; color: #3b82f6; text-decoration: none; }
+        .note-attachment-local { color: #6b7280; }
         .note-url { font-size: 13px; color: #6b7280; margin-bottom: 12px; word-break: break-all; }
         .note-url a { color: #3b82f6; text-decoration: none; }
         .note-metadata { background: #f9fafb; border-radius: 6px; padding: 12px 16px; margin-top: 12px; font-size: 13px; }
@@ -1276,6 +1470,10 @@ function generateReportMarkdown(notes, options) {
             md += `${content}\n\n`;
         }
         
+        if (note.tags && note.tags.length > 0) {
+            md += `**Tags:** ${note.tags.map(tag => `#${tag}`).join(', ')}\n\n`;
+        }
+        
         if (url) {
             md += `**URL:** ${url}\n\n`;
         }
@@ -1541,8 +1739,13 @@ export {
     isValidUrl,
     getSafeUrl,
     stripHtml,
+    sanitizeCommentHtml,
+    renderCommentContent,
     formatDate,
     getErrorTypeLabel,
+    getStatusLabel,
+    parseTagFilter,
+    renderAttachments,
     renderConsoleErrors,
     filterNotesBySearch,
     debounce,
@@ -1557,6 +1760,7 @@ export {
     handleUrlParams,
     handleDomainSelectChange,
     populateDomainDropdown,
+    populateTagDropdown,
     // Rendering
     renderNotes,
     // API functions
@@ -0,0 +1,392 @@
+/**
+ * Anchor Health Check
+ * Verifies the anchors of every note on a site by opening each noted page in
+ * a background tab and asking the content script to check its notes there.
+ * Progress and the final report are kept in chrome.storage.local so the popup
+ * can close and reopen while the job runs.
+ */
+
+import { isPageLevelNote, normalizeUrl, parseCompositeUrl } from '../shared/utils.js';
+import { backgroundLogger as defaultLog } from '../shared/logger.js';
+
+/**
+ * Storage key for the latest anchor health report
+ */
+export const ANCHOR_HEALTH_REPORT_KEY = 'anchorHealthReport';
+
+/**
+ * Maximum time to wait for a page to finish loading
+ */
+export const PAGE_LOAD_TIMEOUT_MS = 30000;
+
+/**
+ * Extra time after load for client-rendered content to appear
+ */
+export const PAGE_SETTLE_DELAY_MS = 1500;
+
+/**
+ * Interval between tab status checks while a page loads
+ */
+const TAB_POLL_INTERVAL_MS = 250;
+
+/**
+ * Attempts to reach the content script after injection
+ */
+const CHECK_ATTEMPTS = 3;
+
+/**
+ * Delay between attempts to reach the content script
+ */
+const CHECK_RETRY_DELAY_MS = 500;
+
+/**
+ * Report statuses
+ */
+export const REPORT_STATUS = {
+  RUNNING: 'running',
+  COMPLETED: 'completed',
+  CANCELLED: 'cancelled',
+  FAILED: 'failed'
+};
+
+/**
+ * Note statuses in a report
+ * The content script decides between healthy, drifted and orphaned
+ */
+export const NOTE_HEALTH = {
+  PENDING: 'pending',
+  HEALTHY: 'healthy',
+  DRIFTED: 'drifted',
+  ORPHANED: 'orphaned',
+  UNCHECKED: 'unchecked',
+  SKIPPED: 'skipped'
+};
+
+/**
+ * Count report entries by status
+ * @param {Object[]} notes - Report entries
+ * @returns {Object} Counts keyed by status
+ */
+export function summarizeAnchorHealth(notes) {
+  const summary = {};
+  for (const status of Object.values(NOTE_HEALTH)) {
+    summary[status] = 0;
+  }
+  for (const note of notes || []) {
+    if (summary[note.status] !== undefined) {
+      summary[note.status]++;
+    }
+  }
+  return summary;
+}
+
+/**
+ * Build the initial report entry for a note
+ * Page-level notes have no anchor and iframe notes live in another document,
+ * so neither can be checked by loading the page
+ * @param {Object} note - Note data
+ * @returns {Object} Report entry
+ */
+function createReportEntry(note) {
+  const entry = {
+    id: note.id,
+    url: note.url,
+    selector: note.selector,
+    content: note.content || '',
+    status: NOTE_HEALTH.PENDING,
+    reason: null,
+    suggestedSelector: null,
+    score: null
+  };
+
+  if (isPageLevelNote(note)) {
+    return { ...entry, status: NOTE_HEALTH.SKIPPED, reason: 'pageLevel' };
+  }
+  if (!parseCompositeUrl(note.url || '').isTopFrame) {
+    return { ...entry, status: NOTE_HEALTH.SKIPPED, reason: 'iframe' };
+  }
+  return entry;
+}
+
+/**
+ * Create an anchor health checker
+ * @param {Object} deps - Dependencies
+ * @returns {Object} Checker with start, cancel and getReport
+ */
+export function createAnchorHealthChecker(deps = {}) {
+  const {
+    chromeTabs = typeof chrome !== 'undefined' ? chrome.tabs : null,
+    chromeStorage = typeof chrome !== 'undefined' ? chrome.storage : null,
+    injectContentScript,
+    log = defaultLog,
+    sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms)),
+    now = () => Date.now(),
+    pageLoadTimeout = PAGE_LOAD_TIMEOUT_MS,
+    settleDelay = PAGE_SETTLE_DELAY_MS
+  } = deps;
+
+  let activeRun = null;
+
+  /**
+   * Persist the report so the popup can read it
+   * @param {Object} report - Report to save
+   */
+  async function saveReport(report) {
+    try {
+      await chromeStorage.local.set({
+        [ANCHOR_HEALTH_REPORT_KEY]: { ...report, summary: summarizeAnchorHealth(report.notes) }
+      });
+    } catch (error) {
+      log.error('Failed to save anchor health report:', error);
+    }
+  }
+
+  /**
+   * Wait until a tab has finished loading
+   * @param {number} tabId - Tab ID
+   * @returns {Promise<boolean>} True if the tab loaded before the timeout
+   */
+  async function waitForTabComplete(tabId) {
+    const deadline = now() + pageLoadTimeout;
+    while (now() < deadline) {
+      const tab = await chromeTabs.get(tabId);
+      if (tab?.status === 'complete') {
+        return true;
+      }
+      await sleep(TAB_POLL_INTERVAL_MS);
+    }
+    return false;
+  }
+
+  /**
+   * Ask the content script in a tab to check notes
+   * The content script registers its listener during startup, so the first
+   * attempt right after injection can miss it
+   * @param {number} tabId - Tab ID
+   * @param {Object[]} notes - Notes to check
+   * @returns {Promise<Object>} Content script response
+   */
+  async function requestCheck(tabId, notes) {
+    let lastError = null;
+    for (let attempt = 0; attempt < CHECK_ATTEMPTS; attempt++) {
+      try {
+        const response = await chromeTabs.sendMessage(tabId, { action: 'checkAnchorHealth', notes });
+        if (response) {
+          return response;
+        }
+      } catch (error) {
+        lastError = error;
+      }
+      await sleep(CHECK_RETRY_DELAY_MS);
+    }
+    return { success: false, error: lastError?.message || 'No response from page' };
+  }
+
+  /**
+   * Open a page in a background tab and check its notes
+   * @param {string} url - Page URL
+   * @param {Object[]} notes - Notes on the page
+   * @returns {Promise<Object>} Result with per-note results or an error
+   */
+  async function checkPage(url, notes) {
+    let tabId = null;
+    try {
+      const tab = await chromeTabs.create({ url, active: false });
+      tabId = tab.id;
+
+      if (!await waitForTabComplete(tabId)) {
+        return { success: false, error: 'pageTimeout' };
+      }
+      await sleep(settleDelay);
+
+      // The tab is only opened for the check, so the app must not join presence
+      // or offer to re-anchor notes there
+      const injection = await injectContentScript(tabId, url, { checkOnly: true });
+      if (!injection?.success) {
+        return { success: false, error: injection?.error || 'injectionFailed' };
+      }
+
+      return await requestCheck(tabId, notes);
+    } catch (error) {
+      log.warn('Anchor health check failed for page:', url, error);
+      return { success: false, error: error.message };
+    } finally {
+      if (tabId !== null) {
+        try {
+          await chromeTabs.remove(tabId);
+        } catch {
+          // Tab was already closed by the user
+        }
+      }
+    }
+  }
+
+  /**
+   * Merge a page result into the report
+   * @param {Object} report - Report being built
+   * @param {string} url - Page URL
+   * @param {Object} result - Page check result
+   */
+  function applyPageResult(report, url, result) {
+    const byId = new Map((result.success ? result.results || [] : []).map(item => [item.id, item]));
+
+    report.notes = report.notes.map(entry => {
+      if (entry.status !== NOTE_HEALTH.PENDING || normalizeUrl(entry.url) !== url) {
+        return entry;
+      }
+      const item = byId.get(entry.id);
+      if (!item) {
+        return { ...entry, status: NOTE_HEALTH.UNCHECKED, reason: result.error || 'notChecked' };
+      }
+      return {
+        ...entry,
+        status: item.status,
+        reason: item.reason || null,
+        suggestedSelector: item.suggestedSelector || null,
+        score: typeof item.score === 'number' ? item.score : null
+      };
+    });
+  }
+
+  /**
+   * Mark notes that were never checked and stamp the finish time
+   * @param {Object} report - Report to finish
+   */
+  function finishReport(report) {
+    report.notes = report.notes.map(entry => (
+      entry.status === NOTE_HEALTH.PENDING ? { ...entry, status: NOTE_HEALTH.UNCHECKED, reason: 'cancelled' } : entry
+    ));
+    report.finishedAt = new Date(now()).toISOString();
+  }
+
+  /**
+   * Check every page of a run in sequence
+   * @param {Object} run - Run state
+   * @param {Map<string, Object[]>} pages - Notes grouped by page URL
+   */
+  async function runChecks(run, pages) {
+    const { report } = run;
+
+    try {
+      for (const [url, notes] of pages) {
+        if (run.cancelled) break;
+
+        const result = await checkPage(url, notes);
+        if (run.cancelled) break;
+
+        applyPageResult(report, url, result);
+        report.pagesChecked++;
+        await saveReport(report);
+      }
+
+      report.status = run.cancelled ? REPORT_STATUS.CANCELLED : REPORT_STATUS.COMPLETED;
+    } catch (error) {
+      log.error('Anchor health check error:', error);
+      report.status = REPORT_STATUS.FAILED;
+      report.error = error.message;
+    }
+
+    finishReport(report);
+    await saveReport(report);
+
+    if (activeRun === run) {
+      activeRun = null;
+    }
+  }
+
+  /**
+   * Start checking the notes of a site
+   * Returns as soon as the initial report is saved; pages are checked in the background
+   * @param {string} origin - Site origin
+   * @param {Object[]} notes - Notes on the site
+   * @returns {Promise<Object>} Result with the initial report
+   */
+  async function start(origin, notes) {
+    if (activeRun) {
+      return { success: false, error: 'alreadyRunning', report: activeRun.report };
+    }
+
+    const entries = [];
+    const pages = new Map();
+    for (const note of notes || []) {
+      const entry = createReportEntry(note);
+      entries.push(entry);
+      if (entry.status !== NOTE_HEALTH.PENDING) continue;
+
+      const url = normalizeUrl(note.url);
+      if (!pages.has(url)) {
+        pages.set(url, []);
+      }
+      pages.get(url).push(note);
+    }
+
+    const report = {
+      origin,
+      status: REPORT_STATUS.RUNNING,
+      startedAt: new Date(now()).toISOString(),
+      finishedAt: null,
+      pagesTotal: pages.size,
+      pagesChecked: 0,
+      notes: entries,
+      error: null
+    };
+
+    const run = { report, cancelled: false };
+    activeRun = run;
+    await saveReport(report);
+
+    run.done = runChecks(run, pages);
+    return { success: true, report };
+  }
+
+  /**
+   * Cancel the running check
+   * The page currently open finishes loading before the run stops
+   * @returns {Object} Result
+   */
+  function cancel() {
+    if (!activeRun) {
+      return { success: false, error: 'notRunning' };
+    }
+    activeRun.cancelled = true;
+    return { success: true };
+  }
+
+  /**
+   * Get the latest saved report
+   * A report still marked running without a run in this worker was cut off
+   * when the service worker stopped, so it is saved as failed.
+   * @returns {Promise<Object|null>} Report or null if none
+   */
+  async function getReport() {
+    const result = await chromeStorage.local.get([ANCHOR_HEALTH_REPORT_KEY]);
+    const report = result[ANCHOR_HEALTH_REPORT_KEY] || null;
+    if (report?.status !== REPORT_STATUS.RUNNING || activeRun) {
+      return report;
+    }
+
+    report.status = REPORT_STATUS.FAILED;
+    report.error = 'interrupted';
+    finishReport(report);
+    await saveReport(report);
+    return { ...report, summary: summarizeAnchorHealth(report.notes) };
+  }
+
+  /**
+   * Wait for the running check to finish
+   * @returns {Promise<void>}
+   */
+  async function whenIdle() {
+    if (activeRun?.done) {
+      await activeRun.done;
+    }
+  }
+
+  return {
+    start,
+    cancel,
+    getReport,
+    whenIdle,
+    isRunning: () => activeRun !== null
+  };
+}
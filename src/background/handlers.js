@@ -6,9 +6,17 @@
  * The index.js file provides the actual implementations.
  */
 
-import { generateId as defaultGenerateId, isValidEmail as defaultIsValidEmail } from '../shared/utils.js';
+import { generateId as defaultGenerateId, isValidEmail as defaultIsValidEmail, normalizeTags, normalizeAttachments, normalizeDrawings, isAllowedAttachmentType, getDataUrlSize, formatFileSize, MAX_ATTACHMENT_SIZE } from '../shared/utils.js';
 import { backgroundLogger as defaultLog } from '../shared/logger.js';
 import { t } from '../shared/i18n.js';
+import { createAnchorHealthChecker } from './anchorHealth.js';
+import { cropScreenshot as defaultCropScreenshot, isValidRect } from './screenshots.js';
+import {
+  saveLocalFile as defaultSaveLocalFile,
+  getLocalFile as defaultGetLocalFile,
+  deleteLocalFile as defaultDeleteLocalFile,
+  FILE_STORES
+} from '../shared/fileStore.js';
 
 /**
  * Create handlers with injected dependencies
@@ -22,26 +30,54 @@ export function createHandlers(deps = {}) {
     getCurrentUser,
     createNote,
     getNotesForUrl,
+    getNotesForDomain,
     updateNoteInFirestore,
     deleteNoteFromFirestore,
     shareNoteInFirestore,
     unshareNoteInFirestore,
     leaveSharedNoteInFirestore,
+    toggleNoteReactionInFirestore,
     isFirebaseConfigured,
     // Comment service functions
     createCommentInFirestore,
     getCommentsForNoteFromFirestore,
     updateCommentInFirestore,
+    toggleCommentReactionInFirestore,
+    setCommentThreadResolvedInFirestore,
+    setAcceptedAnswerInFirestore,
     deleteCommentFromFirestore,
+    // Revision service functions
+    recordRevisionInFirestore,
+    getRevisionsForNoteFromFirestore,
+    getRevisionFromFirestore,
+    // Presence service functions
+    setPresenceInFirestore,
+    clearPresenceInFirestore,
+    // Notification service functions
+    getMentionNotifications,
+    markNotificationReadInFirestore,
+    // Screenshot storage functions
+    uploadScreenshotToStorage,
+    deleteScreenshotFromStorage,
+    cropScreenshot = defaultCropScreenshot,
+    // Attachment storage functions
+    uploadAttachmentToStorage,
+    deleteAttachmentFromStorage,
+    // Local file storage for signed-out users
+    saveLocalFile = defaultSaveLocalFile,
+    getLocalFile = defaultGetLocalFile,
+    deleteLocalFile = defaultDeleteLocalFile,
     // Real-time subscription functions
     subscribeToNotesForUrl,
     subscribeToComments,
+    subscribeToPresence,
     // Global shared notes subscription
     subscribeToSharedNotes,
     getSharedNotesForUser,
     noteSubscriptions = new Map(),
     commentSubscriptions = new Map(),
     sharedNotesSubscription = { current: null },
+    anchorHealthChecker: injectedAnchorHealthChecker,
     generateId = defaultGenerateId,
     isValidEmail = defaultIsValidEmail,
     log = defaultLog,
@@ -50,6 +86,13 @@ export function createHandlers(deps = {}) {
     chromeAction = typeof chrome !== 'undefined' ? chrome.action : null
   } = deps;
 
+  const anchorHealthChecker = injectedAnchorHealthChecker || createAnchorHealthChecker({
+    chromeTabs,
+    chromeStorage,
+    injectContentScript: injectContentScriptIntoTab,
+    log
+  });
+
   /**
    * Handle incoming messages
    * @param {Object} message - Message object
@@ -69,7 +112,7 @@ export function createHandlers(deps = {}) {
         return getNotes(message.url);
       
       case 'saveNote':
-        return saveNote(message.note);
+        return saveNote(message.note, message.screenshot);
       
       case 'updateNote':
         return updateNote(message.note);
@@ -86,6 +129,9 @@ export function createHandlers(deps = {}) {
       case 'leaveSharedNote':
         return leaveSharedNote(message.noteId);
       
+      case 'toggleNoteReaction':
+        return toggleNoteReaction(message.noteId, message.reaction);
+      
       case 'getUser':
         return getUser();
       
@@ -95,6 +141,22 @@ export function createHandlers(deps = {}) {
       case 'captureScreenshot':
         return captureScreenshot();
       
+      case 'captureNoteScreenshot':
+        return captureNoteScreenshot(message.rect, message.viewport, sender);
+      
+      case 'getNoteScreenshot':
+        return getNoteScreenshot(message.screenshot);
+      
+      // Attachment actions
+      case 'uploadAttachment':
+        return uploadAttachmentHandler(message.file);
+      
+      case 'deleteAttachment':
+        return deleteAttachmentHandler(message.attachment);
+      
+      case 'getAttachment':
+        return getAttachment(message.attachment);
+      
       // Comment actions
       case 'addComment':
         return addComment(message.noteId, message.comment);
@@ -105,9 +167,25 @@ export function createHandlers(deps = {}) {
       case 'deleteComment':
         return deleteCommentHandler(message.noteId, message.commentId);
       
+      case 'toggleCommentReaction':
+        return toggleCommentReaction(message.noteId, message.commentId, message.reaction);
+      
+      case 'resolveCommentThread':
+        return resolveCommentThread(message.noteId, message.commentId, message.resolved);
+      
+      case 'acceptCommentAnswer':
+        return acceptCommentAnswer(message.noteId, message.commentId, message.answerId);
+      
       case 'getComments':
         return getComments(message.noteId);
       
+      // Revision actions
+      case 'getRevisions':
+        return getRevisions(message.noteId);
+      
+      case 'restoreRevision':
+        return restoreRevision(message.noteId, message.revisionId, message.original);
+      
       // Real-time subscription actions
       case 'subscribeToNotes':
         return subscribeNotes(message.url, sender);
@@ -115,6 +193,9 @@ export function createHandlers(deps = {}) {
       case 'unsubscribeFromNotes':
         return unsubscribeNotes(sender);
       
+      case 'updatePresence':
+        return updatePresence(message, sender);
+      
       case 'subscribeToComments':
         return subscribeCommentsHandler(message.noteId, sender);
       
@@ -146,15 +227,35 @@ export function createHandlers(deps = {}) {
       case 'getUnreadSharedNotes':
         return getUnreadSharedNotes();
       
+      case 'getAssignedNotes':
+        return getAssignedNotes();
+      
       case 'markSharedNoteRead':
         return markSharedNoteRead(message.noteId);
       
+      // @mentions in comments
+      case 'getMentions':
+        return getMentions();
+      
+      case 'markMentionRead':
+        return markMentionRead(message.notificationId);
+      
       case 'subscribeToSharedNotesGlobal':
         return subscribeToSharedNotesGlobal();
       
       case 'unsubscribeFromSharedNotesGlobal':
         return unsubscribeFromSharedNotesGlobal();
       
+      // Site-wide anchor health check
+      case 'startAnchorHealthCheck':
+        return startAnchorHealthCheck(message.origin);
+      
+      case 'getAnchorHealthReport':
+        return getAnchorHealthReport();
+      
+      case 'cancelAnchorHealthCheck':
+        return cancelAnchorHealthCheck();
+      
       default:
         log.warn('Unknown action received:', message.action, 'Full message:', JSON.stringify(message));
         return { success: false, error: t('unknownAction') };
@@ -288,6 +389,15 @@ export function createHandlers(deps = {}) {
             theme: note.theme || 'yellow',
             position: note.position || { anchor: 'top-right' },
             anchorText: note.anchorText || '',
+            anchorFingerprint: note.anchorFingerprint || null,
+            textAnchor: note.textAnchor || null,
+            anchorRegion: note.anchorRegion || null,
+            anchorHistory: note.anchorHistory || [],
+            responsiveAnchors: note.responsiveAnchors || [],
+            verifiedBreakpoints: note.verifiedBreakpoints || {},
+            status: note.status,
+            dueDate: note.dueDate || null,
+            tags: note.tags || [],
             metadata: note.metadata || {},
             createdAt: note.createdAt || new Date().toISOString()
           };
@@ -398,9 +508,11 @@ export function createHandlers(deps = {}) {
    * Called after popup has already obtained permission
    * @param {number} tabId - Tab ID
    * @param {string} url - Tab URL
+   * @param {Object} options - Options
+   * @param {boolean} options.checkOnly - Start the app in check-only mode (anchor health tabs)
    * @returns {Promise<Object>} Result
    */
-  async function injectContentScriptIntoTab(tabId, url) {
+  async function injectContentScriptIntoTab(tabId, url, options = {}) {
     try {
       // Skip restricted URLs
       if (!url || url.startsWith('chrome://') || url.startsWith('chrome-extension://') || 
@@ -416,6 +528,18 @@ export function createHandlers(deps = {}) {
         // Not injected, proceed
       }
 
+      // A check-only app answers anchor health checks without loading notes,
+      // joining presence or re-anchoring; the flag is read by the content script
+      // entry, which shares this isolated world
+      if (options.checkOnly) {
+        await chrome.scripting.executeScript({
+          target: { tabId, allFrames: true },
+          func: () => {
+            window.__stickyNotesCheckOnly = true;
+          }
+        });
+      }
+
       // Inject content scripts (permission should already be granted by popup)
       // allFrames: true is required to inject into iframes, matching the old declarative manifest
       await chrome.scripting.executeScript({
@@ -491,18 +615,21 @@ export function createHandlers(deps = {}) {
    * Save a new note
    * Uses Firestore if configured, otherwise falls back to local storage
    * @param {Object} note - Note object
+   * @param {Object} screenshot - Screenshot taken at creation { dataUrl, width, height }, if any
    */
-  async function saveNote(note) {
+  async function saveNote(note, screenshot = null) {
     try {
       const user = await getUserIfConfigured();
       
       // Try Firestore first if configured and user is logged in
       if (isFirebaseConfigured() && user) {
+        const screenshotRef = await storeScreenshot(screenshot, user);
         try {
-          const newNote = await createNote(note, user.uid, user.email);
+          const newNote = await createNote({ ...note, screenshot: screenshotRef }, user.uid, user.email);
           return { success: true, note: newNote };
         } catch (error) {
           log.error('Firestore save failed, falling back to local storage:', error);
+          await discardScreenshot(screenshotRef, user);
         }
       }
       
@@ -513,10 +640,14 @@ export function createHandlers(deps = {}) {
       // Add note with generated ID and timestamps
       const newNote = {
         ...note,
+        screenshot: await storeScreenshot(screenshot, null),
         id: generateId('note'),
         ownerId: user?.uid || 'local',
         ownerEmail: user?.email || null,
         isHidden: note.isHidden || false,
+        tags: normalizeTags(note.tags),
+        attachments: normalizeAttachments(note.attachments),
+        drawings: normalizeDrawings(note.drawings),
         createdAt: new Date().toISOString(),
         updatedAt: new Date().toISOString()
       };
@@ -538,13 +669,22 @@ export function createHandlers(deps = {}) {
   async function updateNote(note) {
     try {
       const user = await getUserIfConfigured();
+      // baseUpdatedAt only guards the Firestore write; it is not a note field
+      const fields = { ...note };
+      delete fields.baseUpdatedAt;
       
       // Try Firestore first if configured and user is logged in
       if (isFirebaseConfigured() && user) {
         try {
-          await updateNoteInFirestore(note.id, note, user.uid);
-          return { success: true, note };
+          const { previous, updatedAt } = await updateNoteInFirestore(note.id, note, user.uid);
+          await recordContentRevision(fields, previous, user);
+          // The committed updatedAt lets the editor base its next save on this one
+          return { success: true, note: updatedAt ? { ...fields, updatedAt } : fields };
         } catch (error) {
+          // Someone else changed the content first - don't overwrite it locally either
+          if (error.code === 'edit-conflict') {
+            return { success: false, conflict: true, content: error.currentContent, updatedAt: error.currentUpdatedAt, error: t('editConflict') };
+          }
           log.error('Firestore update failed, falling back to local storage:', error);
         }
       }
@@ -560,9 +700,18 @@ export function createHandlers(deps = {}) {
       
       notes[index] = {
         ...notes[index],
-        ...note,
+        ...fields,
         updatedAt: new Date().toISOString()
       };
+      if (note.tags !== undefined) {
+        notes[index].tags = normalizeTags(note.tags);
+      }
+      if (note.attachments !== undefined) {
+        notes[index].attachments = normalizeAttachments(note.attachments);
+      }
+      if (note.drawings !== undefined) {
+        notes[index].drawings = normalizeDrawings(note.drawings);
+      }
       
       await chromeStorage.local.set({ notes });
       
@@ -572,6 +721,31 @@ export function createHandlers(deps = {}) {
     }
   }
 
+  /**
+   * Record a revision when a Firestore save changed the note content
+   * History is best-effort: a failure here must not fail the save itself.
+   * @param {Object} note - Saved note fields
+   * @param {Object} previous - Note data before the save
+   * @param {Object} user - Current user
+   */
+  async function recordContentRevision(note, previous, user) {
+    if (!recordRevisionInFirestore || !previous || note.content === undefined) {
+      return;
+    }
+    const previousContent = previous.content || '';
+    if (note.content === previousContent) {
+      return;
+    }
+    try {
+      await recordRevisionInFirestore(note.id, {
+        content: note.content,
+        previousContent
+      }, user);
+    } catch (error) {
+      log.warn('Failed to record note revision:', error);
+    }
+  }
+
   /**
    * Delete a note
    * Uses Firestore if configured, otherwise falls back to local storage
@@ -584,7 +758,9 @@ export function createHandlers(deps = {}) {
       // Try Firestore first if configured and user is logged in
       if (isFirebaseConfigured() && user) {
         try {
-          await deleteNoteFromFirestore(noteId, user.uid);
+          const deleted = await deleteNoteFromFirestore(noteId, user.uid);
+          await discardScreenshot(deleted?.screenshot, user);
+          await discardAttachments(deleted?.attachments, user);
           return { success: true };
         } catch (error) {
           // Check for permission errors - don't fall back to local storage for these
@@ -603,13 +779,15 @@ export function createHandlers(deps = {}) {
       const result = await chromeStorage.local.get(['notes']);
       const notes = result.notes || [];
       
-      const filteredNotes = notes.filter(item => item.id !== noteId);
+      const deleted = notes.find(item => item.id === noteId);
       
-      if (filteredNotes.length === notes.length) {
+      if (!deleted) {
         return { success: false, error: t('noteNotFound') };
       }
       
-      await chromeStorage.local.set({ notes: filteredNotes });
+      await chromeStorage.local.set({ notes: notes.filter(item => item.id !== noteId) });
+      await discardScreenshot(deleted.screenshot, user);
+      await discardAttachments(deleted.attachments, user);
       
       return { success: true };
     } catch (error) {
@@ -736,6 +914,41 @@ export function createHandlers(deps = {}) {
     }
   }
 
+  /**
+   * Add or remove the current user's reaction on a note
+   * @param {string} noteId - Note ID
+   * @param {string} reaction - Reaction type
+   * @returns {Promise<Object>} Result with the note's reactions
+   */
+  async function toggleNoteReaction(noteId, reaction) {
+    try {
+      if (!isFirebaseConfigured()) {
+        return { success: false, error: t('reactionsRequireFirebase') };
+      }
+
+      const user = await getUserIfConfigured();
+      
+      if (!user) {
+        return { success: false, error: t('mustBeLoggedInToReact') };
+      }
+      
+      if (!noteId || typeof noteId !== 'string') {
+        return { success: false, error: t('invalidNoteId') };
+      }
+      
+      if (!toggleNoteReactionInFirestore) {
+        return { success: false, error: 'Reaction service not available' };
+      }
+      
+      const reactions = await toggleNoteReactionInFirestore(noteId, reaction, user);
+      
+      return { success: true, reactions };
+    } catch (error) {
+      log.error('Toggle note reaction error:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
   /**
    * Capture a screenshot of the current tab
    * @returns {Promise<Object>} Result with dataUrl or error
@@ -766,6 +979,223 @@ export function createHandlers(deps = {}) {
     }
   }
 
+  /**
+   * Capture the visible tab around a new note's anchor
+   * @param {Object} rect - Anchor rect in viewport CSS pixels { x, y, width, height }
+   * @param {Object} viewport - Viewport size in CSS pixels { width, height }
+   * @param {Object} sender - Message sender (the tab creating the note)
+   * @returns {Promise<Object>} Result with screenshot { dataUrl, width, height } or error
+   */
+  async function captureNoteScreenshot(rect, viewport, sender) {
+    try {
+      if (!chromeTabs) {
+        return { success: false, error: t('tabsApiNotAvailable') };
+      }
+      
+      if (!isValidRect(rect) || !(viewport?.width > 0) || !(viewport?.height > 0)) {
+        return { success: false, error: 'Invalid anchor position' };
+      }
+      
+      // Only the active tab of a window can be captured
+      const tab = sender?.tab;
+      if (!tab || tab.active === false) {
+        return { success: false, error: t('noActiveTab') };
+      }
+      
+      const dataUrl = await chromeTabs.captureVisibleTab(tab.windowId, { format: 'png' });
+      const screenshot = await cropScreenshot(dataUrl, rect, viewport);
+      
+      return { success: true, screenshot };
+    } catch (error) {
+      log.error('Note screenshot capture error:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Store a note's creation screenshot
+   * Signed-in users get Cloud Storage so collaborators see it too; everyone else IndexedDB.
+   * A screenshot that can't be stored is dropped rather than failing the note.
+   * @param {Object} screenshot - Screenshot { dataUrl, width, height }, if any
+   * @param {Object|null} user - Signed-in user, or null to store locally
+   * @returns {Promise<Object|null>} Screenshot reference to keep on the note
+   */
+  async function storeScreenshot(screenshot, user) {
+    if (!screenshot?.dataUrl) {
+      return null;
+    }
+    
+    const reference = {
+      id: generateId('screenshot'),
+      width: screenshot.width,
+      height: screenshot.height,
+      capturedAt: new Date().toISOString()
+    };
+    
+    try {
+      if (user && uploadScreenshotToStorage) {
+        const { path, url } = await uploadScreenshotToStorage(reference.id, screenshot.dataUrl, user);
+        return { ...reference, storage: 'cloud', path, url };
+      }
+      
+      await saveLocalFile(FILE_STORES.SCREENSHOTS, reference.id, screenshot.dataUrl);
+      return { ...reference, storage: 'local' };
+    } catch (error) {
+      log.error('Failed to store note screenshot:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Delete a stored screenshot
+   * @param {Object} reference - Screenshot reference from a note, if any
+   * @param {Object|null} user - Signed-in user
+   * @returns {Promise<void>}
+   */
+  async function discardScreenshot(reference, user) {
+    if (!reference) {
+      return;
+    }
+    
+    try {
+      if (reference.storage === 'cloud') {
+        if (user && deleteScreenshotFromStorage) {
+          await deleteScreenshotFromStorage(reference.path, user);
+        }
+      } else {
+        await deleteLocalFile(FILE_STORES.SCREENSHOTS, reference.id);
+      }
+    } catch (error) {
+      log.warn('Failed to delete note screenshot:', error);
+    }
+  }
+
+  /**
+   * Get an image source for a note's screenshot
+   * Content scripts can't read the extension's IndexedDB, so local screenshots come through here
+   * @param {Object} reference - Screenshot reference from a note
+   * @returns {Promise<Object>} Result with src (URL or data URL) or error
+   */
+  async function getNoteScreenshot(reference) {
+    try {
+      if (!reference?.id) {
+        return { success: false, error: t('screenshotNotFound') };
+      }
+      
+      const src = reference.storage === 'cloud' ? reference.url : await getLocalFile(FILE_STORES.SCREENSHOTS, reference.id);
+      
+      if (!src) {
+        return { success: false, error: t('screenshotNotFound') };
+      }
+      
+      return { success: true, src };
+    } catch (error) {
+      log.error('Get note screenshot error:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Store a file attached to a note or comment
+   * Signed-in users get Cloud Storage so collaborators can open it; everyone else IndexedDB.
+   * The size limit applies to the decoded data, not the size the page reports.
+   * @param {Object} file - File { name, type, size, dataUrl }
+   * @returns {Promise<Object>} Result with the attachment reference to keep, or error
+   */
+  async function uploadAttachmentHandler(file) {
+    try {
+      const size = getDataUrlSize(file?.dataUrl);
+      if (!file || typeof file.name !== 'string' || !isAllowedAttachmentType(file.type) ||
+          size === null || !file.dataUrl.startsWith(`data:${file.type}`)) {
+        return { success: false, error: t('attachmentTypeNotAllowed') };
+      }
+      
+      if (size > MAX_ATTACHMENT_SIZE) {
+        return { success: false, error: t('attachmentTooLarge', [formatFileSize(MAX_ATTACHMENT_SIZE)]) };
+      }
+      
+      const user = await getUserIfConfigured();
+      const reference = {
+        id: generateId('attachment'),
+        name: file.name,
+        type: file.type,
+        size
+      };
+      
+      if (isFirebaseConfigured() && user && uploadAttachmentToStorage) {
+        const { path, url } = await uploadAttachmentToStorage(reference.id, file, user);
+        return { success: true, attachment: { ...reference, storage: 'cloud', path, url } };
+      }
+      
+      await saveLocalFile(FILE_STORES.ATTACHMENTS, reference.id, file.dataUrl);
+      return { success: true, attachment: { ...reference, storage: 'local' } };
+    } catch (error) {
+      log.error('Upload attachment error:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Delete a file that was removed from a note or comment
+   * @param {Object} attachment - Attachment reference
+   * @returns {Promise<Object>} Result
+   */
+  async function deleteAttachmentHandler(attachment) {
+    const user = await getUserIfConfigured();
+    await discardAttachments([attachment], user);
+    return { success: true };
+  }
+
+  /**
+   * Delete stored attachment files
+   * Files uploaded by someone else stay: only the uploader may delete them.
+   * @param {Object[]} attachments - Attachment references, if any
+   * @param {Object|null} user - Signed-in user
+   * @returns {Promise<void>}
+   */
+  async function discardAttachments(attachments, user) {
+    for (const attachment of Array.isArray(attachments) ? attachments : []) {
+      if (!attachment?.id) {
+        continue;
+      }
+      try {
+        if (attachment.storage === 'cloud') {
+          if (user && deleteAttachmentFromStorage) {
+            await deleteAttachmentFromStorage(attachment.path, user);
+          }
+        } else {
+          await deleteLocalFile(FILE_STORES.ATTACHMENTS, attachment.id);
+        }
+      } catch (error) {
+        log.warn('Failed to delete attachment:', error);
+      }
+    }
+  }
+
+  /**
+   * Get a URL for an attachment
+   * @param {Object} attachment - Attachment reference
+   * @returns {Promise<Object>} Result with src (URL or data URL) or error
+   */
+  async function getAttachment(attachment) {
+    try {
+      if (!attachment?.id) {
+        return { success: false, error: t('attachmentNotFound') };
+      }
+      
+      const src = attachment.storage === 'cloud' ? attachment.url : await getLocalFile(FILE_STORES.ATTACHMENTS, attachment.id);
+      
+      if (!src) {
+        return { success: false, error: t('attachmentNotFound') };
+      }
+      
+      return { success: true, src };
+    } catch (error) {
+      log.error('Get attachment error:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
   /**
    * Add a comment to a note
    * @param {string} noteId - Note ID
@@ -829,6 +1259,102 @@ export function createHandlers(deps = {}) {
     }
   }
 
+  /**
+   * Add or remove the current user's reaction on a comment
+   * @param {string} noteId - Note ID
+   * @param {string} commentId - Comment ID
+   * @param {string} reaction - Reaction type
+   * @returns {Promise<Object>} Result with the comment's reactions
+   */
+  async function toggleCommentReaction(noteId, commentId, reaction) {
+    try {
+      if (!isFirebaseConfigured()) {
+        return { success: false, error: t('commentsRequireFirebase') };
+      }
+
+      const user = await getUserIfConfigured();
+      
+      if (!user) {
+        return { success: false, error: t('mustBeLoggedInToReact') };
+      }
+      
+      if (!toggleCommentReactionInFirestore) {
+        return { success: false, error: 'Comment service not available' };
+      }
+      
+      const reactions = await toggleCommentReactionInFirestore(noteId, commentId, reaction, user);
+      
+      return { success: true, reactions };
+    } catch (error) {
+      log.error('Toggle comment reaction error:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Resolve or reopen a comment thread
+   * @param {string} noteId - Note ID
+   * @param {string} commentId - Top-level comment ID
+   * @param {boolean} resolved - True to resolve, false to reopen
+   * @returns {Promise<Object>} Result with the thread state
+   */
+  async function resolveCommentThread(noteId, commentId, resolved) {
+    try {
+      if (!isFirebaseConfigured()) {
+        return { success: false, error: t('commentsRequireFirebase') };
+      }
+
+      const user = await getUserIfConfigured();
+      
+      if (!user) {
+        return { success: false, error: t('mustBeLoggedInToComment') };
+      }
+      
+      if (!setCommentThreadResolvedInFirestore) {
+        return { success: false, error: 'Comment service not available' };
+      }
+      
+      const thread = await setCommentThreadResolvedInFirestore(noteId, commentId, resolved, user);
+      
+      return { success: true, thread };
+    } catch (error) {
+      log.error('Resolve comment thread error:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Mark a reply as the accepted answer of its thread, or clear it
+   * @param {string} noteId - Note ID
+   * @param {string} commentId - Top-level comment ID
+   * @param {string|null} answerId - Reply ID, or null to clear
+   * @returns {Promise<Object>} Result with the thread state
+   */
+  async function acceptCommentAnswer(noteId, commentId, answerId) {
+    try {
+      if (!isFirebaseConfigured()) {
+        return { success: false, error: t('commentsRequireFirebase') };
+      }
+
+      const user = await getUserIfConfigured();
+      
+      if (!user) {
+        return { success: false, error: t('mustBeLoggedInToComment') };
+      }
+      
+      if (!setAcceptedAnswerInFirestore) {
+        return { success: false, error: 'Comment service not available' };
+      }
+      
+      const thread = await setAcceptedAnswerInFirestore(noteId, commentId, answerId ?? null, user);
+      
+      return { success: true, thread };
+    } catch (error) {
+      log.error('Accept comment answer error:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
   /**
    * Delete a comment
    * @param {string} noteId - Note ID
@@ -851,7 +1377,8 @@ export function createHandlers(deps = {}) {
         return { success: false, error: 'Comment service not available' };
       }
       
-      await deleteCommentFromFirestore(noteId, commentId, user.uid);
+      const removedAttachments = await deleteCommentFromFirestore(noteId, commentId, user.uid);
+      await discardAttachments(removedAttachments, user);
       
       return { success: true };
     } catch (error) {
@@ -890,6 +1417,81 @@ export function createHandlers(deps = {}) {
     }
   }
 
+  /**
+   * Get the revision history for a note
+   * @param {string} noteId - Note ID
+   * @returns {Promise<Object>} Result with revisions array (newest first)
+   */
+  async function getRevisions(noteId) {
+    try {
+      if (!isFirebaseConfigured()) {
+        return { success: false, error: t('historyRequiresFirebase') };
+      }
+
+      const user = await getUserIfConfigured();
+      
+      if (!user) {
+        return { success: false, error: t('signInToViewHistory') };
+      }
+      
+      if (!getRevisionsForNoteFromFirestore) {
+        return { success: false, error: 'Revision service not available' };
+      }
+      
+      const revisions = await getRevisionsForNoteFromFirestore(noteId, user);
+      
+      return { success: true, revisions };
+    } catch (error) {
+      log.error('Get revisions error:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Restore a note's content from a revision
+   * The restore is itself recorded as a revision, so it can be undone.
+   * @param {string} noteId - Note ID
+   * @param {string} revisionId - Revision ID
+   * @param {boolean} original - Restore the content from before the revision instead of after it
+   * @returns {Promise<Object>} Result with the restored content
+   */
+  async function restoreRevision(noteId, revisionId, original = false) {
+    try {
+      if (!isFirebaseConfigured()) {
+        return { success: false, error: t('historyRequiresFirebase') };
+      }
+
+      const user = await getUserIfConfigured();
+      
+      if (!user) {
+        return { success: false, error: t('signInToViewHistory') };
+      }
+      
+      if (!getRevisionFromFirestore || !recordRevisionInFirestore) {
+        return { success: false, error: 'Revision service not available' };
+      }
+      
+      const revision = await getRevisionFromFirestore(noteId, revisionId, user);
+      const content = (original ? revision.previousContent : revision.content) || '';
+      const { previous } = await updateNoteInFirestore(noteId, { content }, user.uid);
+      
+      try {
+        await recordRevisionInFirestore(noteId, {
+          content,
+          previousContent: previous?.content || '',
+          restoredFrom: revisionId
+        }, user);
+      } catch (error) {
+        log.warn('Failed to record restore revision:', error);
+      }
+      
+      return { success: true, content };
+    } catch (error) {
+      log.error('Restore revision error:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
   /**
    * Subscribe to real-time note updates for a URL
    * @param {string} url - Page URL
@@ -963,7 +1565,17 @@ export function createHandlers(deps = {}) {
         }
       );
       
-      noteSubscriptions.set(subKey, { url, frameId, unsubscribe });
+      // Collaborator presence rides along with the notes subscription for the same page
+      const unsubscribePresence = await subscribePagePresence(url, user, tabId, frameId);
+      
+      noteSubscriptions.set(subKey, {
+        url,
+        frameId,
+        unsubscribe: () => {
+          unsubscribe();
+          unsubscribePresence();
+        }
+      });
       log.debug('Subscribed to notes for tab', tabId, 'frame', frameId, 'url', url);
       
       return { success: true };
@@ -1083,6 +1695,103 @@ export function createHandlers(deps = {}) {
     }
   }
 
+  /**
+   * Push collaborator presence for a page to one frame
+   * The returned function stops the updates and removes the page's own presence.
+   * Presence is best-effort, so failures never block the notes subscription.
+   * @param {string} url - Page URL
+   * @param {Object} user - Current user
+   * @param {number} tabId - Tab ID
+   * @param {number} frameId - Frame ID
+   * @returns {Promise<Function>} Unsubscribe function
+   */
+  async function subscribePagePresence(url, user, tabId, frameId) {
+    if (!subscribeToPresence) {
+      return () => {};
+    }
+    
+    const sessionKey = `${tabId}-${frameId}`;
+    let unsubscribe;
+    try {
+      unsubscribe = await subscribeToPresence(
+        url,
+        user,
+        (viewers) => {
+          if (chromeTabs) {
+            chromeTabs.sendMessage(tabId, {
+              action: 'presenceUpdated',
+              viewers
+            }, { frameId }).catch(() => {});
+          }
+        },
+        (error) => {
+          log.warn('Presence subscription error:', error);
+        }
+      );
+    } catch (error) {
+      log.warn('Failed to subscribe to presence:', error);
+      return () => {};
+    }
+    
+    return () => {
+      if (typeof unsubscribe === 'function') {
+        unsubscribe();
+      }
+      if (clearPresenceInFirestore) {
+        Promise.resolve(clearPresenceInFirestore(sessionKey, user)).catch(error => {
+          log.debug('Failed to clear presence:', error);
+        });
+      }
+    };
+  }
+  
+  /**
+   * Publish the current user's presence on the subscribed page
+   * @param {Object} state - Presence state from the content script
+   * @param {string[]} state.audience - Collaborator emails on the page's shared notes
+   * @param {string|null} state.editingNoteId - Note being edited, if any
+   * @param {string|null} state.typingNoteId - Note whose comment is being typed, if any
+   * @param {Object} sender - Message sender
+   * @returns {Promise<Object>} Response
+   */
+  async function updatePresence(state, sender) {
+    try {
+      const tabId = sender?.tab?.id;
+      const frameId = sender?.frameId ?? 0;
+      if (!tabId) {
+        return { success: false, error: 'Tab ID not available' };
+      }
+      
+      if (!isFirebaseConfigured() || !setPresenceInFirestore) {
+        return { success: false, error: t('realtimeSyncRequiresFirebase') };
+      }
+      
+      const user = await getUserIfConfigured();
+      if (!user) {
+        return { success: false, error: t('mustBeLoggedInForRealtime') };
+      }
+      
+      // Presence is tied to the page's notes subscription
+      const subKey = `${tabId}-${frameId}`;
+      const sub = noteSubscriptions.get(subKey);
+      if (!sub) {
+        return { success: false, error: 'Not subscribed to notes' };
+      }
+      
+      await setPresenceInFirestore(subKey, {
+        url: sub.url,
+        audience: state.audience || [],
+        editingNoteId: state.editingNoteId || null,
+        typingNoteId: state.typingNoteId || null
+      }, user);
+      
+      return { success: true };
+    } catch (error) {
+      log.error('Update presence error:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
   /**
    * Unsubscribe from comment updates
    * @param {string} noteId - Note ID
@@ -1261,6 +1970,37 @@ export function createHandlers(deps = {}) {
     }
   }
 
+  /**
+   * Get shared notes assigned to the current user, soonest due first
+   * @returns {Promise<Object>} Result with notes array
+   */
+  async function getAssignedNotes() {
+    try {
+      const user = await getUserIfConfigured();
+      
+      if (!user || !user.email) {
+        return { success: true, notes: [] };
+      }
+      
+      if (!isFirebaseConfigured() || !getSharedNotesForUser) {
+        return { success: true, notes: [] };
+      }
+      
+      const email = user.email.toLowerCase();
+      const sharedNotes = await getSharedNotesForUser(email);
+      
+      // Notes without a due date go last
+      const assignedNotes = sharedNotes
+        .filter(note => note.assignee === email)
+        .sort((first, second) => (first.dueDate || '9999-12-31').localeCompare(second.dueDate || '9999-12-31'));
+      
+      return { success: true, notes: assignedNotes };
+    } catch (error) {
+      log.error('Get assigned notes error:', error);
+      return { success: false, notes: [], error: error.message };
+    }
+  }
+
   /**
    * Mark a shared note as read
    * @param {string} noteId - Note ID to mark as read
@@ -1298,14 +2038,66 @@ export function createHandlers(deps = {}) {
   }
 
   /**
-   * Update the extension icon badge with unread shared notes count
+   * Get the current user's recent @mentions in comments
+   * @returns {Promise<Object>} Result with mentions array and unreadCount
+   */
+  async function getMentions() {
+    try {
+      const user = await getUserIfConfigured();
+      
+      if (!user || !user.email || !isFirebaseConfigured() || !getMentionNotifications) {
+        return { success: true, mentions: [], unreadCount: 0 };
+      }
+      
+      const mentions = await getMentionNotifications(user);
+      
+      return { success: true, mentions, unreadCount: mentions.filter(mention => !mention.read).length };
+    } catch (error) {
+      log.error('Get mentions error:', error);
+      return { success: false, mentions: [], unreadCount: 0, error: error.message };
+    }
+  }
+
+  /**
+   * Mark an @mention notification as read
+   * @param {string} notificationId - Notification ID
+   * @returns {Promise<Object>} Result
+   */
+  async function markMentionRead(notificationId) {
+    try {
+      const user = await getUserIfConfigured();
+      
+      if (!user) {
+        return { success: false, error: t('mustBeLoggedInToShare') };
+      }
+      
+      if (!notificationId) {
+        return { success: false, error: 'Notification ID required' };
+      }
+      
+      if (!isFirebaseConfigured() || !markNotificationReadInFirestore) {
+        return { success: false, error: t('realtimeSyncRequiresFirebase') };
+      }
+      
+      await markNotificationReadInFirestore(notificationId, user);
+      await updateUnreadSharedBadge();
+      
+      return { success: true };
+    } catch (error) {
+      log.error('Mark mention read error:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Update the extension icon badge with unread shared notes and @mentions
    * Called internally when shared notes change
    * @returns {Promise<Object>} Result
    */
   async function updateUnreadSharedBadge() {
     try {
-      const result = await getUnreadSharedCount();
-      const count = result.count || 0;
+      const [result, mentions] = await Promise.all([getUnreadSharedCount(), getMentions()]);
+      const count = (result.count || 0) + (mentions.unreadCount || 0);
       
       if (!chromeAction) {
         return { success: false, error: 'Action API not available' };
@@ -1399,6 +2191,83 @@ export function createHandlers(deps = {}) {
     }
   }
 
+  /**
+   * Get every note on a site
+   * Uses Firestore if configured, otherwise falls back to local storage
+   * @param {string} origin - Site origin
+   * @returns {Promise<Array>} Notes on the site
+   */
+  async function getNotesForSite(origin) {
+    const user = await getUserIfConfigured();
+    
+    if (isFirebaseConfigured() && user) {
+      try {
+        return await getNotesForDomain(origin, user.uid, user.email);
+      } catch (error) {
+        log.error('Firestore site notes query failed:', error.message);
+        log.warn('Falling back to local storage');
+      }
+    }
+    
+    const result = await chromeStorage.local.get(['notes']);
+    return (result.notes || []).filter(note => {
+      try {
+        return new URL(note.url).origin === origin;
+      } catch {
+        return false;
+      }
+    });
+  }
+
+  /**
+   * Start checking the anchors of every note on a site
+   * Pages are opened in background tabs; progress is saved to local storage
+   * @param {string} origin - Site origin, e.g. "https://example.com"
+   * @returns {Promise<Object>} Result with the initial report
+   */
+  async function startAnchorHealthCheck(origin) {
+    try {
+      let siteOrigin;
+      try {
+        const parsed = new URL(origin);
+        if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+          return { success: false, error: 'Restricted URL' };
+        }
+        siteOrigin = parsed.origin;
+      } catch {
+        return { success: false, error: 'Invalid origin' };
+      }
+      
+      const notes = await getNotesForSite(siteOrigin);
+      return await anchorHealthChecker.start(siteOrigin, notes);
+    } catch (error) {
+      log.error('Start anchor health check error:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Get the latest anchor health report
+   * @returns {Promise<Object>} Result with report (null if none) and running flag
+   */
+  async function getAnchorHealthReport() {
+    try {
+      const report = await anchorHealthChecker.getReport();
+      return { success: true, report, running: anchorHealthChecker.isRunning() };
+    } catch (error) {
+      log.error('Get anchor health report error:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Cancel the running anchor health check
+   * @returns {Object} Result
+   */
+  function cancelAnchorHealthCheck() {
+    return anchorHealthChecker.cancel();
+  }
+
   return {
     handleMessage,
     handleLogin,
@@ -1411,15 +2280,28 @@ export function createHandlers(deps = {}) {
     shareNote,
     unshareNote,
     leaveSharedNote,
+    toggleNoteReaction,
     captureScreenshot,
+    captureNoteScreenshot,
+    getNoteScreenshot,
+    uploadAttachment: uploadAttachmentHandler,
+    deleteAttachment: deleteAttachmentHandler,
+    getAttachment,
     // Comment handlers
     addComment,
     editComment,
+    toggleCommentReaction,
+    resolveCommentThread,
+    acceptCommentAnswer,
     deleteCommentHandler,
     getComments,
+    // Revision handlers
+    getRevisions,
+    restoreRevision,
     // Subscription handlers
     subscribeNotes,
     unsubscribeNotes,
+    updatePresence,
     subscribeCommentsHandler,
     unsubscribeCommentsHandler,
     // Badge management
@@ -1427,16 +2309,25 @@ export function createHandlers(deps = {}) {
     // Iframe support
     getTabUrl,
     broadcastDisableSelectionMode,
+    // Content script injection
+    injectContentScriptIntoTab,
     // Bulk operations
     getAllNotes,
     deleteAllNotes,
     // Unread shared notes
     getUnreadSharedCount,
     getUnreadSharedNotes,
+    getAssignedNotes,
     markSharedNoteRead,
+    getMentions,
+    markMentionRead,
     updateUnreadSharedBadge,
     subscribeToSharedNotesGlobal,
-    unsubscribeFromSharedNotesGlobal
+    unsubscribeFromSharedNotesGlobal,
+    // Anchor health check
+    startAnchorHealthCheck,
+    getAnchorHealthReport,
+    cancelAnchorHealthCheck
   };
 }
 
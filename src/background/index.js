@@ -11,6 +11,7 @@ import { generateId, isValidEmail } from '../shared/utils.js';
 import { backgroundLogger as log } from '../shared/logger.js';
 import { createHandlers } from './handlers.js';
 import { getUrlChangedMessageFromHistoryUpdate } from './navigation.js';
+import { getNoteTemplates, NOTE_TEMPLATES_KEY } from '../shared/noteTemplates.js';
 
 // Lazy-loading imports for Firebase (no SDK loaded at import time)
 import {
@@ -20,19 +21,36 @@ import {
   getCurrentUserLazy,
   createNoteLazy,
   getNotesForUrlLazy,
+  getNotesForDomainLazy,
   updateNoteLazy,
   deleteNoteLazy,
   shareNoteLazy,
   unshareNoteLazy,
   leaveSharedNoteLazy,
+  toggleNoteReactionLazy,
   subscribeToNotesForUrlLazy,
   subscribeToSharedNotesLazy,
   getSharedNotesForUserLazy,
   createCommentLazy,
   getCommentsForNoteLazy,
   updateCommentLazy,
+  toggleCommentReactionLazy,
+  setCommentThreadResolvedLazy,
+  setAcceptedAnswerLazy,
   deleteCommentLazy,
-  subscribeToCommentsLazy
+  subscribeToCommentsLazy,
+  recordRevisionLazy,
+  getRevisionsForNoteLazy,
+  getRevisionLazy,
+  setPresenceLazy,
+  clearPresenceLazy,
+  subscribeToPresenceLazy,
+  getMentionNotificationsLazy,
+  markNotificationReadLazy,
+  uploadScreenshotLazy,
+  deleteScreenshotLazy,
+  uploadAttachmentLazy,
+  deleteAttachmentLazy
 } from '../firebase/lazy.js';
 
 // Track active subscriptions by tab ID
@@ -42,6 +60,12 @@ const commentSubscriptions = new Map(); // `${tabId}-${noteId}` -> unsubscribe F
 // Track global shared notes subscription
 const sharedNotesSubscription = { current: null };
 
+// Context menu items for creating a note from a template are `${TEMPLATE_MENU_PREFIX}${templateId}`
+const TEMPLATE_MENU_ID = 'create-note-from-template';
+const TEMPLATE_MENU_PREFIX = 'note-template:';
+const NOTE_MENU_CONTEXTS = ['page', 'selection', 'image', 'link'];
+const MENU_URL_PATTERNS = ['http://*/*', 'https://*/*', 'file://*/*'];
+
 // Create handlers with lazy-loaded dependencies
 // These wrappers ensure Firebase is only loaded when actually used
 const handlers = createHandlers({
@@ -50,20 +74,42 @@ const handlers = createHandlers({
   getCurrentUser: getCurrentUserLazy,
   createNote: createNoteLazy,
   getNotesForUrl: getNotesForUrlLazy,
+  getNotesForDomain: getNotesForDomainLazy,
   updateNoteInFirestore: updateNoteLazy,
   deleteNoteFromFirestore: deleteNoteLazy,
   shareNoteInFirestore: shareNoteLazy,
   unshareNoteInFirestore: unshareNoteLazy,
   leaveSharedNoteInFirestore: leaveSharedNoteLazy,
+  toggleNoteReactionInFirestore: toggleNoteReactionLazy,
   isFirebaseConfigured: isFirebaseConfiguredSync,
   // Comment service functions
   createCommentInFirestore: createCommentLazy,
   getCommentsForNoteFromFirestore: getCommentsForNoteLazy,
   updateCommentInFirestore: updateCommentLazy,
+  toggleCommentReactionInFirestore: toggleCommentReactionLazy,
+  setCommentThreadResolvedInFirestore: setCommentThreadResolvedLazy,
+  setAcceptedAnswerInFirestore: setAcceptedAnswerLazy,
   deleteCommentFromFirestore: deleteCommentLazy,
+  // Revision service functions
+  recordRevisionInFirestore: recordRevisionLazy,
+  getRevisionsForNoteFromFirestore: getRevisionsForNoteLazy,
+  getRevisionFromFirestore: getRevisionLazy,
+  // Presence service functions
+  setPresenceInFirestore: setPresenceLazy,
+  clearPresenceInFirestore: clearPresenceLazy,
+  // Notification service functions
+  getMentionNotifications: getMentionNotificationsLazy,
+  markNotificationReadInFirestore: markNotificationReadLazy,
+  // Screenshot storage functions
+  uploadScreenshotToStorage: uploadScreenshotLazy,
+  deleteScreenshotFromStorage: deleteScreenshotLazy,
+  // Attachment storage functions
+  uploadAttachmentToStorage: uploadAttachmentLazy,
+  deleteAttachmentFromStorage: deleteAttachmentLazy,
   // Real-time subscription functions
   subscribeToNotesForUrl: subscribeToNotesForUrlLazy,
   subscribeToComments: subscribeToCommentsLazy,
+  subscribeToPresence: subscribeToPresenceLazy,
   // Global shared notes subscription
   subscribeToSharedNotes: subscribeToSharedNotesLazy,
   getSharedNotesForUser: getSharedNotesForUserLazy,
@@ -164,40 +210,83 @@ export function bootstrap() {
     }
   }
 
+  /**
+   * Ask the right-clicked frame to create a note at the right-clicked element
+   * @param {Object} info - Context menu click info
+   * @param {Object} tab - Tab the menu was opened in
+   * @param {string|null} templateId - Template to start the note from, if any
+   */
+  async function createNoteAtClick(info, tab, templateId = null) {
+    log.debug('Context menu clicked, frameId:', info.frameId, 'frameUrl:', info.frameUrl, 'pageUrl:', info.pageUrl);
+    
+    // Ensure content script is injected
+    const injected = await ensureContentScriptInjected(tab.id, tab.url);
+    if (!injected) {
+      // No permission - user needs to click the popup first to grant permission
+      log.warn('No permission for this page. User needs to open popup first to grant permission.');
+      return;
+    }
+    
+    const message = templateId ? { action: 'createNoteAtClick', templateId } : { action: 'createNoteAtClick' };
+    
+    // Send to all frames - each frame will check if it has the right-clicked element
+    // This is necessary because Chrome's frameId may not match where the contextmenu event was captured
+    try {
+      // First try the specific frame that Chrome reports
+      if (info.frameId !== undefined) {
+        try {
+          await chrome.tabs.sendMessage(tab.id, message, { frameId: info.frameId });
+          return; // Success, we're done
+        } catch (frameError) {
+          log.debug('Specific frame failed, trying all frames:', frameError.message);
+        }
+      }
+      
+      // If specific frame failed or frameId not available, broadcast to all frames
+      // Each content script will check if it has lastRightClickedElement
+      await chrome.tabs.sendMessage(tab.id, message);
+    } catch (error) {
+      log.warn('Failed to send createNoteAtClick message:', error);
+    }
+  }
+
+  // Template items currently in the context menu
+  let templateMenuItemIds = [];
+
+  /**
+   * Rebuild the "from template" submenu from the saved templates
+   * The parent item is hidden while there are no templates
+   */
+  async function updateTemplateContextMenus() {
+    const templates = await getNoteTemplates();
+    
+    // Removing an item that is already gone only sets lastError
+    const ignoreMissing = () => void chrome.runtime.lastError;
+    templateMenuItemIds.forEach(id => chrome.contextMenus.remove(id, ignoreMissing));
+    
+    templateMenuItemIds = templates.map(template => {
+      const id = `${TEMPLATE_MENU_PREFIX}${template.id}`;
+      chrome.contextMenus.create({
+        id,
+        parentId: TEMPLATE_MENU_ID,
+        title: template.name,
+        contexts: NOTE_MENU_CONTEXTS,
+        documentUrlPatterns: MENU_URL_PATTERNS
+      });
+      return id;
+    });
+    
+    chrome.contextMenus.update(TEMPLATE_MENU_ID, { visible: templates.length > 0 });
+  }
+
   // Handle context menu click
   chrome.contextMenus.onClicked.addListener(async (info, tab) => {
     if (!tab?.id || !tab?.url) return;
     
     if (info.menuItemId === 'create-sticky-note') {
-      log.debug('Context menu clicked, frameId:', info.frameId, 'frameUrl:', info.frameUrl, 'pageUrl:', info.pageUrl);
-      
-      // Ensure content script is injected
-      const injected = await ensureContentScriptInjected(tab.id, tab.url);
-      if (!injected) {
-        // No permission - user needs to click the popup first to grant permission
-        log.warn('No permission for this page. User needs to open popup first to grant permission.');
-        return;
-      }
-      
-      // Send to all frames - each frame will check if it has the right-clicked element
-      // This is necessary because Chrome's frameId may not match where the contextmenu event was captured
-      try {
-        // First try the specific frame that Chrome reports
-        if (info.frameId !== undefined) {
-          try {
-            await chrome.tabs.sendMessage(tab.id, { action: 'createNoteAtClick' }, { frameId: info.frameId });
-            return; // Success, we're done
-          } catch (frameError) {
-            log.debug('Specific frame failed, trying all frames:', frameError.message);
-          }
-        }
-        
-        // If specific frame failed or frameId not available, broadcast to all frames
-        // Each content script will check if it has lastRightClickedElement
-        await chrome.tabs.sendMessage(tab.id, { action: 'createNoteAtClick' });
-      } catch (error) {
-        log.warn('Failed to send createNoteAtClick message:', error);
-      }
+      await createNoteAtClick(info, tab);
+    } else if (String(info.menuItemId).startsWith(TEMPLATE_MENU_PREFIX)) {
+      await createNoteAtClick(info, tab, String(info.menuItemId).slice(TEMPLATE_MENU_PREFIX.length));
     } else if (info.menuItemId === 'create-page-note') {
       log.debug('Page note context menu clicked, frameId:', info.frameId);
       
@@ -311,10 +400,21 @@ export function bootstrap() {
     chrome.contextMenus.create({
       id: 'create-sticky-note',
       title: chrome.i18n.getMessage('contextMenuCreateNote') || 'Create Sticky Note Here',
-      contexts: ['page', 'selection', 'image', 'link'],
-      documentUrlPatterns: ['http://*/*', 'https://*/*', 'file://*/*']
+      contexts: NOTE_MENU_CONTEXTS,
+      documentUrlPatterns: MENU_URL_PATTERNS
     });
     
+    // Create context menu for creating notes from a template (items are added from storage)
+    chrome.contextMenus.create({
+      id: TEMPLATE_MENU_ID,
+      title: chrome.i18n.getMessage('contextMenuCreateFromTemplate') || 'Create Sticky Note from Template',
+      contexts: NOTE_MENU_CONTEXTS,
+      documentUrlPatterns: MENU_URL_PATTERNS,
+      visible: false
+    });
+    templateMenuItemIds = [];
+    updateTemplateContextMenus().catch(error => log.warn('Failed to create template menus:', error));
+    
     // Create context menu for creating page-level notes
     chrome.contextMenus.create({
       id: 'create-page-note',
@@ -334,6 +434,13 @@ export function bootstrap() {
     log.debug('Context menus created');
   });
 
+  // Keep the template submenu in step with templates edited on the options page
+  chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName === 'sync' && changes[NOTE_TEMPLATES_KEY]) {
+      updateTemplateContextMenus().catch(error => log.warn('Failed to update template menus:', error));
+    }
+  });
+
   // Handle extension install/update
   chrome.runtime.onInstalled.addListener(async (details) => {
     if (details.reason === 'install') {
@@ -0,0 +1,114 @@
+/**
+ * Note Screenshots
+ * Crops a capture of the visible tab around a new note's anchor
+ * Runs in the service worker, so it draws on an OffscreenCanvas
+ */
+
+/**
+ * Space kept around the anchor, in CSS pixels
+ */
+export const SCREENSHOT_PADDING = 80;
+
+/**
+ * Widest stored screenshot, in image pixels
+ * Keeps high-DPI captures of large anchors to a reasonable size
+ */
+export const MAX_SCREENSHOT_WIDTH = 1280;
+
+const SCREENSHOT_QUALITY = 0.8;
+
+// Same outline "Copy screenshot" puts around the anchor
+const HIGHLIGHT_COLOR = '#3b82f6';
+const HIGHLIGHT_WIDTH = 3;
+
+/**
+ * Check that a rect has usable numbers
+ * @param {Object} rect - Rect { x, y, width, height }
+ * @returns {boolean} True if valid
+ */
+export function isValidRect(rect) {
+  return !!rect && ['x', 'y', 'width', 'height'].every(key => Number.isFinite(rect[key])) &&
+    rect.width >= 0 && rect.height >= 0;
+}
+
+/**
+ * Get the part of the viewport to keep: the anchor plus padding, clamped to the viewport
+ * @param {Object} rect - Anchor rect in viewport CSS pixels { x, y, width, height }
+ * @param {Object} viewport - Viewport size in CSS pixels { width, height }
+ * @param {number} padding - Space to keep around the anchor
+ * @returns {Object|null} Crop { x, y, width, height }, or null if the anchor is off screen
+ */
+export function getCropRect(rect, viewport, padding = SCREENSHOT_PADDING) {
+  const left = Math.max(0, Math.floor(rect.x - padding));
+  const top = Math.max(0, Math.floor(rect.y - padding));
+  const right = Math.min(viewport.width, Math.ceil(rect.x + rect.width + padding));
+  const bottom = Math.min(viewport.height, Math.ceil(rect.y + rect.height + padding));
+
+  if (right <= left || bottom <= top) {
+    return null;
+  }
+
+  return { x: left, y: top, width: right - left, height: bottom - top };
+}
+
+/**
+ * Read a blob as a data URL
+ * @param {Blob} blob - Image blob
+ * @returns {Promise<string>} Data URL
+ */
+function blobToDataUrl(blob) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(blob);
+  });
+}
+
+/**
+ * Crop a visible-tab capture around an anchor and outline the anchor
+ * An anchor scrolled out of view keeps the whole viewport.
+ * @param {string} dataUrl - Capture from chrome.tabs.captureVisibleTab
+ * @param {Object} rect - Anchor rect in viewport CSS pixels { x, y, width, height }
+ * @param {Object} viewport - Viewport size in CSS pixels { width, height }
+ * @param {Object} deps - Dependencies for testing
+ * @returns {Promise<Object>} JPEG screenshot { dataUrl, width, height }
+ */
+export async function cropScreenshot(dataUrl, rect, viewport, deps = {}) {
+  const fetchImage = deps.fetch || fetch;
+  const createBitmap = deps.createImageBitmap || createImageBitmap;
+  const Canvas = deps.OffscreenCanvas || OffscreenCanvas;
+  const readAsDataUrl = deps.blobToDataUrl || blobToDataUrl;
+
+  const image = await createBitmap(await (await fetchImage(dataUrl)).blob());
+
+  try {
+    // Captures are in device pixels
+    const pixelRatio = image.width / viewport.width;
+    const crop = getCropRect(rect, viewport);
+    const area = crop || { x: 0, y: 0, width: viewport.width, height: viewport.height };
+
+    const scale = pixelRatio * Math.min(1, MAX_SCREENSHOT_WIDTH / (area.width * pixelRatio));
+    const width = Math.max(1, Math.round(area.width * scale));
+    const height = Math.max(1, Math.round(area.height * scale));
+
+    const canvas = new Canvas(width, height);
+    const context = canvas.getContext('2d');
+    context.drawImage(
+      image,
+      area.x * pixelRatio, area.y * pixelRatio, area.width * pixelRatio, area.height * pixelRatio,
+      0, 0, width, height
+    );
+
+    if (crop) {
+      context.strokeStyle = HIGHLIGHT_COLOR;
+      context.lineWidth = Math.max(2, HIGHLIGHT_WIDTH * scale);
+      context.strokeRect((rect.x - area.x) * scale, (rect.y - area.y) * scale, rect.width * scale, rect.height * scale);
+    }
+
+    const blob = await canvas.convertToBlob({ type: 'image/jpeg', quality: SCREENSHOT_QUALITY });
+    return { dataUrl: await readAsDataUrl(blob), width, height };
+  } finally {
+    image.close?.();
+  }
+}
@@ -107,13 +107,17 @@ export class MessageHandler {
         this.app.realtimeSync.handleCommentsUpdate(message.noteId, message.comments);
         return { success: true };
       
+      case 'presenceUpdated':
+        this.app.realtimeSync.handlePresenceUpdate(message.viewers);
+        return { success: true };
+      
       case 'subscriptionError':
         log.error(' Subscription error:', message.type, message.error);
         return { success: true };
       
       case 'createNoteAtClick': {
         log.debug(' Creating note at right-clicked element');
-        const created = await this.app.createNoteAtClick();
+        const created = await this.app.createNoteAtClick(message.templateId);
         return { success: true, created };
       }
       
@@ -142,6 +146,13 @@ export class MessageHandler {
         return result;
       }
       
+      case 'checkAnchorHealth':
+        log.debug(' Checking anchor health for', message.notes?.length, 'notes');
+        return {
+          success: true,
+          results: this.app.noteManager.checkAnchorHealth(message.notes)
+        };
+      
       default:
         log.warn(' Unknown action:', message.action);
         return { success: false, error: 'Unknown action' };
@@ -6,9 +6,46 @@
 import { StickyNote } from '../components/StickyNote.js';
 import { contentLogger as log } from '../../shared/logger.js';
 import { t } from '../../shared/i18n.js';
-import { getBrowserInfo, detectEnvironment, PAGE_LEVEL_SELECTOR, isPageLevelNote } from '../../shared/utils.js';
-import { purgeExpiredSessionMarkers, calculateNoteDiff } from './SyncLogic.js';
+import {
+  getBrowserInfo,
+  getPageMetadata,
+  detectEnvironment,
+  PAGE_LEVEL_SELECTOR,
+  isPageLevelNote,
+  querySelectorDeep,
+  querySelectorAllDeep,
+  getViewportInfo,
+  getBreakpointForWidth,
+  getResponsiveAnchor,
+  BREAKPOINTS,
+  NOTE_STATUSES,
+  getNoteCollaborators,
+  normalizeReactions
+} from '../../shared/utils.js';
+import { purgeExpiredSessionMarkers, calculateNoteDiff, detectContentConflict, getNotePresence, CONTENT_SYNC } from './SyncLogic.js';
 import { getPreferences } from '../../shared/preferences.js';
+import { getNoteTemplates, getTemplateValues, renderNoteTemplate } from '../../shared/noteTemplates.js';
+
+/**
+ * Minimum fuzzy match score (0-100) for moving a note to a new element without asking first.
+ * The new selector is only saved once the user confirms the move.
+ */
+const AUTO_REANCHOR_MIN_SCORE = 75;
+
+/**
+ * Maximum number of previous selectors kept in a note's anchor history
+ */
+const MAX_ANCHOR_HISTORY = 20;
+
+/**
+ * Minimum share (0-100) of the stored fingerprint an anchor must still match to count as healthy
+ */
+const HEALTHY_FINGERPRINT_MIN_PERCENT = 50;
+
+/**
+ * Wait before capturing a creation screenshot, so the page has repainted without the selection overlay
+ */
+const SCREENSHOT_REPAINT_DELAY = 100;
 
 /**
  * Manages note operations
@@ -30,8 +67,13 @@ export class NoteManager {
    * @param {Function} options.isTopFrame - Function to check if this is the top frame
    * @param {Function} options.subscribeToComments - Function to subscribe to comments
    * @param {Function} options.unsubscribeFromComments - Function to unsubscribe from comments
+   * @param {Function} options.setEditingNote - Function to publish the note being edited (or null)
+   * @param {Function} options.setTypingNote - Function to publish typing a comment on a note
    * @param {Function} options.showReanchorUI - Function to show reanchor UI
+   * @param {Function} options.showReanchorConfirmUI - Function to ask the user to confirm an automatic re-anchor
+   * @param {Function} options.startReanchorMode - Function to let the user pick a new anchor element
    * @param {Function} options.getConsoleErrors - Function to get recent console errors
+   * @param {string} options.resolvedNotesDisplay - How resolved notes are shown: 'show', 'collapse' or 'hide'
    */
   constructor(options) {
     this.notes = options.notes;
@@ -47,8 +89,13 @@ export class NoteManager {
     this.isTopFrame = options.isTopFrame;
     this.subscribeToComments = options.subscribeToComments;
     this.unsubscribeFromComments = options.unsubscribeFromComments;
+    this.setEditingNote = options.setEditingNote || (() => {});
+    this.setTypingNote = options.setTypingNote || (() => {});
     this.showReanchorUI = options.showReanchorUI;
+    this.showReanchorConfirmUI = options.showReanchorConfirmUI;
+    this.startReanchorMode = options.startReanchorMode;
     this.getConsoleErrors = options.getConsoleErrors || (() => []);
+    this.resolvedNotesDisplay = options.resolvedNotesDisplay || 'collapse';
     
     // Track notes waiting for their anchor elements to appear (for SPAs)
     this.pendingNotes = new Map();
@@ -56,10 +103,26 @@ export class NoteManager {
     // Track orphaned notes (anchor element not found, user can view centered)
     this.orphanedNotes = new Map();
     
+    // Track notes moved to a fuzzy-matched element that the user has not confirmed yet
+    // Map<noteId, Element>
+    this.provisionalAnchors = new Map();
+    
     // Track notes created in this session (should start maximized).
     // Used to handle race conditions between direct creation and real-time sync.
     // Map<noteId, createdAtMs>
     this.sessionCreatedNoteIds = new Map();
+    
+    // Breakpoint the notes are currently anchored for, so resizes only re-resolve anchors when it changes
+    this.currentBreakpoint = getBreakpointForWidth(getViewportInfo().width).id;
+    
+    // Resolved notes hidden by the 'hide' preference. Kept local so the shared isHidden flag is untouched.
+    this.hiddenResolvedNoteIds = new Set();
+    
+    // Collaborators currently present on the page
+    this.presenceViewers = [];
+    
+    // Comment permalink { noteId, commentId } waiting for its note to load
+    this.pendingCommentLink = null;
   }
   
   /**
@@ -123,19 +186,17 @@ export class NoteManager {
     
     this.pendingNotes.forEach((pending, noteId) => {
       const { noteData } = pending;
+      const anchorData = this.getActiveAnchorData(noteData);
       
       // Try to find the anchor element
-      let anchorElement = document.querySelector(noteData.selector);
+      let anchorElement = querySelectorDeep(anchorData.selector);
       
-      // Try fuzzy matching if not found
-      if (!anchorElement) {
-        anchorElement = this.selectorEngine.findBestMatch(noteData.selector, {
-          textContent: noteData.anchorText || ''
-        });
+      // Try fuzzy matching if not found (createNoteFromData asks the user to confirm it)
+      if (!anchorElement && anchorData === noteData) {
+        anchorElement = this.findProvisionalAnchor(noteData);
         
         if (anchorElement) {
           log.debug(`Found pending note anchor via fuzzy matching: ${noteId}`);
-          this.handleReanchor(noteId, anchorElement);
         }
       }
       
@@ -188,6 +249,7 @@ export class NoteManager {
           this.createNoteFromData(noteData);
         });
       }
+      this.openCommentLink(this.pendingCommentLink);
       
       // Then subscribe to real-time updates if user is logged in
       const user = this.getCurrentUser();
@@ -232,11 +294,14 @@ export class NoteManager {
       return;
     }
     
+    // Notes may record a different anchor for the current viewport width
+    const anchorData = this.getActiveAnchorData(noteData);
+    
     // Find the anchor element
     let anchorElement = null;
     let selectorMatches = [];
     try {
-      selectorMatches = Array.from(document.querySelectorAll(noteData.selector));
+      selectorMatches = querySelectorAllDeep(anchorData.selector);
       anchorElement = selectorMatches[0] || null;
     } catch {
       selectorMatches = [];
@@ -246,13 +311,13 @@ export class NoteManager {
     // If selector matches multiple elements, disambiguate using anchorText (when available).
     // This prevents anchoring to the "first" sibling when multiple identical elements exist.
     if (selectorMatches.length > 1) {
-      const anchorText = (noteData.anchorText || '').trim();
+      const anchorText = (anchorData.anchorText || '').trim();
       if (anchorText) {
         const byText = selectorMatches.find((el) => (el.textContent || '').trim() === anchorText);
         if (byText) {
           anchorElement = byText;
         } else {
-          const best = this.selectorEngine.findBestMatch(noteData.selector, { textContent: anchorText });
+          const best = this.selectorEngine.findBestMatch(anchorData.selector, this.getMatchMetadata(anchorData));
           if (best) {
             anchorElement = best;
           }
@@ -262,18 +327,17 @@ export class NoteManager {
     
     // If not found, try fuzzy matching
     // Note: Using debug level since in SPAs elements may be injected later
+    let isProvisional = false;
     if (!anchorElement) {
-      log.debug(`Anchor element not found for selector: ${noteData.selector}`);
+      log.debug(`Anchor element not found for selector: ${anchorData.selector}`);
       
-      // Try fuzzy matching
-      anchorElement = this.selectorEngine.findBestMatch(noteData.selector, {
-        textContent: noteData.anchorText || ''
-      });
+      // Try fuzzy matching. A confirmed match replaces the primary selector,
+      // so it is only tried when the primary selector is the one in use.
+      anchorElement = anchorData === noteData ? this.findProvisionalAnchor(noteData) : null;
       
       if (anchorElement) {
-        log.debug('Found element using fuzzy matching');
-        // Update the selector
-        this.handleReanchor(noteData.id, anchorElement);
+        log.debug('Found element using fuzzy matching, waiting for confirmation');
+        isProvisional = true;
       } else {
         // Add to pending notes - element may appear later (SPA)
         this.addPendingNote(noteData);
@@ -281,6 +345,16 @@ export class NoteManager {
       }
     }
     
+    // Text-anchored notes point at a quote inside the element; if the quote can no longer
+    // be found the note stays attached to the element itself
+    let textRange = null;
+    if (anchorData.textAnchor) {
+      textRange = this.selectorEngine.locateTextRange(anchorElement, anchorData.textAnchor);
+      if (!textRange) {
+        log.debug(`Text quote not found for note ${noteData.id}, anchoring to element`);
+      }
+    }
+    
     const user = this.getCurrentUser();
     
     // Create note instance with comment callbacks
@@ -290,27 +364,62 @@ export class NoteManager {
       anchor: anchorElement,
       selector: noteData.selector,
       content: noteData.content,
+      updatedAt: noteData.updatedAt,
       theme: noteData.theme || 'yellow',
       position: noteData.position || { anchor: 'top-right' },
+      anchorFingerprint: noteData.anchorFingerprint,
+      anchorHistory: noteData.anchorHistory,
+      responsiveAnchors: noteData.responsiveAnchors,
+      verifiedBreakpoints: noteData.verifiedBreakpoints,
+      textAnchor: noteData.textAnchor,
+      textRange: textRange,
+      anchorRegion: noteData.anchorRegion,
+      region: anchorData.anchorRegion || null,
       metadata: noteData.metadata,
+      screenshot: noteData.screenshot,
       createdAt: noteData.createdAt,
       ownerEmail: noteData.ownerEmail,
       ownerId: noteData.ownerId,
       isMinimized: !options.isNewNote, // New notes are maximized, existing notes are minimized
       isHidden: noteData.isHidden || false,
-      onSave: (content) => this.handleNoteSave(noteData.id, content),
+      status: noteData.status,
+      sharedWith: noteData.sharedWith,
+      assignee: noteData.assignee,
+      dueDate: noteData.dueDate,
+      tags: noteData.tags,
+      attachments: noteData.attachments,
+      drawings: noteData.drawings,
+      reactions: noteData.reactions,
+      onSave: (content, baseContent, baseUpdatedAt) => this.handleNoteSave(noteData.id, content, baseContent, baseUpdatedAt),
       onThemeChange: (theme) => this.handleThemeChange(noteData.id, theme),
+      onStatusChange: (status) => this.handleStatusChange(noteData.id, status),
+      onAssignmentChange: (changes) => this.handleAssignmentChange(noteData.id, changes),
+      onTagsChange: (tags) => this.handleTagsChange(noteData.id, tags),
+      onAttachmentsChange: (attachments, removed) => this.handleAttachmentsChange(noteData.id, attachments, removed),
+      onDrawingsChange: (drawings) => this.handleDrawingsChange(noteData.id, drawings),
+      onToggleReaction: (reaction) => this.handleToggleNoteReaction(noteData.id, reaction),
       onPositionChange: (position) => this.handlePositionChange(noteData.id, position),
       onDelete: () => this.handleNoteDelete(noteData.id),
       onVisibilityChange: (isHidden) => this.handleVisibilityChange(noteData.id, isHidden),
+      getLocators: (anchor) => this.selectorEngine.generateLocators(anchor),
+      onRecordResponsiveAnchor: () => this.startResponsiveReanchor(noteData.id),
+      onVerifyBreakpoint: () => this.verifyBreakpoint(noteData.id),
       // Comment-related options
       user: user,
       onAddComment: (noteId, commentData) => this.handleAddComment(noteId, commentData),
       onEditComment: (noteId, commentId, updates) => this.handleEditComment(noteId, commentId, updates),
       onDeleteComment: (noteId, commentId) => this.handleDeleteComment(noteId, commentId),
+      onToggleCommentReaction: (noteId, commentId, reaction) => this.handleToggleCommentReaction(noteId, commentId, reaction),
+      onResolveThread: (noteId, commentId, resolved) => this.handleResolveThread(noteId, commentId, resolved),
+      onAcceptAnswer: (noteId, commentId, answerId) => this.handleAcceptAnswer(noteId, commentId, answerId),
       onLoadComments: (noteId) => this.handleLoadComments(noteId),
       onCommentsOpened: (noteId) => this.subscribeToComments(noteId),
-      onCommentsClosed: (noteId) => this.unsubscribeFromComments(noteId)
+      onCommentsClosed: (noteId) => this.unsubscribeFromComments(noteId),
+      onLoadRevisions: (noteId) => this.handleLoadRevisions(noteId),
+      onRestoreRevision: (noteId, revisionId, original) => this.handleRestoreRevision(noteId, revisionId, original),
+      // Presence options
+      onEditingChange: (noteId, isEditing) => this.setEditingNote(isEditing ? noteId : null),
+      onCommentTyping: (noteId) => this.setTypingNote(noteId)
     });
     
     // Add to container and map
@@ -320,16 +429,106 @@ export class NoteManager {
     // Ensure initial positioning happens after the element is connected to the DOM.
     // This avoids a visible "jump" caused by measuring 0x0 before attachment.
     note.updatePosition();
+    this.applyResolvedDisplay(note);
+    this.applyPresence(note);
 
     // Setup visibility observer
     this.visibilityManager.observe(anchorElement, note);
     
+    if (isProvisional) {
+      this.proposeReanchor(noteData, anchorElement);
+    }
+    
     // Mark shared notes as read when viewed
     if (noteData.isShared) {
       this.markSharedNoteAsRead(noteData.id);
     }
   }
   
+  /**
+   * Get the anchor fields a note should use at the current viewport width
+   * Responsive anchors point at an element only; the text quote, region and history belong to the primary anchor
+   * @param {Object} noteData - Note data (or note instance)
+   * @returns {Object} The note data itself, or a copy with the responsive anchor in place of the primary one
+   */
+  getActiveAnchorData(noteData) {
+    const responsive = getResponsiveAnchor(noteData, getViewportInfo().width);
+    if (!responsive) {
+      return noteData;
+    }
+    
+    return {
+      ...noteData,
+      selector: responsive.selector,
+      anchorText: responsive.anchorText || '',
+      anchorFingerprint: responsive.anchorFingerprint || null,
+      anchorHistory: [],
+      textAnchor: null,
+      anchorRegion: null
+    };
+  }
+  
+  /**
+   * Fuzzy match the anchor of a note whose selector no longer resolves
+   * @param {Object} noteData - Note data
+   * @returns {Element|null} Matched element if it is confident enough to apply provisionally
+   */
+  findProvisionalAnchor(noteData) {
+    const match = this.selectorEngine.findBestMatchWithScore(noteData.selector, this.getMatchMetadata(noteData));
+    if (!match || match.score < AUTO_REANCHOR_MIN_SCORE) {
+      return null;
+    }
+    return match.element;
+  }
+  
+  /**
+   * Keep a note on its fuzzy-matched element and ask the user to confirm the move
+   * @param {Object} noteData - Note data
+   * @param {Element} anchorElement - Provisional anchor element
+   */
+  proposeReanchor(noteData, anchorElement) {
+    this.provisionalAnchors.set(noteData.id, anchorElement);
+    
+    if (!this.showReanchorConfirmUI) return;
+    
+    this.showReanchorConfirmUI(noteData, {
+      onConfirm: () => this.confirmReanchor(noteData.id),
+      onPickAnother: () => this.discardProvisionalAnchor(noteData)
+    });
+  }
+  
+  /**
+   * Save the provisional anchor of a note as its new anchor
+   * @param {string} noteId - Note ID
+   */
+  async confirmReanchor(noteId) {
+    const anchorElement = this.provisionalAnchors.get(noteId);
+    if (!anchorElement) return;
+    
+    this.provisionalAnchors.delete(noteId);
+    await this.handleReanchor(noteId, anchorElement);
+  }
+  
+  /**
+   * Remove a note from its provisional anchor so the user can pick another one.
+   * The note is listed as orphaned until it is re-anchored.
+   * @param {Object} noteData - Note data
+   */
+  discardProvisionalAnchor(noteData) {
+    this.provisionalAnchors.delete(noteData.id);
+    
+    const note = this.notes.get(noteData.id);
+    if (note) {
+      this.visibilityManager.unobserve(note.anchor);
+      note.destroy();
+      this.notes.delete(noteData.id);
+    }
+    
+    // Not added to pendingNotes, which would fuzzy match the same element again
+    this.orphanedNotes.set(noteData.id, { noteData, addedAt: Date.now() });
+    this.updateOrphanedBadge();
+  }
+  
   /**
    * Create UI for a page-level note (no anchor element)
    * Page-level notes are always visible and don't use the visibility manager
@@ -345,16 +544,32 @@ export class NoteManager {
       anchor: null, // Page-level notes have no anchor
       selector: noteData.selector,
       content: noteData.content,
+      updatedAt: noteData.updatedAt,
       theme: noteData.theme || 'yellow',
       position: noteData.position || { pageX: 10, pageY: 10 },
       metadata: noteData.metadata,
+      screenshot: noteData.screenshot,
       createdAt: noteData.createdAt,
       ownerEmail: noteData.ownerEmail,
       ownerId: noteData.ownerId,
       isMinimized: !options.isNewNote,
       isHidden: noteData.isHidden || false,
-      onSave: (content) => this.handleNoteSave(noteData.id, content),
+      status: noteData.status,
+      sharedWith: noteData.sharedWith,
+      assignee: noteData.assignee,
+      dueDate: noteData.dueDate,
+      tags: noteData.tags,
+      attachments: noteData.attachments,
+      drawings: noteData.drawings,
+      reactions: noteData.reactions,
+      onSave: (content, baseContent, baseUpdatedAt) => this.handleNoteSave(noteData.id, content, baseContent, baseUpdatedAt),
       onThemeChange: (theme) => this.handleThemeChange(noteData.id, theme),
+      onStatusChange: (status) => this.handleStatusChange(noteData.id, status),
+      onAssignmentChange: (changes) => this.handleAssignmentChange(noteData.id, changes),
+      onTagsChange: (tags) => this.handleTagsChange(noteData.id, tags),
+      onAttachmentsChange: (attachments, removed) => this.handleAttachmentsChange(noteData.id, attachments, removed),
+      onDrawingsChange: (drawings) => this.handleDrawingsChange(noteData.id, drawings),
+      onToggleReaction: (reaction) => this.handleToggleNoteReaction(noteData.id, reaction),
       onPositionChange: (position) => this.handlePositionChange(noteData.id, position),
       onDelete: () => this.handleNoteDelete(noteData.id),
       onVisibilityChange: (isHidden) => this.handleVisibilityChange(noteData.id, isHidden),
@@ -362,9 +577,17 @@ export class NoteManager {
       onAddComment: (noteId, commentData) => this.handleAddComment(noteId, commentData),
       onEditComment: (noteId, commentId, updates) => this.handleEditComment(noteId, commentId, updates),
       onDeleteComment: (noteId, commentId) => this.handleDeleteComment(noteId, commentId),
+      onToggleCommentReaction: (noteId, commentId, reaction) => this.handleToggleCommentReaction(noteId, commentId, reaction),
+      onResolveThread: (noteId, commentId, resolved) => this.handleResolveThread(noteId, commentId, resolved),
+      onAcceptAnswer: (noteId, commentId, answerId) => this.handleAcceptAnswer(noteId, commentId, answerId),
       onLoadComments: (noteId) => this.handleLoadComments(noteId),
       onCommentsOpened: (noteId) => this.subscribeToComments(noteId),
-      onCommentsClosed: (noteId) => this.unsubscribeFromComments(noteId)
+      onCommentsClosed: (noteId) => this.unsubscribeFromComments(noteId),
+      onLoadRevisions: (noteId) => this.handleLoadRevisions(noteId),
+      onRestoreRevision: (noteId, revisionId, original) => this.handleRestoreRevision(noteId, revisionId, original),
+      // Presence options
+      onEditingChange: (noteId, isEditing) => this.setEditingNote(isEditing ? noteId : null),
+      onCommentTyping: (noteId) => this.setTypingNote(noteId)
     });
     
     // Add to container and map
@@ -373,6 +596,8 @@ export class NoteManager {
     
     // Initial positioning
     note.updatePosition();
+    this.applyResolvedDisplay(note);
+    this.applyPresence(note);
     
     // Page-level notes are not managed by visibility manager (no anchor),
     // but they should respect the global visibility state and per-note hidden preference
@@ -409,17 +634,32 @@ export class NoteManager {
    * Handle note save
    * @param {string} noteId - Note ID
    * @param {string} content - Note content
+   * @param {string} baseContent - Server content the edit started from
+   * @param {string|Object} baseUpdatedAt - updatedAt of that server version
+   * @returns {Promise<string|Object|null>} updatedAt the save stored, if known
    */
-  async handleNoteSave(noteId, content) {
+  async handleNoteSave(noteId, content, baseContent, baseUpdatedAt) {
     try {
-      await this.sendMessage({
+      const response = await this.sendMessage({
         action: 'updateNote',
-        note: { id: noteId, content }
+        note: { id: noteId, content, baseUpdatedAt }
       });
+      
+      // Someone else saved first; let the user decide instead of overwriting
+      if (response?.conflict) {
+        const note = this.notes.get(noteId);
+        if (note) {
+          note.showConflict(response.content, baseContent, response.updatedAt);
+        }
+        return null;
+      }
+      
+      return response?.note?.updatedAt || null;
     } catch (error) {
       if (!this.isContextInvalidatedError(error)) {
         log.error('Error saving note:', error);
       }
+      return null;
     }
   }
   
@@ -441,6 +681,168 @@ export class NoteManager {
     }
   }
   
+  /**
+   * Handle status change
+   * @param {string} noteId - Note ID
+   * @param {string} status - New status
+   */
+  async handleStatusChange(noteId, status) {
+    const note = this.notes.get(noteId);
+    if (note) {
+      this.applyResolvedDisplay(note);
+    }
+    
+    try {
+      await this.sendMessage({
+        action: 'updateNote',
+        note: { id: noteId, status }
+      });
+    } catch (error) {
+      if (!this.isContextInvalidatedError(error)) {
+        log.error('Error saving status:', error);
+      }
+    }
+  }
+  
+  /**
+   * Handle assignee or due date change
+   * @param {string} noteId - Note ID
+   * @param {Object} changes - { assignee } or { dueDate }
+   */
+  async handleAssignmentChange(noteId, changes) {
+    try {
+      await this.sendMessage({
+        action: 'updateNote',
+        note: { id: noteId, ...changes }
+      });
+    } catch (error) {
+      if (!this.isContextInvalidatedError(error)) {
+        log.error('Error saving assignment:', error);
+      }
+    }
+  }
+  
+  /**
+   * Handle tags change
+   * @param {string} noteId - Note ID
+   * @param {string[]} tags - New tag list
+   */
+  async handleTagsChange(noteId, tags) {
+    try {
+      await this.sendMessage({
+        action: 'updateNote',
+        note: { id: noteId, tags }
+      });
+    } catch (error) {
+      if (!this.isContextInvalidatedError(error)) {
+        log.error('Error saving tags:', error);
+      }
+    }
+  }
+  
+  /**
+   * Handle attachments change
+   * Files of removed attachments are deleted once the note no longer points at them.
+   * @param {string} noteId - Note ID
+   * @param {Object[]} attachments - New attachment list
+   * @param {Object[]} removed - Attachments that were removed
+   */
+  async handleAttachmentsChange(noteId, attachments, removed = []) {
+    try {
+      const response = await this.sendMessage({
+        action: 'updateNote',
+        note: { id: noteId, attachments }
+      });
+      if (!response?.success) {
+        throw new Error(response?.error || 'Failed to save attachments');
+      }
+      
+      for (const attachment of removed) {
+        await this.sendMessage({ action: 'deleteAttachment', attachment });
+      }
+    } catch (error) {
+      if (!this.isContextInvalidatedError(error)) {
+        log.error('Error saving attachments:', error);
+      }
+    }
+  }
+  
+  /**
+   * Handle drawings change
+   * @param {string} noteId - Note ID
+   * @param {Object[]} drawings - Shapes drawn on the page
+   */
+  async handleDrawingsChange(noteId, drawings) {
+    try {
+      await this.sendMessage({
+        action: 'updateNote',
+        note: { id: noteId, drawings }
+      });
+    } catch (error) {
+      if (!this.isContextInvalidatedError(error)) {
+        log.error('Error saving drawings:', error);
+      }
+    }
+  }
+  
+  /**
+   * Handle toggling the user's reaction on a note
+   * @param {string} noteId - Note ID
+   * @param {string} reaction - Reaction type
+   * @returns {Promise<Object>} The note's reactions
+   */
+  async handleToggleNoteReaction(noteId, reaction) {
+    try {
+      const response = await this.sendMessage({
+        action: 'toggleNoteReaction',
+        noteId,
+        reaction
+      });
+      
+      if (response.success) {
+        return response.reactions;
+      } else {
+        throw new Error(response.error || t('failedToReact'));
+      }
+    } catch (error) {
+      if (!this.isContextInvalidatedError(error)) {
+        log.error('Error toggling note reaction:', error);
+      }
+      throw error;
+    }
+  }
+  
+  /**
+   * Collapse or hide a resolved note according to the resolvedNotesDisplay preference,
+   * and bring back a note that was hidden for being resolved once it is reopened
+   * @param {Object} note - StickyNote instance
+   */
+  applyResolvedDisplay(note) {
+    const isResolved = note.status === NOTE_STATUSES.RESOLVED;
+    
+    if (isResolved && this.resolvedNotesDisplay === 'hide') {
+      if (!note.isHidden) {
+        this.hiddenResolvedNoteIds.add(note.id);
+        note.isHidden = true;
+        note.updateHiddenState();
+        note.hide();
+      }
+      return;
+    }
+    
+    if (this.hiddenResolvedNoteIds.delete(note.id)) {
+      note.isHidden = false;
+      note.updateHiddenState();
+      if (this.visibilityManager.getGlobalVisibility()) {
+        note.show();
+      }
+    }
+    
+    if (isResolved && this.resolvedNotesDisplay === 'collapse') {
+      note.minimize();
+    }
+  }
+  
   /**
    * Handle position change
    * @param {string} noteId - Note ID
@@ -504,6 +906,7 @@ export class NoteManager {
     }
     
     // Toggle the hidden state
+    this.hiddenResolvedNoteIds.delete(noteId);
     note.isHidden = !note.isHidden;
     note.updateHiddenState();
     
@@ -632,6 +1035,93 @@ export class NoteManager {
     }
   }
   
+  /**
+   * Handle toggling the user's reaction on a comment
+   * @param {string} noteId - Note ID
+   * @param {string} commentId - Comment ID
+   * @param {string} reaction - Reaction type
+   * @returns {Promise<Object>} The comment's reactions
+   */
+  async handleToggleCommentReaction(noteId, commentId, reaction) {
+    try {
+      const response = await this.sendMessage({
+        action: 'toggleCommentReaction',
+        noteId,
+        commentId,
+        reaction
+      });
+      
+      if (response.success) {
+        return response.reactions;
+      } else {
+        throw new Error(response.error || t('failedToReact'));
+      }
+    } catch (error) {
+      if (!this.isContextInvalidatedError(error)) {
+        log.error('Error toggling comment reaction:', error);
+      }
+      throw error;
+    }
+  }
+  
+  /**
+   * Handle resolving or reopening a comment thread
+   * @param {string} noteId - Note ID
+   * @param {string} commentId - Top-level comment ID
+   * @param {boolean} resolved - True to resolve, false to reopen
+   * @returns {Promise<Object>} The thread state { resolved, resolvedBy, acceptedAnswerId }
+   */
+  async handleResolveThread(noteId, commentId, resolved) {
+    try {
+      const response = await this.sendMessage({
+        action: 'resolveCommentThread',
+        noteId,
+        commentId,
+        resolved
+      });
+      
+      if (response.success) {
+        return response.thread;
+      } else {
+        throw new Error(response.error || t('failedToResolveThread'));
+      }
+    } catch (error) {
+      if (!this.isContextInvalidatedError(error)) {
+        log.error('Error resolving comment thread:', error);
+      }
+      throw error;
+    }
+  }
+  
+  /**
+   * Handle marking a reply as the accepted answer, or clearing it
+   * @param {string} noteId - Note ID
+   * @param {string} commentId - Top-level comment ID
+   * @param {string|null} answerId - Reply ID, or null to clear
+   * @returns {Promise<Object>} The thread state { resolved, resolvedBy, acceptedAnswerId }
+   */
+  async handleAcceptAnswer(noteId, commentId, answerId) {
+    try {
+      const response = await this.sendMessage({
+        action: 'acceptCommentAnswer',
+        noteId,
+        commentId,
+        answerId
+      });
+      
+      if (response.success) {
+        return response.thread;
+      } else {
+        throw new Error(response.error || t('failedToAcceptAnswer'));
+      }
+    } catch (error) {
+      if (!this.isContextInvalidatedError(error)) {
+        log.error('Error accepting comment answer:', error);
+      }
+      throw error;
+    }
+  }
+  
   /**
    * Handle loading comments for a note
    * @param {string} noteId - Note ID
@@ -657,12 +1147,84 @@ export class NoteManager {
     }
   }
   
+  /**
+   * Handle loading the revision history for a note
+   * @param {string} noteId - Note ID
+   * @returns {Promise<Array>} Revisions, newest first
+   */
+  async handleLoadRevisions(noteId) {
+    try {
+      const response = await this.sendMessage({
+        action: 'getRevisions',
+        noteId
+      });
+      
+      if (response.success) {
+        return response.revisions || [];
+      } else {
+        throw new Error(response.error || t('failedToLoadHistory'));
+      }
+    } catch (error) {
+      if (!this.isContextInvalidatedError(error)) {
+        log.error('Error loading revisions:', error);
+      }
+      throw error;
+    }
+  }
+  
+  /**
+   * Handle restoring a note's content from a revision
+   * @param {string} noteId - Note ID
+   * @param {string} revisionId - Revision ID
+   * @param {boolean} original - Restore the content from before the revision
+   * @returns {Promise<string>} Restored content
+   */
+  async handleRestoreRevision(noteId, revisionId, original = false) {
+    try {
+      const response = await this.sendMessage({
+        action: 'restoreRevision',
+        noteId,
+        revisionId,
+        original
+      });
+      
+      if (response.success) {
+        return response.content;
+      } else {
+        throw new Error(response.error || t('failedToRestoreVersion'));
+      }
+    } catch (error) {
+      if (!this.isContextInvalidatedError(error)) {
+        log.error('Error restoring revision:', error);
+      }
+      throw error;
+    }
+  }
+  
+  /**
+   * Build the fuzzy-matching metadata for a stored note
+   * @param {Object} noteData - Note data from storage
+   * @returns {Object} Metadata for SelectorEngine.findBestMatch()
+   */
+  getMatchMetadata(noteData) {
+    return {
+      textContent: noteData.anchorText || '',
+      fingerprint: noteData.anchorFingerprint || null,
+      history: noteData.anchorHistory || []
+    };
+  }
+  
   /**
    * Handle re-anchoring a note to a new element
    * @param {string} noteId - Note ID
    * @param {Element} newAnchor - New anchor element
+   * @param {Object} options - Re-anchor options
+   * @param {Object|null} options.textAnchor - New text quote (null clears it; omit to keep the stored one)
+   * @param {Object|null} options.anchorRegion - New region of the element (null clears it; omit to keep the stored one)
+   * @param {Object} options.noteData - Note data, for notes that are not displayed
+   * @returns {Promise<Object|undefined>} Updates saved for the note, undefined if not saved
    */
-  async handleReanchor(noteId, newAnchor) {
+  async handleReanchor(noteId, newAnchor, options = {}) {
     const newSelector = this.selectorEngine.generate(newAnchor);
     
     if (!newSelector) {
@@ -670,17 +1232,38 @@ export class NoteManager {
       return;
     }
     
+    const anchorFingerprint = this.selectorEngine.generateFingerprint(newAnchor);
+    const note = this.notes.get(noteId);
+    const previous = note || options.noteData || this.orphanedNotes.get(noteId)?.noteData;
+    const anchorHistory = this.appendAnchorHistory(previous, newSelector);
+    if (note) {
+      note.selector = newSelector;
+      note.anchorFingerprint = anchorFingerprint;
+      note.anchorHistory = anchorHistory;
+    }
+    
+    const updates = { 
+      id: noteId, 
+      selector: newSelector,
+      anchorText: newAnchor.textContent?.trim().substring(0, 100) || '',
+      anchorFingerprint,
+      anchorHistory
+    };
+    if (options.textAnchor !== undefined) {
+      updates.textAnchor = options.textAnchor;
+    }
+    if (options.anchorRegion !== undefined) {
+      updates.anchorRegion = options.anchorRegion;
+    }
+    
     try {
       await this.sendMessage({
         action: 'updateNote',
-        note: { 
-          id: noteId, 
-          selector: newSelector,
-          anchorText: newAnchor.textContent?.trim().substring(0, 100) || ''
-        }
+        note: updates
       });
       
       log.debug('Note re-anchored successfully');
+      return updates;
     } catch (error) {
       if (!this.isContextInvalidatedError(error)) {
         log.error('Failed to re-anchor note:', error);
@@ -688,20 +1271,269 @@ export class NoteManager {
     }
   }
   
+  /**
+   * Record the selector being replaced in a note's anchor history
+   * @param {Object} previous - Note (or note data) before the re-anchor
+   * @param {string} newSelector - Selector the note moves to
+   * @returns {Object[]} Updated history, oldest first
+   */
+  appendAnchorHistory(previous, newSelector) {
+    const history = previous?.anchorHistory || [];
+    if (!previous?.selector || previous.selector === newSelector) {
+      return history;
+    }
+    
+    const entry = {
+      selector: previous.selector,
+      confidence: this.selectorEngine.getConfidenceScore(previous.selector),
+      replacedAt: Date.now(),
+      replacedBy: this.getCurrentUser()?.email || null
+    };
+    
+    return [...history, entry].slice(-MAX_ANCHOR_HISTORY);
+  }
+  
+  /**
+   * Record that a note was checked at a breakpoint
+   * @param {Object} verifiedBreakpoints - Current verifications keyed by breakpoint ID
+   * @param {string} breakpointId - Breakpoint the note was checked at (defaults to the current one)
+   * @returns {Object} Updated verifications
+   */
+  markBreakpointVerified(verifiedBreakpoints, breakpointId = getBreakpointForWidth(getViewportInfo().width).id) {
+    return {
+      ...(verifiedBreakpoints || {}),
+      [breakpointId]: {
+        verifiedAt: Date.now(),
+        verifiedBy: this.getCurrentUser()?.email || null,
+        width: getViewportInfo().width
+      }
+    };
+  }
+  
+  /**
+   * Let the user pick the element a note should point at for the current breakpoint
+   * @param {string} noteId - Note ID
+   */
+  startResponsiveReanchor(noteId) {
+    const note = this.notes.get(noteId);
+    if (!note || !this.startReanchorMode) return;
+    
+    this.startReanchorMode({
+      id: noteId,
+      content: note.content,
+      responsiveBreakpoint: getBreakpointForWidth(getViewportInfo().width).id
+    });
+  }
+  
+  /**
+   * Save an element as the anchor of a note for one breakpoint
+   * The breakpoint is marked verified, since the user just picked the element there
+   * @param {string} noteId - Note ID
+   * @param {Element} element - Anchor element for the breakpoint
+   * @param {string} breakpointId - Breakpoint ID
+   * @returns {Promise<Object|undefined>} Updates saved for the note, undefined if not saved
+   */
+  async recordResponsiveAnchor(noteId, element, breakpointId) {
+    const note = this.notes.get(noteId);
+    const breakpoint = BREAKPOINTS.find(bp => bp.id === breakpointId);
+    const selector = note && breakpoint ? this.selectorEngine.generate(element) : null;
+    
+    if (!selector) {
+      log.error('Could not record responsive anchor for note:', noteId);
+      return;
+    }
+    
+    const entry = {
+      breakpoint: breakpoint.id,
+      minWidth: breakpoint.minWidth,
+      maxWidth: breakpoint.maxWidth,
+      selector,
+      anchorText: element.textContent?.trim().substring(0, 100) || '',
+      anchorFingerprint: this.selectorEngine.generateFingerprint(element)
+    };
+    const responsiveAnchors = [...note.responsiveAnchors.filter(item => item.breakpoint !== breakpoint.id), entry]
+      .sort((first, second) => first.minWidth - second.minWidth);
+    const verifiedBreakpoints = this.markBreakpointVerified(note.verifiedBreakpoints, breakpoint.id);
+    
+    note.setResponsiveAnchors(responsiveAnchors, verifiedBreakpoints);
+    this.moveNoteToAnchor(note, element);
+    
+    const updates = { id: noteId, responsiveAnchors, verifiedBreakpoints };
+    try {
+      await this.sendMessage({
+        action: 'updateNote',
+        note: updates
+      });
+      return updates;
+    } catch (error) {
+      if (!this.isContextInvalidatedError(error)) {
+        log.error('Failed to save responsive anchor:', error);
+      }
+    }
+  }
+  
+  /**
+   * Mark a note as verified at the current breakpoint
+   * @param {string} noteId - Note ID
+   */
+  async verifyBreakpoint(noteId) {
+    const note = this.notes.get(noteId);
+    if (!note) return;
+    
+    const verifiedBreakpoints = this.markBreakpointVerified(note.verifiedBreakpoints);
+    note.setResponsiveAnchors(note.responsiveAnchors, verifiedBreakpoints);
+    
+    try {
+      await this.sendMessage({
+        action: 'updateNote',
+        note: { id: noteId, verifiedBreakpoints }
+      });
+    } catch (error) {
+      if (!this.isContextInvalidatedError(error)) {
+        log.error('Failed to save breakpoint verification:', error);
+      }
+    }
+  }
+  
+  /**
+   * Move a displayed note to another element without touching its saved position
+   * @param {StickyNote} note - Note instance
+   * @param {Element} element - New anchor element
+   * @param {Range|null} textRange - Located text quote inside the element, if any
+   * @param {Object|null} region - Region of the element the note points at, if any
+   */
+  moveNoteToAnchor(note, element, textRange = null, region = null) {
+    if (note.anchor === element) return;
+    
+    this.visibilityManager.unobserve(note.anchor);
+    note.switchAnchor(element, textRange, region);
+    this.visibilityManager.observe(element, note);
+  }
+  
+  /**
+   * Re-resolve anchors after the viewport crosses a breakpoint
+   * Only notes with responsive anchors move; a note whose anchor for the new
+   * width is not on the page stays where it is
+   */
+  handleViewportResize() {
+    const width = getViewportInfo().width;
+    const breakpointId = getBreakpointForWidth(width).id;
+    if (breakpointId === this.currentBreakpoint) return;
+    this.currentBreakpoint = breakpointId;
+    
+    this.notes.forEach(note => {
+      if (note.isPageLevel || note.responsiveAnchors.length === 0) return;
+      
+      const responsive = getResponsiveAnchor(note, width);
+      const selector = responsive ? responsive.selector : note.selector;
+      let element = null;
+      try {
+        element = querySelectorDeep(selector);
+      } catch {
+        element = null;
+      }
+      if (!element) {
+        log.debug(`Anchor for ${breakpointId} not found for note ${note.id}: ${selector}`);
+        return;
+      }
+      
+      const textAnchor = responsive ? null : note.textAnchor;
+      const textRange = textAnchor ? this.selectorEngine.locateTextRange(element, textAnchor) : null;
+      this.moveNoteToAnchor(note, element, textRange, responsive ? null : note.anchorRegion);
+    });
+  }
+  
+  /**
+   * Build the starting content of a new note from a template
+   * @param {string|null} templateId - Template picked by the user, if any
+   * @param {string} environment - Environment of the new note
+   * @returns {Promise<string>} Note HTML, empty for a blank note
+   */
+  async getTemplateContent(templateId, environment) {
+    if (!templateId) return '';
+    
+    const templates = await getNoteTemplates();
+    const template = templates.find(entry => entry.id === templateId);
+    if (!template) {
+      log.warn('Note template not found, creating a blank note:', templateId);
+      return '';
+    }
+    
+    return renderNoteTemplate(template, getTemplateValues({
+      metadata: getPageMetadata(),
+      browserInfo: getBrowserInfo(),
+      environment
+    }));
+  }
+  
+  /**
+   * Capture the page around a new note's anchor, if the user turned this on
+   * Only the top frame's coordinates match the captured tab, so notes in iframes go without
+   * @param {Element|Range} anchor - Anchor element, or the selected text inside it
+   * @param {Object} prefs - User preferences
+   * @returns {Promise<Object|null>} Screenshot { dataUrl, width, height }, or null
+   */
+  async captureCreationScreenshot(anchor, prefs) {
+    if (!prefs.screenshotOnCreate || !anchor || !this.isTopFrame()) {
+      return null;
+    }
+    
+    try {
+      await new Promise(resolve => setTimeout(resolve, SCREENSHOT_REPAINT_DELAY));
+      
+      const rect = anchor.getBoundingClientRect();
+      const response = await this.sendMessage({
+        action: 'captureNoteScreenshot',
+        rect: { x: rect.left, y: rect.top, width: rect.width, height: rect.height },
+        viewport: { width: window.innerWidth, height: window.innerHeight }
+      });
+      
+      if (response?.success) {
+        return response.screenshot;
+      }
+      log.warn('Failed to capture note screenshot:', response?.error);
+    } catch (error) {
+      if (!this.isContextInvalidatedError(error)) {
+        log.warn('Failed to capture note screenshot:', error);
+      }
+    }
+    
+    return null;
+  }
+  
   /**
    * Handle element selection for new note creation
    * @param {Element} element - Selected element
    * @param {Object} pendingReanchor - Pending reanchor data if in reanchor mode
+   * @param {Range} textRange - Selected text range inside the element, if any
+   * @param {Object} anchorRegion - Region dragged over the element, in percent of its box, if any
+   * @param {string} templateId - Template to start the note from, if any
    */
-  async handleElementSelect(element, pendingReanchor = null) {
+  async handleElementSelect(element, pendingReanchor = null, textRange = null, anchorRegion = null, templateId = null) {
+    const textAnchor = textRange ? this.selectorEngine.describeTextRange(textRange, element) : null;
+    
+    // Picking an anchor for one breakpoint leaves the primary anchor alone
+    if (pendingReanchor?.responsiveBreakpoint) {
+      await this.recordResponsiveAnchor(pendingReanchor.id, element, pendingReanchor.responsiveBreakpoint);
+      return;
+    }
+    
     // Check if this is a re-anchor operation
     if (pendingReanchor) {
-      await this.handleReanchor(pendingReanchor.id, element);
+      const updates = await this.handleReanchor(pendingReanchor.id, element, { textAnchor, anchorRegion, noteData: pendingReanchor });
+      
+      if (this.orphanedNotes.delete(pendingReanchor.id)) {
+        this.pendingNotes.delete(pendingReanchor.id);
+        this.updateOrphanedBadge();
+      }
       
       // Recreate the note with new anchor
       this.createNoteFromData({
         ...pendingReanchor,
-        selector: this.selectorEngine.generate(element)
+        selector: this.selectorEngine.generate(element),
+        anchorHistory: updates?.anchorHistory || pendingReanchor.anchorHistory,
+        textAnchor,
+        anchorRegion
       });
       
       return;
@@ -711,7 +1543,7 @@ export class NoteManager {
     const selector = this.selectorEngine.generate(element);
     
     // Verify the selector finds the right element
-    const foundElement = document.querySelector(selector);
+    const foundElement = querySelectorDeep(selector);
     if (foundElement !== element) {
       log.warn('Selector matches a different element - page may have duplicate structures');
     }
@@ -744,6 +1576,10 @@ export class NoteManager {
       theme: prefs.defaultTheme,
       position: { anchor: prefs.defaultPosition },
       anchorText: element.textContent?.trim().substring(0, 100) || '',
+      anchorFingerprint: this.selectorEngine.generateFingerprint(element),
+      textAnchor,
+      anchorRegion,
+      verifiedBreakpoints: this.markBreakpointVerified({}),
       metadata: {
         url: frameUrl,
         tabUrl: tabUrl,
@@ -757,12 +1593,15 @@ export class NoteManager {
         consoleErrors: consoleErrors.length > 0 ? consoleErrors : undefined
       }
     };
+    noteData.content = await this.getTemplateContent(templateId, noteData.metadata.environment);
+    const screenshot = await this.captureCreationScreenshot(textRange || element, prefs);
     
     try {
       // Save to storage
       const response = await this.sendMessage({
         action: 'saveNote',
-        note: noteData
+        note: noteData,
+        screenshot
       });
       
       if (response.success) {
@@ -785,8 +1624,9 @@ export class NoteManager {
    * Create a note at a specific element (from context menu)
    * @param {Element} element - Element to attach note to
    * @param {string} selector - CSS selector for the element
+   * @param {string} templateId - Template to start the note from, if any
    */
-  async createNoteAtElement(element, selector) {
+  async createNoteAtElement(element, selector, templateId = null) {
     if (!element || !selector) {
       log.warn('Cannot create note: missing element or selector');
       return;
@@ -815,6 +1655,8 @@ export class NoteManager {
       theme: prefs.defaultTheme,
       position: { anchor: prefs.defaultPosition },
       anchorText: element.textContent?.trim().substring(0, 100) || '',
+      anchorFingerprint: this.selectorEngine.generateFingerprint(element),
+      verifiedBreakpoints: this.markBreakpointVerified({}),
       metadata: {
         url: frameUrl,
         tabUrl: tabUrl,
@@ -828,12 +1670,15 @@ export class NoteManager {
         consoleErrors: consoleErrors.length > 0 ? consoleErrors : undefined
       }
     };
+    noteData.content = await this.getTemplateContent(templateId, noteData.metadata.environment);
+    const screenshot = await this.captureCreationScreenshot(element, prefs);
 
     try {
       // Save to storage
       const response = await this.sendMessage({
         action: 'saveNote',
-        note: noteData
+        note: noteData,
+        screenshot
       });
       
       if (response.success) {
@@ -961,10 +1806,16 @@ export class NoteManager {
       if (!existingNote) return;
 
       const newContent = noteData.content || '';
-      if (existingNote.content !== newContent) {
-        existingNote.richEditor.setContent(newContent);
-        existingNote.content = newContent;
+      const contentSync = detectContentConflict(existingNote.content, existingNote.baseContent, newContent);
+      if (contentSync === CONTENT_SYNC.APPLY) {
+        existingNote.applyServerContent(newContent, noteData.updatedAt);
         log.debug('Updated note content:', noteData.id);
+      } else if (contentSync === CONTENT_SYNC.CONFLICT) {
+        existingNote.showConflict(newContent, undefined, noteData.updatedAt);
+        log.debug('Edit conflict on note:', noteData.id);
+      } else if (existingNote.conflictContent === null) {
+        // Nothing to merge (the echo of our save, or another field changed): edits now build on this version
+        existingNote.setBaseVersion(newContent, noteData.updatedAt);
       }
       
       const newTheme = noteData.theme || 'yellow';
@@ -972,6 +1823,57 @@ export class NoteManager {
         existingNote.setTheme(newTheme);
         log.debug('Updated note theme:', noteData.id);
       }
+      
+      const newStatus = noteData.status || NOTE_STATUSES.OPEN;
+      if (existingNote.status !== newStatus) {
+        existingNote.setStatus(newStatus);
+        this.applyResolvedDisplay(existingNote);
+        log.debug('Updated note status:', noteData.id);
+      }
+      
+      const newSharedWith = noteData.sharedWith || [];
+      if (JSON.stringify(existingNote.sharedWith) !== JSON.stringify(newSharedWith)) {
+        existingNote.setSharedWith(newSharedWith);
+      }
+      
+      const newAssignee = noteData.assignee || null;
+      const newDueDate = noteData.dueDate || null;
+      if (existingNote.assignee !== newAssignee || existingNote.dueDate !== newDueDate) {
+        existingNote.setAssignment({ assignee: newAssignee, dueDate: newDueDate });
+        log.debug('Updated note assignment:', noteData.id);
+      }
+      
+      const newTags = noteData.tags || [];
+      if (JSON.stringify(existingNote.tags) !== JSON.stringify(newTags)) {
+        existingNote.setTags(newTags);
+        log.debug('Updated note tags:', noteData.id);
+      }
+      
+      const newAttachments = noteData.attachments || [];
+      if (JSON.stringify(existingNote.attachments) !== JSON.stringify(newAttachments)) {
+        existingNote.setAttachments(newAttachments);
+        log.debug('Updated note attachments:', noteData.id);
+      }
+      
+      const newDrawings = noteData.drawings || [];
+      if (JSON.stringify(existingNote.drawings) !== JSON.stringify(newDrawings)) {
+        existingNote.setDrawings(newDrawings);
+        log.debug('Updated note drawings:', noteData.id);
+      }
+      
+      const newReactions = normalizeReactions(noteData.reactions);
+      if (JSON.stringify(existingNote.reactions) !== JSON.stringify(newReactions)) {
+        existingNote.setReactions(newReactions);
+        log.debug('Updated note reactions:', noteData.id);
+      }
+      
+      const newResponsiveAnchors = noteData.responsiveAnchors || [];
+      const newVerifiedBreakpoints = noteData.verifiedBreakpoints || {};
+      if (JSON.stringify(existingNote.responsiveAnchors) !== JSON.stringify(newResponsiveAnchors) ||
+          JSON.stringify(existingNote.verifiedBreakpoints) !== JSON.stringify(newVerifiedBreakpoints)) {
+        existingNote.setResponsiveAnchors(newResponsiveAnchors, newVerifiedBreakpoints);
+        log.debug('Updated note breakpoints:', noteData.id);
+      }
     });
     
     // Process creations
@@ -979,6 +1881,11 @@ export class NoteManager {
       this.createNoteFromData(noteData, { isNewNote });
       log.debug('Created new note from real-time update:', noteData.id, 'isNewNote:', isNewNote);
     });
+    
+    // Shared notes may only arrive through real-time sync
+    if (toCreate.length > 0) {
+      this.openCommentLink(this.pendingCommentLink);
+    }
   }
   
   /**
@@ -994,6 +1901,23 @@ export class NoteManager {
     }
   }
   
+  /**
+   * Update collaborator presence from real-time sync
+   * @param {Array} viewers - Collaborators present on the page
+   */
+  handlePresenceUpdate(viewers) {
+    this.presenceViewers = viewers || [];
+    this.notes.forEach(note => this.applyPresence(note));
+  }
+  
+  /**
+   * Show the collaborators present on the page who can see a note
+   * @param {Object} note - StickyNote instance
+   */
+  applyPresence(note) {
+    note.setPresence(getNotePresence(this.presenceViewers, note.id, getNoteCollaborators(note)));
+  }
+  
   /**
    * Update user on all notes
    * @param {Object|null} user - User object or null
@@ -1043,7 +1967,7 @@ export class NoteManager {
     
     if (!note.anchor) {
       // Try to find the anchor element again
-      const anchor = document.querySelector(note.selector);
+      const anchor = querySelectorDeep(note.selector);
       if (anchor) {
         note.anchor = anchor;
       } else {
@@ -1099,6 +2023,29 @@ export class NoteManager {
     this.highlightNote(noteId, true);
   }
   
+  /**
+   * Open a comment permalink: highlight and maximize its note, then scroll to the comment.
+   * Links to notes that have not loaded yet are kept until the note arrives.
+   * @param {Object|null} link - Parsed permalink { noteId, commentId }
+   */
+  openCommentLink(link) {
+    if (!link) return;
+    
+    if (this.notes.has(link.noteId)) {
+      this.highlightAndMaximizeNote(link.noteId);
+    } else if (this.orphanedNotes.has(link.noteId)) {
+      this.showOrphanedNote(link.noteId);
+    } else {
+      this.pendingCommentLink = link;
+      return;
+    }
+    
+    this.pendingCommentLink = null;
+    this.notes.get(link.noteId).showComment(link.commentId).catch(error => {
+      log.warn('Failed to open linked comment:', error);
+    });
+  }
+  
   /**
    * Show an orphaned note centered on screen
    * Used when user clicks on orphaned note in popup
@@ -1126,15 +2073,27 @@ export class NoteManager {
         anchor: null, // No anchor - will be positioned centered
         selector: noteData.selector,
         content: noteData.content,
+        updatedAt: noteData.updatedAt,
         theme: noteData.theme || 'yellow',
         position: noteData.position || { anchor: 'top-right' },
         metadata: noteData.metadata,
+        screenshot: noteData.screenshot,
         createdAt: noteData.createdAt,
         ownerEmail: noteData.ownerEmail,
         ownerId: noteData.ownerId,
         isHidden: noteData.isHidden || false,
-        onSave: (content) => this.handleNoteSave(noteData.id, content),
+        status: noteData.status,
+        sharedWith: noteData.sharedWith,
+        assignee: noteData.assignee,
+        dueDate: noteData.dueDate,
+        tags: noteData.tags,
+        attachments: noteData.attachments,
+        onSave: (content, baseContent, baseUpdatedAt) => this.handleNoteSave(noteData.id, content, baseContent, baseUpdatedAt),
         onThemeChange: (theme) => this.handleThemeChange(noteData.id, theme),
+        onStatusChange: (status) => this.handleStatusChange(noteData.id, status),
+        onAssignmentChange: (changes) => this.handleAssignmentChange(noteData.id, changes),
+        onTagsChange: (tags) => this.handleTagsChange(noteData.id, tags),
+        onAttachmentsChange: (attachments, removed) => this.handleAttachmentsChange(noteData.id, attachments, removed),
         onPositionChange: (position) => this.handlePositionChange(noteData.id, position),
         onDelete: () => this.handleOrphanedNoteDelete(noteData.id),
         onVisibilityChange: (isHidden) => this.handleVisibilityChange(noteData.id, isHidden),
@@ -1145,12 +2104,18 @@ export class NoteManager {
         onDeleteComment: (id, commentId) => this.handleDeleteComment(id, commentId),
         onLoadComments: (id) => this.handleLoadComments(id),
         onCommentsOpened: (id) => this.subscribeToComments(id),
-        onCommentsClosed: (id) => this.unsubscribeFromComments(id)
+        onCommentsClosed: (id) => this.unsubscribeFromComments(id),
+        onLoadRevisions: (id) => this.handleLoadRevisions(id),
+        onRestoreRevision: (id, revisionId, original) => this.handleRestoreRevision(id, revisionId, original),
+        // Presence options
+        onEditingChange: (id, isEditing) => this.setEditingNote(isEditing ? id : null),
+        onCommentTyping: (id) => this.setTypingNote(id)
       });
       
       // Add to container
       this.container.appendChild(note.element);
       this.notes.set(noteId, note);
+      this.applyPresence(note);
     }
     
     // Position centered on screen (fixed position)
@@ -1257,6 +2222,66 @@ export class NoteManager {
     return allNotes;
   }
   
+  /**
+   * Check the anchors of stored notes against the current page
+   * Used by the site-wide anchor health check; notes are not displayed or modified.
+   * @param {Object[]} notesData - Note data from storage
+   * @returns {Object[]} Results with id, status (healthy, drifted or orphaned), reason,
+   *   and for drifted notes the suggested selector and its match score
+   */
+  checkAnchorHealth(notesData) {
+    return (notesData || []).map(noteData => {
+      const result = { id: noteData.id, status: 'healthy', reason: null, suggestedSelector: null, score: null };
+      
+      let matches = [];
+      try {
+        matches = querySelectorAllDeep(noteData.selector);
+      } catch {
+        matches = [];
+      }
+      
+      if (matches.length === 1 && this.selectorEngine.validate(noteData.selector, matches[0])) {
+        const anchor = matches[0];
+        const { score, maxScore } = this.selectorEngine.scoreFingerprint(anchor, noteData.anchorFingerprint);
+        if (maxScore > 0 && (score / maxScore) * 100 < HEALTHY_FINGERPRINT_MIN_PERCENT) {
+          return { ...result, ...this.suggestAnchorFix(noteData, anchor), status: 'drifted', reason: 'elementChanged' };
+        }
+        if (noteData.textAnchor && !this.selectorEngine.locateTextRange(anchor, noteData.textAnchor)) {
+          return { ...result, status: 'drifted', reason: 'textChanged' };
+        }
+        return result;
+      }
+      
+      const suggestion = this.suggestAnchorFix(noteData, null);
+      if (matches.length > 1) {
+        return { ...result, ...suggestion, status: 'drifted', reason: 'ambiguous' };
+      }
+      if (suggestion.suggestedSelector) {
+        return { ...result, ...suggestion, status: 'drifted', reason: 'selectorMissing' };
+      }
+      return { ...result, status: 'orphaned', reason: 'noMatch' };
+    });
+  }
+  
+  /**
+   * Suggest a new selector for a note from its best fuzzy match
+   * @param {Object} noteData - Note data from storage
+   * @param {Element|null} currentAnchor - Element the selector resolves to now, if any
+   * @returns {Object} { suggestedSelector, score } (both null when there is nothing better)
+   */
+  suggestAnchorFix(noteData, currentAnchor) {
+    const match = this.selectorEngine.findBestMatchWithScore(noteData.selector, this.getMatchMetadata(noteData));
+    if (!match || match.element === currentAnchor) {
+      return { suggestedSelector: null, score: null };
+    }
+    
+    const suggestedSelector = this.selectorEngine.generate(match.element);
+    if (!suggestedSelector || suggestedSelector === noteData.selector) {
+      return { suggestedSelector: null, score: null };
+    }
+    return { suggestedSelector, score: Math.round(match.score) };
+  }
+  
   /**
    * Clear all notes
    */
@@ -1266,6 +2291,8 @@ export class NoteManager {
       note.destroy();
     });
     this.notes.clear();
+    this.provisionalAnchors.clear();
+    this.hiddenResolvedNoteIds.clear();
     
     // Also clear pending notes and session tracking
     this.clearPendingNotes();
@@ -4,6 +4,7 @@
  */
 
 import { contentLogger as log } from '../../shared/logger.js';
+import { PRESENCE, getNoteCollaborators } from '../../shared/utils.js';
 
 /**
  * Manages real-time subscriptions for notes and comments
@@ -16,6 +17,7 @@ export class RealtimeSync {
    * @param {Function} options.isContextInvalidatedError - Function to check context errors
    * @param {Function} options.onNotesUpdate - Callback when notes are updated
    * @param {Function} options.onCommentsUpdate - Callback when comments are updated
+   * @param {Function} options.onPresenceUpdate - Callback with the collaborators present on the page
    * @param {Function} options.getNotes - Function to get notes map
    */
   constructor(options) {
@@ -23,7 +25,16 @@ export class RealtimeSync {
     this.isContextInvalidatedError = options.isContextInvalidatedError;
     this.onNotesUpdate = options.onNotesUpdate;
     this.onCommentsUpdate = options.onCommentsUpdate;
+    this.onPresenceUpdate = options.onPresenceUpdate || (() => {});
     this.getNotes = options.getNotes;
+    
+    // Our own presence on this page, published while subscribed to notes
+    this.presence = { editingNoteId: null, typingNoteId: null };
+    this.presenceHeartbeat = null;
+    this.presencePublished = false;
+    this.typingTimeout = null;
+    // Collaborators currently present on the page
+    this.presenceViewers = [];
   }
   
   /**
@@ -39,6 +50,7 @@ export class RealtimeSync {
       
       if (response.success) {
         log.debug('Subscribed to real-time note updates');
+        this.startPresence();
       } else {
         log.warn('Failed to subscribe to notes:', response.error);
       }
@@ -53,6 +65,7 @@ export class RealtimeSync {
    * Unsubscribe from real-time note updates
    */
   async unsubscribeFromNotes() {
+    this.stopPresence();
     try {
       await this.sendMessage({ action: 'unsubscribeFromNotes' });
       log.debug('Unsubscribed from real-time note updates');
@@ -127,6 +140,126 @@ export class RealtimeSync {
     }
   }
   
+  /**
+   * Start publishing our presence on a heartbeat
+   * Missed heartbeats let the presence expire, so it also goes away when
+   * the page closes without unsubscribing.
+   */
+  startPresence() {
+    if (this.presenceHeartbeat) {
+      clearInterval(this.presenceHeartbeat);
+    }
+    this.presenceHeartbeat = setInterval(() => this.handlePresenceHeartbeat(), PRESENCE.HEARTBEAT_INTERVAL);
+    this.publishPresence();
+  }
+  
+  /**
+   * Stop publishing presence and forget the collaborators on the page
+   * The background removes our presence along with the notes subscription.
+   */
+  stopPresence() {
+    if (this.presenceHeartbeat) {
+      clearInterval(this.presenceHeartbeat);
+      this.presenceHeartbeat = null;
+    }
+    if (this.typingTimeout) {
+      clearTimeout(this.typingTimeout);
+      this.typingTimeout = null;
+    }
+    this.presence = { editingNoteId: null, typingNoteId: null };
+    this.presencePublished = false;
+    this.handlePresenceUpdate([]);
+  }
+  
+  /**
+   * Refresh our presence and drop collaborators whose presence expired
+   */
+  handlePresenceHeartbeat() {
+    this.publishPresence();
+    this.handlePresenceUpdate(this.presenceViewers);
+  }
+  
+  /**
+   * Get the emails allowed to see our presence: collaborators on the page's notes
+   * @returns {string[]} Lowercased emails
+   */
+  getPresenceAudience() {
+    const emails = new Set();
+    for (const note of this.getNotes().values()) {
+      getNoteCollaborators(note).forEach(email => emails.add(email));
+    }
+    return [...emails];
+  }
+  
+  /**
+   * Send our current presence to the background
+   * Pages without shared notes publish nothing, unless an earlier presence
+   * has to be withdrawn.
+   */
+  async publishPresence() {
+    if (!this.presenceHeartbeat) return;
+    
+    const audience = this.getPresenceAudience();
+    if (audience.length === 0 && !this.presencePublished) return;
+    this.presencePublished = audience.length > 0;
+    
+    try {
+      const response = await this.sendMessage({
+        action: 'updatePresence',
+        audience,
+        editingNoteId: this.presence.editingNoteId,
+        typingNoteId: this.presence.typingNoteId
+      });
+      
+      if (!response?.success) {
+        log.debug('Failed to update presence:', response?.error);
+      }
+    } catch (error) {
+      if (!this.isContextInvalidatedError(error)) {
+        log.error('Failed to update presence:', error);
+      }
+    }
+  }
+  
+  /**
+   * Set the note we are editing
+   * @param {string|null} noteId - Note ID, or null when no note has focus
+   */
+  setEditingNote(noteId) {
+    if (this.presence.editingNoteId === noteId) return;
+    this.presence.editingNoteId = noteId;
+    this.publishPresence();
+  }
+  
+  /**
+   * Mark us as typing a comment on a note until input pauses
+   * @param {string} noteId - Note ID
+   */
+  setTypingNote(noteId) {
+    if (this.typingTimeout) {
+      clearTimeout(this.typingTimeout);
+    }
+    this.typingTimeout = setTimeout(() => {
+      this.typingTimeout = null;
+      this.presence.typingNoteId = null;
+      this.publishPresence();
+    }, PRESENCE.TYPING_IDLE);
+    
+    if (this.presence.typingNoteId === noteId) return;
+    this.presence.typingNoteId = noteId;
+    this.publishPresence();
+  }
+  
+  /**
+   * Handle collaborator presence from background
+   * @param {Array} viewers - Collaborators present on the page
+   */
+  handlePresenceUpdate(viewers) {
+    const now = Date.now();
+    this.presenceViewers = (viewers || []).filter(viewer => viewer.expiresAt > now);
+    this.onPresenceUpdate(this.presenceViewers);
+  }
+  
   /**
    * Handle real-time notes update from background
    * @param {Array} notes - Updated notes array
@@ -7,8 +7,9 @@ import { SelectorEngine } from '../selectors/SelectorEngine.js';
 import { VisibilityManager } from '../observers/VisibilityManager.js';
 import { getConsoleCapture } from '../observers/ConsoleCapture.js';
 import { contentLogger as log } from '../../shared/logger.js';
-import { createCompositeUrl } from '../../shared/utils.js';
+import { createCompositeUrl, debounce, parseCommentPermalink } from '../../shared/utils.js';
 import { getPreferences } from '../../shared/preferences.js';
+import { getSelectorRules, findSelectorRuleForHost } from '../../shared/selectorRules.js';
 import { RealtimeSync } from './RealtimeSync.js';
 import { MessageHandler } from './MessageHandler.js';
 import { NoteManager } from './NoteManager.js';
@@ -20,11 +21,23 @@ import {
   shouldReloadNotes 
 } from './StickyNotesApp.helpers.js';
 
+/**
+ * Delay after the last resize event before anchors are re-resolved
+ */
+const VIEWPORT_RESIZE_DEBOUNCE_MS = 250;
+
 /**
  * Main application class for the content script
  */
 export class StickyNotesApp {
-  constructor() {
+  /**
+   * @param {Object} options - Options
+   * @param {boolean} options.checkOnly - Only answer anchor health checks: notes are not
+   *   loaded, real-time sync and presence are not started and nothing is re-anchored
+   */
+  constructor(options = {}) {
+    this.checkOnly = options.checkOnly === true;
+    
     // Core state
     this.notes = new Map();
     this.contextInvalidated = false;
@@ -83,8 +96,8 @@ export class StickyNotesApp {
       
       // Initialize UI Manager first
       this.uiManager = new UIManager({
-        onElementSelect: (element, pendingReanchor) => 
-          this.noteManager.handleElementSelect(element, pendingReanchor)
+        onElementSelect: (element, pendingReanchor, textRange, region, templateId) => 
+          this.noteManager.handleElementSelect(element, pendingReanchor, textRange, region, templateId)
       });
       
       // Create shadow DOM container
@@ -121,6 +134,7 @@ export class StickyNotesApp {
         isContextInvalidatedError: (err) => this.isContextInvalidatedError(err),
         onNotesUpdate: (notes) => this.noteManager.handleRealtimeNotesUpdate(notes),
         onCommentsUpdate: (noteId, comments) => this.noteManager.handleRealtimeCommentsUpdate(noteId, comments),
+        onPresenceUpdate: (viewers) => this.noteManager.handlePresenceUpdate(viewers),
         getNotes: () => this.notes
       });
       
@@ -139,7 +153,11 @@ export class StickyNotesApp {
         isTopFrame: () => this.isTopFrame,
         subscribeToComments: (noteId) => this.realtimeSync.subscribeToComments(noteId),
         unsubscribeFromComments: (noteId) => this.realtimeSync.unsubscribeFromComments(noteId),
+        setEditingNote: (noteId) => this.realtimeSync.setEditingNote(noteId),
+        setTypingNote: (noteId) => this.realtimeSync.setTypingNote(noteId),
         showReanchorUI: (noteData) => this.uiManager.showReanchorUI(noteData),
+        showReanchorConfirmUI: (noteData, callbacks) => this.uiManager.showReanchorConfirmUI(noteData, callbacks),
+        startReanchorMode: (noteData) => this.uiManager.startReanchorMode(noteData),
         getConsoleErrors: () => this.consoleCapture.getRecentErrors(5)
       });
       
@@ -156,6 +174,12 @@ export class StickyNotesApp {
       this.uiManager.setupMutationObserver(this.notes, this.visibilityManager, this.noteManager);
       log.debug(' Mutation observer ready');
       
+      // Move notes with responsive anchors when the viewport crosses a breakpoint
+      window.addEventListener('resize', debounce(() => this.noteManager.handleViewportResize(), VIEWPORT_RESIZE_DEBOUNCE_MS));
+      
+      // Open comment permalinks followed while already on the page
+      window.addEventListener('hashchange', () => this.noteManager.openCommentLink(parseCommentPermalink(window.location.hash)));
+      
       // Apply notesVisibleByDefault preference before loading notes
       log.debug(' Applying notesVisibleByDefault preference...');
       try {
@@ -164,12 +188,23 @@ export class StickyNotesApp {
           this.visibilityManager.setGlobalVisibility(false);
           log.debug(' Notes visibility set to hidden by user preference');
         }
+        this.noteManager.resolvedNotesDisplay = prefs.resolvedNotesDisplay;
       } catch (error) {
         log.warn(' Failed to load notesVisibleByDefault preference:', error);
       }
       
+      // Apply this site's selector rules before any selector is generated or matched
+      log.debug(' Applying selector rules...');
+      const selectorRules = await getSelectorRules();
+      this.selectorEngine.applyRules(findSelectorRuleForHost(selectorRules, window.location.hostname));
+      
       log.debug('Content script fully initialized and ready to receive messages');
       
+      if (this.checkOnly) {
+        log.debug(' Check-only mode, not loading notes');
+        return;
+      }
+      
       // Fetch current user for comments (async, non-blocking)
       log.debug(' Fetching current user...');
       this.fetchCurrentUser().catch(err => {
@@ -177,7 +212,9 @@ export class StickyNotesApp {
       });
       
       // Load existing notes for this page (async, non-blocking)
+      // A comment permalink in the URL is opened once its note has loaded
       log.debug(' Loading notes for this page...');
+      this.noteManager.openCommentLink(parseCommentPermalink(window.location.hash));
       this.noteManager.loadNotes(() => this.realtimeSync.subscribeToNotes(this.currentUrl)).catch(err => {
         log.warn(' Failed to load notes:', err);
       });
@@ -270,6 +307,8 @@ export class StickyNotesApp {
    * @param {Object|null} user - New user object or null if logged out
    */
   async handleUserChange(user) {
+    if (this.checkOnly) return;
+    
     const wasLoggedIn = !!this.currentUser;
     const isLoggedIn = !!user;
     this.currentUser = user;
@@ -297,6 +336,8 @@ export class StickyNotesApp {
    * @param {string} newUrl - New URL (this is the tab URL from the background script)
    */
   async handleUrlChange(newUrl) {
+    if (this.checkOnly) return;
+    
     // Update frame URL
     this.frameUrl = window.location.href;
     
@@ -364,9 +405,10 @@ export class StickyNotesApp {
   /**
    * Create a note at the last right-clicked element
    * Called from context menu
+   * @param {string} templateId - Template to start the note from, if any
    * @returns {boolean} True if note was created, false if no element to attach to
    */
-  async createNoteAtClick() {
+  async createNoteAtClick(templateId = null) {
     log.debug('createNoteAtClick called, lastRightClickedElement:', 
       this.lastRightClickedElement?.tagName || 'null',
       'isTopFrame:', this.isTopFrame,
@@ -388,7 +430,7 @@ export class StickyNotesApp {
       }
       
       // Create note via NoteManager
-      await this.noteManager.createNoteAtElement(this.lastRightClickedElement, selector);
+      await this.noteManager.createNoteAtElement(this.lastRightClickedElement, selector, templateId);
       
       // Clear the element after creating note to prevent duplicate creates
       this.lastRightClickedElement = null;
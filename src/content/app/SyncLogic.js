@@ -3,6 +3,8 @@
  * Pure logic for handling real-time synchronization updates
  */
 
+import { normalizeReactions, getTimestampMillis } from '../../shared/utils.js';
+
 /**
  * Clean up expired session-created markers
  * @param {Map<string, number>} sessionCreatedNoteIds - Map of note IDs to creation timestamp
@@ -21,6 +23,44 @@ export function purgeExpiredSessionMarkers(sessionCreatedNoteIds, now = Date.now
   return expiredIds;
 }
 
+/**
+ * Content sync outcomes for a note that received a server update
+ */
+export const CONTENT_SYNC = {
+  NONE: 'none',
+  APPLY: 'apply',
+  CONFLICT: 'conflict'
+};
+
+/**
+ * Decide what to do with server content for a note that may be mid-edit
+ * The base is the server content the local edits started from. Versions are
+ * compared by content rather than updatedAt, since position or theme changes
+ * and the echo of our own saves bump updatedAt without touching the text.
+ * Saves themselves are checked against updatedAt by updateNote.
+ * @param {string} localContent - Content currently in the editor
+ * @param {string|undefined} baseContent - Server content the local edits are based on
+ * @param {string} serverContent - Content from the server update
+ * @returns {string} One of CONTENT_SYNC
+ */
+export function detectContentConflict(localContent, baseContent, serverContent) {
+  if (serverContent === localContent) {
+    return CONTENT_SYNC.NONE;
+  }
+  if (baseContent === undefined || baseContent === null) {
+    return CONTENT_SYNC.APPLY;
+  }
+  // Nothing new on the server (e.g. the echo of a save we already made)
+  if (serverContent === baseContent) {
+    return CONTENT_SYNC.NONE;
+  }
+  // No local edits to lose
+  if (localContent === baseContent) {
+    return CONTENT_SYNC.APPLY;
+  }
+  return CONTENT_SYNC.CONFLICT;
+}
+
 /**
  * Calculate the difference between current notes and updated notes
  * @param {Map<string, any>} currentNotesMap - Current notes in the application
@@ -58,10 +98,30 @@ export function calculateNoteDiff(currentNotesMap, updatedNotesList, sessionCrea
       // Here we pass the full data so the caller can decide exactly what to update.
       
       // Simple check for changed properties we care about for now
-      const contentChanged = existingNote.content !== (noteData.content || '');
+      const contentChanged = detectContentConflict(
+        existingNote.content,
+        existingNote.baseContent,
+        noteData.content || ''
+      ) !== CONTENT_SYNC.NONE;
       const themeChanged = existingNote.theme !== (noteData.theme || 'yellow');
+      const breakpointsChanged =
+        JSON.stringify(existingNote.responsiveAnchors || []) !== JSON.stringify(noteData.responsiveAnchors || []) ||
+        JSON.stringify(existingNote.verifiedBreakpoints || {}) !== JSON.stringify(noteData.verifiedBreakpoints || {});
+      const statusChanged = (existingNote.status || 'open') !== (noteData.status || 'open');
+      const assignmentChanged =
+        (existingNote.assignee || null) !== (noteData.assignee || null) ||
+        (existingNote.dueDate || null) !== (noteData.dueDate || null) ||
+        JSON.stringify(existingNote.sharedWith || []) !== JSON.stringify(noteData.sharedWith || []);
+      const tagsChanged = JSON.stringify(existingNote.tags || []) !== JSON.stringify(noteData.tags || []);
+      const attachmentsChanged = JSON.stringify(existingNote.attachments || []) !== JSON.stringify(noteData.attachments || []);
+      const drawingsChanged = JSON.stringify(existingNote.drawings || []) !== JSON.stringify(noteData.drawings || []);
+      // Toggling off a reaction leaves an empty list behind, which normalizing drops
+      const reactionsChanged = JSON.stringify(existingNote.reactions || {}) !== JSON.stringify(normalizeReactions(noteData.reactions));
+      // A newer version must reach the note even without visible changes, so its next save isn't rejected as stale
+      const serverUpdatedAt = getTimestampMillis(noteData.updatedAt);
+      const versionChanged = serverUpdatedAt !== null && serverUpdatedAt !== getTimestampMillis(existingNote.baseUpdatedAt);
       
-      if (contentChanged || themeChanged) {
+      if (contentChanged || themeChanged || breakpointsChanged || statusChanged || assignmentChanged || tagsChanged || attachmentsChanged || drawingsChanged || reactionsChanged || versionChanged) {
         toUpdate.push(noteData);
       }
     } else {
@@ -76,3 +136,22 @@ export function calculateNoteDiff(currentNotesMap, updatedNotesList, sessionCrea
 
   return { toRemove, toUpdate, toCreate };
 }
+
+/**
+ * Pick the collaborators present on the page who can see a note
+ * A viewer only shows up on notes they own or that are shared with them.
+ * @param {Array} viewers - Collaborators present on the page { email, editingNoteId, typingNoteId, ... }
+ * @param {string} noteId - Note ID
+ * @param {string[]} collaborators - Lowercased emails of the note's owner and collaborators
+ * @returns {Array} Viewers of the note with isEditing and isTyping flags
+ */
+export function getNotePresence(viewers, noteId, collaborators) {
+  const allowed = new Set(collaborators);
+  return (viewers || [])
+    .filter(viewer => allowed.has(viewer.email?.toLowerCase()))
+    .map(viewer => ({
+      ...viewer,
+      isEditing: viewer.editingNoteId === noteId,
+      isTyping: viewer.typingNoteId === noteId
+    }));
+}
@@ -4,11 +4,13 @@
  */
 
 import { SelectionOverlay } from '../components/SelectionOverlay.js';
+import { NotificationManager } from '../components/NotificationManager.js';
 import { getShadowStyles, injectMainDocumentStyles } from './styles.js';
 import { contentLogger as log } from '../../shared/logger.js';
 import { t } from '../../shared/i18n.js';
-import { escapeHtml } from '../../shared/utils.js';
+import { escapeHtml, querySelectorAllDeep, getShadowRootsForSelector } from '../../shared/utils.js';
 import { getPreferences, getFontSizeValue } from '../../shared/preferences.js';
+import { getNoteTemplates, getLastNoteTemplateId, setLastNoteTemplateId } from '../../shared/noteTemplates.js';
 
 /**
  * Manages UI state and DOM operations
@@ -28,6 +30,11 @@ export class UIManager {
     this.isSelectionMode = false;
     this.pendingReanchor = null;
     this.reanchorTooltip = null;
+    this.notificationManager = null;
+    
+    // Automatic re-anchors waiting for the user to confirm, shown one banner at a time
+    this.reanchorConfirmQueue = [];
+    this.activeReanchorConfirm = null;
   }
   
   /**
@@ -64,6 +71,7 @@ export class UIManager {
     this.container.id = 'sticky-notes-container';
     this.container.style.cssText = 'pointer-events: auto;';
     this.shadowRoot.appendChild(this.container);
+    this.notificationManager = new NotificationManager(this.container);
     
     // Append to document
     document.body.appendChild(host);
@@ -125,13 +133,32 @@ export class UIManager {
     // Create selection overlay
     log.debug(' Creating SelectionOverlay...');
     this.selectionOverlay = new SelectionOverlay({
-      onSelect: (element) => this.handleElementSelect(element),
-      onCancel: () => this.disableSelectionModeAllFrames()
+      onSelect: (element, textRange, region) => this.handleElementSelect(element, textRange, region),
+      onCancel: () => this.disableSelectionModeAllFrames(),
+      onTemplateChange: (templateId) => setLastNoteTemplateId(templateId)
     });
     
     log.debug(' Appending overlay to container');
     this.container.appendChild(this.selectionOverlay.element);
     log.debug('Selection mode fully enabled - click an element to add a note');
+    
+    // One picker per page is enough: the choice is stored, so every frame uses it
+    if (isTopFrame && !this.pendingReanchor) {
+      this.showTemplatePicker(this.selectionOverlay);
+    }
+  }
+  
+  /**
+   * Load templates into the selection overlay's template picker
+   * @param {SelectionOverlay} overlay - Overlay to show the picker in
+   */
+  async showTemplatePicker(overlay) {
+    const [templates, lastTemplateId] = await Promise.all([getNoteTemplates(), getLastNoteTemplateId()]);
+    
+    // Selection mode may have ended while loading
+    if (this.selectionOverlay === overlay) {
+      overlay.showTemplatePicker(templates, lastTemplateId);
+    }
   }
   
   /**
@@ -174,8 +201,10 @@ export class UIManager {
   /**
    * Handle element selection
    * @param {Element} element - Selected element
+   * @param {Range} textRange - Selected text range inside the element, if any
+   * @param {Object} region - Region dragged over the element, if any
    */
-  async handleElementSelect(element) {
+  async handleElementSelect(element, textRange = null, region = null) {
     // Disable selection mode
     this.disableSelectionMode();
     
@@ -189,7 +218,10 @@ export class UIManager {
     const pendingReanchor = this.pendingReanchor;
     this.pendingReanchor = null;
     
-    await this.onElementSelect(element, pendingReanchor);
+    // Re-anchoring keeps the note's content, so templates only apply to new notes
+    const templateId = pendingReanchor ? null : await getLastNoteTemplateId();
+    
+    await this.onElementSelect(element, pendingReanchor, textRange, region, templateId);
   }
   
   /**
@@ -262,6 +294,58 @@ export class UIManager {
     }, 10000);
   }
   
+  /**
+   * Ask the user to confirm an automatic re-anchor
+   * @param {Object} noteData - Note data
+   * @param {Object} callbacks - Banner callbacks
+   * @param {Function} callbacks.onConfirm - Called when the user keeps the new anchor
+   * @param {Function} callbacks.onPickAnother - Called before re-anchor mode starts
+   */
+  showReanchorConfirmUI(noteData, { onConfirm, onPickAnother }) {
+    this.reanchorConfirmQueue.push({ noteData, onConfirm, onPickAnother });
+    if (!this.activeReanchorConfirm) {
+      this.showNextReanchorConfirm();
+    }
+  }
+  
+  /**
+   * Show the banner for the next queued automatic re-anchor
+   */
+  showNextReanchorConfirm() {
+    const next = this.reanchorConfirmQueue.shift();
+    this.activeReanchorConfirm = next || null;
+    if (!next) return;
+    
+    const { noteData, onConfirm, onPickAnother } = next;
+    const contentPreview = (noteData.content || '').substring(0, 50);
+    const ellipsis = noteData.content?.length > 50 ? '...' : '';
+    
+    this.notificationManager.showBanner({
+      title: t('noteReanchoredTitle'),
+      message: `"${contentPreview}${ellipsis}"`,
+      type: 'info',
+      duration: 0,
+      actions: [
+        {
+          text: t('confirm'),
+          primary: true,
+          onClick: () => {
+            onConfirm();
+            this.showNextReanchorConfirm();
+          }
+        },
+        {
+          text: t('pickAnotherAnchor'),
+          onClick: () => {
+            onPickAnother();
+            this.startReanchorMode(noteData);
+            this.showNextReanchorConfirm();
+          }
+        }
+      ]
+    });
+  }
+  
   /**
    * Dismiss a banner with animation
    * @param {HTMLElement} banner - Banner to dismiss
@@ -410,10 +494,32 @@ export class UIManager {
    * @param {Object} noteManager - Note manager instance (for pending notes)
    */
   setupMutationObserver(notes, visibilityManager, noteManager = null) {
+    const observerOptions = {
+      childList: true,
+      subtree: true
+    };
+    
+    // Mutations inside shadow trees are not reported to the document observer,
+    // so shadow roots that anchors (or pending anchors) live in are observed too
+    const observedShadowRoots = new WeakSet();
+    const observeShadowRoots = () => {
+      const selectors = [
+        ...Array.from(notes.values()).map(note => note.selector),
+        ...Array.from(noteManager?.pendingNotes?.values() || []).map(pending => pending.noteData?.selector)
+      ];
+      selectors.forEach(selector => {
+        getShadowRootsForSelector(selector).forEach(root => {
+          if (observedShadowRoots.has(root)) return;
+          observedShadowRoots.add(root);
+          observer.observe(root, observerOptions);
+        });
+      });
+    };
+    
     const observer = new MutationObserver((_mutations) => {
       // Check if any anchor elements were removed
       notes.forEach((note, _id) => {
-        if (!document.contains(note.anchor)) {
+        if (!note.anchor?.isConnected) {
           const oldText = (note.anchor?.textContent || '').trim();
 
           // Anchor element was removed, try to find it again.
@@ -421,7 +527,7 @@ export class UIManager {
           let newAnchor = null;
           let matches = [];
           try {
-            matches = Array.from(document.querySelectorAll(note.selector));
+            matches = querySelectorAllDeep(note.selector);
             newAnchor = matches[0] || null;
           } catch {
             matches = [];
@@ -433,7 +539,11 @@ export class UIManager {
             if (exact) {
               newAnchor = exact;
             } else {
-              const best = noteManager.selectorEngine.findBestMatch(note.selector, { textContent: oldText });
+              const best = noteManager.selectorEngine.findBestMatch(note.selector, {
+                textContent: oldText,
+                fingerprint: note.anchorFingerprint || null,
+                history: note.anchorHistory || []
+              });
               if (best) newAnchor = best;
             }
           }
@@ -445,6 +555,10 @@ export class UIManager {
             visibilityManager.unobserve(oldAnchor);
             // Update note's anchor reference
             note.updateAnchor(newAnchor);
+            // Re-locate the quoted text inside the new anchor
+            if (note.textAnchor && noteManager?.selectorEngine?.locateTextRange) {
+              note.setTextRange(noteManager.selectorEngine.locateTextRange(newAnchor, note.textAnchor));
+            }
             // Observe new anchor
             visibilityManager.observe(newAnchor, note);
           }
@@ -455,11 +569,12 @@ export class UIManager {
       if (noteManager) {
         noteManager.checkPendingNotes();
       }
+      
+      // Hosts may have rendered (or re-rendered) their shadow roots
+      observeShadowRoots();
     });
     
-    observer.observe(document.body, {
-      childList: true,
-      subtree: true
-    });
+    observer.observe(document.body, observerOptions);
+    observeShadowRoots();
   }
 }
@@ -5,6 +5,10 @@
 
 import { RichEditor } from '../components/RichEditor.js';
 import { CommentSection } from '../components/CommentSection.js';
+import { RevisionHistory } from '../components/RevisionHistory.js';
+import { AttachmentList } from '../components/AttachmentList.js';
+import { ReactionBar } from '../components/ReactionBar.js';
+import { DrawingLayer } from '../components/DrawingLayer.js';
 import { ConfirmDialog } from '../components/ConfirmDialog.js';
 
 /**
@@ -279,6 +283,18 @@ export function getShadowStyles() {
       border-left: 4px solid var(--sn-color-warning);
     }
 
+    .sn-banner-info {
+      border-left: 4px solid var(--sn-color-primary);
+    }
+
+    .sn-banner-info .sn-banner-icon {
+      background: #fef9c3;
+    }
+
+    .sn-banner-info .sn-banner-icon svg {
+      stroke: var(--sn-color-primary-dark);
+    }
+
     .sn-banner-hiding {
       animation: sn-toast-fade-out 0.3s ease forwards;
     }
@@ -497,6 +513,76 @@ export function getShadowStyles() {
       letter-spacing: 0.5px;
     }
 
+    .sn-note-header-assignment {
+      display: flex;
+      align-items: center;
+      gap: 4px;
+      min-width: 0;
+      margin-right: auto;
+    }
+
+    .sn-note-header-assignment:empty {
+      display: none;
+    }
+
+    .sn-assignee-chip,
+    .sn-due-chip {
+      padding: 2px 6px;
+      border-radius: 10px;
+      background: rgba(255, 255, 255, 0.85);
+      color: #374151;
+      font-size: 10px;
+      font-weight: 600;
+      white-space: nowrap;
+      overflow: hidden;
+      text-overflow: ellipsis;
+      max-width: 80px;
+    }
+
+    .sn-due-chip.sn-overdue {
+      background: #fee2e2;
+      color: #991b1b;
+    }
+
+    /* Collaborators present on the page */
+    .sn-note-presence {
+      display: flex;
+      align-items: center;
+      margin-left: auto;
+      padding-left: 4px;
+    }
+
+    .sn-note-presence:empty {
+      display: none;
+    }
+
+    .sn-presence-avatar,
+    .sn-presence-more {
+      display: flex;
+      align-items: center;
+      justify-content: center;
+      width: 20px;
+      height: 20px;
+      border-radius: 50%;
+      border: 2px solid rgba(255, 255, 255, 0.9);
+      background: #e5e7eb;
+      color: #374151;
+      font-size: 10px;
+      font-weight: 600;
+      box-sizing: border-box;
+    }
+
+    .sn-presence-avatar + .sn-presence-avatar,
+    .sn-presence-avatar + .sn-presence-more {
+      margin-left: -6px;
+    }
+
+    .sn-presence-avatar.sn-presence-editing {
+      border-color: #22c55e;
+      background: #dcfce7;
+      color: #166534;
+    }
+
     .sn-note-header-actions {
       display: flex;
       gap: 4px;
@@ -539,6 +625,144 @@ export function getShadowStyles() {
       padding: 12px;
     }
 
+    .sn-note-screenshot {
+      display: block;
+      width: 100%;
+      margin-top: 8px;
+      padding: 0;
+      border: 1px solid rgba(0, 0, 0, 0.1);
+      border-radius: 4px;
+      background: rgba(255, 255, 255, 0.6);
+      overflow: hidden;
+      cursor: zoom-in;
+    }
+
+    .sn-note-screenshot.sn-hidden {
+      display: none;
+    }
+
+    .sn-note-screenshot:focus-visible {
+      outline: 2px solid #3b82f6;
+      outline-offset: 2px;
+    }
+
+    .sn-note-screenshot[aria-expanded="true"] {
+      cursor: zoom-out;
+    }
+
+    .sn-note-screenshot-img {
+      display: block;
+      width: 100%;
+      max-height: 96px;
+      object-fit: cover;
+    }
+
+    .sn-note-screenshot[aria-expanded="true"] .sn-note-screenshot-img {
+      max-height: none;
+      object-fit: contain;
+    }
+
+    .sn-note-tags {
+      display: flex;
+      flex-wrap: wrap;
+      align-items: center;
+      gap: 4px;
+      margin-top: 8px;
+    }
+
+    .sn-tag-list {
+      display: contents;
+    }
+
+    .sn-tag {
+      display: inline-flex;
+      align-items: center;
+      gap: 2px;
+      padding: 2px 4px 2px 8px;
+      border-radius: 10px;
+      background: rgba(0, 0, 0, 0.08);
+      color: #374151;
+      font-size: 11px;
+      font-weight: 500;
+    }
+
+    .sn-tag-remove {
+      display: inline-flex;
+      align-items: center;
+      justify-content: center;
+      width: 16px;
+      height: 16px;
+      padding: 0;
+      border: none;
+      border-radius: 50%;
+      background: transparent;
+      color: inherit;
+      font-size: 12px;
+      line-height: 1;
+      cursor: pointer;
+    }
+
+    .sn-tag-remove:hover,
+    .sn-tag-remove:focus-visible {
+      background: rgba(0, 0, 0, 0.12);
+    }
+
+    .sn-tag-input {
+      flex: 1;
+      min-width: 70px;
+      padding: 2px 4px;
+      border: none;
+      border-bottom: 1px dashed rgba(0, 0, 0, 0.2);
+      background: transparent;
+      color: #374151;
+      font-size: 11px;
+      font-family: inherit;
+    }
+
+    .sn-tag-input:focus {
+      outline: none;
+      border-bottom-color: var(--sn-color-primary);
+    }
+
+    /* Edit conflict prompt */
+    .sn-conflict-banner {
+      margin-bottom: 8px;
+      padding: 8px;
+      border: 1px solid #f59e0b;
+      border-radius: 6px;
+      background: #fffbeb;
+      color: #92400e;
+      font-size: 12px;
+      line-height: 1.4;
+    }
+
+    .sn-conflict-actions {
+      display: flex;
+      gap: 6px;
+      margin-top: 6px;
+    }
+
+    .sn-conflict-btn {
+      flex: 1;
+      padding: 4px 6px;
+      border: 1px solid rgba(146, 64, 14, 0.3);
+      border-radius: 4px;
+      background: #fff;
+      color: #92400e;
+      cursor: pointer;
+      font-size: 11px;
+      font-family: inherit;
+    }
+
+    .sn-conflict-btn:hover {
+      background: #fef3c7;
+    }
+
+    .sn-conflict-btn:focus-visible {
+      outline: 2px solid var(--sn-color-primary);
+      outline-offset: 1px;
+    }
+
     .sn-note-textarea {
       width: 100%;
       min-height: 80px;
@@ -591,6 +815,55 @@ export function getShadowStyles() {
       font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
     }
 
+    /* Template choice for the note about to be created */
+    .sn-template-picker {
+      position: fixed;
+      top: 12px;
+      left: 50%;
+      transform: translateX(-50%);
+      display: flex;
+      align-items: center;
+      gap: 8px;
+      padding: 6px 8px 6px 12px;
+      background: #1f2937;
+      color: white;
+      font-size: 12px;
+      border-radius: 6px;
+      box-shadow: 0 4px 12px rgba(0, 0, 0, 0.15);
+      pointer-events: auto;
+      font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+    }
+
+    .sn-template-select {
+      padding: 4px 6px;
+      border: none;
+      border-radius: 4px;
+      font-size: 12px;
+      font-family: inherit;
+    }
+
+        /* Rectangle being dragged over a canvas or SVG */
+    .sn-region-draft {
+      position: fixed;
+      display: none;
+      border: 2px dashed #3b82f6;
+      background: rgba(59, 130, 246, 0.12);
+      pointer-events: none;
+      box-sizing: border-box;
+    }
+
+    /* Region a note is anchored to inside a canvas or SVG */
+    .sn-region-highlight {
+      position: fixed;
+      display: none;
+      border: 2px solid rgba(202, 138, 4, 0.8);
+      border-radius: 2px;
+      background: rgba(250, 204, 21, 0.2);
+      pointer-events: none;
+      box-sizing: border-box;
+      z-index: 2147483645;
+    }
+
     /* Color themes */
     .sn-note.sn-theme-yellow {
       background: linear-gradient(135deg, #fef9c3 0%, #fef08a 100%);
@@ -679,6 +952,14 @@ export function getShadowStyles() {
       flex: 1;
     }
     
+    .sn-status-indicator {
+      padding: 1px 6px;
+      border-radius: 8px;
+      font-size: 10px;
+      font-weight: 600;
+      white-space: nowrap;
+    }
+    
     .sn-metadata-panel {
       padding: 8px 12px;
       background: rgba(0, 0, 0, 0.03);
@@ -713,11 +994,16 @@ export function getShadowStyles() {
     }
     
     .sn-metadata-url,
-    .sn-metadata-selector {
+    .sn-metadata-selector,
+    .sn-metadata-locator {
       font-family: 'SF Mono', Monaco, 'Cascadia Code', monospace;
       font-size: 10px;
     }
     
+    .sn-metadata-quote {
+      font-style: italic;
+    }
+    
     .sn-metadata-copy-btn {
       display: flex;
       align-items: center;
@@ -898,6 +1184,282 @@ export function getShadowStyles() {
       flex-shrink: 0;
     }
     
+    /* ==========================================
+       Status Badge & Dropdown
+       ========================================== */
+    .sn-metadata-status-row {
+      align-items: center;
+    }
+    
+    .sn-status-selector {
+      position: relative;
+      display: inline-block;
+    }
+    
+    .sn-status-badge {
+      display: inline-flex;
+      align-items: center;
+      gap: 6px;
+      padding: 4px 10px;
+      border: none;
+      border-radius: 12px;
+      font-size: 11px;
+      font-weight: 600;
+      font-family: inherit;
+      cursor: pointer;
+      transition: filter 0.15s ease, box-shadow 0.15s ease;
+    }
+    
+    .sn-status-badge:hover {
+      filter: brightness(0.92);
+      box-shadow: 0 2px 4px rgba(0, 0, 0, 0.15);
+    }
+    
+    .sn-status-badge:focus {
+      outline: 2px solid var(--sn-color-primary);
+      outline-offset: 2px;
+    }
+    
+    .sn-status-badge:focus:not(:focus-visible) {
+      outline: none;
+    }
+    
+    /* Status colors - WCAG AA compliant contrast ratios */
+    .sn-status-badge.sn-status-open,
+    .sn-status-indicator.sn-status-open,
+    .sn-status-option.sn-status-open {
+      background: #e5e7eb;
+      color: #1f2937;
+    }
+    
+    .sn-status-badge.sn-status-in_progress,
+    .sn-status-indicator.sn-status-in_progress,
+    .sn-status-option.sn-status-in_progress {
+      background: #dbeafe;
+      color: #1e40af;
+    }
+    
+    .sn-status-badge.sn-status-resolved,
+    .sn-status-indicator.sn-status-resolved,
+    .sn-status-option.sn-status-resolved {
+      background: #dcfce7;
+      color: #166534;
+    }
+    
+    .sn-status-badge.sn-status-reopened,
+    .sn-status-indicator.sn-status-reopened,
+    .sn-status-option.sn-status-reopened {
+      background: #fee2e2;
+      color: #991b1b;
+    }
+    
+    .sn-status-dropdown {
+      position: absolute;
+      top: calc(100% + 4px);
+      right: 0;
+      background: white;
+      border-radius: 6px;
+      box-shadow: 0 4px 12px rgba(0, 0, 0, 0.15);
+      padding: 4px;
+      z-index: 100;
+      min-width: 120px;
+      animation: sn-fade-in 0.15s ease;
+    }
+    
+    .sn-status-dropdown.sn-hidden {
+      display: none;
+    }
+    
+    .sn-status-option {
+      display: flex;
+      align-items: center;
+      width: 100%;
+      min-height: 44px; /* WCAG touch target minimum */
+      margin-bottom: 2px;
+      padding: 12px 14px;
+      border: none;
+      border-radius: 6px;
+      font-size: 13px;
+      font-weight: 500;
+      font-family: inherit;
+      text-align: left;
+      cursor: pointer;
+    }
+    
+    .sn-status-option:hover {
+      filter: brightness(0.95);
+    }
+    
+    .sn-status-option:focus {
+      outline: 2px solid var(--sn-color-primary);
+      outline-offset: -2px;
+    }
+    
+    .sn-status-option:focus:not(:focus-visible) {
+      outline: none;
+    }
+    
+    /* ==========================================
+       Assignee & Due Date
+       ========================================== */
+    .sn-metadata-assignee-row,
+    .sn-metadata-due-row {
+      align-items: center;
+    }
+    
+    .sn-assignee-select,
+    .sn-due-date-input {
+      max-width: 170px;
+      padding: 3px 6px;
+      border: 1px solid #d1d5db;
+      border-radius: 4px;
+      background: white;
+      color: #374151;
+      font-size: 11px;
+      font-family: inherit;
+    }
+    
+    .sn-assignee-select:focus,
+    .sn-due-date-input:focus {
+      outline: 2px solid var(--sn-color-primary);
+      outline-offset: 1px;
+    }
+    
+    /* ==========================================
+       Anchor History Section
+       ========================================== */
+    .sn-anchor-history-section {
+      margin-top: 4px;
+    }
+    
+    .sn-anchor-history-toggle {
+      display: flex;
+      align-items: center;
+      gap: 6px;
+      width: 100%;
+      padding: 6px 0;
+      border: none;
+      background: transparent;
+      color: #6b7280;
+      cursor: pointer;
+      font-size: 11px;
+      font-family: inherit;
+      text-align: left;
+    }
+    
+    .sn-anchor-history-toggle:hover {
+      opacity: 0.8;
+    }
+    
+    .sn-anchor-history-label {
+      font-weight: 500;
+    }
+    
+    .sn-anchor-history-count {
+      background: rgba(0, 0, 0, 0.08);
+      padding: 1px 6px;
+      border-radius: 10px;
+      font-size: 10px;
+      font-weight: 600;
+    }
+    
+    .sn-anchor-history-chevron {
+      width: 12px;
+      height: 12px;
+      margin-left: auto;
+      transition: transform 0.2s ease;
+    }
+    
+    .sn-anchor-history-list.sn-hidden {
+      display: none;
+    }
+    
+    .sn-anchor-history-item {
+      display: flex;
+      flex-direction: column;
+      gap: 2px;
+      padding: 4px 8px;
+      margin-bottom: 4px;
+      background: rgba(0, 0, 0, 0.03);
+      border-radius: 4px;
+    }
+    
+    .sn-anchor-history-selector {
+      font-size: 10px;
+      color: #374151;
+      font-family: 'SF Mono', Monaco, 'Cascadia Code', monospace;
+      word-break: break-all;
+    }
+    
+    .sn-anchor-history-details {
+      font-size: 9px;
+      color: #9ca3af;
+    }
+
+    /* ==========================================
+       Breakpoints Section
+       ========================================== */
+    .sn-breakpoint-chips {
+      display: flex;
+      flex-wrap: wrap;
+      gap: 4px;
+      flex: 1;
+    }
+
+    .sn-breakpoint-chip {
+      display: inline-flex;
+      align-items: center;
+      gap: 3px;
+      padding: 1px 6px;
+      border: 1px dashed rgba(0, 0, 0, 0.2);
+      border-radius: 10px;
+      color: #9ca3af;
+      font-size: 10px;
+      font-weight: 500;
+    }
+
+    .sn-breakpoint-chip svg {
+      width: 9px;
+      height: 9px;
+    }
+
+    .sn-breakpoint-verified {
+      border-style: solid;
+      border-color: #22c55e;
+      background: rgba(34, 197, 94, 0.1);
+      color: #15803d;
+    }
+
+    .sn-breakpoint-has-anchor {
+      font-style: italic;
+    }
+
+    .sn-breakpoint-current {
+      box-shadow: 0 0 0 2px rgba(59, 130, 246, 0.35);
+    }
+
+    .sn-breakpoint-actions {
+      display: flex;
+      gap: 6px;
+      padding: 2px 0 6px;
+    }
+
+    .sn-breakpoint-btn {
+      flex: 1;
+      padding: 4px 6px;
+      border: 1px solid rgba(0, 0, 0, 0.15);
+      border-radius: 4px;
+      background: transparent;
+      color: #374151;
+      cursor: pointer;
+      font-size: 10px;
+      font-family: inherit;
+    }
+
+    .sn-breakpoint-btn:hover {
+      background: rgba(0, 0, 0, 0.05);
+    }
+
     /* ==========================================
        Console Errors Section
        ========================================== */
@@ -1041,6 +1603,7 @@ export function getShadowStyles() {
 
     /* Hide header elements when minimized */
     .sn-note.sn-minimized .sn-note-header-title,
+    .sn-note.sn-minimized .sn-note-header-assignment,
     .sn-note.sn-minimized .sn-note-header-actions {
       display: none;
     }
@@ -1048,6 +1611,7 @@ export function getShadowStyles() {
     /* Expandable sections with animation */
     .sn-note .sn-note-content,
     .sn-note .sn-comment-section,
+    .sn-note .sn-revision-history,
     .sn-note .sn-note-footer {
       overflow: hidden;
       max-height: 1000px;
@@ -1059,6 +1623,7 @@ export function getShadowStyles() {
     
     .sn-note.sn-minimized .sn-note-content,
     .sn-note.sn-minimized .sn-comment-section,
+    .sn-note.sn-minimized .sn-revision-history,
     .sn-note.sn-minimized .sn-note-footer {
       max-height: 0;
       max-width: 0;
@@ -1089,6 +1654,7 @@ export function getShadowStyles() {
       .sn-note,
       .sn-note .sn-note-content,
       .sn-note .sn-comment-section,
+      .sn-note .sn-revision-history,
       .sn-note .sn-note-footer {
         animation: none !important;
         transition: none !important;
@@ -1099,6 +1665,12 @@ export function getShadowStyles() {
     
     ${CommentSection.getStyles()}
     
+    ${RevisionHistory.getStyles()}
+    
+    ${AttachmentList.getStyles()}
+    ${ReactionBar.getStyles()}
+    ${DrawingLayer.getStyles()}
+    
     ${ConfirmDialog.getStyles()}
   `;
 }
@@ -1122,20 +1694,27 @@ export function getMainDocumentStyles() {
       background-color: rgba(59, 130, 246, 0.1) !important;
       transition: outline 0.1s ease, background-color 0.1s ease !important;
     }
+
+    /* Text quotes that notes are anchored to (CSS Custom Highlight API) */
+    ::highlight(sn-text-anchor) {
+      background-color: rgba(250, 204, 21, 0.45);
+      text-decoration: underline wavy rgba(202, 138, 4, 0.8);
+    }
   `;
 }
 
 /**
  * Inject main document styles
+ * @param {Document|ShadowRoot} root - Document or page shadow root to style
  */
-export function injectMainDocumentStyles() {
+export function injectMainDocumentStyles(root = document) {
   const styleId = 'sticky-notes-main-styles';
   
   // Don't inject twice
-  if (document.getElementById(styleId)) return;
+  if (root.getElementById(styleId)) return;
   
   const style = document.createElement('style');
   style.id = styleId;
   style.textContent = getMainDocumentStyles();
-  document.head.appendChild(style);
+  (root === document ? document.head : root).appendChild(style);
 }
@@ -0,0 +1,412 @@
+/**
+ * AttachmentList Component
+ * Images and files attached to a note or comment: images as thumbnails
+ * that expand in place, other files as download links
+ */
+
+import { t } from '../../shared/i18n.js';
+import {
+  escapeHtml,
+  formatFileSize,
+  isAllowedAttachmentType,
+  isImageAttachment,
+  MAX_ATTACHMENTS,
+  MAX_ATTACHMENT_SIZE
+} from '../../shared/utils.js';
+import { contentLogger as log } from '../../shared/logger.js';
+
+/**
+ * Check whether a file can be attached
+ * @param {File} file - Picked, pasted or dropped file
+ * @param {number} count - Attachments already on the note or comment
+ * @returns {string|null} Error message, or null if the file can be attached
+ */
+export function validateAttachmentFile(file, count) {
+  if (count >= MAX_ATTACHMENTS) {
+    return t('tooManyAttachments', [String(MAX_ATTACHMENTS)]);
+  }
+  if (!isAllowedAttachmentType(file?.type)) {
+    return t('attachmentTypeNotAllowed');
+  }
+  if (file.size > MAX_ATTACHMENT_SIZE) {
+    return t('attachmentTooLarge', [formatFileSize(MAX_ATTACHMENT_SIZE)]);
+  }
+  return null;
+}
+
+/**
+ * Read a file as a data URL
+ * @param {File} file - File
+ * @returns {Promise<string>} Data URL
+ */
+function readFileAsDataUrl(file) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(file);
+  });
+}
+
+/**
+ * Upload a file through the background, which picks Cloud Storage or IndexedDB
+ * @param {File} file - Validated file
+ * @returns {Promise<Object>} Attachment reference
+ */
+export async function uploadAttachmentFile(file) {
+  const dataUrl = await readFileAsDataUrl(file);
+  const response = await chrome.runtime.sendMessage({
+    action: 'uploadAttachment',
+    file: { name: file.name, type: file.type, size: file.size, dataUrl }
+  });
+
+  if (!response?.success) {
+    throw new Error(response?.error || t('failedToUploadAttachment'));
+  }
+  return response.attachment;
+}
+
+/**
+ * Delete the stored file of a removed attachment
+ * Failures only leave an orphaned file behind, so they are logged and ignored.
+ * @param {Object} attachment - Attachment reference
+ * @returns {Promise<void>}
+ */
+export async function deleteAttachmentFile(attachment) {
+  try {
+    await chrome.runtime.sendMessage({ action: 'deleteAttachment', attachment });
+  } catch (error) {
+    log.warn('Failed to delete attachment:', error);
+  }
+}
+
+export class AttachmentList {
+  /**
+   * Create an attachment list
+   * @param {Object} options - Component options
+   * @param {Object[]} options.attachments - Attachment references
+   * @param {boolean} options.editable - Show remove buttons
+   * @param {Function} options.onRemove - Remove callback (attachment) => void
+   */
+  constructor(options = {}) {
+    this.attachments = options.attachments || [];
+    this.editable = options.editable || false;
+    this.onRemove = options.onRemove || (() => {});
+
+    // Uploads in progress: Map<key, file name>
+    this.pending = new Map();
+    this.pendingCounter = 0;
+
+    this.element = null;
+    this.render();
+    this.setupEventListeners();
+  }
+
+  /**
+   * Render the component
+   */
+  render() {
+    this.element = document.createElement('div');
+    this.element.className = 'sn-attachments';
+    this.element.setAttribute('role', 'list');
+    this.element.setAttribute('aria-label', t('attachments'));
+    this.renderItems();
+  }
+
+  /**
+   * Render attachments and pending uploads
+   */
+  renderItems() {
+    const items = this.attachments.map((attachment, index) => {
+      const name = escapeHtml(attachment.name);
+      const size = formatFileSize(attachment.size);
+      const removeButton = this.editable ? `
+        <button type="button" class="sn-attachment-remove" data-index="${index}" title="${t('removeAttachment')}" aria-label="${t('removeAttachment')}: ${name}">
+          <svg width="10" height="10" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="3" aria-hidden="true">
+            <line x1="18" y1="6" x2="6" y2="18"/><line x1="6" y1="6" x2="18" y2="18"/>
+          </svg>
+        </button>` : '';
+
+      if (isImageAttachment(attachment)) {
+        return `
+          <div class="sn-attachment sn-attachment-image" role="listitem" data-index="${index}">
+            <button type="button" class="sn-attachment-thumb" aria-expanded="false" title="${name}" aria-label="${name}">
+              <img alt="${name}" loading="lazy">
+            </button>
+            ${removeButton}
+          </div>`;
+      }
+
+      return `
+        <div class="sn-attachment sn-attachment-file" role="listitem" data-index="${index}">
+          <a class="sn-attachment-link" target="_blank" rel="noopener noreferrer" download="${name}" aria-disabled="true">
+            <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" aria-hidden="true">
+              <path d="M14 2H6a2 2 0 0 0-2 2v16a2 2 0 0 0 2 2h12a2 2 0 0 0 2-2V8z"/>
+              <polyline points="14 2 14 8 20 8"/>
+            </svg>
+            <span class="sn-attachment-name">${name}</span>
+            <span class="sn-attachment-size">${size}</span>
+          </a>
+          ${removeButton}
+        </div>`;
+    });
+
+    for (const name of this.pending.values()) {
+      items.push(`
+        <div class="sn-attachment sn-attachment-pending" role="listitem" aria-busy="true">
+          <span class="sn-attachment-name">${escapeHtml(t('uploadingAttachment', [name]))}</span>
+        </div>`);
+    }
+
+    this.element.innerHTML = items.join('');
+    this.element.classList.toggle('sn-hidden', items.length === 0);
+    this.attachments.forEach((attachment, index) => this.loadSource(attachment, index));
+  }
+
+  /**
+   * Point a thumbnail or link at the stored file
+   * Local files live in the extension's IndexedDB, so the background hands them over.
+   * @param {Object} attachment - Attachment reference
+   * @param {number} index - Position in the list
+   */
+  async loadSource(attachment, index) {
+    const item = this.element.querySelector(`.sn-attachment[data-index="${index}"]`);
+    let src = attachment.storage === 'cloud' ? attachment.url : null;
+
+    if (!src) {
+      try {
+        const response = await chrome.runtime.sendMessage({ action: 'getAttachment', attachment });
+        if (!response?.success) {
+          log.warn('Failed to load attachment:', response?.error);
+          return;
+        }
+        src = response.src;
+      } catch (error) {
+        log.warn('Failed to load attachment:', error);
+        return;
+      }
+    }
+
+    // The list may have been re-rendered while the file loaded
+    if (!item || !this.element.contains(item)) return;
+
+    const img = item.querySelector('img');
+    if (img) {
+      img.src = src;
+      return;
+    }
+
+    const link = item.querySelector('.sn-attachment-link');
+    link.href = src;
+    link.removeAttribute('aria-disabled');
+  }
+
+  /**
+   * Setup event listeners
+   */
+  setupEventListeners() {
+    this.element.addEventListener('click', (event) => {
+      const remove = event.target.closest('.sn-attachment-remove');
+      if (remove) {
+        event.stopPropagation();
+        const attachment = this.attachments[Number(remove.dataset.index)];
+        if (attachment) {
+          this.onRemove(attachment);
+        }
+        return;
+      }
+
+      const thumb = event.target.closest('.sn-attachment-thumb');
+      if (thumb) {
+        event.stopPropagation();
+        const expanded = thumb.getAttribute('aria-expanded') !== 'true';
+        thumb.setAttribute('aria-expanded', String(expanded));
+        thumb.closest('.sn-attachment').classList.toggle('sn-attachment-expanded', expanded);
+      }
+    });
+  }
+
+  /**
+   * Replace the attachments
+   * @param {Object[]} attachments - Attachment references
+   */
+  setAttachments(attachments) {
+    this.attachments = attachments || [];
+    this.renderItems();
+  }
+
+  /**
+   * Get the attachments
+   * @returns {Object[]} Attachment references
+   */
+  getAttachments() {
+    return this.attachments;
+  }
+
+  /**
+   * Show an upload in progress
+   * @param {string} name - File name
+   * @returns {number} Key for removePending
+   */
+  addPending(name) {
+    const key = ++this.pendingCounter;
+    this.pending.set(key, name);
+    this.renderItems();
+    return key;
+  }
+
+  /**
+   * Remove an upload in progress
+   * @param {number} key - Key from addPending
+   */
+  removePending(key) {
+    this.pending.delete(key);
+    this.renderItems();
+  }
+
+  /**
+   * Check whether uploads are still in progress
+   * @returns {boolean} True while a file is uploading
+   */
+  hasPending() {
+    return this.pending.size > 0;
+  }
+
+  /**
+   * Count attachments, including uploads in progress
+   * @returns {number} Count
+   */
+  getCount() {
+    return this.attachments.length + this.pending.size;
+  }
+
+  /**
+   * Destroy the component
+   */
+  destroy() {
+    if (this.element && this.element.parentNode) {
+      this.element.parentNode.removeChild(this.element);
+    }
+  }
+
+  static getStyles() {
+    return `
+      .sn-attachments {
+        display: flex;
+        flex-wrap: wrap;
+        gap: 6px;
+        padding: 6px 0;
+      }
+
+      .sn-attachments.sn-hidden {
+        display: none;
+      }
+
+      .sn-attachment {
+        position: relative;
+        display: flex;
+        align-items: center;
+        max-width: 100%;
+        border: 1px solid rgba(0, 0, 0, 0.1);
+        border-radius: 4px;
+        background: rgba(255, 255, 255, 0.6);
+        font-size: 12px;
+      }
+
+      .sn-attachment-thumb {
+        display: block;
+        padding: 0;
+        border: none;
+        background: transparent;
+        cursor: zoom-in;
+      }
+
+      .sn-attachment-thumb img {
+        display: block;
+        width: 64px;
+        height: 64px;
+        object-fit: cover;
+        border-radius: 3px;
+      }
+
+      .sn-attachment-expanded {
+        flex-basis: 100%;
+      }
+
+      .sn-attachment-expanded .sn-attachment-thumb {
+        cursor: zoom-out;
+      }
+
+      .sn-attachment-expanded .sn-attachment-thumb img {
+        width: 100%;
+        height: auto;
+        object-fit: contain;
+      }
+
+      .sn-attachment-link {
+        display: flex;
+        align-items: center;
+        gap: 4px;
+        min-width: 0;
+        padding: 4px 8px;
+        color: #1f2937;
+        text-decoration: none;
+      }
+
+      .sn-attachment-link:hover .sn-attachment-name {
+        text-decoration: underline;
+      }
+
+      .sn-attachment-link[aria-disabled="true"] {
+        pointer-events: none;
+        opacity: 0.6;
+      }
+
+      .sn-attachment-name {
+        overflow: hidden;
+        text-overflow: ellipsis;
+        white-space: nowrap;
+        max-width: 160px;
+      }
+
+      .sn-attachment-size {
+        color: #6b7280;
+        flex-shrink: 0;
+      }
+
+      .sn-attachment-pending {
+        padding: 4px 8px;
+        color: #6b7280;
+        font-style: italic;
+      }
+
+      .sn-attachment-remove {
+        position: absolute;
+        top: -6px;
+        right: -6px;
+        display: flex;
+        align-items: center;
+        justify-content: center;
+        width: 16px;
+        height: 16px;
+        padding: 0;
+        border: none;
+        border-radius: 50%;
+        background: #4b5563;
+        color: white;
+        cursor: pointer;
+      }
+
+      .sn-attachment-remove:hover {
+        background: #dc2626;
+      }
+
+      .sn-attachment-thumb:focus,
+      .sn-attachment-link:focus,
+      .sn-attachment-remove:focus {
+        outline: 2px solid #3b82f6;
+        outline-offset: 1px;
+      }
+    `;
+  }
+}
@@ -1,13 +1,45 @@
 /**
  * CommentSection Component
  * Displays a collapsible comment thread for sticky notes
+ * Comments can carry images and files, pasted or dropped on the input,
+ * and @mention the note's collaborators, who get notified.
+ * Replies nest at any depth; each thread can be collapsed and each comment has a permalink.
+ * Collaborators can react to comments instead of writing "+1" replies.
+ * A top-level thread can be resolved, which collapses it, and a reply marked as its accepted answer.
+ * Comments are written in a compact RichEditor; those using formatting are stored as HTML.
  */
 
 import { t } from '../../shared/i18n.js';
-import { formatRelativeTime, escapeHtml, TIMEOUTS, MAX_COMMENT_LENGTH, COMMENT_LENGTH_WARNING_THRESHOLD } from '../../shared/utils.js';
+import {
+  formatRelativeTime,
+  escapeHtml,
+  cleanHtml,
+  getCommentText,
+  TIMEOUTS,
+  MAX_COMMENT_LENGTH,
+  MAX_COMMENT_HTML_LENGTH,
+  COMMENT_LENGTH_WARNING_THRESHOLD,
+  MAX_MENTIONS,
+  getMentionsInContent,
+  getCommentDescendantIds,
+  createCommentPermalink
+} from '../../shared/utils.js';
 import { contentLogger as log } from '../../shared/logger.js';
 import { ConfirmDialog } from './ConfirmDialog.js';
 import { StickyNote } from './StickyNote.js';
+import { AttachmentList, validateAttachmentFile, uploadAttachmentFile, deleteAttachmentFile } from './AttachmentList.js';
+import { ReactionBar } from './ReactionBar.js';
+import { RichEditor } from './RichEditor.js';
+
+/**
+ * Replies deeper than this stop indenting, so deep threads still fit in a note
+ */
+const MAX_INDENTED_DEPTH = 4;
+
+/**
+ * How long a comment opened from a link or "jump to parent" stays highlighted
+ */
+const COMMENT_HIGHLIGHT_DURATION = 2000;
 
 export class CommentSection {
   /**
@@ -18,9 +50,16 @@ export class CommentSection {
    * @param {Function} options.onAddComment - Callback to add comment
    * @param {Function} options.onEditComment - Callback to edit comment
    * @param {Function} options.onDeleteComment - Callback to delete comment
+   * @param {Function} options.onToggleReaction - Callback to toggle the user's reaction (noteId, commentId, type), resolves to the comment's reactions
+   * @param {Function} options.onResolveThread - Callback to resolve or reopen a thread (noteId, commentId, resolved), resolves to the thread state
+   * @param {Function} options.onAcceptAnswer - Callback to set a thread's accepted answer (noteId, commentId, answerId), resolves to the thread state
+   * @param {string|null} options.noteOwnerId - Note owner's user ID, who can pick the answer of any thread
    * @param {Function} options.onLoadComments - Callback to load comments
    * @param {Function} options.onPanelOpened - Called when comments panel is opened
    * @param {Function} options.onPanelClosed - Called when comments panel is closed
+   * @param {Function} options.onTyping - Called with the note ID on each keystroke in the comment input
+   * @param {Function} options.getMentionCandidates - Returns the collaborators that can be @mentioned [{ email, name }]
+   * @param {Function} options.copyText - Copies text to the clipboard (used for comment links)
    */
   constructor(options) {
     this.noteId = options.noteId;
@@ -28,9 +67,16 @@ export class CommentSection {
     this.onAddComment = options.onAddComment || (() => Promise.resolve());
     this.onEditComment = options.onEditComment || (() => Promise.resolve());
     this.onDeleteComment = options.onDeleteComment || (() => Promise.resolve());
+    this.onToggleReaction = options.onToggleReaction || (() => Promise.resolve());
+    this.onResolveThread = options.onResolveThread || (() => Promise.resolve());
+    this.onAcceptAnswer = options.onAcceptAnswer || (() => Promise.resolve());
+    this.noteOwnerId = options.noteOwnerId || null;
     this.onLoadComments = options.onLoadComments || (() => Promise.resolve([]));
     this.onPanelOpened = options.onPanelOpened || (() => {});
     this.onPanelClosed = options.onPanelClosed || (() => {});
+    this.onTyping = options.onTyping || (() => {});
+    this.getCollaborators = options.getMentionCandidates || (() => []);
+    this.copyText = options.copyText || ((text) => navigator.clipboard.writeText(text));
     
     this.comments = [];
     this.isExpanded = false;
@@ -39,6 +85,29 @@ export class CommentSection {
     this.replyingTo = null;
     this.editingComment = null;
     
+    // Replies grouped by parent ID, and the comments whose replies are collapsed
+    this.repliesByParent = new Map();
+    this.collapsedThreads = new Set();
+    // Resolved threads render collapsed unless opened here
+    this.expandedResolved = new Set();
+    
+    // Attachments of the comment being written; savedAttachmentIds are those already on the edited comment
+    this.draftList = new AttachmentList({
+      editable: true,
+      onRemove: (attachment) => this.removeDraftAttachment(attachment)
+    });
+    this.savedAttachmentIds = new Set();
+    this.removedAttachments = [];
+    
+    // People picked from the @mention suggestions for the comment being written
+    this.draftMentions = [];
+    this.mentionQuery = null;
+    this.mentionMatches = [];
+    this.mentionIndex = 0;
+    
+    // Compact editor for the comment being written, only while signed in
+    this.editor = null;
+    
     this.element = null;
     this.render();
     this.setupEventListeners();
@@ -65,18 +134,8 @@ export class CommentSection {
       </button>
       <div class="sn-comments-panel sn-hidden" id="sn-comments-panel-${this.noteId}" role="region" aria-label="${t('comments')}">
         <div class="sn-comments-list" role="list" aria-label="${t('comments')}"></div>
-        <div class="sn-comment-input-container">
-          <div class="sn-comment-input-wrapper">
-            <input type="text" class="sn-comment-input" placeholder="${t('addComment')}" aria-label="${t('addComment')}" />
-            <button class="sn-comment-submit" title="${t('addComment')}" aria-label="${t('addComment')}" disabled>
-              <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" aria-hidden="true">
-                <line x1="22" y1="2" x2="11" y2="13"/>
-                <polygon points="22 2 15 22 11 13 2 9 22 2"/>
-              </svg>
-            </button>
-          </div>
-          <div class="sn-comment-char-counter" aria-live="polite" aria-atomic="true"></div>
-        </div>
+        <div class="sn-comment-typing sn-hidden" aria-live="polite"></div>
+        <div class="sn-comment-input-container"></div>
       </div>
     `;
   }
@@ -186,17 +245,18 @@ export class CommentSection {
     
     // Organize comments into threads
     const topLevel = this.comments.filter(comment => !comment.parentId);
-    const replies = this.comments.filter(comment => comment.parentId);
-    const replyMap = new Map();
+    this.repliesByParent = new Map();
     
-    replies.forEach(reply => {
-      if (!replyMap.has(reply.parentId)) {
-        replyMap.set(reply.parentId, []);
+    this.comments.filter(comment => comment.parentId).forEach(reply => {
+      if (!this.repliesByParent.has(reply.parentId)) {
+        this.repliesByParent.set(reply.parentId, []);
       }
-      replyMap.get(reply.parentId).push(reply);
+      this.repliesByParent.get(reply.parentId).push(reply);
     });
     
-    list.innerHTML = topLevel.map(comment => this.renderComment(comment, replyMap.get(comment.id) || [])).join('');
+    list.innerHTML = topLevel.map(comment => this.renderComment(comment)).join('');
+    this.mountCommentAttachments(list);
+    this.mountCommentReactions(list);
     
     // Setup comment action listeners
     this.setupCommentListeners();
@@ -204,38 +264,89 @@ export class CommentSection {
   }
   
   /**
-   * Render a single comment with its replies
+   * Render a comment and, below it, its replies at any depth
    * @param {Object} comment - Comment data
-   * @param {Array} replies - Reply comments
+   * @param {number} depth - Nesting level (0 = top-level)
+   * @param {Set} ancestors - IDs of the comments above this one, to stop on parentId cycles
+   * @param {Object} root - Top-level comment of the thread, which holds its resolved state
    * @returns {string} HTML string
    */
-  renderComment(comment, replies = []) {
-    const isAuthor = this.user && comment.authorId === this.user.uid;
+  renderComment(comment, depth = 0, ancestors = new Set(), root = comment) {
+    if (depth === 0 && comment.resolved && !this.expandedResolved.has(comment.id)) {
+      return this.renderResolvedThread(comment);
+    }
+    
+    // Deleted comments stay as a placeholder while other people's replies hang below them
+    const isDeleted = Boolean(comment.deleted);
+    const isAuthor = this.user && comment.authorId === this.user.uid && !isDeleted;
     const timeAgo = this.formatTime(comment.createdAt);
     const isEdited = this.isCommentEdited(comment);
+    const authorName = comment.authorName || t('anonymous');
+    
+    const threadAncestors = new Set(ancestors).add(comment.id);
+    const replies = (this.repliesByParent?.get(comment.id) || []).filter(reply => !threadAncestors.has(reply.id));
+    const isCollapsed = this.collapsedThreads.has(comment.id);
     
     const repliesHtml = replies.length > 0 ? `
-      <div class="sn-comment-replies" data-parent-id="${comment.id}">
-        ${replies.map(reply => this.renderReplyComment(reply)).join('')}
+      <div class="sn-comment-replies${isCollapsed ? ' sn-hidden' : ''}" id="sn-comment-replies-${comment.id}" data-parent-id="${comment.id}">
+        ${replies.map(reply => this.renderComment(reply, depth + 1, threadAncestors, root)).join('')}
       </div>
     ` : '';
     
-    const avatarHtml = this.renderAvatar(comment.authorPhotoURL, comment.authorName);
+    const classNames = ['sn-comment'];
+    if (depth > 0) classNames.push('sn-comment-reply');
+    if (depth > MAX_INDENTED_DEPTH) classNames.push('sn-comment-unindented');
+    
+    const isAnswer = depth > 0 && root.acceptedAnswerId === comment.id;
+    if (isAnswer) classNames.push('sn-comment-accepted');
+    const answerId = depth === 0 ? this.getAcceptedAnswerId(comment) : null;
+    
+    const avatarHtml = this.renderAvatar(comment.authorPhotoURL, comment.authorName, depth > 0);
     
     return `
-      <div class="sn-comment" data-comment-id="${comment.id}" role="listitem">
+      <div class="${classNames.join(' ')}" data-comment-id="${comment.id}" data-depth="${depth}" role="listitem">
         <div class="sn-comment-header">
           ${avatarHtml}
           <div class="sn-comment-meta">
-            <span class="sn-comment-author">${escapeHtml(comment.authorName || t('anonymous'))}</span>
+            <span class="sn-comment-author">${escapeHtml(authorName)}</span>
             <span class="sn-comment-time">${timeAgo}${isEdited ? ' (edited)' : ''}</span>
+            ${isAnswer ? `<span class="sn-comment-answer-badge">${t('acceptedAnswer')}</span>` : ''}
           </div>
         </div>
-        <div class="sn-comment-content">${escapeHtml(comment.content)}</div>
+        ${depth === 0 && comment.resolved ? this.renderResolvedSummary(comment, true) : ''}
+        ${isDeleted ? `<div class="sn-comment-content sn-comment-deleted">${t('deletedCommentPlaceholder')}</div>` : ''}
+        ${comment.content && !isDeleted ? `<div class="sn-comment-content">${this.renderCommentContent(comment)}</div>` : ''}
+        ${this.renderAttachmentsPlaceholder(comment)}
+        <div class="sn-comment-reactions" data-comment-id="${comment.id}"></div>
         <div class="sn-comment-actions">
-          <button class="sn-comment-action sn-reply-btn" data-comment-id="${comment.id}" data-author-name="${escapeHtml(comment.authorName || t('anonymous'))}" aria-label="${t('replyTo', [comment.authorName || t('anonymous')])}">
-            ${t('reply')}
+          ${isDeleted ? '' : `
+            <button class="sn-comment-action sn-reply-btn" data-comment-id="${comment.id}" data-author-name="${escapeHtml(authorName)}" aria-label="${escapeHtml(t('replyTo', [authorName]))}">
+              ${t('reply')}
+            </button>
+          `}
+          ${comment.parentId ? `
+            <button class="sn-comment-action sn-jump-parent-btn" data-parent-id="${escapeHtml(comment.parentId)}">
+              ${t('jumpToParent')}
+            </button>
+          ` : ''}
+          <button class="sn-comment-action sn-copy-link-btn" data-comment-id="${comment.id}">
+            ${t('copyCommentLink')}
           </button>
+          ${depth === 0 && this.user ? `
+            <button class="sn-comment-action sn-resolve-btn" data-comment-id="${comment.id}" data-resolved="${Boolean(comment.resolved)}">
+              ${comment.resolved ? t('reopenThread') : t('resolveThread')}
+            </button>
+          ` : ''}
+          ${answerId && !comment.resolved ? `
+            <button class="sn-comment-action sn-jump-answer-btn" data-answer-id="${escapeHtml(answerId)}">
+              ${t('jumpToAnswer')}
+            </button>
+          ` : ''}
+          ${depth > 0 && this.canChooseAnswer(root) ? `
+            <button class="sn-comment-action sn-accept-btn" data-comment-id="${comment.id}" data-thread-id="${root.id}" aria-pressed="${isAnswer}">
+              ${isAnswer ? t('unmarkAnswer') : t('markAsAnswer')}
+            </button>
+          ` : ''}
           ${isAuthor ? `
             <button class="sn-comment-action sn-edit-btn" data-comment-id="${comment.id}" aria-label="${t('editComment')}">
               ${t('editComment')}
@@ -244,6 +355,11 @@ export class CommentSection {
               ${t('deleteComment')}
             </button>
           ` : ''}
+          ${replies.length > 0 ? `
+            <button class="sn-comment-action sn-thread-toggle" data-comment-id="${comment.id}" aria-expanded="${!isCollapsed}" aria-controls="sn-comment-replies-${comment.id}">
+              ${isCollapsed ? t('showReplies', [String(getCommentDescendantIds(this.comments, comment.id).length)]) : t('hideReplies')}
+            </button>
+          ` : ''}
         </div>
         ${repliesHtml}
       </div>
@@ -251,41 +367,198 @@ export class CommentSection {
   }
   
   /**
-   * Render a reply comment (no further nesting)
-   * @param {Object} reply - Reply comment data
+   * Render a resolved thread collapsed to its first comment and who resolved it
+   * @param {Object} comment - Top-level comment data
    * @returns {string} HTML string
    */
-  renderReplyComment(reply) {
-    const isAuthor = this.user && reply.authorId === this.user.uid;
-    const timeAgo = this.formatTime(reply.createdAt);
-    const isEdited = this.isCommentEdited(reply);
-    
-    const avatarHtml = this.renderAvatar(reply.authorPhotoURL, reply.authorName, true);
+  renderResolvedThread(comment) {
+    const authorName = comment.authorName || t('anonymous');
     
     return `
-      <div class="sn-comment sn-comment-reply" data-comment-id="${reply.id}" role="listitem">
+      <div class="sn-comment sn-comment-resolved" data-comment-id="${comment.id}" data-depth="0" role="listitem">
         <div class="sn-comment-header">
-          ${avatarHtml}
+          ${this.renderAvatar(comment.authorPhotoURL, comment.authorName)}
           <div class="sn-comment-meta">
-            <span class="sn-comment-author">${escapeHtml(reply.authorName || t('anonymous'))}</span>
-            <span class="sn-comment-time">${timeAgo}${isEdited ? ' (edited)' : ''}</span>
+            <span class="sn-comment-author">${escapeHtml(authorName)}</span>
+            <span class="sn-comment-time">${this.formatTime(comment.createdAt)}</span>
           </div>
         </div>
-        <div class="sn-comment-content">${escapeHtml(reply.content)}</div>
-        ${isAuthor ? `
-          <div class="sn-comment-actions">
-            <button class="sn-comment-action sn-edit-btn" data-comment-id="${reply.id}" aria-label="${t('editComment')}">
-              ${t('editComment')}
-            </button>
-            <button class="sn-comment-action sn-delete-btn" data-comment-id="${reply.id}" aria-label="${t('deleteComment')}">
-              ${t('deleteComment')}
-            </button>
-          </div>
+        ${comment.deleted ? `<div class="sn-comment-preview sn-comment-deleted">${t('deletedCommentPlaceholder')}</div>` : ''}
+        ${comment.content && !comment.deleted ? `<div class="sn-comment-preview">${escapeHtml(getCommentText(comment))}</div>` : ''}
+        ${this.renderResolvedSummary(comment, false)}
+      </div>
+    `;
+  }
+  
+  /**
+   * Render the "resolved by" line of a thread with its show/hide toggle
+   * @param {Object} comment - Top-level comment data
+   * @param {boolean} isExpanded - Whether the thread is shown
+   * @returns {string} HTML string
+   */
+  renderResolvedSummary(comment, isExpanded) {
+    const resolver = comment.resolvedBy?.name || comment.resolvedBy?.email || t('anonymous');
+    const answerId = this.getAcceptedAnswerId(comment);
+    
+    return `
+      <div class="sn-comment-resolved-summary">
+        <svg class="sn-comment-resolved-icon" width="12" height="12" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" aria-hidden="true">
+          <polyline points="20 6 9 17 4 12"/>
+        </svg>
+        <span class="sn-comment-resolved-label">${escapeHtml(t('resolvedBy', [resolver]))}</span>
+        <button class="sn-comment-action sn-resolved-toggle" data-comment-id="${comment.id}" aria-expanded="${isExpanded}">
+          ${isExpanded ? t('hideResolvedThread') : t('showResolvedThread')}
+        </button>
+        ${answerId ? `
+          <button class="sn-comment-action sn-jump-answer-btn" data-answer-id="${escapeHtml(answerId)}">
+            ${t('jumpToAnswer')}
+          </button>
         ` : ''}
       </div>
     `;
   }
   
+  /**
+   * Get a thread's accepted answer, if that reply still exists
+   * @param {Object} comment - Top-level comment data
+   * @returns {string|null} Reply ID
+   */
+  getAcceptedAnswerId(comment) {
+    const answerId = comment.acceptedAnswerId;
+    if (!answerId || !this.comments.some(reply => reply.id === answerId)) return null;
+    return answerId;
+  }
+  
+  /**
+   * Check if the current user can pick a thread's accepted answer
+   * @param {Object} root - Top-level comment data
+   * @returns {boolean} True for the thread's author and the note owner
+   */
+  canChooseAnswer(root) {
+    if (!this.user) return false;
+    return root.authorId === this.user.uid || this.noteOwnerId === this.user.uid;
+  }
+  
+  /**
+   * Render comment text with its @mentions highlighted
+   * Rich text goes through cleanHtml, as it comes from other users.
+   * @param {Object} comment - Comment data
+   * @returns {string} HTML string
+   */
+  renderCommentContent(comment) {
+    const mentions = getMentionsInContent(comment.mentions, getCommentText(comment));
+    if (comment.format !== 'html') {
+      return this.highlightMentions(comment.content, mentions);
+    }
+    
+    const container = document.createElement('div');
+    container.innerHTML = cleanHtml(comment.content);
+    container.querySelectorAll('a').forEach(link => {
+      link.target = '_blank';
+      link.rel = 'noopener noreferrer';
+    });
+    
+    if (mentions.length > 0) {
+      // Code and link text stay as written
+      const walker = document.createTreeWalker(container, NodeFilter.SHOW_TEXT);
+      const textNodes = [];
+      while (walker.nextNode()) {
+        if (!walker.currentNode.parentElement.closest('code, a')) {
+          textNodes.push(walker.currentNode);
+        }
+      }
+      textNodes.forEach(node => {
+        const highlighted = document.createElement('template');
+        highlighted.innerHTML = this.highlightMentions(node.textContent, mentions);
+        node.replaceWith(highlighted.content);
+      });
+    }
+    
+    return container.innerHTML;
+  }
+  
+  /**
+   * Escape text, wrapping its @mentions
+   * @param {string} text - Plain text
+   * @param {Object[]} mentions - Mentions in the text { email, name }
+   * @returns {string} HTML string
+   */
+  highlightMentions(text, mentions) {
+    if (mentions.length === 0) {
+      return escapeHtml(text);
+    }
+    
+    // Longest names first, so "@Ana Lopez" wins over "@Ana"
+    const byName = new Map(mentions.map(mention => [`@${mention.name}`, mention]));
+    const pattern = new RegExp([...byName.keys()]
+      .sort((first, second) => second.length - first.length)
+      .map(token => token.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+      .join('|'), 'g');
+    const ownEmail = this.user?.email?.toLowerCase();
+    
+    let html = '';
+    let lastIndex = 0;
+    for (const match of text.matchAll(pattern)) {
+      const mention = byName.get(match[0]);
+      const className = mention.email === ownEmail ? 'sn-mention sn-mention-self' : 'sn-mention';
+      html += escapeHtml(text.slice(lastIndex, match.index));
+      html += `<span class="${className}" title="${escapeHtml(mention.email)}">${escapeHtml(match[0])}</span>`;
+      lastIndex = match.index + match[0].length;
+    }
+    return html + escapeHtml(text.slice(lastIndex));
+  }
+  
+  /**
+   * Render a placeholder for a comment's attachments, filled in by mountCommentAttachments
+   * @param {Object} comment - Comment data
+   * @returns {string} HTML string
+   */
+  renderAttachmentsPlaceholder(comment) {
+    if (!comment.attachments?.length) return '';
+    return `<div class="sn-comment-attachments" data-comment-id="${comment.id}"></div>`;
+  }
+  
+  /**
+   * Show the attachments of rendered comments
+   * @param {HTMLElement} list - Comments list
+   */
+  mountCommentAttachments(list) {
+    list.querySelectorAll('.sn-comment-attachments').forEach(placeholder => {
+      const comment = this.comments.find(comment => comment.id === placeholder.dataset.commentId);
+      if (!comment) return;
+      placeholder.appendChild(new AttachmentList({ attachments: comment.attachments }).element);
+    });
+  }
+  
+  /**
+   * Show the reactions of rendered comments
+   * @param {HTMLElement} list - Comments list
+   */
+  mountCommentReactions(list) {
+    list.querySelectorAll('.sn-comment-reactions').forEach(placeholder => {
+      const comment = this.comments.find(comment => comment.id === placeholder.dataset.commentId);
+      if (!comment) return;
+      const reactionBar = new ReactionBar({
+        reactions: comment.reactions,
+        userId: this.user?.uid,
+        onToggle: async (type) => {
+          let reactions;
+          try {
+            reactions = await this.onToggleReaction(this.noteId, comment.id, type);
+          } catch (error) {
+            this.showToast(t('failedToReact'), 'error');
+            throw error;
+          }
+          // Keep the toggle if the list re-renders before real-time sync catches up
+          if (reactions) {
+            comment.reactions = reactions;
+          }
+        }
+      });
+      placeholder.appendChild(reactionBar.element);
+    });
+  }
+  
   /**
    * Render user avatar (image or initials fallback)
    * @param {string|null} photoURL - User's photo URL
@@ -343,6 +616,196 @@ export class CommentSection {
         this.deleteComment(commentId);
       });
     });
+    
+    // Jump to parent buttons
+    this.element.querySelectorAll('.sn-jump-parent-btn').forEach(btn => {
+      btn.addEventListener('click', () => this.scrollToComment(btn.dataset.parentId));
+    });
+    
+    // Copy link buttons
+    this.element.querySelectorAll('.sn-copy-link-btn').forEach(btn => {
+      btn.addEventListener('click', () => this.copyCommentLink(btn.dataset.commentId));
+    });
+    
+    // Collapse/expand thread buttons
+    this.element.querySelectorAll('.sn-thread-toggle').forEach(btn => {
+      btn.addEventListener('click', () => this.toggleThread(btn.dataset.commentId));
+    });
+    
+    // Resolve/reopen buttons
+    this.element.querySelectorAll('.sn-resolve-btn').forEach(btn => {
+      btn.addEventListener('click', () => this.setThreadResolved(btn.dataset.commentId, btn.dataset.resolved !== 'true'));
+    });
+    
+    // Show/hide resolved thread buttons
+    this.element.querySelectorAll('.sn-resolved-toggle').forEach(btn => {
+      btn.addEventListener('click', () => this.toggleResolvedThread(btn.dataset.commentId));
+    });
+    
+    // Accepted answer buttons
+    this.element.querySelectorAll('.sn-accept-btn').forEach(btn => {
+      btn.addEventListener('click', () => this.toggleAcceptedAnswer(btn.dataset.threadId, btn.dataset.commentId));
+    });
+    
+    this.element.querySelectorAll('.sn-jump-answer-btn').forEach(btn => {
+      btn.addEventListener('click', () => this.scrollToComment(btn.dataset.answerId));
+    });
+  }
+  
+  /**
+   * Move focus to a comment's action button after a re-render replaced it
+   * @param {string} selector - Button selector
+   * @param {string} commentId - Comment ID
+   */
+  focusCommentAction(selector, commentId) {
+    const button = [...this.element.querySelectorAll(selector)]
+      .find(btn => btn.dataset.commentId === commentId);
+    button?.focus();
+  }
+  
+  /**
+   * Collapse or expand the replies below a comment
+   * @param {string} commentId - Comment ID
+   */
+  toggleThread(commentId) {
+    if (this.collapsedThreads.has(commentId)) {
+      this.collapsedThreads.delete(commentId);
+    } else {
+      this.collapsedThreads.add(commentId);
+    }
+    this.renderComments();
+    
+    // Re-rendering replaced the button, so give focus back to the new one
+    this.focusCommentAction('.sn-thread-toggle', commentId);
+  }
+  
+  /**
+   * Show or hide the replies of a resolved thread
+   * @param {string} commentId - Top-level comment ID
+   */
+  toggleResolvedThread(commentId) {
+    if (this.expandedResolved.has(commentId)) {
+      this.expandedResolved.delete(commentId);
+    } else {
+      this.expandedResolved.add(commentId);
+    }
+    this.renderComments();
+    this.focusCommentAction('.sn-resolved-toggle', commentId);
+  }
+  
+  /**
+   * Resolve or reopen a thread
+   * @param {string} commentId - Top-level comment ID
+   * @param {boolean} resolved - True to resolve, false to reopen
+   */
+  async setThreadResolved(commentId, resolved) {
+    const comment = this.comments.find(item => item.id === commentId);
+    if (!comment) return;
+    
+    try {
+      const thread = await this.onResolveThread(this.noteId, commentId, resolved);
+      // Keep the change if the list re-renders before real-time sync catches up
+      Object.assign(comment, thread || { resolved });
+    } catch (error) {
+      log.error('Failed to resolve comment thread:', error);
+      this.showToast(t('failedToResolveThread'), 'error');
+      return;
+    }
+    
+    this.expandedResolved.delete(commentId);
+    this.renderComments();
+    this.focusCommentAction(resolved ? '.sn-resolved-toggle' : '.sn-resolve-btn', commentId);
+  }
+  
+  /**
+   * Mark a reply as its thread's accepted answer, or unmark it if it already is
+   * @param {string} threadId - Top-level comment ID
+   * @param {string} answerId - Reply ID
+   */
+  async toggleAcceptedAnswer(threadId, answerId) {
+    const root = this.comments.find(item => item.id === threadId);
+    if (!root) return;
+    
+    const nextAnswerId = root.acceptedAnswerId === answerId ? null : answerId;
+    try {
+      const thread = await this.onAcceptAnswer(this.noteId, threadId, nextAnswerId);
+      Object.assign(root, thread || { acceptedAnswerId: nextAnswerId });
+    } catch (error) {
+      log.error('Failed to set accepted answer:', error);
+      this.showToast(t('failedToAcceptAnswer'), 'error');
+      return;
+    }
+    
+    // Accepting resolves the thread; keep it open so the answer stays in view
+    if (root.resolved) {
+      this.expandedResolved.add(threadId);
+    }
+    this.renderComments();
+    this.focusCommentAction('.sn-accept-btn', answerId);
+  }
+  
+  /**
+   * Scroll to a comment and highlight it, expanding the threads it is collapsed in
+   * (including a resolved thread)
+   * @param {string} commentId - Comment ID
+   * @returns {boolean} True if the comment is shown
+   */
+  scrollToComment(commentId) {
+    const byId = new Map(this.comments.map(comment => [comment.id, comment]));
+    if (!byId.has(commentId)) return false;
+    
+    let expanded = false;
+    let rootId = commentId;
+    const visited = new Set();
+    for (let parentId = byId.get(commentId).parentId; parentId && !visited.has(parentId); parentId = byId.get(parentId)?.parentId) {
+      visited.add(parentId);
+      expanded = this.collapsedThreads.delete(parentId) || expanded;
+      rootId = parentId;
+    }
+    if (byId.get(rootId)?.resolved && !this.expandedResolved.has(rootId)) {
+      this.expandedResolved.add(rootId);
+      expanded = true;
+    }
+    if (expanded) {
+      this.renderComments();
+    }
+    
+    const commentEl = [...this.element.querySelectorAll('.sn-comment')]
+      .find(el => el.dataset.commentId === commentId);
+    if (!commentEl) return false;
+    
+    commentEl.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+    commentEl.classList.add('sn-comment-highlight');
+    setTimeout(() => commentEl.classList.remove('sn-comment-highlight'), COMMENT_HIGHLIGHT_DURATION);
+    return true;
+  }
+  
+  /**
+   * Open the comments panel on a comment, e.g. from a permalink
+   * @param {string} commentId - Comment ID
+   */
+  async showComment(commentId) {
+    if (!this.isExpanded) {
+      await this.togglePanel();
+    }
+    
+    if (!this.scrollToComment(commentId)) {
+      this.showToast(t('commentNotFound'), 'error');
+    }
+  }
+  
+  /**
+   * Copy a link that opens this page on a comment
+   * @param {string} commentId - Comment ID
+   */
+  async copyCommentLink(commentId) {
+    try {
+      await this.copyText(createCommentPermalink(window.location.href, this.noteId, commentId));
+      this.showToast(t('copiedToClipboard'));
+    } catch (error) {
+      log.error('Failed to copy comment link:', error);
+      this.showToast(t('failedToCopy'), 'error');
+    }
   }
   
   /**
@@ -351,10 +814,13 @@ export class CommentSection {
    * @param {string} authorName - Parent comment author name
    */
   startReply(parentId, authorName) {
+    // The edited comment's attachments must not end up on the reply
+    if (this.editingComment) {
+      this.discardDraftAttachments();
+    }
     this.replyingTo = parentId;
     this.editingComment = null;
     
-    const input = this.element.querySelector('.sn-comment-input');
     const inputWrapper = this.element.querySelector('.sn-comment-input-wrapper');
     
     // Show reply indicator
@@ -377,8 +843,8 @@ export class CommentSection {
     indicator.appendChild(replySpan);
     indicator.appendChild(cancelBtn);
     
-    input.placeholder = t('replyTo', [authorName]);
-    input.focus();
+    this.editor.setPlaceholder(t('replyTo', [authorName]));
+    this.editor.focus();
   }
   
   /**
@@ -387,16 +853,18 @@ export class CommentSection {
   cancelReply() {
     this.replyingTo = null;
     
-    const input = this.element.querySelector('.sn-comment-input');
     const indicator = this.element.querySelector('.sn-reply-indicator');
     
     if (indicator) {
       indicator.remove();
     }
     
-    input.placeholder = t('addComment');
-    input.value = '';
-    this.element.querySelector('.sn-comment-submit').disabled = true;
+    this.editor.setPlaceholder(t('addComment'));
+    this.editor.setContent('');
+    this.draftMentions = [];
+    this.closeMentionSuggestions();
+    this.discardDraftAttachments();
+    this.updateSubmitState();
     this.updateCharacterCounter();
   }
   
@@ -408,10 +876,13 @@ export class CommentSection {
     const comment = this.comments.find(comment => comment.id === commentId);
     if (!comment) return;
     
+    this.discardDraftAttachments();
+    this.savedAttachmentIds = new Set((comment.attachments || []).map(attachment => attachment.id));
+    this.draftList.setAttachments([...(comment.attachments || [])]);
+    this.draftMentions = [...(comment.mentions || [])];
     this.editingComment = commentId;
     this.replyingTo = null;
     
-    const input = this.element.querySelector('.sn-comment-input');
     const inputWrapper = this.element.querySelector('.sn-comment-input-wrapper');
     
     // Remove reply indicator if present
@@ -432,10 +903,10 @@ export class CommentSection {
     
     indicator.querySelector('.sn-cancel-edit').addEventListener('click', () => this.cancelEdit());
     
-    input.value = comment.content;
-    input.focus();
-    const isOverLimit = input.value.length > MAX_COMMENT_LENGTH;
-    this.element.querySelector('.sn-comment-submit').disabled = isOverLimit;
+    this.editor.setPlaceholder(t('addComment'));
+    this.editor.setContent(comment.format === 'html' ? cleanHtml(comment.content) : escapeHtml(comment.content));
+    this.editor.focus();
+    this.updateSubmitState();
     this.updateCharacterCounter();
   }
   
@@ -445,15 +916,17 @@ export class CommentSection {
   cancelEdit() {
     this.editingComment = null;
     
-    const input = this.element.querySelector('.sn-comment-input');
     const indicator = this.element.querySelector('.sn-edit-indicator');
     
     if (indicator) {
       indicator.remove();
     }
     
-    input.value = '';
-    this.element.querySelector('.sn-comment-submit').disabled = true;
+    this.editor.setContent('');
+    this.draftMentions = [];
+    this.closeMentionSuggestions();
+    this.discardDraftAttachments();
+    this.updateSubmitState();
     this.updateCharacterCounter();
   }
   
@@ -461,48 +934,68 @@ export class CommentSection {
    * Submit comment (new, reply, or edit)
    */
   async submitComment() {
-    const input = this.element.querySelector('.sn-comment-input');
-    
-    // If no input element (login prompt is shown), user needs to log in
-    if (!input) {
+    // If no editor (login prompt is shown), user needs to log in
+    if (!this.editor) {
       this.showToast(t('mustBeLoggedInToComment'), 'error');
       return;
     }
     
-    const content = input.value.trim();
+    const draft = this.getDraft();
+    const { content, format } = draft;
+    const text = getCommentText(draft);
+    const attachments = this.draftList.getAttachments();
+    const mentions = getMentionsInContent(this.draftMentions, text);
     
-    // Validate content
-    if (!content) {
+    // Validate content (a comment can be just attachments)
+    if (!content && attachments.length === 0) {
       this.showToast(t('commentEmpty'), 'error');
       return;
     }
     
     // Validate content length
-    if (input.value.length > MAX_COMMENT_LENGTH) {
+    if (text.length > MAX_COMMENT_LENGTH) {
       this.showToast(t('commentTooLong', [MAX_COMMENT_LENGTH.toLocaleString()]), 'error');
       return;
     }
     
+    if (content.length > MAX_COMMENT_HTML_LENGTH) {
+      this.showToast(t('commentFormattingTooLarge'), 'error');
+      return;
+    }
+    
     // Validate user is logged in (belt and suspenders)
     if (!this.user) {
       this.showToast(t('mustBeLoggedInToComment'), 'error');
       return;
     }
     
+    // Uploads still running would be left out of the comment
+    if (this.draftList.hasPending()) {
+      this.showToast(t('attachmentsStillUploading'), 'error');
+      return;
+    }
+    
     const submitBtn = this.element.querySelector('.sn-comment-submit');
     submitBtn.disabled = true;
     
     try {
       if (this.editingComment) {
         // Edit existing comment
-        await this.onEditComment(this.noteId, this.editingComment, { content });
+        await this.onEditComment(this.noteId, this.editingComment, { content, format, attachments, mentions });
+        // Files taken off the comment can go now that it no longer points at them
+        this.removedAttachments.forEach(attachment => deleteAttachmentFile(attachment));
+        this.resetDraftAttachments();
         this.cancelEdit();
       } else {
         // New comment or reply
         await this.onAddComment(this.noteId, {
           content,
+          format,
+          attachments,
+          mentions,
           parentId: this.replyingTo
         });
+        this.resetDraftAttachments();
         this.cancelReply();
       }
       
@@ -514,10 +1007,7 @@ export class CommentSection {
       const errorKey = this.editingComment ? 'failedToUpdateComment' : 'failedToAddComment';
       this.showToast(t(errorKey), 'error');
       // Re-enable submit button so user can retry (input still has their text)
-      const currentInput = this.element.querySelector('.sn-comment-input');
-      if (currentInput && currentInput.value.trim()) {
-        submitBtn.disabled = false;
-      }
+      this.updateSubmitState();
     }
     // Note: No finally block needed - on success, cancelEdit/cancelReply already disable the button
   }
@@ -645,25 +1135,50 @@ export class CommentSection {
     const inputContainer = this.element.querySelector('.sn-comment-input-container');
     if (!inputContainer) return;
     
+    this.editor?.destroy();
+    this.editor = null;
+    
     if (this.user) {
       // Show comment input
       inputContainer.innerHTML = `
+        <div class="sn-mention-list sn-hidden" id="sn-mention-list-${this.noteId}" role="listbox" aria-label="${t('mentionSuggestions')}"></div>
         <div class="sn-comment-input-wrapper">
-          <input type="text" class="sn-comment-input" placeholder="${t('addComment')}" aria-label="${t('addComment')}" />
-          <button class="sn-comment-submit" title="${t('addComment')}" aria-label="${t('addComment')}" disabled>
-            <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" aria-hidden="true">
-              <line x1="22" y1="2" x2="11" y2="13"/>
-              <polygon points="22 2 15 22 11 13 2 9 22 2"/>
-            </svg>
-          </button>
+          <div class="sn-comment-input-actions">
+            <button class="sn-comment-submit" title="${t('addComment')}" aria-label="${t('addComment')}" disabled>
+              <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" aria-hidden="true">
+                <line x1="22" y1="2" x2="11" y2="13"/>
+                <polygon points="22 2 15 22 11 13 2 9 22 2"/>
+              </svg>
+            </button>
+          </div>
         </div>
         <div class="sn-comment-char-counter" aria-live="polite" aria-atomic="true"></div>
       `;
+      
+      this.editor = new RichEditor({
+        compact: true,
+        placeholder: t('addComment'),
+        maxLength: 0,
+        onChange: () => this.handleDraftChange(),
+        onFiles: (files) => this.handleAttachFiles(files)
+      });
+      const input = this.editor.editor;
+      input.classList.add('sn-comment-input');
+      input.setAttribute('role', 'combobox');
+      input.setAttribute('aria-autocomplete', 'list');
+      input.setAttribute('aria-expanded', 'false');
+      input.setAttribute('aria-controls', `sn-mention-list-${this.noteId}`);
+      
+      const actions = inputContainer.querySelector('.sn-comment-input-actions');
+      actions.before(this.editor.element);
+      inputContainer.insertBefore(this.draftList.element, inputContainer.querySelector('.sn-comment-char-counter'));
       // Re-attach event listeners for the new input elements
       this.setupInputEventListeners();
       // Initialize character counter
       this.updateCharacterCounter();
     } else {
+      // Signed out users can't comment, so a draft has nowhere to go
+      this.discardDraftAttachments();
       // Show login prompt
       inputContainer.innerHTML = `
         <div class="sn-comment-login-prompt">${escapeHtml(t('signInToComment'))}</div>
@@ -673,7 +1188,7 @@ export class CommentSection {
   
   /**
    * Setup event listeners for comment input elements
-   * Called after input is recreated
+   * Called after input is recreated. The editor handles formatting, pasted and dropped files.
    */
   setupInputEventListeners() {
     const input = this.element.querySelector('.sn-comment-input');
@@ -681,43 +1196,328 @@ export class CommentSection {
     
     if (!input || !submitBtn) return;
     
-    input.addEventListener('input', () => {
-      const content = input.value.trim();
-      const isOverLimit = input.value.length > MAX_COMMENT_LENGTH;
-      submitBtn.disabled = !content || isOverLimit;
-      this.updateCharacterCounter();
-    });
-    
     input.addEventListener('keydown', (event) => {
-      event.stopPropagation(); // Prevent page shortcuts
-      const content = input.value.trim();
-      const isOverLimit = input.value.length > MAX_COMMENT_LENGTH;
-      if (event.key === 'Enter' && !event.shiftKey && content && !isOverLimit) {
+      if (this.handleMentionKeyDown(event)) {
+        return;
+      }
+      // Enter sends, except in a list or code block where it adds a line; Ctrl/Cmd+Enter always sends
+      const isSend = event.key === 'Enter' && !event.defaultPrevented &&
+        (event.ctrlKey || event.metaKey || (!event.shiftKey && !this.editor.isSelectionInside('li')));
+      if (isSend) {
         event.preventDefault();
-        this.submitComment();
+        if (this.canSubmit()) {
+          this.submitComment();
+        }
       }
       if (event.key === 'Escape') {
-        this.cancelReply();
+        if (this.editingComment) {
+          this.cancelEdit();
+        } else {
+          this.cancelReply();
+        }
       }
     });
     
-    // Stop other keyboard events from propagating
-    input.addEventListener('keyup', (event) => event.stopPropagation());
-    input.addEventListener('keypress', (event) => event.stopPropagation());
+    input.addEventListener('blur', () => this.closeMentionSuggestions());
+    
+    // mousedown keeps focus in the input, so the blur above doesn't close the list first
+    this.element.querySelector('.sn-mention-list').addEventListener('mousedown', (event) => {
+      const option = event.target.closest('.sn-mention-option');
+      if (!option) return;
+      event.preventDefault();
+      this.selectMention(this.mentionMatches[Number(option.dataset.index)]);
+    });
     
     submitBtn.addEventListener('click', () => this.submitComment());
   }
   
+  /**
+   * Refresh the submit state, counter and @mention suggestions as the comment is written
+   */
+  handleDraftChange() {
+    this.updateSubmitState();
+    this.updateCharacterCounter();
+    this.updateMentionSuggestions();
+    if (this.editor?.getPlainText().trim()) {
+      this.onTyping(this.noteId);
+    }
+  }
+  
+  /**
+   * Get the comment being written
+   * Text without formatting is sent as is; anything else as cleaned HTML.
+   * @returns {Object} { content, format } with format 'html' for rich text
+   */
+  getDraft() {
+    if (!this.editor) return { content: '' };
+    
+    const container = document.createElement('div');
+    container.innerHTML = cleanHtml(this.editor.getContent());
+    const text = container.textContent.replace(/\u00A0/g, ' ');
+    
+    if (!text.trim()) {
+      return { content: '' };
+    }
+    if (!container.querySelector('*')) {
+      return { content: text.trim() };
+    }
+    return { content: container.innerHTML.trim(), format: 'html' };
+  }
+  
+  /**
+   * Get the collaborators that can be @mentioned, named as they sign their comments
+   * @returns {Object[]} Candidates { email, name }, without the current user
+   */
+  getMentionCandidates() {
+    const ownEmail = this.user?.email?.toLowerCase();
+    const authorNames = new Map();
+    this.comments.forEach(comment => {
+      if (comment.authorEmail && comment.authorName) {
+        authorNames.set(comment.authorEmail.toLowerCase(), comment.authorName);
+      }
+    });
+    
+    return this.getCollaborators()
+      .filter(candidate => candidate.email && candidate.email.toLowerCase() !== ownEmail)
+      .map(candidate => {
+        const email = candidate.email.toLowerCase();
+        return { email, name: authorNames.get(email) || candidate.name || email.split('@')[0] };
+      });
+  }
+  
+  /**
+   * Find the @query being typed right before the caret
+   * @returns {Object|null} { query, node, start } or null when no mention is being typed
+   */
+  findMentionQuery() {
+    const selection = window.getSelection();
+    const node = selection?.anchorNode;
+    if (!selection.isCollapsed || node?.nodeType !== Node.TEXT_NODE || !this.editor.editor.contains(node)) return null;
+    if (this.editor.isSelectionInside('pre, code')) return null;
+    
+    const before = node.textContent.slice(0, selection.anchorOffset).replace(/\u00A0/g, ' ');
+    const match = before.match(/(?:^|\s)@([^\s@]*)$/);
+    if (!match) return null;
+    return { query: match[1], node, start: before.length - match[1].length - 1 };
+  }
+  
+  /**
+   * Show collaborators matching the @query being typed
+   */
+  updateMentionSuggestions() {
+    const mention = this.editor ? this.findMentionQuery() : null;
+    
+    if (!mention || this.draftMentions.length >= MAX_MENTIONS) {
+      this.closeMentionSuggestions();
+      return;
+    }
+    
+    const query = mention.query.toLowerCase();
+    this.mentionQuery = mention;
+    this.mentionMatches = this.getMentionCandidates().filter(candidate =>
+      candidate.name.toLowerCase().includes(query) || candidate.email.startsWith(query)
+    );
+    this.mentionIndex = 0;
+    this.renderMentionSuggestions();
+  }
+  
+  /**
+   * Render the @mention suggestions list
+   */
+  renderMentionSuggestions() {
+    const list = this.element.querySelector('.sn-mention-list');
+    const input = this.element.querySelector('.sn-comment-input');
+    if (!list || !input) return;
+    
+    const isOpen = this.mentionMatches.length > 0;
+    list.innerHTML = this.mentionMatches.map((candidate, index) => `
+      <div class="sn-mention-option${index === this.mentionIndex ? ' sn-mention-active' : ''}" role="option"
+           id="sn-mention-option-${this.noteId}-${index}" data-index="${index}" aria-selected="${index === this.mentionIndex}">
+        <span class="sn-mention-name">${escapeHtml(candidate.name)}</span>
+        <span class="sn-mention-email">${escapeHtml(candidate.email)}</span>
+      </div>
+    `).join('');
+    list.classList.toggle('sn-hidden', !isOpen);
+    input.setAttribute('aria-expanded', String(isOpen));
+    if (isOpen) {
+      input.setAttribute('aria-activedescendant', `sn-mention-option-${this.noteId}-${this.mentionIndex}`);
+    } else {
+      input.removeAttribute('aria-activedescendant');
+    }
+  }
+  
+  /**
+   * Hide the @mention suggestions
+   */
+  closeMentionSuggestions() {
+    this.mentionQuery = null;
+    this.mentionMatches = [];
+    this.mentionIndex = 0;
+    this.renderMentionSuggestions();
+  }
+  
+  /**
+   * Navigate and pick @mention suggestions from the keyboard
+   * @param {KeyboardEvent} event - Keydown event on the comment input
+   * @returns {boolean} True if the suggestions handled the key
+   */
+  handleMentionKeyDown(event) {
+    if (this.mentionMatches.length === 0) return false;
+    
+    if (event.key === 'ArrowDown' || event.key === 'ArrowUp') {
+      event.preventDefault();
+      const step = event.key === 'ArrowDown' ? 1 : -1;
+      this.mentionIndex = (this.mentionIndex + step + this.mentionMatches.length) % this.mentionMatches.length;
+      this.renderMentionSuggestions();
+      return true;
+    }
+    
+    if (event.key === 'Enter' || event.key === 'Tab') {
+      event.preventDefault();
+      this.selectMention(this.mentionMatches[this.mentionIndex]);
+      return true;
+    }
+    
+    if (event.key === 'Escape') {
+      this.closeMentionSuggestions();
+      return true;
+    }
+    
+    return false;
+  }
+  
+  /**
+   * Replace the @query being typed with a collaborator's name
+   * @param {Object} candidate - Collaborator { email, name }
+   */
+  selectMention(candidate) {
+    if (!candidate || !this.editor || !this.mentionQuery) return;
+    
+    const { query, node, start } = this.mentionQuery;
+    const range = document.createRange();
+    range.setStart(node, start);
+    range.setEnd(node, Math.min(start + query.length + 1, node.length));
+    range.deleteContents();
+    // A non-breaking space, so the caret isn't left on collapsed whitespace
+    const token = document.createTextNode(`@${candidate.name}\u00A0`);
+    range.insertNode(token);
+    range.setStartAfter(token);
+    range.collapse(true);
+    const selection = window.getSelection();
+    selection.removeAllRanges();
+    selection.addRange(range);
+    
+    if (!this.draftMentions.some(mention => mention.email === candidate.email)) {
+      this.draftMentions.push(candidate);
+    }
+    
+    this.closeMentionSuggestions();
+    this.updateSubmitState();
+    this.updateCharacterCounter();
+    this.editor.focus();
+  }
+  
+  /**
+   * Check whether the comment being written can be submitted
+   * @returns {boolean} True if it has text or attachments and fits the length limits
+   */
+  canSubmit() {
+    if (!this.editor) return false;
+    const draft = this.getDraft();
+    const hasBody = draft.content.length > 0 || this.draftList.getAttachments().length > 0;
+    return hasBody && getCommentText(draft).length <= MAX_COMMENT_LENGTH && draft.content.length <= MAX_COMMENT_HTML_LENGTH;
+  }
+  
+  /**
+   * Enable the submit button when the comment can be submitted
+   */
+  updateSubmitState() {
+    const submitBtn = this.element.querySelector('.sn-comment-submit');
+    if (submitBtn) {
+      submitBtn.disabled = !this.canSubmit();
+    }
+  }
+  
+  /**
+   * Attach files to the comment being written
+   * @param {File[]} files - Files
+   * @returns {Promise<void>}
+   */
+  async handleAttachFiles(files) {
+    const uploads = [];
+    for (const file of files) {
+      const error = validateAttachmentFile(file, this.draftList.getCount());
+      if (error) {
+        this.showToast(error, 'error');
+        continue;
+      }
+      uploads.push(this.uploadDraftAttachment(file));
+    }
+    await Promise.all(uploads);
+  }
+  
+  /**
+   * Upload one file and add it to the draft
+   * @param {File} file - Validated file
+   * @returns {Promise<void>}
+   */
+  async uploadDraftAttachment(file) {
+    const pendingKey = this.draftList.addPending(file.name);
+    try {
+      const attachment = await uploadAttachmentFile(file);
+      this.draftList.removePending(pendingKey);
+      this.draftList.setAttachments([...this.draftList.getAttachments(), attachment]);
+    } catch (error) {
+      log.error('Failed to upload attachment:', error);
+      this.draftList.removePending(pendingKey);
+      this.showToast(t('failedToUploadAttachment'), 'error');
+    }
+    this.updateSubmitState();
+  }
+  
+  /**
+   * Take an attachment off the comment being written
+   * Files already saved on the edited comment stay until the edit is saved.
+   * @param {Object} attachment - Attachment reference
+   */
+  removeDraftAttachment(attachment) {
+    this.draftList.setAttachments(this.draftList.getAttachments().filter(existing => existing.id !== attachment.id));
+    if (this.savedAttachmentIds.has(attachment.id)) {
+      this.removedAttachments.push(attachment);
+    } else {
+      deleteAttachmentFile(attachment);
+    }
+    this.updateSubmitState();
+  }
+  
+  /**
+   * Drop the draft's attachments, deleting uploads that were never saved on a comment
+   */
+  discardDraftAttachments() {
+    this.draftList.getAttachments()
+      .filter(attachment => !this.savedAttachmentIds.has(attachment.id))
+      .forEach(attachment => deleteAttachmentFile(attachment));
+    this.resetDraftAttachments();
+  }
+  
+  /**
+   * Empty the draft after it was saved or discarded
+   */
+  resetDraftAttachments() {
+    this.draftList.setAttachments([]);
+    this.savedAttachmentIds = new Set();
+    this.removedAttachments = [];
+  }
+  
   /**
    * Update the character counter display
    */
   updateCharacterCounter() {
-    const input = this.element.querySelector('.sn-comment-input');
     const counter = this.element.querySelector('.sn-comment-char-counter');
     
-    if (!input || !counter) return;
+    if (!this.editor || !counter) return;
     
-    const currentLength = input.value.length;
+    const currentLength = getCommentText(this.getDraft()).length;
     const warningLimit = Math.floor(MAX_COMMENT_LENGTH * COMMENT_LENGTH_WARNING_THRESHOLD);
     
     // Update counter text
@@ -744,6 +1544,25 @@ export class CommentSection {
     }
   }
   
+  /**
+   * Show which collaborators are typing a comment
+   * @param {string[]} names - Names of the collaborators typing
+   */
+  setTypingUsers(names) {
+    const indicator = this.element.querySelector('.sn-comment-typing');
+    if (!indicator) return;
+    
+    let text = '';
+    if (names.length === 1) {
+      text = t('collaboratorTyping', [names[0]]);
+    } else if (names.length > 1) {
+      text = t('severalCollaboratorsTyping');
+    }
+    
+    indicator.textContent = text;
+    indicator.classList.toggle('sn-hidden', !text);
+  }
+  
   /**
    * Update comments from real-time sync
    * @param {Array} comments - New comments array
@@ -880,6 +1699,62 @@ export class CommentSection {
         margin-top: 8px;
       }
       
+      .sn-comment-replies.sn-hidden {
+        display: none;
+      }
+      
+      /* Past the indentation limit, nested replies keep only their thread line */
+      .sn-comment-reply.sn-comment-unindented {
+        margin-left: 0;
+      }
+      
+      /* Resolved threads and accepted answers */
+      .sn-comment-resolved {
+        opacity: 0.75;
+      }
+      
+      .sn-comment-preview {
+        overflow: hidden;
+        font-size: 12px;
+        color: #6b7280;
+        white-space: nowrap;
+        text-overflow: ellipsis;
+      }
+      
+      .sn-comment-resolved-summary {
+        display: flex;
+        flex-wrap: wrap;
+        align-items: center;
+        gap: 6px;
+        margin: 2px 0 4px;
+        font-size: 11px;
+        color: #15803d;
+      }
+      
+      .sn-comment-resolved-icon {
+        flex-shrink: 0;
+      }
+      
+      .sn-comment-accepted {
+        border-left-color: #16a34a;
+        background: rgba(22, 163, 74, 0.06);
+      }
+      
+      .sn-comment-answer-badge {
+        align-self: flex-start;
+        padding: 1px 6px;
+        border-radius: 8px;
+        background: #dcfce7;
+        color: #15803d;
+        font-size: 10px;
+        font-weight: 600;
+      }
+      
+      .sn-comment-highlight {
+        background: rgba(59, 130, 246, 0.12);
+        transition: background 0.3s ease;
+      }
+      
       .sn-comment-header {
         display: flex;
         align-items: flex-start;
@@ -951,9 +1826,99 @@ export class CommentSection {
         line-height: 1.4;
         word-wrap: break-word;
       }
+
+      .sn-comment-deleted {
+        color: #9ca3af;
+        font-style: italic;
+      }
+      
+      .sn-comment-content code {
+        padding: 1px 4px;
+        border-radius: 3px;
+        background: rgba(0, 0, 0, 0.06);
+        font-family: 'SF Mono', Monaco, 'Cascadia Code', Consolas, monospace;
+        font-size: 0.9em;
+      }
+      
+      .sn-comment-content pre {
+        max-height: 240px;
+        margin: 4px 0;
+        padding: 6px 8px;
+        border-radius: 4px;
+        background: rgba(0, 0, 0, 0.06);
+        overflow: auto;
+        white-space: pre;
+      }
+      
+      .sn-comment-content pre code {
+        padding: 0;
+        background: none;
+        font-size: 11px;
+      }
+      
+      .sn-comment-content ul,
+      .sn-comment-content ol {
+        margin: 2px 0;
+        padding-left: 18px;
+      }
+      
+      .sn-comment-content a {
+        color: #2563eb;
+        text-decoration: underline;
+      }
+      
+      .sn-mention {
+        padding: 0 2px;
+        border-radius: 3px;
+        background: rgba(59, 130, 246, 0.12);
+        color: #1d4ed8;
+        font-weight: 500;
+      }
+      
+      .sn-mention-self {
+        background: rgba(245, 158, 11, 0.2);
+        color: #92400e;
+      }
+      
+      .sn-mention-list {
+        max-height: 140px;
+        overflow-y: auto;
+        margin-bottom: 4px;
+        border: 1px solid rgba(0, 0, 0, 0.1);
+        border-radius: 6px;
+        background: white;
+        box-shadow: 0 2px 8px rgba(0, 0, 0, 0.1);
+      }
+      
+      .sn-mention-list.sn-hidden {
+        display: none;
+      }
+      
+      .sn-mention-option {
+        display: flex;
+        flex-direction: column;
+        padding: 4px 8px;
+        cursor: pointer;
+      }
+      
+      .sn-mention-option.sn-mention-active,
+      .sn-mention-option:hover {
+        background: rgba(59, 130, 246, 0.1);
+      }
+      
+      .sn-mention-name {
+        font-size: 13px;
+        color: #1f2937;
+      }
+      
+      .sn-mention-email {
+        font-size: 11px;
+        color: #6b7280;
+      }
       
       .sn-comment-actions {
         display: flex;
+        flex-wrap: wrap;
         gap: 8px;
         margin-top: 4px;
       }
@@ -985,6 +1950,18 @@ export class CommentSection {
         color: #ef4444;
       }
       
+      /* Typing indicator */
+      .sn-comment-typing {
+        padding: 4px 12px 0;
+        font-size: 11px;
+        font-style: italic;
+        color: #6b7280;
+      }
+      
+      .sn-comment-typing.sn-hidden {
+        display: none;
+      }
+      
       /* Comment Input */
       .sn-comment-input-container {
         padding: 8px 12px;
@@ -1043,28 +2020,26 @@ export class CommentSection {
         outline: none;
       }
       
-      .sn-comment-input {
-        flex: 1;
-        padding: 8px 10px;
+      .sn-comment-input-actions {
+        justify-content: flex-end;
+      }
+      
+      .sn-comment-input-wrapper .sn-rich-editor {
         border: 1px solid rgba(0, 0, 0, 0.1);
         border-radius: 6px;
-        font-size: 13px;
-        font-family: inherit;
         background: white;
-        outline: none;
+      }
+      
+      .sn-comment-input {
+        font-family: inherit;
         transition: border-color 0.15s ease;
       }
       
       .sn-comment-input:focus {
-        border-color: rgba(59, 130, 246, 0.5);
         outline: 2px solid #3b82f6;
         outline-offset: -2px;
       }
       
-      .sn-comment-input::placeholder {
-        color: #9ca3af;
-      }
-      
       .sn-comment-submit {
         display: flex;
         align-items: center;
@@ -1102,6 +2077,14 @@ export class CommentSection {
         height: 14px;
       }
       
+      .sn-comment-attachments .sn-attachments {
+        padding: 4px 0 0;
+      }
+      
+      .sn-comment-reactions .sn-reactions {
+        padding: 4px 0 0;
+      }
+      
       /* Character Counter */
       .sn-comment-char-counter {
         font-size: 11px;
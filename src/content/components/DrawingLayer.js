@@ -0,0 +1,540 @@
+/**
+ * DrawingLayer Component
+ * Arrows, boxes, highlights and freehand marks a note draws on the page.
+ * Shapes are stored relative to the note's anchor, so the layer only has to
+ * move its origin when the anchor moves; it sits in the page like the notes,
+ * which puts the marks into "Copy screenshot" captures as well.
+ */
+
+import { t } from '../../shared/i18n.js';
+import {
+  DRAWING_COLORS,
+  DRAWING_TOOLS,
+  MAX_DRAWING_POINTS,
+  MAX_DRAWING_SHAPES,
+  normalizeDrawings,
+  generateId
+} from '../../shared/utils.js';
+
+const STROKE_WIDTH = 3;
+const ARROW_HEAD_SIZE = 14;
+
+// Freehand points closer together than this add nothing visible
+const MIN_POINT_DISTANCE = 3;
+
+// Shapes smaller than this were clicks, not drags
+const MIN_SHAPE_SIZE = 4;
+
+const TOOL_LABELS = {
+  arrow: 'drawingArrow',
+  rect: 'drawingRect',
+  highlight: 'drawingHighlight',
+  freehand: 'drawingFreehand'
+};
+
+const TOOL_ICONS = {
+  arrow: '<line x1="5" y1="19" x2="19" y2="5"/><polyline points="9 5 19 5 19 15"/>',
+  rect: '<rect x="4" y="6" width="16" height="12" rx="1"/>',
+  highlight: '<rect x="4" y="8" width="16" height="8" fill="currentColor" fill-opacity="0.35" stroke="none"/><path d="M4 16h16"/>',
+  freehand: '<path d="M3 17c3-6 5-9 7-6s2 6 5 3 4-7 6-7"/>'
+};
+
+const COLOR_LABELS = {
+  red: 'drawingColorRed',
+  blue: 'drawingColorBlue',
+  green: 'drawingColorGreen',
+  yellow: 'drawingColorYellow',
+  black: 'drawingColorBlack'
+};
+
+/**
+ * Get the three corners of an arrow head at the end of a line
+ * @param {number} x1 - Start x
+ * @param {number} y1 - Start y
+ * @param {number} x2 - End x (the tip)
+ * @param {number} y2 - End y (the tip)
+ * @param {number} size - Length of the head
+ * @returns {number[]} Flat [x, y, ...] list: tip, then the two back corners
+ */
+export function getArrowHeadPoints(x1, y1, x2, y2, size = ARROW_HEAD_SIZE) {
+  const angle = Math.atan2(y2 - y1, x2 - x1);
+  const spread = Math.PI / 7;
+  return [
+    x2, y2,
+    x2 - size * Math.cos(angle - spread), y2 - size * Math.sin(angle - spread),
+    x2 - size * Math.cos(angle + spread), y2 - size * Math.sin(angle + spread)
+  ];
+}
+
+/**
+ * Format a flat point list for an SVG points attribute
+ * @param {number[]} points - Flat [x1, y1, x2, y2, ...] list
+ * @returns {string} "x1,y1 x2,y2 ..."
+ */
+function formatPoints(points) {
+  const pairs = [];
+  for (let index = 0; index < points.length; index += 2) {
+    pairs.push(`${points[index]},${points[index + 1]}`);
+  }
+  return pairs.join(' ');
+}
+
+/**
+ * Render a shape as SVG markup, in anchor-relative coordinates
+ * @param {Object} shape - Shape { tool, color, points }
+ * @returns {string} SVG markup
+ */
+export function renderShape(shape) {
+  const color = DRAWING_COLORS[shape.color] || DRAWING_COLORS.red;
+  const [x1, y1] = shape.points;
+  const [x2, y2] = shape.points.slice(-2);
+
+  switch (shape.tool) {
+    case 'arrow':
+      return '<g class="sn-drawing-shape" data-tool="arrow">' +
+        `<line x1="${x1}" y1="${y1}" x2="${x2}" y2="${y2}" stroke="${color}" stroke-width="${STROKE_WIDTH}" stroke-linecap="round"/>` +
+        `<polygon points="${formatPoints(getArrowHeadPoints(x1, y1, x2, y2))}" fill="${color}"/>` +
+        '</g>';
+    case 'rect':
+    case 'highlight': {
+      const box = `x="${Math.min(x1, x2)}" y="${Math.min(y1, y2)}" width="${Math.abs(x2 - x1)}" height="${Math.abs(y2 - y1)}"`;
+      return shape.tool === 'rect'
+        ? `<rect class="sn-drawing-shape" data-tool="rect" ${box} rx="2" fill="none" stroke="${color}" stroke-width="${STROKE_WIDTH}"/>`
+        : `<rect class="sn-drawing-shape" data-tool="highlight" ${box} fill="${color}" fill-opacity="0.3"/>`;
+    }
+    case 'freehand':
+    default:
+      return `<polyline class="sn-drawing-shape" data-tool="freehand" points="${formatPoints(shape.points)}" fill="none" stroke="${color}" stroke-width="${STROKE_WIDTH}" stroke-linecap="round" stroke-linejoin="round"/>`;
+  }
+}
+
+export class DrawingLayer {
+  /**
+   * Create a drawing layer
+   * @param {Object} options - Component options
+   * @param {Object[]} options.shapes - Saved shapes
+   * @param {Function} options.onChange - Called with the shapes when drawing mode ends with changes
+   * @param {Function} options.onClose - Called when drawing mode ends
+   */
+  constructor(options = {}) {
+    this.shapes = normalizeDrawings(options.shapes);
+    this.onChange = options.onChange || (() => {});
+    this.onClose = options.onClose || (() => {});
+
+    this.tool = DRAWING_TOOLS[0];
+    this.color = Object.keys(DRAWING_COLORS)[0];
+    // Viewport position of the anchor's top-left corner
+    this.origin = { x: 0, y: 0 };
+    this.isVisible = false;
+    this.isDrawing = false;
+    // Shape being dragged out, and the shapes when drawing mode started
+    this.draft = null;
+    this.shapesBeforeDrawing = null;
+
+    this.element = null;
+    this.surface = null;
+    this.toolbar = null;
+
+    this.boundHandleKeyDown = this.handleKeyDown.bind(this);
+
+    this.render();
+    this.setupEventListeners();
+  }
+
+  /**
+   * Render the component
+   */
+  render() {
+    this.element = document.createElement('div');
+    this.element.className = 'sn-drawing-layer sn-hidden';
+
+    this.surface = document.createElement('div');
+    this.surface.className = 'sn-drawing-surface';
+    this.element.appendChild(this.surface);
+
+    this.toolbar = document.createElement('div');
+    this.toolbar.className = 'sn-drawing-toolbar sn-hidden';
+    this.toolbar.setAttribute('role', 'toolbar');
+    this.toolbar.setAttribute('aria-label', t('drawingTools'));
+    this.toolbar.innerHTML = `
+      ${DRAWING_TOOLS.map(tool => `
+        <button type="button" class="sn-drawing-btn sn-drawing-tool" data-tool="${tool}" aria-pressed="${tool === this.tool}" title="${t(TOOL_LABELS[tool])}" aria-label="${t(TOOL_LABELS[tool])}">
+          <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" aria-hidden="true">${TOOL_ICONS[tool]}</svg>
+        </button>`).join('')}
+      <span class="sn-drawing-separator" aria-hidden="true"></span>
+      ${Object.entries(DRAWING_COLORS).map(([name, value]) => `
+        <button type="button" class="sn-drawing-btn sn-drawing-color" data-color="${name}" aria-pressed="${name === this.color}" title="${t(COLOR_LABELS[name])}" aria-label="${t(COLOR_LABELS[name])}">
+          <span class="sn-drawing-swatch" style="background: ${value};"></span>
+        </button>`).join('')}
+      <span class="sn-drawing-separator" aria-hidden="true"></span>
+      <button type="button" class="sn-drawing-btn sn-drawing-undo" title="${t('undoDrawing')}" aria-label="${t('undoDrawing')}">
+        <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" aria-hidden="true">
+          <polyline points="9 14 4 9 9 4"/><path d="M20 20v-7a4 4 0 0 0-4-4H4"/>
+        </svg>
+      </button>
+      <button type="button" class="sn-drawing-btn sn-drawing-clear" title="${t('clearDrawing')}" aria-label="${t('clearDrawing')}">
+        <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" aria-hidden="true">
+          <path d="M3 6h18M19 6v14a2 2 0 01-2 2H7a2 2 0 01-2-2V6M8 6V4a2 2 0 012-2h4a2 2 0 012 2v2"/>
+        </svg>
+      </button>
+      <button type="button" class="sn-drawing-done">${t('finishDrawing')}</button>
+      <span class="sn-drawing-hint">${t('drawingHint')}</span>
+    `;
+    this.element.appendChild(this.toolbar);
+
+    this.renderShapes();
+  }
+
+  /**
+   * Render the saved shapes and the one being drawn
+   */
+  renderShapes() {
+    const shapes = this.draft ? [...this.shapes, this.draft] : this.shapes;
+    this.surface.innerHTML = `
+      <svg class="sn-drawing-canvas" width="100%" height="100%" aria-hidden="true">
+        <g transform="translate(${this.origin.x} ${this.origin.y})">${shapes.map(renderShape).join('')}</g>
+      </svg>`;
+    this.updateToolbarState();
+  }
+
+  /**
+   * Setup event listeners
+   */
+  setupEventListeners() {
+    this.surface.addEventListener('pointerdown', this.handlePointerDown.bind(this));
+    this.surface.addEventListener('pointermove', this.handlePointerMove.bind(this));
+    this.surface.addEventListener('pointerup', this.handlePointerUp.bind(this));
+    this.surface.addEventListener('pointercancel', () => {
+      this.draft = null;
+      this.renderShapes();
+    });
+
+    this.toolbar.addEventListener('click', (event) => {
+      event.stopPropagation();
+      const button = event.target.closest('button');
+      if (!button) return;
+
+      if (button.dataset.tool) {
+        this.tool = button.dataset.tool;
+      } else if (button.dataset.color) {
+        this.color = button.dataset.color;
+      } else if (button.classList.contains('sn-drawing-undo')) {
+        this.shapes = this.shapes.slice(0, -1);
+        this.renderShapes();
+      } else if (button.classList.contains('sn-drawing-clear')) {
+        this.shapes = [];
+        this.renderShapes();
+      } else if (button.classList.contains('sn-drawing-done')) {
+        this.stopDrawing();
+        return;
+      }
+      this.updateToolbarState();
+    });
+  }
+
+  /**
+   * Reflect the current tool, color and shapes in the toolbar
+   */
+  updateToolbarState() {
+    this.toolbar.querySelectorAll('.sn-drawing-tool').forEach(button => {
+      button.setAttribute('aria-pressed', String(button.dataset.tool === this.tool));
+    });
+    this.toolbar.querySelectorAll('.sn-drawing-color').forEach(button => {
+      button.setAttribute('aria-pressed', String(button.dataset.color === this.color));
+    });
+
+    const isEmpty = this.shapes.length === 0;
+    this.toolbar.querySelector('.sn-drawing-undo').disabled = isEmpty;
+    this.toolbar.querySelector('.sn-drawing-clear').disabled = isEmpty;
+  }
+
+  /**
+   * Get a pointer position in anchor-relative coordinates
+   * @param {PointerEvent} event - Pointer event
+   * @returns {number[]} [x, y]
+   */
+  getPoint(event) {
+    return [
+      Math.round((event.clientX - this.origin.x) * 10) / 10,
+      Math.round((event.clientY - this.origin.y) * 10) / 10
+    ];
+  }
+
+  /**
+   * Start a shape
+   * @param {PointerEvent} event - Pointer event
+   */
+  handlePointerDown(event) {
+    if (!this.isDrawing || event.button > 0 || this.shapes.length >= MAX_DRAWING_SHAPES) return;
+    event.preventDefault();
+
+    const point = this.getPoint(event);
+    this.draft = { id: generateId('shape'), tool: this.tool, color: this.color, points: [...point, ...point] };
+    this.surface.setPointerCapture?.(event.pointerId);
+    this.renderShapes();
+  }
+
+  /**
+   * Drag out the shape being drawn
+   * @param {PointerEvent} event - Pointer event
+   */
+  handlePointerMove(event) {
+    if (!this.draft) return;
+
+    const [x, y] = this.getPoint(event);
+    const points = this.draft.points;
+
+    if (this.draft.tool !== 'freehand') {
+      points.splice(-2, 2, x, y);
+    } else {
+      const [lastX, lastY] = points.slice(-2);
+      if (Math.hypot(x - lastX, y - lastY) < MIN_POINT_DISTANCE || points.length >= MAX_DRAWING_POINTS * 2) return;
+      // The first move replaces the duplicated start point
+      if (points.length === 4 && points[0] === points[2] && points[1] === points[3]) {
+        points.splice(-2, 2);
+      }
+      points.push(x, y);
+    }
+    this.renderShapes();
+  }
+
+  /**
+   * Finish the shape being drawn, keeping it unless it was just a click
+   * @param {PointerEvent} event - Pointer event
+   */
+  handlePointerUp(event) {
+    if (!this.draft) return;
+    this.handlePointerMove(event);
+
+    const points = this.draft.points;
+    const xs = points.filter((_value, index) => index % 2 === 0);
+    const ys = points.filter((_value, index) => index % 2 === 1);
+    const size = Math.max(Math.max(...xs) - Math.min(...xs), Math.max(...ys) - Math.min(...ys));
+
+    if (size >= MIN_SHAPE_SIZE) {
+      this.shapes = [...this.shapes, this.draft];
+    }
+    this.draft = null;
+    this.renderShapes();
+  }
+
+  /**
+   * Handle keyboard shortcuts while drawing
+   * @param {KeyboardEvent} event - Keyboard event
+   */
+  handleKeyDown(event) {
+    if (event.key === 'Escape') {
+      event.preventDefault();
+      event.stopPropagation();
+      this.stopDrawing();
+    } else if ((event.ctrlKey || event.metaKey) && event.key.toLowerCase() === 'z' && this.shapes.length > 0) {
+      event.preventDefault();
+      this.shapes = this.shapes.slice(0, -1);
+      this.renderShapes();
+    }
+  }
+
+  /**
+   * Enter drawing mode: the layer takes pointer input over the whole viewport
+   */
+  startDrawing() {
+    if (this.isDrawing) return;
+
+    this.isDrawing = true;
+    this.shapesBeforeDrawing = this.shapes;
+    this.element.classList.add('sn-drawing-active');
+    this.toolbar.classList.remove('sn-hidden');
+    this.setVisible(true);
+    document.addEventListener('keydown', this.boundHandleKeyDown, true);
+    this.toolbar.querySelector('.sn-drawing-tool[aria-pressed="true"]')?.focus();
+  }
+
+  /**
+   * Leave drawing mode and report the shapes if they changed
+   */
+  stopDrawing() {
+    if (!this.isDrawing) return;
+
+    this.isDrawing = false;
+    this.draft = null;
+    this.element.classList.remove('sn-drawing-active');
+    this.toolbar.classList.add('sn-hidden');
+    document.removeEventListener('keydown', this.boundHandleKeyDown, true);
+    this.renderShapes();
+
+    if (JSON.stringify(this.shapes) !== JSON.stringify(this.shapesBeforeDrawing)) {
+      this.onChange(this.shapes);
+    }
+    this.shapesBeforeDrawing = null;
+    this.onClose();
+  }
+
+  /**
+   * Move the shapes with the anchor
+   * @param {number} x - Viewport x of the anchor's top-left corner
+   * @param {number} y - Viewport y of the anchor's top-left corner
+   */
+  setOrigin(x, y) {
+    if (this.origin.x === x && this.origin.y === y) return;
+
+    this.origin = { x, y };
+    this.surface.querySelector('.sn-drawing-canvas > g')?.setAttribute('transform', `translate(${x} ${y})`);
+  }
+
+  /**
+   * Show or hide the shapes (they stay visible while drawing)
+   * @param {boolean} isVisible - Whether the shapes should show
+   */
+  setVisible(isVisible) {
+    this.isVisible = isVisible || this.isDrawing;
+    this.element.classList.toggle('sn-hidden', !this.isVisible);
+  }
+
+  /**
+   * Replace the shapes, e.g. from a collaborator's change
+   * Ignored while drawing so the user's marks aren't lost
+   * @param {Object[]} shapes - Shapes
+   */
+  setShapes(shapes) {
+    if (this.isDrawing) return;
+
+    this.shapes = normalizeDrawings(shapes);
+    this.renderShapes();
+  }
+
+  /**
+   * Get the shapes
+   * @returns {Object[]} Shapes
+   */
+  getShapes() {
+    return this.shapes;
+  }
+
+  /**
+   * Destroy the component
+   */
+  destroy() {
+    document.removeEventListener('keydown', this.boundHandleKeyDown, true);
+    if (this.element && this.element.parentNode) {
+      this.element.parentNode.removeChild(this.element);
+    }
+  }
+
+  static getStyles() {
+    return `
+      .sn-drawing-layer {
+        position: fixed;
+        inset: 0;
+        pointer-events: none;
+        z-index: 2147483645;
+      }
+
+      .sn-drawing-layer.sn-hidden {
+        display: none;
+      }
+
+      .sn-drawing-surface,
+      .sn-drawing-canvas {
+        position: absolute;
+        inset: 0;
+        overflow: visible;
+      }
+
+      .sn-drawing-active .sn-drawing-surface {
+        pointer-events: auto;
+        cursor: crosshair;
+        touch-action: none;
+      }
+
+      .sn-drawing-toolbar {
+        position: absolute;
+        top: 12px;
+        left: 50%;
+        transform: translateX(-50%);
+        display: flex;
+        align-items: center;
+        gap: 4px;
+        padding: 6px 8px;
+        border-radius: 8px;
+        background: #ffffff;
+        box-shadow: 0 4px 16px rgba(0, 0, 0, 0.2);
+        font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+        font-size: 12px;
+        color: #374151;
+        pointer-events: auto;
+      }
+
+      .sn-drawing-toolbar.sn-hidden {
+        display: none;
+      }
+
+      .sn-drawing-btn {
+        display: flex;
+        align-items: center;
+        justify-content: center;
+        width: 28px;
+        height: 28px;
+        padding: 0;
+        border: 1px solid transparent;
+        border-radius: 4px;
+        background: transparent;
+        color: inherit;
+        cursor: pointer;
+      }
+
+      .sn-drawing-btn:hover:not(:disabled) {
+        background: #f3f4f6;
+      }
+
+      .sn-drawing-btn[aria-pressed="true"] {
+        border-color: #3b82f6;
+        background: #eff6ff;
+      }
+
+      .sn-drawing-btn:disabled {
+        opacity: 0.4;
+        cursor: default;
+      }
+
+      .sn-drawing-swatch {
+        width: 14px;
+        height: 14px;
+        border-radius: 50%;
+      }
+
+      .sn-drawing-separator {
+        width: 1px;
+        height: 20px;
+        margin: 0 4px;
+        background: #e5e7eb;
+      }
+
+      .sn-drawing-done {
+        margin-left: 4px;
+        padding: 5px 12px;
+        border: none;
+        border-radius: 4px;
+        background: #3b82f6;
+        color: white;
+        font-size: 12px;
+        cursor: pointer;
+      }
+
+      .sn-drawing-done:hover {
+        background: #2563eb;
+      }
+
+      .sn-drawing-hint {
+        margin-left: 6px;
+        color: #6b7280;
+        white-space: nowrap;
+      }
+
+      .sn-drawing-btn:focus,
+      .sn-drawing-done:focus {
+        outline: 2px solid #3b82f6;
+        outline-offset: 1px;
+      }
+    `;
+  }
+}
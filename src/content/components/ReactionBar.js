@@ -0,0 +1,286 @@
+/**
+ * ReactionBar Component
+ * Reactions on a note or comment: a chip per reaction in use with
+ * its count, and a picker to add one of the fixed reaction types
+ */
+
+import { t } from '../../shared/i18n.js';
+import { normalizeReactions, summarizeReactions, toggleReactionType, REACTION_LABEL_KEYS } from '../../shared/utils.js';
+import { contentLogger as log } from '../../shared/logger.js';
+
+/**
+ * SVG contents of each reaction's icon (24x24 view box, stroked)
+ */
+const REACTION_ICONS = {
+  thumbsUp: '<path d="M14 9V5a3 3 0 0 0-3-3l-4 9v11h11.28a2 2 0 0 0 2-1.7l1.38-9a2 2 0 0 0-2-2.3z"/><path d="M7 22H4a2 2 0 0 1-2-2v-7a2 2 0 0 1 2-2h3"/>',
+  eyes: '<path d="M1 12s4-8 11-8 11 8 11 8-4 8-11 8-11-8-11-8z"/><circle cx="12" cy="12" r="3"/>',
+  check: '<path d="M22 11.08V12a10 10 0 1 1-5.93-9.14"/><polyline points="22 4 12 14.01 9 11.01"/>',
+  heart: '<path d="M20.84 4.61a5.5 5.5 0 0 0-7.78 0L12 5.67l-1.06-1.06a5.5 5.5 0 0 0-7.78 7.78l1.06 1.06L12 21.23l7.78-7.78 1.06-1.06a5.5 5.5 0 0 0 0-7.78z"/>'
+};
+
+/**
+ * Render a reaction's icon
+ * @param {string} type - Reaction type
+ * @returns {string} SVG markup
+ */
+function renderReactionIcon(type) {
+  return `<svg class="sn-reaction-icon sn-reaction-icon-${type}" width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" aria-hidden="true">${REACTION_ICONS[type]}</svg>`;
+}
+
+export class ReactionBar {
+  /**
+   * Create a reaction bar
+   * @param {Object} options - Component options
+   * @param {Object} options.reactions - Map of user ID to reaction types
+   * @param {string|null} options.userId - Current user ID (null disables reacting)
+   * @param {Function} options.onToggle - Toggle callback (type) => Promise, rejects if the toggle failed
+   */
+  constructor(options = {}) {
+    this.reactions = normalizeReactions(options.reactions);
+    this.userId = options.userId || null;
+    this.onToggle = options.onToggle || (() => Promise.resolve());
+    this.pickerOpen = false;
+
+    this.element = null;
+    this.render();
+    this.setupEventListeners();
+  }
+
+  /**
+   * Render the component
+   */
+  render() {
+    this.element = document.createElement('div');
+    this.element.className = 'sn-reactions';
+    this.element.setAttribute('role', 'group');
+    this.element.setAttribute('aria-label', t('reactions'));
+    this.renderItems();
+  }
+
+  /**
+   * Render reaction chips, the add button and the picker
+   */
+  renderItems() {
+    const summary = summarizeReactions(this.reactions, this.userId);
+    const disabled = this.userId ? '' : 'disabled';
+
+    const chips = summary.filter(item => item.count > 0).map(item => {
+      const label = t('reactionCount', [t(REACTION_LABEL_KEYS[item.type]), String(item.count)]);
+      return `
+        <button type="button" class="sn-reaction${item.reacted ? ' sn-reaction-own' : ''}" data-reaction="${item.type}" aria-pressed="${item.reacted}" title="${label}" aria-label="${label}" ${disabled}>
+          ${renderReactionIcon(item.type)}
+          <span class="sn-reaction-count">${item.count}</span>
+        </button>`;
+    });
+
+    const picker = this.userId ? `
+      <button type="button" class="sn-reaction-add" aria-expanded="${this.pickerOpen}" title="${t('addReaction')}" aria-label="${t('addReaction')}">
+        <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" aria-hidden="true">
+          <circle cx="12" cy="12" r="10"/>
+          <path d="M8 14s1.5 2 4 2 4-2 4-2"/>
+          <line x1="9" y1="9" x2="9.01" y2="9"/><line x1="15" y1="9" x2="15.01" y2="9"/>
+        </svg>
+      </button>
+      <div class="sn-reaction-picker${this.pickerOpen ? '' : ' sn-hidden'}" role="group" aria-label="${t('addReaction')}">
+        ${summary.map(item => `
+          <button type="button" class="sn-reaction-option" data-reaction="${item.type}" aria-pressed="${item.reacted}" title="${t(REACTION_LABEL_KEYS[item.type])}" aria-label="${t(REACTION_LABEL_KEYS[item.type])}">${renderReactionIcon(item.type)}</button>`).join('')}
+      </div>` : '';
+
+    this.element.innerHTML = chips.join('') + picker;
+    this.element.classList.toggle('sn-hidden', chips.length === 0 && !this.userId);
+  }
+
+  /**
+   * Setup event listeners
+   */
+  setupEventListeners() {
+    this.element.addEventListener('click', (event) => {
+      const add = event.target.closest('.sn-reaction-add');
+      if (add) {
+        event.stopPropagation();
+        this.pickerOpen = !this.pickerOpen;
+        this.renderItems();
+        return;
+      }
+
+      const button = event.target.closest('[data-reaction]');
+      if (button && !button.disabled) {
+        event.stopPropagation();
+        this.pickerOpen = false;
+        this.toggle(button.dataset.reaction);
+      }
+    });
+  }
+
+  /**
+   * Toggle one of the current user's reactions
+   * The change shows right away and is rolled back if saving it fails.
+   * @param {string} type - Reaction type
+   * @returns {Promise<void>}
+   */
+  async toggle(type) {
+    if (!this.userId) return;
+
+    const previous = this.reactions;
+    const types = toggleReactionType(previous[this.userId], type);
+    const next = { ...previous };
+    if (types.length > 0) {
+      next[this.userId] = types;
+    } else {
+      delete next[this.userId];
+    }
+    this.reactions = next;
+    this.renderItems();
+
+    try {
+      await this.onToggle(type);
+    } catch (error) {
+      log.warn('Failed to toggle reaction:', error);
+      // Only roll back if nothing newer arrived in the meantime
+      if (this.reactions === next) {
+        this.reactions = previous;
+        this.renderItems();
+      }
+    }
+  }
+
+  /**
+   * Replace the reactions
+   * @param {Object} reactions - Map of user ID to reaction types
+   */
+  setReactions(reactions) {
+    this.reactions = normalizeReactions(reactions);
+    this.renderItems();
+  }
+
+  /**
+   * Set the current user
+   * @param {string|null} userId - Current user ID
+   */
+  setUserId(userId) {
+    this.userId = userId || null;
+    this.pickerOpen = false;
+    this.renderItems();
+  }
+
+  /**
+   * Get the reactions
+   * @returns {Object} Map of user ID to reaction types
+   */
+  getReactions() {
+    return this.reactions;
+  }
+
+  /**
+   * Destroy the component
+   */
+  destroy() {
+    if (this.element && this.element.parentNode) {
+      this.element.parentNode.removeChild(this.element);
+    }
+  }
+
+  static getStyles() {
+    return `
+      .sn-reactions {
+        position: relative;
+        display: flex;
+        flex-wrap: wrap;
+        align-items: center;
+        gap: 4px;
+        padding: 4px 0;
+      }
+
+      .sn-reactions.sn-hidden {
+        display: none;
+      }
+
+      .sn-reaction,
+      .sn-reaction-add {
+        display: inline-flex;
+        align-items: center;
+        gap: 3px;
+        height: 22px;
+        padding: 0 6px;
+        border: 1px solid rgba(0, 0, 0, 0.1);
+        border-radius: 11px;
+        background: rgba(255, 255, 255, 0.6);
+        color: #4b5563;
+        font-size: 12px;
+        line-height: 1;
+        cursor: pointer;
+      }
+
+      .sn-reaction:disabled {
+        cursor: default;
+      }
+
+      .sn-reaction:not(:disabled):hover,
+      .sn-reaction-add:hover {
+        background: rgba(255, 255, 255, 0.9);
+      }
+
+      .sn-reaction-own {
+        border-color: #3b82f6;
+        background: #dbeafe;
+        color: #1d4ed8;
+      }
+
+      .sn-reaction-count {
+        font-weight: 500;
+      }
+
+      .sn-reaction-icon {
+        flex-shrink: 0;
+      }
+
+      .sn-reaction-icon-check {
+        color: #16a34a;
+      }
+
+      .sn-reaction-icon-heart {
+        color: #dc2626;
+      }
+
+      .sn-reaction-picker {
+        display: flex;
+        gap: 2px;
+        padding: 2px;
+        border: 1px solid rgba(0, 0, 0, 0.1);
+        border-radius: 11px;
+        background: white;
+        box-shadow: 0 2px 6px rgba(0, 0, 0, 0.12);
+      }
+
+      .sn-reaction-picker.sn-hidden {
+        display: none;
+      }
+
+      .sn-reaction-option {
+        display: flex;
+        align-items: center;
+        justify-content: center;
+        width: 24px;
+        height: 22px;
+        padding: 0;
+        border: none;
+        border-radius: 9px;
+        background: transparent;
+        color: #4b5563;
+        cursor: pointer;
+      }
+
+      .sn-reaction-option:hover,
+      .sn-reaction-option[aria-pressed="true"] {
+        background: #dbeafe;
+      }
+
+      .sn-reaction:focus,
+      .sn-reaction-add:focus,
+      .sn-reaction-option:focus {
+        outline: 2px solid #3b82f6;
+        outline-offset: 1px;
+      }
+    `;
+  }
+}
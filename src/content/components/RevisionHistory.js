@@ -0,0 +1,469 @@
+/**
+ * RevisionHistory Component
+ * Collapsible version history for a sticky note: who changed what, with
+ * a word-level diff of each edit and one-click restore
+ */
+
+import { t } from '../../shared/i18n.js';
+import { formatRelativeTime, escapeHtml } from '../../shared/utils.js';
+import { diffHtml, htmlToDiffText, renderDiffSegments } from '../../shared/htmlDiff.js';
+import { contentLogger as log } from '../../shared/logger.js';
+import { ConfirmDialog } from './ConfirmDialog.js';
+import { StickyNote } from './StickyNote.js';
+
+// Mirrors MAX_REVISIONS in firebase/revisions.js: a full page means older history was cut off
+const REVISION_PAGE_SIZE = 50;
+
+export class RevisionHistory {
+  /**
+   * Create a revision history section
+   * @param {Object} options - Component options
+   * @param {string} options.noteId - Note ID
+   * @param {Object} options.user - Current user { uid, email, displayName }
+   * @param {Function} options.onLoadRevisions - Load revisions callback (newest first)
+   * @param {Function} options.onRestore - Restore callback (revisionId, original) resolving to true on success
+   */
+  constructor(options) {
+    this.noteId = options.noteId;
+    this.user = options.user;
+    this.onLoadRevisions = options.onLoadRevisions || (() => Promise.resolve([]));
+    this.onRestore = options.onRestore || (() => Promise.resolve(false));
+
+    this.revisions = [];
+    this.isExpanded = false;
+    this.isLoading = false;
+    this.isRestoring = false;
+
+    this.element = null;
+    this.render();
+    this.setupEventListeners();
+  }
+
+  /**
+   * Render the component
+   */
+  render() {
+    this.element = document.createElement('div');
+    this.element.className = 'sn-revision-history';
+
+    this.element.innerHTML = `
+      <button class="sn-history-toggle" aria-expanded="false" aria-controls="sn-history-panel-${this.noteId}" aria-label="${t('history')}">
+        <svg class="sn-history-icon" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" aria-hidden="true">
+          <circle cx="12" cy="12" r="10"/>
+          <polyline points="12 6 12 12 16 14"/>
+        </svg>
+        <span class="sn-history-label">${t('history')}</span>
+        <svg class="sn-history-chevron" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" aria-hidden="true">
+          <polyline points="6 9 12 15 18 9"/>
+        </svg>
+      </button>
+      <div class="sn-history-panel sn-hidden" id="sn-history-panel-${this.noteId}" role="region" aria-label="${t('history')}">
+        <div class="sn-history-list" role="list" aria-label="${t('history')}"></div>
+      </div>
+    `;
+  }
+
+  /**
+   * Setup event listeners
+   */
+  setupEventListeners() {
+    const toggle = this.element.querySelector('.sn-history-toggle');
+    toggle.addEventListener('click', () => this.togglePanel());
+
+    const list = this.element.querySelector('.sn-history-list');
+    list.addEventListener('click', (event) => {
+      const button = event.target.closest('.sn-revision-restore');
+      if (button) {
+        this.restore(button.dataset.revisionId, button.dataset.original === 'true');
+      }
+    });
+  }
+
+  /**
+   * Toggle history panel visibility
+   * History is reloaded on every open since collaborators may have edited meanwhile.
+   */
+  async togglePanel() {
+    this.isExpanded = !this.isExpanded;
+
+    const panel = this.element.querySelector('.sn-history-panel');
+    const chevron = this.element.querySelector('.sn-history-chevron');
+    const toggle = this.element.querySelector('.sn-history-toggle');
+
+    if (this.isExpanded) {
+      panel.classList.remove('sn-hidden');
+      chevron.style.transform = 'rotate(180deg)';
+      toggle.setAttribute('aria-expanded', 'true');
+      await this.loadRevisions();
+    } else {
+      panel.classList.add('sn-hidden');
+      chevron.style.transform = '';
+      toggle.setAttribute('aria-expanded', 'false');
+    }
+  }
+
+  /**
+   * Load revisions from backend
+   */
+  async loadRevisions() {
+    if (!this.user) {
+      this.showMessage(t('signInToViewHistory'));
+      return;
+    }
+    if (this.isLoading) return;
+
+    this.isLoading = true;
+    this.showLoading();
+
+    try {
+      this.revisions = await this.onLoadRevisions(this.noteId);
+      this.renderRevisions();
+    } catch (error) {
+      log.error('Failed to load revisions:', error);
+      this.showError(t('failedToLoadHistory'));
+    } finally {
+      this.isLoading = false;
+    }
+  }
+
+  /**
+   * Show loading state
+   */
+  showLoading() {
+    const list = this.element.querySelector('.sn-history-list');
+    list.innerHTML = `
+      <div class="sn-history-loading">
+        <div class="sn-spinner"></div>
+      </div>
+    `;
+  }
+
+  /**
+   * Show an informational message in place of the list
+   * @param {string} message - Message text
+   */
+  showMessage(message) {
+    const list = this.element.querySelector('.sn-history-list');
+    list.innerHTML = `
+      <div class="sn-history-empty">${escapeHtml(message)}</div>
+    `;
+  }
+
+  /**
+   * Show error message
+   * @param {string} message - Error message
+   */
+  showError(message) {
+    const list = this.element.querySelector('.sn-history-list');
+    list.innerHTML = `
+      <div class="sn-history-error">${escapeHtml(message)}</div>
+    `;
+  }
+
+  /**
+   * Render the revisions list
+   */
+  renderRevisions() {
+    if (this.revisions.length === 0) {
+      this.showMessage(t('noRevisions'));
+      return;
+    }
+
+    const list = this.element.querySelector('.sn-history-list');
+    let html = this.revisions.map((revision, index) => this.renderRevision(revision, index === 0)).join('');
+
+    // When the whole history fits in one page, the oldest revision's
+    // previous content is what the note was created with
+    const oldest = this.revisions[this.revisions.length - 1];
+    if (this.revisions.length < REVISION_PAGE_SIZE && oldest.previousContent) {
+      html += this.renderOriginal(oldest);
+    }
+
+    list.innerHTML = html;
+  }
+
+  /**
+   * Render a single revision
+   * @param {Object} revision - Revision data
+   * @param {boolean} isCurrent - Whether this is the newest revision
+   * @returns {string} HTML string
+   */
+  renderRevision(revision, isCurrent) {
+    const author = escapeHtml(revision.authorName || revision.authorEmail || t('anonymous'));
+    const time = formatRelativeTime(revision.updatedAt || revision.createdAt);
+    const { segments, hasTextChanges } = diffHtml(revision.previousContent, revision.content);
+    const diff = hasTextChanges
+      ? renderDiffSegments(segments)
+      : `<span class="sn-revision-formatting">${escapeHtml(t('formattingChanged'))}</span>`;
+
+    let badge = '';
+    if (isCurrent) {
+      badge = `<span class="sn-revision-badge">${t('currentVersion')}</span>`;
+    } else if (revision.restoredFrom) {
+      badge = `<span class="sn-revision-badge">${t('restoredVersion')}</span>`;
+    }
+
+    const restoreButton = isCurrent ? '' : `
+      <button class="sn-revision-restore" data-revision-id="${escapeHtml(revision.id)}" data-original="false">${t('restoreVersion')}</button>
+    `;
+
+    return `
+      <div class="sn-revision" role="listitem" data-revision-id="${escapeHtml(revision.id)}">
+        <div class="sn-revision-header">
+          <span class="sn-revision-author">${author}</span>
+          <span class="sn-revision-time">${escapeHtml(time)}</span>
+          ${badge}
+        </div>
+        <div class="sn-revision-diff">${diff}</div>
+        ${restoreButton}
+      </div>
+    `;
+  }
+
+  /**
+   * Render the note's content from before its first recorded revision
+   * @param {Object} oldest - Oldest revision
+   * @returns {string} HTML string
+   */
+  renderOriginal(oldest) {
+    return `
+      <div class="sn-revision sn-revision-original" role="listitem">
+        <div class="sn-revision-header">
+          <span class="sn-revision-author">${t('originalVersion')}</span>
+        </div>
+        <div class="sn-revision-diff">${escapeHtml(htmlToDiffText(oldest.previousContent))}</div>
+        <button class="sn-revision-restore" data-revision-id="${escapeHtml(oldest.id)}" data-original="true">${t('restoreVersion')}</button>
+      </div>
+    `;
+  }
+
+  /**
+   * Restore a revision after confirmation
+   * @param {string} revisionId - Revision ID
+   * @param {boolean} original - Restore the content from before the revision
+   */
+  async restore(revisionId, original = false) {
+    if (this.isRestoring) return;
+
+    const confirmed = await ConfirmDialog.show({
+      message: t('restoreVersionConfirm'),
+      shadowRoot: this.element.getRootNode(),
+      zIndex: StickyNote.currentZIndex + 1000
+    });
+    if (!confirmed) return;
+
+    this.isRestoring = true;
+    try {
+      const restored = await this.onRestore(revisionId, original);
+      if (restored && this.isExpanded) {
+        await this.loadRevisions();
+      }
+    } finally {
+      this.isRestoring = false;
+    }
+  }
+
+  /**
+   * Set the current user
+   * @param {Object} user - User object
+   */
+  setUser(user) {
+    this.user = user;
+    if (this.isExpanded) {
+      this.loadRevisions();
+    }
+  }
+
+  static getStyles() {
+    return `
+      /* Revision History Container */
+      .sn-revision-history {
+        border-top: 1px solid rgba(0, 0, 0, 0.1);
+      }
+
+      /* Toggle Button */
+      .sn-history-toggle {
+        display: flex;
+        align-items: center;
+        gap: 6px;
+        width: 100%;
+        padding: 8px 12px;
+        border: none;
+        background: transparent;
+        color: #6b7280;
+        cursor: pointer;
+        font-size: 12px;
+        font-family: inherit;
+        text-align: left;
+        transition: background 0.15s ease;
+      }
+
+      .sn-history-toggle:hover {
+        background: rgba(0, 0, 0, 0.05);
+      }
+
+      .sn-history-toggle:focus {
+        outline: 2px solid #3b82f6;
+        outline-offset: -2px;
+      }
+
+      .sn-history-toggle:focus:not(:focus-visible) {
+        outline: none;
+      }
+
+      .sn-history-icon {
+        width: 14px;
+        height: 14px;
+        flex-shrink: 0;
+      }
+
+      .sn-history-label {
+        flex: 1;
+      }
+
+      .sn-history-chevron {
+        width: 12px;
+        height: 12px;
+        transition: transform 0.2s ease;
+        flex-shrink: 0;
+      }
+
+      /* History Panel */
+      .sn-history-panel {
+        max-height: 300px;
+        overflow-y: auto;
+        background: rgba(0, 0, 0, 0.02);
+      }
+
+      .sn-history-panel.sn-hidden {
+        display: none;
+      }
+
+      .sn-history-list {
+        padding: 8px 12px;
+      }
+
+      .sn-history-empty,
+      .sn-history-error {
+        text-align: center;
+        padding: 16px 8px;
+        color: #9ca3af;
+        font-size: 12px;
+      }
+
+      .sn-history-error {
+        color: #ef4444;
+      }
+
+      .sn-history-loading {
+        display: flex;
+        justify-content: center;
+        padding: 16px;
+      }
+
+      /* Individual Revision */
+      .sn-revision {
+        padding: 8px 0;
+        border-bottom: 1px solid rgba(0, 0, 0, 0.05);
+      }
+
+      .sn-revision:last-child {
+        border-bottom: none;
+      }
+
+      .sn-revision-header {
+        display: flex;
+        align-items: baseline;
+        flex-wrap: wrap;
+        gap: 6px;
+        margin-bottom: 4px;
+      }
+
+      .sn-revision-author {
+        font-size: 12px;
+        font-weight: 600;
+        color: #374151;
+      }
+
+      .sn-revision-time {
+        font-size: 11px;
+        color: #9ca3af;
+      }
+
+      .sn-revision-badge {
+        padding: 1px 6px;
+        border-radius: 8px;
+        background: rgba(59, 130, 246, 0.1);
+        color: #2563eb;
+        font-size: 10px;
+        font-weight: 500;
+      }
+
+      /* Diff */
+      .sn-revision-diff {
+        font-size: 12px;
+        line-height: 1.5;
+        color: #4b5563;
+        white-space: pre-wrap;
+        word-break: break-word;
+      }
+
+      .sn-diff-ins {
+        background: rgba(34, 197, 94, 0.2);
+        color: #166534;
+        text-decoration: none;
+      }
+
+      .sn-diff-del {
+        background: rgba(239, 68, 68, 0.15);
+        color: #991b1b;
+        text-decoration: line-through;
+      }
+
+      .sn-revision-formatting {
+        font-style: italic;
+        color: #9ca3af;
+      }
+
+      .sn-revision-restore {
+        margin-top: 4px;
+        padding: 2px 8px;
+        border: 1px solid rgba(0, 0, 0, 0.15);
+        border-radius: 4px;
+        background: transparent;
+        color: #374151;
+        font-size: 11px;
+        font-family: inherit;
+        cursor: pointer;
+        transition: background 0.15s ease;
+      }
+
+      .sn-revision-restore:hover {
+        background: rgba(0, 0, 0, 0.05);
+      }
+
+      .sn-revision-restore:focus-visible {
+        outline: 2px solid #3b82f6;
+        outline-offset: 1px;
+      }
+
+      /* Reduced motion preference */
+      @media (prefers-reduced-motion: reduce) {
+        .sn-history-toggle,
+        .sn-history-chevron,
+        .sn-revision-restore {
+          transition: none !important;
+        }
+      }
+    `;
+  }
+
+  /**
+   * Destroy the component
+   */
+  destroy() {
+    if (this.element && this.element.parentNode) {
+      this.element.parentNode.removeChild(this.element);
+    }
+  }
+}
@@ -1,12 +1,28 @@
 /**
  * RichEditor Component
  * Lightweight contenteditable-based rich text editor
- * Supports: Bold, Italic, Lists, Links, Auto-share via email detection
+ * Supports: Bold, Italic, Lists, Links, Code blocks, Auto-share via email detection, File attachments
+ * A compact mode keeps the toolbar to code, links and lists and adds markdown shortcuts, for comments.
  */
 
-import { escapeHtml, isValidEmail, extractEmails, MAX_NOTE_LENGTH, NOTE_LENGTH_WARNING_THRESHOLD } from '../../shared/utils.js';
+import { escapeHtml, cleanHtml, isValidEmail, extractEmails, MAX_NOTE_LENGTH, NOTE_LENGTH_WARNING_THRESHOLD, ATTACHMENT_IMAGE_TYPES, ATTACHMENT_FILE_TYPES } from '../../shared/utils.js';
 import { t } from '../../shared/i18n.js';
 
+/**
+ * Toolbar commands shown in compact mode
+ */
+const COMPACT_COMMANDS = ['insertUnorderedList', 'insertOrderedList', 'createLink', 'code', 'codeBlock'];
+
+/**
+ * Markdown typed at the start of a line, and the command it turns into
+ */
+const LINE_SHORTCUTS = {
+  '- ': 'insertUnorderedList',
+  '* ': 'insertUnorderedList',
+  '1. ': 'insertOrderedList',
+  '```': 'codeBlock'
+};
+
 export class RichEditor {
   /**
    * Create rich editor
@@ -17,6 +33,8 @@ export class RichEditor {
    * @param {Function} options.onEmailShare - Callback when email detected for sharing (email) => void
    * @param {Function} options.onEmailUnshare - Callback when email removed (email) => void
    * @param {number} options.maxLength - Maximum character limit (defaults to MAX_NOTE_LENGTH)
+   * @param {Function} options.onFiles - Callback for pasted, dropped or picked files (files) => void; adds an attach button
+   * @param {boolean} options.compact - Smaller toolbar with markdown shortcuts, no counter or email sharing
    */
   constructor(options = {}) {
     this.content = options.content || '';
@@ -24,6 +42,8 @@ export class RichEditor {
     this.onChange = options.onChange || (() => {});
     this.onEmailShare = options.onEmailShare || null;
     this.onEmailUnshare = options.onEmailUnshare || null;
+    this.onFiles = options.onFiles || null;
+    this.compact = Boolean(options.compact);
     this.maxLength = options.maxLength !== undefined ? options.maxLength : MAX_NOTE_LENGTH;
     this.warningThreshold = NOTE_LENGTH_WARNING_THRESHOLD;
     
@@ -34,6 +54,7 @@ export class RichEditor {
     this.toolbar = null;
     this.editor = null;
     this.counter = null;
+    this.fileInput = null;
     
     this.render();
     this.setupEventListeners();
@@ -52,7 +73,7 @@ export class RichEditor {
    */
   render() {
     this.element = document.createElement('div');
-    this.element.className = 'sn-rich-editor';
+    this.element.className = this.compact ? 'sn-rich-editor sn-rich-editor-compact' : 'sn-rich-editor';
     
     // Create toolbar
     this.toolbar = document.createElement('div');
@@ -115,6 +136,13 @@ export class RichEditor {
           <polyline points="8 6 2 12 8 18"/>
         </svg>
       </button>
+      <button type="button" class="sn-toolbar-btn" data-command="codeBlock" title="${t('codeBlockText')}" aria-label="${t('codeBlockText')}" aria-pressed="false">
+        <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" aria-hidden="true">
+          <rect x="2" y="3" width="20" height="18" rx="2" ry="2"/>
+          <polyline points="10 9 7 12 10 15"/>
+          <polyline points="14 9 17 12 14 15"/>
+        </svg>
+      </button>
       <button type="button" class="sn-toolbar-btn" data-command="blockquote" title="${t('blockquoteText')}" aria-label="${t('blockquoteText')}" aria-pressed="false">
         <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" aria-hidden="true">
           <path d="M3 21c3 0 7-1 7-8V5c0-1.25-.756-2.017-2-2H4c-1.25 0-2 .75-2 1.972V11c0 1.25.75 2 2 2 1 0 1 0 1 1v1c0 1-1 2-2 2s-1 .008-1 1.031V21"/>
@@ -129,6 +157,32 @@ export class RichEditor {
       </button>
     `;
     
+    if (this.compact) {
+      this.toolbar.querySelectorAll('.sn-toolbar-divider').forEach(divider => divider.remove());
+      this.toolbar.querySelectorAll('.sn-toolbar-btn').forEach(btn => {
+        if (!COMPACT_COMMANDS.includes(btn.dataset.command)) btn.remove();
+      });
+    }
+    
+    if (this.onFiles) {
+      this.toolbar.insertAdjacentHTML('beforeend', `
+        <span class="sn-toolbar-divider" aria-hidden="true"></span>
+        <button type="button" class="sn-toolbar-btn" data-command="attachFile" title="${t('attachFile')}" aria-label="${t('attachFile')}">
+          <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" aria-hidden="true">
+            <path d="M21.44 11.05l-9.19 9.19a6 6 0 0 1-8.49-8.49l9.19-9.19a4 4 0 0 1 5.66 5.66l-9.2 9.19a2 2 0 0 1-2.83-2.83l8.49-8.48"/>
+          </svg>
+        </button>
+      `);
+      
+      this.fileInput = document.createElement('input');
+      this.fileInput.type = 'file';
+      this.fileInput.multiple = true;
+      this.fileInput.accept = [...ATTACHMENT_IMAGE_TYPES, ...ATTACHMENT_FILE_TYPES].join(',');
+      this.fileInput.className = 'sn-editor-file-input';
+      this.fileInput.hidden = true;
+      this.toolbar.appendChild(this.fileInput);
+    }
+    
     // Create editor area
     this.editor = document.createElement('div');
     this.editor.className = 'sn-editor-content';
@@ -147,7 +201,12 @@ export class RichEditor {
     
     this.element.appendChild(this.toolbar);
     this.element.appendChild(this.editor);
-    this.element.appendChild(this.counter);
+    // Compact editors leave the length limit to their host
+    if (this.compact) {
+      this.counter = null;
+    } else {
+      this.element.appendChild(this.counter);
+    }
   }
   
   /**
@@ -166,10 +225,15 @@ export class RichEditor {
         this.handleCreateLink();
       } else if (command === 'code') {
         this.handleCode();
+      } else if (command === 'codeBlock') {
+        this.handleCodeBlock();
       } else if (command === 'blockquote') {
         this.handleBlockquote();
       } else if (command === 'insertCheckbox') {
         this.handleInsertCheckbox();
+      } else if (command === 'attachFile') {
+        this.fileInput.click();
+        return;
       } else {
         document.execCommand(command, false, null);
         this.updateToolbarState();
@@ -179,7 +243,11 @@ export class RichEditor {
     });
     
     // Editor input
-    this.editor.addEventListener('input', () => {
+    this.editor.addEventListener('input', (event) => {
+      if (this.compact && event.inputType === 'insertText') {
+        this.applyMarkdownShortcut(event.data);
+      }
+      
       const textLength = this.getTextLength();
       
       // Check if content exceeds max length
@@ -208,6 +276,13 @@ export class RichEditor {
         event.stopPropagation();
       }
       
+      // Enter adds a line to a code block instead of splitting it
+      if (event.key === 'Enter' && !event.ctrlKey && !event.metaKey && this.isSelectionInside('pre')) {
+        event.preventDefault();
+        this.insertCodeLineBreak();
+        return;
+      }
+      
       if (event.ctrlKey || event.metaKey) {
         switch (event.key.toLowerCase()) {
           case 'b':
@@ -262,8 +337,16 @@ export class RichEditor {
     this.editor.addEventListener('paste', (event) => {
       event.preventDefault();
       
+      // Pasted images and files become attachments
+      const files = Array.from(event.clipboardData.files || []);
+      if (files.length > 0 && this.onFiles) {
+        this.onFiles(files);
+        return;
+      }
+      
       // Get plain text or HTML from clipboard
-      const html = event.clipboardData.getData('text/html');
+      // Code blocks take pasted text as is, so stack traces keep their lines
+      const html = this.isSelectionInside('pre') ? '' : event.clipboardData.getData('text/html');
       const text = event.clipboardData.getData('text/plain');
       
       // Calculate how much space is available
@@ -298,6 +381,10 @@ export class RichEditor {
       this.processEmailsInContent();
     });
     
+    if (this.onFiles) {
+      this.setupFileListeners();
+    }
+    
     // Initial placeholder state
     this.updatePlaceholder();
     
@@ -315,6 +402,39 @@ export class RichEditor {
     });
   }
   
+  /**
+   * Accept files from the file picker and drag and drop
+   */
+  setupFileListeners() {
+    this.fileInput.addEventListener('change', () => {
+      const files = Array.from(this.fileInput.files || []);
+      this.fileInput.value = '';
+      if (files.length > 0) {
+        this.onFiles(files);
+      }
+    });
+    
+    const hasFiles = (event) => Array.from(event.dataTransfer?.types || []).includes('Files');
+    
+    this.editor.addEventListener('dragover', (event) => {
+      if (!hasFiles(event)) return;
+      event.preventDefault();
+      this.editor.classList.add('sn-editor-dragover');
+    });
+    
+    this.editor.addEventListener('dragleave', () => {
+      this.editor.classList.remove('sn-editor-dragover');
+    });
+    
+    this.editor.addEventListener('drop', (event) => {
+      this.editor.classList.remove('sn-editor-dragover');
+      const files = Array.from(event.dataTransfer?.files || []);
+      if (files.length === 0) return;
+      event.preventDefault();
+      this.onFiles(files);
+    });
+  }
+  
   /**
    * Handle create link command
    */
@@ -382,6 +502,146 @@ export class RichEditor {
     this.updateToolbarState();
   }
   
+  /**
+   * Check whether the caret is inside an element of the editor
+   * @param {string} selector - CSS selector of the element
+   * @returns {boolean} True if the selection starts inside a matching element
+   */
+  isSelectionInside(selector) {
+    const node = window.getSelection()?.anchorNode;
+    const element = node?.nodeType === Node.ELEMENT_NODE ? node : node?.parentElement;
+    const match = element?.closest(selector);
+    return Boolean(match && this.editor.contains(match));
+  }
+  
+  /**
+   * Handle code block toggle
+   * Wraps the selection in a code block, or turns the block around the caret back into lines.
+   */
+  handleCodeBlock() {
+    const selection = window.getSelection();
+    if (!selection.rangeCount) return;
+    
+    const anchor = selection.anchorNode;
+    const existingBlock = (anchor?.nodeType === Node.ELEMENT_NODE ? anchor : anchor?.parentElement)?.closest('pre');
+    
+    if (existingBlock && this.editor.contains(existingBlock)) {
+      const lines = document.createDocumentFragment();
+      existingBlock.textContent.replace(/\n$/, '').split('\n').forEach(line => {
+        const div = document.createElement('div');
+        div.textContent = line;
+        if (!line) div.appendChild(document.createElement('br'));
+        lines.appendChild(div);
+      });
+      existingBlock.replaceWith(lines);
+    } else {
+      const range = selection.getRangeAt(0);
+      const pre = document.createElement('pre');
+      const code = document.createElement('code');
+      code.textContent = selection.toString();
+      if (!code.textContent) code.appendChild(document.createElement('br'));
+      pre.appendChild(code);
+      
+      // A line after the block, so there's somewhere to keep typing
+      const after = document.createElement('div');
+      after.appendChild(document.createElement('br'));
+      
+      range.deleteContents();
+      range.insertNode(after);
+      range.insertNode(pre);
+      
+      const caret = document.createRange();
+      caret.selectNodeContents(code);
+      caret.collapse(!code.textContent);
+      selection.removeAllRanges();
+      selection.addRange(caret);
+    }
+    
+    this.content = this.editor.innerHTML;
+    this.onChange(this.content);
+    this.updatePlaceholder();
+  }
+  
+  /**
+   * Insert a line break at the caret inside a code block
+   */
+  insertCodeLineBreak() {
+    const selection = window.getSelection();
+    if (!selection.rangeCount) return;
+    
+    const range = selection.getRangeAt(0);
+    range.deleteContents();
+    const newline = document.createTextNode('\n');
+    range.insertNode(newline);
+    
+    // A trailing line break only shows once there's another after it
+    const block = newline.parentElement.closest('pre');
+    const rest = document.createRange();
+    rest.setStartAfter(newline);
+    rest.setEnd(block, block.childNodes.length);
+    if (!rest.toString()) {
+      newline.after(document.createTextNode('\n'));
+    }
+    
+    range.setStartAfter(newline);
+    range.collapse(true);
+    selection.removeAllRanges();
+    selection.addRange(range);
+    
+    this.content = this.editor.innerHTML;
+    this.onChange(this.content);
+  }
+  
+  /**
+   * Turn markdown typed before the caret into formatting
+   * `code` becomes inline code; "- ", "* ", "1. " and three backticks at the start of a line
+   * start a list or a code block.
+   * @param {string} typed - Text just typed
+   */
+  applyMarkdownShortcut(typed) {
+    const selection = window.getSelection();
+    const node = selection?.anchorNode;
+    if (!selection.isCollapsed || node?.nodeType !== Node.TEXT_NODE || !this.editor.contains(node)) return;
+    if (this.isSelectionInside('pre, code')) return;
+    
+    const offset = selection.anchorOffset;
+    const before = node.textContent.slice(0, offset).replace(/\u00A0/g, ' ');
+    
+    const atLineStart = !node.previousSibling || node.previousSibling.nodeName === 'BR';
+    const lineCommand = atLineStart ? LINE_SHORTCUTS[before] : null;
+    if (lineCommand) {
+      const marker = document.createRange();
+      marker.setStart(node, 0);
+      marker.setEnd(node, offset);
+      marker.deleteContents();
+      if (lineCommand === 'codeBlock') {
+        this.handleCodeBlock();
+      } else {
+        document.execCommand(lineCommand, false, null);
+      }
+      return;
+    }
+    
+    const inlineCode = typed === '`' && before.match(/`([^`]+)`$/);
+    if (inlineCode) {
+      const range = document.createRange();
+      range.setStart(node, offset - inlineCode[0].length);
+      range.setEnd(node, offset);
+      range.deleteContents();
+      
+      const code = document.createElement('code');
+      code.textContent = inlineCode[1];
+      // Typing carries on after the code, not inside it
+      const space = document.createTextNode('\u00A0');
+      range.insertNode(space);
+      range.insertNode(code);
+      range.setStartAfter(space);
+      range.collapse(true);
+      selection.removeAllRanges();
+      selection.addRange(range);
+    }
+  }
+  
   /**
    * Handle blockquote formatting toggle
    */
@@ -555,58 +815,17 @@ export class RichEditor {
    * @returns {string} Cleaned HTML
    */
   cleanHtml(html) {
-    // Create a temporary element
-    const temp = document.createElement('div');
-    temp.innerHTML = html;
-    
-    // Remove unwanted elements
-    const unwanted = temp.querySelectorAll('script, style, meta, link, head');
-    unwanted.forEach(el => el.remove());
-    
-    // Remove most attributes except specific allowed ones
-    const allElements = temp.querySelectorAll('*');
-    allElements.forEach(el => {
-      const attrs = Array.from(el.attributes);
-      const isEmailShareSpan = el.tagName === 'SPAN' && el.classList.contains('sn-email-share');
-      const isCheckboxInput = el.tagName === 'INPUT' && el.getAttribute('type') === 'checkbox';
-      const isCheckboxLabel = el.tagName === 'LABEL' && el.classList.contains('sn-checkbox');
-      attrs.forEach(attr => {
-        if (el.tagName === 'A' && attr.name === 'href') {
-          return; // Keep href on links
-        }
-        if (isEmailShareSpan && (attr.name === 'class' || attr.name.startsWith('data-'))) {
-          return; // Keep class and data attributes on email share spans
-        }
-        if (isCheckboxInput && (attr.name === 'type' || attr.name === 'checked' || attr.name === 'class')) {
-          return; // Keep type, checked, and class on checkbox inputs
-        }
-        if (isCheckboxLabel && (attr.name === 'class' || attr.name === 'contenteditable')) {
-          return; // Keep class and contenteditable on checkbox labels
-        }
-        el.removeAttribute(attr.name);
-      });
-    });
-    
-    // Only allow certain tags
-    const allowedTags = ['P', 'BR', 'B', 'STRONG', 'I', 'EM', 'U', 'A', 'UL', 'OL', 'LI', 'DIV', 'SPAN', 'CODE', 'STRIKE', 'S', 'DEL', 'BLOCKQUOTE', 'INPUT', 'LABEL'];
-    const walker = document.createTreeWalker(temp, NodeFilter.SHOW_ELEMENT);
-    const nodesToRemove = [];
-    
-    while (walker.nextNode()) {
-      if (!allowedTags.includes(walker.currentNode.tagName)) {
-        nodesToRemove.push(walker.currentNode);
-      }
-    }
-    
-    nodesToRemove.forEach(node => {
-      // Replace with its children
-      while (node.firstChild) {
-        node.parentNode.insertBefore(node.firstChild, node);
-      }
-      node.remove();
-    });
-    
-    return temp.innerHTML;
+    return cleanHtml(html);
+  }
+  
+  /**
+   * Change the placeholder text
+   * @param {string} placeholder - Placeholder text
+   */
+  setPlaceholder(placeholder) {
+    this.placeholder = placeholder;
+    this.editor.dataset.placeholder = placeholder;
+    this.editor.setAttribute('aria-label', placeholder);
   }
   
   // escapeHtml is now imported from shared/utils.js
@@ -807,6 +1026,9 @@ export class RichEditor {
    * Called on input and paste events
    */
   processEmailsInContent() {
+    // Compact editors are for comments, which don't share the note
+    if (this.compact) return;
+    
     // Get plain text to find emails
     const plainText = this.getPlainText();
     const currentEmails = extractEmails(plainText);
@@ -1216,6 +1438,12 @@ export class RichEditor {
         outline-offset: -2px;
       }
       
+      .sn-editor-content.sn-editor-dragover {
+        background: rgba(59, 130, 246, 0.08);
+        outline: 2px dashed #3b82f6;
+        outline-offset: -2px;
+      }
+      
       .sn-editor-content.empty::before {
         content: attr(data-placeholder);
         color: #9ca3af;
@@ -1298,6 +1526,40 @@ export class RichEditor {
         color: #c7254e;
       }
       
+      /* Code block */
+      .sn-editor-content pre {
+        margin: 4px 0;
+        padding: 6px 8px;
+        background: rgba(0, 0, 0, 0.06);
+        border-radius: 4px;
+        overflow-x: auto;
+        white-space: pre;
+      }
+      
+      .sn-editor-content pre code {
+        padding: 0;
+        background: none;
+        color: #1f2937;
+        font-size: 12px;
+      }
+      
+      /* Compact mode */
+      .sn-rich-editor-compact .sn-editor-toolbar {
+        padding: 2px 4px;
+      }
+      
+      .sn-rich-editor-compact .sn-toolbar-btn {
+        width: 22px;
+        height: 22px;
+      }
+      
+      .sn-rich-editor-compact .sn-editor-content {
+        min-height: 0;
+        max-height: 160px;
+        padding: 6px 8px;
+        font-size: 13px;
+      }
+      
       /* Strikethrough */
       .sn-editor-content s,
       .sn-editor-content strike,
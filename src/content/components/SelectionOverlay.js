@@ -3,21 +3,30 @@
  * Handles element selection mode UI and interactions
  */
 
+import { injectMainDocumentStyles } from '../app/styles.js';
+import { MIN_REGION_SIZE, createAnchorRegion } from '../../shared/utils.js';
+import { t } from '../../shared/i18n.js';
+
 export class SelectionOverlay {
   /**
    * Create selection overlay
    * @param {Object} options - Options
-   * @param {Function} options.onSelect - Callback when element is selected
+   * @param {Function} options.onSelect - Callback when element (and optionally a text range or region) is selected
    * @param {Function} options.onCancel - Callback when selection is cancelled
+   * @param {Function} options.onTemplateChange - Callback with the template ID (or null) picked for the new note
    */
   constructor(options) {
     this.onSelect = options.onSelect || (() => {});
     this.onCancel = options.onCancel || (() => {});
+    this.onTemplateChange = options.onTemplateChange || (() => {});
     
     this.element = null;
     this.tooltip = null;
+    this.templatePicker = null;
     this.highlightedElement = null;
     this.isActive = true;
+    // Rectangle being dragged over a canvas or SVG element
+    this.regionDrag = null;
     
     // Store bound event handlers to allow proper removal
     this.boundHandleMouseOver = this.handleMouseOver.bind(this);
@@ -26,6 +35,8 @@ export class SelectionOverlay {
     this.boundHandleKeyDown = this.handleKeyDown.bind(this);
     this.boundHandleMouseMove = this.handleMouseMove.bind(this);
     this.boundHandleMouseLeave = this.handleMouseLeave.bind(this);
+    this.boundHandleMouseDown = this.handleMouseDown.bind(this);
+    this.boundHandleMouseUp = this.handleMouseUp.bind(this);
     
     this.render();
     this.setupEventListeners();
@@ -42,9 +53,41 @@ export class SelectionOverlay {
     // Create tooltip
     this.tooltip = document.createElement('div');
     this.tooltip.className = 'sn-selection-tooltip';
-    this.tooltip.textContent = 'Click an element to add a note';
+    this.tooltip.textContent = 'Click an element or select text to add a note';
     this.tooltip.style.display = 'none';
     this.element.appendChild(this.tooltip);
+    
+    // Create the rectangle shown while dragging a region
+    this.regionDraft = document.createElement('div');
+    this.regionDraft.className = 'sn-region-draft';
+    this.regionDraft.style.display = 'none';
+    this.element.appendChild(this.regionDraft);
+  }
+  
+  /**
+   * Show a picker for the template the new note starts from
+   * @param {Object[]} templates - Templates { id, name }
+   * @param {string|null} selectedId - Template picked last time, if any
+   */
+  showTemplatePicker(templates, selectedId = null) {
+    this.templatePicker?.remove();
+    this.templatePicker = null;
+    if (!this.isActive || !templates?.length) return;
+    
+    const picker = document.createElement('label');
+    picker.className = 'sn-template-picker';
+    picker.textContent = t('noteTemplateLabel');
+    
+    const select = document.createElement('select');
+    select.className = 'sn-template-select';
+    const blank = new Option(t('blankNote'), '');
+    select.append(blank, ...templates.map(template => new Option(template.name, template.id)));
+    select.value = templates.some(template => template.id === selectedId) ? selectedId : '';
+    select.addEventListener('change', () => this.onTemplateChange(select.value || null));
+    
+    picker.appendChild(select);
+    this.element.appendChild(picker);
+    this.templatePicker = picker;
   }
   
   /**
@@ -58,6 +101,8 @@ export class SelectionOverlay {
     document.addEventListener('click', this.boundHandleClick, true);
     document.addEventListener('keydown', this.boundHandleKeyDown, true);
     document.addEventListener('mousemove', this.boundHandleMouseMove, true);
+    document.addEventListener('mousedown', this.boundHandleMouseDown, true);
+    document.addEventListener('mouseup', this.boundHandleMouseUp, true);
     // Handle mouse leaving the document (e.g., into an iframe)
     document.addEventListener('mouseleave', this.boundHandleMouseLeave);
   }
@@ -72,6 +117,8 @@ export class SelectionOverlay {
     document.removeEventListener('click', this.boundHandleClick, true);
     document.removeEventListener('keydown', this.boundHandleKeyDown, true);
     document.removeEventListener('mousemove', this.boundHandleMouseMove, true);
+    document.removeEventListener('mousedown', this.boundHandleMouseDown, true);
+    document.removeEventListener('mouseup', this.boundHandleMouseUp, true);
     document.removeEventListener('mouseleave', this.boundHandleMouseLeave);
   }
   
@@ -82,7 +129,7 @@ export class SelectionOverlay {
   handleMouseOver(event) {
     if (!this.isActive) return;
     
-    const target = event.target;
+    const target = this.getEventTarget(event);
     
     // Ignore our own elements
     if (this.isOwnElement(target)) return;
@@ -93,6 +140,12 @@ export class SelectionOverlay {
     // Remove highlight from previous element
     this.removeHighlight();
     
+    // Elements in shadow trees are not reached by document styles
+    const root = target.getRootNode();
+    if (root instanceof ShadowRoot) {
+      injectMainDocumentStyles(root);
+    }
+    
     // Add highlight to new element
     this.highlightedElement = target;
     target.classList.add('sn-element-highlight');
@@ -130,7 +183,15 @@ export class SelectionOverlay {
    * @param {MouseEvent} event - Mouse event
    */
   handleMouseMove(event) {
-    if (!this.isActive || this.tooltip.style.display === 'none') return;
+    if (!this.isActive) return;
+    
+    if (this.regionDrag) {
+      this.regionDrag.endX = event.clientX;
+      this.regionDrag.endY = event.clientY;
+      this.updateRegionDraft();
+    }
+    
+    if (this.tooltip.style.display === 'none') return;
     
     // Position tooltip near cursor
     const offset = 15;
@@ -154,6 +215,106 @@ export class SelectionOverlay {
     this.tooltip.style.top = `${posY}px`;
   }
   
+  /**
+   * Start dragging a region over a canvas or SVG element
+   * @param {MouseEvent} event - Mouse event
+   */
+  handleMouseDown(event) {
+    if (!this.isActive || event.button !== 0) return;
+    
+    const target = this.getEventTarget(event);
+    if (this.isOwnElement(target)) return;
+    
+    const regionTarget = this.getRegionTarget(target);
+    if (!regionTarget) return;
+    
+    // Keep charts and maps from starting their own pan or drag
+    event.preventDefault();
+    event.stopPropagation();
+    
+    this.regionDrag = {
+      element: regionTarget,
+      startX: event.clientX,
+      startY: event.clientY,
+      endX: event.clientX,
+      endY: event.clientY
+    };
+  }
+  
+  /**
+   * Finish dragging a region
+   * Short drags fall through to the click handler, which selects the whole element
+   * @param {MouseEvent} event - Mouse event
+   */
+  handleMouseUp(event) {
+    if (!this.isActive || !this.regionDrag) return;
+    
+    const drag = { ...this.regionDrag, endX: event.clientX, endY: event.clientY };
+    this.regionDrag = null;
+    this.regionDraft.style.display = 'none';
+    
+    const rect = this.getDragRect(drag);
+    if (rect.width < MIN_REGION_SIZE || rect.height < MIN_REGION_SIZE) return;
+    
+    const region = createAnchorRegion(drag.element.getBoundingClientRect(), rect);
+    if (!region) return;
+    
+    event.preventDefault();
+    event.stopPropagation();
+    this.swallowNextClick();
+    this.removeHighlight();
+    this.onSelect(drag.element, null, region);
+  }
+  
+  /**
+   * Get the element a region can be drawn on: a canvas, or the SVG containing the target
+   * @param {Element} element - Element under the pointer
+   * @returns {Element|null} Canvas or SVG element
+   */
+  getRegionTarget(element) {
+    return element?.closest?.('canvas, svg') || null;
+  }
+  
+  /**
+   * Get the dragged rectangle in viewport coordinates
+   * @param {Object} drag - Drag state
+   * @returns {Object} Rectangle { left, top, width, height }
+   */
+  getDragRect(drag) {
+    return {
+      left: Math.min(drag.startX, drag.endX),
+      top: Math.min(drag.startY, drag.endY),
+      width: Math.abs(drag.endX - drag.startX),
+      height: Math.abs(drag.endY - drag.startY)
+    };
+  }
+  
+  /**
+   * Draw the rectangle being dragged
+   */
+  updateRegionDraft() {
+    const rect = this.getDragRect(this.regionDrag);
+    this.regionDraft.style.display = 'block';
+    this.regionDraft.style.left = `${rect.left}px`;
+    this.regionDraft.style.top = `${rect.top}px`;
+    this.regionDraft.style.width = `${rect.width}px`;
+    this.regionDraft.style.height = `${rect.height}px`;
+  }
+  
+  /**
+   * Stop the click that follows a region drag from reaching the page
+   * The overlay is gone by then, so a one-off document listener is used
+   */
+  swallowNextClick() {
+    const swallow = (event) => {
+      event.preventDefault();
+      event.stopPropagation();
+    };
+    document.addEventListener('click', swallow, { capture: true, once: true });
+    // Drags that end outside the start element fire no click
+    setTimeout(() => document.removeEventListener('click', swallow, true), 0);
+  }
+  
   /**
    * Handle click
    * @param {MouseEvent} event - Mouse event
@@ -161,7 +322,18 @@ export class SelectionOverlay {
   handleClick(event) {
     if (!this.isActive) return;
     
-    const target = event.target;
+    // A click that ends a text selection anchors the note to the selected text
+    const textRange = this.getSelectedTextRange();
+    if (textRange) {
+      event.preventDefault();
+      event.stopPropagation();
+      this.removeHighlight();
+      window.getSelection().removeAllRanges();
+      this.onSelect(this.getRangeElement(textRange), textRange);
+      return;
+    }
+    
+    const target = this.getEventTarget(event);
     
     // Ignore our own elements
     if (this.isOwnElement(target)) return;
@@ -180,6 +352,51 @@ export class SelectionOverlay {
     this.onSelect(target);
   }
   
+  /**
+   * Get the element an event originated from, looking inside open shadow roots
+   * (event.target is retargeted to the shadow host for listeners on the document)
+   * @param {Event} event - DOM event
+   * @returns {Element|null} Originating element
+   */
+  getEventTarget(event) {
+    const origin = event.composedPath?.()[0];
+    return origin?.nodeType === Node.ELEMENT_NODE ? origin : event.target;
+  }
+  
+  /**
+   * Get the current page text selection if it can anchor a note
+   * @returns {Range|null} Copy of the selected range or null
+   */
+  getSelectedTextRange() {
+    const selection = window.getSelection?.();
+    if (!selection || selection.isCollapsed || selection.rangeCount === 0) {
+      return null;
+    }
+    
+    const range = selection.getRangeAt(0);
+    if (!range.toString().trim()) {
+      return null;
+    }
+    
+    // Selections spanning large parts of the page (or our own UI) fall back to element selection
+    const element = this.getRangeElement(range);
+    if (this.isOwnElement(element) || this.shouldIgnoreElement(element)) {
+      return null;
+    }
+    
+    return range.cloneRange();
+  }
+  
+  /**
+   * Get the closest element containing a range
+   * @param {Range} range - DOM range
+   * @returns {Element|null} Containing element
+   */
+  getRangeElement(range) {
+    const container = range.commonAncestorContainer;
+    return container.nodeType === Node.ELEMENT_NODE ? container : container.parentElement;
+  }
+  
   /**
    * Handle keydown
    * @param {KeyboardEvent} event - Keyboard event
@@ -199,8 +416,10 @@ export class SelectionOverlay {
    * Update tooltip content
    * @param {Element} element - Target element
    */
-  updateTooltip(_element) {
-    this.tooltip.textContent = 'Click to add note';
+  updateTooltip(element) {
+    this.tooltip.textContent = this.getRegionTarget(element)
+      ? 'Click to add note, or drag to mark a region'
+      : 'Click to add note';
     this.tooltip.style.display = 'block';
   }
   
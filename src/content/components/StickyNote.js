@@ -5,7 +5,13 @@
 
 import { RichEditor } from './RichEditor.js';
 import { CommentSection } from './CommentSection.js';
+import { RevisionHistory } from './RevisionHistory.js';
+import { AttachmentList, validateAttachmentFile, uploadAttachmentFile } from './AttachmentList.js';
+import { ReactionBar } from './ReactionBar.js';
+import { mergeHtml } from '../../shared/htmlDiff.js';
 import { ConfirmDialog } from './ConfirmDialog.js';
+import { TextHighlight } from './TextHighlight.js';
+import { DrawingLayer } from './DrawingLayer.js';
 import { 
   isValidEmail, 
   escapeHtml,
@@ -18,11 +24,33 @@ import {
   detectEnvironment,
   ENVIRONMENTS,
   PAGE_LEVEL_SELECTOR,
-  MAX_NOTE_LENGTH
+  MAX_NOTE_LENGTH,
+  LOCATOR_LABELS,
+  BREAKPOINTS,
+  getBreakpointForWidth,
+  getViewportInfo,
+  getRegionRect,
+  formatAnchorRegion,
+  NOTE_STATUS_TRANSITIONS,
+  NOTE_STATUS_LABEL_KEYS,
+  getNoteStatus,
+  getNoteCollaborators,
+  isNoteOverdue,
+  formatDueDate,
+  normalizeTag,
+  normalizeTags,
+  normalizeAttachments,
+  normalizeDrawings,
+  normalizeReactions,
+  getTimestampMillis,
+  MAX_TAGS_PER_NOTE
 } from '../../shared/utils.js';
 import { contentLogger as log } from '../../shared/logger.js';
 import { t } from '../../shared/i18n.js';
 
+// Collaborator avatars shown in the header before collapsing into a +N chip
+const MAX_PRESENCE_AVATARS = 3;
+
 export class StickyNote {
   // Static z-index counter for bring-to-front functionality
   // Base z-index is high to stay above page content but leaves room for incrementing
@@ -39,37 +67,120 @@ export class StickyNote {
    * @param {string} options.content - Note content
    * @param {string} options.theme - Color theme (yellow, blue, green, pink)
    * @param {Object} options.position - Position config
-   * @param {Function} options.onSave - Save callback
+   * @param {Object} options.anchorFingerprint - Anchor fingerprint used for fuzzy re-matching
+   * @param {Object[]} options.anchorHistory - Previous selectors of the note, oldest first
+   * @param {Object[]} options.responsiveAnchors - Alternative anchors per viewport width range
+   * @param {Object} options.verifiedBreakpoints - Breakpoints the note was checked at, keyed by breakpoint ID
+   * @param {Object} options.textAnchor - Text quote the note points at inside the anchor
+   * @param {Range} options.textRange - Located range of the text quote in the page
+   * @param {Object} options.anchorRegion - Saved region of the anchor element, in percent of its box
+   * @param {Object} options.region - Region drawn on the current anchor (defaults to anchorRegion)
+   * @param {string} options.status - Workflow status (open, in_progress, resolved, reopened)
+   * @param {string[]} options.sharedWith - Emails the note is shared with
+   * @param {string} options.assignee - Email of the collaborator the note is assigned to
+   * @param {string} options.dueDate - Due date (YYYY-MM-DD)
+   * @param {string[]} options.tags - Free-form tags (e.g. a11y, regression)
+   * @param {Object} options.screenshot - Screenshot taken when the note was created { id, storage, url, width, height }
+   * @param {Object[]} options.attachments - Attached images and files
+   * @param {Object[]} options.drawings - Shapes drawn on the page, relative to the anchor
+   * @param {Object} options.reactions - Map of user ID to reaction types
+   * @param {string|Object} options.updatedAt - updatedAt of the server version, for conflict detection
+   * @param {Function} options.onSave - Save callback (content, baseContent, baseUpdatedAt), resolves to the saved updatedAt if known
    * @param {Function} options.onThemeChange - Theme change callback
+   * @param {Function} options.onStatusChange - Status change callback
+   * @param {Function} options.onAssignmentChange - Called with { assignee } or { dueDate } when either changes
+   * @param {Function} options.onTagsChange - Called with the new tag list when tags are added or removed
+   * @param {Function} options.onAttachmentsChange - Called with (attachments, removed) when files are attached or removed
+   * @param {Function} options.onDrawingsChange - Called with the shapes when drawing mode ends with changes
+   * @param {Function} options.onToggleReaction - Called with a reaction type to toggle the user's reaction, rejects on failure
    * @param {Function} options.onDelete - Delete callback
+   * @param {Function} options.getLocators - Returns test locators { xpath, playwright, cypress } for an anchor element
+   * @param {Function} options.onRecordResponsiveAnchor - Pick the anchor for the current breakpoint
+   * @param {Function} options.onVerifyBreakpoint - Mark the note verified at the current breakpoint
    * @param {Object} options.user - Current user for comments { uid, email, displayName }
    * @param {Function} options.onAddComment - Add comment callback
    * @param {Function} options.onEditComment - Edit comment callback
    * @param {Function} options.onDeleteComment - Delete comment callback
+   * @param {Function} options.onToggleCommentReaction - Toggle comment reaction callback (noteId, commentId, type)
+   * @param {Function} options.onResolveThread - Resolve or reopen a comment thread callback (noteId, commentId, resolved)
+   * @param {Function} options.onAcceptAnswer - Accepted answer callback (noteId, commentId, answerId)
    * @param {Function} options.onLoadComments - Load comments callback
    * @param {Function} options.onCommentsOpened - Called when comments panel is opened
    * @param {Function} options.onCommentsClosed - Called when comments panel is closed
+   * @param {Function} options.onLoadRevisions - Load version history callback
+   * @param {Function} options.onRestoreRevision - Restore a version callback, resolves to the restored content
+   * @param {Function} options.onEditingChange - Called with (noteId, isEditing) when the editor gains or loses focus
+   * @param {Function} options.onCommentTyping - Called with the note ID while a comment is being typed
    */
   constructor(options) {
     this.id = options.id;
     this.anchor = options.anchor;
     this.selector = options.selector;
     this.content = options.content || '';
+    // Server content the local edits are based on, for conflict detection
+    this.baseContent = this.content;
+    // updatedAt of that server version; the save is rejected if the note changed since
+    this.baseUpdatedAt = options.updatedAt || null;
+    // Server content (and its updatedAt) that conflicts with unsaved local edits, while the user decides
+    this.conflictContent = null;
+    this.conflictUpdatedAt = null;
+    // Content save in flight, and whether another one waits for it
+    this.pendingSave = null;
+    this.saveQueued = false;
     this.theme = options.theme || 'yellow';
     this.position = options.position || { anchor: 'top-right' };
+    this.anchorFingerprint = options.anchorFingerprint || null;
+    this.anchorHistory = options.anchorHistory || [];
+    this.responsiveAnchors = options.responsiveAnchors || [];
+    this.verifiedBreakpoints = options.verifiedBreakpoints || {};
+    this.textAnchor = options.textAnchor || null;
+    this.textRange = null;
+    this.textHighlight = null;
+    this.anchorRegion = options.anchorRegion || null;
+    this.region = options.region !== undefined ? options.region : this.anchorRegion;
+    this.regionElement = null;
+    this.status = getNoteStatus(options);
+    this.sharedWith = options.sharedWith || [];
+    this.assignee = options.assignee || null;
+    this.dueDate = options.dueDate || null;
+    this.tags = normalizeTags(options.tags);
+    this.screenshot = options.screenshot || null;
+    this.attachments = normalizeAttachments(options.attachments);
+    this.drawings = normalizeDrawings(options.drawings);
+    this.reactions = normalizeReactions(options.reactions);
     this.onSave = options.onSave || (() => {});
     this.onThemeChange = options.onThemeChange || (() => {});
+    this.onStatusChange = options.onStatusChange || (() => {});
+    this.onAssignmentChange = options.onAssignmentChange || (() => {});
+    this.onTagsChange = options.onTagsChange || (() => {});
+    this.onAttachmentsChange = options.onAttachmentsChange || (() => {});
+    this.onDrawingsChange = options.onDrawingsChange || (() => {});
+    this.onToggleReaction = options.onToggleReaction || (() => Promise.resolve());
     this.onPositionChange = options.onPositionChange || (() => {});
     this.onDelete = options.onDelete || (() => {});
+    this.getLocators = options.getLocators || (() => null);
+    this.onRecordResponsiveAnchor = options.onRecordResponsiveAnchor || (() => {});
+    this.onVerifyBreakpoint = options.onVerifyBreakpoint || (() => {});
     
     // Comment-related callbacks
     this.user = options.user || null;
     this.onAddComment = options.onAddComment || (() => Promise.resolve());
     this.onEditComment = options.onEditComment || (() => Promise.resolve());
     this.onDeleteComment = options.onDeleteComment || (() => Promise.resolve());
+    this.onToggleCommentReaction = options.onToggleCommentReaction || (() => Promise.resolve());
+    this.onResolveThread = options.onResolveThread || (() => Promise.resolve());
+    this.onAcceptAnswer = options.onAcceptAnswer || (() => Promise.resolve());
     this.onLoadComments = options.onLoadComments || (() => Promise.resolve([]));
     this.onCommentsOpened = options.onCommentsOpened || (() => {});
     this.onCommentsClosed = options.onCommentsClosed || (() => {});
+    this.onLoadRevisions = options.onLoadRevisions || (() => Promise.resolve([]));
+    this.onRestoreRevision = options.onRestoreRevision || (() => Promise.resolve(''));
+    
+    // Presence callbacks and the collaborators currently on the page who can see this note
+    this.onEditingChange = options.onEditingChange || (() => {});
+    this.onCommentTyping = options.onCommentTyping || (() => {});
+    this.isEditing = false;
+    this.presenceViewers = [];
     
     // Per-note visibility
     this.isHidden = options.isHidden || false;
@@ -84,6 +195,11 @@ export class StickyNote {
     this.element = null;
     this.textarea = null;
     this.commentSection = null;
+    this.revisionHistory = null;
+    this.attachmentList = null;
+    this.reactionBar = null;
+    // Created once the note has shapes or the user starts drawing
+    this.drawingLayer = null;
     this.isVisible = false;
     this.isDragging = false;
     this.dragOffset = { x: 0, y: 0 };
@@ -105,7 +221,8 @@ export class StickyNote {
     
     this.render();
     this.setupEventListeners();
-    this.updatePosition();
+    this.setTextRange(options.textRange || null);
+    this.loadScreenshot();
   }
   
   /**
@@ -113,7 +230,7 @@ export class StickyNote {
    */
   render() {
     this.element = document.createElement('div');
-    this.element.className = `sn-note sn-theme-${this.theme} sn-hidden${this.isMinimized ? ' sn-minimized' : ''}`;
+    this.element.className = `sn-note sn-theme-${this.theme} sn-status-${this.status} sn-hidden${this.isMinimized ? ' sn-minimized' : ''}`;
     this.element.dataset.noteId = this.id;
     // Set initial z-index (will be increased when clicked for bring-to-front)
     this.element.style.zIndex = StickyNote.baseZIndex;
@@ -126,6 +243,8 @@ export class StickyNote {
           </svg>
         </button>
         <span class="sn-note-header-title"></span>
+        <span class="sn-note-header-assignment">${this.renderAssignmentChips()}</span>
+        <span class="sn-note-presence" role="group" aria-label="${t('collaboratorsOnNote')}"></span>
         <div class="sn-note-header-actions">
           <button class="sn-note-btn sn-hide-btn" title="${this.isHidden ? t('showNote') : t('hideNote')}" aria-label="${this.isHidden ? t('showNote') : t('hideNote')}">
             <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" aria-hidden="true">
@@ -151,6 +270,14 @@ export class StickyNote {
               <path d="M21 15l-5-5L5 21"/>
             </svg>
           </button>
+          <button class="sn-note-btn sn-draw-btn" title="${t('drawOnPage')}" aria-label="${t('drawOnPage')}" aria-pressed="false">
+            <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" aria-hidden="true">
+              <path d="M12 19l7-7 3 3-7 7-3-3z"/>
+              <path d="M18 13l-1.5-7.5L2 2l3.5 14.5L13 18l5-5z"/>
+              <path d="M2 2l7.586 7.586"/>
+              <circle cx="11" cy="11" r="2"/>
+            </svg>
+          </button>
           <button class="sn-note-btn sn-theme-btn" title="${t('changeColor')}" aria-label="${t('changeColor')}">
             <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" aria-hidden="true">
               <path d="M12 2C6.5 2 2 6.5 2 12s4.5 10 10 10c.93 0 1.5-.67 1.5-1.5 0-.39-.14-.74-.39-1.04-.23-.28-.37-.61-.37-.96 0-.83.67-1.5 1.5-1.5H16c3.31 0 6-2.69 6-6 0-4.96-4.5-9-10-9z"/>
@@ -182,6 +309,20 @@ export class StickyNote {
       </div>
       <div class="sn-note-content">
         <div class="sn-note-editor-container"></div>
+        ${this.screenshot ? `
+        <button type="button" class="sn-note-screenshot sn-hidden" aria-expanded="false" aria-label="${t('noteScreenshot')}" title="${t('noteScreenshotToggle')}">
+          <img class="sn-note-screenshot-img" alt="${t('noteScreenshotAlt')}">
+        </button>` : ''}
+        <div class="sn-note-tags" role="group" aria-label="${t('tags')}">
+          <span class="sn-tag-list">${this.renderTagChips()}</span>
+          <input 
+            type="text" 
+            class="sn-tag-input" 
+            placeholder="${t('addTag')}" 
+            aria-label="${t('addTag')}" 
+            maxlength="32"
+          >
+        </div>
       </div>
       <div class="sn-note-footer">
         <button class="sn-metadata-toggle" aria-expanded="false" aria-controls="sn-metadata-panel-${this.id}" aria-label="${t('viewMetadata')}">
@@ -189,6 +330,7 @@ export class StickyNote {
             <polyline points="6 9 12 15 18 9"/>
           </svg>
           <span class="sn-metadata-time">${formatRelativeTime(this.createdAt)}</span>
+          <span class="sn-status-indicator sn-status-${this.status}">${this.getStatusLabel(this.status)}</span>
         </button>
         <div class="sn-metadata-panel sn-hidden" id="sn-metadata-panel-${this.id}" role="region" aria-label="${t('viewMetadata')}">
           <div class="sn-metadata-row">
@@ -249,6 +391,41 @@ export class StickyNote {
               </div>
             </div>
           </div>
+          <div class="sn-metadata-row sn-metadata-status-row">
+            <span class="sn-metadata-label" id="sn-status-label-${this.id}">${t('metadataStatus')}</span>
+            <div class="sn-status-selector">
+              <button 
+                class="sn-status-badge sn-status-${this.status}" 
+                title="${t('changeStatus')}"
+                aria-haspopup="listbox"
+                aria-expanded="false"
+                aria-labelledby="sn-status-label-${this.id}"
+              >
+                <span class="sn-status-badge-label">${this.getStatusLabel(this.status)}</span>
+                <svg class="sn-env-chevron" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" aria-hidden="true">
+                  <polyline points="6 9 12 15 18 9"/>
+                </svg>
+              </button>
+              <div 
+                class="sn-status-dropdown sn-hidden" 
+                role="listbox" 
+                aria-label="${t('metadataStatus')}"
+                tabindex="-1"
+              >
+                ${this.renderStatusOptions()}
+              </div>
+            </div>
+          </div>
+          <div class="sn-metadata-row sn-metadata-assignee-row">
+            <label class="sn-metadata-label" for="sn-assignee-${this.id}">${t('metadataAssignee')}</label>
+            <select class="sn-assignee-select" id="sn-assignee-${this.id}">
+              ${this.renderAssigneeOptions()}
+            </select>
+          </div>
+          <div class="sn-metadata-row sn-metadata-due-row">
+            <label class="sn-metadata-label" for="sn-due-date-${this.id}">${t('metadataDueDate')}</label>
+            <input type="date" class="sn-due-date-input" id="sn-due-date-${this.id}" value="${escapeHtml(this.dueDate || '')}">
+          </div>
           <div class="sn-metadata-row">
             <span class="sn-metadata-label">${t('metadataBrowser')}</span>
             <span class="sn-metadata-value">${escapeHtml(this.metadata.browser)}</span>
@@ -285,6 +462,33 @@ export class StickyNote {
               </svg>
             </button>
           </div>
+          <div class="sn-metadata-locators"></div>
+          ${this.textAnchor ? `
+          <div class="sn-metadata-row">
+            <span class="sn-metadata-label">${t('metadataSelectedText')}</span>
+            <span class="sn-metadata-value sn-metadata-quote" title="${escapeHtml(this.textAnchor.exact)}">${escapeHtml(this.truncateSelector(this.textAnchor.exact))}</span>
+            <button class="sn-metadata-copy-btn" data-copy-value="${escapeHtml(this.textAnchor.exact)}" title="${t('copyMetadata')}">
+              <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                <rect x="9" y="9" width="13" height="13" rx="2" ry="2"/>
+                <path d="M5 15H4a2 2 0 01-2-2V4a2 2 0 012-2h9a2 2 0 012 2v1"/>
+              </svg>
+            </button>
+          </div>
+          ` : ''}
+          ${this.anchorRegion ? `
+          <div class="sn-metadata-row">
+            <span class="sn-metadata-label">${t('metadataRegion')}</span>
+            <span class="sn-metadata-value sn-metadata-region">${escapeHtml(formatAnchorRegion(this.anchorRegion))}</span>
+            <button class="sn-metadata-copy-btn" data-copy-value="${escapeHtml(formatAnchorRegion(this.anchorRegion))}" title="${t('copyMetadata')}">
+              <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                <rect x="9" y="9" width="13" height="13" rx="2" ry="2"/>
+                <path d="M5 15H4a2 2 0 01-2-2V4a2 2 0 012-2h9a2 2 0 012 2v1"/>
+              </svg>
+            </button>
+          </div>
+          ` : ''}
+          ${this.renderAnchorHistory()}
+          <div class="sn-metadata-breakpoints"></div>
           `}
           <div class="sn-metadata-row">
             <span class="sn-metadata-label">${t('metadataOwner')}</span>
@@ -329,10 +533,25 @@ export class StickyNote {
       maxLength: MAX_NOTE_LENGTH,
       onChange: (html) => this.handleEditorChange(html),
       onEmailShare: (email) => this.handleAutoShare(email),
-      onEmailUnshare: (email) => this.handleAutoUnshare(email)
+      onEmailUnshare: (email) => this.handleAutoUnshare(email),
+      onFiles: (files) => this.handleAttachFiles(files)
     });
     editorContainer.appendChild(this.richEditor.element);
     
+    this.attachmentList = new AttachmentList({
+      attachments: this.attachments,
+      editable: true,
+      onRemove: (attachment) => this.removeAttachment(attachment)
+    });
+    editorContainer.appendChild(this.attachmentList.element);
+    
+    this.reactionBar = new ReactionBar({
+      reactions: this.reactions,
+      userId: this.user?.uid,
+      onToggle: (type) => this.handleToggleReaction(type)
+    });
+    editorContainer.appendChild(this.reactionBar.element);
+    
     // Keep textarea reference for backward compatibility
     this.textarea = this.richEditor.editor;
     
@@ -343,13 +562,29 @@ export class StickyNote {
       onAddComment: this.onAddComment,
       onEditComment: this.onEditComment,
       onDeleteComment: this.onDeleteComment,
+      onToggleReaction: this.onToggleCommentReaction,
+      onResolveThread: this.onResolveThread,
+      onAcceptAnswer: this.onAcceptAnswer,
+      noteOwnerId: this.ownerId,
       onLoadComments: this.onLoadComments,
       onPanelOpened: this.onCommentsOpened,
-      onPanelClosed: this.onCommentsClosed
+      onPanelClosed: this.onCommentsClosed,
+      onTyping: this.onCommentTyping,
+      getMentionCandidates: () => this.getMentionCandidates(),
+      copyText: (text) => this.copyTextToClipboard(text)
+    });
+    
+    // Create version history (between comments and footer)
+    this.revisionHistory = new RevisionHistory({
+      noteId: this.id,
+      user: this.user,
+      onLoadRevisions: this.onLoadRevisions,
+      onRestore: (revisionId, original) => this.handleRestoreRevision(revisionId, original)
     });
     
     const footer = this.element.querySelector('.sn-note-footer');
     this.element.insertBefore(this.commentSection.element, footer);
+    this.element.insertBefore(this.revisionHistory.element, footer);
   }
   
   /**
@@ -427,6 +662,149 @@ export class StickyNote {
     `;
   }
   
+  /**
+   * Render the previous selectors of the note, newest first
+   * @returns {string} HTML string for anchor history section
+   */
+  renderAnchorHistory() {
+    if (this.anchorHistory.length === 0) {
+      return '';
+    }
+    
+    const historyItems = [...this.anchorHistory].reverse().map(entry => {
+      const details = [
+        formatRelativeTime(entry.replacedAt),
+        entry.replacedBy,
+        typeof entry.confidence === 'number' ? t('anchorHistoryConfidence', [String(entry.confidence)]) : null
+      ].filter(Boolean).join(' · ');
+      
+      return `
+        <div class="sn-anchor-history-item" role="listitem">
+          <span class="sn-anchor-history-selector" title="${escapeHtml(entry.selector || '')}">${escapeHtml(entry.selector || '')}</span>
+          <span class="sn-anchor-history-details">${escapeHtml(details)}</span>
+        </div>
+      `;
+    }).join('');
+    
+    return `
+      <div class="sn-anchor-history-section">
+        <button class="sn-anchor-history-toggle" aria-expanded="false" aria-controls="sn-anchor-history-${this.id}">
+          <span class="sn-anchor-history-label">${t('metadataAnchorHistory')}</span>
+          <span class="sn-anchor-history-count" aria-hidden="true">${this.anchorHistory.length}</span>
+          <svg class="sn-anchor-history-chevron" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" aria-hidden="true">
+            <polyline points="6 9 12 15 18 9"/>
+          </svg>
+        </button>
+        <div class="sn-anchor-history-list sn-hidden" id="sn-anchor-history-${this.id}" role="list" aria-label="${t('metadataAnchorHistory')}">
+          ${historyItems}
+        </div>
+      </div>
+    `;
+  }
+  
+  /**
+   * Fill the test locator rows (XPath, Playwright, Cypress) for the current anchor
+   * Called whenever the metadata panel opens, so the rows follow re-anchoring
+   */
+  renderLocators() {
+    const container = this.element?.querySelector('.sn-metadata-locators');
+    if (!container) return;
+    
+    const locators = this.anchor ? this.getLocators(this.anchor) : null;
+    
+    container.innerHTML = Object.entries(LOCATOR_LABELS)
+      .filter(([key]) => locators?.[key])
+      .map(([key, label]) => `
+        <div class="sn-metadata-row">
+          <span class="sn-metadata-label">${label}</span>
+          <span class="sn-metadata-value sn-metadata-locator" title="${escapeHtml(locators[key])}">${escapeHtml(this.truncateSelector(locators[key]))}</span>
+          <button class="sn-metadata-copy-btn" data-copy-value="${escapeHtml(locators[key])}" title="${t('copyMetadata')}">
+            <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+              <rect x="9" y="9" width="13" height="13" rx="2" ry="2"/>
+              <path d="M5 15H4a2 2 0 01-2-2V4a2 2 0 012-2h9a2 2 0 012 2v1"/>
+            </svg>
+          </button>
+        </div>
+      `).join('');
+    
+    container.querySelectorAll('.sn-metadata-copy-btn').forEach(btn => {
+      btn.addEventListener('click', this.handleMetadataCopy.bind(this));
+    });
+  }
+  
+  /**
+   * Fill the breakpoint indicator: which breakpoints the note was verified at,
+   * which have their own anchor, and actions for the current breakpoint
+   * Called whenever the metadata panel opens, so it follows the viewport width
+   */
+  renderBreakpoints() {
+    const container = this.element?.querySelector('.sn-metadata-breakpoints');
+    if (!container) return;
+    
+    const current = getBreakpointForWidth(getViewportInfo().width);
+    const currentLabel = this.getBreakpointLabel(current.id);
+    
+    const chips = BREAKPOINTS.map(bp => {
+      const verification = this.verifiedBreakpoints[bp.id];
+      const responsive = this.responsiveAnchors.find(entry => entry.breakpoint === bp.id);
+      const classes = [
+        'sn-breakpoint-chip',
+        verification ? 'sn-breakpoint-verified' : '',
+        responsive ? 'sn-breakpoint-has-anchor' : '',
+        bp.id === current.id ? 'sn-breakpoint-current' : ''
+      ].filter(Boolean).join(' ');
+      const title = [
+        verification
+          ? t('breakpointVerifiedAt', [formatRelativeTime(verification.verifiedAt), String(verification.width)])
+          : t('breakpointNotVerified'),
+        responsive ? t('breakpointAnchor', [responsive.selector]) : null
+      ].filter(Boolean).join(' · ');
+      
+      return `
+        <span class="${classes}" data-breakpoint="${bp.id}" role="listitem" title="${escapeHtml(title)}">
+          ${verification ? '<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="3" aria-hidden="true"><polyline points="20 6 9 17 4 12"/></svg>' : ''}
+          ${this.getBreakpointLabel(bp.id)}
+        </span>
+      `;
+    }).join('');
+    
+    container.innerHTML = `
+      <div class="sn-metadata-row">
+        <span class="sn-metadata-label">${t('metadataBreakpoints')}</span>
+        <div class="sn-breakpoint-chips" role="list" aria-label="${t('metadataBreakpoints')}">
+          ${chips}
+        </div>
+      </div>
+      <div class="sn-breakpoint-actions">
+        <button class="sn-breakpoint-btn sn-breakpoint-anchor-btn">${t('anchorForBreakpoint', [currentLabel])}</button>
+        <button class="sn-breakpoint-btn sn-breakpoint-verify-btn">${t('verifyAtBreakpoint', [currentLabel])}</button>
+      </div>
+    `;
+    
+    container.querySelector('.sn-breakpoint-anchor-btn').addEventListener('click', (event) => {
+      event.stopPropagation();
+      this.onRecordResponsiveAnchor();
+    });
+    container.querySelector('.sn-breakpoint-verify-btn').addEventListener('click', (event) => {
+      event.stopPropagation();
+      this.onVerifyBreakpoint();
+    });
+  }
+  
+  /**
+   * Get translated label for a breakpoint
+   * @param {string} breakpointId - Breakpoint ID
+   * @returns {string} Translated label
+   */
+  getBreakpointLabel(breakpointId) {
+    switch (breakpointId) {
+      case 'mobile': return t('breakpointMobile');
+      case 'tablet': return t('breakpointTablet');
+      case 'desktop': return t('breakpointDesktop');
+      default: return breakpointId;
+    }
+  }
+  
   /**
    * Get translated label for error type
    * @param {string} type - Error type
@@ -471,6 +849,28 @@ export class StickyNote {
     return labels[env] || t('envProduction');
   }
   
+  /**
+   * Get translated label for a note status
+   * @param {string} status - Note status
+   * @returns {string} Translated label
+   */
+  getStatusLabel(status) {
+    return t(NOTE_STATUS_LABEL_KEYS[getNoteStatus({ status })]);
+  }
+  
+  /**
+   * Render the status dropdown options: the current status and the ones it can move to
+   * @returns {string} HTML string
+   */
+  renderStatusOptions() {
+    const statuses = [this.status, ...NOTE_STATUS_TRANSITIONS[this.status]];
+    return statuses.map(status => `
+      <button class="sn-status-option sn-status-${status}" data-status="${status}" role="option" aria-selected="${status === this.status}">
+        ${this.getStatusLabel(status)}
+      </button>
+    `).join('');
+  }
+  
   /**
    * Setup event listeners
    */
@@ -507,6 +907,16 @@ export class StickyNote {
     const screenshotBtn = this.element.querySelector('.sn-screenshot-btn');
     screenshotBtn.addEventListener('click', this.handleScreenshot.bind(this));
     
+    // Draw button
+    const drawBtn = this.element.querySelector('.sn-draw-btn');
+    drawBtn.addEventListener('click', this.handleDrawClick.bind(this));
+    
+    // Creation screenshot thumbnail (if present)
+    const screenshotThumb = this.element.querySelector('.sn-note-screenshot');
+    if (screenshotThumb) {
+      screenshotThumb.addEventListener('click', this.toggleScreenshotSize.bind(this));
+    }
+    
     // Metadata toggle
     const metadataToggle = this.element.querySelector('.sn-metadata-toggle');
     metadataToggle.addEventListener('click', this.toggleMetadata.bind(this));
@@ -523,6 +933,12 @@ export class StickyNote {
       consoleErrorsToggle.addEventListener('click', this.toggleConsoleErrors.bind(this));
     }
     
+    // Anchor history toggle (if present)
+    const anchorHistoryToggle = this.element.querySelector('.sn-anchor-history-toggle');
+    if (anchorHistoryToggle) {
+      anchorHistoryToggle.addEventListener('click', this.toggleAnchorHistory.bind(this));
+    }
+    
     // Environment badge and dropdown
     const envBadge = this.element.querySelector('.sn-environment-badge');
     if (envBadge) {
@@ -536,7 +952,25 @@ export class StickyNote {
       option.addEventListener('keydown', this.handleEnvironmentOptionKeydown.bind(this));
     });
     
-    // Close environment dropdown when clicking outside
+    // Status badge and dropdown (options are re-rendered on change, so delegate)
+    const statusBadge = this.element.querySelector('.sn-status-badge');
+    statusBadge.addEventListener('click', this.handleStatusClick.bind(this));
+    statusBadge.addEventListener('keydown', this.handleStatusBadgeKeydown.bind(this));
+    const statusDropdown = this.element.querySelector('.sn-status-dropdown');
+    statusDropdown.addEventListener('click', this.handleStatusSelect.bind(this));
+    statusDropdown.addEventListener('keydown', this.handleStatusOptionKeydown.bind(this));
+    
+    // Tags (chips are re-rendered on change, so delegate removal)
+    const tagInput = this.element.querySelector('.sn-tag-input');
+    tagInput.addEventListener('keydown', this.handleTagInputKeydown.bind(this));
+    tagInput.addEventListener('blur', this.handleTagInputBlur.bind(this));
+    this.element.querySelector('.sn-tag-list').addEventListener('click', this.handleTagRemoveClick.bind(this));
+    
+    // Assignee and due date
+    this.element.querySelector('.sn-assignee-select').addEventListener('change', this.handleAssigneeChange.bind(this));
+    this.element.querySelector('.sn-due-date-input').addEventListener('change', this.handleDueDateChange.bind(this));
+    
+    // Close environment and status dropdowns when clicking outside
     document.addEventListener('click', this.handleDocumentClick.bind(this));
     
     // Minimize button
@@ -564,6 +998,12 @@ export class StickyNote {
       editorArea.addEventListener('focusin', () => this.bringToFront());
     }
     
+    // Let collaborators see which note is being edited
+    if (this.richEditor) {
+      this.richEditor.editor.addEventListener('focus', () => this.setEditing(true));
+      this.richEditor.editor.addEventListener('blur', () => this.setEditing(false));
+    }
+    
     // Bring to front when clicking anywhere on the note
     this.element.addEventListener('click', (event) => {
       // Don't bring to front if clicking inside a confirm dialog
@@ -585,10 +1025,175 @@ export class StickyNote {
     }
     
     this.saveTimeout = setTimeout(() => {
-      this.onSave(this.content);
+      // Hold saves while a conflict is unresolved; the choice decides what to save
+      if (this.conflictContent === null) {
+        this.saveContent();
+      }
     }, TIMEOUTS.DEBOUNCE_SAVE);
   }
   
+  /**
+   * Save the current content as the new base
+   * The previous base goes along so the save is rejected if it is stale.
+   * Saves run one at a time, so each one is based on the version the previous one stored.
+   * @returns {Promise<void>} Resolves when the save finished
+   */
+  saveContent() {
+    if (this.pendingSave) {
+      this.saveQueued = true;
+      return this.pendingSave;
+    }
+    
+    const content = this.content;
+    const baseContent = this.baseContent;
+    this.baseContent = content;
+    this.pendingSave = Promise.resolve(this.onSave(content, baseContent, this.baseUpdatedAt))
+      .then(savedUpdatedAt => {
+        if (savedUpdatedAt && this.conflictContent === null) {
+          this.setBaseVersion(content, savedUpdatedAt);
+        }
+      })
+      .finally(() => {
+        this.pendingSave = null;
+        if (this.saveQueued) {
+          this.saveQueued = false;
+          if (this.conflictContent === null) {
+            this.saveContent();
+          }
+        }
+      });
+    return this.pendingSave;
+  }
+  
+  /**
+   * Record the server version the local edits are based on
+   * @param {string} content - Server content
+   * @param {string|Object} updatedAt - Its updatedAt; kept as is when unknown (a pending write)
+   */
+  setBaseVersion(content, updatedAt) {
+    this.baseContent = content;
+    if (getTimestampMillis(updatedAt) !== null) {
+      this.baseUpdatedAt = updatedAt;
+    }
+  }
+  
+  /**
+   * Replace the content with a newer server version (no local edits pending)
+   * @param {string} content - Server content
+   * @param {string|Object} updatedAt - updatedAt of the server version
+   */
+  applyServerContent(content, updatedAt) {
+    this.richEditor.setContent(content);
+    this.content = content;
+    this.setBaseVersion(content, updatedAt);
+  }
+  
+  /**
+   * Show the conflict prompt when the server content changed under local edits
+   * @param {string} theirs - Current server content
+   * @param {string} baseContent - Content the local edits started from, if the
+   *   rejected save already advanced the base past it
+   * @param {string|Object} theirsUpdatedAt - updatedAt of the server version
+   */
+  showConflict(theirs, baseContent, theirsUpdatedAt) {
+    if (baseContent !== undefined) {
+      this.baseContent = baseContent;
+    }
+    this.conflictContent = theirs || '';
+    this.conflictUpdatedAt = theirsUpdatedAt || null;
+    
+    if (!this.element.querySelector('.sn-conflict-banner')) {
+      const banner = document.createElement('div');
+      banner.className = 'sn-conflict-banner';
+      banner.setAttribute('role', 'alert');
+      banner.innerHTML = `
+        <span class="sn-conflict-message">${t('editConflict')}</span>
+        <div class="sn-conflict-actions">
+          <button class="sn-conflict-btn" data-choice="merge">${t('mergeChanges')}</button>
+          <button class="sn-conflict-btn" data-choice="mine">${t('keepMine')}</button>
+          <button class="sn-conflict-btn" data-choice="theirs">${t('takeTheirs')}</button>
+        </div>
+      `;
+      banner.addEventListener('click', (event) => {
+        const button = event.target.closest('.sn-conflict-btn');
+        if (button) {
+          event.stopPropagation();
+          this.resolveConflict(button.dataset.choice);
+        }
+      });
+      const content = this.element.querySelector('.sn-note-content');
+      content.insertBefore(banner, content.firstChild);
+    }
+  }
+  
+  /**
+   * Resolve an edit conflict
+   * @param {string} choice - 'merge', 'mine' or 'theirs'
+   */
+  resolveConflict(choice) {
+    if (this.conflictContent === null) return;
+    
+    const theirs = this.conflictContent;
+    const theirsUpdatedAt = this.conflictUpdatedAt;
+    this.clearConflict();
+    if (this.saveTimeout) {
+      clearTimeout(this.saveTimeout);
+      this.saveTimeout = null;
+    }
+    
+    if (choice === 'theirs') {
+      this.applyServerContent(theirs, theirsUpdatedAt);
+      return;
+    }
+    
+    if (choice === 'merge') {
+      this.content = mergeHtml(this.baseContent, this.content, theirs);
+      this.richEditor.setContent(this.content);
+    }
+    
+    // The save now builds on the server version
+    this.setBaseVersion(theirs, theirsUpdatedAt);
+    this.saveContent();
+  }
+  
+  /**
+   * Dismiss the conflict prompt
+   */
+  clearConflict() {
+    this.conflictContent = null;
+    this.conflictUpdatedAt = null;
+    const banner = this.element?.querySelector('.sn-conflict-banner');
+    if (banner) {
+      banner.remove();
+    }
+  }
+  
+  /**
+   * Restore the note content from a revision
+   * A pending debounced save is dropped so it cannot overwrite the restore.
+   * @param {string} revisionId - Revision ID
+   * @param {boolean} original - Restore the content from before the revision
+   * @returns {Promise<boolean>} True if restored
+   */
+  async handleRestoreRevision(revisionId, original = false) {
+    if (this.saveTimeout) {
+      clearTimeout(this.saveTimeout);
+      this.saveTimeout = null;
+    }
+    
+    try {
+      const content = await this.onRestoreRevision(this.id, revisionId, original);
+      this.clearConflict();
+      this.applyServerContent(content || '');
+      this.showToast(t('versionRestored'));
+      return true;
+    } catch (error) {
+      log.error('Failed to restore version:', error);
+      this.showToast(t('failedToRestoreVersion'), 'error');
+      return false;
+    }
+  }
+  
   /**
    * Handle theme button click
    */
@@ -664,7 +1269,10 @@ export class StickyNote {
     const markdown = generateBugReportMarkdown({
       content: this.content,
       selector: this.selector,
-      metadata: this.metadata
+      metadata: this.metadata,
+      textAnchor: this.textAnchor,
+      anchorRegion: this.anchorRegion,
+      locators: this.anchor ? this.getLocators(this.anchor) : null
     });
     
     try {
@@ -689,9 +1297,10 @@ export class StickyNote {
         this.anchor.style.outlineOffset = '2px';
       }
       
-      // Hide the note temporarily to get a cleaner screenshot
+      // Hide the note temporarily to get a cleaner screenshot, but keep its drawings in it
       const wasVisible = this.isVisible;
       this.hide();
+      this.drawingLayer?.setVisible(true);
       
       // Small delay to ensure the UI updates
       await new Promise(resolve => setTimeout(resolve, 100));
@@ -709,6 +1318,8 @@ export class StickyNote {
       // Restore note visibility
       if (wasVisible) {
         this.show();
+      } else {
+        this.updateDrawings();
       }
       
       // Remove highlight
@@ -735,11 +1346,58 @@ export class StickyNote {
         this.anchor.style.outline = '';
         this.anchor.style.outlineOffset = '';
       }
+      this.updateDrawings();
       
       this.showToast(t('failedToScreenshot'), 'error');
     }
   }
   
+  /**
+   * Show the screenshot taken when the note was created
+   * Local screenshots live in the extension's IndexedDB, so the background hands them over.
+   * The thumbnail stays hidden if the image can't be loaded (e.g. blocked by the page's CSP).
+   */
+  async loadScreenshot() {
+    const thumb = this.element.querySelector('.sn-note-screenshot');
+    if (!thumb || !chrome?.runtime?.sendMessage) return;
+    
+    try {
+      const response = await chrome.runtime.sendMessage({
+        action: 'getNoteScreenshot',
+        screenshot: this.screenshot
+      });
+      
+      if (!response?.success) {
+        log.warn('Failed to load note screenshot:', response?.error);
+        return;
+      }
+      
+      const img = thumb.querySelector('.sn-note-screenshot-img');
+      img.addEventListener('load', () => thumb.classList.remove('sn-hidden'), { once: true });
+      img.addEventListener('error', () => thumb.classList.add('sn-hidden'), { once: true });
+      img.src = response.src;
+    } catch (error) {
+      log.warn('Failed to load note screenshot:', error);
+    }
+  }
+  
+  /**
+   * Switch the screenshot between thumbnail and full size
+   * @param {Event} event - Click event
+   */
+  toggleScreenshotSize(event) {
+    event.stopPropagation();
+    
+    const thumb = event.currentTarget;
+    const expanded = thumb.getAttribute('aria-expanded') !== 'true';
+    thumb.setAttribute('aria-expanded', String(expanded));
+    
+    // The note grows or shrinks with the image
+    if (this.isVisible) {
+      this.updatePosition();
+    }
+  }
+  
   /**
    * Convert data URL to Blob
    * @param {string} dataUrl - Data URL string
@@ -763,6 +1421,8 @@ export class StickyNote {
     this.isMetadataExpanded = !this.isMetadataExpanded;
     
     if (this.isMetadataExpanded) {
+      this.renderLocators();
+      this.renderBreakpoints();
       panel.classList.remove('sn-hidden');
       chevron.style.transform = 'rotate(180deg)';
       toggle.setAttribute('aria-expanded', 'true');
@@ -796,6 +1456,29 @@ export class StickyNote {
     }
   }
   
+  /**
+   * Toggle anchor history list visibility
+   * @param {MouseEvent} event - Click event
+   */
+  toggleAnchorHistory(event) {
+    event.stopPropagation();
+    
+    const list = this.element.querySelector('.sn-anchor-history-list');
+    const chevron = this.element.querySelector('.sn-anchor-history-chevron');
+    const toggle = this.element.querySelector('.sn-anchor-history-toggle');
+    
+    if (list) {
+      const isHidden = list.classList.contains('sn-hidden');
+      list.classList.toggle('sn-hidden');
+      if (chevron) {
+        chevron.style.transform = isHidden ? 'rotate(180deg)' : '';
+      }
+      if (toggle) {
+        toggle.setAttribute('aria-expanded', isHidden ? 'true' : 'false');
+      }
+    }
+  }
+  
   /**
    * Handle metadata copy button click
    * @param {MouseEvent} event - Click event
@@ -819,202 +1502,718 @@ export class StickyNote {
       this.showToast(t('failedToCopy'), 'error');
     }
   }
-  
+  
+  /**
+   * Handle environment badge click - toggle dropdown
+   * @param {MouseEvent} event - Click event
+   */
+  handleEnvironmentClick(event) {
+    event.stopPropagation();
+    this.toggleEnvironmentDropdown();
+  }
+  
+  /**
+   * Handle keyboard events on environment badge
+   * @param {KeyboardEvent} event - Keyboard event
+   */
+  handleEnvironmentBadgeKeydown(event) {
+    switch (event.key) {
+      case 'Enter':
+      case ' ':
+      case 'ArrowDown':
+        event.preventDefault();
+        event.stopPropagation();
+        this.openEnvironmentDropdown();
+        break;
+      case 'Escape':
+        event.preventDefault();
+        event.stopPropagation();
+        this.closeEnvironmentDropdown();
+        break;
+    }
+  }
+  
+  /**
+   * Handle keyboard events on environment dropdown options
+   * @param {KeyboardEvent} event - Keyboard event
+   */
+  handleEnvironmentOptionKeydown(event) {
+    const options = Array.from(this.element.querySelectorAll('.sn-env-option'));
+    const currentIndex = options.indexOf(event.currentTarget);
+    
+    switch (event.key) {
+      case 'ArrowDown':
+        event.preventDefault();
+        event.stopPropagation();
+        if (currentIndex < options.length - 1) {
+          options[currentIndex + 1].focus();
+        }
+        break;
+      case 'ArrowUp':
+        event.preventDefault();
+        event.stopPropagation();
+        if (currentIndex > 0) {
+          options[currentIndex - 1].focus();
+        } else {
+          // Go back to badge
+          this.element.querySelector('.sn-environment-badge')?.focus();
+        }
+        break;
+      case 'Enter':
+      case ' ':
+        event.preventDefault();
+        event.stopPropagation();
+        this.handleEnvironmentSelect(event);
+        break;
+      case 'Escape':
+        event.preventDefault();
+        event.stopPropagation();
+        this.closeEnvironmentDropdown();
+        this.element.querySelector('.sn-environment-badge')?.focus();
+        break;
+      case 'Tab':
+        // Close dropdown when tabbing out
+        this.closeEnvironmentDropdown();
+        break;
+    }
+  }
+  
+  /**
+   * Toggle environment dropdown open/closed
+   */
+  toggleEnvironmentDropdown() {
+    const dropdown = this.element.querySelector('.sn-environment-dropdown');
+    const isHidden = dropdown?.classList.contains('sn-hidden');
+    
+    if (isHidden) {
+      this.openEnvironmentDropdown();
+    } else {
+      this.closeEnvironmentDropdown();
+    }
+  }
+  
+  /**
+   * Open environment dropdown and focus first option
+   */
+  openEnvironmentDropdown() {
+    const dropdown = this.element.querySelector('.sn-environment-dropdown');
+    const badge = this.element.querySelector('.sn-environment-badge');
+    
+    if (dropdown && badge) {
+      dropdown.classList.remove('sn-hidden');
+      badge.setAttribute('aria-expanded', 'true');
+      
+      // Focus the currently selected option, or first option
+      const currentEnv = this.getEnvironment();
+      const selectedOption = dropdown.querySelector(`[data-env="${currentEnv}"]`);
+      const firstOption = dropdown.querySelector('.sn-env-option');
+      (selectedOption || firstOption)?.focus();
+    }
+  }
+  
+  /**
+   * Handle environment option selection
+   * @param {MouseEvent|KeyboardEvent} event - Click or keyboard event
+   */
+  handleEnvironmentSelect(event) {
+    event.stopPropagation();
+    
+    const option = event.currentTarget;
+    const newEnv = option.dataset.env;
+    const badge = this.element.querySelector('.sn-environment-badge');
+    
+    if (!newEnv || newEnv === this.metadata.environment) {
+      // Close dropdown if same selection
+      this.closeEnvironmentDropdown();
+      badge?.focus();
+      return;
+    }
+    
+    // Update metadata
+    this.metadata.environment = newEnv;
+    
+    // Update badge display
+    if (badge) {
+      // Remove all env classes and add the new one
+      badge.className = `sn-environment-badge sn-env-${newEnv}`;
+      // Recreate content with chevron
+      badge.innerHTML = `${this.getEnvironmentLabel(newEnv)}
+        <svg class="sn-env-chevron" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" aria-hidden="true">
+          <polyline points="6 9 12 15 18 9"/>
+        </svg>`;
+      // Restore ARIA attributes
+      badge.setAttribute('aria-haspopup', 'listbox');
+      badge.setAttribute('aria-expanded', 'false');
+    }
+    
+    // Update aria-selected on all options
+    const options = this.element.querySelectorAll('.sn-env-option');
+    options.forEach(opt => {
+      opt.setAttribute('aria-selected', opt.dataset.env === newEnv);
+    });
+    
+    // Close dropdown and return focus to badge
+    this.closeEnvironmentDropdown();
+    badge?.focus();
+    
+    // Trigger save
+    this.triggerSave();
+    
+    log.debug('Environment changed to:', newEnv);
+  }
+  
+  /**
+   * Trigger a save of the note content
+   * Used when metadata changes that should be persisted
+   */
+  triggerSave() {
+    this.onSave(this.content);
+  }
+  
+  /**
+   * Handle document click to close environment dropdown
+   * @param {MouseEvent} event - Click event
+   */
+  handleDocumentClick(event) {
+    // Guard against element being destroyed
+    if (!this.element) return;
+    
+    // Check if click is outside the environment selector
+    const envSelector = this.element.querySelector('.sn-environment-selector');
+    if (envSelector && !envSelector.contains(event.target)) {
+      this.closeEnvironmentDropdown();
+    }
+    
+    const statusSelector = this.element.querySelector('.sn-status-selector');
+    if (statusSelector && !statusSelector.contains(event.target)) {
+      this.closeStatusDropdown();
+    }
+  }
+  
+  /**
+   * Close environment dropdown and update ARIA
+   */
+  closeEnvironmentDropdown() {
+    const dropdown = this.element.querySelector('.sn-environment-dropdown');
+    const badge = this.element.querySelector('.sn-environment-badge');
+    
+    if (dropdown) {
+      dropdown.classList.add('sn-hidden');
+    }
+    if (badge) {
+      badge.setAttribute('aria-expanded', 'false');
+    }
+  }
+
+  /**
+   * Handle status badge click - toggle dropdown
+   * @param {MouseEvent} event - Click event
+   */
+  handleStatusClick(event) {
+    event.stopPropagation();
+    const dropdown = this.element.querySelector('.sn-status-dropdown');
+    if (dropdown.classList.contains('sn-hidden')) {
+      this.openStatusDropdown();
+    } else {
+      this.closeStatusDropdown();
+    }
+  }
+  
+  /**
+   * Handle keyboard events on status badge
+   * @param {KeyboardEvent} event - Keyboard event
+   */
+  handleStatusBadgeKeydown(event) {
+    switch (event.key) {
+      case 'Enter':
+      case ' ':
+      case 'ArrowDown':
+        event.preventDefault();
+        event.stopPropagation();
+        this.openStatusDropdown();
+        break;
+      case 'Escape':
+        event.preventDefault();
+        event.stopPropagation();
+        this.closeStatusDropdown();
+        break;
+    }
+  }
+  
+  /**
+   * Handle keyboard events on status dropdown options
+   * @param {KeyboardEvent} event - Keyboard event
+   */
+  handleStatusOptionKeydown(event) {
+    const option = event.target.closest('.sn-status-option');
+    if (!option) return;
+    
+    const options = Array.from(this.element.querySelectorAll('.sn-status-option'));
+    const currentIndex = options.indexOf(option);
+    const badge = this.element.querySelector('.sn-status-badge');
+    
+    switch (event.key) {
+      case 'ArrowDown':
+        event.preventDefault();
+        event.stopPropagation();
+        options[currentIndex + 1]?.focus();
+        break;
+      case 'ArrowUp':
+        event.preventDefault();
+        event.stopPropagation();
+        (options[currentIndex - 1] || badge).focus();
+        break;
+      case 'Enter':
+      case ' ':
+        event.preventDefault();
+        this.handleStatusSelect(event);
+        break;
+      case 'Escape':
+        event.preventDefault();
+        event.stopPropagation();
+        this.closeStatusDropdown();
+        badge.focus();
+        break;
+      case 'Tab':
+        this.closeStatusDropdown();
+        break;
+    }
+  }
+  
+  /**
+   * Open status dropdown and focus the current status
+   */
+  openStatusDropdown() {
+    const dropdown = this.element.querySelector('.sn-status-dropdown');
+    dropdown.classList.remove('sn-hidden');
+    this.element.querySelector('.sn-status-badge').setAttribute('aria-expanded', 'true');
+    dropdown.querySelector('.sn-status-option')?.focus();
+  }
+  
+  /**
+   * Close status dropdown and update ARIA
+   */
+  closeStatusDropdown() {
+    this.element.querySelector('.sn-status-dropdown')?.classList.add('sn-hidden');
+    this.element.querySelector('.sn-status-badge')?.setAttribute('aria-expanded', 'false');
+  }
+  
+  /**
+   * Handle status option selection
+   * @param {MouseEvent|KeyboardEvent} event - Click or keyboard event
+   */
+  handleStatusSelect(event) {
+    event.stopPropagation();
+    
+    const option = event.target.closest('.sn-status-option');
+    if (!option) return;
+    
+    const newStatus = option.dataset.status;
+    this.closeStatusDropdown();
+    this.element.querySelector('.sn-status-badge').focus();
+    
+    if (newStatus === this.status) return;
+    
+    this.setStatus(newStatus);
+    this.onStatusChange(newStatus);
+    log.debug('Status changed to:', newStatus);
+  }
+  
+  /**
+   * Set note status and update the badge, indicator and dropdown
+   * @param {string} status - Note status
+   */
+  setStatus(status) {
+    const newStatus = getNoteStatus({ status });
+    this.element.classList.remove(`sn-status-${this.status}`);
+    this.status = newStatus;
+    this.element.classList.add(`sn-status-${newStatus}`);
+    
+    const label = this.getStatusLabel(newStatus);
+    const badge = this.element.querySelector('.sn-status-badge');
+    badge.className = `sn-status-badge sn-status-${newStatus}`;
+    badge.querySelector('.sn-status-badge-label').textContent = label;
+    const indicator = this.element.querySelector('.sn-status-indicator');
+    indicator.className = `sn-status-indicator sn-status-${newStatus}`;
+    indicator.textContent = label;
+    this.element.querySelector('.sn-status-dropdown').innerHTML = this.renderStatusOptions();
+    // Resolving a note clears its overdue flag
+    this.renderAssignment();
+  }
+
+  /**
+   * Render the assignee and due date chips shown in the header
+   * @returns {string} HTML string
+   */
+  renderAssignmentChips() {
+    let html = '';
+    if (this.assignee) {
+      const name = this.assignee.split('@')[0];
+      html += `<span class="sn-assignee-chip" title="${escapeHtml(t('assignedTo', [this.assignee]))}">${escapeHtml(name)}</span>`;
+    }
+    if (this.dueDate) {
+      const overdue = isNoteOverdue({ dueDate: this.dueDate, status: this.status });
+      const label = formatDueDate(this.dueDate);
+      const title = overdue ? t('overdueSince', [label]) : t('dueOn', [label]);
+      html += `<span class="sn-due-chip${overdue ? ' sn-overdue' : ''}" title="${escapeHtml(title)}">${escapeHtml(label)}</span>`;
+    }
+    return html;
+  }
+
+  /**
+   * Render the assignee select options: unassigned, the owner and collaborators
+   * @returns {string} HTML string
+   */
+  renderAssigneeOptions() {
+    const collaborators = getNoteCollaborators({ ownerEmail: this.ownerEmail, sharedWith: this.sharedWith });
+    // Keep a stale assignee selectable until the server clears it
+    if (this.assignee && !collaborators.includes(this.assignee)) {
+      collaborators.push(this.assignee);
+    }
+    const options = [`<option value="">${t('unassigned')}</option>`];
+    collaborators.forEach(email => {
+      options.push(`<option value="${escapeHtml(email)}"${email === this.assignee ? ' selected' : ''}>${escapeHtml(email)}</option>`);
+    });
+    return options.join('');
+  }
+
+  /**
+   * Get the collaborators that can be @mentioned in comments
+   * Names come from presence when the collaborator is on the page.
+   * @returns {Object[]} Candidates { email, name }
+   */
+  getMentionCandidates() {
+    const names = new Map(this.presenceViewers
+      .filter(viewer => viewer.email && viewer.displayName)
+      .map(viewer => [viewer.email.toLowerCase(), viewer.displayName]));
+    return getNoteCollaborators({ ownerEmail: this.ownerEmail, sharedWith: this.sharedWith })
+      .map(email => ({ email, name: names.get(email) || email.split('@')[0] }));
+  }
+
+  /**
+   * Refresh the header chips and metadata editors from the current assignment
+   */
+  renderAssignment() {
+    if (!this.element) return;
+    this.element.querySelector('.sn-note-header-assignment').innerHTML = this.renderAssignmentChips();
+    this.element.querySelector('.sn-assignee-select').innerHTML = this.renderAssigneeOptions();
+    this.element.querySelector('.sn-due-date-input').value = this.dueDate || '';
+  }
+
+  /**
+   * Handle assignee select change
+   * @param {Event} event - Change event
+   */
+  handleAssigneeChange(event) {
+    const assignee = event.target.value || null;
+    if (assignee === this.assignee) return;
+    this.setAssignment({ assignee });
+    this.onAssignmentChange({ assignee });
+  }
+
+  /**
+   * Handle due date input change
+   * @param {Event} event - Change event
+   */
+  handleDueDateChange(event) {
+    const dueDate = event.target.value || null;
+    if (dueDate === this.dueDate) return;
+    this.setAssignment({ dueDate });
+    this.onAssignmentChange({ dueDate });
+  }
+
+  /**
+   * Set the assignee and/or due date (fields left undefined are kept)
+   * @param {Object} assignment - { assignee, dueDate }
+   */
+  setAssignment({ assignee, dueDate }) {
+    if (assignee !== undefined) {
+      this.assignee = assignee || null;
+    }
+    if (dueDate !== undefined) {
+      this.dueDate = dueDate || null;
+    }
+    this.renderAssignment();
+  }
+
+  /**
+   * Render the tag chips with their remove buttons
+   * @returns {string} HTML string
+   */
+  renderTagChips() {
+    return this.tags.map(tag => `
+      <span class="sn-tag">
+        <span class="sn-tag-label">#${escapeHtml(tag)}</span>
+        <button class="sn-tag-remove" data-tag="${escapeHtml(tag)}" aria-label="${escapeHtml(t('removeTag', [tag]))}" title="${escapeHtml(t('removeTag', [tag]))}">&times;</button>
+      </span>
+    `).join('');
+  }
+
+  /**
+   * Handle keys in the tag input: Enter or comma adds, Backspace on empty removes the last tag
+   * @param {KeyboardEvent} event - Keyboard event
+   */
+  handleTagInputKeydown(event) {
+    const input = event.target;
+    if (event.key === 'Enter' || event.key === ',') {
+      event.preventDefault();
+      this.addTag(input.value);
+      input.value = '';
+    } else if (event.key === 'Backspace' && input.value === '' && this.tags.length > 0) {
+      event.preventDefault();
+      this.removeTag(this.tags[this.tags.length - 1]);
+    }
+  }
+
+  /**
+   * Add any pending tag when the input loses focus
+   * @param {FocusEvent} event - Blur event
+   */
+  handleTagInputBlur(event) {
+    if (event.target.value.trim()) {
+      this.addTag(event.target.value);
+      event.target.value = '';
+    }
+  }
+
+  /**
+   * Handle click on a tag's remove button
+   * @param {MouseEvent} event - Click event
+   */
+  handleTagRemoveClick(event) {
+    const button = event.target.closest('.sn-tag-remove');
+    if (!button) return;
+    event.stopPropagation();
+    this.removeTag(button.dataset.tag);
+    this.element.querySelector('.sn-tag-input').focus();
+  }
+
+  /**
+   * Add a tag to the note
+   * @param {string} rawTag - Tag as typed by the user
+   * @returns {boolean} True if the tag was added
+   */
+  addTag(rawTag) {
+    const tag = normalizeTag(rawTag);
+    if (!tag) {
+      if (rawTag.trim()) {
+        this.showToast(t('invalidTag'), 'error');
+      }
+      return false;
+    }
+    if (this.tags.includes(tag)) {
+      return false;
+    }
+    if (this.tags.length >= MAX_TAGS_PER_NOTE) {
+      this.showToast(t('tooManyTags', [String(MAX_TAGS_PER_NOTE)]), 'error');
+      return false;
+    }
+    this.setTags([...this.tags, tag]);
+    this.onTagsChange(this.tags);
+    return true;
+  }
+
+  /**
+   * Remove a tag from the note
+   * @param {string} tag - Tag to remove
+   */
+  removeTag(tag) {
+    if (!this.tags.includes(tag)) return;
+    this.setTags(this.tags.filter(existing => existing !== tag));
+    this.onTagsChange(this.tags);
+  }
+
+  /**
+   * Set the note's tags and re-render the chips
+   * @param {string[]} tags - Tags
+   */
+  setTags(tags) {
+    this.tags = normalizeTags(tags);
+    if (!this.element) return;
+    this.element.querySelector('.sn-tag-list').innerHTML = this.renderTagChips();
+  }
+
+  /**
+   * Attach pasted, dropped or picked files to the note
+   * @param {File[]} files - Files
+   * @returns {Promise<void>}
+   */
+  async handleAttachFiles(files) {
+    const uploads = [];
+    for (const file of files) {
+      const error = validateAttachmentFile(file, this.attachmentList.getCount());
+      if (error) {
+        this.showToast(error, 'error');
+        continue;
+      }
+      uploads.push(this.uploadAttachment(file));
+    }
+    await Promise.all(uploads);
+  }
+
+  /**
+   * Upload one file and add it to the note
+   * @param {File} file - Validated file
+   * @returns {Promise<void>}
+   */
+  async uploadAttachment(file) {
+    const pendingKey = this.attachmentList.addPending(file.name);
+    try {
+      const attachment = await uploadAttachmentFile(file);
+      this.attachmentList.removePending(pendingKey);
+      this.setAttachments([...this.attachments, attachment]);
+      this.onAttachmentsChange(this.attachments, []);
+    } catch (error) {
+      log.error('Failed to upload attachment:', error);
+      this.attachmentList.removePending(pendingKey);
+      this.showToast(t('failedToUploadAttachment'), 'error');
+    }
+  }
+
+  /**
+   * Remove an attachment from the note
+   * @param {Object} attachment - Attachment reference
+   */
+  removeAttachment(attachment) {
+    this.setAttachments(this.attachments.filter(existing => existing.id !== attachment.id));
+    this.onAttachmentsChange(this.attachments, [attachment]);
+  }
+
   /**
-   * Handle environment badge click - toggle dropdown
-   * @param {MouseEvent} event - Click event
+   * Set the note's attachments and re-render the list
+   * @param {Object[]} attachments - Attachment references
    */
-  handleEnvironmentClick(event) {
-    event.stopPropagation();
-    this.toggleEnvironmentDropdown();
+  setAttachments(attachments) {
+    this.attachments = normalizeAttachments(attachments);
+    if (this.attachmentList) {
+      this.attachmentList.setAttachments(this.attachments);
+    }
   }
-  
+
   /**
-   * Handle keyboard events on environment badge
-   * @param {KeyboardEvent} event - Keyboard event
+   * Save a reaction toggle, telling the user if it failed
+   * @param {string} type - Reaction type
+   * @returns {Promise<void>} Rejects if the toggle failed, so the reaction bar rolls it back
    */
-  handleEnvironmentBadgeKeydown(event) {
-    switch (event.key) {
-      case 'Enter':
-      case ' ':
-      case 'ArrowDown':
-        event.preventDefault();
-        event.stopPropagation();
-        this.openEnvironmentDropdown();
-        break;
-      case 'Escape':
-        event.preventDefault();
-        event.stopPropagation();
-        this.closeEnvironmentDropdown();
-        break;
+  async handleToggleReaction(type) {
+    try {
+      await this.onToggleReaction(type);
+    } catch (error) {
+      this.showToast(t('failedToReact'), 'error');
+      throw error;
     }
   }
-  
+
   /**
-   * Handle keyboard events on environment dropdown options
-   * @param {KeyboardEvent} event - Keyboard event
+   * Set the note's reactions, e.g. after a real-time update
+   * @param {Object} reactions - Map of user ID to reaction types
    */
-  handleEnvironmentOptionKeydown(event) {
-    const options = Array.from(this.element.querySelectorAll('.sn-env-option'));
-    const currentIndex = options.indexOf(event.currentTarget);
-    
-    switch (event.key) {
-      case 'ArrowDown':
-        event.preventDefault();
-        event.stopPropagation();
-        if (currentIndex < options.length - 1) {
-          options[currentIndex + 1].focus();
-        }
-        break;
-      case 'ArrowUp':
-        event.preventDefault();
-        event.stopPropagation();
-        if (currentIndex > 0) {
-          options[currentIndex - 1].focus();
-        } else {
-          // Go back to badge
-          this.element.querySelector('.sn-environment-badge')?.focus();
-        }
-        break;
-      case 'Enter':
-      case ' ':
-        event.preventDefault();
-        event.stopPropagation();
-        this.handleEnvironmentSelect(event);
-        break;
-      case 'Escape':
-        event.preventDefault();
-        event.stopPropagation();
-        this.closeEnvironmentDropdown();
-        this.element.querySelector('.sn-environment-badge')?.focus();
-        break;
-      case 'Tab':
-        // Close dropdown when tabbing out
-        this.closeEnvironmentDropdown();
-        break;
+  setReactions(reactions) {
+    this.reactions = normalizeReactions(reactions);
+    if (this.reactionBar) {
+      this.reactionBar.setReactions(this.reactions);
     }
   }
-  
+
   /**
-   * Toggle environment dropdown open/closed
+   * Handle Draw button click
+   * @param {Event} event - Click event
    */
-  toggleEnvironmentDropdown() {
-    const dropdown = this.element.querySelector('.sn-environment-dropdown');
-    const isHidden = dropdown?.classList.contains('sn-hidden');
+  handleDrawClick(event) {
+    event.stopPropagation();
     
-    if (isHidden) {
-      this.openEnvironmentDropdown();
-    } else {
-      this.closeEnvironmentDropdown();
+    if (this.drawingLayer?.isDrawing) {
+      this.drawingLayer.stopDrawing();
+      return;
     }
+    this.startDrawing();
   }
   
   /**
-   * Open environment dropdown and focus first option
+   * Enter drawing mode for this note's shapes
    */
-  openEnvironmentDropdown() {
-    const dropdown = this.element.querySelector('.sn-environment-dropdown');
-    const badge = this.element.querySelector('.sn-environment-badge');
+  startDrawing() {
+    const layer = this.getDrawingLayer();
+    if (!layer) return;
     
-    if (dropdown && badge) {
-      dropdown.classList.remove('sn-hidden');
-      badge.setAttribute('aria-expanded', 'true');
-      
-      // Focus the currently selected option, or first option
-      const currentEnv = this.getEnvironment();
-      const selectedOption = dropdown.querySelector(`[data-env="${currentEnv}"]`);
-      const firstOption = dropdown.querySelector('.sn-env-option');
-      (selectedOption || firstOption)?.focus();
+    this.updateDrawings();
+    layer.startDrawing();
+    this.element.querySelector('.sn-draw-btn').setAttribute('aria-pressed', 'true');
+  }
+  
+  /**
+   * Get the drawing layer, creating it next to the note on first use
+   * @returns {DrawingLayer|null} Layer, or null while the note isn't in the page
+   */
+  getDrawingLayer() {
+    if (!this.drawingLayer && this.element.parentNode) {
+      this.drawingLayer = new DrawingLayer({
+        shapes: this.drawings,
+        onChange: (shapes) => {
+          this.drawings = shapes;
+          this.onDrawingsChange(shapes);
+        },
+        onClose: () => {
+          this.element.querySelector('.sn-draw-btn').setAttribute('aria-pressed', 'false');
+          this.updateDrawings();
+        }
+      });
+      this.element.parentNode.insertBefore(this.drawingLayer.element, this.element);
     }
+    return this.drawingLayer;
   }
   
   /**
-   * Handle environment option selection
-   * @param {MouseEvent|KeyboardEvent} event - Click or keyboard event
+   * Get the viewport point drawings are measured from
+   * Page-level notes draw relative to the document, others to the anchor's top-left corner
+   * @returns {Object|null} { x, y }, or null without an anchor
    */
-  handleEnvironmentSelect(event) {
-    event.stopPropagation();
-    
-    const option = event.currentTarget;
-    const newEnv = option.dataset.env;
-    const badge = this.element.querySelector('.sn-environment-badge');
-    
-    if (!newEnv || newEnv === this.metadata.environment) {
-      // Close dropdown if same selection
-      this.closeEnvironmentDropdown();
-      badge?.focus();
-      return;
+  getDrawingOrigin() {
+    if (this.isPageLevel) {
+      return { x: -window.scrollX, y: -window.scrollY };
     }
-    
-    // Update metadata
-    this.metadata.environment = newEnv;
-    
-    // Update badge display
-    if (badge) {
-      // Remove all env classes and add the new one
-      badge.className = `sn-environment-badge sn-env-${newEnv}`;
-      // Recreate content with chevron
-      badge.innerHTML = `${this.getEnvironmentLabel(newEnv)}
-        <svg class="sn-env-chevron" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" aria-hidden="true">
-          <polyline points="6 9 12 15 18 9"/>
-        </svg>`;
-      // Restore ARIA attributes
-      badge.setAttribute('aria-haspopup', 'listbox');
-      badge.setAttribute('aria-expanded', 'false');
+    if (!this.anchor) {
+      return null;
     }
-    
-    // Update aria-selected on all options
-    const options = this.element.querySelectorAll('.sn-env-option');
-    options.forEach(opt => {
-      opt.setAttribute('aria-selected', opt.dataset.env === newEnv);
-    });
-    
-    // Close dropdown and return focus to badge
-    this.closeEnvironmentDropdown();
-    badge?.focus();
-    
-    // Trigger save
-    this.triggerSave();
-    
-    log.debug('Environment changed to:', newEnv);
+    const rect = this.getAnchorRect();
+    return { x: rect.left, y: rect.top };
   }
   
   /**
-   * Trigger a save of the note content
-   * Used when metadata changes that should be persisted
+   * Move the note's drawings with its anchor, showing them while the note is visible
    */
-  triggerSave() {
-    this.onSave(this.content);
+  updateDrawings() {
+    if (!this.drawingLayer && this.drawings.length === 0) return;
+    
+    const origin = this.getDrawingOrigin();
+    const layer = this.getDrawingLayer();
+    if (!layer) return;
+    
+    if (origin) {
+      layer.setOrigin(origin.x, origin.y);
+    }
+    layer.setVisible(this.isVisible && !!origin);
   }
   
   /**
-   * Handle document click to close environment dropdown
-   * @param {MouseEvent} event - Click event
+   * Replace the note's drawings
+   * @param {Object[]} drawings - Shapes
    */
-  handleDocumentClick(event) {
-    // Guard against element being destroyed
-    if (!this.element) return;
-    
-    // Check if click is outside the environment selector
-    const envSelector = this.element.querySelector('.sn-environment-selector');
-    if (envSelector && !envSelector.contains(event.target)) {
-      this.closeEnvironmentDropdown();
+  setDrawings(drawings) {
+    this.drawings = normalizeDrawings(drawings);
+    if (this.drawingLayer) {
+      this.drawingLayer.setShapes(this.drawings);
     }
+    this.updateDrawings();
   }
   
   /**
-   * Close environment dropdown and update ARIA
+   * Update the collaborators the note can be assigned to
+   * @param {string[]} sharedWith - Emails the note is shared with
    */
-  closeEnvironmentDropdown() {
-    const dropdown = this.element.querySelector('.sn-environment-dropdown');
-    const badge = this.element.querySelector('.sn-environment-badge');
-    
-    if (dropdown) {
-      dropdown.classList.add('sn-hidden');
-    }
-    if (badge) {
-      badge.setAttribute('aria-expanded', 'false');
-    }
+  setSharedWith(sharedWith) {
+    this.sharedWith = sharedWith || [];
+    this.renderAssignment();
   }
 
   /**
@@ -1377,6 +2576,8 @@ export class StickyNote {
   updatePosition() {
     if (!this.element) return;
     
+    this.updateDrawings();
+    
     // Page-level notes don't have an anchor element
     if (this.isPageLevel) {
       this.updatePageLevelPosition();
@@ -1384,6 +2585,8 @@ export class StickyNote {
     }
     
     if (!this.anchor) return;
+    
+    this.updateRegionHighlight();
 
     // Use untransformed layout dimensions where possible.
     // getBoundingClientRect() includes CSS transforms (e.g. sn-hidden scale), which can cause
@@ -1400,7 +2603,7 @@ export class StickyNote {
       
       if (this.customPosition.offsetX !== undefined) {
         // Position relative to anchor element (viewport coordinates)
-        const anchorRect = this.anchor.getBoundingClientRect();
+        const anchorRect = this.getAnchorRect();
         x = anchorRect.left + this.customPosition.offsetX;
         y = anchorRect.top + this.customPosition.offsetY;
       } else {
@@ -1416,7 +2619,7 @@ export class StickyNote {
       return;
     }
     
-    const anchorRect = this.anchor.getBoundingClientRect();
+    const anchorRect = this.getAnchorRect();
     const viewportWidth = window.innerWidth;
     
     // For wide elements (more than 70% of viewport), use a smarter positioning
@@ -1495,6 +2698,71 @@ export class StickyNote {
     this.element.style.top = `${clamped.y}px`;
   }
   
+  /**
+   * Get the rectangle the note is positioned against
+   * Text-anchored notes follow the quoted text and region-anchored notes their region,
+   * rather than the whole element
+   * @returns {DOMRect|Object} Viewport-relative rectangle
+   */
+  getAnchorRect() {
+    if (this.textRange && !this.textRange.collapsed) {
+      const rangeRect = this.textRange.getBoundingClientRect();
+      if (rangeRect.width || rangeRect.height) {
+        return rangeRect;
+      }
+    }
+    if (this.region) {
+      return getRegionRect(this.anchor.getBoundingClientRect(), this.region);
+    }
+    return this.anchor.getBoundingClientRect();
+  }
+  
+  /**
+   * Draw the region of a region-anchored note over its element
+   * The outline lives next to the note in the notes container and is
+   * recomputed from the element box, so it scales with the element
+   */
+  updateRegionHighlight() {
+    if (!this.region || !this.anchor || !this.isVisible) {
+      if (this.regionElement) {
+        this.regionElement.style.display = 'none';
+      }
+      return;
+    }
+    
+    if (!this.regionElement) {
+      if (!this.element.parentNode) return;
+      this.regionElement = document.createElement('div');
+      this.regionElement.className = 'sn-region-highlight';
+      this.element.parentNode.insertBefore(this.regionElement, this.element);
+    }
+    
+    const rect = getRegionRect(this.anchor.getBoundingClientRect(), this.region);
+    this.regionElement.style.display = 'block';
+    this.regionElement.style.left = `${rect.left}px`;
+    this.regionElement.style.top = `${rect.top}px`;
+    this.regionElement.style.width = `${rect.width}px`;
+    this.regionElement.style.height = `${rect.height}px`;
+  }
+  
+  /**
+   * Set (or clear) the located text range and its in-page highlight
+   * @param {Range|null} range - Range covering the text quote
+   */
+  setTextRange(range) {
+    if (this.textHighlight) {
+      this.textHighlight.remove();
+      this.textHighlight = null;
+    }
+    
+    this.textRange = range;
+    if (range) {
+      this.textHighlight = new TextHighlight(range);
+    }
+    
+    this.updatePosition();
+  }
+  
   /**
    * Update position for page-level notes (not anchored to any element)
    * Page-level notes use absolute page coordinates that scroll with the page
@@ -1713,7 +2981,7 @@ export class StickyNote {
     
     // Store position relative to anchor for persistence
     if (this.anchor) {
-      const anchorRect = this.anchor.getBoundingClientRect();
+      const anchorRect = this.getAnchorRect();
       this.customPosition = {
         offsetX: clamped.x - anchorRect.left,
         offsetY: clamped.y - anchorRect.top
@@ -2103,6 +3371,8 @@ export class StickyNote {
     this.isVisible = false;
     this.element.classList.remove('sn-visible');
     this.element.classList.add('sn-hidden');
+    this.updateRegionHighlight();
+    this.updateDrawings();
   }
   
   /**
@@ -2125,6 +3395,8 @@ export class StickyNote {
   updateAnchor(newAnchor) {
     this.anchor = newAnchor;
     this.customPosition = null;
+    // Any located text range belonged to the old anchor
+    this.setTextRange(null);
     // Reset position to default anchor and persist the change
     // This ensures the cleared customPosition is saved to storage
     this.position = { anchor: 'top-right' };
@@ -2132,6 +3404,33 @@ export class StickyNote {
     this.updatePosition();
   }
   
+  /**
+   * Move the note to another anchor element, keeping its saved position
+   * Used when the viewport switches between responsive anchors
+   * @param {Element} newAnchor - New anchor element
+   * @param {Range|null} textRange - Located text quote inside the new anchor, if any
+   * @param {Object|null} region - Region of the new anchor to point at, if any
+   */
+  switchAnchor(newAnchor, textRange = null, region = null) {
+    this.anchor = newAnchor;
+    this.region = region;
+    this.setTextRange(textRange);
+    this.updatePosition();
+  }
+  
+  /**
+   * Replace the responsive anchors and breakpoint verifications of the note
+   * @param {Object[]} responsiveAnchors - Alternative anchors per viewport width range
+   * @param {Object} verifiedBreakpoints - Verifications keyed by breakpoint ID
+   */
+  setResponsiveAnchors(responsiveAnchors, verifiedBreakpoints) {
+    this.responsiveAnchors = responsiveAnchors || [];
+    this.verifiedBreakpoints = verifiedBreakpoints || {};
+    if (this.isMetadataExpanded) {
+      this.renderBreakpoints();
+    }
+  }
+  
   /**
    * Set note theme
    * @param {string} theme - Theme name
@@ -2151,6 +3450,62 @@ export class StickyNote {
     if (this.commentSection) {
       this.commentSection.setUser(user);
     }
+    if (this.revisionHistory) {
+      this.revisionHistory.setUser(user);
+    }
+    if (this.reactionBar) {
+      this.reactionBar.setUserId(user?.uid);
+    }
+  }
+  
+  /**
+   * Track whether the editor has focus and report changes
+   * @param {boolean} isEditing - Whether the note is being edited
+   */
+  setEditing(isEditing) {
+    if (this.isEditing === isEditing) return;
+    this.isEditing = isEditing;
+    this.onEditingChange(this.id, isEditing);
+  }
+  
+  /**
+   * Show the collaborators present on the page who can see this note
+   * @param {Array} viewers - Viewers { displayName, email, isEditing, isTyping }
+   */
+  setPresence(viewers) {
+    this.presenceViewers = viewers || [];
+    if (!this.element) return;
+    
+    this.element.querySelector('.sn-note-presence').innerHTML = this.renderPresenceAvatars();
+    
+    if (this.commentSection) {
+      this.commentSection.setTypingUsers(
+        this.presenceViewers.filter(viewer => viewer.isTyping).map(viewer => viewer.displayName || viewer.email)
+      );
+    }
+  }
+  
+  /**
+   * Render collaborator avatars, editors first
+   * @returns {string} HTML string
+   */
+  renderPresenceAvatars() {
+    const viewers = [...this.presenceViewers].sort((first, second) => Number(second.isEditing) - Number(first.isEditing));
+    const shown = viewers.slice(0, MAX_PRESENCE_AVATARS);
+    
+    let html = shown.map(viewer => {
+      const name = viewer.displayName || viewer.email || t('anonymous');
+      const title = viewer.isEditing ? t('collaboratorEditing', [name]) : t('collaboratorViewing', [name]);
+      return `<span class="sn-presence-avatar${viewer.isEditing ? ' sn-presence-editing' : ''}" role="img" title="${escapeHtml(title)}" aria-label="${escapeHtml(title)}">${escapeHtml(name.charAt(0).toUpperCase())}</span>`;
+    }).join('');
+    
+    const hidden = viewers.slice(MAX_PRESENCE_AVATARS);
+    if (hidden.length > 0) {
+      const names = hidden.map(viewer => viewer.displayName || viewer.email).join(', ');
+      html += `<span class="sn-presence-more" title="${escapeHtml(names)}">${escapeHtml(t('moreCollaborators', [String(hidden.length)]))}</span>`;
+    }
+    
+    return html;
   }
   
   /**
@@ -2162,6 +3517,16 @@ export class StickyNote {
     }
   }
   
+  /**
+   * Open the comments and scroll to one of them
+   * @param {string} commentId - Comment ID
+   */
+  async showComment(commentId) {
+    if (this.commentSection) {
+      await this.commentSection.showComment(commentId);
+    }
+  }
+  
   // isValidEmail and escapeHtml are now imported from shared/utils.js
   
   /**
@@ -2173,6 +3538,9 @@ export class StickyNote {
       clearTimeout(this.saveTimeout);
     }
     
+    // A removed editor may never fire blur
+    this.setEditing(false);
+    
     // Remove event listeners (use stored bound handlers)
     document.removeEventListener('mousemove', this.boundHandleDragMove);
     document.removeEventListener('mouseup', this.boundHandleDragEnd);
@@ -2184,12 +3552,36 @@ export class StickyNote {
       this.anchor.classList.remove('sn-element-highlight');
     }
     
+    // Remove text quote highlight
+    if (this.textHighlight) {
+      this.textHighlight.remove();
+      this.textHighlight = null;
+    }
+    
+    // Remove region outline
+    if (this.regionElement) {
+      this.regionElement.remove();
+      this.regionElement = null;
+    }
+    
+    // Remove drawings
+    if (this.drawingLayer) {
+      this.drawingLayer.destroy();
+      this.drawingLayer = null;
+    }
+    
     // Destroy comment section
     if (this.commentSection) {
       this.commentSection.destroy();
       this.commentSection = null;
     }
     
+    // Destroy version history
+    if (this.revisionHistory) {
+      this.revisionHistory.destroy();
+      this.revisionHistory = null;
+    }
+    
     // Remove element
     if (this.element && this.element.parentNode) {
       this.element.parentNode.removeChild(this.element);
@@ -0,0 +1,64 @@
+/**
+ * TextHighlight Component
+ * Paints a text range in the page using the CSS Custom Highlight API,
+ * so the quoted text is marked without modifying the page DOM
+ */
+
+/**
+ * Name of the shared highlight in CSS.highlights (styled via ::highlight())
+ */
+export const TEXT_HIGHLIGHT_NAME = 'sn-text-anchor';
+
+export class TextHighlight {
+  /**
+   * Create a text highlight
+   * @param {Range} range - Text range to highlight
+   */
+  constructor(range) {
+    this.range = range;
+    this.isActive = false;
+
+    this.add();
+  }
+
+  /**
+   * Check if the CSS Custom Highlight API is available
+   * @returns {boolean} True if supported
+   */
+  static isSupported() {
+    return typeof Highlight !== 'undefined' && typeof CSS !== 'undefined' && !!CSS.highlights;
+  }
+
+  /**
+   * Get (or create) the highlight shared by all text-anchored notes
+   * @returns {Highlight} Shared highlight
+   */
+  static getSharedHighlight() {
+    let highlight = CSS.highlights.get(TEXT_HIGHLIGHT_NAME);
+    if (!highlight) {
+      highlight = new Highlight();
+      CSS.highlights.set(TEXT_HIGHLIGHT_NAME, highlight);
+    }
+    return highlight;
+  }
+
+  /**
+   * Add the range to the shared highlight
+   */
+  add() {
+    if (this.isActive || !this.range || !TextHighlight.isSupported()) return;
+
+    TextHighlight.getSharedHighlight().add(this.range);
+    this.isActive = true;
+  }
+
+  /**
+   * Remove the range from the shared highlight
+   */
+  remove() {
+    if (!this.isActive) return;
+
+    CSS.highlights.get(TEXT_HIGHLIGHT_NAME)?.delete(this.range);
+    this.isActive = false;
+  }
+}
@@ -56,7 +56,8 @@ function initStickyNotes() {
     const isTopFrame = window.self === window.top;
     log.debug(' Creating StickyNotesApp instance...', isTopFrame ? '(main frame)' : '(iframe)');
     
-    new StickyNotesApp();
+    // Set by the background before injecting into an anchor health check tab
+    new StickyNotesApp({ checkOnly: window.__stickyNotesCheckOnly === true });
   } catch (error) {
     log.error(' Failed to initialize:', error);
   }
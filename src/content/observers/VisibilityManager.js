@@ -24,6 +24,9 @@ export class VisibilityManager {
     this.boundScrollHandler = null;
     this.boundResizeHandler = null;
     
+    // Shadow roots with a scroll listener (scroll events inside them don't reach the document)
+    this.shadowRoots = new Set();
+    
     // Global visibility state - when false, notes are hidden regardless of anchor visibility
     this.globallyVisible = true;
     
@@ -54,6 +57,26 @@ export class VisibilityManager {
     
     // Start observing
     this.observer.observe(anchor);
+    
+    // Track scrolling inside the shadow trees the anchor lives in
+    this.listenToShadowRoots(anchor);
+  }
+  
+  /**
+   * Add the scroll listener to every shadow root containing the anchor
+   * @param {Element} anchor - Anchor element
+   */
+  listenToShadowRoots(anchor) {
+    if (!this.boundScrollHandler || typeof ShadowRoot === 'undefined') return;
+    
+    let root = anchor.getRootNode?.();
+    while (root instanceof ShadowRoot) {
+      if (!this.shadowRoots.has(root)) {
+        root.addEventListener('scroll', this.boundScrollHandler, { passive: true, capture: true });
+        this.shadowRoots.add(root);
+      }
+      root = root.host.getRootNode();
+    }
   }
   
   /**
@@ -244,6 +267,10 @@ export class VisibilityManager {
     if (this.boundScrollHandler) {
       window.removeEventListener('scroll', this.boundScrollHandler, { passive: true });
       document.removeEventListener('scroll', this.boundScrollHandler, { passive: true, capture: true });
+      this.shadowRoots.forEach(root => {
+        root.removeEventListener('scroll', this.boundScrollHandler, { passive: true, capture: true });
+      });
+      this.shadowRoots.clear();
       this.boundScrollHandler = null;
     }
     
@@ -4,49 +4,197 @@
  * Prioritizes stable attributes over dynamic IDs
  */
 
-import { validateSelectorPattern } from '../../shared/utils.js';
+import {
+  validateSelectorPattern,
+  SHADOW_SELECTOR_SEPARATOR,
+  isShadowSelector,
+  splitShadowSelector,
+  querySelectorAllDeep,
+  querySelectorDeep
+} from '../../shared/utils.js';
 import { contentLogger as log } from '../../shared/logger.js';
+import { compilePatterns } from '../../shared/selectorRules.js';
+
+/**
+ * Implicit ARIA roles for elements without an explicit role attribute
+ */
+const IMPLICIT_ROLES = {
+  a: 'link',
+  article: 'article',
+  aside: 'complementary',
+  button: 'button',
+  dialog: 'dialog',
+  footer: 'contentinfo',
+  form: 'form',
+  h1: 'heading',
+  h2: 'heading',
+  h3: 'heading',
+  h4: 'heading',
+  h5: 'heading',
+  h6: 'heading',
+  header: 'banner',
+  img: 'img',
+  li: 'listitem',
+  main: 'main',
+  nav: 'navigation',
+  ol: 'list',
+  section: 'region',
+  select: 'combobox',
+  table: 'table',
+  textarea: 'textbox',
+  ul: 'list'
+};
+
+/**
+ * Elements whose heading or label describes the content around an anchor
+ */
+const LANDMARK_SELECTOR = [
+  'header', 'nav', 'main', 'aside', 'footer', 'section', 'article', 'form', 'fieldset', 'dialog',
+  '[role="banner"]', '[role="navigation"]', '[role="main"]', '[role="complementary"]',
+  '[role="contentinfo"]', '[role="region"]', '[role="form"]', '[role="dialog"]'
+].join(', ');
+
+/**
+ * Points awarded for each anchor fingerprint signal in scoreFingerprint()
+ */
+const FINGERPRINT_WEIGHTS = {
+  textHash: 20,
+  tagPath: 15,
+  landmarkText: 15,
+  bboxRatio: 10,
+  role: 5,
+  ariaName: 10,
+  siblingIndex: 10
+};
+
+/**
+ * Minimum candidate score (0-100) for a fuzzy match
+ */
+const MIN_MATCH_SCORE = 50;
+
+/**
+ * Maximum number of ancestors recorded in a fingerprint tag path
+ */
+const MAX_TAG_PATH_DEPTH = 6;
+
+/**
+ * Characters of context stored before and after a text quote
+ */
+const TEXT_CONTEXT_LENGTH = 32;
+
+/**
+ * Maximum length of a text quote that can anchor a note
+ */
+const MAX_TEXT_QUOTE_LENGTH = 1000;
+
+/**
+ * Minimum similarity for a fuzzy text quote match
+ */
+const TEXT_FUZZY_THRESHOLD = 0.75;
+
+/**
+ * Maximum element text length scanned for fuzzy text quote matches
+ */
+const MAX_FUZZY_TEXT_LENGTH = 20000;
+
+/**
+ * Accessible names at or above this length may have been truncated by
+ * getAriaInfo(), so they are not used for exact role locators
+ */
+const MAX_LOCATOR_NAME_LENGTH = 100;
+
+/**
+ * Namespace of HTML elements (others need local-name() in XPath)
+ */
+const XHTML_NAMESPACE = 'http://www.w3.org/1999/xhtml';
+
+/**
+ * Quote a string as a single-quoted JavaScript literal
+ * @param {string} value - Raw string
+ * @returns {string} JavaScript string literal
+ */
+function toJsString(value) {
+  return `'${value.replace(/\\/g, '\\\\').replace(/'/g, '\\\'').replace(/\n/g, '\\n')}'`;
+}
+
+/**
+ * Quote a string as an XPath literal, using concat() when it contains both quote kinds
+ * @param {string} value - Raw string
+ * @returns {string} XPath string expression
+ */
+function toXPathString(value) {
+  if (!value.includes('"')) return `"${value}"`;
+  if (!value.includes("'")) return `'${value}'`;
+  
+  const parts = value.split('"').map(part => `"${part}"`);
+  return `concat(${parts.join(', \'"\', ')})`;
+}
+
+/**
+ * Built-in patterns for dynamic/unstable IDs to avoid
+ */
+const DEFAULT_DYNAMIC_ID_PATTERNS = [
+  /^ember\d+/i,
+  /^react-/i,
+  /^ng-/i,
+  /^vue-/i,
+  /^:r\d+:/,
+  /^[a-f0-9]{8}-[a-f0-9]{4}-/i, // UUID pattern
+  /^\d+$/, // Pure numbers
+  /^js-/i,
+  /^_/,
+  /^yui_/i,
+  /^ext-gen/i,
+  /^gwt-/i
+];
+
+/**
+ * Built-in attributes for selection (in priority order)
+ */
+const DEFAULT_PREFERRED_ATTRIBUTES = [
+  'data-testid',
+  'data-test-id',
+  'data-test',
+  'data-cy',
+  'data-id',
+  'data-component',
+  'data-automation-id',
+  'name',
+  'aria-label',
+  'aria-labelledby',
+  'role',
+  'type',
+  'placeholder',
+  'title',
+  'alt'
+];
 
 export class SelectorEngine {
   constructor() {
-    // Patterns for dynamic/unstable IDs to avoid
-    this.dynamicIdPatterns = [
-      /^ember\d+/i,
-      /^react-/i,
-      /^ng-/i,
-      /^vue-/i,
-      /^:r\d+:/,
-      /^[a-f0-9]{8}-[a-f0-9]{4}-/i, // UUID pattern
-      /^\d+$/, // Pure numbers
-      /^js-/i,
-      /^_/,
-      /^yui_/i,
-      /^ext-gen/i,
-      /^gwt-/i
-    ];
+    this.applyRules(null);
+  }
+  
+  /**
+   * Apply a per-domain selector rule on top of the built-in strategy
+   * The rule's preferred attributes are tried before the built-in ones and its
+   * ignore patterns are added to the built-in dynamic ID patterns
+   * @param {Object|null} rule - Rule from selectorRules.js, or null for built-in behavior
+   */
+  applyRules(rule) {
+    const preferred = rule?.preferredAttributes || [];
     
-    // Preferred attributes for selection (in priority order)
     this.preferredAttributes = [
-      'data-testid',
-      'data-test-id',
-      'data-test',
-      'data-cy',
-      'data-id',
-      'data-component',
-      'data-automation-id',
-      'name',
-      'aria-label',
-      'aria-labelledby',
-      'role',
-      'type',
-      'placeholder',
-      'title',
-      'alt'
+      ...preferred,
+      ...DEFAULT_PREFERRED_ATTRIBUTES.filter(attr => !preferred.includes(attr))
     ];
+    this.dynamicIdPatterns = [...DEFAULT_DYNAMIC_ID_PATTERNS, ...compilePatterns(rule?.ignoreIdPatterns)];
+    this.ignoredClassPatterns = compilePatterns(rule?.ignoreClassPatterns);
   }
   
   /**
    * Generate a CSS selector for an element
+   * Elements inside open shadow roots get a shadow DOM piercing selector
+   * (host selectors joined by SHADOW_SELECTOR_SEPARATOR)
    * @param {Element} element - Target element
    * @returns {string|null} CSS selector or null if failed
    */
@@ -55,31 +203,68 @@ export class SelectorEngine {
       return null;
     }
     
+    const root = element.getRootNode();
+    
+    if (!this.isShadowRoot(root)) {
+      return this.generateInRoot(element, document);
+    }
+    
+    // Closed shadow roots cannot be queried again on reload - anchor to the host instead
+    if (root.mode !== 'open') {
+      log.debug('Element is inside a closed shadow root, anchoring to its host');
+      return this.generate(root.host);
+    }
+    
+    const hostSelector = this.generate(root.host);
+    if (!hostSelector) {
+      return null;
+    }
+    
+    return `${hostSelector}${SHADOW_SELECTOR_SEPARATOR}${this.generateInRoot(element, root)}`;
+  }
+  
+  /**
+   * Generate a selector that is unique within a single document or shadow root
+   * @param {Element} element - Target element
+   * @param {Document|ShadowRoot} root - Root the selector is resolved against
+   * @returns {string} CSS selector
+   */
+  generateInRoot(element, root) {
     // Try different strategies in order of preference
     const strategies = [
-      () => this.getIdSelector(element),
-      () => this.getAttributeSelector(element),
-      () => this.getClassSelector(element),
-      () => this.getNthChildSelector(element)
+      () => this.getIdSelector(element, root),
+      () => this.getAttributeSelector(element, root),
+      () => this.getClassSelector(element, root),
+      () => this.getNthChildSelector(element, root)
     ];
     
     for (const strategy of strategies) {
       const selector = strategy();
-      if (selector && this.isUnique(selector)) {
+      if (selector && this.isUnique(selector, root)) {
         return selector;
       }
     }
     
     // Fallback: build a path from root
-    return this.buildPathSelector(element);
+    return this.buildPathSelector(element, root);
+  }
+  
+  /**
+   * Check if a node is a shadow root
+   * @param {Node} node - Node to check
+   * @returns {boolean} True if shadow root
+   */
+  isShadowRoot(node) {
+    return typeof ShadowRoot !== 'undefined' && node instanceof ShadowRoot;
   }
   
   /**
    * Try to get ID-based selector
    * @param {Element} element - Target element
+   * @param {Document|ShadowRoot} root - Root to check uniqueness in
    * @returns {string|null} Selector or null
    */
-  getIdSelector(element) {
+  getIdSelector(element, root = document) {
     const id = element.id;
     
     if (!id) return null;
@@ -90,7 +275,7 @@ export class SelectorEngine {
     // Validate ID is valid CSS selector
     try {
       const selector = `#${CSS.escape(id)}`;
-      return this.isUnique(selector) ? selector : null;
+      return this.isUnique(selector, root) ? selector : null;
     } catch {
       return null;
     }
@@ -99,9 +284,10 @@ export class SelectorEngine {
   /**
    * Try to get attribute-based selector
    * @param {Element} element - Target element
+   * @param {Document|ShadowRoot} root - Root to check uniqueness in
    * @returns {string|null} Selector or null
    */
-  getAttributeSelector(element) {
+  getAttributeSelector(element, root = document) {
     const tagName = element.tagName.toLowerCase();
     
     for (const attr of this.preferredAttributes) {
@@ -109,7 +295,7 @@ export class SelectorEngine {
       
       if (value) {
         const selector = `${tagName}[${attr}="${CSS.escape(value)}"]`;
-        if (this.isUnique(selector)) {
+        if (this.isUnique(selector, root)) {
           return selector;
         }
       }
@@ -121,9 +307,10 @@ export class SelectorEngine {
   /**
    * Try to get class-based selector
    * @param {Element} element - Target element
+   * @param {Document|ShadowRoot} root - Root to check uniqueness in
    * @returns {string|null} Selector or null
    */
-  getClassSelector(element) {
+  getClassSelector(element, root = document) {
     const tagName = element.tagName.toLowerCase();
     const classList = element.classList;
     
@@ -131,7 +318,7 @@ export class SelectorEngine {
     
     // Filter out dynamic-looking classes
     const stableClasses = Array.from(classList).filter(cls => {
-      return !this.isDynamicId(cls) && cls.length > 1;
+      return !this.isIgnoredClass(cls) && cls.length > 1;
     });
     
     if (stableClasses.length === 0) return null;
@@ -139,7 +326,7 @@ export class SelectorEngine {
     // Try single class first
     for (const cls of stableClasses) {
       const selector = `${tagName}.${CSS.escape(cls)}`;
-      if (this.isUnique(selector)) {
+      if (this.isUnique(selector, root)) {
         return selector;
       }
     }
@@ -148,7 +335,7 @@ export class SelectorEngine {
     if (stableClasses.length >= 2) {
       const classStr = stableClasses.slice(0, 3).map(cls => `.${CSS.escape(cls)}`).join('');
       const selector = `${tagName}${classStr}`;
-      if (this.isUnique(selector)) {
+      if (this.isUnique(selector, root)) {
         return selector;
       }
     }
@@ -159,9 +346,10 @@ export class SelectorEngine {
   /**
    * Get nth-child based selector
    * @param {Element} element - Target element
+   * @param {Document|ShadowRoot} root - Root to check uniqueness in
    * @returns {string|null} Selector or null
    */
-  getNthChildSelector(element) {
+  getNthChildSelector(element, root = document) {
     const parent = element.parentElement;
     if (!parent) return null;
     
@@ -179,15 +367,17 @@ export class SelectorEngine {
     if (!parentSelector) return null;
     
     const selector = `${parentSelector} > ${tagName}:nth-of-type(${index})`;
-    return this.isUnique(selector) ? selector : null;
+    return this.isUnique(selector, root) ? selector : null;
   }
   
   /**
    * Build a path selector from element to unique ancestor
+   * Stops at the top of the element's document or shadow root
    * @param {Element} element - Target element
+   * @param {Document|ShadowRoot} root - Root to check uniqueness in
    * @returns {string} Path selector
    */
-  buildPathSelector(element) {
+  buildPathSelector(element, root = document) {
     const path = [];
     let current = element;
     const maxDepth = 10;
@@ -199,7 +389,7 @@ export class SelectorEngine {
       
       // Check if current path is unique
       const selector = path.join(' > ');
-      if (this.isUnique(selector)) {
+      if (this.isUnique(selector, root)) {
         return selector;
       }
       
@@ -235,7 +425,7 @@ export class SelectorEngine {
     // Use tag name with classes
     const tagName = element.tagName.toLowerCase();
     const stableClass = Array.from(element.classList || [])
-      .find(cls => !this.isDynamicId(cls) && cls.length > 2);
+      .find(cls => !this.isIgnoredClass(cls) && cls.length > 2);
     
     if (stableClass) {
       return `${tagName}.${CSS.escape(stableClass)}`;
@@ -267,7 +457,7 @@ export class SelectorEngine {
     
     // Try stable class
     const stableClass = Array.from(element.classList || [])
-      .find(cls => !this.isDynamicId(cls) && cls.length > 2);
+      .find(cls => !this.isIgnoredClass(cls) && cls.length > 2);
     
     if (stableClass) {
       return `${tagName}.${CSS.escape(stableClass)}`;
@@ -298,13 +488,23 @@ export class SelectorEngine {
   }
   
   /**
-   * Check if a selector is unique in the document
+   * Check if a class name should not be used in selectors
+   * @param {string} cls - Class name to check
+   * @returns {boolean} True if the class is dynamic or ignored by a rule
+   */
+  isIgnoredClass(cls) {
+    return this.isDynamicId(cls) || this.ignoredClassPatterns.some(pattern => pattern.test(cls));
+  }
+  
+  /**
+   * Check if a selector is unique in the document (or a shadow root)
    * @param {string} selector - CSS selector
+   * @param {Document|ShadowRoot} root - Root to query
    * @returns {boolean} True if unique
    */
-  isUnique(selector) {
+  isUnique(selector, root = document) {
     try {
-      const matches = document.querySelectorAll(selector);
+      const matches = root.querySelectorAll(selector);
       return matches.length === 1;
     } catch {
       return false;
@@ -319,7 +519,7 @@ export class SelectorEngine {
    */
   validate(selector, element) {
     try {
-      const match = document.querySelector(selector);
+      const match = querySelectorDeep(selector);
       return match === element;
     } catch {
       return false;
@@ -360,14 +560,55 @@ export class SelectorEngine {
    * Used when original selector no longer matches
    * @param {string} originalSelector - Original CSS selector
    * @param {Object} metadata - Additional metadata about the element
+   * @param {string} [metadata.textContent] - Original anchor text
+   * @param {Object} [metadata.fingerprint] - Anchor fingerprint from generateFingerprint()
+   * @param {Object[]} [metadata.history] - Previous anchors ({selector}), oldest first
    * @returns {Element|null} Best matching element or null
    */
   findBestMatch(originalSelector, metadata = {}) {
+    return this.findBestMatchWithScore(originalSelector, metadata)?.element || null;
+  }
+  
+  /**
+   * Find best matching element along with its match score
+   * @param {string} originalSelector - Original CSS selector
+   * @param {Object} metadata - Additional metadata about the element (see findBestMatch)
+   * @returns {{element: Element, score: number}|null} Best match with its 0-100 score, or null
+   */
+  findBestMatchWithScore(originalSelector, metadata = {}) {
+    return this.findFuzzyMatch(originalSelector, metadata) || this.findHistoricalMatch(metadata);
+  }
+  
+  /**
+   * Score elements resembling the original selector and metadata
+   * @param {string} originalSelector - Original CSS selector
+   * @param {Object} metadata - Additional metadata about the element
+   * @returns {{element: Element, score: number}|null} Best match with its score, or null
+   */
+  findFuzzyMatch(originalSelector, metadata = {}) {
+    // Shadow DOM piercing selectors: hosts must still resolve, fuzzy match the last segment
+    let scope = document;
+    let elementSelector = originalSelector;
+    if (isShadowSelector(originalSelector)) {
+      const segments = splitShadowSelector(originalSelector);
+      elementSelector = segments.pop();
+      try {
+        scope = querySelectorAllDeep(segments.join(SHADOW_SELECTOR_SEPARATOR))
+          .map(host => host.shadowRoot)
+          .find(Boolean);
+      } catch {
+        scope = null;
+      }
+      if (!scope) {
+        return null;
+      }
+    }
+    
     // Extract attributes from original selector
-    const selectorParts = this.parseSelector(originalSelector);
+    const selectorParts = this.parseSelector(elementSelector);
     
     // Find candidate elements
-    const candidates = this.findCandidates(selectorParts, metadata);
+    const candidates = this.findCandidates(selectorParts, metadata, scope);
     
     if (candidates.length === 0) {
       return null;
@@ -384,8 +625,41 @@ export class SelectorEngine {
     
     // Return best match if score is above threshold
     const bestMatch = scoredCandidates[0];
-    if (bestMatch.score >= 50) {
-      return bestMatch.element;
+    if (bestMatch.score >= MIN_MATCH_SCORE) {
+      return bestMatch;
+    }
+    
+    return null;
+  }
+  
+  /**
+   * Try the selectors a note was previously anchored to, newest first.
+   * Recovers from bad re-anchors and from deploys that restore an older structure.
+   * @param {Object} metadata - Match metadata with history entries
+   * @returns {{element: Element, score: number}|null} Unique historical match with its score, or null
+   */
+  findHistoricalMatch(metadata = {}) {
+    const history = metadata.history || [];
+    
+    for (let i = history.length - 1; i >= 0; i--) {
+      const selector = history[i]?.selector;
+      if (!selector) continue;
+      
+      let matches;
+      try {
+        matches = querySelectorAllDeep(selector);
+      } catch {
+        continue;
+      }
+      
+      // An ambiguous historical selector says nothing about which element was meant
+      if (matches.length !== 1) continue;
+      
+      const selectorParts = this.parseSelector(splitShadowSelector(selector).pop());
+      const score = this.scoreCandidate(matches[0], selectorParts, metadata);
+      if (score >= MIN_MATCH_SCORE) {
+        return { element: matches[0], score };
+      }
     }
     
     return null;
@@ -442,14 +716,20 @@ export class SelectorEngine {
    * Find candidate elements for fuzzy matching
    * @param {Object} selectorParts - Parsed selector parts
    * @param {Object} metadata - Additional metadata
+   * @param {Document|ShadowRoot} root - Root to search in
    * @returns {Element[]} Array of candidate elements
    */
-  findCandidates(selectorParts, _metadata) {
+  findCandidates(selectorParts, metadata = {}, root = document) {
     let candidates = [];
     
+    // Fall back to the fingerprint's tag when the selector has none (e.g. ".class" or "[attr]")
+    const tagName = selectorParts.tagName || this.getFingerprintTag(metadata.fingerprint);
+    
     // Try to find by tag name first
-    if (selectorParts.tagName) {
-      candidates = Array.from(document.getElementsByTagName(selectorParts.tagName));
+    if (root !== document) {
+      candidates = Array.from(root.querySelectorAll(tagName || '*'));
+    } else if (tagName) {
+      candidates = Array.from(document.getElementsByTagName(tagName));
     } else {
       candidates = Array.from(document.body.querySelectorAll('*'));
     }
@@ -459,7 +739,7 @@ export class SelectorEngine {
       // Prioritize elements with similar classes
       if (selectorParts.classes.length > 0) {
         const classSelector = selectorParts.classes.map(cls => `.${CSS.escape(cls)}`).join('');
-        const classMatches = document.querySelectorAll(classSelector);
+        const classMatches = root.querySelectorAll(classSelector);
         if (classMatches.length > 0 && classMatches.length < 100) {
           candidates = Array.from(classMatches);
         }
@@ -542,6 +822,13 @@ export class SelectorEngine {
       }
     }
     
+    // Anchor fingerprint signals (survive class/ID churn between deploys)
+    if (metadata.fingerprint) {
+      const fingerprintScore = this.scoreFingerprint(element, metadata.fingerprint);
+      score += fingerprintScore.score;
+      maxScore += fingerprintScore.maxScore;
+    }
+    
     // Normalize score to 0-100
     return maxScore > 0 ? Math.round((score / maxScore) * 100) : 0;
   }
@@ -580,6 +867,594 @@ export class SelectorEngine {
     return (2 * intersectionSize) / (str1.length + str2.length - 2);
   }
   
+  /**
+   * Generate a multi-signal fingerprint for an element
+   * Stored alongside the selector so the anchor can be found again
+   * after class names or IDs change
+   * @param {Element} element - Target element
+   * @returns {Object|null} Fingerprint or null for invalid elements
+   */
+  generateFingerprint(element) {
+    if (!element || element.nodeType !== Node.ELEMENT_NODE) {
+      return null;
+    }
+    
+    const text = this.normalizeText(element.textContent);
+    const { role, name } = this.getAriaInfo(element);
+    
+    return {
+      textHash: text ? this.hashText(text) : null,
+      tagPath: this.getTagPath(element),
+      landmarkText: this.getLandmarkText(element),
+      bboxRatio: this.getBoundingBoxRatio(element),
+      role,
+      ariaName: name,
+      siblingIndex: this.getSiblingIndex(element)
+    };
+  }
+  
+  /**
+   * Score an element against a stored fingerprint
+   * Only signals present in the fingerprint count towards the maximum
+   * @param {Element} element - Candidate element
+   * @param {Object} fingerprint - Fingerprint from generateFingerprint()
+   * @returns {Object} { score: number, maxScore: number }
+   */
+  scoreFingerprint(element, fingerprint) {
+    let score = 0;
+    let maxScore = 0;
+    
+    if (!fingerprint || typeof fingerprint !== 'object') {
+      return { score, maxScore };
+    }
+    
+    // Exact text match via hash
+    if (fingerprint.textHash) {
+      maxScore += FINGERPRINT_WEIGHTS.textHash;
+      const text = this.normalizeText(element.textContent);
+      if (text && this.hashText(text) === fingerprint.textHash) {
+        score += FINGERPRINT_WEIGHTS.textHash;
+      }
+    }
+    
+    // Tag path: compare from the element upwards
+    if (fingerprint.tagPath) {
+      maxScore += FINGERPRINT_WEIGHTS.tagPath;
+      const expected = fingerprint.tagPath.split('>');
+      const actual = this.getTagPath(element).split('>');
+      let matching = 0;
+      while (matching < expected.length && matching < actual.length &&
+             expected[expected.length - 1 - matching] === actual[actual.length - 1 - matching]) {
+        matching++;
+      }
+      score += Math.round((matching / expected.length) * FINGERPRINT_WEIGHTS.tagPath);
+    }
+    
+    // Nearby landmark text
+    if (fingerprint.landmarkText) {
+      maxScore += FINGERPRINT_WEIGHTS.landmarkText;
+      const similarity = this.stringSimilarity(this.getLandmarkText(element), fingerprint.landmarkText);
+      if (similarity > 0.8) {
+        score += FINGERPRINT_WEIGHTS.landmarkText;
+      } else if (similarity > 0.5) {
+        score += Math.round(FINGERPRINT_WEIGHTS.landmarkText / 2);
+      }
+    }
+    
+    // Bounding box aspect ratio
+    if (fingerprint.bboxRatio) {
+      maxScore += FINGERPRINT_WEIGHTS.bboxRatio;
+      const ratio = this.getBoundingBoxRatio(element);
+      if (ratio) {
+        const closeness = Math.min(ratio, fingerprint.bboxRatio) / Math.max(ratio, fingerprint.bboxRatio);
+        if (closeness >= 0.9) {
+          score += FINGERPRINT_WEIGHTS.bboxRatio;
+        } else if (closeness >= 0.75) {
+          score += Math.round(FINGERPRINT_WEIGHTS.bboxRatio / 2);
+        }
+      }
+    }
+    
+    // ARIA role and accessible name
+    if (fingerprint.role || fingerprint.ariaName) {
+      const aria = this.getAriaInfo(element);
+      if (fingerprint.role) {
+        maxScore += FINGERPRINT_WEIGHTS.role;
+        if (aria.role === fingerprint.role) {
+          score += FINGERPRINT_WEIGHTS.role;
+        }
+      }
+      if (fingerprint.ariaName) {
+        maxScore += FINGERPRINT_WEIGHTS.ariaName;
+        if (aria.name && this.stringSimilarity(aria.name, fingerprint.ariaName) > 0.8) {
+          score += FINGERPRINT_WEIGHTS.ariaName;
+        }
+      }
+    }
+    
+    // Position among same-tag siblings
+    if (fingerprint.siblingIndex) {
+      maxScore += FINGERPRINT_WEIGHTS.siblingIndex;
+      const distance = Math.abs(this.getSiblingIndex(element) - fingerprint.siblingIndex);
+      if (distance === 0) {
+        score += FINGERPRINT_WEIGHTS.siblingIndex;
+      } else if (distance === 1) {
+        score += Math.round(FINGERPRINT_WEIGHTS.siblingIndex / 2);
+      }
+    }
+    
+    return { score, maxScore };
+  }
+  
+  /**
+   * Get the element's own tag name from a fingerprint
+   * @param {Object} fingerprint - Anchor fingerprint
+   * @returns {string|null} Lowercase tag name or null
+   */
+  getFingerprintTag(fingerprint) {
+    if (!fingerprint?.tagPath || typeof fingerprint.tagPath !== 'string') {
+      return null;
+    }
+    const tag = fingerprint.tagPath.split('>').pop();
+    return /^[a-z][a-z0-9-]*$/.test(tag) ? tag : null;
+  }
+  
+  /**
+   * Collapse whitespace and cap text length for hashing and comparison
+   * @param {string} text - Raw text
+   * @returns {string} Normalized text
+   */
+  normalizeText(text) {
+    return (text || '').replace(/\s+/g, ' ').trim().substring(0, 500);
+  }
+  
+  /**
+   * Hash text with 32-bit FNV-1a
+   * @param {string} text - Text to hash
+   * @returns {string} 8-character hex hash
+   */
+  hashText(text) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+      hash ^= text.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193);
+    }
+    return (hash >>> 0).toString(16).padStart(8, '0');
+  }
+  
+  /**
+   * Build a tag path from the nearest ancestors down to the element
+   * @param {Element} element - Target element
+   * @returns {string} Path such as "main>section>div>button"
+   */
+  getTagPath(element) {
+    const tags = [];
+    let current = element;
+    
+    while (current && current !== document.body && current !== document.documentElement &&
+           tags.length < MAX_TAG_PATH_DEPTH) {
+      tags.unshift(current.tagName.toLowerCase());
+      current = current.parentElement;
+    }
+    
+    return tags.join('>');
+  }
+  
+  /**
+   * Find descriptive text near the element: an ancestor's aria-label,
+   * the heading of the enclosing landmark, or a preceding sibling heading
+   * @param {Element} element - Target element
+   * @returns {string} Landmark text (max 100 chars) or empty string
+   */
+  getLandmarkText(element) {
+    let current = element;
+    
+    while (current && current !== document.body) {
+      // Headings just before the element or one of its ancestors
+      let sibling = current.previousElementSibling;
+      for (let i = 0; sibling && i < 3; i++) {
+        if (/^H[1-6]$/.test(sibling.tagName)) {
+          return this.normalizeText(sibling.textContent).substring(0, 100);
+        }
+        sibling = sibling.previousElementSibling;
+      }
+      
+      const parent = current.parentElement;
+      if (!parent || parent === document.body) {
+        break;
+      }
+      
+      const label = parent.getAttribute('aria-label');
+      if (label) {
+        return this.normalizeText(label).substring(0, 100);
+      }
+      
+      if (parent.matches(LANDMARK_SELECTOR)) {
+        const heading = parent.querySelector('h1, h2, h3, h4, h5, h6, legend');
+        if (heading && heading !== element) {
+          return this.normalizeText(heading.textContent).substring(0, 100);
+        }
+      }
+      
+      current = parent;
+    }
+    
+    return '';
+  }
+  
+  /**
+   * Get the width/height ratio of the element's bounding box
+   * @param {Element} element - Target element
+   * @returns {number|null} Ratio rounded to 2 decimals, or null if not rendered
+   */
+  getBoundingBoxRatio(element) {
+    const rect = element.getBoundingClientRect();
+    if (!rect.width || !rect.height) {
+      return null;
+    }
+    return Math.round((rect.width / rect.height) * 100) / 100;
+  }
+  
+  /**
+   * Get the ARIA role (explicit or implicit) and accessible name of an element
+   * @param {Element} element - Target element
+   * @returns {Object} { role: string|null, name: string|null }
+   */
+  getAriaInfo(element) {
+    const tagName = element.tagName.toLowerCase();
+    let role = element.getAttribute('role');
+    
+    if (!role) {
+      if (tagName === 'input') {
+        const type = (element.getAttribute('type') || 'text').toLowerCase();
+        role = ['button', 'submit', 'reset'].includes(type) ? 'button' :
+          ['checkbox', 'radio'].includes(type) ? type : 'textbox';
+      } else if (tagName !== 'a' || element.hasAttribute('href')) {
+        role = IMPLICIT_ROLES[tagName] || null;
+      }
+    }
+    
+    let name = element.getAttribute('aria-label');
+    
+    if (!name && element.hasAttribute('aria-labelledby')) {
+      name = element.getAttribute('aria-labelledby')
+        .split(/\s+/)
+        .map(id => element.getRootNode().getElementById?.(id)?.textContent || '')
+        .join(' ');
+    }
+    
+    if (!name) {
+      name = element.getAttribute('alt') || element.getAttribute('title') || element.getAttribute('placeholder');
+    }
+    
+    if (!name && ['button', 'link', 'heading'].includes(role)) {
+      name = element.textContent;
+    }
+    
+    const normalizedName = this.normalizeText(name).substring(0, 100);
+    
+    return { role: role || null, name: normalizedName || null };
+  }
+  
+  /**
+   * Get the 1-based index of the element among siblings with the same tag
+   * @param {Element} element - Target element
+   * @returns {number} Sibling index
+   */
+  getSiblingIndex(element) {
+    let index = 1;
+    let sibling = element.previousElementSibling;
+    
+    while (sibling) {
+      if (sibling.tagName === element.tagName) {
+        index++;
+      }
+      sibling = sibling.previousElementSibling;
+    }
+    
+    return index;
+  }
+  
+  /**
+   * Describe a text range inside an element as a text quote with context
+   * (TextQuoteSelector) plus character offsets (TextPositionSelector)
+   * @param {Range} range - Selected DOM range
+   * @param {Element} root - Anchor element containing the range
+   * @returns {Object|null} { exact, prefix, suffix, start, end } or null if not describable
+   */
+  describeTextRange(range, root) {
+    if (!range || range.collapsed || !root || !root.contains(range.commonAncestorContainer)) {
+      return null;
+    }
+    
+    const text = root.textContent || '';
+    const start = this.getTextOffset(root, range.startContainer, range.startOffset);
+    const end = this.getTextOffset(root, range.endContainer, range.endOffset);
+    const exact = text.slice(start, end);
+    
+    if (!exact.trim() || exact.length > MAX_TEXT_QUOTE_LENGTH) {
+      return null;
+    }
+    
+    return {
+      exact,
+      prefix: text.slice(Math.max(0, start - TEXT_CONTEXT_LENGTH), start),
+      suffix: text.slice(end, end + TEXT_CONTEXT_LENGTH),
+      start,
+      end
+    };
+  }
+  
+  /**
+   * Re-locate a stored text quote inside an element
+   * @param {Element} root - Anchor element
+   * @param {Object} textAnchor - Text anchor from describeTextRange()
+   * @returns {Range|null} Range covering the quote or null if not found
+   */
+  locateTextRange(root, textAnchor) {
+    if (!root || !textAnchor?.exact) {
+      return null;
+    }
+    
+    const position = this.findTextPosition(root.textContent || '', textAnchor);
+    if (!position) {
+      return null;
+    }
+    
+    return this.createTextRange(root, position.start, position.end);
+  }
+  
+  /**
+   * Find where a text quote now lives in a string
+   * Tries, in order: the stored position, exact quote matches ranked by context,
+   * the span between the stored prefix and suffix (quote was edited), and
+   * finally a fuzzy match on the quote itself
+   * @param {string} text - Text to search
+   * @param {Object} textAnchor - Text anchor { exact, prefix, suffix, start }
+   * @returns {Object|null} { start, end } or null if not found
+   */
+  findTextPosition(text, textAnchor) {
+    const { exact, prefix = '', suffix = '', start } = textAnchor;
+    
+    if (!exact || !text) {
+      return null;
+    }
+    
+    // Text has not moved
+    if (Number.isInteger(start) && text.substring(start, start + exact.length) === exact) {
+      return { start, end: start + exact.length };
+    }
+    
+    // Quote still exists but moved - prefer the occurrence with matching context
+    let best = null;
+    let index = text.indexOf(exact);
+    while (index !== -1) {
+      const end = index + exact.length;
+      const contextScore = this.stringSimilarity(text.slice(Math.max(0, index - prefix.length), index), prefix) +
+        this.stringSimilarity(text.slice(end, end + suffix.length), suffix);
+      const distance = Number.isInteger(start) ? Math.abs(index - start) : 0;
+      if (!best || contextScore > best.contextScore ||
+          (contextScore === best.contextScore && distance < best.distance)) {
+        best = { start: index, end, contextScore, distance };
+      }
+      index = text.indexOf(exact, index + 1);
+    }
+    
+    if (best) {
+      return { start: best.start, end: best.end };
+    }
+    
+    // Quote was edited - take whatever now sits between the original prefix and suffix
+    if (prefix.trim() && suffix.trim()) {
+      let prefixIndex = text.indexOf(prefix);
+      while (prefixIndex !== -1) {
+        const from = prefixIndex + prefix.length;
+        const suffixIndex = text.indexOf(suffix, from);
+        if (suffixIndex > from && suffixIndex - from <= exact.length * 2 + TEXT_CONTEXT_LENGTH) {
+          return { start: from, end: suffixIndex };
+        }
+        prefixIndex = text.indexOf(prefix, prefixIndex + 1);
+      }
+    }
+    
+    // Fuzzy match windows of the same length starting at word boundaries
+    // (skipped for very large elements to keep page load cheap)
+    let fuzzy = null;
+    if (text.length <= MAX_FUZZY_TEXT_LENGTH) {
+      for (const match of text.matchAll(/\S+/g)) {
+        const candidate = text.substring(match.index, match.index + exact.length);
+        const similarity = this.stringSimilarity(candidate, exact);
+        if (similarity >= TEXT_FUZZY_THRESHOLD && (!fuzzy || similarity > fuzzy.similarity)) {
+          fuzzy = { start: match.index, end: match.index + candidate.length, similarity };
+        }
+      }
+    }
+    
+    return fuzzy ? { start: fuzzy.start, end: fuzzy.end } : null;
+  }
+  
+  /**
+   * Get the character offset of a DOM boundary point within an element's text
+   * @param {Element} root - Element whose textContent the offset refers to
+   * @param {Node} container - Boundary container node
+   * @param {number} offset - Boundary offset within container
+   * @returns {number} Character offset
+   */
+  getTextOffset(root, container, offset) {
+    const range = document.createRange();
+    range.setStart(root, 0);
+    range.setEnd(container, offset);
+    return range.toString().length;
+  }
+  
+  /**
+   * Create a DOM range from character offsets within an element's text
+   * @param {Element} root - Element whose textContent the offsets refer to
+   * @param {number} start - Start offset
+   * @param {number} end - End offset
+   * @returns {Range|null} Range or null if offsets are out of bounds
+   */
+  createTextRange(root, start, end) {
+    const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT);
+    const range = document.createRange();
+    let position = 0;
+    let hasStart = false;
+    let node = walker.nextNode();
+    
+    while (node) {
+      const length = node.nodeValue.length;
+      
+      if (!hasStart && start < position + length) {
+        range.setStart(node, start - position);
+        hasStart = true;
+      }
+      
+      if (hasStart && end <= position + length) {
+        range.setEnd(node, end - position);
+        return range;
+      }
+      
+      position += length;
+      node = walker.nextNode();
+    }
+    
+    return null;
+  }
+  
+  /**
+   * Generate test locators for an element, for use in regression tests
+   * @param {Element} element - Target element
+   * @returns {Object|null} { xpath, playwright, cypress } or null for invalid elements
+   */
+  generateLocators(element) {
+    if (!element || element.nodeType !== Node.ELEMENT_NODE) {
+      return null;
+    }
+    
+    const selector = this.generate(element);
+    
+    return {
+      xpath: this.generateXPath(element),
+      playwright: this.generatePlaywrightLocator(element, selector),
+      cypress: this.generateCypressLocator(selector)
+    };
+  }
+  
+  /**
+   * Generate an XPath for an element
+   * Uses a stable ID or preferred attribute when unique, otherwise a positional
+   * path from the nearest ancestor with a stable ID (or from the document root)
+   * @param {Element} element - Target element
+   * @returns {string|null} XPath, or null inside shadow roots (XPath cannot reach them)
+   */
+  generateXPath(element) {
+    if (element.getRootNode() !== element.ownerDocument) {
+      return null;
+    }
+    
+    const tagName = element.tagName.toLowerCase();
+    
+    for (const attr of this.preferredAttributes) {
+      const value = element.getAttribute(attr);
+      if (value && this.isUnique(`${tagName}[${attr}="${CSS.escape(value)}"]`)) {
+        return `//${this.getXPathNodeTest(element)}[@${attr}=${toXPathString(value)}]`;
+      }
+    }
+    
+    const steps = [];
+    let current = element;
+    
+    while (current) {
+      if (current.id && !this.isDynamicId(current.id) && this.isUnique(`#${CSS.escape(current.id)}`)) {
+        steps.unshift(`/*[@id=${toXPathString(current.id)}]`);
+        break;
+      }
+      
+      const parent = current.parentElement;
+      const hasSameTagSiblings = parent && Array.from(parent.children)
+        .some(sibling => sibling !== current && sibling.tagName === current.tagName);
+      
+      steps.unshift(hasSameTagSiblings
+        ? `${this.getXPathNodeTest(current)}[${this.getSiblingIndex(current)}]`
+        : this.getXPathNodeTest(current));
+      current = parent;
+    }
+    
+    return `/${steps.join('/')}`;
+  }
+  
+  /**
+   * Get the XPath node test for an element's tag
+   * @param {Element} element - Target element
+   * @returns {string} Node test (e.g. div or *[local-name()="svg"])
+   */
+  getXPathNodeTest(element) {
+    if (element.namespaceURI === XHTML_NAMESPACE) {
+      return element.localName;
+    }
+    return `*[local-name()=${toXPathString(element.localName)}]`;
+  }
+  
+  /**
+   * Generate a Playwright locator for an element
+   * Prefers getByTestId, then getByRole with the accessible name, then a CSS locator
+   * (chained per shadow root, since Playwright locators pierce open shadow DOM)
+   * @param {Element} element - Target element
+   * @param {string} selector - CSS selector generated for the element
+   * @returns {string} Playwright locator expression
+   */
+  generatePlaywrightLocator(element, selector) {
+    const root = element.getRootNode();
+    const queryRoot = root.querySelectorAll ? root : document;
+    
+    const testId = element.getAttribute('data-testid');
+    if (testId && this.isUnique(`[data-testid="${CSS.escape(testId)}"]`, queryRoot)) {
+      return `page.getByTestId(${toJsString(testId)})`;
+    }
+    
+    const { role, name } = this.getAriaInfo(element);
+    if (role && name && name.length < MAX_LOCATOR_NAME_LENGTH && this.isUniqueRole(element, role, name, queryRoot)) {
+      return `page.getByRole(${toJsString(role)}, { name: ${toJsString(name)}, exact: true })`;
+    }
+    
+    return splitShadowSelector(selector)
+      .reduce((locator, part) => `${locator}.locator(${toJsString(part)})`, 'page');
+  }
+  
+  /**
+   * Generate a Cypress command chain for a selector
+   * Shadow DOM piercing selectors become cy.get(host).shadow().find(inner)
+   * @param {string} selector - CSS selector generated for the element
+   * @returns {string} Cypress command chain
+   */
+  generateCypressLocator(selector) {
+    const [first, ...rest] = splitShadowSelector(selector);
+    
+    return rest.reduce(
+      (command, part) => `${command}.shadow().find(${toJsString(part)})`,
+      `cy.get(${toJsString(first)})`
+    );
+  }
+  
+  /**
+   * Check if no other element in the root has the same role and accessible name
+   * @param {Element} element - Target element
+   * @param {string} role - ARIA role of the element
+   * @param {string} name - Accessible name of the element
+   * @param {Document|ShadowRoot} root - Root to search
+   * @returns {boolean} True if the role and name identify only this element
+   */
+  isUniqueRole(element, role, name, root = document) {
+    const tagName = element.tagName.toLowerCase();
+    const candidates = root.querySelectorAll(`${tagName}, [role="${CSS.escape(role)}"]`);
+    
+    return !Array.from(candidates).some(candidate => {
+      if (candidate === element) return false;
+      const info = this.getAriaInfo(candidate);
+      return info.role === role && info.name === name;
+    });
+  }
+  
   /**
    * Generate fallback selectors for an element
    * Returns multiple selectors in order of preference
@@ -635,9 +1510,15 @@ export class SelectorEngine {
       }
     }
     
+    // Shadow DOM piercing selectors are validated segment by segment
+    const segments = splitShadowSelector(trimmed);
+    if (segments.some(segment => !segment)) {
+      return { valid: false, error: 'Invalid CSS selector syntax' };
+    }
+    
     // Try to use the selector to verify it's valid CSS (DOM check)
     try {
-      document.querySelector(trimmed);
+      segments.forEach(segment => document.querySelector(segment));
     } catch (error) {
       log.error('Invalid CSS selector syntax:', error);
       return { valid: false, error: 'Invalid CSS selector syntax' };
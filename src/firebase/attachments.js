@@ -0,0 +1,140 @@
+/**
+ * Firebase Attachments Service
+ * Stores images and files attached to notes and comments in Cloud Storage
+ *
+ * Storage layout: attachments/{userId}/{attachmentId}
+ * Notes and comments only carry references:
+ * {
+ *   id: string,
+ *   name: string,      // Original file name
+ *   type: string,      // MIME type
+ *   size: number,      // Bytes
+ *   storage: 'cloud',
+ *   path: string,      // Cloud Storage path, used to delete the file
+ *   url: string        // Download URL, readable by anyone the note is shared with
+ * }
+ *
+ * NOTE: Firebase Storage SDK imports are lazy-loaded inside functions
+ * to avoid blocking extension startup with SDK parsing.
+ */
+
+import { app, isFirebaseConfigured } from './config.js';
+import { isAllowedAttachmentType, getDataUrlSize, MAX_ATTACHMENT_SIZE } from '../shared/utils.js';
+
+const ATTACHMENTS_FOLDER = 'attachments';
+
+// Cached Storage SDK to avoid repeated dynamic imports
+let storageSdkCache = null;
+
+/**
+ * Lazy-load Firebase Storage SDK
+ * @returns {Promise<Object>} Storage SDK functions
+ */
+async function loadStorageSdk() {
+  if (storageSdkCache) {
+    return storageSdkCache;
+  }
+  const sdk = await import('firebase/storage');
+  storageSdkCache = {
+    getStorage: sdk.getStorage,
+    ref: sdk.ref,
+    uploadString: sdk.uploadString,
+    getDownloadURL: sdk.getDownloadURL,
+    deleteObject: sdk.deleteObject
+  };
+  return storageSdkCache;
+}
+
+/**
+ * Get Storage dependencies - lazy loads if not provided via deps
+ * @param {Object} deps - Optional overrides for testing
+ * @returns {Promise<Object>} Storage functions merged with deps
+ */
+async function getStorageDeps(deps = {}) {
+  // If deps already has Storage functions, use them (for testing)
+  if (deps.ref) {
+    return deps;
+  }
+  const sdk = await loadStorageSdk();
+  return { ...sdk, ...deps };
+}
+
+/**
+ * Resolve the storage bucket, throwing when Firebase is not configured
+ * @param {Object} storageDeps - Storage functions
+ * @param {Object} deps - Optional dependencies for testing
+ * @returns {Object} Storage instance
+ */
+function getConfiguredStorage(storageDeps, deps) {
+  const appInstance = deps.app !== undefined ? deps.app : app;
+  const isConfigured = deps.isFirebaseConfigured !== undefined ? deps.isFirebaseConfigured() : isFirebaseConfigured();
+
+  if (!isConfigured || !appInstance) {
+    throw new Error('Firebase is not configured');
+  }
+
+  return deps.storage || storageDeps.getStorage(appInstance);
+}
+
+/**
+ * Upload an attachment
+ * @param {string} attachmentId - Attachment ID
+ * @param {Object} file - File { name, type, size, dataUrl }
+ * @param {Object} user - Current user { uid }
+ * @param {Object} deps - Optional dependencies for testing
+ * @returns {Promise<Object>} { path, url }
+ */
+export async function uploadAttachment(attachmentId, file, user, deps = {}) {
+  const storageDeps = await getStorageDeps(deps);
+  const storage = getConfiguredStorage(storageDeps, deps);
+
+  if (!user || !user.uid) {
+    throw new Error('User authentication required');
+  }
+
+  if (!attachmentId || !/^[\w-]+$/.test(attachmentId)) {
+    throw new Error('Invalid attachment ID');
+  }
+
+  const size = getDataUrlSize(file?.dataUrl);
+  if (!isAllowedAttachmentType(file?.type) || size === null || !file.dataUrl.startsWith(`data:${file.type}`)) {
+    throw new Error('File type not allowed');
+  }
+
+  if (size > MAX_ATTACHMENT_SIZE) {
+    throw new Error('File is too large');
+  }
+
+  const path = `${ATTACHMENTS_FOLDER}/${user.uid}/${attachmentId}`;
+  const fileRef = storageDeps.ref(storage, path);
+
+  await storageDeps.uploadString(fileRef, file.dataUrl, 'data_url', {
+    customMetadata: { name: file.name }
+  });
+  const url = await storageDeps.getDownloadURL(fileRef);
+
+  return { path, url };
+}
+
+/**
+ * Delete an attachment
+ * Only the user who uploaded an attachment can delete it
+ * @param {string} path - Cloud Storage path from the attachment reference
+ * @param {Object} user - Current user { uid }
+ * @param {Object} deps - Optional dependencies for testing
+ * @returns {Promise<void>}
+ */
+export async function deleteAttachment(path, user, deps = {}) {
+  const storageDeps = await getStorageDeps(deps);
+  const storage = getConfiguredStorage(storageDeps, deps);
+
+  if (!user || !user.uid) {
+    throw new Error('User authentication required');
+  }
+
+  if (typeof path !== 'string' || !path.startsWith(`${ATTACHMENTS_FOLDER}/${user.uid}/`)) {
+    throw new Error('Permission denied');
+  }
+
+  await storageDeps.deleteObject(storageDeps.ref(storage, path));
+}
@@ -9,10 +9,21 @@
  *   authorEmail: string,
  *   authorName: string,
  *   authorPhotoURL: string | null,
- *   content: string,
+ *   content: string,       // May be empty when the comment has attachments
+ *   format: string,        // 'text', or 'html' for rich text (sanitized when rendered); missing means 'text'
+ *   attachments: Array,    // Attachment references, see normalizeAttachments
+ *   mentions: Array,       // People @mentioned in the content: { email, name }
  *   createdAt: Timestamp,
  *   updatedAt: Timestamp,
- *   parentId: string | null  // null = top-level, commentId for replies
+ *   parentId: string | null,  // null = top-level, commentId of any comment for replies (no depth limit)
+ *   reactions: Object,     // Map of user ID to reaction types
+ *   deleted: boolean,      // Deleted, but kept (emptied) for replies by other people
+ *   deletedAt: Timestamp,
+ *   // Thread state, only on top-level comments:
+ *   resolved: boolean,
+ *   resolvedBy: { uid, email, name } | null,
+ *   resolvedAt: Timestamp | null,
+ *   acceptedAnswerId: string | null  // A reply anywhere in the thread
  * }
  *
  * NOTE: Firebase Firestore SDK imports are lazy-loaded inside functions
@@ -20,13 +31,12 @@
  */
 
 import { db, isFirebaseConfigured } from './config.js';
-import { MAX_COMMENT_LENGTH } from '../shared/utils.js';
+import { MAX_COMMENT_LENGTH, MAX_COMMENT_HTML_LENGTH, getCommentText, getCommentDescendantIds, getMentionsInContent, getNoteCollaborators, normalizeAttachments, normalizeMentions, normalizeReactions, toggleReactionType, REACTION_TYPES } from '../shared/utils.js';
 
 const NOTES_COLLECTION = 'notes';
 const COMMENTS_SUBCOLLECTION = 'comments';
-
-// Maximum nesting depth for replies (1 = only direct replies to top-level comments)
-const MAX_REPLY_DEPTH = 1;
+// Firestore rejects batches with more writes than this
+const MAX_BATCH_WRITES = 500;
 
 // Cached Firestore SDK to avoid repeated dynamic imports
 let firestoreSdkCache = null;
@@ -72,17 +82,32 @@ async function getFirestoreDeps(deps = {}) {
   return { ...sdk, ...deps };
 }
 
+/**
+ * Get a supported comment format
+ * @param {*} format - Raw format
+ * @returns {string} 'html' or 'text'
+ */
+function normalizeCommentFormat(format) {
+  return format === 'html' ? 'html' : 'text';
+}
+
 /**
  * Validate comment content
+ * The length limit counts the text of rich text comments, not their markup.
  * @param {string} content - Comment content
+ * @param {string} [format] - 'text' or 'html'
  * @returns {Object} Validation result { valid: boolean, error?: string }
  */
-export function validateCommentContent(content) {
+export function validateCommentContent(content, format = 'text') {
   if (!content || typeof content !== 'string') {
     return { valid: false, error: 'Comment content is required' };
   }
   
-  const trimmed = content.trim();
+  if (format === 'html' && content.length > MAX_COMMENT_HTML_LENGTH) {
+    return { valid: false, error: 'Comment formatting is too large' };
+  }
+  
+  const trimmed = getCommentText({ content, format }).trim();
   
   if (trimmed.length === 0) {
     return { valid: false, error: 'Comment cannot be empty' };
@@ -95,6 +120,21 @@ export function validateCommentContent(content) {
   return { valid: true };
 }
 
+/**
+ * Validate a comment body: text, unless the comment carries attachments
+ * @param {string} content - Comment content
+ * @param {Object[]} attachments - Normalized attachments
+ * @param {string} format - 'text' or 'html'
+ * @returns {Object} Validation result { valid: boolean, error?: string }
+ */
+function validateCommentBody(content, attachments, format) {
+  if (attachments.length > 0 && (content === undefined || content === null || (typeof content === 'string' && !content.trim()))) {
+    return { valid: true };
+  }
+  
+  return validateCommentContent(content, format);
+}
+
 /**
  * Check if user has permission to access a note (owner or shared with)
  * @param {Object} noteData - Note document data
@@ -115,12 +155,31 @@ function hasNoteAccess(noteData, userId, userEmail) {
   return false;
 }
 
+/**
+ * Keep the mentions that point at the note's collaborators and are still in the text
+ * Authors are never notified about their own comments.
+ * @param {*} mentions - Raw mentions
+ * @param {string} text - Comment text, without markup
+ * @param {Object} noteData - Note document data
+ * @param {string} authorEmail - Comment author's email
+ * @returns {Object[]} Mentions to store { email, name }
+ */
+function filterMentions(mentions, text, noteData, authorEmail) {
+  const collaborators = getNoteCollaborators(noteData);
+  const author = authorEmail?.toLowerCase();
+  return getMentionsInContent(normalizeMentions(mentions), text)
+    .filter(mention => mention.email !== author && collaborators.includes(mention.email));
+}
+
 /**
  * Create a new comment on a note
  * @param {string} noteId - Note ID to comment on
  * @param {Object} commentData - Comment data
- * @param {string} commentData.content - Comment text content
+ * @param {string} commentData.content - Comment text content, or HTML for rich text
+ * @param {string} [commentData.format] - 'html' for rich text, plain text otherwise
  * @param {string|null} commentData.parentId - Parent comment ID for replies (null for top-level)
+ * @param {Object[]} [commentData.attachments] - Attachment references
+ * @param {Object[]} [commentData.mentions] - People mentioned in the content { email, name }
  * @param {Object} user - Current user { uid, email, displayName }
  * @param {Object} deps - Optional dependencies for testing
  * @returns {Promise<Object>} Created comment with ID
@@ -145,7 +204,9 @@ export async function createComment(noteId, commentData, user, deps = {}) {
   }
   
   // Validate content
-  const contentValidation = validateCommentContent(commentData.content);
+  const attachments = normalizeAttachments(commentData.attachments);
+  const format = normalizeCommentFormat(commentData.format);
+  const contentValidation = validateCommentBody(commentData.content, attachments, format);
   if (!contentValidation.valid) {
     throw new Error(contentValidation.error);
   }
@@ -178,21 +239,18 @@ export async function createComment(noteId, commentData, user, deps = {}) {
     if (!parentSnap.exists()) {
       throw new Error('Parent comment not found');
     }
-    
-    const parentData = parentSnap.data();
-    
-    // Enforce max reply depth - if parent already has a parentId, we're at max depth
-    if (parentData.parentId !== null) {
-      throw new Error('Maximum reply depth reached');
-    }
   }
   
+  const content = (commentData.content || '').trim(); // Store raw content; escape at render time
   const comment = {
     authorId: user.uid,
     authorEmail: user.email || '',
     authorName: user.displayName || user.email || 'Anonymous',
     authorPhotoURL: user.photoURL || null,
-    content: commentData.content.trim(), // Store raw content; escape at render time
+    content,
+    format,
+    attachments,
+    mentions: filterMentions(commentData.mentions, getCommentText({ content, format }), noteData, user.email),
     parentId: commentData.parentId || null,
     createdAt: firebaseDeps.serverTimestamp(),
     updatedAt: firebaseDeps.serverTimestamp()
@@ -269,7 +327,7 @@ export async function getCommentsForNote(noteId, user, deps = {}) {
  * Update a comment
  * @param {string} noteId - Note ID
  * @param {string} commentId - Comment ID
- * @param {Object} updates - Fields to update (only content allowed)
+ * @param {Object} updates - Fields to update (content with its format, attachments and mentions)
  * @param {string} userId - Current user ID
  * @param {Object} deps - Optional dependencies for testing
  * @returns {Promise<void>}
@@ -292,9 +350,13 @@ export async function updateComment(noteId, commentId, updates, userId, deps = {
     throw new Error('Invalid comment ID');
   }
   
+  const attachments = updates.attachments !== undefined ? normalizeAttachments(updates.attachments) : undefined;
+  // New content comes with its own format
+  const format = normalizeCommentFormat(updates.format);
+  
   // Validate content if provided
   if (updates.content !== undefined) {
-    const contentValidation = validateCommentContent(updates.content);
+    const contentValidation = validateCommentBody(updates.content, attachments || [], format);
     if (!contentValidation.valid) {
       throw new Error(contentValidation.error);
     }
@@ -320,10 +382,31 @@ export async function updateComment(noteId, commentId, updates, userId, deps = {
     throw new Error('Only the author can edit this comment');
   }
   
-  // Only allow content to be updated
+  // Removing the last attachment must not leave an empty comment
+  const nextText = updates.content !== undefined
+    ? getCommentText({ content: updates.content, format })
+    : getCommentText(commentData);
+  if (attachments?.length === 0 && !nextText.trim()) {
+    throw new Error('Comment cannot be empty');
+  }
+  
+  // Only allow content, format, attachments and mentions to be updated
   const filteredUpdates = {};
   if (updates.content !== undefined) {
-    filteredUpdates.content = updates.content.trim(); // Store raw content; escape at render time
+    filteredUpdates.content = (updates.content || '').trim(); // Store raw content; escape at render time
+    filteredUpdates.format = format;
+  }
+  if (attachments !== undefined) {
+    filteredUpdates.attachments = attachments;
+  }
+  if (updates.mentions !== undefined) {
+    // Collaborators may have changed since the comment was written
+    const noteSnap = await firebaseDeps.getDoc(firebaseDeps.doc(dbInstance, NOTES_COLLECTION, noteId));
+    const noteData = noteSnap.exists() ? noteSnap.data() : {};
+    filteredUpdates.mentions = filterMentions(updates.mentions, nextText, noteData, commentData.authorEmail);
+  } else if (updates.content !== undefined && commentData.mentions?.length) {
+    // Editing a mention out of the text drops it
+    filteredUpdates.mentions = getMentionsInContent(commentData.mentions, nextText);
   }
   
   if (Object.keys(filteredUpdates).length === 0) {
@@ -336,12 +419,268 @@ export async function updateComment(noteId, commentId, updates, userId, deps = {
 }
 
 /**
- * Delete a comment
+ * Add or remove the current user's reaction on a comment
+ * Anyone with access to the note can react; only their own entry in the
+ * reactions map is written and the comment's updatedAt is left alone.
+ * @param {string} noteId - Note ID
+ * @param {string} commentId - Comment ID
+ * @param {string} reaction - One of REACTION_TYPES
+ * @param {Object} user - Current user { uid, email }
+ * @param {Object} deps - Optional dependencies for testing
+ * @returns {Promise<Object>} The comment's reactions after the toggle
+ */
+export async function toggleCommentReaction(noteId, commentId, reaction, user, deps = {}) {
+  const firebaseDeps = await getFirestoreDeps(deps);
+  const dbInstance = deps.db !== undefined ? deps.db : db;
+  const isConfigured = deps.isFirebaseConfigured !== undefined ? deps.isFirebaseConfigured() : isFirebaseConfigured();
+  
+  if (!isConfigured || !dbInstance) {
+    throw new Error('Firebase is not configured');
+  }
+  
+  if (!noteId || typeof noteId !== 'string') {
+    throw new Error('Invalid note ID');
+  }
+  
+  if (!commentId || typeof commentId !== 'string') {
+    throw new Error('Invalid comment ID');
+  }
+  
+  if (!REACTION_TYPES.includes(reaction)) {
+    throw new Error('Invalid reaction');
+  }
+  
+  if (!user || !user.uid) {
+    throw new Error('User authentication required');
+  }
+  
+  const noteSnap = await firebaseDeps.getDoc(firebaseDeps.doc(dbInstance, NOTES_COLLECTION, noteId));
+  if (!noteSnap.exists()) {
+    throw new Error('Note not found');
+  }
+  
+  if (!hasNoteAccess(noteSnap.data(), user.uid, user.email)) {
+    throw new Error('Permission denied');
+  }
+  
+  const commentRef = firebaseDeps.doc(
+    dbInstance,
+    NOTES_COLLECTION,
+    noteId,
+    COMMENTS_SUBCOLLECTION,
+    commentId
+  );
+  const commentSnap = await firebaseDeps.getDoc(commentRef);
+  
+  if (!commentSnap.exists()) {
+    throw new Error('Comment not found');
+  }
+  
+  const reactions = normalizeReactions(commentSnap.data().reactions);
+  const types = toggleReactionType(reactions[user.uid], reaction);
+  
+  await firebaseDeps.updateDoc(commentRef, { [`reactions.${user.uid}`]: types });
+  
+  if (types.length > 0) {
+    reactions[user.uid] = types;
+  } else {
+    delete reactions[user.uid];
+  }
+  return reactions;
+}
+
+/**
+ * Load a top-level comment for a thread change, checking the user can see the note
+ * @param {Object} firebaseDeps - Firestore functions
+ * @param {Object} dbInstance - Firestore instance
+ * @param {string} noteId - Note ID
+ * @param {string} commentId - Top-level comment ID
+ * @param {Object} user - Current user { uid, email }
+ * @returns {Promise<Object>} { noteData, commentRef, commentData }
+ */
+async function getThreadRoot(firebaseDeps, dbInstance, noteId, commentId, user) {
+  const noteSnap = await firebaseDeps.getDoc(firebaseDeps.doc(dbInstance, NOTES_COLLECTION, noteId));
+  if (!noteSnap.exists()) {
+    throw new Error('Note not found');
+  }
+  
+  const noteData = noteSnap.data();
+  if (!hasNoteAccess(noteData, user.uid, user.email)) {
+    throw new Error('Permission denied');
+  }
+  
+  const commentRef = firebaseDeps.doc(
+    dbInstance,
+    NOTES_COLLECTION,
+    noteId,
+    COMMENTS_SUBCOLLECTION,
+    commentId
+  );
+  const commentSnap = await firebaseDeps.getDoc(commentRef);
+  
+  if (!commentSnap.exists()) {
+    throw new Error('Comment not found');
+  }
+  
+  const commentData = commentSnap.data();
+  if (commentData.parentId) {
+    throw new Error('Only top-level comments start a thread');
+  }
+  
+  return { noteData, commentRef, commentData };
+}
+
+/**
+ * Fields that mark a thread resolved by the user, or reopen it
+ * @param {Object} firebaseDeps - Firestore functions
+ * @param {boolean} resolved - Resolved state
+ * @param {Object} user - Current user { uid, email, displayName }
+ * @returns {Object} Fields to write
+ */
+function getResolvedFields(firebaseDeps, resolved, user) {
+  if (!resolved) {
+    return { resolved: false, resolvedBy: null, resolvedAt: null };
+  }
+  return {
+    resolved: true,
+    resolvedBy: {
+      uid: user.uid,
+      email: user.email || null,
+      name: user.displayName || user.email || null
+    },
+    resolvedAt: firebaseDeps.serverTimestamp()
+  };
+}
+
+/**
+ * Resolve or reopen a comment thread
+ * Anyone with access to the note can do this. Like reactions, it leaves
+ * updatedAt alone so the comment isn't shown as edited.
+ * @param {string} noteId - Note ID
+ * @param {string} commentId - Top-level comment ID
+ * @param {boolean} resolved - True to resolve, false to reopen
+ * @param {Object} user - Current user { uid, email, displayName }
+ * @param {Object} deps - Optional dependencies for testing
+ * @returns {Promise<Object>} Thread state { resolved, resolvedBy, acceptedAnswerId }
+ */
+export async function setCommentThreadResolved(noteId, commentId, resolved, user, deps = {}) {
+  const firebaseDeps = await getFirestoreDeps(deps);
+  const dbInstance = deps.db !== undefined ? deps.db : db;
+  const isConfigured = deps.isFirebaseConfigured !== undefined ? deps.isFirebaseConfigured() : isFirebaseConfigured();
+  
+  if (!isConfigured || !dbInstance) {
+    throw new Error('Firebase is not configured');
+  }
+  
+  if (!noteId || typeof noteId !== 'string') {
+    throw new Error('Invalid note ID');
+  }
+  
+  if (!commentId || typeof commentId !== 'string') {
+    throw new Error('Invalid comment ID');
+  }
+  
+  if (typeof resolved !== 'boolean') {
+    throw new Error('Invalid resolved state');
+  }
+  
+  if (!user || !user.uid) {
+    throw new Error('User authentication required');
+  }
+  
+  const { commentRef, commentData } = await getThreadRoot(firebaseDeps, dbInstance, noteId, commentId, user);
+  const fields = getResolvedFields(firebaseDeps, resolved, user);
+  
+  await firebaseDeps.updateDoc(commentRef, fields);
+  
+  return {
+    resolved,
+    resolvedBy: fields.resolvedBy,
+    acceptedAnswerId: commentData.acceptedAnswerId || null
+  };
+}
+
+/**
+ * Mark a reply as the accepted answer of its thread, or clear it
+ * Only the author of the top-level comment or the note owner can pick the
+ * answer. Accepting one also resolves the thread.
+ * @param {string} noteId - Note ID
+ * @param {string} commentId - Top-level comment ID
+ * @param {string|null} answerId - ID of a reply in the thread, or null to clear
+ * @param {Object} user - Current user { uid, email, displayName }
+ * @param {Object} deps - Optional dependencies for testing
+ * @returns {Promise<Object>} Thread state { resolved, resolvedBy, acceptedAnswerId }
+ */
+export async function setAcceptedAnswer(noteId, commentId, answerId, user, deps = {}) {
+  const firebaseDeps = await getFirestoreDeps(deps);
+  const dbInstance = deps.db !== undefined ? deps.db : db;
+  const isConfigured = deps.isFirebaseConfigured !== undefined ? deps.isFirebaseConfigured() : isFirebaseConfigured();
+  
+  if (!isConfigured || !dbInstance) {
+    throw new Error('Firebase is not configured');
+  }
+  
+  if (!noteId || typeof noteId !== 'string') {
+    throw new Error('Invalid note ID');
+  }
+  
+  if (!commentId || typeof commentId !== 'string') {
+    throw new Error('Invalid comment ID');
+  }
+  
+  if (answerId !== null && (!answerId || typeof answerId !== 'string')) {
+    throw new Error('Invalid answer ID');
+  }
+  
+  if (!user || !user.uid) {
+    throw new Error('User authentication required');
+  }
+  
+  const { noteData, commentRef, commentData } = await getThreadRoot(firebaseDeps, dbInstance, noteId, commentId, user);
+  
+  if (commentData.authorId !== user.uid && noteData.ownerId !== user.uid) {
+    throw new Error('Permission denied');
+  }
+  
+  const updates = { acceptedAnswerId: answerId };
+  let resolvedBy = commentData.resolvedBy || null;
+  
+  if (answerId) {
+    const allSnap = await firebaseDeps.getDocs(
+      firebaseDeps.collection(dbInstance, NOTES_COLLECTION, noteId, COMMENTS_SUBCOLLECTION)
+    );
+    const comments = [];
+    allSnap.forEach(doc => comments.push({ id: doc.id, parentId: doc.data().parentId }));
+    
+    if (!getCommentDescendantIds(comments, commentId).includes(answerId)) {
+      throw new Error('The answer must be a reply in this thread');
+    }
+    
+    if (!commentData.resolved) {
+      Object.assign(updates, getResolvedFields(firebaseDeps, true, user));
+      resolvedBy = updates.resolvedBy;
+    }
+  }
+  
+  await firebaseDeps.updateDoc(commentRef, updates);
+  
+  return {
+    resolved: Boolean(commentData.resolved) || Boolean(answerId),
+    resolvedBy,
+    acceptedAnswerId: answerId
+  };
+}
+
+/**
+ * Delete a comment and all of its replies
+ * Only the note owner may delete other people's comments (see firestore.rules), so
+ * when anyone else deletes a comment with replies by others, the comment is emptied
+ * and marked deleted instead, and the replies stay.
  * @param {string} noteId - Note ID
  * @param {string} commentId - Comment ID
  * @param {string} userId - Current user ID
  * @param {Object} deps - Optional dependencies for testing
- * @returns {Promise<void>}
+ * @returns {Promise<Object[]>} Attachments of the deleted comment and its replies, so their files can be removed
  */
 export async function deleteComment(noteId, commentId, userId, deps = {}) {
   const firebaseDeps = await getFirestoreDeps(deps);
@@ -391,32 +730,52 @@ export async function deleteComment(noteId, commentId, userId, deps = {}) {
     throw new Error('Permission denied');
   }
   
-  // If this is a top-level comment, also delete all replies
-  if (commentData.parentId === null) {
-    // Find all replies to this comment
-    const repliesQuery = firebaseDeps.query(
-      firebaseDeps.collection(dbInstance, NOTES_COLLECTION, noteId, COMMENTS_SUBCOLLECTION),
-      firebaseDeps.where('parentId', '==', commentId)
-    );
-    
-    const repliesSnap = await firebaseDeps.getDocs(repliesQuery);
-    
-    // Use batch delete if there are replies
-    if (repliesSnap.size > 0) {
-      const batch = firebaseDeps.writeBatch(dbInstance);
-      
-      repliesSnap.forEach(doc => {
-        batch.delete(doc.ref);
-      });
-      
-      batch.delete(commentRef);
-      await batch.commit();
-    } else {
-      await firebaseDeps.deleteDoc(commentRef);
-    }
-  } else {
+  const removedAttachments = [...(commentData.attachments || [])];
+  
+  // Replies can nest at any depth, so load the whole thread to find the comment's subtree
+  const allSnap = await firebaseDeps.getDocs(
+    firebaseDeps.collection(dbInstance, NOTES_COLLECTION, noteId, COMMENTS_SUBCOLLECTION)
+  );
+  const docsById = new Map();
+  allSnap.forEach(doc => docsById.set(doc.id, doc));
+  const replyIds = getCommentDescendantIds(
+    [...docsById.values()].map(doc => ({ id: doc.id, parentId: doc.data().parentId })),
+    commentId
+  );
+  
+  const othersReplied = replyIds.some(replyId => docsById.get(replyId).data().authorId !== userId);
+  if (othersReplied && noteData.ownerId !== userId) {
+    await firebaseDeps.updateDoc(commentRef, {
+      content: '',
+      format: 'text',
+      attachments: [],
+      mentions: [],
+      deleted: true,
+      deletedAt: firebaseDeps.serverTimestamp()
+    });
+    return removedAttachments;
+  }
+  
+  if (replyIds.length === 0) {
     await firebaseDeps.deleteDoc(commentRef);
+    return removedAttachments;
+  }
+  
+  // Replies come before their parents, so a failed batch never orphans a reply
+  const refs = [...replyIds].reverse().map(replyId => {
+    const replyDoc = docsById.get(replyId);
+    removedAttachments.push(...(replyDoc.data().attachments || []));
+    return replyDoc.ref;
+  });
+  refs.push(commentRef);
+  
+  for (let start = 0; start < refs.length; start += MAX_BATCH_WRITES) {
+    const batch = firebaseDeps.writeBatch(dbInstance);
+    refs.slice(start, start + MAX_BATCH_WRITES).forEach(ref => batch.delete(ref));
+    await batch.commit();
   }
+  
+  return removedAttachments;
 }
 
 /**
@@ -556,4 +915,4 @@ export function subscribeToComments(noteId, user, onUpdate, onError, deps = {})
   };
 }
 
-export { MAX_REPLY_DEPTH, MAX_COMMENT_LENGTH };
+export { MAX_COMMENT_LENGTH };
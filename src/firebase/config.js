@@ -150,5 +150,5 @@ export function resetFirebase() {
   db = null;
 }
 
-export { auth, db };
+export { app, auth, db };
 export { getFirebaseConfig, isConfigValid, isFirebaseConfigured };
@@ -39,6 +39,7 @@ export {
   shareNote,
   unshareNote,
   leaveSharedNote,
+  toggleNoteReaction,
   subscribeToNotesForUrl,
   getSharedNotesForUser,
   subscribeToSharedNotes
@@ -50,9 +51,44 @@ export {
   createComment,
   getCommentsForNote,
   updateComment,
+  toggleCommentReaction,
+  setCommentThreadResolved,
+  setAcceptedAnswer,
   deleteComment,
   getCommentCount,
   subscribeToComments,
-  MAX_REPLY_DEPTH,
   MAX_COMMENT_LENGTH
 } from './comments.js';
+
+// Re-export revisions functions
+export {
+  recordRevision,
+  getRevisionsForNote,
+  getRevision,
+  MAX_REVISIONS
+} from './revisions.js';
+
+// Re-export presence functions
+export {
+  setPresence,
+  clearPresence,
+  subscribeToPresence
+} from './presence.js';
+
+// Re-export notifications functions
+export {
+  getMentionNotifications,
+  markNotificationRead
+} from './notifications.js';
+
+// Re-export screenshots functions
+export {
+  uploadScreenshot,
+  deleteScreenshot
+} from './screenshots.js';
+
+// Re-export attachments functions
+export {
+  uploadAttachment,
+  deleteAttachment
+} from './attachments.js';
@@ -130,6 +130,14 @@ export async function getNotesForUrlLazy(url, userId, userEmail, deps) {
   return notes.getNotesForUrl(url, userId, userEmail, deps);
 }
 
+/**
+ * Lazy wrapper for getNotesForDomain
+ */
+export async function getNotesForDomainLazy(origin, userId, userEmail, deps) {
+  const notes = await getNotesModule();
+  return notes.getNotesForDomain(origin, userId, userEmail, deps);
+}
+
 /**
  * Lazy wrapper for updateNote
  */
@@ -170,6 +178,14 @@ export async function leaveSharedNoteLazy(noteId, userEmail, deps) {
   return notes.leaveSharedNote(noteId, userEmail, deps);
 }
 
+/**
+ * Lazy wrapper for toggleNoteReaction
+ */
+export async function toggleNoteReactionLazy(noteId, reaction, user, deps) {
+  const notes = await getNotesModule();
+  return notes.toggleNoteReaction(noteId, reaction, user, deps);
+}
+
 /**
  * Lazy wrapper for subscribeToNotesForUrl
  */
@@ -218,6 +234,30 @@ export async function updateCommentLazy(noteId, commentId, updates, userId, deps
   return comments.updateComment(noteId, commentId, updates, userId, deps);
 }
 
+/**
+ * Lazy wrapper for toggleCommentReaction
+ */
+export async function toggleCommentReactionLazy(noteId, commentId, reaction, user, deps) {
+  const comments = await getCommentsModule();
+  return comments.toggleCommentReaction(noteId, commentId, reaction, user, deps);
+}
+
+/**
+ * Lazy wrapper for setCommentThreadResolved
+ */
+export async function setCommentThreadResolvedLazy(noteId, commentId, resolved, user, deps) {
+  const comments = await getCommentsModule();
+  return comments.setCommentThreadResolved(noteId, commentId, resolved, user, deps);
+}
+
+/**
+ * Lazy wrapper for setAcceptedAnswer
+ */
+export async function setAcceptedAnswerLazy(noteId, commentId, answerId, user, deps) {
+  const comments = await getCommentsModule();
+  return comments.setAcceptedAnswer(noteId, commentId, answerId, user, deps);
+}
+
 /**
  * Lazy wrapper for deleteComment
  */
@@ -233,3 +273,99 @@ export async function subscribeToCommentsLazy(noteId, onUpdate, onError, deps) {
   const comments = await getCommentsModule();
   return comments.subscribeToComments(noteId, onUpdate, onError, deps);
 }
+
+/**
+ * Lazy wrapper for recordRevision
+ */
+export async function recordRevisionLazy(noteId, change, user, deps) {
+  const notes = await getNotesModule();
+  return notes.recordRevision(noteId, change, user, deps);
+}
+
+/**
+ * Lazy wrapper for getRevisionsForNote
+ */
+export async function getRevisionsForNoteLazy(noteId, user, deps) {
+  const notes = await getNotesModule();
+  return notes.getRevisionsForNote(noteId, user, deps);
+}
+
+/**
+ * Lazy wrapper for getRevision
+ */
+export async function getRevisionLazy(noteId, revisionId, user, deps) {
+  const notes = await getNotesModule();
+  return notes.getRevision(noteId, revisionId, user, deps);
+}
+
+/**
+ * Lazy wrapper for setPresence
+ */
+export async function setPresenceLazy(sessionKey, state, user, deps) {
+  const notes = await getNotesModule();
+  return notes.setPresence(sessionKey, state, user, deps);
+}
+
+/**
+ * Lazy wrapper for clearPresence
+ */
+export async function clearPresenceLazy(sessionKey, user, deps) {
+  const notes = await getNotesModule();
+  return notes.clearPresence(sessionKey, user, deps);
+}
+
+/**
+ * Lazy wrapper for subscribeToPresence
+ */
+export async function subscribeToPresenceLazy(url, user, onUpdate, onError, deps) {
+  const notes = await getNotesModule();
+  return notes.subscribeToPresence(url, user, onUpdate, onError, deps);
+}
+
+/**
+ * Lazy wrapper for getMentionNotifications
+ */
+export async function getMentionNotificationsLazy(user, deps) {
+  const notes = await getNotesModule();
+  return notes.getMentionNotifications(user, deps);
+}
+
+/**
+ * Lazy wrapper for markNotificationRead
+ */
+export async function markNotificationReadLazy(notificationId, user, deps) {
+  const notes = await getNotesModule();
+  return notes.markNotificationRead(notificationId, user, deps);
+}
+
+/**
+ * Lazy wrapper for uploadScreenshot
+ */
+export async function uploadScreenshotLazy(screenshotId, dataUrl, user, deps) {
+  const notes = await getNotesModule();
+  return notes.uploadScreenshot(screenshotId, dataUrl, user, deps);
+}
+
+/**
+ * Lazy wrapper for deleteScreenshot
+ */
+export async function deleteScreenshotLazy(path, user, deps) {
+  const notes = await getNotesModule();
+  return notes.deleteScreenshot(path, user, deps);
+}
+
+/**
+ * Lazy wrapper for uploadAttachment
+ */
+export async function uploadAttachmentLazy(attachmentId, file, user, deps) {
+  const notes = await getNotesModule();
+  return notes.uploadAttachment(attachmentId, file, user, deps);
+}
+
+/**
+ * Lazy wrapper for deleteAttachment
+ */
+export async function deleteAttachmentLazy(path, user, deps) {
+  const notes = await getNotesModule();
+  return notes.deleteAttachment(path, user, deps);
+}
@@ -7,7 +7,7 @@
  */
 
 import { db, isFirebaseConfigured } from './config.js';
-import { VALID_THEMES, normalizeUrl, parseCompositeUrl, validateSelectorPattern } from '../shared/utils.js';
+import { VALID_THEMES, NOTE_STATUS_TRANSITIONS, NOTE_STATUSES, getNoteStatus, getNoteCollaborators, getTimestampMillis, isValidStatusTransition, isValidDueDate, normalizeTags, normalizeAttachments, normalizeDrawings, normalizeReactions, normalizeUrl, parseCompositeUrl, toggleReactionType, validateSelectorPattern, REACTION_TYPES } from '../shared/utils.js';
 
 const NOTES_COLLECTION = 'notes';
 
@@ -31,6 +31,7 @@ async function loadFirestoreSdk() {
     getDocs: fs.getDocs,
     updateDoc: fs.updateDoc,
     deleteDoc: fs.deleteDoc,
+    runTransaction: fs.runTransaction,
     query: fs.query,
     where: fs.where,
     orderBy: fs.orderBy,
@@ -60,7 +61,7 @@ async function getFirestoreDeps(deps = {}) {
  * @param {string} userId - Owner's user ID
  * @param {string} userEmail - Owner's email address
  * @param {Object} deps - Optional dependencies for testing
- * @returns {Promise<Object>} Created note with ID
+ * @returns {Promise<Object>} Created note with ID and its stored timestamps
  */
 export async function createNote(noteData, userId, userEmail, deps = {}) {
   const firebaseDeps = await getFirestoreDeps(deps);
@@ -101,8 +102,22 @@ export async function createNote(noteData, userId, userEmail, deps = {}) {
     content: noteData.content || '',
     theme: theme,
     position: noteData.position || { anchor: 'top-right' },
+    anchorText: noteData.anchorText || '',
+    anchorFingerprint: noteData.anchorFingerprint || null,
+    textAnchor: noteData.textAnchor || null,
+    anchorRegion: noteData.anchorRegion || null,
+    anchorHistory: noteData.anchorHistory || [],
+    responsiveAnchors: noteData.responsiveAnchors || [],
+    verifiedBreakpoints: noteData.verifiedBreakpoints || {},
     metadata: noteData.metadata || null,
+    screenshot: noteData.screenshot || null,
     isHidden: noteData.isHidden || false,
+    status: NOTE_STATUS_TRANSITIONS[noteData.status] ? noteData.status : NOTE_STATUSES.OPEN,
+    assignee: null,
+    dueDate: isValidDueDate(noteData.dueDate) ? noteData.dueDate : null,
+    tags: normalizeTags(noteData.tags),
+    attachments: normalizeAttachments(noteData.attachments),
+    drawings: normalizeDrawings(noteData.drawings),
     ownerId: userId,
     ownerEmail: userEmail || null,
     sharedWith: [],
@@ -112,11 +127,15 @@ export async function createNote(noteData, userId, userEmail, deps = {}) {
   
   const docRef = await firebaseDeps.addDoc(firebaseDeps.collection(dbInstance, NOTES_COLLECTION), note);
   
+  // The timestamps are set by the server; the stored updatedAt is the base of the first save
+  const savedSnap = await firebaseDeps.getDoc(docRef);
+  const saved = savedSnap.exists() ? savedSnap.data() : {};
+  
   return {
     id: docRef.id,
     ...note,
-    createdAt: new Date().toISOString(),
-    updatedAt: new Date().toISOString()
+    createdAt: saved.createdAt || new Date().toISOString(),
+    updatedAt: saved.updatedAt || new Date().toISOString()
   };
 }
 
@@ -194,13 +213,88 @@ export async function getNotesForUrl(url, userId, userEmail, deps = {}) {
   return notes;
 }
 
+/**
+ * Get every note on an origin (owned or shared with user)
+ * Uses a range query on the stored URL, so iframe notes whose composite URL
+ * starts with a page of this origin are included as well
+ * @param {string} origin - Site origin, e.g. "https://example.com"
+ * @param {string} userId - Current user ID
+ * @param {string} userEmail - Current user's email (for shared notes lookup)
+ * @param {Object} deps - Optional dependencies for testing
+ * @returns {Promise<Array>} Array of notes
+ */
+export async function getNotesForDomain(origin, userId, userEmail, deps = {}) {
+  const firebaseDeps = await getFirestoreDeps(deps);
+  const dbInstance = deps.db !== undefined ? deps.db : db;
+  const isConfigured = deps.isFirebaseConfigured !== undefined ? deps.isFirebaseConfigured() : isFirebaseConfigured();
+  
+  if (!isConfigured || !dbInstance) {
+    throw new Error('Firebase is not configured');
+  }
+  
+  let rangeStart;
+  try {
+    rangeStart = `${new URL(origin).origin}/`;
+  } catch {
+    throw new Error('Invalid origin');
+  }
+  // U+F8FF sorts after the characters used in URLs, closing the prefix range
+  const rangeEnd = `${rangeStart}\uf8ff`;
+  
+  const ownedQuery = firebaseDeps.query(
+    firebaseDeps.collection(dbInstance, NOTES_COLLECTION),
+    firebaseDeps.where('ownerId', '==', userId),
+    firebaseDeps.where('url', '>=', rangeStart),
+    firebaseDeps.where('url', '<=', rangeEnd)
+  );
+  
+  const normalizedEmail = userEmail?.toLowerCase();
+  const sharedQuery = normalizedEmail ? firebaseDeps.query(
+    firebaseDeps.collection(dbInstance, NOTES_COLLECTION),
+    firebaseDeps.where('sharedWith', 'array-contains', normalizedEmail),
+    firebaseDeps.where('url', '>=', rangeStart),
+    firebaseDeps.where('url', '<=', rangeEnd)
+  ) : null;
+  
+  const queries = [firebaseDeps.getDocs(ownedQuery)];
+  if (sharedQuery) {
+    queries.push(firebaseDeps.getDocs(sharedQuery));
+  }
+  
+  const [ownedSnap, sharedSnap] = await Promise.all(queries);
+  
+  const notes = [];
+  const seenIds = new Set();
+  
+  ownedSnap.forEach(doc => {
+    if (!seenIds.has(doc.id)) {
+      seenIds.add(doc.id);
+      notes.push({ id: doc.id, ...doc.data() });
+    }
+  });
+  
+  if (sharedSnap) {
+    sharedSnap.forEach(doc => {
+      if (!seenIds.has(doc.id)) {
+        seenIds.add(doc.id);
+        notes.push({ id: doc.id, ...doc.data(), isShared: true });
+      }
+    });
+  }
+  
+  return notes;
+}
+
 /**
  * Update a note
  * @param {string} noteId - Note ID
- * @param {Object} updates - Fields to update
+ * @param {Object} updates - Fields to update, plus an optional baseUpdatedAt
+ *   (the updatedAt of the version the edit started from) to reject stale content saves
  * @param {string} userId - Current user ID (for permission check)
  * @param {Object} deps - Optional dependencies for testing
- * @returns {Promise<void>}
+ * @returns {Promise<Object>} { previous, updatedAt }: the note data as it was before
+ *   the update, and the updatedAt a content save committed (null for other updates,
+ *   or when the content changed again before it could be read back)
  */
 export async function updateNote(noteId, updates, userId, deps = {}) {
   const firebaseDeps = await getFirestoreDeps(deps);
@@ -212,21 +306,97 @@ export async function updateNote(noteId, updates, userId, deps = {}) {
   }
   
   const docRef = firebaseDeps.doc(dbInstance, NOTES_COLLECTION, noteId);
-  const docSnap = await firebaseDeps.getDoc(docRef);
   
-  if (!docSnap.exists()) {
-    throw new Error('Note not found');
+  // Read, check and write in one transaction, so a save that lands in between
+  // makes this one retry against it instead of being overwritten
+  const previous = await firebaseDeps.runTransaction(dbInstance, async (transaction) => {
+    const docSnap = await transaction.get(docRef);
+    
+    if (!docSnap.exists()) {
+      throw new Error('Note not found');
+    }
+    
+    const noteData = docSnap.data();
+    const filteredUpdates = getNoteUpdateFields(noteData, updates, userId, firebaseDeps);
+    transaction.update(docRef, filteredUpdates);
+    
+    return noteData;
+  });
+  
+  if (updates.content === undefined) {
+    return { previous, updatedAt: null };
   }
   
-  const noteData = docSnap.data();
+  // The server set updatedAt; read it back so the next save starts from this version.
+  // If someone else's content is already there, their version must not become the base.
+  const savedSnap = await firebaseDeps.getDoc(docRef);
+  const saved = savedSnap.exists() ? savedSnap.data() : null;
+  const updatedAt = saved?.content === updates.content ? saved.updatedAt || null : null;
   
+  return { previous, updatedAt };
+}
+
+/**
+ * Check an update against the stored note and pick the fields to write
+ * @param {Object} noteData - Stored note data
+ * @param {Object} updates - Fields to update, plus an optional baseUpdatedAt
+ * @param {string} userId - Current user ID (for permission check)
+ * @param {Object} firebaseDeps - Firestore functions
+ * @returns {Object} Fields to write
+ */
+function getNoteUpdateFields(noteData, updates, userId, firebaseDeps) {
   // Check permission
   if (noteData.ownerId !== userId && !noteData.sharedWith?.includes(userId)) {
     throw new Error('Permission denied');
   }
   
+  // Optimistic concurrency: a content save must start from the stored version,
+  // otherwise it would silently overwrite someone else's edit
+  if (updates.content !== undefined && updates.baseUpdatedAt !== undefined &&
+      getTimestampMillis(updates.baseUpdatedAt) !== getTimestampMillis(noteData.updatedAt)) {
+    const error = new Error('Edit conflict');
+    error.code = 'edit-conflict';
+    error.currentContent = noteData.content || '';
+    error.currentUpdatedAt = noteData.updatedAt || null;
+    throw error;
+  }
+  
+  // Status changes must follow the workflow
+  const currentStatus = getNoteStatus(noteData);
+  const statusChanged = updates.status !== undefined && updates.status !== currentStatus;
+  if (statusChanged && !isValidStatusTransition(currentStatus, updates.status)) {
+    throw new Error(`Invalid status transition: ${currentStatus} -> ${updates.status}`);
+  }
+  
+  // Notes can only be assigned to their owner or a collaborator
+  if (updates.assignee !== undefined && updates.assignee !== null) {
+    if (typeof updates.assignee !== 'string') {
+      throw new Error('Assignee must be the owner or a collaborator');
+    }
+    updates = { ...updates, assignee: updates.assignee.trim().toLowerCase() };
+    if (!getNoteCollaborators(noteData).includes(updates.assignee)) {
+      throw new Error('Assignee must be the owner or a collaborator');
+    }
+  }
+  
+  if (updates.dueDate !== undefined && updates.dueDate !== null && !isValidDueDate(updates.dueDate)) {
+    throw new Error('Invalid due date');
+  }
+  
+  if (updates.tags !== undefined) {
+    updates = { ...updates, tags: normalizeTags(updates.tags) };
+  }
+  
+  if (updates.attachments !== undefined) {
+    updates = { ...updates, attachments: normalizeAttachments(updates.attachments) };
+  }
+  
+  if (updates.drawings !== undefined) {
+    updates = { ...updates, drawings: normalizeDrawings(updates.drawings) };
+  }
+  
   // Only allow certain fields to be updated
-  const allowedFields = ['content', 'theme', 'position', 'selector', 'isHidden'];
+  const allowedFields = ['content', 'theme', 'position', 'selector', 'anchorText', 'anchorFingerprint', 'textAnchor', 'anchorRegion', 'anchorHistory', 'responsiveAnchors', 'verifiedBreakpoints', 'isHidden', 'status', 'assignee', 'dueDate', 'tags', 'attachments', 'drawings'];
   const filteredUpdates = {};
   
   for (const key of allowedFields) {
@@ -235,9 +405,70 @@ export async function updateNote(noteId, updates, userId, deps = {}) {
     }
   }
   
+  if (statusChanged) {
+    filteredUpdates.statusChangedAt = firebaseDeps.serverTimestamp();
+  }
+  
   filteredUpdates.updatedAt = firebaseDeps.serverTimestamp();
   
-  await firebaseDeps.updateDoc(docRef, filteredUpdates);
+  return filteredUpdates;
+}
+
+/**
+ * Add or remove the current user's reaction on a note
+ * Only the user's own entry in the reactions map is written, so concurrent
+ * reactions from other people are never overwritten. Reacting doesn't bump updatedAt.
+ * @param {string} noteId - Note ID
+ * @param {string} reaction - One of REACTION_TYPES
+ * @param {Object} user - Current user { uid, email }
+ * @param {Object} deps - Optional dependencies for testing
+ * @returns {Promise<Object>} The note's reactions after the toggle
+ */
+export async function toggleNoteReaction(noteId, reaction, user, deps = {}) {
+  const firebaseDeps = await getFirestoreDeps(deps);
+  const dbInstance = deps.db !== undefined ? deps.db : db;
+  const isConfigured = deps.isFirebaseConfigured !== undefined ? deps.isFirebaseConfigured() : isFirebaseConfigured();
+  
+  if (!isConfigured || !dbInstance) {
+    throw new Error('Firebase is not configured');
+  }
+  
+  if (!noteId || typeof noteId !== 'string') {
+    throw new Error('Invalid note ID');
+  }
+  
+  if (!REACTION_TYPES.includes(reaction)) {
+    throw new Error('Invalid reaction');
+  }
+  
+  if (!user || !user.uid) {
+    throw new Error('User authentication required');
+  }
+  
+  const docRef = firebaseDeps.doc(dbInstance, NOTES_COLLECTION, noteId);
+  const docSnap = await firebaseDeps.getDoc(docRef);
+  
+  if (!docSnap.exists()) {
+    throw new Error('Note not found');
+  }
+  
+  const noteData = docSnap.data();
+  const userEmail = (user.email || '').toLowerCase();
+  if (noteData.ownerId !== user.uid && !(userEmail && noteData.sharedWith?.includes(userEmail))) {
+    throw new Error('Permission denied');
+  }
+  
+  const reactions = normalizeReactions(noteData.reactions);
+  const types = toggleReactionType(reactions[user.uid], reaction);
+  
+  await firebaseDeps.updateDoc(docRef, { [`reactions.${user.uid}`]: types });
+  
+  if (types.length > 0) {
+    reactions[user.uid] = types;
+  } else {
+    delete reactions[user.uid];
+  }
+  return reactions;
 }
 
 /**
@@ -245,7 +476,7 @@ export async function updateNote(noteId, updates, userId, deps = {}) {
  * @param {string} noteId - Note ID
  * @param {string} userId - Current user ID (must be owner)
  * @param {Object} deps - Optional dependencies for testing
- * @returns {Promise<void>}
+ * @returns {Promise<Object>} Note data as it was before deletion
  */
 export async function deleteNote(noteId, userId, deps = {}) {
   const firebaseDeps = await getFirestoreDeps(deps);
@@ -271,6 +502,8 @@ export async function deleteNote(noteId, userId, deps = {}) {
   }
   
   await firebaseDeps.deleteDoc(docRef);
+  
+  return noteData;
 }
 
 /**
@@ -398,11 +631,17 @@ export async function unshareNote(noteId, emailToRemove, ownerId, deps = {}) {
   
   // Remove email from sharedWith array
   const sharedWith = (noteData.sharedWith || []).filter(email => email !== sanitizedEmail);
-  
-  await firebaseDeps.updateDoc(docRef, { 
+  const updates = {
     sharedWith,
     updatedAt: firebaseDeps.serverTimestamp()
-  });
+  };
+  
+  // A removed collaborator can no longer be the assignee
+  if (noteData.assignee === sanitizedEmail) {
+    updates.assignee = null;
+  }
+  
+  await firebaseDeps.updateDoc(docRef, updates);
 }
 
 /**
@@ -457,11 +696,17 @@ export async function leaveSharedNote(noteId, userEmail, deps = {}) {
   
   // Remove user's email from sharedWith array
   const updatedSharedWith = sharedWith.filter(email => email !== sanitizedEmail);
-  
-  await firebaseDeps.updateDoc(docRef, { 
+  const updates = {
     sharedWith: updatedSharedWith,
     updatedAt: firebaseDeps.serverTimestamp()
-  });
+  };
+  
+  // Leaving a note also drops any assignment to it
+  if (noteData.assignee === sanitizedEmail) {
+    updates.assignee = null;
+  }
+  
+  await firebaseDeps.updateDoc(docRef, updates);
 }
 
 /**
@@ -0,0 +1,147 @@
+/**
+ * Firebase Notifications Service
+ * Reads the in-app notifications Cloud Functions write for the current user
+ *
+ * Data Model (Firestore: notifications/{notificationId}):
+ * {
+ *   recipientEmail: string,  // Lowercased
+ *   type: 'mention',
+ *   noteId: string,
+ *   commentId: string,
+ *   authorName: string,
+ *   authorEmail: string,
+ *   url: string,             // Page the note is on
+ *   preview: string,         // Start of the comment
+ *   read: boolean,
+ *   createdAt: Timestamp
+ * }
+ *
+ * Only the read flag can be changed by clients (see firestore.rules).
+ *
+ * NOTE: Firebase Firestore SDK imports are lazy-loaded inside functions
+ * to avoid blocking extension startup with SDK parsing.
+ */
+
+import { db, isFirebaseConfigured } from './config.js';
+
+const NOTIFICATIONS_COLLECTION = 'notifications';
+
+// Most recent notifications loaded for the popup
+const MAX_NOTIFICATIONS = 20;
+
+// Cached Firestore SDK to avoid repeated dynamic imports
+let firestoreSdkCache = null;
+
+/**
+ * Lazy-load Firebase Firestore SDK
+ * @returns {Promise<Object>} Firestore SDK functions
+ */
+async function loadFirestoreSdk() {
+  if (firestoreSdkCache) {
+    return firestoreSdkCache;
+  }
+  const fs = await import('firebase/firestore');
+  firestoreSdkCache = {
+    collection: fs.collection,
+    doc: fs.doc,
+    getDocs: fs.getDocs,
+    updateDoc: fs.updateDoc,
+    query: fs.query,
+    where: fs.where,
+    orderBy: fs.orderBy,
+    limit: fs.limit
+  };
+  return firestoreSdkCache;
+}
+
+/**
+ * Get Firestore dependencies - lazy loads if not provided via deps
+ * @param {Object} deps - Optional overrides for testing
+ * @returns {Promise<Object>} Firestore functions merged with deps
+ */
+async function getFirestoreDeps(deps = {}) {
+  // If deps already has Firestore functions, use them (for testing)
+  if (deps.collection) {
+    return deps;
+  }
+  const sdk = await loadFirestoreSdk();
+  return { ...sdk, ...deps };
+}
+
+/**
+ * Resolve the database, throwing when Firebase is not configured
+ * @param {Object} deps - Optional dependencies for testing
+ * @returns {Object} Firestore instance
+ */
+function getConfiguredDb(deps) {
+  const dbInstance = deps.db !== undefined ? deps.db : db;
+  const isConfigured = deps.isFirebaseConfigured !== undefined ? deps.isFirebaseConfigured() : isFirebaseConfigured();
+
+  if (!isConfigured || !dbInstance) {
+    throw new Error('Firebase is not configured');
+  }
+
+  return dbInstance;
+}
+
+/**
+ * Get the current user's most recent @mention notifications, newest first
+ * @param {Object} user - Current user { uid, email }
+ * @param {Object} deps - Optional dependencies for testing
+ * @returns {Promise<Array>} Notifications with their IDs
+ */
+export async function getMentionNotifications(user, deps = {}) {
+  const firebaseDeps = await getFirestoreDeps(deps);
+  const dbInstance = getConfiguredDb(deps);
+
+  if (!user || !user.email) {
+    throw new Error('User authentication required');
+  }
+
+  const notificationsQuery = firebaseDeps.query(
+    firebaseDeps.collection(dbInstance, NOTIFICATIONS_COLLECTION),
+    firebaseDeps.where('recipientEmail', '==', user.email.toLowerCase()),
+    firebaseDeps.orderBy('createdAt', 'desc'),
+    firebaseDeps.limit(MAX_NOTIFICATIONS)
+  );
+
+  const snapshot = await firebaseDeps.getDocs(notificationsQuery);
+
+  const notifications = [];
+  snapshot.forEach(dc => {
+    const data = dc.data();
+    if (data.type === 'mention') {
+      // Timestamps don't survive extension messaging, so hand out ISO strings
+      notifications.push({ id: dc.id, ...data, createdAt: data.createdAt?.toDate?.().toISOString() || null });
+    }
+  });
+
+  return notifications;
+}
+
+/**
+ * Mark a notification as read
+ * @param {string} notificationId - Notification ID
+ * @param {Object} user - Current user { uid, email }
+ * @param {Object} deps - Optional dependencies for testing
+ * @returns {Promise<void>}
+ */
+export async function markNotificationRead(notificationId, user, deps = {}) {
+  const firebaseDeps = await getFirestoreDeps(deps);
+  const dbInstance = getConfiguredDb(deps);
+
+  if (!notificationId || typeof notificationId !== 'string') {
+    throw new Error('Invalid notification ID');
+  }
+
+  if (!user || !user.email) {
+    throw new Error('User authentication required');
+  }
+
+  await firebaseDeps.updateDoc(
+    firebaseDeps.doc(dbInstance, NOTIFICATIONS_COLLECTION, notificationId),
+    { read: true }
+  );
+}
+
+export { MAX_NOTIFICATIONS };
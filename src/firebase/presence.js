@@ -0,0 +1,293 @@
+/**
+ * Firebase Presence Service
+ * Tracks which collaborators currently have a page open, and which note
+ * they are editing or commenting on
+ *
+ * Data Model (Firestore: presence/{userId}_{sessionKey}):
+ * {
+ *   userId: string,
+ *   email: string,
+ *   displayName: string,
+ *   url: string,               // Normalized page URL, same as notes
+ *   audience: string[],        // Lowercased emails allowed to see this presence
+ *   editingNoteId: string | null,
+ *   typingNoteId: string | null, // Note whose comment box the user is typing in
+ *   expiresAt: Timestamp,      // Presence counts as gone after this
+ *   updatedAt: Timestamp
+ * }
+ *
+ * One document is kept per open page (tab and frame), refreshed on a heartbeat.
+ * Pages that close without saying goodbye simply expire; a Firestore TTL
+ * policy on expiresAt deletes the leftovers.
+ *
+ * NOTE: Firebase Firestore SDK imports are lazy-loaded inside functions
+ * to avoid blocking extension startup with SDK parsing.
+ */
+
+import { db, isFirebaseConfigured } from './config.js';
+import { PRESENCE, getTimestampMillis, normalizeUrl, parseCompositeUrl } from '../shared/utils.js';
+
+const PRESENCE_COLLECTION = 'presence';
+
+// Upper bound on the audience list, matching firestore.rules
+const MAX_PRESENCE_AUDIENCE = 100;
+
+// Cached Firestore SDK to avoid repeated dynamic imports
+let firestoreSdkCache = null;
+
+/**
+ * Lazy-load Firebase Firestore SDK
+ * @returns {Promise<Object>} Firestore SDK functions
+ */
+async function loadFirestoreSdk() {
+  if (firestoreSdkCache) {
+    return firestoreSdkCache;
+  }
+  const fs = await import('firebase/firestore');
+  firestoreSdkCache = {
+    collection: fs.collection,
+    doc: fs.doc,
+    setDoc: fs.setDoc,
+    deleteDoc: fs.deleteDoc,
+    query: fs.query,
+    where: fs.where,
+    serverTimestamp: fs.serverTimestamp,
+    onSnapshot: fs.onSnapshot
+  };
+  return firestoreSdkCache;
+}
+
+/**
+ * Get Firestore dependencies - lazy loads if not provided via deps
+ * @param {Object} deps - Optional overrides for testing
+ * @returns {Promise<Object>} Firestore functions merged with deps
+ */
+async function getFirestoreDeps(deps = {}) {
+  // If deps already has Firestore functions, use them (for testing)
+  if (deps.collection) {
+    return deps;
+  }
+  const sdk = await loadFirestoreSdk();
+  return { ...sdk, ...deps };
+}
+
+/**
+ * Normalize a page URL the same way notes are stored
+ * @param {string} url - Page URL (composite for iframes)
+ * @returns {string} URL to store and query presence by
+ */
+function toPresenceUrl(url) {
+  const { isTopFrame } = parseCompositeUrl(url);
+  return isTopFrame ? normalizeUrl(url) : url;
+}
+
+/**
+ * Build the presence document ID for a user's page session
+ * @param {string} userId - User ID
+ * @param {string} sessionKey - Page session key (tab and frame)
+ * @returns {string} Document ID
+ */
+function getPresenceId(userId, sessionKey) {
+  return `${userId}_${sessionKey}`;
+}
+
+/**
+ * Resolve the database, throwing when Firebase is not configured
+ * @param {Object} deps - Optional dependencies for testing
+ * @returns {Object} Firestore instance
+ */
+function getConfiguredDb(deps) {
+  const dbInstance = deps.db !== undefined ? deps.db : db;
+  const isConfigured = deps.isFirebaseConfigured !== undefined ? deps.isFirebaseConfigured() : isFirebaseConfigured();
+
+  if (!isConfigured || !dbInstance) {
+    throw new Error('Firebase is not configured');
+  }
+
+  return dbInstance;
+}
+
+/**
+ * Collapse presence documents into one viewer per collaborator
+ * Drops the current user and expired sessions. A collaborator with several
+ * pages open is editing or typing if any of those pages is.
+ * @param {Array} presenceDocs - Presence document data
+ * @param {string} userId - Current user ID
+ * @param {number} now - Current time in ms
+ * @returns {Array} Viewers { userId, email, displayName, editingNoteId, typingNoteId, expiresAt }
+ */
+function toViewers(presenceDocs, userId, now) {
+  const viewers = new Map();
+
+  presenceDocs.forEach(presence => {
+    const expiresAt = getTimestampMillis(presence.expiresAt);
+    if (!presence.userId || presence.userId === userId || !expiresAt || expiresAt <= now) {
+      return;
+    }
+
+    const existing = viewers.get(presence.userId);
+    viewers.set(presence.userId, {
+      userId: presence.userId,
+      email: presence.email || '',
+      displayName: presence.displayName || presence.email || '',
+      editingNoteId: presence.editingNoteId || existing?.editingNoteId || null,
+      typingNoteId: presence.typingNoteId || existing?.typingNoteId || null,
+      expiresAt: Math.max(expiresAt, existing?.expiresAt || 0)
+    });
+  });
+
+  return [...viewers.values()];
+}
+
+/**
+ * Publish the current user's presence for a page session
+ * With nobody to show it to, any earlier presence is removed instead.
+ * @param {string} sessionKey - Page session key (tab and frame)
+ * @param {Object} state - Presence state
+ * @param {string} state.url - Page URL
+ * @param {string[]} state.audience - Collaborator emails on the page's shared notes
+ * @param {string|null} state.editingNoteId - Note being edited, if any
+ * @param {string|null} state.typingNoteId - Note whose comment is being typed, if any
+ * @param {Object} user - Current user { uid, email, displayName }
+ * @param {Object} deps - Optional dependencies for testing
+ * @returns {Promise<void>}
+ */
+export async function setPresence(sessionKey, state, user, deps = {}) {
+  const firebaseDeps = await getFirestoreDeps(deps);
+  const dbInstance = getConfiguredDb(deps);
+  const now = deps.now ? deps.now() : Date.now();
+
+  if (!sessionKey || typeof sessionKey !== 'string') {
+    throw new Error('Invalid session key');
+  }
+
+  if (!user || !user.uid) {
+    throw new Error('User authentication required');
+  }
+
+  if (!state?.url || typeof state.url !== 'string') {
+    throw new Error('Invalid URL');
+  }
+
+  const ownEmail = user.email?.toLowerCase();
+  const audience = [...new Set((state.audience || [])
+    .filter(email => typeof email === 'string')
+    .map(email => email.trim().toLowerCase())
+    .filter(email => email && email !== ownEmail))]
+    .slice(0, MAX_PRESENCE_AUDIENCE);
+
+  const presenceRef = firebaseDeps.doc(dbInstance, PRESENCE_COLLECTION, getPresenceId(user.uid, sessionKey));
+
+  if (audience.length === 0) {
+    await firebaseDeps.deleteDoc(presenceRef);
+    return;
+  }
+
+  await firebaseDeps.setDoc(presenceRef, {
+    userId: user.uid,
+    email: ownEmail || '',
+    displayName: user.displayName || user.email || '',
+    url: toPresenceUrl(state.url),
+    audience,
+    editingNoteId: state.editingNoteId || null,
+    typingNoteId: state.typingNoteId || null,
+    expiresAt: new Date(now + PRESENCE.TIMEOUT),
+    updatedAt: firebaseDeps.serverTimestamp()
+  });
+}
+
+/**
+ * Remove the current user's presence for a page session
+ * @param {string} sessionKey - Page session key (tab and frame)
+ * @param {Object} user - Current user { uid }
+ * @param {Object} deps - Optional dependencies for testing
+ * @returns {Promise<void>}
+ */
+export async function clearPresence(sessionKey, user, deps = {}) {
+  const firebaseDeps = await getFirestoreDeps(deps);
+  const dbInstance = getConfiguredDb(deps);
+
+  if (!sessionKey || typeof sessionKey !== 'string') {
+    throw new Error('Invalid session key');
+  }
+
+  if (!user || !user.uid) {
+    throw new Error('User authentication required');
+  }
+
+  await firebaseDeps.deleteDoc(
+    firebaseDeps.doc(dbInstance, PRESENCE_COLLECTION, getPresenceId(user.uid, sessionKey))
+  );
+}
+
+/**
+ * Subscribe to collaborators present on a page
+ * Only presence published to the current user's email is visible.
+ * @param {string} url - Page URL
+ * @param {Object} user - Current user { uid, email }
+ * @param {Function} onUpdate - Callback with the current viewers (see toViewers)
+ * @param {Function} onError - Callback on error
+ * @param {Object} deps - Optional dependencies for testing
+ * @returns {Function} Unsubscribe function
+ */
+export function subscribeToPresence(url, user, onUpdate, onError, deps = {}) {
+  const dbInstance = deps.db !== undefined ? deps.db : db;
+  const isConfigured = deps.isFirebaseConfigured !== undefined ? deps.isFirebaseConfigured() : isFirebaseConfigured();
+
+  if (!isConfigured || !dbInstance) {
+    onError(new Error('Firebase is not configured'));
+    return () => {};
+  }
+
+  if (!url || typeof url !== 'string') {
+    onError(new Error('Invalid URL'));
+    return () => {};
+  }
+
+  const normalizedEmail = user?.email?.toLowerCase();
+  if (!user || !user.uid || !normalizedEmail) {
+    onError(new Error('User authentication required'));
+    return () => {};
+  }
+
+  const unsubscribeRef = { current: () => {} };
+  let isUnsubscribed = false;
+
+  // Async setup for lazy-loaded SDK
+  (async () => {
+    const firebaseDeps = await getFirestoreDeps(deps);
+
+    // Check if already unsubscribed during async load
+    if (isUnsubscribed) return;
+
+    const presenceQuery = firebaseDeps.query(
+      firebaseDeps.collection(dbInstance, PRESENCE_COLLECTION),
+      firebaseDeps.where('url', '==', toPresenceUrl(url)),
+      firebaseDeps.where('audience', 'array-contains', normalizedEmail)
+    );
+
+    unsubscribeRef.current = firebaseDeps.onSnapshot(
+      presenceQuery,
+      (snapshot) => {
+        if (isUnsubscribed) return;
+        const presenceDocs = [];
+        snapshot.forEach(dc => {
+          presenceDocs.push(dc.data());
+        });
+        onUpdate(toViewers(presenceDocs, user.uid, deps.now ? deps.now() : Date.now()));
+      },
+      (error) => {
+        if (!isUnsubscribed) onError(error);
+      }
+    );
+  })().catch(error => {
+    if (!isUnsubscribed) onError(error);
+  });
+
+  return () => {
+    isUnsubscribed = true;
+    unsubscribeRef.current();
+  };
+}
+
+export { MAX_PRESENCE_AUDIENCE };
@@ -0,0 +1,275 @@
+/**
+ * Firebase Revisions Service
+ * Keeps a content history for each note so edits can be reviewed and restored
+ *
+ * Data Model (Firestore: notes/{noteId}/revisions/{revisionId}):
+ * {
+ *   id: string,
+ *   authorId: string,
+ *   authorEmail: string,
+ *   authorName: string,
+ *   content: string,          // Note content after this revision
+ *   previousContent: string,  // Note content before this revision
+ *   restoredFrom: string | null, // Revision ID when this revision is a restore
+ *   createdAt: Timestamp,
+ *   updatedAt: Timestamp
+ * }
+ *
+ * Saves are debounced per keystroke pause, so consecutive saves by the same
+ * author within REVISION_COALESCE_WINDOW are folded into one revision.
+ *
+ * NOTE: Firebase Firestore SDK imports are lazy-loaded inside functions
+ * to avoid blocking extension startup with SDK parsing.
+ */
+
+import { db, isFirebaseConfigured } from './config.js';
+import { getTimestampMillis } from '../shared/utils.js';
+
+const NOTES_COLLECTION = 'notes';
+const REVISIONS_SUBCOLLECTION = 'revisions';
+
+// Consecutive saves by the same author within this window share a revision
+// The REST API folds its saves the same way (functions/routes/notes.js)
+const REVISION_COALESCE_WINDOW = 5 * 60 * 1000;
+
+// Maximum number of revisions returned for the history view
+const MAX_REVISIONS = 50;
+
+// Cached Firestore SDK to avoid repeated dynamic imports
+let firestoreSdkCache = null;
+
+/**
+ * Lazy-load Firebase Firestore SDK
+ * @returns {Promise<Object>} Firestore SDK functions
+ */
+async function loadFirestoreSdk() {
+  if (firestoreSdkCache) {
+    return firestoreSdkCache;
+  }
+  const fs = await import('firebase/firestore');
+  firestoreSdkCache = {
+    collection: fs.collection,
+    doc: fs.doc,
+    addDoc: fs.addDoc,
+    getDoc: fs.getDoc,
+    getDocs: fs.getDocs,
+    updateDoc: fs.updateDoc,
+    query: fs.query,
+    orderBy: fs.orderBy,
+    limit: fs.limit,
+    serverTimestamp: fs.serverTimestamp
+  };
+  return firestoreSdkCache;
+}
+
+/**
+ * Get Firestore dependencies - lazy loads if not provided via deps
+ * @param {Object} deps - Optional overrides for testing
+ * @returns {Promise<Object>} Firestore functions merged with deps
+ */
+async function getFirestoreDeps(deps = {}) {
+  // If deps already has Firestore functions, use them (for testing)
+  if (deps.collection) {
+    return deps;
+  }
+  const sdk = await loadFirestoreSdk();
+  return { ...sdk, ...deps };
+}
+
+/**
+ * Check if user has permission to access a note (owner or shared with)
+ * @param {Object} noteData - Note document data
+ * @param {string} userId - User ID to check
+ * @param {string} userEmail - User email to check
+ * @returns {boolean} True if user has access
+ */
+function hasNoteAccess(noteData, userId, userEmail) {
+  if (noteData.ownerId === userId) {
+    return true;
+  }
+
+  const normalizedEmail = userEmail?.toLowerCase();
+  if (normalizedEmail && noteData.sharedWith?.includes(normalizedEmail)) {
+    return true;
+  }
+
+  return false;
+}
+
+/**
+ * Validate configuration, note ID and user, then check note access
+ * @param {string} noteId - Note ID
+ * @param {Object} user - Current user { uid, email }
+ * @param {Object} deps - Optional dependencies for testing
+ * @returns {Promise<Object>} { firebaseDeps, dbInstance }
+ */
+async function prepareNoteAccess(noteId, user, deps) {
+  const firebaseDeps = await getFirestoreDeps(deps);
+  const dbInstance = deps.db !== undefined ? deps.db : db;
+  const isConfigured = deps.isFirebaseConfigured !== undefined ? deps.isFirebaseConfigured() : isFirebaseConfigured();
+
+  if (!isConfigured || !dbInstance) {
+    throw new Error('Firebase is not configured');
+  }
+
+  if (!noteId || typeof noteId !== 'string') {
+    throw new Error('Invalid note ID');
+  }
+
+  if (!user || !user.uid) {
+    throw new Error('User authentication required');
+  }
+
+  const noteRef = firebaseDeps.doc(dbInstance, NOTES_COLLECTION, noteId);
+  const noteSnap = await firebaseDeps.getDoc(noteRef);
+
+  if (!noteSnap.exists()) {
+    throw new Error('Note not found');
+  }
+
+  if (!hasNoteAccess(noteSnap.data(), user.uid, user.email)) {
+    throw new Error('Permission denied');
+  }
+
+  return { firebaseDeps, dbInstance };
+}
+
+/**
+ * Record a content change on a note
+ * Folds into the latest revision when it is by the same author and recent,
+ * unless either revision is a restore (restores always stay distinct).
+ * @param {string} noteId - Note ID
+ * @param {Object} change - Content change
+ * @param {string} change.content - Content after the change
+ * @param {string} change.previousContent - Content before the change
+ * @param {string|null} change.restoredFrom - Revision ID being restored, if any
+ * @param {Object} user - Current user { uid, email, displayName }
+ * @param {Object} deps - Optional dependencies for testing
+ * @returns {Promise<Object>} Created or updated revision
+ */
+export async function recordRevision(noteId, change, user, deps = {}) {
+  const { firebaseDeps, dbInstance } = await prepareNoteAccess(noteId, user, deps);
+  const now = deps.now ? deps.now() : Date.now();
+
+  const content = change.content || '';
+  const previousContent = change.previousContent || '';
+  const restoredFrom = change.restoredFrom || null;
+
+  const revisionsRef = firebaseDeps.collection(dbInstance, NOTES_COLLECTION, noteId, REVISIONS_SUBCOLLECTION);
+
+  if (!restoredFrom) {
+    const latestQuery = firebaseDeps.query(
+      revisionsRef,
+      firebaseDeps.orderBy('createdAt', 'desc'),
+      firebaseDeps.limit(1)
+    );
+    const latestSnap = await firebaseDeps.getDocs(latestQuery);
+    const latestDoc = latestSnap.docs?.[0];
+
+    if (latestDoc) {
+      const latest = latestDoc.data();
+      const createdAt = getTimestampMillis(latest.createdAt);
+      const isRecent = createdAt !== null && now - createdAt < REVISION_COALESCE_WINDOW;
+
+      if (latest.authorId === user.uid && !latest.restoredFrom && isRecent) {
+        const revisionRef = firebaseDeps.doc(
+          dbInstance,
+          NOTES_COLLECTION,
+          noteId,
+          REVISIONS_SUBCOLLECTION,
+          latestDoc.id
+        );
+        await firebaseDeps.updateDoc(revisionRef, {
+          content,
+          updatedAt: firebaseDeps.serverTimestamp()
+        });
+
+        return {
+          id: latestDoc.id,
+          ...latest,
+          content,
+          updatedAt: new Date(now).toISOString()
+        };
+      }
+    }
+  }
+
+  const revision = {
+    authorId: user.uid,
+    authorEmail: user.email || '',
+    authorName: user.displayName || user.email || 'Anonymous',
+    content,
+    previousContent,
+    restoredFrom,
+    createdAt: firebaseDeps.serverTimestamp(),
+    updatedAt: firebaseDeps.serverTimestamp()
+  };
+
+  const docRef = await firebaseDeps.addDoc(revisionsRef, revision);
+
+  return {
+    id: docRef.id,
+    ...revision,
+    createdAt: new Date(now).toISOString(),
+    updatedAt: new Date(now).toISOString()
+  };
+}
+
+/**
+ * Get the revision history for a note
+ * @param {string} noteId - Note ID
+ * @param {Object} user - Current user { uid, email }
+ * @param {Object} deps - Optional dependencies for testing
+ * @returns {Promise<Array>} Revisions, newest first
+ */
+export async function getRevisionsForNote(noteId, user, deps = {}) {
+  const { firebaseDeps, dbInstance } = await prepareNoteAccess(noteId, user, deps);
+
+  const revisionsQuery = firebaseDeps.query(
+    firebaseDeps.collection(dbInstance, NOTES_COLLECTION, noteId, REVISIONS_SUBCOLLECTION),
+    firebaseDeps.orderBy('createdAt', 'desc'),
+    firebaseDeps.limit(MAX_REVISIONS)
+  );
+
+  const snapshot = await firebaseDeps.getDocs(revisionsQuery);
+
+  const revisions = [];
+  snapshot.forEach(doc => {
+    revisions.push({ id: doc.id, ...doc.data() });
+  });
+
+  return revisions;
+}
+
+/**
+ * Get a single revision
+ * @param {string} noteId - Note ID
+ * @param {string} revisionId - Revision ID
+ * @param {Object} user - Current user { uid, email }
+ * @param {Object} deps - Optional dependencies for testing
+ * @returns {Promise<Object>} Revision with ID
+ */
+export async function getRevision(noteId, revisionId, user, deps = {}) {
+  const { firebaseDeps, dbInstance } = await prepareNoteAccess(noteId, user, deps);
+
+  if (!revisionId || typeof revisionId !== 'string') {
+    throw new Error('Invalid revision ID');
+  }
+
+  const revisionRef = firebaseDeps.doc(
+    dbInstance,
+    NOTES_COLLECTION,
+    noteId,
+    REVISIONS_SUBCOLLECTION,
+    revisionId
+  );
+  const revisionSnap = await firebaseDeps.getDoc(revisionRef);
+
+  if (!revisionSnap.exists()) {
+    throw new Error('Revision not found');
+  }
+
+  return { id: revisionSnap.id, ...revisionSnap.data() };
+}
+
+export { MAX_REVISIONS, REVISION_COALESCE_WINDOW };
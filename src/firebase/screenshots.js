@@ -0,0 +1,132 @@
+/**
+ * Firebase Screenshots Service
+ * Stores note screenshots of signed-in users in Cloud Storage
+ *
+ * Storage layout: screenshots/{userId}/{screenshotId}.jpg
+ * Notes only carry a reference:
+ * {
+ *   id: string,
+ *   storage: 'cloud',
+ *   path: string,      // Cloud Storage path, used to delete the image
+ *   url: string,       // Download URL, readable by anyone the note is shared with
+ *   width: number,
+ *   height: number,
+ *   capturedAt: string
+ * }
+ *
+ * NOTE: Firebase Storage SDK imports are lazy-loaded inside functions
+ * to avoid blocking extension startup with SDK parsing.
+ */
+
+import { app, isFirebaseConfigured } from './config.js';
+
+const SCREENSHOTS_FOLDER = 'screenshots';
+
+// Cached Storage SDK to avoid repeated dynamic imports
+let storageSdkCache = null;
+
+/**
+ * Lazy-load Firebase Storage SDK
+ * @returns {Promise<Object>} Storage SDK functions
+ */
+async function loadStorageSdk() {
+  if (storageSdkCache) {
+    return storageSdkCache;
+  }
+  const sdk = await import('firebase/storage');
+  storageSdkCache = {
+    getStorage: sdk.getStorage,
+    ref: sdk.ref,
+    uploadString: sdk.uploadString,
+    getDownloadURL: sdk.getDownloadURL,
+    deleteObject: sdk.deleteObject
+  };
+  return storageSdkCache;
+}
+
+/**
+ * Get Storage dependencies - lazy loads if not provided via deps
+ * @param {Object} deps - Optional overrides for testing
+ * @returns {Promise<Object>} Storage functions merged with deps
+ */
+async function getStorageDeps(deps = {}) {
+  // If deps already has Storage functions, use them (for testing)
+  if (deps.ref) {
+    return deps;
+  }
+  const sdk = await loadStorageSdk();
+  return { ...sdk, ...deps };
+}
+
+/**
+ * Resolve the storage bucket, throwing when Firebase is not configured
+ * @param {Object} storageDeps - Storage functions
+ * @param {Object} deps - Optional dependencies for testing
+ * @returns {Object} Storage instance
+ */
+function getConfiguredStorage(storageDeps, deps) {
+  const appInstance = deps.app !== undefined ? deps.app : app;
+  const isConfigured = deps.isFirebaseConfigured !== undefined ? deps.isFirebaseConfigured() : isFirebaseConfigured();
+
+  if (!isConfigured || !appInstance) {
+    throw new Error('Firebase is not configured');
+  }
+
+  return deps.storage || storageDeps.getStorage(appInstance);
+}
+
+/**
+ * Upload a screenshot
+ * @param {string} screenshotId - Screenshot ID
+ * @param {string} dataUrl - JPEG image data URL
+ * @param {Object} user - Current user { uid }
+ * @param {Object} deps - Optional dependencies for testing
+ * @returns {Promise<Object>} { path, url }
+ */
+export async function uploadScreenshot(screenshotId, dataUrl, user, deps = {}) {
+  const storageDeps = await getStorageDeps(deps);
+  const storage = getConfiguredStorage(storageDeps, deps);
+
+  if (!user || !user.uid) {
+    throw new Error('User authentication required');
+  }
+
+  if (!screenshotId || !/^[\w-]+$/.test(screenshotId)) {
+    throw new Error('Invalid screenshot ID');
+  }
+
+  if (typeof dataUrl !== 'string' || !dataUrl.startsWith('data:image/')) {
+    throw new Error('Invalid screenshot image');
+  }
+
+  const path = `${SCREENSHOTS_FOLDER}/${user.uid}/${screenshotId}.jpg`;
+  const imageRef = storageDeps.ref(storage, path);
+
+  await storageDeps.uploadString(imageRef, dataUrl, 'data_url');
+  const url = await storageDeps.getDownloadURL(imageRef);
+
+  return { path, url };
+}
+
+/**
+ * Delete a screenshot
+ * Only the user who uploaded a screenshot can delete it
+ * @param {string} path - Cloud Storage path from the note's screenshot reference
+ * @param {Object} user - Current user { uid }
+ * @param {Object} deps - Optional dependencies for testing
+ * @returns {Promise<void>}
+ */
+export async function deleteScreenshot(path, user, deps = {}) {
+  const storageDeps = await getStorageDeps(deps);
+  const storage = getConfiguredStorage(storageDeps, deps);
+
+  if (!user || !user.uid) {
+    throw new Error('User authentication required');
+  }
+
+  if (typeof path !== 'string' || !path.startsWith(`${SCREENSHOTS_FOLDER}/${user.uid}/`)) {
+    throw new Error('Permission denied');
+  }
+
+  await storageDeps.deleteObject(storageDeps.ref(storage, path));
+}
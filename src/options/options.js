@@ -4,8 +4,29 @@
  */
 
 import { getPreferences, setPreferences, resetPreferences, DEFAULT_PREFERENCES } from '../shared/preferences.js';
+import {
+  getSelectorRules,
+  setSelectorRules,
+  validateSelectorRule,
+  sanitizeSelectorRule,
+  normalizeRuleDomain,
+  findSelectorRuleForHost
+} from '../shared/selectorRules.js';
+import {
+  getNoteTemplates,
+  setNoteTemplates,
+  validateNoteTemplate,
+  getDefaultNoteTemplates,
+  TEMPLATE_PLACEHOLDERS
+} from '../shared/noteTemplates.js';
+import { SelectorEngine } from '../content/selectors/SelectorEngine.js';
 import { initializeI18n, t } from '../shared/i18n.js';
 
+/**
+ * Sample shown in the selector preview until the user pastes their own
+ */
+const DEFAULT_PREVIEW_HTML = '<button id="mui-123" class="css-1q2w3e MuiButton-root" data-qa="save-button">Save</button>';
+
 // DOM Elements
 let settingsForm;
 let themePicker;
@@ -15,6 +36,8 @@ let defaultPositionInput;
 let noteWidthSelect;
 let fontSizeSelect;
 let notesVisibleCheckbox;
+let screenshotOnCreateCheckbox;
+let resolvedNotesSelect;
 let resetBtn;
 let saveBtn;
 let statusMessage;
@@ -24,6 +47,22 @@ let permissionGranted;
 let permissionNotGranted;
 let grantPermissionBtn;
 let revokePermissionBtn;
+// Selector rule elements
+let selectorRulesList;
+let selectorRulesEmpty;
+let addSelectorRuleBtn;
+let saveSelectorRulesBtn;
+let selectorPreviewHost;
+let selectorPreviewHtml;
+let selectorPreviewRule;
+let selectorPreviewOutput;
+// Note template elements
+let noteTemplatesList;
+let noteTemplatesEmpty;
+let noteTemplatePlaceholders;
+let addNoteTemplateBtn;
+let restoreNoteTemplatesBtn;
+let saveNoteTemplatesBtn;
 
 /**
  * Initialize DOM element references
@@ -37,6 +76,8 @@ function initDOMElements() {
   noteWidthSelect = document.getElementById('noteWidth');
   fontSizeSelect = document.getElementById('fontSize');
   notesVisibleCheckbox = document.getElementById('notesVisibleByDefault');
+  screenshotOnCreateCheckbox = document.getElementById('screenshotOnCreate');
+  resolvedNotesSelect = document.getElementById('resolvedNotesDisplay');
   resetBtn = document.getElementById('resetBtn');
   saveBtn = document.getElementById('saveBtn');
   statusMessage = document.getElementById('statusMessage');
@@ -46,6 +87,22 @@ function initDOMElements() {
   permissionNotGranted = document.getElementById('permissionNotGranted');
   grantPermissionBtn = document.getElementById('grantPermissionBtn');
   revokePermissionBtn = document.getElementById('revokePermissionBtn');
+  // Selector rule elements
+  selectorRulesList = document.getElementById('selectorRulesList');
+  selectorRulesEmpty = document.getElementById('selectorRulesEmpty');
+  addSelectorRuleBtn = document.getElementById('addSelectorRuleBtn');
+  saveSelectorRulesBtn = document.getElementById('saveSelectorRulesBtn');
+  selectorPreviewHost = document.getElementById('selectorPreviewHost');
+  selectorPreviewHtml = document.getElementById('selectorPreviewHtml');
+  selectorPreviewRule = document.getElementById('selectorPreviewRule');
+  selectorPreviewOutput = document.getElementById('selectorPreviewOutput');
+  // Note template elements
+  noteTemplatesList = document.getElementById('noteTemplatesList');
+  noteTemplatesEmpty = document.getElementById('noteTemplatesEmpty');
+  noteTemplatePlaceholders = document.getElementById('noteTemplatePlaceholders');
+  addNoteTemplateBtn = document.getElementById('addNoteTemplateBtn');
+  restoreNoteTemplatesBtn = document.getElementById('restoreNoteTemplatesBtn');
+  saveNoteTemplatesBtn = document.getElementById('saveNoteTemplatesBtn');
 }
 
 /**
@@ -84,6 +141,13 @@ async function loadPreferences() {
     // Set visibility
     notesVisibleCheckbox.checked = prefs.notesVisibleByDefault;
     notesVisibleCheckbox.setAttribute('aria-checked', prefs.notesVisibleByDefault ? 'true' : 'false');
+    
+    // Set screenshot on creation
+    screenshotOnCreateCheckbox.checked = prefs.screenshotOnCreate;
+    screenshotOnCreateCheckbox.setAttribute('aria-checked', prefs.screenshotOnCreate ? 'true' : 'false');
+    
+    // Set resolved notes display
+    resolvedNotesSelect.value = prefs.resolvedNotesDisplay;
   } catch (error) {
     console.error('Failed to load preferences:', error);
     showStatus(t('settingsLoadError') || 'Failed to load settings', 'error');
@@ -126,6 +190,369 @@ function selectPosition(position) {
   }
 }
 
+/**
+ * Split a list input into trimmed, non-empty entries
+ * @param {string} value - Raw input value
+ * @param {RegExp} separator - Entry separator
+ * @returns {string[]} Entries
+ */
+function parseList(value, separator) {
+  return (value || '').split(separator).map(entry => entry.trim()).filter(Boolean);
+}
+
+/**
+ * Create a labelled field for a selector rule or note template row
+ * @param {string} labelKey - i18n key for the label
+ * @param {string} fallback - Label used when the key is missing
+ * @param {HTMLElement} input - Input or textarea
+ * @param {string} className - Class of the field element
+ * @returns {HTMLLabelElement} Field element
+ */
+function createRuleField(labelKey, fallback, input, className = 'selector-rule-field') {
+  const field = document.createElement('label');
+  field.className = className;
+  field.textContent = t(labelKey) || fallback;
+  field.appendChild(input);
+  return field;
+}
+
+/**
+ * Create an editable row for a selector rule
+ * @param {Object} rule - Rule to edit (empty for a new rule)
+ * @returns {HTMLElement} Rule row
+ */
+function createSelectorRuleRow(rule = {}) {
+  const row = document.createElement('div');
+  row.className = 'selector-rule';
+  
+  const domainInput = document.createElement('input');
+  domainInput.type = 'text';
+  domainInput.className = 'setting-input selector-rule-domain';
+  domainInput.placeholder = 'example.com';
+  domainInput.value = rule.domain || '';
+  
+  const attributesInput = document.createElement('input');
+  attributesInput.type = 'text';
+  attributesInput.className = 'setting-input selector-rule-attributes';
+  attributesInput.placeholder = 'data-qa, data-hook';
+  attributesInput.value = (rule.preferredAttributes || []).join(', ');
+  
+  const idPatternsInput = document.createElement('textarea');
+  idPatternsInput.className = 'setting-input setting-textarea selector-rule-id-patterns';
+  idPatternsInput.rows = 2;
+  idPatternsInput.spellcheck = false;
+  idPatternsInput.placeholder = '^mui-\\d+';
+  idPatternsInput.value = (rule.ignoreIdPatterns || []).join('\n');
+  
+  const classPatternsInput = document.createElement('textarea');
+  classPatternsInput.className = 'setting-input setting-textarea selector-rule-class-patterns';
+  classPatternsInput.rows = 2;
+  classPatternsInput.spellcheck = false;
+  classPatternsInput.placeholder = '^css-';
+  classPatternsInput.value = (rule.ignoreClassPatterns || []).join('\n');
+  
+  const removeBtn = document.createElement('button');
+  removeBtn.type = 'button';
+  removeBtn.className = 'btn btn-secondary selector-rule-remove';
+  removeBtn.textContent = t('selectorRuleRemove') || 'Remove';
+  
+  row.append(
+    createRuleField('selectorRuleDomain', 'Domain', domainInput),
+    createRuleField('selectorRuleAttributes', 'Preferred attributes (comma-separated, in priority order)', attributesInput),
+    createRuleField('selectorRuleIdPatterns', 'Ignored ID patterns (one per line)', idPatternsInput),
+    createRuleField('selectorRuleClassPatterns', 'Ignored class patterns (one per line)', classPatternsInput),
+    removeBtn
+  );
+  
+  return row;
+}
+
+/**
+ * Show the empty message when there are no rule rows
+ */
+function updateSelectorRulesEmpty() {
+  selectorRulesEmpty.classList.toggle('hidden', selectorRulesList.children.length > 0);
+}
+
+/**
+ * Replace the rule rows with the given rules
+ * @param {Object[]} rules - Rules to render
+ */
+function renderSelectorRules(rules) {
+  selectorRulesList.replaceChildren(...rules.map(rule => createSelectorRuleRow(rule)));
+  updateSelectorRulesEmpty();
+}
+
+/**
+ * Read rules from the rule rows, skipping rows left completely blank
+ * @returns {Array<{row: HTMLElement, rule: Object}>} Rows with their rules
+ */
+function readSelectorRules() {
+  return Array.from(selectorRulesList.querySelectorAll('.selector-rule'))
+    .map(row => ({
+      row,
+      rule: {
+        domain: row.querySelector('.selector-rule-domain').value.trim(),
+        preferredAttributes: parseList(row.querySelector('.selector-rule-attributes').value, /,/),
+        ignoreIdPatterns: parseList(row.querySelector('.selector-rule-id-patterns').value, /\n/),
+        ignoreClassPatterns: parseList(row.querySelector('.selector-rule-class-patterns').value, /\n/)
+      }
+    }))
+    .filter(({ rule }) => rule.domain || rule.preferredAttributes.length ||
+      rule.ignoreIdPatterns.length || rule.ignoreClassPatterns.length);
+}
+
+/**
+ * Load selector rules and populate the editor
+ */
+async function loadSelectorRules() {
+  if (!selectorRulesList) return;
+  
+  const rules = await getSelectorRules();
+  renderSelectorRules(rules);
+  
+  if (!selectorPreviewHost.value && rules.length > 0) {
+    selectorPreviewHost.value = rules[0].domain;
+  }
+  if (!selectorPreviewHtml.value) {
+    selectorPreviewHtml.value = DEFAULT_PREVIEW_HTML;
+  }
+  updateSelectorPreview();
+}
+
+/**
+ * Add an empty rule row
+ */
+function handleAddSelectorRule() {
+  const row = createSelectorRuleRow();
+  selectorRulesList.appendChild(row);
+  updateSelectorRulesEmpty();
+  row.querySelector('.selector-rule-domain').focus();
+}
+
+/**
+ * Remove a rule row when its remove button is clicked
+ * @param {Event} event - Click event from the rule list
+ */
+function handleRemoveSelectorRule(event) {
+  const removeBtn = event.target.closest('.selector-rule-remove');
+  if (!removeBtn) return;
+  
+  removeBtn.closest('.selector-rule').remove();
+  updateSelectorRulesEmpty();
+  updateSelectorPreview();
+}
+
+/**
+ * Validate and save the rules in the editor
+ */
+async function handleSaveSelectorRules() {
+  const entries = readSelectorRules();
+  const errors = [];
+  
+  for (const { row, rule } of entries) {
+    const validation = validateSelectorRule(rule);
+    row.classList.toggle('invalid', !validation.valid);
+    errors.push(...validation.errors);
+  }
+  
+  if (errors.length > 0) {
+    showStatus(`${t('selectorRulesInvalid') || 'Fix the highlighted rules:'} ${errors.join(', ')}`, 'error');
+    return;
+  }
+  
+  saveSelectorRulesBtn.disabled = true;
+  
+  try {
+    const result = await setSelectorRules(entries.map(({ rule }) => rule));
+    
+    if (result.success) {
+      renderSelectorRules(result.rules);
+      updateSelectorPreview();
+      showStatus(t('selectorRulesSaved') || 'Selector rules saved', 'success');
+    } else {
+      showStatus(result.error || t('selectorRulesSaveError') || 'Failed to save selector rules', 'error');
+    }
+  } finally {
+    saveSelectorRulesBtn.disabled = false;
+  }
+}
+
+/**
+ * Show the selector that would be generated for the preview sample
+ * using the rules currently in the editor (saved or not)
+ */
+function updateSelectorPreview() {
+  if (!selectorPreviewOutput) return;
+  
+  const rules = readSelectorRules()
+    .map(({ rule }) => sanitizeSelectorRule(rule))
+    .filter(Boolean);
+  const rule = findSelectorRuleForHost(rules, normalizeRuleDomain(selectorPreviewHost.value));
+  
+  selectorPreviewRule.textContent = rule
+    ? (t('selectorPreviewUsingRule', [rule.domain]) || `Using the rule for ${rule.domain}`)
+    : (t('selectorPreviewNoRule') || 'No rule matches this domain; using the built-in strategy');
+  
+  // Parse into a separate document so the sample never runs or renders in this page
+  const sample = new DOMParser().parseFromString(selectorPreviewHtml.value, 'text/html');
+  const element = sample.body.firstElementChild;
+  
+  if (!element) {
+    selectorPreviewOutput.textContent = t('selectorPreviewEmpty') || 'Paste an element to preview its selector';
+    return;
+  }
+  
+  const engine = new SelectorEngine();
+  engine.applyRules(rule);
+  selectorPreviewOutput.textContent = engine.generateInRoot(element, sample);
+}
+
+/**
+ * Create an editable row for a note template
+ * @param {Object} template - Template to edit (empty for a new template)
+ * @returns {HTMLElement} Template row
+ */
+function createNoteTemplateRow(template = {}) {
+  const row = document.createElement('div');
+  row.className = 'note-template';
+  if (template.id) {
+    row.dataset.templateId = template.id;
+  }
+  
+  const nameInput = document.createElement('input');
+  nameInput.type = 'text';
+  nameInput.className = 'setting-input note-template-name';
+  nameInput.value = template.name || '';
+  
+  const bodyInput = document.createElement('textarea');
+  bodyInput.className = 'setting-input setting-textarea note-template-body';
+  bodyInput.rows = 6;
+  bodyInput.value = template.body || '';
+  
+  const removeBtn = document.createElement('button');
+  removeBtn.type = 'button';
+  removeBtn.className = 'btn btn-secondary note-template-remove';
+  removeBtn.textContent = t('noteTemplateRemove') || 'Remove';
+  
+  row.append(
+    createRuleField('noteTemplateName', 'Name', nameInput, 'note-template-field'),
+    createRuleField('noteTemplateBody', 'Content', bodyInput, 'note-template-field'),
+    removeBtn
+  );
+  
+  return row;
+}
+
+/**
+ * Show the empty message when there are no template rows
+ */
+function updateNoteTemplatesEmpty() {
+  noteTemplatesEmpty.classList.toggle('hidden', noteTemplatesList.children.length > 0);
+}
+
+/**
+ * Replace the template rows with the given templates
+ * @param {Object[]} templates - Templates to render
+ */
+function renderNoteTemplates(templates) {
+  noteTemplatesList.replaceChildren(...templates.map(template => createNoteTemplateRow(template)));
+  updateNoteTemplatesEmpty();
+}
+
+/**
+ * Read templates from the template rows, skipping rows left completely blank
+ * @returns {Array<{row: HTMLElement, template: Object}>} Rows with their templates
+ */
+function readNoteTemplates() {
+  return Array.from(noteTemplatesList.querySelectorAll('.note-template'))
+    .map(row => ({
+      row,
+      template: {
+        ...(row.dataset.templateId ? { id: row.dataset.templateId } : {}),
+        name: row.querySelector('.note-template-name').value.trim(),
+        body: row.querySelector('.note-template-body').value
+      }
+    }))
+    .filter(({ template }) => template.name || template.body.trim());
+}
+
+/**
+ * Load templates and populate the editor
+ */
+async function loadNoteTemplates() {
+  if (!noteTemplatesList) return;
+  
+  noteTemplatePlaceholders.textContent = t('noteTemplatePlaceholders', [
+    TEMPLATE_PLACEHOLDERS.map(name => `{{${name}}}`).join(' ')
+  ]);
+  renderNoteTemplates(await getNoteTemplates());
+}
+
+/**
+ * Add an empty template row
+ */
+function handleAddNoteTemplate() {
+  const row = createNoteTemplateRow();
+  noteTemplatesList.appendChild(row);
+  updateNoteTemplatesEmpty();
+  row.querySelector('.note-template-name').focus();
+}
+
+/**
+ * Remove a template row when its remove button is clicked
+ * @param {Event} event - Click event from the template list
+ */
+function handleRemoveNoteTemplate(event) {
+  const removeBtn = event.target.closest('.note-template-remove');
+  if (!removeBtn) return;
+  
+  removeBtn.closest('.note-template').remove();
+  updateNoteTemplatesEmpty();
+}
+
+/**
+ * Put the built-in templates back in the editor (saved with the Save button)
+ */
+function handleRestoreNoteTemplates() {
+  renderNoteTemplates(getDefaultNoteTemplates());
+  showStatus(t('noteTemplatesRestored') || 'Default templates restored. Save to keep them.', 'success');
+}
+
+/**
+ * Validate and save the templates in the editor
+ */
+async function handleSaveNoteTemplates() {
+  const entries = readNoteTemplates();
+  const errors = [];
+  
+  for (const { row, template } of entries) {
+    const validation = validateNoteTemplate(template);
+    row.classList.toggle('invalid', !validation.valid);
+    errors.push(...validation.errors);
+  }
+  
+  if (errors.length > 0) {
+    showStatus(`${t('noteTemplatesInvalid') || 'Fix the highlighted templates:'} ${errors.join(', ')}`, 'error');
+    return;
+  }
+  
+  saveNoteTemplatesBtn.disabled = true;
+  
+  try {
+    const result = await setNoteTemplates(entries.map(({ template }) => template));
+    
+    if (result.success) {
+      renderNoteTemplates(result.templates);
+      showStatus(t('noteTemplatesSaved') || 'Templates saved', 'success');
+    } else {
+      showStatus(result.error || t('noteTemplatesSaveError') || 'Failed to save templates', 'error');
+    }
+  } finally {
+    saveNoteTemplatesBtn.disabled = false;
+  }
+}
+
 /**
  * Check if all-sites permission is granted
  * @returns {Promise<boolean>}
@@ -221,6 +648,24 @@ function setupEventListeners() {
   // Permission buttons
   grantPermissionBtn.addEventListener('click', handleGrantPermission);
   revokePermissionBtn.addEventListener('click', handleRevokePermission);
+  
+  // Selector rules editor and preview
+  if (selectorRulesList) {
+    addSelectorRuleBtn.addEventListener('click', handleAddSelectorRule);
+    saveSelectorRulesBtn.addEventListener('click', handleSaveSelectorRules);
+    selectorRulesList.addEventListener('click', handleRemoveSelectorRule);
+    selectorRulesList.addEventListener('input', updateSelectorPreview);
+    selectorPreviewHost.addEventListener('input', updateSelectorPreview);
+    selectorPreviewHtml.addEventListener('input', updateSelectorPreview);
+  }
+  
+  // Note templates editor
+  if (noteTemplatesList) {
+    addNoteTemplateBtn.addEventListener('click', handleAddNoteTemplate);
+    restoreNoteTemplatesBtn.addEventListener('click', handleRestoreNoteTemplates);
+    saveNoteTemplatesBtn.addEventListener('click', handleSaveNoteTemplates);
+    noteTemplatesList.addEventListener('click', handleRemoveNoteTemplate);
+  }
 }
 
 /**
@@ -241,7 +686,9 @@ async function handleSave(event) {
       defaultPosition: defaultPositionInput.value,
       noteWidth: parseInt(noteWidthSelect.value, 10),
       fontSize: fontSizeSelect.value,
-      notesVisibleByDefault: notesVisibleCheckbox.checked
+      notesVisibleByDefault: notesVisibleCheckbox.checked,
+      screenshotOnCreate: screenshotOnCreateCheckbox.checked,
+      resolvedNotesDisplay: resolvedNotesSelect.value
     };
     
     const result = await setPreferences(prefs);
@@ -279,6 +726,9 @@ async function handleReset() {
       fontSizeSelect.value = DEFAULT_PREFERENCES.fontSize;
       notesVisibleCheckbox.checked = DEFAULT_PREFERENCES.notesVisibleByDefault;
       notesVisibleCheckbox.setAttribute('aria-checked', DEFAULT_PREFERENCES.notesVisibleByDefault ? 'true' : 'false');
+      screenshotOnCreateCheckbox.checked = DEFAULT_PREFERENCES.screenshotOnCreate;
+      screenshotOnCreateCheckbox.setAttribute('aria-checked', DEFAULT_PREFERENCES.screenshotOnCreate ? 'true' : 'false');
+      resolvedNotesSelect.value = DEFAULT_PREFERENCES.resolvedNotesDisplay;
       
       showStatus(t('settingsReset') || 'Settings reset to defaults', 'success');
     } else {
@@ -325,7 +775,9 @@ async function init() {
   // Load preferences and check permissions in parallel for faster loading
   await Promise.all([
     loadPreferences(),
-    updatePermissionUI()
+    updatePermissionUI(),
+    loadSelectorRules(),
+    loadNoteTemplates()
   ]);
 }
 
@@ -348,5 +800,15 @@ export {
   checkAllSitesPermission,
   updatePermissionUI,
   handleGrantPermission,
-  handleRevokePermission
+  handleRevokePermission,
+  loadSelectorRules,
+  readSelectorRules,
+  handleAddSelectorRule,
+  handleSaveSelectorRules,
+  updateSelectorPreview,
+  loadNoteTemplates,
+  readNoteTemplates,
+  handleAddNoteTemplate,
+  handleRestoreNoteTemplates,
+  handleSaveNoteTemplates
 };
\ No newline at end of file
@@ -3,7 +3,7 @@
  * Extracted for testability with dependency injection
  */
 
-import { isRestrictedUrl, THEME_COLORS, escapeHtml, stripHtml, truncate, isValidEmail, formatRelativeTime } from '../shared/utils.js';
+import { isRestrictedUrl, THEME_COLORS, escapeHtml, stripHtml, truncate, isValidEmail, formatRelativeTime, getNoteStatus, NOTE_STATUS_LABEL_KEYS, isNoteOverdue, formatDueDate, createCommentPermalink } from '../shared/utils.js';
 import { popupLogger as defaultLog } from '../shared/logger.js';
 import { t } from '../shared/i18n.js';
 // Report generator is lazy-loaded to reduce initial bundle size
@@ -17,6 +17,26 @@ const REPORT_SCOPES = {
   DATE_RANGE: 'dateRange'
 };
 
+// Message keys for anchor health statuses and reasons
+const ANCHOR_HEALTH_STATUS_KEYS = {
+  healthy: 'anchorHealthHealthy',
+  drifted: 'anchorHealthDrifted',
+  orphaned: 'anchorHealthOrphaned',
+  unchecked: 'anchorHealthUnchecked',
+  skipped: 'anchorHealthSkipped'
+};
+const ANCHOR_HEALTH_REASON_KEYS = {
+  elementChanged: 'anchorHealthReasonElementChanged',
+  textChanged: 'anchorHealthReasonTextChanged',
+  ambiguous: 'anchorHealthReasonAmbiguous',
+  selectorMissing: 'anchorHealthReasonSelectorMissing',
+  noMatch: 'anchorHealthReasonNoMatch',
+  pageTimeout: 'anchorHealthReasonPageTimeout',
+  cancelled: 'anchorHealthReasonCancelled',
+  pageLevel: 'anchorHealthReasonPageLevel',
+  iframe: 'anchorHealthReasonIframe'
+};
+
 /**
  * Create popup handlers with injected dependencies
  * @param {Object} deps - Dependencies
@@ -477,16 +497,17 @@ export function createPopupHandlers(deps = {}) {
 
   /**
    * Render empty notes message
+   * @param {string} message - Message to show (defaults to the "no notes yet" text)
    * @returns {string} HTML string
    */
-  function renderEmptyNotes() {
+  function renderEmptyNotes(message = t('noNotesYet')) {
     return `
       <div class="notes-empty">
         <svg width="32" height="32" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="1.5" opacity="0.5">
           <rect x="3" y="3" width="18" height="18" rx="2"/>
           <path d="M7 8h10M7 12h10M7 16h6"/>
         </svg>
-        <p>${t('noNotesYet')}</p>
+        <p>${message}</p>
       </div>
     `;
   }
@@ -815,6 +836,23 @@ export function createPopupHandlers(deps = {}) {
         }
       }
       
+      // Screenshots live in Cloud Storage or the extension's IndexedDB; ask the background for each image
+      if (options.includeScreenshots) {
+        for (const note of notes.filter(item => item.screenshot)) {
+          try {
+            const response = await chromeRuntime.sendMessage({
+              action: 'getNoteScreenshot',
+              screenshot: note.screenshot
+            });
+            if (response?.success) {
+              note.screenshotSrc = response.src;
+            }
+          } catch {
+            // If the screenshot fails to load, continue without it
+          }
+        }
+      }
+      
       // Get user context
       const user = await checkAuthState();
       const context = {
@@ -905,6 +943,7 @@ export function createPopupHandlers(deps = {}) {
       ? '<path d="M1 12s4-8 11-8 11 8 11 8-4 8-11 8-11-8-11-8z"/><circle cx="12" cy="12" r="3"/>'
       : '<path d="M17.94 17.94A10.07 10.07 0 0112 20c-7 0-11-8-11-8a18.45 18.45 0 015.06-5.94M9.9 4.24A9.12 9.12 0 0112 4c7 0 11 8 11 8a18.5 18.5 0 01-2.16 3.19m-6.72-1.07a3 3 0 11-4.24-4.24"/><line x1="1" y1="1" x2="23" y2="23"/>';
     const visibilityTitle = note.isHidden ? t('showNote') : t('hideNote');
+    const status = getNoteStatus(note);
     
     return `
       <div class="note-item${orphanedClass}${hiddenClass}" data-id="${note.id}"${orphanedAttr}${hiddenAttr}>
@@ -914,6 +953,7 @@ export function createPopupHandlers(deps = {}) {
             <div class="note-item-text">${stripHtml(note.content) || t('emptyNote')}</div>
             <div class="note-item-meta">
               <span class="note-item-selector">${escapeHtml(truncateSelector(note.selector))}</span>
+              <span class="note-item-status note-item-status-${status}">${t(NOTE_STATUS_LABEL_KEYS[status])}</span>
               ${sharedBadge}
             </div>${orphanedHint}
           </div>
@@ -1130,6 +1170,28 @@ export function createPopupHandlers(deps = {}) {
     }
   }
 
+  /**
+   * Get shared notes assigned to the current user
+   * @returns {Promise<Object>} Result with notes array
+   */
+  async function getAssignedNotes() {
+    try {
+      const response = await chromeRuntime.sendMessage({
+        action: 'getAssignedNotes'
+      });
+      
+      if (response.success) {
+        return { success: true, notes: response.notes || [] };
+      } else {
+        log.error('Get assigned notes failed:', response.error);
+        return { success: false, notes: [], error: response.error };
+      }
+    } catch (error) {
+      log.error('Get assigned notes error:', error);
+      return { success: false, notes: [], error: error.message };
+    }
+  }
+
   /**
    * Get the count of unread shared notes
    * @returns {Promise<Object>} Result with count
@@ -1172,28 +1234,90 @@ export function createPopupHandlers(deps = {}) {
   }
 
   /**
-   * Render a shared note item HTML
-   * @param {Object} note - Note object
-   * @returns {string} HTML string
+   * Get the current user's recent @mentions in comments
+   * @returns {Promise<Object>} Result with mentions array and unreadCount
    */
-  function renderSharedNoteItem(note) {
-    // Extract hostname from URL for display
+  async function getMentions() {
+    try {
+      const response = await chromeRuntime.sendMessage({
+        action: 'getMentions'
+      });
+      
+      if (response.success) {
+        return { success: true, mentions: response.mentions || [], unreadCount: response.unreadCount || 0 };
+      } else {
+        log.error('Get mentions failed:', response.error);
+        return { success: false, mentions: [], unreadCount: 0, error: response.error };
+      }
+    } catch (error) {
+      log.error('Get mentions error:', error);
+      return { success: false, mentions: [], unreadCount: 0, error: error.message };
+    }
+  }
+
+  /**
+   * Mark an @mention as read
+   * @param {string} notificationId - Notification ID
+   * @returns {Promise<Object>} Result
+   */
+  async function markMentionAsRead(notificationId) {
+    try {
+      const response = await chromeRuntime.sendMessage({
+        action: 'markMentionRead',
+        notificationId
+      });
+      
+      return { success: response.success };
+    } catch (error) {
+      log.error('Mark mention read error:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Shorten a page URL for display: hostname and path
+   * @param {string} pageUrl - Page URL
+   * @returns {string} Display URL
+   */
+  function formatDisplayUrl(pageUrl) {
     let displayUrl = '';
     try {
-      const url = new URL(note.url);
+      const url = new URL(pageUrl);
       displayUrl = url.hostname + (url.pathname !== '/' ? url.pathname : '');
       // Truncate if too long
       if (displayUrl.length > 40) {
         displayUrl = displayUrl.substring(0, 40) + '...';
       }
     } catch (_e) {
-      displayUrl = note.url || '';
+      displayUrl = pageUrl || '';
+    }
+    return displayUrl;
+  }
+
+  /**
+   * Render a shared note item HTML
+   * @param {Object} note - Note object
+   * @param {Object} options - Render options
+   * @param {boolean} options.showUnreadDot - Show the unread indicator (default true)
+   * @returns {string} HTML string
+   */
+  function renderSharedNoteItem(note, { showUnreadDot = true } = {}) {
+    const displayUrl = formatDisplayUrl(note.url);
+    
+    let dueHtml = '';
+    if (note.dueDate) {
+      const overdue = isNoteOverdue(note);
+      const label = formatDueDate(note.dueDate);
+      dueHtml = `
+                <span class="shared-note-due${overdue ? ' overdue' : ''}">
+                  ${escapeHtml(overdue ? t('overdueSince', [label]) : t('dueOn', [label]))}
+                </span>`;
     }
     
     return `
       <div class="shared-note-item" data-id="${note.id}" data-url="${escapeHtml(note.url)}">
         <div class="shared-note-header">
-          <div class="shared-note-unread-dot"></div>
+          ${showUnreadDot ? '<div class="shared-note-unread-dot"></div>' : ''}
           <div class="note-item-color" style="background: ${getThemeColor(note.theme)}"></div>
           <div class="shared-note-content">
             <div class="shared-note-text">${stripHtml(note.content) || t('emptyNote')}</div>
@@ -1220,6 +1344,48 @@ export function createPopupHandlers(deps = {}) {
                     <polyline points="12 6 12 12 16 14"/>
                   </svg>
                   ${formatRelativeTime(note.createdAt)}
+                </span>${dueHtml}
+              </div>
+            </div>
+          </div>
+        </div>
+      </div>
+    `;
+  }
+
+  /**
+   * Render an @mention item HTML
+   * @param {Object} mention - Mention notification { id, authorName, preview, url, read, createdAt }
+   * @returns {string} HTML string
+   */
+  function renderMentionItem(mention) {
+    // Link straight to the comment when the notification says which one it is
+    const linkUrl = mention.noteId && mention.commentId
+      ? createCommentPermalink(mention.url, mention.noteId, mention.commentId)
+      : mention.url;
+    return `
+      <div class="shared-note-item mention-item" data-notification-id="${escapeHtml(mention.id)}" data-url="${escapeHtml(linkUrl)}">
+        <div class="shared-note-header">
+          ${mention.read ? '' : '<div class="shared-note-unread-dot"></div>'}
+          <div class="shared-note-content">
+            <div class="shared-note-text">${escapeHtml(t('mentionedYou', [mention.authorName || t('anonymous')]))}</div>
+            ${mention.preview ? `<div class="mention-preview">${escapeHtml(mention.preview)}</div>` : ''}
+            <div class="shared-note-meta">
+              <div class="shared-note-url">
+                <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                  <path d="M18 13v6a2 2 0 01-2 2H5a2 2 0 01-2-2V8a2 2 0 012-2h6"/>
+                  <polyline points="15 3 21 3 21 9"/>
+                  <line x1="10" y1="14" x2="21" y2="3"/>
+                </svg>
+                <span class="shared-note-url-text">${escapeHtml(formatDisplayUrl(mention.url))}</span>
+              </div>
+              <div class="shared-note-info">
+                <span class="shared-note-time">
+                  <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                    <circle cx="12" cy="12" r="10"/>
+                    <polyline points="12 6 12 12 16 14"/>
+                  </svg>
+                  ${mention.createdAt ? formatRelativeTime(mention.createdAt) : ''}
                 </span>
               </div>
             </div>
@@ -1247,6 +1413,24 @@ export function createPopupHandlers(deps = {}) {
     `;
   }
 
+  /**
+   * Filter notes by workflow status
+   * @param {Array} notes - Array of notes to filter
+   * @param {string} status - Status to keep (empty for all statuses)
+   * @returns {Array} Filtered notes array
+   */
+  function filterNotesByStatus(notes, status) {
+    if (!Array.isArray(notes)) {
+      return [];
+    }
+    
+    if (!status) {
+      return notes;
+    }
+    
+    return notes.filter(note => getNoteStatus(note) === status);
+  }
+
   /**
    * Filter notes by age (older than specified days)
    * @param {Array} notes - Array of notes to filter
@@ -1339,6 +1523,105 @@ export function createPopupHandlers(deps = {}) {
     }
   }
 
+  /**
+   * Start the anchor health check for a site
+   * Requests host permission from the popup (has user gesture) so the
+   * background can inject into the pages it opens
+   * @param {string} origin - Site origin
+   * @returns {Promise<Object>} Result with the initial report
+   */
+  async function startAnchorHealthCheck(origin) {
+    try {
+      const originPattern = `${origin}/*`;
+      const hasPermission = await chrome.permissions.contains({ origins: [originPattern] });
+      if (!hasPermission) {
+        const granted = await chrome.permissions.request({ origins: [originPattern] });
+        if (!granted) {
+          if (showErrorToast) {
+            showErrorToast(t('anchorHealthPermissionDenied'));
+          }
+          return { success: false, error: 'Permission denied', needsPermission: true };
+        }
+      }
+      
+      const response = await chromeRuntime.sendMessage({ action: 'startAnchorHealthCheck', origin });
+      if (!response?.success && response?.error !== 'alreadyRunning') {
+        log.error('Failed to start anchor health check:', response?.error);
+        if (showErrorToast) {
+          showErrorToast(t('anchorHealthStartFailed'));
+        }
+      }
+      return response;
+    } catch (error) {
+      log.error('Start anchor health check error:', error);
+      if (showErrorToast) {
+        showErrorToast(t('anchorHealthStartFailed'));
+      }
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Get the latest anchor health report
+   * @returns {Promise<Object>} Result with report and running flag
+   */
+  async function getAnchorHealthReport() {
+    try {
+      return await chromeRuntime.sendMessage({ action: 'getAnchorHealthReport' });
+    } catch (error) {
+      log.error('Get anchor health report error:', error);
+      return { success: false, report: null, running: false, error: error.message };
+    }
+  }
+
+  /**
+   * Cancel the running anchor health check
+   * @returns {Promise<Object>} Result with success flag
+   */
+  async function cancelAnchorHealthCheck() {
+    try {
+      return await chromeRuntime.sendMessage({ action: 'cancelAnchorHealthCheck' });
+    } catch (error) {
+      log.error('Cancel anchor health check error:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Render a note from the anchor health report
+   * @param {Object} note - Report entry
+   * @returns {string} HTML string
+   */
+  function renderAnchorHealthItem(note) {
+    let path = note.url || '';
+    try {
+      path = new URL(note.url).pathname;
+    } catch {
+      // Keep the stored URL
+    }
+    
+    // Any other reason is an error from loading the page
+    const reason = note.reason ? t(ANCHOR_HEALTH_REASON_KEYS[note.reason] || 'anchorHealthReasonPageError') : '';
+    const suggestion = note.suggestedSelector ? `
+          <div class="anchor-health-suggestion">
+            <span class="anchor-health-suggestion-label">${t('anchorHealthSuggested')}</span>
+            <code class="anchor-health-selector">${escapeHtml(note.suggestedSelector)}</code>
+            ${note.score !== null && note.score !== undefined ? `<span class="anchor-health-score">${t('anchorHealthMatchScore', [note.score])}</span>` : ''}
+          </div>` : '';
+    
+    return `
+      <div class="anchor-health-item anchor-health-item-${escapeHtml(note.status)}" data-id="${escapeHtml(note.id)}">
+        <div class="anchor-health-item-header">
+          <span class="anchor-health-badge anchor-health-${escapeHtml(note.status)}">${t(ANCHOR_HEALTH_STATUS_KEYS[note.status] || 'anchorHealthUnchecked')}</span>
+          <span class="anchor-health-path">${escapeHtml(path)}</span>
+        </div>
+        <div class="anchor-health-text">${escapeHtml(truncate(stripHtml(note.content), 60)) || t('emptyNote')}</div>
+        <code class="anchor-health-selector">${escapeHtml(note.selector)}</code>${reason ? `
+        <div class="anchor-health-reason">${reason}</div>` : ''}${suggestion}
+      </div>
+    `;
+  }
+
   return {
     checkAuthState,
     handleLogin,
@@ -1368,13 +1651,24 @@ export function createPopupHandlers(deps = {}) {
     formatTimestamp,
     // Shared notes handlers
     getUnreadSharedNotes,
+    getAssignedNotes,
     getUnreadSharedCount,
     markSharedNoteAsRead,
+    getMentions,
+    markMentionAsRead,
     renderSharedNoteItem,
+    renderMentionItem,
     renderEmptySharedNotes,
+    // Note list filters
+    filterNotesByStatus,
     // Delete old notes handlers
     filterNotesByAge,
-    handleDeleteOldNotes
+    handleDeleteOldNotes,
+    // Anchor health check handlers
+    startAnchorHealthCheck,
+    getAnchorHealthReport,
+    cancelAnchorHealthCheck,
+    renderAnchorHealthItem
   };
 }
 
@@ -5,7 +5,7 @@
 
 import { createPopupHandlers } from './handlers.js';
 import { initializeI18n, t } from '../shared/i18n.js';
-import { isRestrictedUrl } from '../shared/utils.js';
+import { isRestrictedUrl, formatRelativeTime, normalizeTags } from '../shared/utils.js';
 
 /**
  * Show a toast notification in the popup
@@ -40,8 +40,8 @@ const handlers = createPopupHandlers({
 // DOM Elements (will be populated after DOMContentLoaded)
 let authSection, userSection, loginBtn, logoutBtn, closeBtn;
 let userAvatar, userName, userEmail;
-let addNoteBtn, addPageNoteBtn, notesList, notesCount, actionHint;
-let actionsBtn, actionsMenu, toggleVisibilityBtn, exportPageBtn, exportAllBtn, generateReportBtn, deletePageNotesBtn, deleteAllNotesBtn, deleteOldNotesBtn, settingsBtn;
+let addNoteBtn, addPageNoteBtn, notesList, notesCount, statusFilter, actionHint;
+let actionsBtn, actionsMenu, toggleVisibilityBtn, exportPageBtn, exportAllBtn, generateReportBtn, deletePageNotesBtn, deleteAllNotesBtn, deleteOldNotesBtn, verifyAnchorsBtn, settingsBtn;
 // Report modal elements
 let reportModal, reportModalClose, reportModalCancel, reportModalGenerate;
 let reportScopeRadios, dateRangeInputs, reportDateStart, reportDateEnd;
@@ -49,10 +49,22 @@ let selectedNotesCount;
 // Delete old notes modal elements
 let deleteOldNotesModal, closeDeleteOldNotesModal, agePresetBtns, customDaysInput, applyCustomDaysBtn;
 let oldNotesPreview, oldNotesCount, oldNotesList, cancelDeleteOldNotes, confirmDeleteOldNotes;
+// Anchor health modal elements
+let anchorHealthModal, closeAnchorHealthModal, anchorHealthStatus, anchorHealthSummary, anchorHealthList;
+let startAnchorHealthCheckBtn, cancelAnchorHealthCheckBtn;
 let totalNotesCount, versionDisplay;
 // Tab elements
 let thisPageTab, sharedTab, thisPageContent, sharedContent;
-let thisPageCount, sharedCount, sharedNotesList;
+let thisPageCount, sharedCount, mentionsCount, sharedNotesList, assignedNotesSection, assignedNotesList, mentionsSection, mentionsList;
+
+// Message keys for the anchor health summary badges
+const ANCHOR_HEALTH_SUMMARY_KEYS = {
+  healthy: 'anchorHealthSummaryHealthy',
+  drifted: 'anchorHealthSummaryDrifted',
+  orphaned: 'anchorHealthSummaryOrphaned',
+  unchecked: 'anchorHealthSummaryUnchecked',
+  skipped: 'anchorHealthSummarySkipped'
+};
 
 // Current page notes (for actions)
 let currentPageNotes = [];
@@ -73,6 +85,7 @@ function initDOMElements() {
   addPageNoteBtn = document.getElementById('addPageNoteBtn');
   notesList = document.getElementById('notesList');
   notesCount = document.getElementById('notesCount');
+  statusFilter = document.getElementById('statusFilter');
   actionHint = document.querySelector('.action-hint');
   
   // New elements
@@ -84,6 +97,7 @@ function initDOMElements() {
   deletePageNotesBtn = document.getElementById('deletePageNotesBtn');
   deleteAllNotesBtn = document.getElementById('deleteAllNotesBtn');
   deleteOldNotesBtn = document.getElementById('deleteOldNotesBtn');
+  verifyAnchorsBtn = document.getElementById('verifyAnchorsBtn');
   settingsBtn = document.getElementById('settingsBtn');
   generateReportBtn = document.getElementById('generateReportBtn');
   totalNotesCount = document.getElementById('totalNotesCount');
@@ -111,6 +125,15 @@ function initDOMElements() {
   cancelDeleteOldNotes = document.getElementById('cancelDeleteOldNotes');
   confirmDeleteOldNotes = document.getElementById('confirmDeleteOldNotes');
   
+  // Anchor health modal elements
+  anchorHealthModal = document.getElementById('anchorHealthModal');
+  closeAnchorHealthModal = document.getElementById('closeAnchorHealthModal');
+  anchorHealthStatus = document.getElementById('anchorHealthStatus');
+  anchorHealthSummary = document.getElementById('anchorHealthSummary');
+  anchorHealthList = document.getElementById('anchorHealthList');
+  startAnchorHealthCheckBtn = document.getElementById('startAnchorHealthCheck');
+  cancelAnchorHealthCheckBtn = document.getElementById('cancelAnchorHealthCheck');
+  
   // Tab elements
   thisPageTab = document.getElementById('thisPageTab');
   sharedTab = document.getElementById('sharedTab');
@@ -119,6 +142,11 @@ function initDOMElements() {
   thisPageCount = document.getElementById('thisPageCount');
   sharedCount = document.getElementById('sharedCount');
   sharedNotesList = document.getElementById('sharedNotesList');
+  assignedNotesSection = document.getElementById('assignedNotesSection');
+  assignedNotesList = document.getElementById('assignedNotesList');
+  mentionsCount = document.getElementById('mentionsCount');
+  mentionsSection = document.getElementById('mentionsSection');
+  mentionsList = document.getElementById('mentionsList');
   
   // Version display
   versionDisplay = document.getElementById('versionDisplay');
@@ -193,7 +221,13 @@ function renderNotesList(notes) {
     return;
   }
   
-  notesList.innerHTML = notes.map(note => handlers.renderNoteItemExpanded(note)).join('');
+  const visibleNotes = handlers.filterNotesByStatus(notes, statusFilter?.value);
+  if (visibleNotes.length === 0) {
+    notesList.innerHTML = handlers.renderEmptyNotes(t('noNotesWithStatus'));
+    return;
+  }
+  
+  notesList.innerHTML = visibleNotes.map(note => handlers.renderNoteItemExpanded(note)).join('');
   
   // Add event handlers for each note item
   notesList.querySelectorAll('.note-item').forEach(item => {
@@ -374,21 +408,44 @@ async function switchTab(tabName) {
 }
 
 /**
- * Load and render shared notes
+ * Load and render shared notes: @mentions, notes assigned to the user, then unread ones
  */
 async function loadAndRenderSharedNotes() {
-  const result = await handlers.getUnreadSharedNotes();
+  const [mentionsResult, assignedResult, result] = await Promise.all([
+    handlers.getMentions(),
+    handlers.getAssignedNotes(),
+    handlers.getUnreadSharedNotes()
+  ]);
+  
+  // Mentions section only shows when someone mentioned the user
+  mentionsSection?.classList.toggle('hidden', mentionsResult.mentions.length === 0);
+  if (mentionsList) {
+    mentionsList.innerHTML = mentionsResult.mentions.map(mention => handlers.renderMentionItem(mention)).join('');
+    mentionsList.querySelectorAll('.mention-item').forEach(item => {
+      item.addEventListener('click', () => handleMentionClick(item));
+    });
+  }
+  
+  // Assigned section only shows when something is assigned
+  const hasAssigned = assignedResult.notes.length > 0;
+  assignedNotesSection?.classList.toggle('hidden', !hasAssigned);
+  if (assignedNotesList) {
+    assignedNotesList.innerHTML = assignedResult.notes
+      .map(note => handlers.renderSharedNoteItem(note, { showUnreadDot: false }))
+      .join('');
+  }
   
   if (result.notes.length === 0) {
     sharedNotesList.innerHTML = handlers.renderEmptySharedNotes();
-    return;
+  } else {
+    sharedNotesList.innerHTML = result.notes.map(note => handlers.renderSharedNoteItem(note)).join('');
   }
   
-  sharedNotesList.innerHTML = result.notes.map(note => handlers.renderSharedNoteItem(note)).join('');
-  
   // Add click handlers for each shared note item
-  sharedNotesList.querySelectorAll('.shared-note-item').forEach(item => {
-    item.addEventListener('click', () => handleSharedNoteClick(item));
+  [assignedNotesList, sharedNotesList].forEach(list => {
+    list?.querySelectorAll('.shared-note-item').forEach(item => {
+      item.addEventListener('click', () => handleSharedNoteClick(item));
+    });
   });
 }
 
@@ -417,14 +474,42 @@ async function handleSharedNoteClick(item) {
 }
 
 /**
- * Update the shared notes count badge
+ * Handle clicking on a mention - mark as read and open the page in a new tab
+ * @param {HTMLElement} item - The clicked mention item element
+ */
+async function handleMentionClick(item) {
+  const notificationId = item.dataset.notificationId;
+  const pageUrl = item.dataset.url;
+  
+  if (!notificationId || !pageUrl) return;
+  
+  try {
+    await handlers.markMentionAsRead(notificationId);
+    await chrome.tabs.create({ url: pageUrl });
+    window.close();
+  } catch {
+    showToast(t('failedToOpenNote'), 'error');
+  }
+}
+
+/**
+ * Update the shared notes and unread mentions count badges
  */
 async function updateSharedNotesCount() {
-  const result = await handlers.getUnreadSharedCount();
+  const [result, mentionsResult] = await Promise.all([
+    handlers.getUnreadSharedCount(),
+    handlers.getMentions()
+  ]);
   const count = result.count || 0;
+  const mentions = mentionsResult.unreadCount || 0;
   
   sharedCount.textContent = count.toString();
   sharedCount.classList.toggle('hidden', count === 0);
+  
+  if (mentionsCount) {
+    mentionsCount.textContent = `@${mentions}`;
+    mentionsCount.classList.toggle('hidden', mentions === 0);
+  }
 }
 
 /**
@@ -541,6 +626,7 @@ async function init() {
   addNoteBtn.addEventListener('click', () => handlers.handleAddNote());
   addPageNoteBtn.addEventListener('click', () => handlers.handleAddPageNote());
   closeBtn.addEventListener('click', () => window.close());
+  statusFilter?.addEventListener('change', () => renderNotesList(currentPageNotes));
 
   // Setup tabs
   setupTabs();
@@ -711,11 +797,22 @@ function setupActionsDropdown() {
     });
   }
   
+  // Verify anchors button - open anchor health modal
+  if (verifyAnchorsBtn) {
+    verifyAnchorsBtn.addEventListener('click', () => {
+      actionsMenu.classList.add('hidden');
+      openAnchorHealthModal();
+    });
+  }
+  
   // Setup delete old notes modal
   setupDeleteOldNotesModal();
   
   // Setup report modal
   setupReportModal();
+  
+  // Setup anchor health modal
+  setupAnchorHealthModal();
 }
 
 // State for delete old notes modal
@@ -935,6 +1032,9 @@ function openReportModal() {
   if (commentsCheckbox) commentsCheckbox.checked = true;
   if (screenshotsCheckbox) screenshotsCheckbox.checked = false;
   
+  const tagsInput = document.getElementById('reportTags');
+  if (tagsInput) tagsInput.value = '';
+  
   // Update selected notes count
   updateSelectedNotesCount();
   
@@ -973,13 +1073,15 @@ function getReportOptions() {
   const metadataEl = document.getElementById('reportIncludeMetadata');
   const commentsEl = document.getElementById('reportIncludeComments');
   const screenshotsEl = document.getElementById('reportIncludeScreenshots');
+  const tagsEl = document.getElementById('reportTags');
 
   const options = {
     format: formatEl?.value || 'html',
     scope: scopeEl?.value || 'currentPage',
     includeMetadata: metadataEl?.checked ?? true,
     includeComments: commentsEl?.checked ?? true,
-    includeScreenshots: screenshotsEl?.checked ?? false
+    includeScreenshots: screenshotsEl?.checked ?? false,
+    tags: normalizeTags(tagsEl?.value || '')
   };
 
   // Add date range if selected
@@ -1088,6 +1190,164 @@ function setupReportModal() {
   });
 }
 
+// State for anchor health modal
+let anchorHealthOrigin = null;
+let anchorHealthPollTimer = null;
+
+/**
+ * Interval for refreshing the anchor health report while a check runs
+ */
+const ANCHOR_HEALTH_POLL_MS = 1000;
+
+/**
+ * Open the anchor health modal for the site in the current tab
+ */
+async function openAnchorHealthModal() {
+  const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+  if (!tab?.url || isRestrictedUrl(tab.url)) {
+    showToast(t('anchorHealthUnavailable'), 'error');
+    return;
+  }
+  
+  anchorHealthOrigin = new URL(tab.url).origin;
+  anchorHealthList.innerHTML = '';
+  anchorHealthModal.classList.remove('hidden');
+  
+  await refreshAnchorHealthReport();
+}
+
+/**
+ * Close the anchor health modal
+ * A running check keeps going in the background
+ */
+function closeAnchorHealthModalFn() {
+  anchorHealthModal.classList.add('hidden');
+  stopAnchorHealthPolling();
+}
+
+/**
+ * Stop refreshing the anchor health report
+ */
+function stopAnchorHealthPolling() {
+  if (anchorHealthPollTimer) {
+    clearTimeout(anchorHealthPollTimer);
+    anchorHealthPollTimer = null;
+  }
+}
+
+/**
+ * Load the latest report and render it, polling while the check runs
+ */
+async function refreshAnchorHealthReport() {
+  stopAnchorHealthPolling();
+  
+  const result = await handlers.getAnchorHealthReport();
+  const running = Boolean(result?.running);
+  renderAnchorHealthReport(result?.report || null, running);
+  
+  if (running && !anchorHealthModal.classList.contains('hidden')) {
+    anchorHealthPollTimer = setTimeout(refreshAnchorHealthReport, ANCHOR_HEALTH_POLL_MS);
+  }
+}
+
+/**
+ * Render an anchor health report in the modal
+ * Reports for another site are ignored unless that check is still running
+ * @param {Object|null} report - Report from the background
+ * @param {boolean} running - Whether a check is running
+ */
+function renderAnchorHealthReport(report, running) {
+  const hostname = anchorHealthOrigin ? new URL(anchorHealthOrigin).hostname : '';
+  const isOtherSite = report && report.origin !== anchorHealthOrigin;
+  const current = report && (!isOtherSite || running) ? report : null;
+  
+  startAnchorHealthCheckBtn.classList.toggle('hidden', running);
+  cancelAnchorHealthCheckBtn.classList.toggle('hidden', !running);
+  startAnchorHealthCheckBtn.textContent = current ? t('anchorHealthRerun') : t('anchorHealthStart');
+  
+  if (!current) {
+    anchorHealthStatus.textContent = t('anchorHealthIntro', [hostname]);
+    anchorHealthSummary.classList.add('hidden');
+    anchorHealthList.innerHTML = '';
+    return;
+  }
+  
+  if (running) {
+    anchorHealthStatus.textContent = isOtherSite
+      ? t('anchorHealthRunningElsewhere', [new URL(current.origin).hostname])
+      : t('anchorHealthProgress', [current.pagesChecked, current.pagesTotal]);
+  } else if (current.status === 'cancelled') {
+    anchorHealthStatus.textContent = t('anchorHealthCancelled');
+  } else if (current.status === 'failed') {
+    anchorHealthStatus.textContent = t('anchorHealthFailed');
+  } else {
+    anchorHealthStatus.textContent = t('anchorHealthCompleted', [current.pagesChecked, formatRelativeTime(current.finishedAt)]);
+  }
+  
+  const summary = current.summary || {};
+  const badges = ['healthy', 'drifted', 'orphaned', 'unchecked', 'skipped']
+    .filter(status => summary[status] > 0)
+    .map(status => `<span class="anchor-health-badge anchor-health-${status}">${t(ANCHOR_HEALTH_SUMMARY_KEYS[status], [summary[status]])}</span>`);
+  anchorHealthSummary.innerHTML = badges.join('');
+  anchorHealthSummary.classList.toggle('hidden', badges.length === 0);
+  
+  // Healthy and skipped notes need no action, so only problems are listed
+  const problems = (current.notes || []).filter(note => ['drifted', 'orphaned', 'unchecked'].includes(note.status));
+  if (problems.length > 0) {
+    anchorHealthList.innerHTML = problems.map(note => handlers.renderAnchorHealthItem(note)).join('');
+  } else if (!running && current.notes?.length > 0) {
+    anchorHealthList.innerHTML = `<p class="modal-description">${t('anchorHealthAllHealthy')}</p>`;
+  } else {
+    anchorHealthList.innerHTML = '';
+  }
+}
+
+/**
+ * Start a new anchor health check for the current site
+ */
+async function handleStartAnchorHealthCheck() {
+  if (!anchorHealthOrigin) return;
+  
+  startAnchorHealthCheckBtn.disabled = true;
+  try {
+    const result = await handlers.startAnchorHealthCheck(anchorHealthOrigin);
+    if (result?.success && result.report?.pagesTotal === 0) {
+      showToast(t('anchorHealthNoNotes'), 'error');
+    }
+  } finally {
+    startAnchorHealthCheckBtn.disabled = false;
+  }
+  
+  await refreshAnchorHealthReport();
+}
+
+/**
+ * Stop the running anchor health check
+ */
+async function handleCancelAnchorHealthCheck() {
+  await handlers.cancelAnchorHealthCheck();
+  await refreshAnchorHealthReport();
+}
+
+/**
+ * Setup anchor health modal event listeners
+ */
+function setupAnchorHealthModal() {
+  if (!anchorHealthModal) return;
+  
+  closeAnchorHealthModal.addEventListener('click', closeAnchorHealthModalFn);
+  anchorHealthModal.querySelector('.modal-backdrop').addEventListener('click', closeAnchorHealthModalFn);
+  startAnchorHealthCheckBtn.addEventListener('click', handleStartAnchorHealthCheck);
+  cancelAnchorHealthCheckBtn.addEventListener('click', handleCancelAnchorHealthCheck);
+  
+  // Close on Escape key
+  document.addEventListener('keydown', (event) => {
+    if (event.key === 'Escape' && !anchorHealthModal.classList.contains('hidden')) {
+      closeAnchorHealthModalFn();
+    }
+  });
+}
+
 /**
  * Apply custom days from input
  */
@@ -1130,6 +1390,7 @@ export {
   switchTab,
   loadAndRenderSharedNotes,
   handleSharedNoteClick,
+  handleMentionClick,
   updateSharedNotesCount,
   setupTabs,
   // Version display
@@ -1149,6 +1410,14 @@ export {
   updateSelectedNotesCount,
   getReportOptions,
   handleGenerateReport,
-  setupReportModal
+  setupReportModal,
+  // Anchor health modal
+  openAnchorHealthModal,
+  closeAnchorHealthModalFn,
+  refreshAnchorHealthReport,
+  renderAnchorHealthReport,
+  handleStartAnchorHealthCheck,
+  handleCancelAnchorHealthCheck,
+  setupAnchorHealthModal
 };
 export { createPopupHandlers } from './handlers.js';
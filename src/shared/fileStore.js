@@ -0,0 +1,106 @@
+/**
+ * File Store Module
+ * Keeps note screenshots and attachments of signed-out users in IndexedDB
+ * Files are too large for chrome.storage.local next to the notes themselves,
+ * and the extension's IndexedDB is shared by the background, popup and options pages
+ *
+ * Notes only carry a reference, e.g. { id, storage: 'local', ... }
+ */
+
+const DB_NAME = 'sticky-notes';
+const DB_VERSION = 2;
+
+/**
+ * Object stores, one per kind of file
+ */
+export const FILE_STORES = {
+  SCREENSHOTS: 'screenshots',
+  ATTACHMENTS: 'attachments'
+};
+
+/**
+ * Wrap an IndexedDB request in a promise
+ * @param {IDBRequest} request - Request to wait for
+ * @returns {Promise<*>} Request result
+ */
+function promisifyRequest(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Open the file database, creating missing stores on upgrade
+ * @param {Object} deps - Dependencies for testing
+ * @returns {Promise<IDBDatabase>} Database
+ */
+function openDatabase(deps = {}) {
+  const idb = deps.indexedDB || indexedDB;
+  const request = idb.open(DB_NAME, DB_VERSION);
+
+  request.onupgradeneeded = () => {
+    const database = request.result;
+    for (const storeName of Object.values(FILE_STORES)) {
+      if (!database.objectStoreNames.contains(storeName)) {
+        database.createObjectStore(storeName);
+      }
+    }
+  };
+
+  return promisifyRequest(request);
+}
+
+/**
+ * Run one operation against a file store
+ * @param {string} storeName - One of FILE_STORES
+ * @param {string} mode - 'readonly' or 'readwrite'
+ * @param {Function} operation - Receives the object store, returns a request
+ * @param {Object} deps - Dependencies for testing
+ * @returns {Promise<*>} Request result
+ */
+async function withStore(storeName, mode, operation, deps) {
+  const database = await openDatabase(deps);
+
+  try {
+    const store = database.transaction(storeName, mode).objectStore(storeName);
+    return await promisifyRequest(operation(store));
+  } finally {
+    database.close();
+  }
+}
+
+/**
+ * Save a file
+ * @param {string} storeName - One of FILE_STORES
+ * @param {string} id - File ID
+ * @param {string} dataUrl - File data URL
+ * @param {Object} deps - Dependencies for testing
+ * @returns {Promise<void>}
+ */
+export async function saveLocalFile(storeName, id, dataUrl, deps = {}) {
+  await withStore(storeName, 'readwrite', store => store.put(dataUrl, id), deps);
+}
+
+/**
+ * Get a file
+ * @param {string} storeName - One of FILE_STORES
+ * @param {string} id - File ID
+ * @param {Object} deps - Dependencies for testing
+ * @returns {Promise<string|null>} File data URL, or null if it is gone
+ */
+export async function getLocalFile(storeName, id, deps = {}) {
+  const dataUrl = await withStore(storeName, 'readonly', store => store.get(id), deps);
+  return dataUrl || null;
+}
+
+/**
+ * Delete a file
+ * @param {string} storeName - One of FILE_STORES
+ * @param {string} id - File ID
+ * @param {Object} deps - Dependencies for testing
+ * @returns {Promise<void>}
+ */
+export async function deleteLocalFile(storeName, id, deps = {}) {
+  await withStore(storeName, 'readwrite', store => store.delete(id), deps);
+}
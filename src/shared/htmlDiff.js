@@ -0,0 +1,284 @@
+/**
+ * HTML Diff
+ * Word-level diff of RichEditor content for the note version history, and
+ * the block-level merge offered when two people edit a note at once.
+ *
+ * Notes are stored as HTML, but a raw markup diff is unreadable and flags
+ * changes nobody can see. Both versions are first flattened to the text a
+ * reader sees (paragraphs, list bullets, checkboxes), then diffed by word.
+ */
+
+import { escapeHtml } from './utils.js';
+
+/**
+ * Largest token grid (old x new) diffed exactly; bigger edits fall back to
+ * replacing the whole changed middle section
+ */
+const MAX_DIFF_CELLS = 250000;
+
+const BLOCK_TAGS = new Set(['P', 'DIV', 'LI', 'UL', 'OL', 'BLOCKQUOTE', 'H1', 'H2', 'H3', 'H4', 'H5', 'H6', 'PRE']);
+
+/**
+ * Flatten note HTML to the text a reader sees
+ * Block elements become line breaks, list items get a bullet and
+ * checkboxes become [ ] / [x].
+ * @param {string} html - Note HTML
+ * @returns {string} Visible text
+ */
+export function htmlToDiffText(html) {
+  if (!html) return '';
+
+  // Template content is inert: scripts don't run and images don't load
+  const template = document.createElement('template');
+  template.innerHTML = html;
+
+  let text = '';
+  const walk = (node) => {
+    if (node.nodeType === Node.TEXT_NODE) {
+      text += node.textContent.replace(/\s+/g, ' ');
+      return;
+    }
+    if (node.nodeType !== Node.ELEMENT_NODE) return;
+
+    const tag = node.tagName;
+    if (tag === 'BR') {
+      text += '\n';
+      return;
+    }
+    if (tag === 'INPUT' && node.type === 'checkbox') {
+      text += node.hasAttribute('checked') ? '[x] ' : '[ ] ';
+      return;
+    }
+
+    const isBlock = BLOCK_TAGS.has(tag);
+    if (isBlock && text && !text.endsWith('\n')) {
+      text += '\n';
+    }
+    if (tag === 'LI') {
+      text += '• ';
+    }
+    node.childNodes.forEach(walk);
+    if (isBlock && text && !text.endsWith('\n')) {
+      text += '\n';
+    }
+  };
+  template.content.childNodes.forEach(walk);
+
+  return text
+    .split('\n')
+    .map(line => line.replace(/ {2,}/g, ' ').trim())
+    .join('\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+/**
+ * Split text into word and whitespace tokens
+ * @param {string} text - Text to split
+ * @returns {string[]} Tokens
+ */
+function tokenize(text) {
+  return text.match(/\s+|[^\s]+/g) || [];
+}
+
+/**
+ * Diff two token sequences
+ * @param {string[]} oldTokens - Previous tokens
+ * @param {string[]} newTokens - New tokens
+ * @returns {Array<{type: string, tokens: string[]}>} Runs of type 'equal', 'insert' or 'delete'
+ */
+function diffTokens(oldTokens, newTokens) {
+  const runs = [];
+  const push = (type, tokens) => {
+    if (tokens.length === 0) return;
+    const last = runs[runs.length - 1];
+    if (last && last.type === type) {
+      last.tokens.push(...tokens);
+    } else {
+      runs.push({ type, tokens: [...tokens] });
+    }
+  };
+
+  // Common prefix and suffix are cheap to strip and usually most of the note
+  let start = 0;
+  while (start < oldTokens.length && start < newTokens.length && oldTokens[start] === newTokens[start]) {
+    start++;
+  }
+  let oldEnd = oldTokens.length;
+  let newEnd = newTokens.length;
+  while (oldEnd > start && newEnd > start && oldTokens[oldEnd - 1] === newTokens[newEnd - 1]) {
+    oldEnd--;
+    newEnd--;
+  }
+
+  push('equal', oldTokens.slice(0, start));
+
+  const oldMiddle = oldTokens.slice(start, oldEnd);
+  const newMiddle = newTokens.slice(start, newEnd);
+  const rows = oldMiddle.length;
+  const cols = newMiddle.length;
+
+  if (rows * cols > MAX_DIFF_CELLS) {
+    push('delete', oldMiddle);
+    push('insert', newMiddle);
+  } else {
+    // Longest common subsequence table, filled from the end
+    const lcs = new Uint32Array((rows + 1) * (cols + 1));
+    const at = (row, col) => row * (cols + 1) + col;
+    for (let row = rows - 1; row >= 0; row--) {
+      for (let col = cols - 1; col >= 0; col--) {
+        lcs[at(row, col)] = oldMiddle[row] === newMiddle[col]
+          ? lcs[at(row + 1, col + 1)] + 1
+          : Math.max(lcs[at(row + 1, col)], lcs[at(row, col + 1)]);
+      }
+    }
+
+    let row = 0;
+    let col = 0;
+    while (row < rows && col < cols) {
+      if (oldMiddle[row] === newMiddle[col]) {
+        push('equal', [oldMiddle[row]]);
+        row++;
+        col++;
+      } else if (lcs[at(row + 1, col)] >= lcs[at(row, col + 1)]) {
+        push('delete', [oldMiddle[row]]);
+        row++;
+      } else {
+        push('insert', [newMiddle[col]]);
+        col++;
+      }
+    }
+    push('delete', oldMiddle.slice(row));
+    push('insert', newMiddle.slice(col));
+  }
+
+  push('equal', oldTokens.slice(oldEnd));
+  return runs;
+}
+
+/**
+ * Word-level diff of two texts
+ * @param {string} oldText - Previous text
+ * @param {string} newText - New text
+ * @returns {Array<{type: string, text: string}>} Segments of type 'equal', 'insert' or 'delete'
+ */
+export function diffWords(oldText, newText) {
+  return diffTokens(tokenize(oldText || ''), tokenize(newText || ''))
+    .map(run => ({ type: run.type, text: run.tokens.join('') }));
+}
+
+/**
+ * Diff two versions of note HTML by their visible text
+ * @param {string} oldHtml - Previous content
+ * @param {string} newHtml - New content
+ * @returns {Object} { segments, hasTextChanges }
+ */
+export function diffHtml(oldHtml, newHtml) {
+  const segments = diffWords(htmlToDiffText(oldHtml), htmlToDiffText(newHtml));
+  return {
+    segments,
+    hasTextChanges: segments.some(segment => segment.type !== 'equal')
+  };
+}
+
+/**
+ * Render diff segments as escaped HTML with <ins>/<del> markers
+ * @param {Array<{type: string, text: string}>} segments - Diff segments
+ * @returns {string} HTML string
+ */
+export function renderDiffSegments(segments) {
+  return segments.map(segment => {
+    const text = escapeHtml(segment.text);
+    if (segment.type === 'insert') return `<ins class="sn-diff-ins">${text}</ins>`;
+    if (segment.type === 'delete') return `<del class="sn-diff-del">${text}</del>`;
+    return text;
+  }).join('');
+}
+
+/**
+ * Split note HTML into top-level blocks
+ * Block elements are one block each; runs of inline content between them
+ * are grouped into one block.
+ * @param {string} html - Note HTML
+ * @returns {string[]} Block HTML strings
+ */
+function splitBlocks(html) {
+  const template = document.createElement('template');
+  template.innerHTML = html || '';
+
+  const blocks = [];
+  let inline = document.createElement('div');
+  const flushInline = () => {
+    if (inline.textContent.trim() || inline.querySelector('*')) {
+      blocks.push(inline.innerHTML);
+    }
+    inline = document.createElement('div');
+  };
+
+  Array.from(template.content.childNodes).forEach(node => {
+    if (node.nodeType === Node.ELEMENT_NODE && BLOCK_TAGS.has(node.tagName)) {
+      flushInline();
+      blocks.push(node.outerHTML);
+    } else {
+      inline.appendChild(node.cloneNode(true));
+    }
+  });
+  flushInline();
+
+  return blocks;
+}
+
+/**
+ * Map a side's edits onto the base: which base blocks it removed and which
+ * blocks it inserted before each base position
+ * @param {string[]} baseBlocks - Common ancestor blocks
+ * @param {string[]} sideBlocks - Edited blocks
+ * @returns {Object} { deleted: boolean[], inserts: string[][] }
+ */
+function mapEdits(baseBlocks, sideBlocks) {
+  const deleted = new Array(baseBlocks.length).fill(false);
+  const inserts = Array.from({ length: baseBlocks.length + 1 }, () => []);
+
+  let baseIndex = 0;
+  diffTokens(baseBlocks, sideBlocks).forEach(run => {
+    if (run.type === 'insert') {
+      inserts[baseIndex].push(...run.tokens);
+      return;
+    }
+    if (run.type === 'delete') {
+      run.tokens.forEach((_, offset) => {
+        deleted[baseIndex + offset] = true;
+      });
+    }
+    baseIndex += run.tokens.length;
+  });
+
+  return { deleted, inserts };
+}
+
+/**
+ * Three-way merge of note HTML, block by block
+ * Edits to different paragraphs are both kept. When both sides changed the
+ * same paragraph, both versions are kept (mine first) so nothing is lost.
+ * @param {string} baseHtml - Content both sides started from
+ * @param {string} mineHtml - Local content
+ * @param {string} theirsHtml - Server content
+ * @returns {string} Merged HTML
+ */
+export function mergeHtml(baseHtml, mineHtml, theirsHtml) {
+  const baseBlocks = splitBlocks(baseHtml);
+  const mine = mapEdits(baseBlocks, splitBlocks(mineHtml));
+  const theirs = mapEdits(baseBlocks, splitBlocks(theirsHtml));
+
+  const merged = [];
+  for (let index = 0; index <= baseBlocks.length; index++) {
+    merged.push(...mine.inserts[index]);
+    merged.push(...theirs.inserts[index].filter(block => !mine.inserts[index].includes(block)));
+
+    if (index < baseBlocks.length && !mine.deleted[index] && !theirs.deleted[index]) {
+      merged.push(baseBlocks[index]);
+    }
+  }
+
+  return merged.join('');
+}
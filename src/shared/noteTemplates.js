@@ -0,0 +1,282 @@
+/**
+ * Note Templates Module
+ * Reusable starting content for new notes (bug reports, design feedback, questions)
+ * Templates are plain text with {{placeholder}} tokens filled from the page when a note is created
+ * Uses chrome.storage.sync so templates follow the user across devices
+ */
+
+import { t } from './i18n.js';
+import { escapeHtml, generateId, ENVIRONMENTS } from './utils.js';
+
+/**
+ * Maximum number of templates
+ */
+export const MAX_NOTE_TEMPLATES = 10;
+
+/**
+ * Maximum length of a template name
+ */
+export const MAX_TEMPLATE_NAME_LENGTH = 50;
+
+/**
+ * Maximum length of a template body
+ */
+export const MAX_TEMPLATE_BODY_LENGTH = 1000;
+
+/**
+ * Size budget for all templates together
+ * chrome.storage.sync rejects items over 8 KB, and the list is stored as one item
+ */
+const MAX_TEMPLATES_BYTES = 8000;
+
+/**
+ * Storage key for templates (chrome.storage.sync)
+ */
+export const NOTE_TEMPLATES_KEY = 'noteTemplates';
+
+/**
+ * Storage key for the template last picked in selection mode (chrome.storage.local)
+ */
+const LAST_TEMPLATE_KEY = 'lastNoteTemplateId';
+
+/**
+ * Placeholders that can be used in a template body, e.g. {{url}}
+ */
+export const TEMPLATE_PLACEHOLDERS = ['url', 'title', 'browser', 'browserVersion', 'viewport', 'environment', 'userAgent', 'date'];
+
+const PLACEHOLDER_PATTERN = /\{\{\s*(\w+)\s*\}\}/g;
+
+/**
+ * Get the built-in templates in the user's language
+ * They are used until the user saves their own list
+ * @returns {Object[]} Templates { id, name, body }
+ */
+export function getDefaultNoteTemplates() {
+  return [
+    { id: 'bug-report', name: t('templateBugReportName'), body: t('templateBugReportBody') },
+    { id: 'design-feedback', name: t('templateDesignFeedbackName'), body: t('templateDesignFeedbackBody') },
+    { id: 'question', name: t('templateQuestionName'), body: t('templateQuestionBody') }
+  ];
+}
+
+/**
+ * Validate a template
+ * @param {Object} template - Template to validate
+ * @returns {Object} { valid: boolean, errors: string[] }
+ */
+export function validateNoteTemplate(template) {
+  if (!template || typeof template !== 'object') {
+    return { valid: false, errors: ['Template must be an object'] };
+  }
+
+  const errors = [];
+  const name = typeof template.name === 'string' ? template.name.trim() : '';
+  const body = typeof template.body === 'string' ? template.body : '';
+
+  if (!name) {
+    errors.push('Template name is required');
+  } else if (name.length > MAX_TEMPLATE_NAME_LENGTH) {
+    errors.push(`Template name is too long (maximum ${MAX_TEMPLATE_NAME_LENGTH} characters)`);
+  }
+
+  if (!body.trim()) {
+    errors.push(`Template "${name}" has no content`);
+  } else if (body.length > MAX_TEMPLATE_BODY_LENGTH) {
+    errors.push(`Template "${name}" is too long (maximum ${MAX_TEMPLATE_BODY_LENGTH} characters)`);
+  }
+
+  return { valid: errors.length === 0, errors };
+}
+
+/**
+ * Normalize a template, giving it an ID if it has none
+ * @param {Object} template - Raw template
+ * @returns {Object|null} Normalized template or null if it is not usable
+ */
+export function sanitizeNoteTemplate(template) {
+  if (!validateNoteTemplate(template).valid) return null;
+
+  const id = typeof template.id === 'string' && /^[\w-]{1,64}$/.test(template.id)
+    ? template.id
+    : generateId('template');
+
+  return {
+    id,
+    name: template.name.trim(),
+    body: template.body.replace(/\r\n?/g, '\n').replace(/\s+$/, '')
+  };
+}
+
+/**
+ * Sanitize a list of templates, keeping the first template for each ID
+ * @param {Array} templates - Raw templates
+ * @returns {Object[]} Normalized templates
+ */
+function sanitizeTemplates(templates) {
+  if (!Array.isArray(templates)) return [];
+
+  const byId = new Map();
+  for (const template of templates) {
+    const sanitized = sanitizeNoteTemplate(template);
+    if (sanitized && !byId.has(sanitized.id)) {
+      byId.set(sanitized.id, sanitized);
+    }
+  }
+
+  return [...byId.values()].slice(0, MAX_NOTE_TEMPLATES);
+}
+
+/**
+ * Get all templates
+ * Users who never saved templates get the built-in ones
+ * @param {Object} deps - Dependencies for testing
+ * @returns {Promise<Object[]>} Normalized templates
+ */
+export async function getNoteTemplates(deps = {}) {
+  const chromeStorage = deps.chromeStorage || chrome.storage;
+
+  try {
+    const result = await chromeStorage.sync.get([NOTE_TEMPLATES_KEY]);
+    const stored = result[NOTE_TEMPLATES_KEY];
+    return stored === undefined ? getDefaultNoteTemplates() : sanitizeTemplates(stored);
+  } catch (error) {
+    console.error('Failed to load note templates:', error);
+    return getDefaultNoteTemplates();
+  }
+}
+
+/**
+ * Replace all templates
+ * @param {Object[]} templates - Templates to save
+ * @param {Object} deps - Dependencies for testing
+ * @returns {Promise<Object>} Result with success flag
+ */
+export async function setNoteTemplates(templates, deps = {}) {
+  const chromeStorage = deps.chromeStorage || chrome.storage;
+
+  if (!Array.isArray(templates)) {
+    return { success: false, error: 'Templates must be an array' };
+  }
+
+  if (templates.length > MAX_NOTE_TEMPLATES) {
+    return { success: false, error: `Too many templates (maximum ${MAX_NOTE_TEMPLATES})` };
+  }
+
+  for (const template of templates) {
+    const validation = validateNoteTemplate(template);
+    if (!validation.valid) {
+      return { success: false, error: validation.errors.join(', ') };
+    }
+  }
+
+  const sanitized = sanitizeTemplates(templates);
+  if (new Blob([JSON.stringify(sanitized)]).size > MAX_TEMPLATES_BYTES) {
+    return { success: false, error: 'Templates are too large to sync; shorten or remove some' };
+  }
+
+  try {
+    await chromeStorage.sync.set({ [NOTE_TEMPLATES_KEY]: sanitized });
+    return { success: true, templates: sanitized };
+  } catch (error) {
+    console.error('Failed to save note templates:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Get the template last picked in selection mode
+ * @param {Object} deps - Dependencies for testing
+ * @returns {Promise<string|null>} Template ID, or null for a blank note
+ */
+export async function getLastNoteTemplateId(deps = {}) {
+  const chromeStorage = deps.chromeStorage || chrome.storage;
+
+  try {
+    const result = await chromeStorage.local.get([LAST_TEMPLATE_KEY]);
+    return result[LAST_TEMPLATE_KEY] || null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Remember the template picked in selection mode
+ * Stored locally so every frame of the page sees the same choice
+ * @param {string|null} templateId - Template ID, or null for a blank note
+ * @param {Object} deps - Dependencies for testing
+ * @returns {Promise<void>}
+ */
+export async function setLastNoteTemplateId(templateId, deps = {}) {
+  const chromeStorage = deps.chromeStorage || chrome.storage;
+
+  try {
+    await chromeStorage.local.set({ [LAST_TEMPLATE_KEY]: templateId || null });
+  } catch (error) {
+    console.error('Failed to remember note template:', error);
+  }
+}
+
+/**
+ * Translated label for an environment
+ * @param {string} environment - Environment from ENVIRONMENTS
+ * @returns {string} Label
+ */
+function getEnvironmentLabel(environment) {
+  const labels = {
+    [ENVIRONMENTS.LOCAL]: 'envLocal',
+    [ENVIRONMENTS.DEVELOPMENT]: 'envDevelopment',
+    [ENVIRONMENTS.STAGING]: 'envStaging',
+    [ENVIRONMENTS.PRODUCTION]: 'envProduction'
+  };
+  return labels[environment] ? t(labels[environment]) : '';
+}
+
+/**
+ * Build placeholder values for a page
+ * @param {Object} options - Page details
+ * @param {Object} options.metadata - Result of getPageMetadata()
+ * @param {Object} options.browserInfo - Result of getBrowserInfo()
+ * @param {string} options.environment - Environment selected for the note
+ * @returns {Object} Values keyed by placeholder name
+ */
+export function getTemplateValues({ metadata = {}, browserInfo = {}, environment } = {}) {
+  const date = metadata.timestamp ? new Date(metadata.timestamp) : new Date();
+
+  return {
+    url: metadata.url || '',
+    title: metadata.title || '',
+    browser: metadata.browser || '',
+    browserVersion: browserInfo.version || '',
+    viewport: metadata.viewport || '',
+    environment: getEnvironmentLabel(environment),
+    userAgent: browserInfo.userAgent || metadata.userAgent || '',
+    date: date.toLocaleDateString()
+  };
+}
+
+/**
+ * Replace {{placeholder}} tokens in a template body
+ * Unknown placeholders are left as typed so mistakes are visible
+ * @param {string} body - Template body
+ * @param {Object} values - Values keyed by placeholder name
+ * @returns {string} Filled text
+ */
+export function fillTemplate(body, values) {
+  return (body || '').replace(PLACEHOLDER_PATTERN, (match, name) =>
+    Object.hasOwn(values, name) ? String(values[name]) : match);
+}
+
+/**
+ * Fill a template and convert it to note HTML, one block per line
+ * @param {Object} template - Template { body }
+ * @param {Object} values - Values keyed by placeholder name
+ * @returns {string} Note content HTML
+ */
+export function renderNoteTemplate(template, values) {
+  if (!template?.body) return '';
+
+  return fillTemplate(template.body, values)
+    .split('\n')
+    .map(line => (line.trim() ? `<div>${escapeHtml(line)}</div>` : '<div><br></div>'))
+    .join('');
+}
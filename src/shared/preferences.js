@@ -36,6 +36,14 @@ export const FONT_SIZE_VALUES = {
   large: 16
 };
 
+/**
+ * How resolved notes are shown on the page
+ * 'show' - like any other note
+ * 'collapse' - minimized to the header
+ * 'hide' - not shown (still listed in the popup)
+ */
+export const VALID_RESOLVED_NOTES_DISPLAYS = ['show', 'collapse', 'hide'];
+
 /**
  * Default preferences for new installations
  */
@@ -44,7 +52,9 @@ export const DEFAULT_PREFERENCES = {
   defaultPosition: 'top-right',
   noteWidth: 280,
   fontSize: 'medium',
-  notesVisibleByDefault: true
+  notesVisibleByDefault: true,
+  resolvedNotesDisplay: 'collapse',
+  screenshotOnCreate: false
 };
 
 /**
@@ -80,7 +90,13 @@ export async function getPreferences(deps = {}) {
         : DEFAULT_PREFERENCES.fontSize,
       notesVisibleByDefault: typeof stored.notesVisibleByDefault === 'boolean'
         ? stored.notesVisibleByDefault
-        : DEFAULT_PREFERENCES.notesVisibleByDefault
+        : DEFAULT_PREFERENCES.notesVisibleByDefault,
+      resolvedNotesDisplay: VALID_RESOLVED_NOTES_DISPLAYS.includes(stored.resolvedNotesDisplay)
+        ? stored.resolvedNotesDisplay
+        : DEFAULT_PREFERENCES.resolvedNotesDisplay,
+      screenshotOnCreate: typeof stored.screenshotOnCreate === 'boolean'
+        ? stored.screenshotOnCreate
+        : DEFAULT_PREFERENCES.screenshotOnCreate
     };
   } catch (error) {
     // Return defaults if storage access fails
@@ -135,6 +151,18 @@ export async function setPreferences(prefs, deps = {}) {
       }
     }
     
+    if (prefs.resolvedNotesDisplay !== undefined) {
+      if (VALID_RESOLVED_NOTES_DISPLAYS.includes(prefs.resolvedNotesDisplay)) {
+        updated.resolvedNotesDisplay = prefs.resolvedNotesDisplay;
+      }
+    }
+    
+    if (prefs.screenshotOnCreate !== undefined) {
+      if (typeof prefs.screenshotOnCreate === 'boolean') {
+        updated.screenshotOnCreate = prefs.screenshotOnCreate;
+      }
+    }
+    
     // Save to storage
     await chromeStorage.sync.set({ [PREFERENCES_KEY]: updated });
     
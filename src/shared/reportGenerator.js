@@ -3,7 +3,7 @@
  * Generates formatted reports from sticky notes in HTML, PDF, or Markdown format
  */
 
-import { stripHtml, escapeHtml, THEME_COLORS, ENVIRONMENT_COLORS, formatRelativeTime } from './utils.js';
+import { stripHtml, escapeHtml, cleanHtml, THEME_COLORS, ENVIRONMENT_COLORS, formatRelativeTime, isNoteOverdue, noteHasAnyTag, formatFileSize, isImageAttachment } from './utils.js';
 import { t } from './i18n.js';
 import { getReportHTMLTemplate, getReportStyles, getMarkdownTemplate } from './reportTemplates.js';
 
@@ -36,9 +36,68 @@ export const DEFAULT_REPORT_OPTIONS = {
   includeComments: true,
   includeScreenshots: true,
   dateRange: null, // { start: Date, end: Date }
-  selectedNoteIds: null // string[]
+  selectedNoteIds: null, // string[]
+  tags: null // string[] - keep notes with any of these tags
 };
 
+/**
+ * Convert a node of sanitized comment HTML to Markdown
+ * @param {Node} node - Node to convert
+ * @returns {string} Markdown string
+ */
+function commentNodeToMarkdown(node) {
+  if (node.nodeType === Node.TEXT_NODE) {
+    return node.textContent.replace(/\u00A0/g, ' ');
+  }
+  if (node.nodeType !== Node.ELEMENT_NODE) return '';
+
+  const tag = node.tagName.toLowerCase();
+  if (tag === 'br') return '\n';
+  if (tag === 'pre') return `\n\`\`\`\n${node.textContent.replace(/\n$/, '')}\n\`\`\`\n`;
+  if (tag === 'code') return `\`${node.textContent}\``;
+
+  const inner = Array.from(node.childNodes).map(commentNodeToMarkdown).join('');
+  switch (tag) {
+    case 'b':
+    case 'strong':
+      return `**${inner}**`;
+    case 'i':
+    case 'em':
+      return `*${inner}*`;
+    case 'a':
+      return node.getAttribute('href') ? `[${inner}](${node.getAttribute('href')})` : inner;
+    case 'li': {
+      const marker = node.parentNode?.tagName === 'OL'
+        ? `${Array.from(node.parentNode.children).indexOf(node) + 1}.`
+        : '-';
+      return `${marker} ${inner.trim()}\n`;
+    }
+    case 'ul':
+    case 'ol':
+    case 'div':
+    case 'p':
+    case 'blockquote':
+      return `\n${inner}\n`;
+    default:
+      return inner;
+  }
+}
+
+/**
+ * Get a comment's content as Markdown
+ * Rich text comments are converted, plain text ones are kept as they are.
+ * @param {Object} comment - Comment with content and format
+ * @returns {string} Markdown string
+ */
+function commentToMarkdown(comment) {
+  if (comment.format !== 'html') return comment.content || '';
+
+  const body = new DOMParser().parseFromString(cleanHtml(comment.content), 'text/html').body;
+  return Array.from(body.childNodes).map(commentNodeToMarkdown).join('')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
 /**
  * ReportGenerator class
  * Generates formatted reports from notes data
@@ -54,6 +113,7 @@ export class ReportGenerator {
    * @param {boolean} options.includeScreenshots - Include screenshots (if available)
    * @param {Object} options.dateRange - Date range for filtering { start: Date, end: Date }
    * @param {string[]} options.selectedNoteIds - IDs of selected notes (for 'selected' scope)
+   * @param {string[]} options.tags - Only include notes with at least one of these tags (any scope)
    * @param {Object} deps - Dependencies for testing
    */
   constructor(options = {}, deps = {}) {
@@ -116,6 +176,11 @@ export class ReportGenerator {
       });
     }
 
+    // Filter by tags
+    if (this.options.tags && this.options.tags.length > 0) {
+      filtered = filtered.filter(note => noteHasAnyTag(note, this.options.tags));
+    }
+
     // Sort by creation date (newest first)
     filtered.sort((noteA, noteB) => {
       const dateA = this.getNoteDate(noteA);
@@ -282,6 +347,38 @@ export class ReportGenerator {
       </div>`;
     }
 
+    // Add assignment
+    if (note.assignee || note.dueDate) {
+      html += `
+      <div class="note-assignment">`;
+      if (note.assignee) {
+        html += `<span><strong>Assignee:</strong> ${escapeHtml(note.assignee)}</span>`;
+      }
+      if (note.dueDate) {
+        const overdue = isNoteOverdue(note);
+        html += `<span class="${overdue ? 'note-due note-overdue' : 'note-due'}"><strong>Due:</strong> ${escapeHtml(note.dueDate)}${overdue ? ' (overdue)' : ''}</span>`;
+      }
+      html += `
+      </div>`;
+    }
+
+    // Add tags
+    if (note.tags && note.tags.length > 0) {
+      html += `
+      <div class="note-tags">${note.tags.map(tag => `<span class="note-tag">#${escapeHtml(tag)}</span>`).join('')}</div>`;
+    }
+
+    // Add screenshot if enabled
+    const screenshotSrc = this.getScreenshotSrc(note);
+    if (screenshotSrc) {
+      html += `
+      <div class="note-screenshot">
+        <img src="${escapeHtml(screenshotSrc)}" alt="${escapeHtml(t('noteScreenshot') || 'Screenshot')}" loading="lazy">
+      </div>`;
+    }
+
+    html += this.renderAttachmentsHTML(note.attachments);
+
     // Add metadata if enabled
     if (this.options.includeMetadata && note.metadata) {
       html += this.renderMetadataHTML(note);
@@ -298,6 +395,58 @@ export class ReportGenerator {
     return html;
   }
 
+  /**
+   * Get the image to show for a note's creation screenshot
+   * Only web images and inline image data are used, never script or page URLs
+   * @param {Object} note - Note with an optional screenshot (and screenshotSrc resolved by the caller)
+   * @returns {string|null} Image source, or null when screenshots are off or missing
+   */
+  getScreenshotSrc(note) {
+    if (!this.options.includeScreenshots) return null;
+
+    const src = note.screenshotSrc || note.screenshot?.url;
+    return typeof src === 'string' && /^(https:|data:image\/)/.test(src) ? src : null;
+  }
+
+  /**
+   * Get the download URL of an attachment
+   * Files kept in the extension's local storage have none and are listed by name only
+   * @param {Object} attachment - Attachment reference
+   * @returns {string|null} https URL, or null
+   */
+  getAttachmentUrl(attachment) {
+    const url = attachment?.url;
+    return typeof url === 'string' && url.startsWith('https:') ? url : null;
+  }
+
+  /**
+   * Render attachments as HTML: images inline, other files as links
+   * @param {Array} attachments - Attachment references
+   * @returns {string} HTML string, or '' without attachments
+   */
+  renderAttachmentsHTML(attachments) {
+    if (!Array.isArray(attachments) || attachments.length === 0) return '';
+
+    const items = attachments.map(attachment => {
+      const name = escapeHtml(attachment.name || '');
+      const size = escapeHtml(formatFileSize(attachment.size));
+      const url = this.getAttachmentUrl(attachment);
+
+      if (!url) {
+        return `<span class="attachment attachment-local">${name} <span class="attachment-size">${size}</span></span>`;
+      }
+      if (isImageAttachment(attachment)) {
+        return `<a class="attachment attachment-image" href="${escapeHtml(url)}" target="_blank" rel="noopener"><img src="${escapeHtml(url)}" alt="${name}" loading="lazy"></a>`;
+      }
+      return `<a class="attachment" href="${escapeHtml(url)}" target="_blank" rel="noopener">${name} <span class="attachment-size">${size}</span></a>`;
+    });
+
+    return `
+      <div class="note-attachments">
+        <strong>${escapeHtml(t('attachments') || 'Attachments')}:</strong> ${items.join('')}
+      </div>`;
+  }
+
   /**
    * Render note metadata as HTML
    * @param {Object} note - Note with metadata
@@ -373,7 +522,7 @@ export class ReportGenerator {
               <span class="comment-author">${escapeHtml(authorName)}</span>
               <span class="comment-date">${escapeHtml(createdAt)}</span>
             </div>
-            <div class="comment-content">${escapeHtml(comment.content)}</div>
+            <div class="comment-content">${comment.format === 'html' ? cleanHtml(comment.content) : escapeHtml(comment.content)}</div>${this.renderAttachmentsHTML(comment.attachments)}
           </div>`;
     }
 
@@ -534,6 +683,26 @@ export class ReportGenerator {
       md += `**URL:** ${url}\n\n`;
     }
 
+    if (note.assignee) {
+      md += `**Assignee:** ${note.assignee}\n\n`;
+    }
+
+    if (note.dueDate) {
+      md += `**Due:** ${note.dueDate}${isNoteOverdue(note) ? ' (overdue)' : ''}\n\n`;
+    }
+
+    if (note.tags && note.tags.length > 0) {
+      md += `**Tags:** ${note.tags.map(tag => `#${tag}`).join(', ')}\n\n`;
+    }
+
+    // Inline image data would swamp the Markdown, so only linked screenshots are included
+    const screenshotSrc = this.getScreenshotSrc(note);
+    if (screenshotSrc?.startsWith('https:')) {
+      md += `![${t('noteScreenshot') || 'Screenshot'}](${screenshotSrc})\n\n`;
+    }
+
+    md += this.renderAttachmentsMarkdown(note.attachments);
+
     // Add metadata if enabled
     if (this.options.includeMetadata && note.metadata) {
       md += this.renderMetadataMarkdown(note);
@@ -547,6 +716,33 @@ export class ReportGenerator {
     return md;
   }
 
+  /**
+   * Render attachments as a Markdown list
+   * @param {Array} attachments - Attachment references
+   * @param {string} indent - Leading spaces, for comment attachments
+   * @returns {string} Markdown string, or '' without attachments
+   */
+  renderAttachmentsMarkdown(attachments, indent = '') {
+    if (!Array.isArray(attachments) || attachments.length === 0) return '';
+
+    let md = `${indent}**${t('attachments') || 'Attachments'}:**\n\n`;
+    for (const attachment of attachments) {
+      const name = attachment.name || '';
+      const size = formatFileSize(attachment.size);
+      const url = this.getAttachmentUrl(attachment);
+
+      if (!url) {
+        md += `${indent}- ${name} (${size})\n`;
+      } else if (isImageAttachment(attachment)) {
+        md += `${indent}- ![${name}](${url})\n`;
+      } else {
+        md += `${indent}- [${name}](${url}) (${size})\n`;
+      }
+    }
+
+    return `${md}\n`;
+  }
+
   /**
    * Render note metadata as Markdown
    * @param {Object} note - Note with metadata
@@ -601,7 +797,9 @@ export class ReportGenerator {
       const indent = isReply ? '  ' : '';
 
       md += `${indent}- **${authorName}** (${createdAt}):\n`;
-      md += `${indent}  ${comment.content}\n\n`;
+      // Indent every line so multi-line content and code blocks stay in the list item
+      md += `${commentToMarkdown(comment).split('\n').map(line => (line ? `${indent}  ${line}` : '')).join('\n')}\n\n`;
+      md += this.renderAttachmentsMarkdown(comment.attachments, `${indent}  `);
     }
 
     return md;
@@ -187,6 +187,79 @@ export function getReportStyles() {
       text-decoration: underline;
     }
 
+    .note-assignment {
+      display: flex;
+      flex-wrap: wrap;
+      gap: 16px;
+      font-size: 13px;
+      color: #4b5563;
+      margin-bottom: 12px;
+    }
+
+    .note-overdue {
+      color: #b91c1c;
+    }
+
+    .note-tags {
+      display: flex;
+      flex-wrap: wrap;
+      gap: 6px;
+      margin-bottom: 12px;
+    }
+
+    .note-tag {
+      padding: 2px 8px;
+      border-radius: 10px;
+      background: #f3f4f6;
+      color: #374151;
+      font-size: 12px;
+    }
+
+    .note-screenshot {
+      margin-bottom: 12px;
+    }
+
+    .note-screenshot img {
+      display: block;
+      max-width: 100%;
+      max-height: 320px;
+      border: 1px solid #e5e7eb;
+      border-radius: 6px;
+    }
+
+    .note-attachments {
+      display: flex;
+      flex-wrap: wrap;
+      align-items: center;
+      gap: 6px;
+      margin-bottom: 12px;
+      font-size: 13px;
+    }
+
+    .attachment {
+      padding: 2px 8px;
+      border: 1px solid #e5e7eb;
+      border-radius: 4px;
+      color: #3b82f6;
+      text-decoration: none;
+    }
+
+    .attachment-local,
+    .attachment-size {
+      color: #6b7280;
+    }
+
+    .attachment-image {
+      padding: 0;
+    }
+
+    .attachment-image img {
+      display: block;
+      max-width: 160px;
+      max-height: 120px;
+      border-radius: 4px;
+    }
+
     .note-metadata {
       background: #f9fafb;
       border-radius: 6px;
@@ -314,6 +387,28 @@ export function getReportStyles() {
       color: #4b5563;
     }
 
+    .comment-content code {
+      padding: 1px 4px;
+      border-radius: 3px;
+      background: #f3f4f6;
+      font-family: ui-monospace, SFMono-Regular, Menlo, Consolas, monospace;
+      font-size: 12px;
+    }
+
+    .comment-content pre {
+      margin: 6px 0;
+      padding: 8px 10px;
+      border-radius: 4px;
+      background: #f3f4f6;
+      overflow-x: auto;
+      white-space: pre;
+    }
+
+    .comment-content pre code {
+      padding: 0;
+      background: none;
+    }
+
     .report-footer {
       text-align: center;
       padding: 16px 32px;
@@ -0,0 +1,235 @@
+/**
+ * Selector Rules Module
+ * Per-domain rules that tune how SelectorEngine builds selectors
+ * (preferred attributes, ID and class patterns to ignore)
+ * Uses chrome.storage.sync so rules follow the user across devices
+ */
+
+/**
+ * Maximum number of domain rules
+ */
+export const MAX_SELECTOR_RULES = 50;
+
+/**
+ * Maximum number of entries in each list of a rule
+ */
+export const MAX_RULE_ENTRIES = 20;
+
+/**
+ * Storage key for selector rules
+ */
+const SELECTOR_RULES_KEY = 'selectorRules';
+
+/**
+ * Attribute names allowed in preferredAttributes
+ */
+const ATTRIBUTE_NAME_PATTERN = /^[a-z_:][-a-z0-9_:.]*$/i;
+
+/**
+ * Hostnames allowed as rule domains
+ */
+const DOMAIN_PATTERN = /^[a-z0-9]([a-z0-9-]*[a-z0-9])?(\.[a-z0-9]([a-z0-9-]*[a-z0-9])?)*$/;
+
+/**
+ * Normalize a rule domain to a bare hostname
+ * Accepts inputs like "example.com", "*.example.com" or "https://example.com/path"
+ * @param {string} domain - Domain entered by the user
+ * @returns {string|null} Lowercase hostname or null if invalid
+ */
+export function normalizeRuleDomain(domain) {
+  if (!domain || typeof domain !== 'string') return null;
+
+  const hostname = domain.trim().toLowerCase()
+    .replace(/^[a-z]+:\/\//, '')
+    .replace(/^\*\./, '')
+    .split(/[/?#]/)[0]
+    .replace(/:\d+$/, '');
+
+  return DOMAIN_PATTERN.test(hostname) ? hostname : null;
+}
+
+/**
+ * Check if a string is a valid regular expression
+ * @param {string} pattern - Pattern source
+ * @returns {boolean} True if it compiles
+ */
+export function isValidPattern(pattern) {
+  if (!pattern || typeof pattern !== 'string') return false;
+
+  try {
+    new RegExp(pattern);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Compile pattern sources, skipping any that are invalid
+ * @param {string[]} patterns - Pattern sources
+ * @returns {RegExp[]} Case-insensitive regular expressions
+ */
+export function compilePatterns(patterns) {
+  if (!Array.isArray(patterns)) return [];
+
+  return patterns.filter(isValidPattern).map(pattern => new RegExp(pattern, 'i'));
+}
+
+/**
+ * Trim, dedupe and cap a list of strings
+ * @param {Array} list - Raw list
+ * @returns {string[]} Clean list
+ */
+function cleanList(list) {
+  if (!Array.isArray(list)) return [];
+
+  const values = list
+    .filter(value => typeof value === 'string')
+    .map(value => value.trim())
+    .filter(Boolean);
+
+  return [...new Set(values)].slice(0, MAX_RULE_ENTRIES);
+}
+
+/**
+ * Validate a selector rule
+ * @param {Object} rule - Rule to validate
+ * @returns {Object} { valid: boolean, errors: string[] }
+ */
+export function validateSelectorRule(rule) {
+  if (!rule || typeof rule !== 'object') {
+    return { valid: false, errors: ['Rule must be an object'] };
+  }
+
+  const errors = [];
+
+  if (!normalizeRuleDomain(rule.domain)) {
+    errors.push('Invalid domain');
+  }
+
+  for (const attr of cleanList(rule.preferredAttributes)) {
+    if (!ATTRIBUTE_NAME_PATTERN.test(attr)) {
+      errors.push(`Invalid attribute name: ${attr}`);
+    }
+  }
+
+  for (const pattern of [...cleanList(rule.ignoreIdPatterns), ...cleanList(rule.ignoreClassPatterns)]) {
+    if (!isValidPattern(pattern)) {
+      errors.push(`Invalid pattern: ${pattern}`);
+    }
+  }
+
+  return { valid: errors.length === 0, errors };
+}
+
+/**
+ * Normalize a rule, dropping anything that would not be usable
+ * @param {Object} rule - Raw rule
+ * @returns {Object|null} Normalized rule or null if the domain is invalid
+ */
+export function sanitizeSelectorRule(rule) {
+  const domain = normalizeRuleDomain(rule?.domain);
+  if (!domain) return null;
+
+  return {
+    domain,
+    preferredAttributes: [...new Set(cleanList(rule.preferredAttributes)
+      .filter(attr => ATTRIBUTE_NAME_PATTERN.test(attr))
+      .map(attr => attr.toLowerCase()))],
+    ignoreIdPatterns: cleanList(rule.ignoreIdPatterns).filter(isValidPattern),
+    ignoreClassPatterns: cleanList(rule.ignoreClassPatterns).filter(isValidPattern)
+  };
+}
+
+/**
+ * Sanitize a list of rules, keeping the first rule for each domain
+ * @param {Array} rules - Raw rules
+ * @returns {Object[]} Normalized rules
+ */
+function sanitizeRules(rules) {
+  if (!Array.isArray(rules)) return [];
+
+  const byDomain = new Map();
+  for (const rule of rules) {
+    const sanitized = sanitizeSelectorRule(rule);
+    if (sanitized && !byDomain.has(sanitized.domain)) {
+      byDomain.set(sanitized.domain, sanitized);
+    }
+  }
+
+  return [...byDomain.values()].slice(0, MAX_SELECTOR_RULES);
+}
+
+/**
+ * Get all selector rules
+ * @param {Object} deps - Dependencies for testing
+ * @returns {Promise<Object[]>} Normalized rules
+ */
+export async function getSelectorRules(deps = {}) {
+  const chromeStorage = deps.chromeStorage || chrome.storage;
+
+  try {
+    const result = await chromeStorage.sync.get([SELECTOR_RULES_KEY]);
+    return sanitizeRules(result[SELECTOR_RULES_KEY]);
+  } catch (error) {
+    console.error('Failed to load selector rules:', error);
+    return [];
+  }
+}
+
+/**
+ * Replace all selector rules
+ * @param {Object[]} rules - Rules to save
+ * @param {Object} deps - Dependencies for testing
+ * @returns {Promise<Object>} Result with success flag
+ */
+export async function setSelectorRules(rules, deps = {}) {
+  const chromeStorage = deps.chromeStorage || chrome.storage;
+
+  if (!Array.isArray(rules)) {
+    return { success: false, error: 'Rules must be an array' };
+  }
+
+  if (rules.length > MAX_SELECTOR_RULES) {
+    return { success: false, error: `Too many rules (maximum ${MAX_SELECTOR_RULES})` };
+  }
+
+  for (const rule of rules) {
+    const validation = validateSelectorRule(rule);
+    if (!validation.valid) {
+      return { success: false, error: validation.errors.join(', ') };
+    }
+  }
+
+  try {
+    const sanitized = sanitizeRules(rules);
+    await chromeStorage.sync.set({ [SELECTOR_RULES_KEY]: sanitized });
+    return { success: true, rules: sanitized };
+  } catch (error) {
+    console.error('Failed to save selector rules:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Find the rule that applies to a hostname
+ * A rule for "example.com" also covers its subdomains; the most specific rule wins
+ * @param {Object[]} rules - Normalized rules
+ * @param {string} hostname - Page hostname
+ * @returns {Object|null} Matching rule or null
+ */
+export function findSelectorRuleForHost(rules, hostname) {
+  if (!Array.isArray(rules) || !hostname) return null;
+
+  const host = hostname.toLowerCase();
+  let bestMatch = null;
+
+  for (const rule of rules) {
+    const matches = host === rule.domain || host.endsWith(`.${rule.domain}`);
+    if (matches && (!bestMatch || rule.domain.length > bestMatch.domain.length)) {
+      bestMatch = rule;
+    }
+  }
+
+  return bestMatch;
+}
@@ -33,6 +33,90 @@ export function stripHtml(html) {
   return div.textContent || div.innerText || '';
 }
 
+/**
+ * Tags kept by cleanHtml; others are unwrapped, keeping their text
+ */
+const ALLOWED_HTML_TAGS = ['P', 'BR', 'B', 'STRONG', 'I', 'EM', 'U', 'A', 'UL', 'OL', 'LI', 'DIV', 'SPAN', 'CODE', 'PRE', 'STRIKE', 'S', 'DEL', 'BLOCKQUOTE', 'INPUT', 'LABEL'];
+
+/**
+ * Link protocols kept by cleanHtml
+ */
+const SAFE_LINK_PROTOCOLS = ['http:', 'https:', 'mailto:'];
+
+/**
+ * Check that a link target can't run script
+ * @param {string} href - Link href
+ * @returns {boolean} True for http(s), mailto and relative links
+ */
+function isSafeHref(href) {
+  try {
+    return SAFE_LINK_PROTOCOLS.includes(new URL(href, 'https://relative.invalid/').protocol);
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Sanitize rich text HTML from the editor, the clipboard or another user
+ * Parses into an inert document so nothing loads or runs, drops unsafe
+ * elements and attributes, and unwraps tags outside the allowlist.
+ * @param {string} html - Raw HTML
+ * @returns {string} Cleaned HTML
+ */
+export function cleanHtml(html) {
+  const doc = new DOMParser().parseFromString(html || '', 'text/html');
+  const temp = doc.body;
+  
+  // Remove unwanted elements
+  const unwanted = temp.querySelectorAll('script, style, meta, link, head, template, iframe, object, embed');
+  unwanted.forEach(el => el.remove());
+  
+  // Remove most attributes except specific allowed ones
+  const allElements = temp.querySelectorAll('*');
+  allElements.forEach(el => {
+    const attrs = Array.from(el.attributes);
+    const isEmailShareSpan = el.tagName === 'SPAN' && el.classList.contains('sn-email-share');
+    const isCheckboxInput = el.tagName === 'INPUT' && el.getAttribute('type') === 'checkbox';
+    const isCheckboxLabel = el.tagName === 'LABEL' && el.classList.contains('sn-checkbox');
+    attrs.forEach(attr => {
+      if (el.tagName === 'A' && attr.name === 'href' && isSafeHref(attr.value)) {
+        return; // Keep safe href on links
+      }
+      if (isEmailShareSpan && (attr.name === 'class' || attr.name.startsWith('data-'))) {
+        return; // Keep class and data attributes on email share spans
+      }
+      if (isCheckboxInput && (attr.name === 'type' || attr.name === 'checked' || attr.name === 'class')) {
+        return; // Keep type, checked, and class on checkbox inputs
+      }
+      if (isCheckboxLabel && (attr.name === 'class' || attr.name === 'contenteditable')) {
+        return; // Keep class and contenteditable on checkbox labels
+      }
+      el.removeAttribute(attr.name);
+    });
+  });
+  
+  // Only allow certain tags (an input without its checkbox type is dropped entirely)
+  temp.querySelectorAll('input:not([type="checkbox"])').forEach(el => el.remove());
+  const walker = doc.createTreeWalker(temp, NodeFilter.SHOW_ELEMENT);
+  const nodesToRemove = [];
+  
+  while (walker.nextNode()) {
+    if (!ALLOWED_HTML_TAGS.includes(walker.currentNode.tagName)) {
+      nodesToRemove.push(walker.currentNode);
+    }
+  }
+  
+  nodesToRemove.forEach(node => {
+    // Replace with its children
+    while (node.firstChild) {
+      node.parentNode.insertBefore(node.firstChild, node);
+    }
+    node.remove();
+  });
+  
+  return temp.innerHTML;
+}
+
 /**
  * Validate email format
  * Uses RFC 5322 compliant regex, requires at least one dot in domain (e.g., test@example.com)
@@ -241,6 +325,13 @@ export const TIMEOUTS = {
   TOOLTIP_FADE: 500        // Tooltip fade out time
 };
 
+// Live presence timings for shared notes
+export const PRESENCE = {
+  HEARTBEAT_INTERVAL: 20000, // How often an open page refreshes its presence
+  TIMEOUT: 60000,            // Presence older than this counts as gone
+  TYPING_IDLE: 4000          // Stop showing "typing" after this long without input
+};
+
 // Theme colors
 export const THEME_COLORS = {
   yellow: '#facc15',
@@ -252,6 +343,511 @@ export const THEME_COLORS = {
 // Valid themes
 export const VALID_THEMES = ['yellow', 'blue', 'green', 'pink'];
 
+/**
+ * Note statuses for the review workflow
+ * Notes created before statuses existed count as open
+ */
+export const NOTE_STATUSES = {
+  OPEN: 'open',
+  IN_PROGRESS: 'in_progress',
+  RESOLVED: 'resolved',
+  REOPENED: 'reopened'
+};
+
+/**
+ * Statuses a note can move to from each status
+ * Matches backend validation in functions/lib/utils.js
+ */
+export const NOTE_STATUS_TRANSITIONS = {
+  open: ['in_progress', 'resolved'],
+  in_progress: ['open', 'resolved'],
+  resolved: ['reopened'],
+  reopened: ['in_progress', 'resolved']
+};
+
+/**
+ * i18n message keys for each note status
+ */
+export const NOTE_STATUS_LABEL_KEYS = {
+  open: 'statusOpen',
+  in_progress: 'statusInProgress',
+  resolved: 'statusResolved',
+  reopened: 'statusReopened'
+};
+
+/**
+ * Get the status of a note, defaulting to open
+ * @param {Object} noteData - Note data object
+ * @returns {string} Note status
+ */
+export function getNoteStatus(noteData) {
+  const status = noteData?.status;
+  return NOTE_STATUS_TRANSITIONS[status] ? status : NOTE_STATUSES.OPEN;
+}
+
+/**
+ * Check whether a note may move from one status to another
+ * @param {string} from - Current status
+ * @param {string} to - Requested status
+ * @returns {boolean} True if the transition is allowed
+ */
+export function isValidStatusTransition(from, to) {
+  return (NOTE_STATUS_TRANSITIONS[from] || []).includes(to);
+}
+
+/**
+ * Check whether a value is a valid due date (YYYY-MM-DD calendar date)
+ * @param {*} value - Value to check
+ * @returns {boolean} True if the value is a valid due date
+ */
+export function isValidDueDate(value) {
+  if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    return false;
+  }
+  const [year, month, day] = value.split('-').map(Number);
+  const date = new Date(Date.UTC(year, month - 1, day));
+  return date.getUTCFullYear() === year && date.getUTCMonth() === month - 1 && date.getUTCDate() === day;
+}
+
+/**
+ * Format a date as a local YYYY-MM-DD string
+ * @param {Date} date - Date to format
+ * @returns {string} Local calendar date
+ */
+export function toLocalDateString(date) {
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${date.getFullYear()}-${month}-${day}`;
+}
+
+/**
+ * Check whether a note is past its due date and not yet resolved
+ * @param {Object} noteData - Note data object
+ * @param {Date} now - Current date (defaults to now)
+ * @returns {boolean} True if the note is overdue
+ */
+export function isNoteOverdue(noteData, now = new Date()) {
+  if (!isValidDueDate(noteData?.dueDate)) {
+    return false;
+  }
+  if (getNoteStatus(noteData) === NOTE_STATUSES.RESOLVED) {
+    return false;
+  }
+  return noteData.dueDate < toLocalDateString(now);
+}
+
+/**
+ * Format a YYYY-MM-DD due date for display
+ * @param {string} dueDate - Due date string
+ * @param {string} locale - Locale for formatting (defaults to browser locale)
+ * @returns {string} Formatted date, or empty string if invalid
+ */
+export function formatDueDate(dueDate, locale) {
+  if (!isValidDueDate(dueDate)) {
+    return '';
+  }
+  const [year, month, day] = dueDate.split('-').map(Number);
+  return new Date(year, month - 1, day).toLocaleDateString(locale, {
+    month: 'short',
+    day: 'numeric',
+    year: 'numeric'
+  });
+}
+
+/**
+ * Maximum number of tags on a note
+ * Matches backend validation in functions/lib/utils.js
+ */
+export const MAX_TAGS_PER_NOTE = 10;
+
+/**
+ * Maximum length of a single tag (in characters)
+ */
+export const MAX_TAG_LENGTH = 32;
+
+/**
+ * Tags start with a letter or digit and may contain letters, digits, dashes and underscores
+ */
+const TAG_PATTERN = /^[\p{L}\p{N}][\p{L}\p{N}_-]*$/u;
+
+/**
+ * Normalize a tag: trim, drop a leading #, lowercase and join words with dashes
+ * @param {*} tag - Raw tag
+ * @returns {string|null} Normalized tag, or null if it is not a valid tag
+ */
+export function normalizeTag(tag) {
+  if (typeof tag !== 'string') {
+    return null;
+  }
+  const normalized = tag.trim().replace(/^#+/, '').trim().toLowerCase().replace(/\s+/g, '-');
+  if (normalized.length === 0 || normalized.length > MAX_TAG_LENGTH || !TAG_PATTERN.test(normalized)) {
+    return null;
+  }
+  return normalized;
+}
+
+/**
+ * Normalize a list of tags, dropping invalid ones and duplicates
+ * @param {*} tags - Raw tags (array, or comma-separated string)
+ * @returns {string[]} Up to MAX_TAGS_PER_NOTE normalized tags
+ */
+export function normalizeTags(tags) {
+  const list = typeof tags === 'string' ? tags.split(',') : tags;
+  if (!Array.isArray(list)) {
+    return [];
+  }
+  const normalized = list.map(normalizeTag).filter(Boolean);
+  return [...new Set(normalized)].slice(0, MAX_TAGS_PER_NOTE);
+}
+
+/**
+ * Check whether a note has at least one of the given tags
+ * @param {Object} noteData - Note data object
+ * @param {string[]} tags - Normalized tags to look for (empty matches every note)
+ * @returns {boolean} True if the note matches
+ */
+export function noteHasAnyTag(noteData, tags) {
+  if (!tags || tags.length === 0) {
+    return true;
+  }
+  const noteTags = noteData?.tags || [];
+  return tags.some(tag => noteTags.includes(tag));
+}
+
+/**
+ * Get everyone a note can be assigned to: the owner and its collaborators
+ * @param {Object} noteData - Note data object
+ * @returns {string[]} Unique lowercased email addresses
+ */
+export function getNoteCollaborators(noteData) {
+  const emails = [noteData?.ownerEmail, ...(noteData?.sharedWith || [])]
+    .filter(email => typeof email === 'string' && email.trim().length > 0)
+    .map(email => email.trim().toLowerCase());
+  return [...new Set(emails)];
+}
+
+/**
+ * Maximum number of people mentioned in one comment
+ */
+export const MAX_MENTIONS = 10;
+
+/**
+ * Normalize @mention references, dropping malformed ones and duplicates
+ * @param {*} mentions - Raw mentions
+ * @returns {Object[]} Up to MAX_MENTIONS mentions { email, name } with lowercased emails
+ */
+export function normalizeMentions(mentions) {
+  if (!Array.isArray(mentions)) {
+    return [];
+  }
+  const seen = new Set();
+  const normalized = [];
+  for (const mention of mentions) {
+    const email = typeof mention?.email === 'string' ? mention.email.trim().toLowerCase() : '';
+    const name = typeof mention?.name === 'string' ? mention.name.trim().slice(0, 100) : '';
+    if (!isValidEmail(email) || !name || seen.has(email)) continue;
+    
+    seen.add(email);
+    normalized.push({ email, name });
+  }
+  return normalized.slice(0, MAX_MENTIONS);
+}
+
+/**
+ * Keep the mentions whose @name is still in the comment text
+ * @param {Object[]} mentions - Normalized mentions
+ * @param {string} content - Comment text
+ * @returns {Object[]} Mentions still present
+ */
+export function getMentionsInContent(mentions, content) {
+  const text = typeof content === 'string' ? content : '';
+  return (mentions || []).filter(mention => text.includes(`@${mention.name}`));
+}
+
+/**
+ * Get the IDs of every reply below a comment, at any depth
+ * @param {Object[]} comments - All comments of a note { id, parentId }
+ * @param {string} commentId - Comment whose thread to walk
+ * @returns {string[]} Reply IDs, parents before their replies
+ */
+export function getCommentDescendantIds(comments, commentId) {
+  const childrenByParent = new Map();
+  (comments || []).forEach(comment => {
+    if (!comment?.parentId) return;
+    if (!childrenByParent.has(comment.parentId)) {
+      childrenByParent.set(comment.parentId, []);
+    }
+    childrenByParent.get(comment.parentId).push(comment.id);
+  });
+  
+  // The visited set guards against parentId cycles in corrupted data
+  const visited = new Set([commentId]);
+  const descendants = [];
+  const queue = [commentId];
+  while (queue.length > 0) {
+    (childrenByParent.get(queue.shift()) || []).forEach(childId => {
+      if (visited.has(childId)) return;
+      visited.add(childId);
+      descendants.push(childId);
+      queue.push(childId);
+    });
+  }
+  return descendants;
+}
+
+/**
+ * URL fragment prefix of comment permalinks
+ */
+const COMMENT_LINK_PREFIX = '#sn-comment=';
+
+/**
+ * Create a link that opens a page and scrolls to a comment on one of its notes
+ * @param {string} pageUrl - URL of the page the note is on
+ * @param {string} noteId - Note ID
+ * @param {string} commentId - Comment ID
+ * @returns {string} Page URL with a comment fragment
+ */
+export function createCommentPermalink(pageUrl, noteId, commentId) {
+  const baseUrl = String(pageUrl || '').split('#')[0];
+  return `${baseUrl}${COMMENT_LINK_PREFIX}${encodeURIComponent(noteId)}:${encodeURIComponent(commentId)}`;
+}
+
+/**
+ * Read the note and comment a permalink points to
+ * @param {string} urlOrHash - Full URL or just its fragment
+ * @returns {Object|null} { noteId, commentId } or null if it is not a comment permalink
+ */
+export function parseCommentPermalink(urlOrHash) {
+  const value = String(urlOrHash || '');
+  const index = value.indexOf(COMMENT_LINK_PREFIX);
+  if (index === -1) return null;
+  
+  const [noteId, commentId] = value.slice(index + COMMENT_LINK_PREFIX.length).split(':');
+  if (!noteId || !commentId) return null;
+  
+  try {
+    return { noteId: decodeURIComponent(noteId), commentId: decodeURIComponent(commentId) };
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Maximum size of a single attachment (in bytes)
+ * Matches the Cloud Storage rules in storage.rules
+ */
+export const MAX_ATTACHMENT_SIZE = 5 * 1024 * 1024;
+
+/**
+ * Maximum number of attachments on a note or comment
+ */
+export const MAX_ATTACHMENTS = 5;
+
+/**
+ * Attachment types shown inline as thumbnails
+ * SVG is left out on purpose: it can carry script
+ */
+export const ATTACHMENT_IMAGE_TYPES = ['image/png', 'image/jpeg', 'image/gif', 'image/webp'];
+
+/**
+ * Other attachment types, offered as download links
+ */
+export const ATTACHMENT_FILE_TYPES = ['application/pdf', 'text/plain', 'text/csv', 'application/json', 'application/zip'];
+
+/**
+ * Check whether a file type can be attached
+ * @param {string} type - MIME type
+ * @returns {boolean} True if allowed
+ */
+export function isAllowedAttachmentType(type) {
+  return ATTACHMENT_IMAGE_TYPES.includes(type) || ATTACHMENT_FILE_TYPES.includes(type);
+}
+
+/**
+ * Check whether an attachment is an image
+ * @param {Object} attachment - Attachment reference
+ * @returns {boolean} True if it should show as a thumbnail
+ */
+export function isImageAttachment(attachment) {
+  return ATTACHMENT_IMAGE_TYPES.includes(attachment?.type);
+}
+
+/**
+ * Normalize attachment references, dropping malformed ones and duplicates
+ * Only the reference is kept; the file itself lives in Cloud Storage or IndexedDB.
+ * @param {*} attachments - Raw attachment references
+ * @returns {Object[]} Up to MAX_ATTACHMENTS references { id, name, type, size, storage, path?, url? }
+ */
+export function normalizeAttachments(attachments) {
+  if (!Array.isArray(attachments)) {
+    return [];
+  }
+  const seen = new Set();
+  const normalized = [];
+  for (const attachment of attachments) {
+    const { id, name, type, size, storage, path, url } = attachment || {};
+    const isValid = typeof id === 'string' && /^[\w-]+$/.test(id) && !seen.has(id) &&
+      typeof name === 'string' && name.trim().length > 0 &&
+      isAllowedAttachmentType(type) &&
+      Number.isFinite(size) && size >= 0 && size <= MAX_ATTACHMENT_SIZE;
+    const isCloud = storage === 'cloud' && typeof path === 'string' && typeof url === 'string' && url.startsWith('https://');
+    if (!isValid || (!isCloud && storage !== 'local')) continue;
+    
+    seen.add(id);
+    normalized.push({ id, name: name.trim().slice(0, 255), type, size, storage, ...(isCloud ? { path, url } : {}) });
+  }
+  return normalized.slice(0, MAX_ATTACHMENTS);
+}
+
+/**
+ * Get the size of the data in a base64 data URL
+ * @param {string} dataUrl - Data URL such as "data:image/png;base64,..."
+ * @returns {number|null} Size in bytes, or null if it is not a base64 data URL
+ */
+export function getDataUrlSize(dataUrl) {
+  const match = typeof dataUrl === 'string' ? /^data:[^,]*;base64,([A-Za-z0-9+/]*)(={0,2})$/.exec(dataUrl) : null;
+  if (!match) {
+    return null;
+  }
+  return Math.floor(((match[1].length + match[2].length) * 3) / 4) - match[2].length;
+}
+
+/**
+ * Format a file size for display
+ * @param {number} bytes - Size in bytes
+ * @returns {string} Size such as "512 B", "12 KB" or "1.5 MB"
+ */
+export function formatFileSize(bytes) {
+  if (bytes < 1024) {
+    return `${bytes} B`;
+  }
+  if (bytes < 1024 * 1024) {
+    return `${Math.round(bytes / 1024)} KB`;
+  }
+  return `${(bytes / (1024 * 1024)).toFixed(1).replace(/\.0$/, '')} MB`;
+}
+
+/**
+ * Shapes that can be drawn on the page around a note's anchor
+ * Arrows and rectangles use two points (start, end); freehand marks any number.
+ */
+export const DRAWING_TOOLS = ['arrow', 'rect', 'highlight', 'freehand'];
+
+/**
+ * Drawing colors, stored on shapes by name
+ */
+export const DRAWING_COLORS = {
+  red: '#ef4444',
+  blue: '#3b82f6',
+  green: '#22c55e',
+  yellow: '#eab308',
+  black: '#111827'
+};
+
+/**
+ * Maximum number of shapes drawn for one note
+ */
+export const MAX_DRAWING_SHAPES = 50;
+
+/**
+ * Maximum number of points in a freehand mark
+ */
+export const MAX_DRAWING_POINTS = 500;
+
+/**
+ * Normalize drawn shapes, dropping malformed ones
+ * Points are a flat [x1, y1, x2, y2, ...] list in CSS pixels from the anchor's top-left
+ * corner (Firestore can't store nested arrays), rounded to one decimal.
+ * @param {*} drawings - Raw shapes
+ * @returns {Object[]} Up to MAX_DRAWING_SHAPES shapes { id, tool, color, points }
+ */
+export function normalizeDrawings(drawings) {
+  if (!Array.isArray(drawings)) {
+    return [];
+  }
+  const seen = new Set();
+  const normalized = [];
+  for (const shape of drawings) {
+    const { id, tool, color, points } = shape || {};
+    const pointCount = Array.isArray(points) ? points.length / 2 : 0;
+    const maxPoints = tool === 'freehand' ? MAX_DRAWING_POINTS : 2;
+    const isValid = typeof id === 'string' && /^[\w-]+$/.test(id) && !seen.has(id) &&
+      DRAWING_TOOLS.includes(tool) && Object.hasOwn(DRAWING_COLORS, color) &&
+      Number.isInteger(pointCount) && pointCount >= 2 && pointCount <= maxPoints &&
+      points.every(Number.isFinite);
+    if (!isValid) continue;
+    
+    seen.add(id);
+    normalized.push({ id, tool, color, points: points.map(value => Math.round(value * 10) / 10) });
+  }
+  return normalized.slice(0, MAX_DRAWING_SHAPES);
+}
+
+/**
+ * Reactions people can leave on notes and comments, in display order
+ * Matches backend validation in functions/lib/utils.js
+ */
+export const REACTION_TYPES = ['thumbsUp', 'eyes', 'check', 'heart'];
+
+/**
+ * i18n keys of the reaction names, used for tooltips and screen readers
+ */
+export const REACTION_LABEL_KEYS = {
+  thumbsUp: 'reactionThumbsUp',
+  eyes: 'reactionEyes',
+  check: 'reactionCheck',
+  heart: 'reactionHeart'
+};
+
+/**
+ * Normalize a reactions map, dropping unknown types and people without reactions
+ * @param {*} reactions - Raw map of user ID to reaction types
+ * @returns {Object} Map of user ID to reaction types in display order
+ */
+export function normalizeReactions(reactions) {
+  if (!reactions || typeof reactions !== 'object' || Array.isArray(reactions)) {
+    return {};
+  }
+  const normalized = {};
+  Object.entries(reactions).forEach(([userId, types]) => {
+    if (!Array.isArray(types)) return;
+    const valid = REACTION_TYPES.filter(type => types.includes(type));
+    if (valid.length > 0) {
+      normalized[userId] = valid;
+    }
+  });
+  return normalized;
+}
+
+/**
+ * Count reactions per type
+ * @param {Object} reactions - Map of user ID to reaction types
+ * @param {string} [userId] - Current user, to flag their own reactions
+ * @returns {Object[]} One entry per type { type, count, reacted }
+ */
+export function summarizeReactions(reactions, userId) {
+  const normalized = normalizeReactions(reactions);
+  return REACTION_TYPES.map(type => {
+    const userIds = Object.keys(normalized).filter(id => normalized[id].includes(type));
+    return {
+      type,
+      count: userIds.length,
+      reacted: Boolean(userId) && userIds.includes(userId)
+    };
+  });
+}
+
+/**
+ * Add a reaction type to a person's reactions, or remove it if already there
+ * @param {string[]} types - The person's current reaction types
+ * @param {string} type - Reaction type to toggle
+ * @returns {string[]} New reaction types in display order
+ */
+export function toggleReactionType(types, type) {
+  const current = Array.isArray(types) ? types : [];
+  return REACTION_TYPES.filter(candidate => (candidate === type) !== current.includes(candidate));
+}
+
 /**
  * Maximum allowed length for note content (in characters)
  * Matches backend validation in functions/lib/utils.js
@@ -276,6 +872,34 @@ export const MAX_COMMENT_LENGTH = 2000;
  */
 export const COMMENT_LENGTH_WARNING_THRESHOLD = 0.9;
 
+/**
+ * Maximum size of a rich text comment's HTML (in characters)
+ * The text limit above still applies; this only caps the markup around it.
+ */
+export const MAX_COMMENT_HTML_LENGTH = 20000;
+
+/**
+ * Entities left in the text of serialized HTML
+ */
+const HTML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', '#39': '\'', nbsp: ' ' };
+
+/**
+ * Get a comment's text, without the markup of rich text comments
+ * Works without a DOM, so the service worker can validate comments too.
+ * @param {Object} comment - Comment { content, format }
+ * @returns {string} Plain text, with a line break after each block
+ */
+export function getCommentText(comment) {
+  const content = typeof comment?.content === 'string' ? comment.content : '';
+  if (comment?.format !== 'html') {
+    return content;
+  }
+  return content
+    .replace(/<br\s*\/?>|<\/(?:div|p|li|pre|blockquote)>/gi, '\n')
+    .replace(/<[^>]*>/g, '')
+    .replace(/&(amp|lt|gt|quot|#39|nbsp);/g, (_match, entity) => HTML_ENTITIES[entity]);
+}
+
 /**
  * Special selector value for page-level notes (not anchored to any element)
  */
@@ -290,6 +914,95 @@ export function isPageLevelNote(noteData) {
   return noteData?.selector === PAGE_LEVEL_SELECTOR;
 }
 
+/**
+ * Separator between the segments of a shadow DOM piercing selector.
+ * Each segment after the first is resolved inside the open shadow root of the
+ * element matched by the previous one, e.g. "app-shell >>> sl-button >>> button"
+ */
+export const SHADOW_SELECTOR_SEPARATOR = ' >>> ';
+
+/**
+ * Check if a selector pierces shadow roots
+ * @param {string} selector - Selector to check
+ * @returns {boolean} True if the selector has more than one segment
+ */
+export function isShadowSelector(selector) {
+  return typeof selector === 'string' && selector.includes(SHADOW_SELECTOR_SEPARATOR.trim());
+}
+
+/**
+ * Split a shadow DOM piercing selector into its per-root segments
+ * @param {string} selector - Selector to split
+ * @returns {string[]} Segments, outermost first
+ */
+export function splitShadowSelector(selector) {
+  return selector.split(SHADOW_SELECTOR_SEPARATOR.trim()).map(segment => segment.trim());
+}
+
+/**
+ * Query all elements matching a selector, descending into open shadow roots
+ * for shadow DOM piercing selectors. Plain selectors behave like querySelectorAll.
+ * Throws on invalid CSS, like querySelectorAll.
+ * @param {string} selector - Plain or shadow DOM piercing selector
+ * @param {Document|ShadowRoot} root - Root to start from
+ * @returns {Element[]} Matching elements
+ */
+export function querySelectorAllDeep(selector, root = document) {
+  if (!selector) return [];
+  
+  const segments = splitShadowSelector(selector);
+  let scopes = [root];
+  
+  for (let i = 0; i < segments.length - 1; i++) {
+    scopes = scopes
+      .flatMap(scope => Array.from(scope.querySelectorAll(segments[i])))
+      .map(host => host.shadowRoot)
+      .filter(Boolean);
+  }
+  
+  const last = segments[segments.length - 1];
+  return scopes.flatMap(scope => Array.from(scope.querySelectorAll(last)));
+}
+
+/**
+ * Query the first element matching a plain or shadow DOM piercing selector
+ * @param {string} selector - Plain or shadow DOM piercing selector
+ * @param {Document|ShadowRoot} root - Root to start from
+ * @returns {Element|null} First match or null
+ */
+export function querySelectorDeep(selector, root = document) {
+  return querySelectorAllDeep(selector, root)[0] || null;
+}
+
+/**
+ * Get the open shadow roots a shadow DOM piercing selector descends through
+ * (as far as the host chain currently resolves). Used to watch those roots for
+ * mutations, since observers on the document do not see inside shadow trees.
+ * @param {string} selector - Shadow DOM piercing selector
+ * @returns {ShadowRoot[]} Shadow roots, outermost first
+ */
+export function getShadowRootsForSelector(selector) {
+  if (!isShadowSelector(selector)) return [];
+  
+  const segments = splitShadowSelector(selector);
+  const roots = [];
+  let scopes = [document];
+  
+  try {
+    for (let i = 0; i < segments.length - 1; i++) {
+      scopes = scopes
+        .flatMap(scope => Array.from(scope.querySelectorAll(segments[i])))
+        .map(host => host.shadowRoot)
+        .filter(Boolean);
+      roots.push(...scopes);
+    }
+  } catch {
+    // Invalid segment - return what resolved so far
+  }
+  
+  return roots;
+}
+
 /**
  * Get browser information
  * Uses User-Agent Client Hints API as primary detection (more reliable),
@@ -353,6 +1066,96 @@ export function getViewportInfo() {
   };
 }
 
+/**
+ * Viewport width ranges used for responsive anchors, narrowest first
+ * maxWidth is inclusive; null means no upper bound
+ */
+export const BREAKPOINTS = [
+  { id: 'mobile', minWidth: 0, maxWidth: 767 },
+  { id: 'tablet', minWidth: 768, maxWidth: 1023 },
+  { id: 'desktop', minWidth: 1024, maxWidth: null }
+];
+
+/**
+ * Find the breakpoint a viewport width falls into
+ * @param {number} width - Viewport width in CSS pixels
+ * @returns {Object} Breakpoint from BREAKPOINTS
+ */
+export function getBreakpointForWidth(width) {
+  return BREAKPOINTS.find(bp => width >= bp.minWidth && (bp.maxWidth === null || width <= bp.maxWidth)) || BREAKPOINTS[0];
+}
+
+/**
+ * Pick the alternative anchor recorded for a viewport width
+ * Notes without a matching entry use their primary selector
+ * @param {Object} noteData - Note data with optional responsiveAnchors
+ * @param {number} width - Viewport width in CSS pixels
+ * @returns {Object|null} Matching responsive anchor or null
+ */
+export function getResponsiveAnchor(noteData, width) {
+  const anchors = noteData?.responsiveAnchors;
+  if (!Array.isArray(anchors)) return null;
+
+  return anchors.find(entry => entry?.selector &&
+    width >= (entry.minWidth ?? 0) &&
+    (entry.maxWidth === null || entry.maxWidth === undefined || width <= entry.maxWidth)) || null;
+}
+
+/**
+ * Smallest dragged rectangle (in CSS pixels per side) that counts as a region;
+ * shorter drags are treated as clicks on the element
+ */
+export const MIN_REGION_SIZE = 8;
+
+/**
+ * Describe a rectangle as percentages of an element's box, so it scales with the element
+ * The rectangle is clipped to the element first
+ * @param {Object} elementRect - Element box { left, top, width, height }
+ * @param {Object} rect - Rectangle in the same coordinates { left, top, width, height }
+ * @returns {Object|null} Region { x, y, width, height } in percent, or null if nothing is left after clipping
+ */
+export function createAnchorRegion(elementRect, rect) {
+  if (!elementRect?.width || !elementRect?.height || !rect) return null;
+
+  const left = Math.max(rect.left, elementRect.left);
+  const top = Math.max(rect.top, elementRect.top);
+  const right = Math.min(rect.left + rect.width, elementRect.left + elementRect.width);
+  const bottom = Math.min(rect.top + rect.height, elementRect.top + elementRect.height);
+  if (right <= left || bottom <= top) return null;
+
+  const percent = (value, total) => Math.round(value / total * 10000) / 100;
+  return {
+    x: percent(left - elementRect.left, elementRect.width),
+    y: percent(top - elementRect.top, elementRect.height),
+    width: percent(right - left, elementRect.width),
+    height: percent(bottom - top, elementRect.height)
+  };
+}
+
+/**
+ * Resolve a region back to a rectangle for the element's current box
+ * @param {Object} elementRect - Element box { left, top, width, height }
+ * @param {Object} region - Region { x, y, width, height } in percent
+ * @returns {Object} Rectangle { left, top, right, bottom, width, height }
+ */
+export function getRegionRect(elementRect, region) {
+  const left = elementRect.left + elementRect.width * region.x / 100;
+  const top = elementRect.top + elementRect.height * region.y / 100;
+  const width = elementRect.width * region.width / 100;
+  const height = elementRect.height * region.height / 100;
+  return { left, top, right: left + width, bottom: top + height, width, height };
+}
+
+/**
+ * Format a region for display, e.g. "12%, 40% · 10% × 25%"
+ * @param {Object} region - Region { x, y, width, height } in percent
+ * @returns {string} Position and size of the region
+ */
+export function formatAnchorRegion(region) {
+  const round = (value) => Math.round(value * 10) / 10;
+  return `${round(region.x)}%, ${round(region.y)}% · ${round(region.width)}% × ${round(region.height)}%`;
+}
+
 /**
  * Get current page metadata
  * @returns {Object} Page metadata
@@ -372,16 +1175,32 @@ export function getPageMetadata() {
   };
 }
 
+/**
+ * Labels of anchor test locators, keyed like SelectorEngine.generateLocators()
+ * (tool names, so they are not translated)
+ */
+export const LOCATOR_LABELS = {
+  xpath: 'XPath',
+  playwright: 'Playwright',
+  cypress: 'Cypress'
+};
+
 /**
  * Generate markdown bug report template
  * @param {Object} options - Report options
  * @param {string} options.content - Note content (HTML)
  * @param {string} options.selector - CSS selector
  * @param {Object} options.metadata - Page metadata
+ * @param {Object} [options.textAnchor] - Text quote the note is anchored to
+ * @param {Object} [options.anchorRegion] - Region of the element the note is anchored to
+ * @param {Object} [options.locators] - Test locators for the anchor { xpath, playwright, cypress }
  * @returns {string} Markdown formatted bug report
  */
 export function generateBugReportMarkdown(options) {
-  const { content, selector, metadata } = options;
+  const { content, selector, metadata, textAnchor, anchorRegion, locators } = options;
+  const locatorLines = Object.entries(LOCATOR_LABELS)
+    .filter(([key]) => locators?.[key])
+    .map(([key, label]) => `- **${label}:** \`${locators[key]}\``);
   const plainContent = stripHtml(content).trim();
   
   const lines = [
@@ -400,6 +1219,9 @@ export function generateBugReportMarkdown(options) {
     '```css',
     selector,
     '```',
+    ...(textAnchor?.exact ? [`**${t('metadataSelectedText')}:**`, `> ${textAnchor.exact.replace(/\s+/g, ' ').trim()}`] : []),
+    ...(anchorRegion ? [`**${t('metadataRegion')}:** ${formatAnchorRegion(anchorRegion)}`] : []),
+    ...(locatorLines.length > 0 ? ['', ...locatorLines] : []),
     '',
     `### ${t('bugReportSteps')}`,
     `1. ${t('bugReportStep1')}`,
@@ -511,6 +1333,28 @@ export function detectEnvironment(url) {
   return ENVIRONMENTS.PRODUCTION;
 }
 
+/**
+ * Get a timestamp in milliseconds, to compare note versions by updatedAt
+ * Firestore Timestamps lose their methods when sent through Chrome messaging,
+ * so their seconds and nanoseconds are read directly (keeping sub-millisecond
+ * precision, so a Timestamp and its serialized copy compare equal).
+ * @param {string|Date|Object} value - ISO string, Date, or (serialized) Firestore Timestamp
+ * @returns {number|null} Milliseconds, or null if the value isn't a timestamp
+ */
+export function getTimestampMillis(value) {
+  if (value === null || value === undefined) {
+    return null;
+  }
+  if (typeof value === 'object' && typeof value.seconds === 'number') {
+    return value.seconds * 1000 + (value.nanoseconds || 0) / 1e6;
+  }
+  if (typeof value.toMillis === 'function') {
+    return value.toMillis();
+  }
+  const time = new Date(value).getTime();
+  return isNaN(time) ? null : time;
+}
+
 /**
  * Format relative time (e.g., "2 hours ago")
  * @param {string|Date|Object} date - Date to format (can be string, Date, or Firestore Timestamp)
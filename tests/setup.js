@@ -211,6 +211,19 @@ Element.prototype.getBoundingClientRect = jest.fn(() => ({
   toJSON: () => {}
 }));
 
+// Mock Range.getBoundingClientRect (not available in JSDOM)
+Range.prototype.getBoundingClientRect = jest.fn(() => ({
+  top: 0,
+  left: 0,
+  bottom: 0,
+  right: 0,
+  width: 0,
+  height: 0,
+  x: 0,
+  y: 0,
+  toJSON: () => {}
+}));
+
 // Mock CSS.escape (not available in JSDOM)
 global.CSS = {
   escape: jest.fn((str) => {
@@ -0,0 +1,187 @@
+/**
+ * AttachmentList Component Unit Tests
+ */
+
+import { jest, describe, it, expect, beforeEach, afterEach } from '@jest/globals';
+import {
+  AttachmentList,
+  validateAttachmentFile,
+  uploadAttachmentFile,
+  deleteAttachmentFile
+} from '../../src/content/components/AttachmentList.js';
+
+const flushPromises = () => new Promise(resolve => setTimeout(resolve, 0));
+
+describe('AttachmentList', () => {
+  const localThis = {};
+
+  beforeEach(() => {
+    localThis.image = {
+      id: 'attachment-1', name: 'shot.png', type: 'image/png', size: 2048, storage: 'cloud',
+      path: 'attachments/user-1/attachment-1', url: 'https://storage.example.com/attachment-1'
+    };
+    localThis.file = { id: 'attachment-2', name: 'log <1>.txt', type: 'text/plain', size: 300, storage: 'local' };
+  });
+
+  afterEach(() => {
+    localThis.list?.destroy();
+    jest.clearAllMocks();
+  });
+
+  describe('validateAttachmentFile', () => {
+    it('should accept an allowed file under the limits', () => {
+      expect(validateAttachmentFile({ type: 'application/pdf', size: 1000 }, 0)).toBeNull();
+    });
+
+    it('should reject a file type that is not allowed', () => {
+      expect(validateAttachmentFile({ type: 'text/html', size: 10 }, 0)).toBe('attachmentTypeNotAllowed');
+    });
+
+    it('should reject a file over the size limit', () => {
+      expect(validateAttachmentFile({ type: 'image/png', size: 6 * 1024 * 1024 }, 0)).toBe('attachmentTooLarge');
+    });
+
+    it('should reject more files than the attachment limit', () => {
+      expect(validateAttachmentFile({ type: 'image/png', size: 10 }, 5)).toBe('tooManyAttachments');
+    });
+  });
+
+  describe('uploadAttachmentFile', () => {
+    it('should send the file as a data URL and return the reference', async () => {
+      chrome.runtime.sendMessage.mockResolvedValueOnce({ success: true, attachment: localThis.file });
+
+      const attachment = await uploadAttachmentFile(new File(['hello'], 'log.txt', { type: 'text/plain' }));
+
+      expect(chrome.runtime.sendMessage).toHaveBeenCalledWith({
+        action: 'uploadAttachment',
+        file: { name: 'log.txt', type: 'text/plain', size: 5, dataUrl: expect.stringMatching(/^data:text\/plain/) }
+      });
+      expect(attachment).toEqual(localThis.file);
+    });
+
+    it('should throw when the upload fails', async () => {
+      chrome.runtime.sendMessage.mockResolvedValueOnce({ success: false, error: 'Quota exceeded' });
+
+      await expect(uploadAttachmentFile(new File(['hello'], 'log.txt', { type: 'text/plain' })))
+        .rejects.toThrow('Quota exceeded');
+    });
+  });
+
+  describe('deleteAttachmentFile', () => {
+    it('should ask the background to delete the file', async () => {
+      await deleteAttachmentFile(localThis.file);
+
+      expect(chrome.runtime.sendMessage).toHaveBeenCalledWith({ action: 'deleteAttachment', attachment: localThis.file });
+    });
+
+    it('should not throw when the message fails', async () => {
+      chrome.runtime.sendMessage.mockRejectedValueOnce(new Error('Extension context invalidated'));
+
+      await expect(deleteAttachmentFile(localThis.file)).resolves.toBeUndefined();
+    });
+  });
+
+  describe('rendering', () => {
+    it('should be hidden without attachments', () => {
+      localThis.list = new AttachmentList();
+
+      expect(localThis.list.element.classList.contains('sn-hidden')).toBe(true);
+      expect(localThis.list.element.getAttribute('role')).toBe('list');
+    });
+
+    it('should show images as thumbnails from their download URL', async () => {
+      localThis.list = new AttachmentList({ attachments: [localThis.image] });
+      await flushPromises();
+
+      const img = localThis.list.element.querySelector('.sn-attachment-thumb img');
+      expect(img.getAttribute('src')).toBe('https://storage.example.com/attachment-1');
+      expect(img.alt).toBe('shot.png');
+      expect(chrome.runtime.sendMessage).not.toHaveBeenCalled();
+    });
+
+    it('should show other files as escaped download links loaded through the background', async () => {
+      chrome.runtime.sendMessage.mockResolvedValueOnce({ success: true, src: 'data:text/plain;base64,aGk=' });
+
+      localThis.list = new AttachmentList({ attachments: [localThis.file] });
+      await flushPromises();
+
+      const link = localThis.list.element.querySelector('.sn-attachment-link');
+      expect(chrome.runtime.sendMessage).toHaveBeenCalledWith({ action: 'getAttachment', attachment: localThis.file });
+      expect(link.getAttribute('href')).toBe('data:text/plain;base64,aGk=');
+      expect(link.hasAttribute('aria-disabled')).toBe(false);
+      expect(link.querySelector('.sn-attachment-name').innerHTML).toBe('log &lt;1&gt;.txt');
+      expect(link.querySelector('.sn-attachment-size').textContent).toBe('300 B');
+    });
+
+    it('should leave a link disabled when the file is gone', async () => {
+      chrome.runtime.sendMessage.mockResolvedValueOnce({ success: false, error: 'attachmentNotFound' });
+
+      localThis.list = new AttachmentList({ attachments: [localThis.file] });
+      await flushPromises();
+
+      expect(localThis.list.element.querySelector('.sn-attachment-link').getAttribute('aria-disabled')).toBe('true');
+    });
+
+    it('should expand and collapse an image', () => {
+      localThis.list = new AttachmentList({ attachments: [localThis.image] });
+      const thumb = localThis.list.element.querySelector('.sn-attachment-thumb');
+
+      thumb.click();
+      expect(thumb.getAttribute('aria-expanded')).toBe('true');
+      expect(thumb.closest('.sn-attachment').classList.contains('sn-attachment-expanded')).toBe(true);
+
+      thumb.click();
+      expect(thumb.getAttribute('aria-expanded')).toBe('false');
+    });
+  });
+
+  describe('editing', () => {
+    it('should only show remove buttons when editable', () => {
+      localThis.list = new AttachmentList({ attachments: [localThis.image] });
+      expect(localThis.list.element.querySelector('.sn-attachment-remove')).toBeNull();
+
+      localThis.list.destroy();
+      localThis.list = new AttachmentList({ attachments: [localThis.image], editable: true });
+      expect(localThis.list.element.querySelector('.sn-attachment-remove')).not.toBeNull();
+    });
+
+    it('should call onRemove with the attachment', () => {
+      const onRemove = jest.fn();
+      localThis.list = new AttachmentList({ attachments: [localThis.image, localThis.file], editable: true, onRemove });
+
+      localThis.list.element.querySelectorAll('.sn-attachment-remove')[1].click();
+
+      expect(onRemove).toHaveBeenCalledWith(localThis.file);
+    });
+
+    it('should show uploads in progress and count them', () => {
+      localThis.list = new AttachmentList({ attachments: [localThis.image] });
+
+      const key = localThis.list.addPending('big.pdf');
+
+      expect(localThis.list.hasPending()).toBe(true);
+      expect(localThis.list.getCount()).toBe(2);
+      expect(localThis.list.element.querySelector('.sn-attachment-pending').getAttribute('aria-busy')).toBe('true');
+
+      localThis.list.removePending(key);
+
+      expect(localThis.list.hasPending()).toBe(false);
+      expect(localThis.list.element.querySelector('.sn-attachment-pending')).toBeNull();
+    });
+
+    it('should replace the attachments', () => {
+      localThis.list = new AttachmentList({ attachments: [localThis.image] });
+
+      localThis.list.setAttachments([]);
+
+      expect(localThis.list.getAttachments()).toEqual([]);
+      expect(localThis.list.element.classList.contains('sn-hidden')).toBe(true);
+    });
+  });
+
+  describe('getStyles', () => {
+    it('should return CSS for the list', () => {
+      expect(AttachmentList.getStyles()).toContain('.sn-attachments');
+    });
+  });
+});
@@ -438,13 +438,15 @@ describe('CommentSection', () => {
       await commentSection.togglePanel();
       
       const input = commentSection.element.querySelector('.sn-comment-input');
-      input.value = 'New comment text';
+      input.textContent = 'New comment text';
       input.dispatchEvent(new Event('input'));
       
       await commentSection.submitComment();
       
       expect(mockCallbacks.onAddComment).toHaveBeenCalledWith('note-123', {
         content: 'New comment text',
+        attachments: [],
+        mentions: [],
         parentId: null
       });
     });
@@ -460,12 +462,14 @@ describe('CommentSection', () => {
       commentSection.startReply('c1', 'Jane');
       
       const input = commentSection.element.querySelector('.sn-comment-input');
-      input.value = 'Reply text';
+      input.textContent = 'Reply text';
       
       await commentSection.submitComment();
       
       expect(mockCallbacks.onAddComment).toHaveBeenCalledWith('note-123', {
         content: 'Reply text',
+        attachments: [],
+        mentions: [],
         parentId: 'c1'
       });
     });
@@ -474,7 +478,7 @@ describe('CommentSection', () => {
       await commentSection.togglePanel();
       
       const input = commentSection.element.querySelector('.sn-comment-input');
-      input.value = '   ';
+      input.textContent = '   ';
       
       await commentSection.submitComment();
       
@@ -504,7 +508,7 @@ describe('CommentSection', () => {
       mockCallbacks.onLoadComments.mockClear();
       
       const input = commentSection.element.querySelector('.sn-comment-input');
-      input.value = 'New comment';
+      input.textContent = 'New comment';
       
       await commentSection.submitComment();
       
@@ -523,7 +527,7 @@ describe('CommentSection', () => {
       commentSection.startEdit('c1');
       
       const input = commentSection.element.querySelector('.sn-comment-input');
-      expect(input.value).toBe('Original content');
+      expect(input.textContent).toBe('Original content');
       expect(commentSection.editingComment).toBe('c1');
     });
     
@@ -537,11 +541,11 @@ describe('CommentSection', () => {
       commentSection.startEdit('c1');
       
       const input = commentSection.element.querySelector('.sn-comment-input');
-      input.value = 'Updated content';
+      input.textContent = 'Updated content';
       
       await commentSection.submitComment();
       
-      expect(mockCallbacks.onEditComment).toHaveBeenCalledWith('note-123', 'c1', { content: 'Updated content' });
+      expect(mockCallbacks.onEditComment).toHaveBeenCalledWith('note-123', 'c1', { content: 'Updated content', attachments: [], mentions: [] });
     });
     
     it('cancels edit mode', async () => {
@@ -557,7 +561,7 @@ describe('CommentSection', () => {
       expect(commentSection.editingComment).toBeNull();
       
       const input = commentSection.element.querySelector('.sn-comment-input');
-      expect(input.value).toBe('');
+      expect(input.textContent).toBe('');
     });
   });
   
@@ -615,6 +619,21 @@ describe('CommentSection', () => {
       
       expect(mockCallbacks.onDeleteComment).not.toHaveBeenCalled();
     });
+    
+    it('shows a placeholder for a deleted comment that still has replies', async () => {
+      mockCallbacks.onLoadComments.mockResolvedValue([
+        { id: 'c1', authorId: 'user-1', authorName: 'Test User', content: '', deleted: true, createdAt: new Date().toISOString() },
+        { id: 'c2', authorId: 'user-2', authorName: 'Ana', content: 'Still here', parentId: 'c1', createdAt: new Date().toISOString() }
+      ]);
+      
+      await commentSection.togglePanel();
+      
+      const deleted = commentSection.element.querySelector('[data-comment-id="c1"]');
+      expect(deleted.querySelector('.sn-comment-deleted').textContent).toBe('deletedCommentPlaceholder');
+      expect(deleted.querySelector('.sn-comment-actions .sn-edit-btn[data-comment-id="c1"]')).toBeNull();
+      expect(deleted.querySelector('.sn-reply-btn[data-comment-id="c1"]')).toBeNull();
+      expect(commentSection.element.querySelector('[data-comment-id="c2"] .sn-comment-content').textContent).toBe('Still here');
+    });
   });
   
   describe('reply mode', () => {
@@ -771,6 +790,619 @@ describe('CommentSection', () => {
     });
   });
   
+  describe('attachments', () => {
+    const localThis = {};
+    
+    beforeEach(() => {
+      localThis.saved = { id: 'attachment-1', name: 'spec.pdf', type: 'application/pdf', size: 1200, storage: 'local' };
+      localThis.uploaded = { id: 'attachment-2', name: 'shot.png', type: 'image/png', size: 3, storage: 'local' };
+      localThis.file = new File(['abc'], 'shot.png', { type: 'image/png' });
+    });
+    
+    it('renders the attachments of a comment without text', async () => {
+      mockCallbacks.onLoadComments.mockResolvedValue([
+        { id: 'c1', authorId: 'user-2', authorName: 'Other', content: '', attachments: [localThis.saved], createdAt: new Date().toISOString() }
+      ]);
+      
+      await commentSection.togglePanel();
+      
+      const comment = commentSection.element.querySelector('[data-comment-id="c1"]');
+      expect(comment.querySelector('.sn-comment-content')).toBeNull();
+      expect(comment.querySelector('.sn-comment-attachments .sn-attachment-name').textContent).toBe('spec.pdf');
+      expect(comment.querySelector('.sn-attachment-remove')).toBeNull();
+    });
+    
+    it('uploads a pasted file and sends it with the comment', async () => {
+      chrome.runtime.sendMessage.mockResolvedValueOnce({ success: true, attachment: localThis.uploaded });
+      const attachSpy = jest.spyOn(commentSection, 'handleAttachFiles');
+      await commentSection.togglePanel();
+      
+      const input = commentSection.element.querySelector('.sn-comment-input');
+      const pasteEvent = new Event('paste', { bubbles: true, cancelable: true });
+      pasteEvent.clipboardData = { files: [localThis.file] };
+      input.dispatchEvent(pasteEvent);
+      // FileReader and the upload message both resolve asynchronously
+      await attachSpy.mock.results[0].value;
+      
+      expect(pasteEvent.defaultPrevented).toBe(true);
+      expect(chrome.runtime.sendMessage).toHaveBeenCalledWith(expect.objectContaining({
+        action: 'uploadAttachment',
+        file: expect.objectContaining({ name: 'shot.png', type: 'image/png', size: 3 })
+      }));
+      expect(commentSection.element.querySelector('.sn-comment-submit').disabled).toBe(false);
+      
+      await commentSection.submitComment();
+      
+      expect(mockCallbacks.onAddComment).toHaveBeenCalledWith('note-123', {
+        content: '',
+        attachments: [localThis.uploaded],
+        mentions: [],
+        parentId: null
+      });
+      expect(commentSection.draftList.getAttachments()).toEqual([]);
+    });
+    
+    it('rejects files that cannot be attached', async () => {
+      await commentSection.togglePanel();
+      const toastSpy = jest.spyOn(commentSection, 'showToast');
+      
+      await commentSection.handleAttachFiles([new File(['<p>'], 'page.html', { type: 'text/html' })]);
+      
+      expect(toastSpy).toHaveBeenCalledWith('attachmentTypeNotAllowed', 'error');
+      expect(chrome.runtime.sendMessage).not.toHaveBeenCalledWith(expect.objectContaining({ action: 'uploadAttachment' }));
+    });
+    
+    it('deletes an unsaved upload when it is removed from the draft', async () => {
+      await commentSection.togglePanel();
+      commentSection.draftList.setAttachments([localThis.uploaded]);
+      
+      commentSection.draftList.element.querySelector('.sn-attachment-remove').click();
+      
+      expect(chrome.runtime.sendMessage).toHaveBeenCalledWith({ action: 'deleteAttachment', attachment: localThis.uploaded });
+      expect(commentSection.draftList.getAttachments()).toEqual([]);
+    });
+    
+    it('deletes an attachment taken off an edited comment only once the edit is saved', async () => {
+      mockCallbacks.onLoadComments.mockResolvedValue([
+        { id: 'c1', authorId: 'user-1', authorName: 'Test User', content: 'Original', attachments: [localThis.saved], createdAt: new Date().toISOString() }
+      ]);
+      await commentSection.togglePanel();
+      commentSection.startEdit('c1');
+      expect(commentSection.draftList.getAttachments()).toEqual([localThis.saved]);
+      
+      commentSection.draftList.element.querySelector('.sn-attachment-remove').click();
+      expect(chrome.runtime.sendMessage).not.toHaveBeenCalledWith(expect.objectContaining({ action: 'deleteAttachment' }));
+      
+      await commentSection.submitComment();
+      
+      expect(mockCallbacks.onEditComment).toHaveBeenCalledWith('note-123', 'c1', { content: 'Original', attachments: [], mentions: [] });
+      expect(chrome.runtime.sendMessage).toHaveBeenCalledWith({ action: 'deleteAttachment', attachment: localThis.saved });
+    });
+    
+    it('keeps the saved attachments when an edit is cancelled', async () => {
+      mockCallbacks.onLoadComments.mockResolvedValue([
+        { id: 'c1', authorId: 'user-1', authorName: 'Test User', content: 'Original', attachments: [localThis.saved], createdAt: new Date().toISOString() }
+      ]);
+      await commentSection.togglePanel();
+      commentSection.startEdit('c1');
+      
+      commentSection.cancelEdit();
+      
+      expect(chrome.runtime.sendMessage).not.toHaveBeenCalledWith(expect.objectContaining({ action: 'deleteAttachment' }));
+      expect(commentSection.draftList.getAttachments()).toEqual([]);
+    });
+  });
+  
+  describe('typing indicator', () => {
+    it('reports typing while the input has text', () => {
+      const onTyping = jest.fn();
+      commentSection.onTyping = onTyping;
+      const input = commentSection.element.querySelector('.sn-comment-input');
+      
+      input.textContent = 'Hel';
+      input.dispatchEvent(new Event('input'));
+      input.textContent = '';
+      input.dispatchEvent(new Event('input'));
+      
+      expect(onTyping).toHaveBeenCalledTimes(1);
+      expect(onTyping).toHaveBeenCalledWith('note-123');
+    });
+    
+    it('names a single collaborator who is typing', () => {
+      commentSection.setTypingUsers(['Alice']);
+      
+      const indicator = commentSection.element.querySelector('.sn-comment-typing');
+      expect(indicator.textContent).toBe('collaboratorTyping');
+      expect(indicator.classList.contains('sn-hidden')).toBe(false);
+      expect(chrome.i18n.getMessage).toHaveBeenCalledWith('collaboratorTyping', ['Alice']);
+    });
+    
+    it('summarizes several collaborators typing', () => {
+      commentSection.setTypingUsers(['Alice', 'Bob']);
+      
+      expect(commentSection.element.querySelector('.sn-comment-typing').textContent).toBe('severalCollaboratorsTyping');
+    });
+    
+    it('hides when nobody is typing', () => {
+      commentSection.setTypingUsers(['Alice']);
+      commentSection.setTypingUsers([]);
+      
+      const indicator = commentSection.element.querySelector('.sn-comment-typing');
+      expect(indicator.textContent).toBe('');
+      expect(indicator.classList.contains('sn-hidden')).toBe(true);
+    });
+  });
+  
+  describe('mentions', () => {
+    const localThis = {};
+    
+    beforeEach(() => {
+      // The caret in the comment editor needs jsdom's real selection
+      localThis.getSelection = window.getSelection;
+      window.getSelection = () => document.getSelection();
+      commentSection.destroy();
+      commentSection = new CommentSection({
+        noteId: 'note-123',
+        user: { uid: 'user-1', email: 'test@example.com', displayName: 'Test User' },
+        getMentionCandidates: () => [
+          { email: 'test@example.com', name: 'Test User' },
+          { email: 'ana@example.com', name: 'ana' },
+          { email: 'bob@example.com', name: 'Bob Stone' }
+        ],
+        ...mockCallbacks
+      });
+      document.body.appendChild(commentSection.element);
+      localThis.input = commentSection.element.querySelector('.sn-comment-input');
+      localThis.list = commentSection.element.querySelector('.sn-mention-list');
+      localThis.type = (value) => {
+        localThis.input.textContent = value;
+        const caret = document.createRange();
+        caret.setStart(localThis.input.firstChild, value.length);
+        window.getSelection().removeAllRanges();
+        window.getSelection().addRange(caret);
+        localThis.input.dispatchEvent(new Event('input'));
+      };
+    });
+    
+    afterEach(() => {
+      window.getSelection = localThis.getSelection;
+    });
+    
+    it('suggests collaborators other than the user after @', () => {
+      localThis.type('Hi @');
+      
+      const options = localThis.list.querySelectorAll('.sn-mention-option');
+      expect(Array.from(options).map(option => option.querySelector('.sn-mention-name').textContent)).toEqual(['ana', 'Bob Stone']);
+      expect(localThis.list.classList.contains('sn-hidden')).toBe(false);
+      expect(localThis.input.getAttribute('aria-expanded')).toBe('true');
+    });
+    
+    it('filters suggestions by the typed name', () => {
+      localThis.type('Hi @sto');
+      
+      expect(localThis.list.querySelectorAll('.sn-mention-option')).toHaveLength(1);
+    });
+    
+    it('does not suggest inside an email address', () => {
+      localThis.type('mail me at me@');
+      
+      expect(localThis.list.classList.contains('sn-hidden')).toBe(true);
+    });
+    
+    it('prefers the name a collaborator signs comments with', () => {
+      commentSection.comments = [{ id: 'c1', authorEmail: 'ana@example.com', authorName: 'Ana Lopez', content: 'Hi' }];
+      
+      localThis.type('@');
+      
+      expect(localThis.list.querySelector('.sn-mention-name').textContent).toBe('Ana Lopez');
+    });
+    
+    it('inserts the picked collaborator with the keyboard and submits the mention', async () => {
+      localThis.type('Hi @b');
+      localThis.input.dispatchEvent(new KeyboardEvent('keydown', { key: 'Enter', bubbles: true }));
+      
+      expect(localThis.input.textContent).toBe('Hi @Bob Stone\u00A0');
+      expect(localThis.list.classList.contains('sn-hidden')).toBe(true);
+      expect(mockCallbacks.onAddComment).not.toHaveBeenCalled();
+      
+      localThis.input.textContent += 'please check';
+      await commentSection.submitComment();
+      
+      expect(mockCallbacks.onAddComment).toHaveBeenCalledWith('note-123', expect.objectContaining({
+        content: 'Hi @Bob Stone please check',
+        mentions: [{ email: 'bob@example.com', name: 'Bob Stone' }]
+      }));
+    });
+    
+    it('moves through suggestions with the arrow keys and picks one with the mouse', () => {
+      localThis.type('@');
+      localThis.input.dispatchEvent(new KeyboardEvent('keydown', { key: 'ArrowDown', bubbles: true }));
+      
+      const options = localThis.list.querySelectorAll('.sn-mention-option');
+      expect(options[1].getAttribute('aria-selected')).toBe('true');
+      
+      options[0].dispatchEvent(new MouseEvent('mousedown', { bubbles: true }));
+      
+      expect(localThis.input.textContent).toBe('@ana\u00A0');
+      expect(commentSection.draftMentions).toEqual([{ email: 'ana@example.com', name: 'ana' }]);
+    });
+    
+    it('closes suggestions on Escape without leaving reply mode', () => {
+      commentSection.startReply('c1', 'Jane');
+      localThis.type('@');
+      localThis.input.dispatchEvent(new KeyboardEvent('keydown', { key: 'Escape', bubbles: true }));
+      
+      expect(localThis.list.classList.contains('sn-hidden')).toBe(true);
+      expect(commentSection.replyingTo).toBe('c1');
+    });
+    
+    it('drops mentions removed from the text before submitting', async () => {
+      localThis.type('@a');
+      commentSection.selectMention(commentSection.mentionMatches[0]);
+      localThis.input.textContent = 'never mind';
+      
+      await commentSection.submitComment();
+      
+      expect(mockCallbacks.onAddComment).toHaveBeenCalledWith('note-123', expect.objectContaining({ mentions: [] }));
+    });
+    
+    it('highlights mentions in comments, marking the current user', () => {
+      commentSection.updateComments([{
+        id: 'c1',
+        authorId: 'user-2',
+        authorName: 'Ana',
+        content: '@Test User and @Bob <b>look</b>',
+        mentions: [{ email: 'test@example.com', name: 'Test User' }, { email: 'bob@example.com', name: 'Bob' }],
+        createdAt: new Date().toISOString()
+      }]);
+      
+      const content = commentSection.element.querySelector('.sn-comment-content');
+      const mentions = content.querySelectorAll('.sn-mention');
+      expect(Array.from(mentions).map(mention => mention.textContent)).toEqual(['@Test User', '@Bob']);
+      expect(mentions[0].classList.contains('sn-mention-self')).toBe(true);
+      expect(content.querySelector('b')).toBeNull();
+    });
+    
+    it('keeps mentions when editing a comment', async () => {
+      commentSection.comments = [{
+        id: 'c1', authorId: 'user-1', content: '@ana hi', mentions: [{ email: 'ana@example.com', name: 'ana' }]
+      }];
+      commentSection.startEdit('c1');
+      
+      await commentSection.submitComment();
+      
+      expect(mockCallbacks.onEditComment).toHaveBeenCalledWith('note-123', 'c1', expect.objectContaining({
+        mentions: [{ email: 'ana@example.com', name: 'ana' }]
+      }));
+    });
+  });
+  
+  describe('nested threads', () => {
+    const localThis = {};
+    
+    beforeEach(() => {
+      localThis.copyText = jest.fn().mockResolvedValue();
+      commentSection.destroy();
+      commentSection = new CommentSection({
+        noteId: 'note-123',
+        user: { uid: 'user-1', email: 'test@example.com', displayName: 'Test User' },
+        copyText: localThis.copyText,
+        ...mockCallbacks
+      });
+      document.body.appendChild(commentSection.element);
+      Element.prototype.scrollIntoView = jest.fn();
+      
+      localThis.now = new Date().toISOString();
+      localThis.comments = [
+        { id: 'c1', authorId: 'user-2', authorName: 'Jane', content: 'Root', parentId: null, createdAt: localThis.now },
+        { id: 'c2', authorId: 'user-3', authorName: 'Bob', content: 'Reply', parentId: 'c1', createdAt: localThis.now },
+        { id: 'c3', authorId: 'user-2', authorName: 'Jane', content: 'Reply to reply', parentId: 'c2', createdAt: localThis.now },
+        { id: 'c4', authorId: 'user-3', authorName: 'Bob', content: 'Deeper', parentId: 'c3', createdAt: localThis.now }
+      ];
+      localThis.find = (commentId) => [...commentSection.element.querySelectorAll('.sn-comment')]
+        .find(el => el.dataset.commentId === commentId);
+      // A comment's own actions come before its replies
+      localThis.action = (commentId, selector) => localThis.find(commentId).querySelector('.sn-comment-actions').querySelector(selector);
+    });
+    
+    afterEach(() => {
+      delete Element.prototype.scrollIntoView;
+    });
+    
+    it('nests replies at every depth with a reply button on each', () => {
+      commentSection.updateComments(localThis.comments);
+      
+      const deepest = localThis.find('c4');
+      expect(deepest.dataset.depth).toBe('3');
+      expect(deepest.parentElement.dataset.parentId).toBe('c3');
+      expect(localThis.find('c3').querySelector('.sn-reply-btn').dataset.commentId).toBe('c3');
+      expect(commentSection.element.querySelectorAll('.sn-reply-btn')).toHaveLength(4);
+    });
+    
+    it('stops indenting past the indentation limit', () => {
+      const chain = Array.from({ length: 7 }, (_, index) => ({
+        id: `d${index}`, authorId: 'user-2', content: `Level ${index}`, parentId: index === 0 ? null : `d${index - 1}`, createdAt: localThis.now
+      }));
+      commentSection.updateComments(chain);
+      
+      expect(localThis.find('d4').classList.contains('sn-comment-unindented')).toBe(false);
+      expect(localThis.find('d5').classList.contains('sn-comment-unindented')).toBe(true);
+    });
+    
+    it('collapses and expands a subtree, keeping the state across re-renders', () => {
+      commentSection.updateComments(localThis.comments);
+      
+      localThis.action('c2', '.sn-thread-toggle').click();
+      
+      const replies = localThis.find('c2').querySelector('.sn-comment-replies');
+      expect(replies.classList.contains('sn-hidden')).toBe(true);
+      const toggle = localThis.action('c2', '.sn-thread-toggle');
+      expect(toggle.getAttribute('aria-expanded')).toBe('false');
+      expect(chrome.i18n.getMessage).toHaveBeenCalledWith('showReplies', ['2']);
+      
+      commentSection.updateComments(localThis.comments);
+      expect(localThis.find('c2').querySelector('.sn-comment-replies').classList.contains('sn-hidden')).toBe(true);
+      
+      localThis.action('c2', '.sn-thread-toggle').click();
+      expect(localThis.find('c2').querySelector('.sn-comment-replies').classList.contains('sn-hidden')).toBe(false);
+    });
+    
+    it('jumps to the parent comment', () => {
+      commentSection.updateComments(localThis.comments);
+      
+      expect(localThis.action('c1', '.sn-jump-parent-btn')).toBeNull();
+      localThis.action('c3', '.sn-jump-parent-btn').click();
+      
+      expect(localThis.find('c2').scrollIntoView).toHaveBeenCalled();
+      expect(localThis.find('c2').classList.contains('sn-comment-highlight')).toBe(true);
+    });
+    
+    it('copies a permalink to the comment', async () => {
+      commentSection.updateComments(localThis.comments);
+      
+      await commentSection.copyCommentLink('c3');
+      
+      expect(localThis.copyText).toHaveBeenCalledWith(expect.stringMatching(/#sn-comment=note-123:c3$/));
+      expect(document.querySelector('.sn-toast').textContent).toBe('copiedToClipboard');
+    });
+    
+    it('shows an error when the link cannot be copied', async () => {
+      localThis.copyText.mockRejectedValue(new Error('blocked'));
+      
+      await commentSection.copyCommentLink('c3');
+      
+      expect(document.querySelector('.sn-toast-error').textContent).toBe('failedToCopy');
+    });
+    
+    it('opens the panel on a linked comment, expanding collapsed threads', async () => {
+      mockCallbacks.onLoadComments.mockResolvedValue(localThis.comments);
+      commentSection.collapsedThreads.add('c1');
+      
+      await commentSection.showComment('c4');
+      
+      expect(commentSection.isExpanded).toBe(true);
+      expect(commentSection.collapsedThreads.has('c1')).toBe(false);
+      expect(localThis.find('c4').classList.contains('sn-comment-highlight')).toBe(true);
+    });
+    
+    it('tells the user when a linked comment no longer exists', async () => {
+      mockCallbacks.onLoadComments.mockResolvedValue(localThis.comments);
+      
+      await commentSection.showComment('deleted');
+      
+      expect(document.querySelector('.sn-toast-error').textContent).toBe('commentNotFound');
+    });
+  });
+  
+  describe('reactions', () => {
+    const localThis = {};
+    
+    beforeEach(() => {
+      localThis.onToggleReaction = jest.fn().mockResolvedValue({ 'user-2': ['check'], 'user-1': ['thumbsUp'] });
+      commentSection.destroy();
+      commentSection = new CommentSection({
+        noteId: 'note-123',
+        user: { uid: 'user-1', email: 'test@example.com', displayName: 'Test User' },
+        onToggleReaction: localThis.onToggleReaction,
+        ...mockCallbacks
+      });
+      document.body.appendChild(commentSection.element);
+      
+      localThis.comments = [
+        { id: 'c1', authorId: 'user-2', authorName: 'Jane', content: 'Fixed', parentId: null, reactions: { 'user-2': ['check'] }, createdAt: new Date().toISOString() },
+        { id: 'c2', authorId: 'user-3', authorName: 'Bob', content: 'Thanks', parentId: 'c1', createdAt: new Date().toISOString() }
+      ];
+      localThis.reactions = (commentId) => commentSection.element.querySelector(`.sn-comment-reactions[data-comment-id="${commentId}"]`);
+    });
+    
+    it('renders each comment\'s reactions', () => {
+      commentSection.updateComments(localThis.comments);
+      
+      const chips = localThis.reactions('c1').querySelectorAll('.sn-reaction');
+      expect(chips).toHaveLength(1);
+      expect(chips[0].dataset.reaction).toBe('check');
+      expect(localThis.reactions('c2').querySelectorAll('.sn-reaction')).toHaveLength(0);
+      expect(localThis.reactions('c2').querySelector('.sn-reaction-add')).not.toBeNull();
+    });
+    
+    it('toggles a reaction on someone else\'s comment and keeps it across re-renders', async () => {
+      commentSection.updateComments(localThis.comments);
+      
+      localThis.reactions('c1').querySelector('.sn-reaction-option[data-reaction="thumbsUp"]').click();
+      await new Promise(resolve => setTimeout(resolve, 10));
+      
+      expect(localThis.onToggleReaction).toHaveBeenCalledWith('note-123', 'c1', 'thumbsUp');
+      
+      commentSection.renderComments();
+      expect(localThis.reactions('c1').querySelector('.sn-reaction[data-reaction="thumbsUp"]').getAttribute('aria-pressed')).toBe('true');
+    });
+    
+    it('shows reactions from real-time updates', () => {
+      commentSection.updateComments(localThis.comments);
+      
+      commentSection.updateComments([{ ...localThis.comments[0], reactions: { 'user-2': ['check'], 'user-3': ['check', 'heart'] } }]);
+      
+      expect(localThis.reactions('c1').querySelector('.sn-reaction[data-reaction="check"] .sn-reaction-count').textContent).toBe('2');
+      expect(localThis.reactions('c1').querySelector('.sn-reaction[data-reaction="heart"]')).not.toBeNull();
+    });
+    
+    it('tells the user when a reaction could not be saved', async () => {
+      localThis.onToggleReaction.mockRejectedValueOnce(new Error('offline'));
+      commentSection.updateComments(localThis.comments);
+      
+      localThis.reactions('c1').querySelector('.sn-reaction[data-reaction="check"]').click();
+      await new Promise(resolve => setTimeout(resolve, 10));
+      
+      expect(document.querySelector('.sn-toast-error').textContent).toBe('failedToReact');
+      expect(localThis.reactions('c1').querySelector('.sn-reaction[data-reaction="check"] .sn-reaction-count').textContent).toBe('1');
+    });
+  });
+  
+  describe('resolved threads and accepted answers', () => {
+    const localThis = {};
+    
+    beforeEach(() => {
+      localThis.onResolveThread = jest.fn((noteId, commentId, resolved) => Promise.resolve({
+        resolved,
+        resolvedBy: resolved ? { uid: 'user-1', name: 'Test User' } : null,
+        acceptedAnswerId: null
+      }));
+      localThis.onAcceptAnswer = jest.fn((noteId, commentId, answerId) => Promise.resolve({
+        resolved: true,
+        resolvedBy: { uid: 'user-1', name: 'Test User' },
+        acceptedAnswerId: answerId
+      }));
+      localThis.create = (options = {}) => {
+        commentSection.destroy();
+        commentSection = new CommentSection({
+          noteId: 'note-123',
+          user: { uid: 'user-1', email: 'test@example.com', displayName: 'Test User' },
+          onResolveThread: localThis.onResolveThread,
+          onAcceptAnswer: localThis.onAcceptAnswer,
+          ...mockCallbacks,
+          ...options
+        });
+        document.body.appendChild(commentSection.element);
+      };
+      localThis.create();
+      Element.prototype.scrollIntoView = jest.fn();
+      
+      const now = new Date().toISOString();
+      localThis.comments = [
+        { id: 'c1', authorId: 'user-1', authorName: 'Test User', content: 'How do I log in?', parentId: null, createdAt: now },
+        { id: 'c2', authorId: 'user-2', authorName: 'Jane', content: 'Use SSO', parentId: 'c1', createdAt: now },
+        { id: 'c3', authorId: 'user-3', authorName: 'Bob', content: 'Or a password', parentId: 'c2', createdAt: now }
+      ];
+      localThis.find = (commentId) => [...commentSection.element.querySelectorAll('.sn-comment')]
+        .find(el => el.dataset.commentId === commentId);
+      localThis.action = (commentId, selector) => localThis.find(commentId).querySelector('.sn-comment-actions').querySelector(selector);
+      localThis.flush = () => new Promise(resolve => setTimeout(resolve, 10));
+    });
+    
+    afterEach(() => {
+      delete Element.prototype.scrollIntoView;
+    });
+    
+    it('offers to resolve top-level comments only', () => {
+      commentSection.updateComments(localThis.comments);
+      
+      expect(localThis.action('c1', '.sn-resolve-btn').textContent.trim()).toBe('resolveThread');
+      expect(localThis.action('c2', '.sn-resolve-btn')).toBeNull();
+    });
+    
+    it('collapses a thread once it is resolved', async () => {
+      commentSection.updateComments(localThis.comments);
+      
+      localThis.action('c1', '.sn-resolve-btn').click();
+      await localThis.flush();
+      
+      expect(localThis.onResolveThread).toHaveBeenCalledWith('note-123', 'c1', true);
+      expect(localThis.find('c1').classList.contains('sn-comment-resolved')).toBe(true);
+      expect(localThis.find('c2')).toBeUndefined();
+      expect(commentSection.element.querySelector('.sn-comment-resolved-label').textContent).toBe('resolvedBy');
+    });
+    
+    it('shows and hides the replies of a resolved thread', () => {
+      commentSection.updateComments([{ ...localThis.comments[0], resolved: true, resolvedBy: { name: 'Jane' } }, ...localThis.comments.slice(1)]);
+      
+      const toggle = commentSection.element.querySelector('.sn-resolved-toggle');
+      expect(toggle.getAttribute('aria-expanded')).toBe('false');
+      toggle.click();
+      
+      expect(localThis.find('c3')).toBeDefined();
+      expect(localThis.action('c1', '.sn-resolve-btn').textContent.trim()).toBe('reopenThread');
+      expect(commentSection.element.querySelector('.sn-resolved-toggle').getAttribute('aria-expanded')).toBe('true');
+    });
+    
+    it('reopens a resolved thread', async () => {
+      commentSection.updateComments([{ ...localThis.comments[0], resolved: true }, ...localThis.comments.slice(1)]);
+      commentSection.toggleResolvedThread('c1');
+      
+      localThis.action('c1', '.sn-resolve-btn').click();
+      await localThis.flush();
+      
+      expect(localThis.onResolveThread).toHaveBeenCalledWith('note-123', 'c1', false);
+      expect(commentSection.element.querySelector('.sn-comment-resolved-summary')).toBeNull();
+    });
+    
+    it('expands a resolved thread to show a linked reply', () => {
+      commentSection.updateComments([{ ...localThis.comments[0], resolved: true }, ...localThis.comments.slice(1)]);
+      
+      expect(commentSection.scrollToComment('c3')).toBe(true);
+      expect(localThis.find('c3').scrollIntoView).toHaveBeenCalled();
+    });
+    
+    it('marks a nested reply as the accepted answer and keeps the thread open', async () => {
+      commentSection.updateComments(localThis.comments);
+      
+      localThis.action('c3', '.sn-accept-btn').click();
+      await localThis.flush();
+      
+      expect(localThis.onAcceptAnswer).toHaveBeenCalledWith('note-123', 'c1', 'c3');
+      expect(localThis.find('c3').classList.contains('sn-comment-accepted')).toBe(true);
+      expect(localThis.find('c3').querySelector('.sn-comment-answer-badge').textContent).toBe('acceptedAnswer');
+      expect(localThis.action('c3', '.sn-accept-btn').getAttribute('aria-pressed')).toBe('true');
+      expect(localThis.find('c1').querySelector('.sn-comment-resolved-summary .sn-jump-answer-btn').dataset.answerId).toBe('c3');
+    });
+    
+    it('unmarks the accepted answer', async () => {
+      commentSection.updateComments([{ ...localThis.comments[0], acceptedAnswerId: 'c2' }, ...localThis.comments.slice(1)]);
+      
+      localThis.action('c2', '.sn-accept-btn').click();
+      await localThis.flush();
+      
+      expect(localThis.onAcceptAnswer).toHaveBeenCalledWith('note-123', 'c1', null);
+    });
+    
+    it('only lets the thread author and the note owner pick the answer', () => {
+      const comments = [{ ...localThis.comments[0], authorId: 'user-9' }, ...localThis.comments.slice(1)];
+      commentSection.updateComments(comments);
+      expect(localThis.action('c2', '.sn-accept-btn')).toBeNull();
+      
+      localThis.create({ noteOwnerId: 'user-1' });
+      commentSection.updateComments(comments);
+      expect(localThis.action('c2', '.sn-accept-btn')).not.toBeNull();
+    });
+    
+    it('ignores an accepted answer that was deleted', () => {
+      commentSection.updateComments([{ ...localThis.comments[0], acceptedAnswerId: 'gone' }, ...localThis.comments.slice(1)]);
+      
+      expect(commentSection.element.querySelector('.sn-jump-answer-btn')).toBeNull();
+      expect(commentSection.element.querySelector('.sn-comment-accepted')).toBeNull();
+    });
+    
+    it('tells the user when a thread could not be resolved', async () => {
+      localThis.onResolveThread.mockRejectedValueOnce(new Error('offline'));
+      commentSection.updateComments(localThis.comments);
+      
+      localThis.action('c1', '.sn-resolve-btn').click();
+      await localThis.flush();
+      
+      expect(document.querySelector('.sn-toast-error').textContent).toBe('failedToResolveThread');
+      expect(localThis.find('c1').classList.contains('sn-comment-resolved')).toBe(false);
+    });
+  });
+  
   describe('updateCount', () => {
     it('shows i18n key for 0 comments', () => {
       commentSection.updateCount(0);
@@ -959,7 +1591,7 @@ describe('CommentSection', () => {
       const input = commentSection.element.querySelector('.sn-comment-input');
       const submitBtn = commentSection.element.querySelector('.sn-comment-submit');
       
-      input.value = 'Test';
+      input.textContent = 'Test';
       input.dispatchEvent(new Event('input'));
       
       expect(submitBtn.disabled).toBe(false);
@@ -969,7 +1601,7 @@ describe('CommentSection', () => {
       await commentSection.togglePanel();
       
       const input = commentSection.element.querySelector('.sn-comment-input');
-      input.value = 'Test comment';
+      input.textContent = 'Test comment';
       
       const enterEvent = new KeyboardEvent('keydown', { key: 'Enter', bubbles: true });
       input.dispatchEvent(enterEvent);
@@ -1013,7 +1645,7 @@ describe('CommentSection', () => {
       const submitBtn = commentSection.element.querySelector('.sn-comment-submit');
       
       // Type a comment
-      input.value = 'Test comment that will fail';
+      input.textContent = 'Test comment that will fail';
       input.dispatchEvent(new Event('input', { bubbles: true }));
       expect(submitBtn.disabled).toBe(false);
       
@@ -1023,7 +1655,7 @@ describe('CommentSection', () => {
       // Button should be re-enabled so user can retry
       expect(submitBtn.disabled).toBe(false);
       // Input should still have the user's text
-      expect(input.value).toBe('Test comment that will fail');
+      expect(input.textContent).toBe('Test comment that will fail');
     });
     
     it('disables button on successful submission', async () => {
@@ -1036,7 +1668,7 @@ describe('CommentSection', () => {
       const submitBtn = commentSection.element.querySelector('.sn-comment-submit');
       
       // Type a comment
-      input.value = 'Test comment';
+      input.textContent = 'Test comment';
       input.dispatchEvent(new Event('input', { bubbles: true }));
       expect(submitBtn.disabled).toBe(false);
       
@@ -1045,7 +1677,7 @@ describe('CommentSection', () => {
       
       // Button should be disabled after successful submission (input cleared by cancelReply)
       expect(submitBtn.disabled).toBe(true);
-      expect(input.value).toBe('');
+      expect(input.textContent).toBe('');
     });
   });
   
@@ -1069,7 +1701,7 @@ describe('CommentSection', () => {
       await commentSection.togglePanel();
       
       const input = commentSection.element.querySelector('.sn-comment-input');
-      input.value = '   '; // Empty/whitespace only
+      input.textContent = '   '; // Empty/whitespace only
       
       await commentSection.submitComment();
       
@@ -1112,7 +1744,7 @@ describe('CommentSection', () => {
       await commentSection.togglePanel();
       
       const input = commentSection.element.querySelector('.sn-comment-input');
-      input.value = 'Test comment';
+      input.textContent = 'Test comment';
       
       await commentSection.submitComment();
       
@@ -1135,7 +1767,7 @@ describe('CommentSection', () => {
       commentSection.startEdit('c1');
       
       const input = commentSection.element.querySelector('.sn-comment-input');
-      input.value = 'Updated content';
+      input.textContent = 'Updated content';
       
       await commentSection.submitComment();
       
@@ -1274,11 +1906,11 @@ describe('CommentSection', () => {
       expect(submitBtn).toBeTruthy();
       
       // Test that input event listener works (button enables/disables)
-      input.value = 'Test comment';
+      input.textContent = 'Test comment';
       input.dispatchEvent(new Event('input'));
       expect(submitBtn.disabled).toBe(false);
       
-      input.value = '';
+      input.textContent = '';
       input.dispatchEvent(new Event('input'));
       expect(submitBtn.disabled).toBe(true);
       
@@ -1363,7 +1995,7 @@ describe('CommentSection', () => {
       const input = commentSection.element.querySelector('.sn-comment-input');
       const counter = commentSection.element.querySelector('.sn-comment-char-counter');
       
-      input.value = 'Hello';
+      input.textContent = 'Hello';
       input.dispatchEvent(new Event('input'));
       
       // Counter should show current count (i18n mock returns key)
@@ -1375,7 +2007,7 @@ describe('CommentSection', () => {
       const counter = commentSection.element.querySelector('.sn-comment-char-counter');
       
       // 1799 chars = 89.95%, just below 90% threshold
-      input.value = 'a'.repeat(1799);
+      input.textContent = 'a'.repeat(1799);
       input.dispatchEvent(new Event('input'));
       
       expect(counter.classList.contains('sn-char-counter-warning')).toBe(false);
@@ -1387,7 +2019,7 @@ describe('CommentSection', () => {
       const counter = commentSection.element.querySelector('.sn-comment-char-counter');
       
       // Create a string of exactly 1800 characters (90% of 2000)
-      input.value = 'a'.repeat(1800);
+      input.textContent = 'a'.repeat(1800);
       input.dispatchEvent(new Event('input'));
       
       expect(counter.classList.contains('sn-char-counter-warning')).toBe(true);
@@ -1399,7 +2031,7 @@ describe('CommentSection', () => {
       const counter = commentSection.element.querySelector('.sn-comment-char-counter');
       
       // Create a string of 1900 characters (95% of 2000)
-      input.value = 'a'.repeat(1900);
+      input.textContent = 'a'.repeat(1900);
       input.dispatchEvent(new Event('input'));
       
       expect(counter.classList.contains('sn-char-counter-warning')).toBe(true);
@@ -1411,7 +2043,7 @@ describe('CommentSection', () => {
       const counter = commentSection.element.querySelector('.sn-comment-char-counter');
       
       // Create a string of exactly 2000 characters (at limit, still valid)
-      input.value = 'a'.repeat(2000);
+      input.textContent = 'a'.repeat(2000);
       input.dispatchEvent(new Event('input'));
       
       // At exactly 2000, should show warning (not error) since 2000 is still valid
@@ -1424,7 +2056,7 @@ describe('CommentSection', () => {
       const counter = commentSection.element.querySelector('.sn-comment-char-counter');
       
       // Create a string of 2001 characters (over limit)
-      input.value = 'a'.repeat(2001);
+      input.textContent = 'a'.repeat(2001);
       input.dispatchEvent(new Event('input'));
       
       expect(counter.classList.contains('sn-char-counter-error')).toBe(true);
@@ -1436,12 +2068,12 @@ describe('CommentSection', () => {
       const counter = commentSection.element.querySelector('.sn-comment-char-counter');
       
       // First go over limit
-      input.value = 'a'.repeat(2001);
+      input.textContent = 'a'.repeat(2001);
       input.dispatchEvent(new Event('input'));
       expect(counter.classList.contains('sn-char-counter-error')).toBe(true);
       
       // Then go back to normal
-      input.value = 'Hello';
+      input.textContent = 'Hello';
       input.dispatchEvent(new Event('input'));
       
       expect(counter.classList.contains('sn-char-counter-warning')).toBe(false);
@@ -1453,7 +2085,7 @@ describe('CommentSection', () => {
       const submitBtn = commentSection.element.querySelector('.sn-comment-submit');
       
       // Exactly 2000 characters should be valid
-      input.value = 'a'.repeat(2000);
+      input.textContent = 'a'.repeat(2000);
       input.dispatchEvent(new Event('input'));
       
       expect(submitBtn.disabled).toBe(false);
@@ -1464,12 +2096,12 @@ describe('CommentSection', () => {
       const submitBtn = commentSection.element.querySelector('.sn-comment-submit');
       
       // First enable with valid content
-      input.value = 'Valid comment';
+      input.textContent = 'Valid comment';
       input.dispatchEvent(new Event('input'));
       expect(submitBtn.disabled).toBe(false);
       
       // Now go over limit
-      input.value = 'a'.repeat(2001);
+      input.textContent = 'a'.repeat(2001);
       input.dispatchEvent(new Event('input'));
       
       expect(submitBtn.disabled).toBe(true);
@@ -1480,12 +2112,12 @@ describe('CommentSection', () => {
       const submitBtn = commentSection.element.querySelector('.sn-comment-submit');
       
       // Go over limit first
-      input.value = 'a'.repeat(2001);
+      input.textContent = 'a'.repeat(2001);
       input.dispatchEvent(new Event('input'));
       expect(submitBtn.disabled).toBe(true);
       
       // Come back under limit
-      input.value = 'Valid comment';
+      input.textContent = 'Valid comment';
       input.dispatchEvent(new Event('input'));
       
       expect(submitBtn.disabled).toBe(false);
@@ -1497,7 +2129,7 @@ describe('CommentSection', () => {
       const input = commentSection.element.querySelector('.sn-comment-input');
       
       // Go over limit
-      input.value = 'a'.repeat(2001);
+      input.textContent = 'a'.repeat(2001);
       input.dispatchEvent(new Event('input'));
       
       const enterEvent = new KeyboardEvent('keydown', { key: 'Enter', bubbles: true });
@@ -1515,7 +2147,7 @@ describe('CommentSection', () => {
       const input = commentSection.element.querySelector('.sn-comment-input');
       
       // Go over limit
-      input.value = 'a'.repeat(2001);
+      input.textContent = 'a'.repeat(2001);
       input.dispatchEvent(new Event('input'));
       
       // Try to submit directly
@@ -1538,7 +2170,7 @@ describe('CommentSection', () => {
       const counter = commentSection.element.querySelector('.sn-comment-char-counter');
       
       // Type some text
-      input.value = 'a'.repeat(1900);
+      input.textContent = 'a'.repeat(1900);
       input.dispatchEvent(new Event('input'));
       expect(counter.classList.contains('sn-char-counter-warning')).toBe(true);
       
@@ -1564,7 +2196,7 @@ describe('CommentSection', () => {
       commentSection.startEdit('c1');
       
       // Modify to go over warning threshold
-      input.value = 'a'.repeat(1900);
+      input.textContent = 'a'.repeat(1900);
       input.dispatchEvent(new Event('input'));
       expect(counter.classList.contains('sn-char-counter-warning')).toBe(true);
       
@@ -1619,4 +2251,131 @@ describe('CommentSection', () => {
       expect(styles).toContain('.sn-char-counter-error');
     });
   });
+  
+  describe('rich text', () => {
+    const localThis = {};
+    
+    beforeEach(async () => {
+      // Mock queryCommandState since JSDOM doesn't support it
+      document.queryCommandState = jest.fn().mockReturnValue(false);
+      await commentSection.togglePanel();
+      localThis.input = commentSection.element.querySelector('.sn-comment-input');
+      localThis.renderComment = (comment) => {
+        commentSection.updateComments([{ id: 'c1', authorId: 'user-2', authorName: 'Jane', createdAt: new Date().toISOString(), ...comment }]);
+        return commentSection.element.querySelector('[data-comment-id="c1"] .sn-comment-content');
+      };
+    });
+    
+    afterEach(() => {
+      delete document.queryCommandState;
+    });
+    
+    it('writes comments in a compact rich editor', () => {
+      const editor = commentSection.element.querySelector('.sn-rich-editor-compact');
+      
+      expect(editor.contains(localThis.input)).toBe(true);
+      expect(localThis.input.contentEditable).toBe('true');
+      expect(editor.querySelector('[data-command="codeBlock"]')).not.toBeNull();
+      expect(editor.querySelector('[data-command="bold"]')).toBeNull();
+    });
+    
+    it('sends formatted comments as cleaned HTML', async () => {
+      localThis.input.innerHTML = 'Fails in <code>save()</code>:<pre><code>at save (app.js:10)</code></pre><img src="x" onerror="alert(1)">';
+      
+      await commentSection.submitComment();
+      
+      expect(mockCallbacks.onAddComment).toHaveBeenCalledWith('note-123', expect.objectContaining({
+        content: 'Fails in <code>save()</code>:<pre><code>at save (app.js:10)</code></pre>',
+        format: 'html'
+      }));
+    });
+    
+    it('sends unformatted comments as plain text', async () => {
+      localThis.input.innerHTML = 'a &lt;b&gt; tag';
+      
+      await commentSection.submitComment();
+      
+      expect(mockCallbacks.onAddComment.mock.calls[0][1].content).toBe('a <b> tag');
+      expect(mockCallbacks.onAddComment.mock.calls[0][1].format).toBeUndefined();
+    });
+    
+    it('counts the text of formatted comments, not the markup', () => {
+      localThis.input.innerHTML = `<b>${'a'.repeat(2000)}</b>`;
+      localThis.input.dispatchEvent(new Event('input'));
+      
+      expect(commentSection.element.querySelector('.sn-comment-submit').disabled).toBe(false);
+      expect(commentSection.element.querySelector('.sn-comment-char-counter').classList.contains('sn-char-counter-error')).toBe(false);
+    });
+    
+    it('renders code blocks, lists and links of rich text comments', () => {
+      const content = localThis.renderComment({
+        format: 'html',
+        content: '<ul><li>one</li></ul><pre><code>Error: boom\n    at run (a.js:1)</code></pre><a href="https://example.com">docs</a>'
+      });
+      
+      expect(content.querySelector('li').textContent).toBe('one');
+      expect(content.querySelector('pre code').textContent).toBe('Error: boom\n    at run (a.js:1)');
+      const link = content.querySelector('a');
+      expect(link.getAttribute('href')).toBe('https://example.com');
+      expect(link.getAttribute('rel')).toBe('noopener noreferrer');
+    });
+    
+    it('sanitizes rich text comments from other users', () => {
+      const content = localThis.renderComment({
+        format: 'html',
+        content: '<img src="x" onerror="alert(1)"><a href="javascript:alert(1)" onclick="alert(1)">click</a><script>alert(1)</script>'
+      });
+      
+      expect(content.querySelector('img, script')).toBeNull();
+      expect(content.querySelector('a').hasAttribute('href')).toBe(false);
+      expect(content.querySelector('a').hasAttribute('onclick')).toBe(false);
+    });
+    
+    it('shows HTML typed into plain text comments as text', () => {
+      const content = localThis.renderComment({ content: '<b>not bold</b>' });
+      
+      expect(content.querySelector('b')).toBeNull();
+      expect(content.textContent).toBe('<b>not bold</b>');
+    });
+    
+    it('highlights mentions in rich text, except in code', () => {
+      const content = localThis.renderComment({
+        format: 'html',
+        content: '<b>@Ana</b> see <code>@Ana</code>',
+        mentions: [{ email: 'ana@example.com', name: 'Ana' }]
+      });
+      
+      expect(content.querySelectorAll('.sn-mention')).toHaveLength(1);
+      expect(content.querySelector('b .sn-mention').textContent).toBe('@Ana');
+      expect(content.querySelector('code').textContent).toBe('@Ana');
+    });
+    
+    it('edits a rich text comment with its formatting', async () => {
+      mockCallbacks.onLoadComments.mockResolvedValue([
+        { id: 'c1', authorId: 'user-1', authorName: 'Test User', format: 'html', content: 'Use <code>npm ci</code>', createdAt: new Date().toISOString() }
+      ]);
+      await commentSection.loadComments();
+      
+      commentSection.startEdit('c1');
+      
+      expect(localThis.input.innerHTML).toBe('Use <code>npm ci</code>');
+      
+      localThis.input.textContent = 'Use npm install';
+      await commentSection.submitComment();
+      
+      expect(mockCallbacks.onEditComment).toHaveBeenCalledWith('note-123', 'c1', { content: 'Use npm install', attachments: [], mentions: [] });
+    });
+    
+    it('keeps Shift+Enter for a new line and sends on Ctrl+Enter', async () => {
+      localThis.input.textContent = 'Line';
+      
+      localThis.input.dispatchEvent(new KeyboardEvent('keydown', { key: 'Enter', shiftKey: true, bubbles: true }));
+      await new Promise(resolve => setTimeout(resolve, 0));
+      expect(mockCallbacks.onAddComment).not.toHaveBeenCalled();
+      
+      localThis.input.dispatchEvent(new KeyboardEvent('keydown', { key: 'Enter', shiftKey: true, ctrlKey: true, bubbles: true }));
+      await new Promise(resolve => setTimeout(resolve, 0));
+      expect(mockCallbacks.onAddComment).toHaveBeenCalled();
+    });
+  });
 });
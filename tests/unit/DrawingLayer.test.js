@@ -0,0 +1,164 @@
+/**
+ * DrawingLayer Component Unit Tests
+ */
+
+import { jest, describe, it, expect, beforeEach, afterEach } from '@jest/globals';
+import { DrawingLayer, getArrowHeadPoints, renderShape } from '../../src/content/components/DrawingLayer.js';
+
+/**
+ * Dispatch a pointer event on the drawing surface
+ * jsdom has no PointerEvent, so a MouseEvent with the pointer event type stands in
+ */
+const pointer = (layer, type, clientX, clientY) => {
+  layer.surface.dispatchEvent(new MouseEvent(type, { clientX, clientY, bubbles: true, cancelable: true }));
+};
+
+describe('DrawingLayer', () => {
+  const localThis = {};
+
+  beforeEach(() => {
+    localThis.onChange = jest.fn();
+    localThis.onClose = jest.fn();
+    localThis.layer = new DrawingLayer({ onChange: localThis.onChange, onClose: localThis.onClose });
+    document.body.appendChild(localThis.layer.element);
+  });
+
+  afterEach(() => {
+    localThis.layer.destroy();
+    jest.clearAllMocks();
+  });
+
+  describe('getArrowHeadPoints', () => {
+    it('should put the tip at the end of the line and the corners behind it', () => {
+      const points = getArrowHeadPoints(0, 0, 100, 0, 10);
+
+      expect(points.slice(0, 2)).toEqual([100, 0]);
+      expect(points[2]).toBeLessThan(100);
+      expect(points[4]).toBeLessThan(100);
+      expect(Math.sign(points[3])).toBe(-Math.sign(points[5]));
+    });
+  });
+
+  describe('renderShape', () => {
+    it('should render each tool', () => {
+      expect(renderShape({ tool: 'arrow', color: 'red', points: [0, 0, 50, 50] })).toContain('<polygon');
+      expect(renderShape({ tool: 'rect', color: 'blue', points: [50, 40, 10, 10] }))
+        .toContain('x="10" y="10" width="40" height="30"');
+      expect(renderShape({ tool: 'highlight', color: 'yellow', points: [0, 0, 20, 10] })).toContain('fill-opacity="0.3"');
+      expect(renderShape({ tool: 'freehand', color: 'green', points: [0, 0, 5, 5, 10, 0] }))
+        .toContain('points="0,0 5,5 10,0"');
+    });
+
+    it('should fall back to red for unknown colors', () => {
+      expect(renderShape({ tool: 'rect', color: 'url(#x)', points: [0, 0, 10, 10] })).toContain('stroke="#ef4444"');
+    });
+  });
+
+  describe('drawing', () => {
+    it('should ignore the pointer outside drawing mode', () => {
+      pointer(localThis.layer, 'pointerdown', 10, 10);
+      pointer(localThis.layer, 'pointerup', 60, 60);
+
+      expect(localThis.layer.getShapes()).toEqual([]);
+    });
+
+    it('should draw a shape relative to the origin and save it when done', () => {
+      localThis.layer.setOrigin(100, 50);
+      localThis.layer.startDrawing();
+
+      pointer(localThis.layer, 'pointerdown', 110, 60);
+      pointer(localThis.layer, 'pointermove', 150, 80);
+      pointer(localThis.layer, 'pointerup', 160, 90);
+
+      expect(localThis.layer.getShapes()).toEqual([
+        expect.objectContaining({ tool: 'arrow', color: 'red', points: [10, 10, 60, 40] })
+      ]);
+
+      localThis.layer.toolbar.querySelector('.sn-drawing-done').click();
+
+      expect(localThis.onChange).toHaveBeenCalledWith(localThis.layer.getShapes());
+      expect(localThis.onClose).toHaveBeenCalled();
+      expect(localThis.layer.isDrawing).toBe(false);
+    });
+
+    it('should use the picked tool and color', () => {
+      localThis.layer.startDrawing();
+      localThis.layer.toolbar.querySelector('[data-tool="freehand"]').click();
+      localThis.layer.toolbar.querySelector('[data-color="green"]').click();
+
+      pointer(localThis.layer, 'pointerdown', 0, 0);
+      pointer(localThis.layer, 'pointermove', 10, 0);
+      pointer(localThis.layer, 'pointermove', 11, 0);
+      pointer(localThis.layer, 'pointermove', 20, 10);
+      pointer(localThis.layer, 'pointerup', 20, 10);
+
+      expect(localThis.layer.getShapes()[0]).toEqual(expect.objectContaining({
+        tool: 'freehand', color: 'green', points: [0, 0, 10, 0, 20, 10]
+      }));
+      expect(localThis.layer.toolbar.querySelector('[data-tool="freehand"]').getAttribute('aria-pressed')).toBe('true');
+    });
+
+    it('should drop clicks that did not drag out a shape', () => {
+      localThis.layer.startDrawing();
+
+      pointer(localThis.layer, 'pointerdown', 10, 10);
+      pointer(localThis.layer, 'pointerup', 11, 11);
+
+      expect(localThis.layer.getShapes()).toEqual([]);
+    });
+
+    it('should undo and clear shapes', () => {
+      localThis.layer.setShapes([
+        { id: 'shape-1', tool: 'rect', color: 'red', points: [0, 0, 10, 10] },
+        { id: 'shape-2', tool: 'rect', color: 'red', points: [0, 0, 20, 20] }
+      ]);
+      localThis.layer.startDrawing();
+
+      localThis.layer.toolbar.querySelector('.sn-drawing-undo').click();
+      expect(localThis.layer.getShapes().map(shape => shape.id)).toEqual(['shape-1']);
+
+      localThis.layer.toolbar.querySelector('.sn-drawing-clear').click();
+      expect(localThis.layer.getShapes()).toEqual([]);
+      expect(localThis.layer.toolbar.querySelector('.sn-drawing-undo').disabled).toBe(true);
+    });
+
+    it('should finish on Escape without saving when nothing changed', () => {
+      localThis.layer.startDrawing();
+
+      document.dispatchEvent(new KeyboardEvent('keydown', { key: 'Escape', bubbles: true }));
+
+      expect(localThis.layer.isDrawing).toBe(false);
+      expect(localThis.onChange).not.toHaveBeenCalled();
+      expect(localThis.onClose).toHaveBeenCalled();
+    });
+
+    it('should keep the user\'s shapes while drawing', () => {
+      localThis.layer.startDrawing();
+
+      localThis.layer.setShapes([{ id: 'shape-1', tool: 'rect', color: 'red', points: [0, 0, 10, 10] }]);
+
+      expect(localThis.layer.getShapes()).toEqual([]);
+    });
+  });
+
+  describe('positioning', () => {
+    it('should move the shapes with the origin', () => {
+      localThis.layer.setOrigin(30, 40);
+
+      expect(localThis.layer.element.querySelector('.sn-drawing-canvas > g').getAttribute('transform')).toBe('translate(30 40)');
+    });
+
+    it('should stay visible while drawing', () => {
+      localThis.layer.startDrawing();
+      localThis.layer.setVisible(false);
+
+      expect(localThis.layer.element.classList.contains('sn-hidden')).toBe(false);
+    });
+  });
+
+  describe('getStyles', () => {
+    it('should return CSS for the layer', () => {
+      expect(DrawingLayer.getStyles()).toContain('.sn-drawing-layer');
+    });
+  });
+});
@@ -21,11 +21,13 @@ describe('MessageHandler', () => {
         getAllNotesWithOrphanStatus: jest.fn().mockReturnValue([]),
         toggleAllVisibility: jest.fn().mockReturnValue(false),
         getNotesVisibility: jest.fn().mockReturnValue(true),
-        toggleNoteVisibility: jest.fn().mockResolvedValue({ success: true, isHidden: true })
+        toggleNoteVisibility: jest.fn().mockResolvedValue({ success: true, isHidden: true }),
+        checkAnchorHealth: jest.fn().mockReturnValue([])
       },
       realtimeSync: {
         handleNotesUpdate: jest.fn(),
-        handleCommentsUpdate: jest.fn()
+        handleCommentsUpdate: jest.fn(),
+        handlePresenceUpdate: jest.fn()
       }
     };
 
@@ -108,6 +110,16 @@ describe('MessageHandler', () => {
       expect(result).toEqual({ success: true, notes });
     });
 
+    it('should handle checkAnchorHealth', async () => {
+      const notes = [{ id: '1', selector: '#a' }];
+      const results = [{ id: '1', status: 'healthy' }];
+      mockApp.noteManager.checkAnchorHealth.mockReturnValue(results);
+      
+      const result = await messageHandler.handleMessage({ action: 'checkAnchorHealth', notes });
+      expect(mockApp.noteManager.checkAnchorHealth).toHaveBeenCalledWith(notes);
+      expect(result).toEqual({ success: true, results });
+    });
+
     it('should handle pageLoaded/urlChanged', async () => {
       const url = 'http://example.com';
       await messageHandler.handleMessage({ action: 'pageLoaded', url });
@@ -135,6 +147,12 @@ describe('MessageHandler', () => {
       expect(mockApp.realtimeSync.handleCommentsUpdate).toHaveBeenCalledWith('n1', comments);
     });
 
+    it('should handle presenceUpdated', async () => {
+      const viewers = [{ userId: 'u1' }];
+      await messageHandler.handleMessage({ action: 'presenceUpdated', viewers });
+      expect(mockApp.realtimeSync.handlePresenceUpdate).toHaveBeenCalledWith(viewers);
+    });
+
     it('should handle subscriptionError (log only)', async () => {
       const result = await messageHandler.handleMessage({ action: 'subscriptionError', error: 'fail' });
       expect(result).toEqual({ success: true });
@@ -142,8 +160,8 @@ describe('MessageHandler', () => {
 
     it('should handle createNoteAtClick', async () => {
       mockApp.createNoteAtClick.mockResolvedValue(true);
-      const result = await messageHandler.handleMessage({ action: 'createNoteAtClick' });
-      expect(mockApp.createNoteAtClick).toHaveBeenCalled();
+      const result = await messageHandler.handleMessage({ action: 'createNoteAtClick', templateId: 'bug' });
+      expect(mockApp.createNoteAtClick).toHaveBeenCalledWith('bug');
       expect(result).toEqual({ success: true, created: true });
     });
 
@@ -26,10 +26,14 @@ const createMockDependencies = () => {
   localThis.subscribeToComments = jest.fn();
   localThis.unsubscribeFromComments = jest.fn();
   localThis.showReanchorUI = jest.fn();
+  localThis.showReanchorConfirmUI = jest.fn();
   
   localThis.selectorEngine = {
     generate: jest.fn((el) => `#${el.id || 'generated-selector'}`),
-    findBestMatch: jest.fn(() => null)
+    generateFingerprint: jest.fn(() => ({ textHash: 'abc12345', tagPath: 'div', siblingIndex: 1 })),
+    findBestMatch: jest.fn(() => null),
+    findBestMatchWithScore: jest.fn(() => null),
+    getConfidenceScore: jest.fn(() => 70)
   };
   
   // Track global visibility state for the mock
@@ -273,6 +277,62 @@ describe('NoteManager', () => {
     });
   });
   
+  describe('handleRealtimeNotesUpdate - edit conflicts', () => {
+    const createEditingNote = () => {
+      const note = new StickyNote({
+        id: 'shared-note',
+        anchor: document.getElementById('anchor-element'),
+        selector: '#anchor-element',
+        content: '<p>base</p>',
+        theme: 'yellow',
+        position: { anchor: 'top-right' }
+      });
+      note.content = '<p>mine</p>';
+      return note;
+    };
+    
+    it('should prompt instead of overwriting unsaved local edits', () => {
+      const localThis = createMockDependencies();
+      const manager = new NoteManager(localThis);
+      const note = createEditingNote();
+      manager.notes.set(note.id, note);
+      
+      manager.handleRealtimeNotesUpdate([{ id: note.id, content: '<p>theirs</p>', theme: 'yellow' }]);
+      
+      expect(note.content).toBe('<p>mine</p>');
+      expect(note.conflictContent).toBe('<p>theirs</p>');
+      expect(note.element.querySelector('.sn-conflict-banner')).not.toBeNull();
+      note.destroy();
+    });
+    
+    it('should leave local edits alone when the server has nothing new', () => {
+      const localThis = createMockDependencies();
+      const manager = new NoteManager(localThis);
+      const note = createEditingNote();
+      manager.notes.set(note.id, note);
+      
+      manager.handleRealtimeNotesUpdate([{ id: note.id, content: '<p>base</p>', theme: 'yellow' }]);
+      
+      expect(note.content).toBe('<p>mine</p>');
+      expect(note.conflictContent).toBeNull();
+      note.destroy();
+    });
+    
+    it('should build the next save on a newer version with the same text', () => {
+      const localThis = createMockDependencies();
+      const manager = new NoteManager(localThis);
+      const note = createEditingNote();
+      manager.notes.set(note.id, note);
+      
+      // e.g. someone moved the note while it was being edited
+      manager.handleRealtimeNotesUpdate([{ id: note.id, content: '<p>base</p>', theme: 'yellow', updatedAt: { seconds: 300, nanoseconds: 0 } }]);
+      
+      expect(note.content).toBe('<p>mine</p>');
+      expect(note.baseUpdatedAt).toEqual({ seconds: 300, nanoseconds: 0 });
+      note.destroy();
+    });
+  });
+  
   describe('createNoteFromData - isMinimized behavior', () => {
     it('should create note minimized when isNewNote is false (default)', () => {
       const localThis = createMockDependencies();
@@ -614,6 +674,72 @@ describe('NoteManager', () => {
     });
   });
   
+  describe('openCommentLink', () => {
+    const noteData = {
+      id: 'linked-note-001',
+      selector: '#anchor-element',
+      content: 'Test content',
+      theme: 'yellow',
+      position: { anchor: 'top-right' }
+    };
+    
+    it('should ignore a missing link', () => {
+      const localThis = createMockDependencies();
+      const manager = new NoteManager(localThis);
+      
+      manager.openCommentLink(null);
+      
+      expect(manager.pendingCommentLink).toBeNull();
+    });
+    
+    it('should highlight and maximize a loaded note and show the comment', () => {
+      const localThis = createMockDependencies();
+      const manager = new NoteManager(localThis);
+      manager.createNoteFromData(noteData);
+      const note = manager.notes.get(noteData.id);
+      const showCommentSpy = jest.spyOn(note, 'showComment').mockResolvedValue();
+      const highlightSpy = jest.spyOn(manager, 'highlightAndMaximizeNote').mockImplementation(() => {});
+      
+      manager.openCommentLink({ noteId: noteData.id, commentId: 'comment-1' });
+      
+      expect(highlightSpy).toHaveBeenCalledWith(noteData.id);
+      expect(showCommentSpy).toHaveBeenCalledWith('comment-1');
+      expect(manager.pendingCommentLink).toBeNull();
+      
+      note.destroy();
+    });
+    
+    it('should keep the link until its note loads', async () => {
+      const localThis = createMockDependencies();
+      localThis.sendMessage.mockResolvedValue({ success: true, notes: [noteData] });
+      const manager = new NoteManager(localThis);
+      const highlightSpy = jest.spyOn(manager, 'highlightAndMaximizeNote').mockImplementation(() => {});
+      const link = { noteId: noteData.id, commentId: 'comment-1' };
+      
+      manager.openCommentLink(link);
+      expect(manager.pendingCommentLink).toEqual(link);
+      
+      await manager.loadNotes(jest.fn());
+      
+      expect(highlightSpy).toHaveBeenCalledWith(noteData.id);
+      expect(manager.pendingCommentLink).toBeNull();
+      
+      manager.notes.get(noteData.id).destroy();
+    });
+    
+    it('should show an orphaned note centered', () => {
+      const localThis = createMockDependencies();
+      const manager = new NoteManager(localThis);
+      manager.orphanedNotes.set(noteData.id, { noteData, addedAt: Date.now() });
+      
+      manager.openCommentLink({ noteId: noteData.id, commentId: 'comment-1' });
+      
+      expect(manager.notes.has(noteData.id)).toBe(true);
+      
+      manager.notes.get(noteData.id).destroy();
+    });
+  });
+  
   describe('race condition simulation', () => {
     it('should handle real-time update winning the race - note still created maximized', async () => {
       const localThis = createMockDependencies();
@@ -892,14 +1018,139 @@ describe('NoteManager', () => {
       
       // Set up fuzzy match to return the anchor element
       const anchor = document.getElementById('anchor-element');
-      localThis.selectorEngine.findBestMatch.mockReturnValue(anchor);
+      localThis.selectorEngine.findBestMatchWithScore.mockReturnValue({ element: anchor, score: 90 });
       
       manager.pendingNotes.set(noteData.id, { noteData, addedAt: Date.now() });
       manager.orphanedNotes.set(noteData.id, { noteData, addedAt: Date.now() });
       
       manager.checkPendingNotes();
       
-      expect(localThis.selectorEngine.findBestMatch).toHaveBeenCalled();
+      expect(localThis.selectorEngine.findBestMatchWithScore).toHaveBeenCalled();
+      expect(manager.pendingNotes.has(noteData.id)).toBe(false);
+      expect(manager.provisionalAnchors.get(noteData.id)).toBe(anchor);
+      expect(localThis.sendMessage).not.toHaveBeenCalledWith(expect.objectContaining({ action: 'updateNote' }));
+      
+      manager.notes.get(noteData.id).destroy();
+    });
+    
+    it('should resolve pending notes anchored inside shadow roots', () => {
+      const localThis = createMockDependencies();
+      const manager = new NoteManager(localThis);
+      
+      const host = document.createElement('app-panel');
+      document.body.appendChild(host);
+      const noteData = {
+        id: 'pending-shadow-1',
+        selector: 'app-panel >>> .panel-title',
+        content: 'Test',
+        theme: 'yellow',
+        position: { anchor: 'top-right' }
+      };
+      manager.pendingNotes.set(noteData.id, { noteData, addedAt: Date.now() });
+      
+      // Shadow content renders after the note was loaded
+      host.attachShadow({ mode: 'open' }).innerHTML = '<h2 class="panel-title">Title</h2>';
+      manager.checkPendingNotes();
+      
+      expect(manager.pendingNotes.has(noteData.id)).toBe(false);
+      expect(manager.notes.get(noteData.id).anchor).toBe(host.shadowRoot.querySelector('h2'));
+      
+      manager.notes.get(noteData.id).destroy();
+      host.remove();
+    });
+  });
+
+  describe('automatic re-anchoring', () => {
+    const noteData = {
+      id: 'moved-note',
+      selector: '.old-class',
+      anchorText: 'Anchor Content',
+      content: 'Moved',
+      theme: 'yellow',
+      position: { anchor: 'top-right' }
+    };
+    
+    it('should attach the note provisionally and ask for confirmation', () => {
+      const localThis = createMockDependencies();
+      const anchor = document.getElementById('anchor-element');
+      localThis.selectorEngine.findBestMatchWithScore.mockReturnValue({ element: anchor, score: 80 });
+      const manager = new NoteManager(localThis);
+      
+      manager.createNoteFromData(noteData);
+      
+      expect(manager.notes.get('moved-note').anchor).toBe(anchor);
+      expect(manager.provisionalAnchors.get('moved-note')).toBe(anchor);
+      expect(localThis.showReanchorConfirmUI).toHaveBeenCalledWith(noteData, {
+        onConfirm: expect.any(Function),
+        onPickAnother: expect.any(Function)
+      });
+      expect(localThis.sendMessage).not.toHaveBeenCalledWith(expect.objectContaining({ action: 'updateNote' }));
+      
+      manager.notes.get('moved-note').destroy();
+    });
+    
+    it('should orphan the note when the match is below the auto re-anchor score', () => {
+      const localThis = createMockDependencies();
+      const anchor = document.getElementById('anchor-element');
+      localThis.selectorEngine.findBestMatchWithScore.mockReturnValue({ element: anchor, score: 60 });
+      const manager = new NoteManager(localThis);
+      
+      manager.createNoteFromData(noteData);
+      
+      expect(manager.notes.has('moved-note')).toBe(false);
+      expect(manager.orphanedNotes.has('moved-note')).toBe(true);
+      expect(localThis.showReanchorConfirmUI).not.toHaveBeenCalled();
+    });
+    
+    it('should save the new selector only after confirmation', async () => {
+      const localThis = createMockDependencies();
+      const anchor = document.getElementById('anchor-element');
+      localThis.selectorEngine.findBestMatchWithScore.mockReturnValue({ element: anchor, score: 80 });
+      const manager = new NoteManager(localThis);
+      manager.createNoteFromData(noteData);
+      
+      const { onConfirm } = localThis.showReanchorConfirmUI.mock.calls[0][1];
+      await onConfirm();
+      
+      expect(localThis.sendMessage).toHaveBeenCalledWith({
+        action: 'updateNote',
+        note: expect.objectContaining({ id: 'moved-note', selector: '#anchor-element' })
+      });
+      expect(manager.provisionalAnchors.has('moved-note')).toBe(false);
+      expect(manager.notes.get('moved-note').selector).toBe('#anchor-element');
+      
+      manager.notes.get('moved-note').destroy();
+    });
+    
+    it('should remove the note and list it as orphaned when picking another anchor', () => {
+      const localThis = createMockDependencies();
+      const anchor = document.getElementById('anchor-element');
+      localThis.selectorEngine.findBestMatchWithScore.mockReturnValue({ element: anchor, score: 80 });
+      const manager = new NoteManager(localThis);
+      manager.createNoteFromData(noteData);
+      
+      const { onPickAnother } = localThis.showReanchorConfirmUI.mock.calls[0][1];
+      onPickAnother();
+      
+      expect(manager.notes.has('moved-note')).toBe(false);
+      expect(manager.provisionalAnchors.has('moved-note')).toBe(false);
+      expect(manager.orphanedNotes.has('moved-note')).toBe(true);
+      expect(manager.pendingNotes.has('moved-note')).toBe(false);
+      expect(localThis.visibilityManager.unobserve).toHaveBeenCalledWith(anchor);
+    });
+    
+    it('should clear the orphaned entry once the user re-anchors the note', async () => {
+      const localThis = createMockDependencies();
+      const manager = new NoteManager(localThis);
+      const anchor = document.getElementById('anchor-element');
+      manager.orphanedNotes.set('moved-note', { noteData, addedAt: Date.now() });
+      
+      await manager.handleElementSelect(anchor, noteData);
+      
+      expect(manager.orphanedNotes.has('moved-note')).toBe(false);
+      expect(manager.notes.has('moved-note')).toBe(true);
+      
+      manager.notes.get('moved-note').destroy();
     });
   });
 
@@ -1007,7 +1258,32 @@ describe('NoteManager', () => {
       localThis.sendMessage.mockRejectedValue(new Error('Save failed'));
       const manager = new NoteManager(localThis);
       
-      await expect(manager.handleNoteSave('note-1', 'content')).resolves.toBeUndefined();
+      await expect(manager.handleNoteSave('note-1', 'content')).resolves.toBeNull();
+    });
+    
+    it('should resolve to the updatedAt the save stored', async () => {
+      const localThis = createMockDependencies();
+      localThis.sendMessage.mockResolvedValue({ success: true, note: { id: 'note-1', content: 'mine', updatedAt: { seconds: 150, nanoseconds: 0 } } });
+      const manager = new NoteManager(localThis);
+      
+      await expect(manager.handleNoteSave('note-1', 'mine', 'base', { seconds: 100, nanoseconds: 0 }))
+        .resolves.toEqual({ seconds: 150, nanoseconds: 0 });
+    });
+    
+    it('should send the base version and prompt when the save is rejected as stale', async () => {
+      const localThis = createMockDependencies();
+      localThis.sendMessage.mockResolvedValue({ success: false, conflict: true, content: 'theirs', updatedAt: { seconds: 200, nanoseconds: 0 } });
+      const manager = new NoteManager(localThis);
+      localThis.note = { showConflict: jest.fn() };
+      manager.notes.set('note-1', localThis.note);
+      
+      await manager.handleNoteSave('note-1', 'mine', 'base', { seconds: 100, nanoseconds: 0 });
+      
+      expect(localThis.sendMessage).toHaveBeenCalledWith({
+        action: 'updateNote',
+        note: { id: 'note-1', content: 'mine', baseUpdatedAt: { seconds: 100, nanoseconds: 0 } }
+      });
+      expect(localThis.note.showConflict).toHaveBeenCalledWith('theirs', 'base', { seconds: 200, nanoseconds: 0 });
     });
   });
 
@@ -1175,6 +1451,59 @@ describe('NoteManager', () => {
         expect(result).toEqual([]);
       });
     });
+
+    describe('handleLoadRevisions', () => {
+      it('should send getRevisions message and return revisions', async () => {
+        const localThis = createMockDependencies();
+        const revisions = [{ id: 'rev-2' }, { id: 'rev-1' }];
+        localThis.sendMessage.mockResolvedValue({ success: true, revisions });
+        const manager = new NoteManager(localThis);
+        
+        const result = await manager.handleLoadRevisions('note-1');
+        
+        expect(localThis.sendMessage).toHaveBeenCalledWith({
+          action: 'getRevisions',
+          noteId: 'note-1'
+        });
+        expect(result).toEqual(revisions);
+      });
+      
+      it('should throw the response error', async () => {
+        const localThis = createMockDependencies();
+        localThis.sendMessage.mockResolvedValue({ success: false, error: 'Permission denied' });
+        localThis.isContextInvalidatedError.mockReturnValue(false);
+        const manager = new NoteManager(localThis);
+        
+        await expect(manager.handleLoadRevisions('note-1')).rejects.toThrow('Permission denied');
+      });
+    });
+
+    describe('handleRestoreRevision', () => {
+      it('should send restoreRevision message and return the restored content', async () => {
+        const localThis = createMockDependencies();
+        localThis.sendMessage.mockResolvedValue({ success: true, content: '<p>old</p>' });
+        const manager = new NoteManager(localThis);
+        
+        const result = await manager.handleRestoreRevision('note-1', 'rev-1', true);
+        
+        expect(localThis.sendMessage).toHaveBeenCalledWith({
+          action: 'restoreRevision',
+          noteId: 'note-1',
+          revisionId: 'rev-1',
+          original: true
+        });
+        expect(result).toBe('<p>old</p>');
+      });
+      
+      it('should fall back to a generic error', async () => {
+        const localThis = createMockDependencies();
+        localThis.sendMessage.mockResolvedValue({ success: false });
+        localThis.isContextInvalidatedError.mockReturnValue(false);
+        const manager = new NoteManager(localThis);
+        
+        await expect(manager.handleRestoreRevision('note-1', 'rev-1')).rejects.toThrow('failedToRestoreVersion');
+      });
+    });
   });
 
   describe('handleReanchor', () => {
@@ -1195,102 +1524,997 @@ describe('NoteManager', () => {
       });
     });
     
-    it('should not update if selector generation fails', async () => {
+    it('should send and cache the new anchor fingerprint', async () => {
       const localThis = createMockDependencies();
-      localThis.selectorEngine.generate.mockReturnValue(null);
       const manager = new NoteManager(localThis);
       const anchor = document.getElementById('anchor-element');
+      const existingNote = { id: 'note-1', anchorFingerprint: null };
+      manager.notes.set('note-1', existingNote);
       
       await manager.handleReanchor('note-1', anchor);
       
-      expect(localThis.sendMessage).not.toHaveBeenCalled();
+      expect(localThis.selectorEngine.generateFingerprint).toHaveBeenCalledWith(anchor);
+      expect(localThis.sendMessage).toHaveBeenCalledWith({
+        action: 'updateNote',
+        note: expect.objectContaining({
+          anchorFingerprint: { textHash: 'abc12345', tagPath: 'div', siblingIndex: 1 }
+        })
+      });
+      expect(existingNote.anchorFingerprint).toEqual({ textHash: 'abc12345', tagPath: 'div', siblingIndex: 1 });
     });
-  });
-
-  describe('handleElementSelect', () => {
-    it('should handle reanchor when pendingReanchor is provided', async () => {
+    
+    it('should append the replaced selector to the anchor history', async () => {
       const localThis = createMockDependencies();
       const manager = new NoteManager(localThis);
       const anchor = document.getElementById('anchor-element');
+      const earlier = { selector: '#first', confidence: 50, replacedAt: 1, replacedBy: null };
+      const existingNote = { id: 'note-1', selector: '.old-selector', anchorHistory: [earlier] };
+      manager.notes.set('note-1', existingNote);
       
-      const pendingReanchor = {
-        id: 'reanchor-note',
-        selector: '.old-selector',
-        content: 'Test',
-        theme: 'yellow'
-      };
-      
-      await manager.handleElementSelect(anchor, pendingReanchor);
+      await manager.handleReanchor('note-1', anchor);
       
-      // Should have called handleReanchor (which sends updateNote)
-      expect(localThis.sendMessage).toHaveBeenCalledWith(
-        expect.objectContaining({ action: 'updateNote' })
-      );
+      const expectedHistory = [
+        earlier,
+        { selector: '.old-selector', confidence: 70, replacedAt: expect.any(Number), replacedBy: 'test@example.com' }
+      ];
+      expect(localThis.selectorEngine.getConfidenceScore).toHaveBeenCalledWith('.old-selector');
+      expect(localThis.sendMessage).toHaveBeenCalledWith({
+        action: 'updateNote',
+        note: expect.objectContaining({ anchorHistory: expectedHistory })
+      });
+      expect(existingNote.anchorHistory).toEqual(expectedHistory);
+      expect(existingNote.selector).toBe('#anchor-element');
     });
     
-    it('should create new note when no pendingReanchor', async () => {
+    it('should use the orphaned note data when the note is not displayed', async () => {
       const localThis = createMockDependencies();
-      localThis.sendMessage.mockResolvedValue({
-        success: true,
-        note: {
-          id: 'new-note-from-select',
-          selector: '#anchor-element',
-          content: '',
-          theme: 'yellow',
-          position: { anchor: 'top-right' }
-        }
-      });
       const manager = new NoteManager(localThis);
       const anchor = document.getElementById('anchor-element');
+      manager.orphanedNotes.set('note-1', { noteData: { id: 'note-1', selector: '.gone' }, addedAt: Date.now() });
       
-      await manager.handleElementSelect(anchor);
+      const updates = await manager.handleReanchor('note-1', anchor);
       
-      expect(localThis.sendMessage).toHaveBeenCalledWith(
-        expect.objectContaining({ action: 'saveNote' })
-      );
-      expect(manager.notes.has('new-note-from-select')).toBe(true);
+      expect(updates.anchorHistory).toEqual([expect.objectContaining({ selector: '.gone' })]);
+    });
+    
+    it('should not record a history entry when the selector is unchanged', async () => {
+      const localThis = createMockDependencies();
+      const manager = new NoteManager(localThis);
+      const anchor = document.getElementById('anchor-element');
+      manager.notes.set('note-1', { id: 'note-1', selector: '#anchor-element' });
       
-      manager.notes.get('new-note-from-select').destroy();
+      const updates = await manager.handleReanchor('note-1', anchor);
+      
+      expect(updates.anchorHistory).toEqual([]);
     });
-  });
-
-  describe('createNoteAtElement', () => {
-    it('should not create note if element is missing', async () => {
+    
+    it('should keep only the most recent history entries', () => {
       const localThis = createMockDependencies();
       const manager = new NoteManager(localThis);
+      const anchorHistory = Array.from({ length: 20 }, (_, index) => ({ selector: `#s${index}` }));
       
-      await manager.createNoteAtElement(null, '#selector');
+      const result = manager.appendAnchorHistory({ selector: '#latest', anchorHistory }, '#new');
       
-      expect(localThis.sendMessage).not.toHaveBeenCalled();
+      expect(result).toHaveLength(20);
+      expect(result[0].selector).toBe('#s1');
+      expect(result[19].selector).toBe('#latest');
     });
     
-    it('should not create note if selector is missing', async () => {
+    it('should not update if selector generation fails', async () => {
       const localThis = createMockDependencies();
+      localThis.selectorEngine.generate.mockReturnValue(null);
       const manager = new NoteManager(localThis);
       const anchor = document.getElementById('anchor-element');
       
-      await manager.createNoteAtElement(anchor, null);
+      await manager.handleReanchor('note-1', anchor);
       
       expect(localThis.sendMessage).not.toHaveBeenCalled();
     });
   });
 
-  describe('handleRealtimeCommentsUpdate', () => {
-    it('should update comments on note with comment section', () => {
+  describe('text-anchored notes', () => {
+    it('should store the text anchor when text is selected', async () => {
       const localThis = createMockDependencies();
+      localThis.textAnchor = { exact: 'Anchor', prefix: '', suffix: ' Content', start: 0, end: 6 };
+      localThis.selectorEngine.describeTextRange = jest.fn(() => localThis.textAnchor);
+      localThis.sendMessage.mockResolvedValue({ success: false, error: 'stop' });
       const manager = new NoteManager(localThis);
+      const anchor = document.getElementById('anchor-element');
+      localThis.range = document.createRange();
       
-      // Create a note
-      const noteData = {
-        id: 'note-with-comments',
-        selector: '#anchor-element',
-        content: 'Test',
-        theme: 'yellow',
-        position: { anchor: 'top-right' }
-      };
-      manager.createNoteFromData(noteData);
+      await manager.handleElementSelect(anchor, null, localThis.range);
       
-      const note = manager.notes.get('note-with-comments');
+      expect(localThis.selectorEngine.describeTextRange).toHaveBeenCalledWith(localThis.range, anchor);
+      expect(localThis.sendMessage.mock.calls[0][0].note.textAnchor).toEqual(localThis.textAnchor);
+    });
+    
+    it('should locate the text range when creating the note UI', () => {
+      const localThis = createMockDependencies();
+      localThis.range = document.createRange();
+      localThis.range.selectNodeContents(document.getElementById('anchor-element'));
+      localThis.selectorEngine.locateTextRange = jest.fn(() => localThis.range);
+      const manager = new NoteManager(localThis);
+      
+      manager.createNoteFromData({
+        id: 'text-note',
+        selector: '#anchor-element',
+        content: '',
+        textAnchor: { exact: 'Anchor' }
+      });
+      
+      const note = manager.notes.get('text-note');
+      expect(note.textRange).toBe(localThis.range);
+      expect(note.textAnchor).toEqual({ exact: 'Anchor' });
+      note.destroy();
+    });
+    
+    it('should anchor to the element when the quote is gone', () => {
+      const localThis = createMockDependencies();
+      localThis.selectorEngine.locateTextRange = jest.fn(() => null);
+      const manager = new NoteManager(localThis);
+      
+      manager.createNoteFromData({
+        id: 'text-note',
+        selector: '#anchor-element',
+        content: '',
+        textAnchor: { exact: 'Missing' }
+      });
+      
+      const note = manager.notes.get('text-note');
+      expect(note.anchor).toBe(document.getElementById('anchor-element'));
+      expect(note.textRange).toBeNull();
+      note.destroy();
+    });
+    
+    it('should replace the text anchor when re-anchoring to a selection', async () => {
+      const localThis = createMockDependencies();
+      localThis.textAnchor = { exact: 'Content', prefix: 'Anchor ', suffix: '', start: 7, end: 14 };
+      localThis.selectorEngine.describeTextRange = jest.fn(() => localThis.textAnchor);
+      localThis.selectorEngine.locateTextRange = jest.fn(() => null);
+      const manager = new NoteManager(localThis);
+      const anchor = document.getElementById('anchor-element');
+      
+      await manager.handleElementSelect(anchor, { id: 'reanchor-note', selector: '.old', content: '' }, document.createRange());
+      
+      expect(localThis.sendMessage).toHaveBeenCalledWith({
+        action: 'updateNote',
+        note: expect.objectContaining({ id: 'reanchor-note', textAnchor: localThis.textAnchor })
+      });
+      manager.notes.get('reanchor-note')?.destroy();
+    });
+    
+    it('should keep the stored text anchor on automatic re-anchoring', async () => {
+      const localThis = createMockDependencies();
+      const manager = new NoteManager(localThis);
+      
+      await manager.handleReanchor('note-1', document.getElementById('anchor-element'));
+      
+      expect(localThis.sendMessage.mock.calls[0][0].note).not.toHaveProperty('textAnchor');
+    });
+  });
+
+  describe('region-anchored notes', () => {
+    const region = { x: 10, y: 20, width: 30, height: 15 };
+    
+    it('should store the dragged region on new notes', async () => {
+      const localThis = createMockDependencies();
+      localThis.sendMessage.mockResolvedValue({ success: false, error: 'stop' });
+      const manager = new NoteManager(localThis);
+      
+      await manager.handleElementSelect(document.getElementById('anchor-element'), null, null, region);
+      
+      expect(localThis.sendMessage.mock.calls[0][0].note.anchorRegion).toEqual(region);
+    });
+    
+    it('should draw the stored region on the note UI', () => {
+      const localThis = createMockDependencies();
+      const manager = new NoteManager(localThis);
+      
+      manager.createNoteFromData({ id: 'region-note', selector: '#anchor-element', content: '', anchorRegion: region });
+      
+      const note = manager.notes.get('region-note');
+      expect(note.anchorRegion).toEqual(region);
+      expect(note.region).toEqual(region);
+      note.destroy();
+    });
+    
+    it('should replace the region when re-anchoring by drag', async () => {
+      const localThis = createMockDependencies();
+      const manager = new NoteManager(localThis);
+      
+      await manager.handleElementSelect(document.getElementById('anchor-element'), { id: 'reanchor-note', selector: '.old', content: '' }, null, region);
+      
+      expect(localThis.sendMessage).toHaveBeenCalledWith({
+        action: 'updateNote',
+        note: expect.objectContaining({ id: 'reanchor-note', anchorRegion: region })
+      });
+      expect(manager.notes.get('reanchor-note').region).toEqual(region);
+      manager.notes.get('reanchor-note').destroy();
+    });
+    
+    it('should keep the stored region on automatic re-anchoring', async () => {
+      const localThis = createMockDependencies();
+      const manager = new NoteManager(localThis);
+      
+      await manager.handleReanchor('note-1', document.getElementById('anchor-element'));
+      
+      expect(localThis.sendMessage.mock.calls[0][0].note).not.toHaveProperty('anchorRegion');
+    });
+  });
+
+  describe('note status', () => {
+    it('should pass the stored status to the note UI', () => {
+      const localThis = createMockDependencies();
+      const manager = new NoteManager(localThis);
+      
+      manager.createNoteFromData({ id: 'status-note', selector: '#anchor-element', content: '', status: 'in_progress' });
+      
+      expect(manager.notes.get('status-note').status).toBe('in_progress');
+      manager.notes.get('status-note').destroy();
+    });
+    
+    it('should persist status changes', async () => {
+      const localThis = createMockDependencies();
+      const manager = new NoteManager(localThis);
+      
+      await manager.handleStatusChange('note-1', 'resolved');
+      
+      expect(localThis.sendMessage).toHaveBeenCalledWith({
+        action: 'updateNote',
+        note: { id: 'note-1', status: 'resolved' }
+      });
+    });
+    
+    it('should collapse resolved notes by default', () => {
+      const localThis = createMockDependencies();
+      const manager = new NoteManager(localThis);
+      
+      manager.createNoteFromData({ id: 'status-note', selector: '#anchor-element', content: '', status: 'resolved' }, { isNewNote: true });
+      
+      expect(manager.notes.get('status-note').isMinimized).toBe(true);
+      manager.notes.get('status-note').destroy();
+    });
+    
+    it('should leave resolved notes expanded with the show preference', () => {
+      const localThis = createMockDependencies();
+      localThis.resolvedNotesDisplay = 'show';
+      const manager = new NoteManager(localThis);
+      
+      manager.createNoteFromData({ id: 'status-note', selector: '#anchor-element', content: '', status: 'resolved' }, { isNewNote: true });
+      
+      expect(manager.notes.get('status-note').isMinimized).toBe(false);
+      manager.notes.get('status-note').destroy();
+    });
+    
+    it('should hide resolved notes locally with the hide preference', () => {
+      const localThis = createMockDependencies();
+      localThis.resolvedNotesDisplay = 'hide';
+      const manager = new NoteManager(localThis);
+      
+      manager.createNoteFromData({ id: 'status-note', selector: '#anchor-element', content: '', status: 'resolved' });
+      
+      expect(manager.notes.get('status-note').isHidden).toBe(true);
+      expect(localThis.sendMessage).not.toHaveBeenCalledWith(expect.objectContaining({
+        note: expect.objectContaining({ isHidden: true })
+      }));
+      manager.notes.get('status-note').destroy();
+    });
+    
+    it('should show a note hidden for being resolved once it is reopened', () => {
+      const localThis = createMockDependencies();
+      localThis.resolvedNotesDisplay = 'hide';
+      const manager = new NoteManager(localThis);
+      manager.createNoteFromData({ id: 'status-note', selector: '#anchor-element', content: '', status: 'resolved' });
+      
+      manager.handleRealtimeNotesUpdate([{ id: 'status-note', selector: '#anchor-element', content: '', status: 'reopened' }]);
+      
+      const note = manager.notes.get('status-note');
+      expect(note.status).toBe('reopened');
+      expect(note.isHidden).toBe(false);
+      note.destroy();
+    });
+    
+    it('should not unhide notes the user hid themselves', () => {
+      const localThis = createMockDependencies();
+      localThis.resolvedNotesDisplay = 'hide';
+      const manager = new NoteManager(localThis);
+      manager.createNoteFromData({ id: 'status-note', selector: '#anchor-element', content: '', status: 'resolved', isHidden: true });
+      
+      manager.handleRealtimeNotesUpdate([{ id: 'status-note', selector: '#anchor-element', content: '', status: 'reopened', isHidden: true }]);
+      
+      expect(manager.notes.get('status-note').isHidden).toBe(true);
+      manager.notes.get('status-note').destroy();
+    });
+  });
+
+  describe('note assignment', () => {
+    it('should pass the assignee and due date to the note UI', () => {
+      const localThis = createMockDependencies();
+      const manager = new NoteManager(localThis);
+      
+      manager.createNoteFromData({
+        id: 'assigned-note',
+        selector: '#anchor-element',
+        content: '',
+        ownerEmail: 'owner@example.com',
+        sharedWith: ['dev@example.com'],
+        assignee: 'dev@example.com',
+        dueDate: '2026-03-15'
+      });
+      
+      const note = manager.notes.get('assigned-note');
+      expect(note.assignee).toBe('dev@example.com');
+      expect(note.dueDate).toBe('2026-03-15');
+      expect(note.sharedWith).toEqual(['dev@example.com']);
+      note.destroy();
+    });
+    
+    it('should persist assignment changes', async () => {
+      const localThis = createMockDependencies();
+      const manager = new NoteManager(localThis);
+      
+      await manager.handleAssignmentChange('note-1', { dueDate: '2026-03-15' });
+      
+      expect(localThis.sendMessage).toHaveBeenCalledWith({
+        action: 'updateNote',
+        note: { id: 'note-1', dueDate: '2026-03-15' }
+      });
+    });
+    
+    it('should apply realtime assignment changes', () => {
+      const localThis = createMockDependencies();
+      const manager = new NoteManager(localThis);
+      manager.createNoteFromData({ id: 'assigned-note', selector: '#anchor-element', content: '', ownerEmail: 'owner@example.com' });
+      
+      manager.handleRealtimeNotesUpdate([{
+        id: 'assigned-note',
+        selector: '#anchor-element',
+        content: '',
+        ownerEmail: 'owner@example.com',
+        sharedWith: ['dev@example.com'],
+        assignee: 'dev@example.com',
+        dueDate: '2026-03-15'
+      }]);
+      
+      const note = manager.notes.get('assigned-note');
+      expect(note.assignee).toBe('dev@example.com');
+      expect(note.dueDate).toBe('2026-03-15');
+      expect(note.element.querySelector('.sn-assignee-select option[value="dev@example.com"]')).not.toBeNull();
+      note.destroy();
+    });
+  });
+
+  describe('note tags', () => {
+    it('should pass tags to the note UI', () => {
+      const localThis = createMockDependencies();
+      const manager = new NoteManager(localThis);
+      
+      manager.createNoteFromData({ id: 'tagged-note', selector: '#anchor-element', content: '', tags: ['a11y'] });
+      
+      const note = manager.notes.get('tagged-note');
+      expect(note.tags).toEqual(['a11y']);
+      note.destroy();
+    });
+    
+    it('should persist tag changes', async () => {
+      const localThis = createMockDependencies();
+      const manager = new NoteManager(localThis);
+      
+      await manager.handleTagsChange('note-1', ['a11y', 'copy']);
+      
+      expect(localThis.sendMessage).toHaveBeenCalledWith({
+        action: 'updateNote',
+        note: { id: 'note-1', tags: ['a11y', 'copy'] }
+      });
+    });
+    
+    it('should apply realtime tag changes', () => {
+      const localThis = createMockDependencies();
+      const manager = new NoteManager(localThis);
+      manager.createNoteFromData({ id: 'tagged-note', selector: '#anchor-element', content: '', tags: ['a11y'] });
+      
+      manager.handleRealtimeNotesUpdate([{ id: 'tagged-note', selector: '#anchor-element', content: '', tags: ['a11y', 'regression'] }]);
+      
+      const note = manager.notes.get('tagged-note');
+      expect(note.tags).toEqual(['a11y', 'regression']);
+      expect(note.element.querySelectorAll('.sn-tag')).toHaveLength(2);
+      note.destroy();
+    });
+  });
+
+  describe('attachments', () => {
+    const attachment = { id: 'attachment-1', name: 'shot.png', type: 'image/png', size: 300, storage: 'local' };
+    
+    it('should pass attachments to the note', () => {
+      const localThis = createMockDependencies();
+      const manager = new NoteManager(localThis);
+      
+      manager.createNoteFromData({ id: 'attached-note', selector: '#anchor-element', content: '', attachments: [attachment] });
+      
+      const note = manager.notes.get('attached-note');
+      expect(note.attachments).toEqual([attachment]);
+      note.destroy();
+    });
+    
+    it('should save the list, then delete removed files', async () => {
+      const localThis = createMockDependencies();
+      localThis.sendMessage.mockResolvedValue({ success: true });
+      const manager = new NoteManager(localThis);
+      
+      await manager.handleAttachmentsChange('note-1', [], [attachment]);
+      
+      expect(localThis.sendMessage).toHaveBeenNthCalledWith(1, {
+        action: 'updateNote',
+        note: { id: 'note-1', attachments: [] }
+      });
+      expect(localThis.sendMessage).toHaveBeenNthCalledWith(2, { action: 'deleteAttachment', attachment });
+    });
+    
+    it('should keep removed files when the note could not be saved', async () => {
+      const localThis = createMockDependencies();
+      localThis.sendMessage.mockResolvedValue({ success: false, error: 'Offline' });
+      const manager = new NoteManager(localThis);
+      
+      await manager.handleAttachmentsChange('note-1', [], [attachment]);
+      
+      expect(localThis.sendMessage).toHaveBeenCalledTimes(1);
+    });
+    
+    it('should apply realtime attachment changes', () => {
+      const localThis = createMockDependencies();
+      const manager = new NoteManager(localThis);
+      manager.createNoteFromData({ id: 'attached-note', selector: '#anchor-element', content: '' });
+      
+      manager.handleRealtimeNotesUpdate([{ id: 'attached-note', selector: '#anchor-element', content: '', attachments: [attachment] }]);
+      
+      const note = manager.notes.get('attached-note');
+      expect(note.attachments).toEqual([attachment]);
+      expect(note.element.querySelectorAll('.sn-attachment')).toHaveLength(1);
+      note.destroy();
+    });
+  });
+
+  describe('drawings', () => {
+    const shape = { id: 'shape-1', tool: 'rect', color: 'red', points: [0, 0, 40, 20] };
+    
+    it('should pass drawings to the note', () => {
+      const localThis = createMockDependencies();
+      const manager = new NoteManager(localThis);
+      
+      manager.createNoteFromData({ id: 'drawn-note', selector: '#anchor-element', content: '', drawings: [shape] });
+      
+      const note = manager.notes.get('drawn-note');
+      expect(note.drawings).toEqual([shape]);
+      note.destroy();
+    });
+    
+    it('should save the shapes', async () => {
+      const localThis = createMockDependencies();
+      const manager = new NoteManager(localThis);
+      
+      await manager.handleDrawingsChange('note-1', [shape]);
+      
+      expect(localThis.sendMessage).toHaveBeenCalledWith({
+        action: 'updateNote',
+        note: { id: 'note-1', drawings: [shape] }
+      });
+    });
+    
+    it('should apply realtime drawing changes', () => {
+      const localThis = createMockDependencies();
+      const manager = new NoteManager(localThis);
+      manager.createNoteFromData({ id: 'drawn-note', selector: '#anchor-element', content: '' });
+      
+      manager.handleRealtimeNotesUpdate([{ id: 'drawn-note', selector: '#anchor-element', content: '', drawings: [shape] }]);
+      
+      const note = manager.notes.get('drawn-note');
+      expect(note.drawings).toEqual([shape]);
+      note.destroy();
+    });
+  });
+
+  describe('reactions', () => {
+    it('should pass reactions to the note', () => {
+      const localThis = createMockDependencies();
+      const manager = new NoteManager(localThis);
+      
+      manager.createNoteFromData({ id: 'reacted-note', selector: '#anchor-element', content: '', reactions: { 'user-2': ['eyes'] } });
+      
+      const note = manager.notes.get('reacted-note');
+      expect(note.reactions).toEqual({ 'user-2': ['eyes'] });
+      note.destroy();
+    });
+    
+    it('should send note and comment reaction toggles', async () => {
+      const localThis = createMockDependencies();
+      localThis.sendMessage.mockResolvedValue({ success: true, reactions: { 'user-1': ['check'] } });
+      const manager = new NoteManager(localThis);
+      
+      await expect(manager.handleToggleNoteReaction('note-1', 'check')).resolves.toEqual({ 'user-1': ['check'] });
+      await manager.handleToggleCommentReaction('note-1', 'comment-1', 'check');
+      
+      expect(localThis.sendMessage).toHaveBeenCalledWith({ action: 'toggleNoteReaction', noteId: 'note-1', reaction: 'check' });
+      expect(localThis.sendMessage).toHaveBeenCalledWith({
+        action: 'toggleCommentReaction',
+        noteId: 'note-1',
+        commentId: 'comment-1',
+        reaction: 'check'
+      });
+    });
+    
+    it('should reject a failed toggle so the reaction is rolled back', async () => {
+      const localThis = createMockDependencies();
+      localThis.sendMessage.mockResolvedValue({ success: false, error: 'Permission denied' });
+      const manager = new NoteManager(localThis);
+      
+      await expect(manager.handleToggleNoteReaction('note-1', 'check')).rejects.toThrow('Permission denied');
+      await expect(manager.handleToggleCommentReaction('note-1', 'comment-1', 'check')).rejects.toThrow('Permission denied');
+    });
+    
+    it('should apply realtime reaction changes', () => {
+      const localThis = createMockDependencies();
+      const manager = new NoteManager(localThis);
+      manager.createNoteFromData({ id: 'reacted-note', selector: '#anchor-element', content: '' });
+      const note = manager.notes.get('reacted-note');
+      const setReactionsSpy = jest.spyOn(note, 'setReactions');
+      
+      manager.handleRealtimeNotesUpdate([{ id: 'reacted-note', selector: '#anchor-element', content: '', reactions: { 'user-2': ['heart'], 'user-3': [] } }]);
+      manager.handleRealtimeNotesUpdate([{ id: 'reacted-note', selector: '#anchor-element', content: '', reactions: { 'user-2': ['heart'] } }]);
+      
+      expect(note.reactions).toEqual({ 'user-2': ['heart'] });
+      expect(setReactionsSpy).toHaveBeenCalledTimes(1);
+      note.destroy();
+    });
+  });
+  
+  describe('comment threads', () => {
+    it('should send thread resolution and accepted answer changes', async () => {
+      const localThis = createMockDependencies();
+      const thread = { resolved: true, resolvedBy: { uid: 'user-1' }, acceptedAnswerId: 'reply-1' };
+      localThis.sendMessage.mockResolvedValue({ success: true, thread });
+      const manager = new NoteManager(localThis);
+      
+      await expect(manager.handleResolveThread('note-1', 'comment-1', true)).resolves.toEqual(thread);
+      await expect(manager.handleAcceptAnswer('note-1', 'comment-1', 'reply-1')).resolves.toEqual(thread);
+      
+      expect(localThis.sendMessage).toHaveBeenCalledWith({ action: 'resolveCommentThread', noteId: 'note-1', commentId: 'comment-1', resolved: true });
+      expect(localThis.sendMessage).toHaveBeenCalledWith({ action: 'acceptCommentAnswer', noteId: 'note-1', commentId: 'comment-1', answerId: 'reply-1' });
+    });
+    
+    it('should reject when the change could not be saved', async () => {
+      const localThis = createMockDependencies();
+      localThis.sendMessage.mockResolvedValue({ success: false, error: 'Permission denied' });
+      const manager = new NoteManager(localThis);
+      
+      await expect(manager.handleResolveThread('note-1', 'comment-1', false)).rejects.toThrow('Permission denied');
+      await expect(manager.handleAcceptAnswer('note-1', 'comment-1', null)).rejects.toThrow('Permission denied');
+    });
+  });
+
+  describe('getMatchMetadata', () => {
+    it('should include anchor text, fingerprint and anchor history', () => {
+      const localThis = createMockDependencies();
+      const manager = new NoteManager(localThis);
+      const fingerprint = { textHash: 'abc12345' };
+      const anchorHistory = [{ selector: '#old' }];
+      
+      expect(manager.getMatchMetadata({ anchorText: 'Buy now', anchorFingerprint: fingerprint, anchorHistory })).toEqual({
+        textContent: 'Buy now',
+        fingerprint,
+        history: anchorHistory
+      });
+    });
+    
+    it('should default missing fields', () => {
+      const localThis = createMockDependencies();
+      const manager = new NoteManager(localThis);
+      
+      expect(manager.getMatchMetadata({})).toEqual({ textContent: '', fingerprint: null, history: [] });
+    });
+  });
+
+  describe('responsive anchors', () => {
+    const localThis = {};
+
+    beforeEach(() => {
+      localThis.originalInnerWidth = global.innerWidth;
+      global.innerWidth = 1280;
+      document.body.innerHTML = `
+        <div id="anchor-element">Anchor Content</div>
+        <button id="burger">Menu</button>
+      `;
+      localThis.noteData = {
+        id: 'responsive-note',
+        selector: '#anchor-element',
+        content: '',
+        textAnchor: { exact: 'Anchor' },
+        responsiveAnchors: [
+          { breakpoint: 'mobile', minWidth: 0, maxWidth: 767, selector: '#burger', anchorText: 'Menu', anchorFingerprint: null }
+        ]
+      };
+    });
+
+    afterEach(() => {
+      global.innerWidth = localThis.originalInnerWidth;
+      localThis.manager?.notes.forEach(note => note.destroy());
+      localThis.manager = null;
+    });
+
+    it('should use the anchor recorded for the current width', () => {
+      global.innerWidth = 375;
+      const deps = createMockDependencies();
+      deps.selectorEngine.locateTextRange = jest.fn();
+      localThis.manager = new NoteManager(deps);
+
+      localThis.manager.createNoteFromData(localThis.noteData);
+
+      const note = localThis.manager.notes.get('responsive-note');
+      expect(note.anchor).toBe(document.getElementById('burger'));
+      expect(note.selector).toBe('#anchor-element');
+      expect(deps.selectorEngine.locateTextRange).not.toHaveBeenCalled();
+    });
+
+    it('should use the primary selector outside the recorded ranges', () => {
+      const deps = createMockDependencies();
+      localThis.manager = new NoteManager(deps);
+
+      localThis.manager.createNoteFromData({ ...localThis.noteData, textAnchor: null });
+
+      expect(localThis.manager.notes.get('responsive-note').anchor).toBe(document.getElementById('anchor-element'));
+    });
+
+    it('should not fuzzy match a missing responsive anchor', () => {
+      global.innerWidth = 375;
+      const deps = createMockDependencies();
+      deps.selectorEngine.findBestMatchWithScore.mockReturnValue({ element: document.getElementById('anchor-element'), score: 95 });
+      localThis.manager = new NoteManager(deps);
+
+      localThis.manager.createNoteFromData({
+        ...localThis.noteData,
+        responsiveAnchors: [{ breakpoint: 'mobile', minWidth: 0, maxWidth: 767, selector: '#missing' }]
+      });
+
+      expect(localThis.manager.notes.has('responsive-note')).toBe(false);
+      expect(localThis.manager.pendingNotes.has('responsive-note')).toBe(true);
+      expect(deps.showReanchorConfirmUI).not.toHaveBeenCalled();
+    });
+
+    it('should move notes when the viewport crosses a breakpoint', () => {
+      const deps = createMockDependencies();
+      deps.selectorEngine.locateTextRange = jest.fn(() => null);
+      localThis.manager = new NoteManager(deps);
+      localThis.manager.createNoteFromData(localThis.noteData);
+      const note = localThis.manager.notes.get('responsive-note');
+
+      global.innerWidth = 375;
+      localThis.manager.handleViewportResize();
+
+      expect(note.anchor).toBe(document.getElementById('burger'));
+      expect(deps.visibilityManager.observe).toHaveBeenLastCalledWith(document.getElementById('burger'), note);
+
+      global.innerWidth = 1280;
+      localThis.manager.handleViewportResize();
+
+      expect(note.anchor).toBe(document.getElementById('anchor-element'));
+      expect(deps.selectorEngine.locateTextRange).toHaveBeenCalledWith(document.getElementById('anchor-element'), { exact: 'Anchor' });
+    });
+
+    it('should ignore resizes within the same breakpoint', () => {
+      const deps = createMockDependencies();
+      localThis.manager = new NoteManager(deps);
+      localThis.manager.createNoteFromData({ ...localThis.noteData, textAnchor: null });
+      deps.visibilityManager.observe.mockClear();
+
+      global.innerWidth = 1100;
+      localThis.manager.handleViewportResize();
+
+      expect(deps.visibilityManager.observe).not.toHaveBeenCalled();
+    });
+
+    it('should start re-anchor mode for the current breakpoint', () => {
+      global.innerWidth = 800;
+      const deps = createMockDependencies();
+      deps.startReanchorMode = jest.fn();
+      localThis.manager = new NoteManager(deps);
+      localThis.manager.createNoteFromData({ ...localThis.noteData, textAnchor: null });
+
+      localThis.manager.startResponsiveReanchor('responsive-note');
+
+      expect(deps.startReanchorMode).toHaveBeenCalledWith(expect.objectContaining({
+        id: 'responsive-note',
+        responsiveBreakpoint: 'tablet'
+      }));
+    });
+
+    it('should record the picked element for the breakpoint without changing the primary selector', async () => {
+      global.innerWidth = 800;
+      const deps = createMockDependencies();
+      localThis.manager = new NoteManager(deps);
+      localThis.manager.createNoteFromData({ ...localThis.noteData, textAnchor: null });
+      const burger = document.getElementById('burger');
+
+      await localThis.manager.handleElementSelect(burger, { id: 'responsive-note', responsiveBreakpoint: 'tablet' });
+
+      const update = deps.sendMessage.mock.calls.find(([msg]) => msg.action === 'updateNote')[0].note;
+      expect(update).not.toHaveProperty('selector');
+      expect(update.responsiveAnchors.map(entry => entry.breakpoint)).toEqual(['mobile', 'tablet']);
+      expect(update.responsiveAnchors[1]).toMatchObject({ minWidth: 768, maxWidth: 1023, selector: '#burger', anchorText: 'Menu' });
+      expect(update.verifiedBreakpoints.tablet).toMatchObject({ verifiedBy: 'test@example.com', width: 800 });
+
+      const note = localThis.manager.notes.get('responsive-note');
+      expect(note.anchor).toBe(burger);
+      expect(note.selector).toBe('#anchor-element');
+    });
+
+    it('should replace an existing anchor for the same breakpoint', async () => {
+      global.innerWidth = 375;
+      const deps = createMockDependencies();
+      localThis.manager = new NoteManager(deps);
+      localThis.manager.createNoteFromData(localThis.noteData);
+
+      const updates = await localThis.manager.recordResponsiveAnchor('responsive-note', document.getElementById('anchor-element'), 'mobile');
+
+      expect(updates.responsiveAnchors).toHaveLength(1);
+      expect(updates.responsiveAnchors[0].selector).toBe('#anchor-element');
+    });
+
+    it('should mark the current breakpoint as verified', async () => {
+      global.innerWidth = 375;
+      const deps = createMockDependencies();
+      localThis.manager = new NoteManager(deps);
+      localThis.manager.createNoteFromData({ ...localThis.noteData, verifiedBreakpoints: { desktop: { verifiedAt: 1 } } });
+
+      await localThis.manager.verifyBreakpoint('responsive-note');
+
+      const update = deps.sendMessage.mock.calls.find(([msg]) => msg.action === 'updateNote')[0].note;
+      expect(Object.keys(update.verifiedBreakpoints).sort()).toEqual(['desktop', 'mobile']);
+      expect(localThis.manager.notes.get('responsive-note').verifiedBreakpoints.mobile.width).toBe(375);
+    });
+
+    it('should mark new notes verified at the breakpoint they were created on', async () => {
+      const deps = createMockDependencies();
+      deps.sendMessage.mockResolvedValue({ success: false, error: 'stop' });
+      localThis.manager = new NoteManager(deps);
+
+      await localThis.manager.handleElementSelect(document.getElementById('anchor-element'));
+
+      expect(Object.keys(deps.sendMessage.mock.calls[0][0].note.verifiedBreakpoints)).toEqual(['desktop']);
+    });
+
+    it('should apply breakpoint changes from real-time updates', () => {
+      const deps = createMockDependencies();
+      localThis.manager = new NoteManager(deps);
+      localThis.manager.createNoteFromData({ ...localThis.noteData, textAnchor: null });
+
+      localThis.manager.handleRealtimeNotesUpdate([
+        { ...localThis.noteData, textAnchor: null, verifiedBreakpoints: { mobile: { verifiedAt: 2, width: 390 } } }
+      ]);
+
+      expect(localThis.manager.notes.get('responsive-note').verifiedBreakpoints.mobile.width).toBe(390);
+    });
+  });
+
+  describe('handleElementSelect', () => {
+    it('should handle reanchor when pendingReanchor is provided', async () => {
+      const localThis = createMockDependencies();
+      const manager = new NoteManager(localThis);
+      const anchor = document.getElementById('anchor-element');
+      
+      const pendingReanchor = {
+        id: 'reanchor-note',
+        selector: '.old-selector',
+        content: 'Test',
+        theme: 'yellow'
+      };
+      
+      await manager.handleElementSelect(anchor, pendingReanchor);
+      
+      // Should have called handleReanchor (which sends updateNote)
+      expect(localThis.sendMessage).toHaveBeenCalledWith(
+        expect.objectContaining({ action: 'updateNote' })
+      );
+    });
+    
+    it('should create new note when no pendingReanchor', async () => {
+      const localThis = createMockDependencies();
+      localThis.sendMessage.mockResolvedValue({
+        success: true,
+        note: {
+          id: 'new-note-from-select',
+          selector: '#anchor-element',
+          content: '',
+          theme: 'yellow',
+          position: { anchor: 'top-right' }
+        }
+      });
+      const manager = new NoteManager(localThis);
+      const anchor = document.getElementById('anchor-element');
+      
+      await manager.handleElementSelect(anchor);
+      
+      expect(localThis.sendMessage).toHaveBeenCalledWith(
+        expect.objectContaining({ action: 'saveNote' })
+      );
+      expect(localThis.sendMessage.mock.calls[0][0].note.anchorFingerprint).toEqual(
+        { textHash: 'abc12345', tagPath: 'div', siblingIndex: 1 }
+      );
+      expect(manager.notes.has('new-note-from-select')).toBe(true);
+      
+      manager.notes.get('new-note-from-select').destroy();
+    });
+  });
+
+  describe('createNoteAtElement', () => {
+    it('should not create note if element is missing', async () => {
+      const localThis = createMockDependencies();
+      const manager = new NoteManager(localThis);
+      
+      await manager.createNoteAtElement(null, '#selector');
+      
+      expect(localThis.sendMessage).not.toHaveBeenCalled();
+    });
+    
+    it('should not create note if selector is missing', async () => {
+      const localThis = createMockDependencies();
+      const manager = new NoteManager(localThis);
+      const anchor = document.getElementById('anchor-element');
+      
+      await manager.createNoteAtElement(anchor, null);
+      
+      expect(localThis.sendMessage).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('note templates', () => {
+    const savedNote = {
+      id: 'templated-note',
+      selector: '#anchor-element',
+      content: '',
+      theme: 'yellow',
+      position: { anchor: 'top-right' }
+    };
+    
+    beforeEach(() => {
+      chrome.storage.sync.get.mockImplementation(async (keys) => (keys.includes('noteTemplates')
+        ? { noteTemplates: [{ id: 'bug', name: 'Bug', body: 'Steps:\nPage: {{title}} ({{environment}})' }] }
+        : {}));
+      document.title = 'Checkout';
+    });
+    
+    afterEach(() => {
+      chrome.storage.sync.get.mockImplementation((keys, callback) => {
+        if (callback) callback({});
+        return Promise.resolve({});
+      });
+    });
+    
+    it('should start a context menu note from the picked template', async () => {
+      const localThis = createMockDependencies();
+      localThis.sendMessage.mockResolvedValue({ success: true, note: savedNote });
+      const manager = new NoteManager(localThis);
+      const anchor = document.getElementById('anchor-element');
+      
+      await manager.createNoteAtElement(anchor, '#anchor-element', 'bug');
+      
+      const saved = localThis.sendMessage.mock.calls.find(([message]) => message.action === 'saveNote')[0].note;
+      expect(saved.content).toBe('<div>Steps:</div><div>Page: Checkout (envProduction)</div>');
+    });
+    
+    it('should start a selected element note from the picked template', async () => {
+      const localThis = createMockDependencies();
+      localThis.sendMessage.mockResolvedValue({ success: true, note: savedNote });
+      const manager = new NoteManager(localThis);
+      const anchor = document.getElementById('anchor-element');
+      
+      await manager.handleElementSelect(anchor, null, null, null, 'bug');
+      
+      const saved = localThis.sendMessage.mock.calls.find(([message]) => message.action === 'saveNote')[0].note;
+      expect(saved.content).toContain('Steps:');
+    });
+    
+    it('should create a blank note when the template no longer exists', async () => {
+      const localThis = createMockDependencies();
+      const manager = new NoteManager(localThis);
+      
+      expect(await manager.getTemplateContent('deleted', 'production')).toBe('');
+    });
+    
+    it('should create a blank note without a template', async () => {
+      const localThis = createMockDependencies();
+      const manager = new NoteManager(localThis);
+      
+      expect(await manager.getTemplateContent(null, 'production')).toBe('');
+      expect(chrome.storage.sync.get).not.toHaveBeenCalledWith(['noteTemplates']);
+    });
+  });
+
+  describe('creation screenshots', () => {
+    const savedNote = {
+      id: 'screenshot-note',
+      selector: '#anchor-element',
+      content: '',
+      theme: 'yellow',
+      position: { anchor: 'top-right' }
+    };
+    const screenshot = { dataUrl: 'data:image/jpeg;base64,abc', width: 400, height: 300 };
+    
+    afterEach(() => {
+      chrome.storage.sync.get.mockImplementation((keys, callback) => {
+        if (callback) callback({});
+        return Promise.resolve({});
+      });
+    });
+    
+    it('should capture around the anchor and send the screenshot with the new note', async () => {
+      chrome.storage.sync.get.mockImplementation(async (keys) => (keys.includes('preferences')
+        ? { preferences: { screenshotOnCreate: true } }
+        : {}));
+      const localThis = createMockDependencies();
+      localThis.sendMessage.mockImplementation(async (message) => (message.action === 'captureNoteScreenshot'
+        ? { success: true, screenshot }
+        : { success: true, note: savedNote }));
+      const manager = new NoteManager(localThis);
+      const anchor = document.getElementById('anchor-element');
+      anchor.getBoundingClientRect = () => ({ left: 10, top: 20, width: 300, height: 40 });
+      
+      await manager.createNoteAtElement(anchor, '#anchor-element');
+      
+      expect(localThis.sendMessage).toHaveBeenCalledWith({
+        action: 'captureNoteScreenshot',
+        rect: { x: 10, y: 20, width: 300, height: 40 },
+        viewport: { width: window.innerWidth, height: window.innerHeight }
+      });
+      expect(localThis.sendMessage).toHaveBeenCalledWith(expect.objectContaining({ action: 'saveNote', screenshot }));
+    });
+    
+    it('should not capture when the preference is off', async () => {
+      const localThis = createMockDependencies();
+      const manager = new NoteManager(localThis);
+      
+      const result = await manager.captureCreationScreenshot(document.getElementById('anchor-element'), { screenshotOnCreate: false });
+      
+      expect(result).toBeNull();
+      expect(localThis.sendMessage).not.toHaveBeenCalled();
+    });
+    
+    it('should not capture from an iframe', async () => {
+      const localThis = createMockDependencies();
+      localThis.isTopFrame.mockReturnValue(false);
+      const manager = new NoteManager(localThis);
+      
+      const result = await manager.captureCreationScreenshot(document.getElementById('anchor-element'), { screenshotOnCreate: true });
+      
+      expect(result).toBeNull();
+      expect(localThis.sendMessage).not.toHaveBeenCalled();
+    });
+    
+    it('should create the note without a screenshot when capture fails', async () => {
+      const localThis = createMockDependencies();
+      localThis.sendMessage.mockResolvedValue({ success: false, error: 'Capture failed' });
+      const manager = new NoteManager(localThis);
+      
+      const result = await manager.captureCreationScreenshot(document.getElementById('anchor-element'), { screenshotOnCreate: true });
+      
+      expect(result).toBeNull();
+    });
+  });
+
+  describe('handleRealtimeCommentsUpdate', () => {
+    it('should update comments on note with comment section', () => {
+      const localThis = createMockDependencies();
+      const manager = new NoteManager(localThis);
+      
+      // Create a note
+      const noteData = {
+        id: 'note-with-comments',
+        selector: '#anchor-element',
+        content: 'Test',
+        theme: 'yellow',
+        position: { anchor: 'top-right' }
+      };
+      manager.createNoteFromData(noteData);
+      
+      const note = manager.notes.get('note-with-comments');
       // Mock the commentSection with all required methods
       note.commentSection = { updateComments: jest.fn(), destroy: jest.fn() };
       
@@ -1311,6 +2535,81 @@ describe('NoteManager', () => {
     });
   });
 
+  describe('presence', () => {
+    it('should show each note the collaborators who can see it', () => {
+      const localThis = createMockDependencies();
+      const manager = new NoteManager(localThis);
+      manager.createNoteFromData({
+        id: 'shared-note',
+        selector: '#anchor-element',
+        content: 'Test',
+        ownerEmail: 'test@example.com',
+        sharedWith: ['alice@example.com']
+      });
+      manager.createNoteFromData({
+        id: 'private-note',
+        selector: '#anchor-element',
+        content: 'Test',
+        ownerEmail: 'test@example.com'
+      });
+      const sharedNote = manager.notes.get('shared-note');
+      const privateNote = manager.notes.get('private-note');
+      jest.spyOn(sharedNote, 'setPresence');
+      jest.spyOn(privateNote, 'setPresence');
+      
+      manager.handlePresenceUpdate([
+        { userId: 'alice', email: 'alice@example.com', editingNoteId: 'shared-note', typingNoteId: null }
+      ]);
+      
+      expect(sharedNote.setPresence).toHaveBeenCalledWith([
+        expect.objectContaining({ userId: 'alice', isEditing: true, isTyping: false })
+      ]);
+      expect(privateNote.setPresence).toHaveBeenCalledWith([]);
+      
+      manager.clearAll();
+    });
+    
+    it('should apply known presence to notes created later', () => {
+      const localThis = createMockDependencies();
+      const manager = new NoteManager(localThis);
+      manager.handlePresenceUpdate([{ userId: 'alice', email: 'alice@example.com', displayName: 'Alice' }]);
+      
+      manager.createNoteFromData({
+        id: 'late-note',
+        selector: '#anchor-element',
+        content: 'Test',
+        ownerEmail: 'alice@example.com'
+      });
+      
+      const note = manager.notes.get('late-note');
+      expect(note.element.querySelectorAll('.sn-presence-avatar')).toHaveLength(1);
+      
+      manager.clearAll();
+    });
+    
+    it('should publish editing and comment typing for its notes', () => {
+      const localThis = createMockDependencies();
+      localThis.setEditingNote = jest.fn();
+      localThis.setTypingNote = jest.fn();
+      const manager = new NoteManager(localThis);
+      manager.createNoteFromData({
+        id: 'edited-note',
+        selector: '#anchor-element',
+        content: 'Test'
+      });
+      const note = manager.notes.get('edited-note');
+      
+      note.setEditing(true);
+      note.setEditing(false);
+      note.onCommentTyping('edited-note');
+      
+      expect(localThis.setEditingNote.mock.calls).toEqual([['edited-note'], [null]]);
+      expect(localThis.setTypingNote).toHaveBeenCalledWith('edited-note');
+      
+      manager.clearAll();
+    });
+  });
+
   describe('updateUser', () => {
     it('should update user on all notes', () => {
       const localThis = createMockDependencies();
@@ -1403,6 +2702,90 @@ describe('NoteManager', () => {
     });
   });
 
+  describe('checkAnchorHealth', () => {
+    const createManager = () => {
+      const localThis = createMockDependencies();
+      localThis.selectorEngine.validate = jest.fn(() => true);
+      localThis.selectorEngine.scoreFingerprint = jest.fn(() => ({ score: 0, maxScore: 0 }));
+      localThis.selectorEngine.locateTextRange = jest.fn(() => ({}));
+      return { localThis, manager: new NoteManager(localThis) };
+    };
+    
+    it('should report a note whose selector still resolves as healthy', () => {
+      const { localThis, manager } = createManager();
+      localThis.selectorEngine.scoreFingerprint.mockReturnValue({ score: 80, maxScore: 100 });
+      
+      const [result] = manager.checkAnchorHealth([
+        { id: 'n1', selector: '#anchor-element', anchorFingerprint: { textHash: 'abc' } }
+      ]);
+      
+      expect(result).toEqual({ id: 'n1', status: 'healthy', reason: null, suggestedSelector: null, score: null });
+      expect(manager.notes.size).toBe(0);
+    });
+    
+    it('should report drift when the element no longer matches its fingerprint', () => {
+      const { localThis, manager } = createManager();
+      document.body.innerHTML += '<div id="moved">Anchor Content</div>';
+      localThis.selectorEngine.scoreFingerprint.mockReturnValue({ score: 20, maxScore: 100 });
+      localThis.selectorEngine.findBestMatchWithScore.mockReturnValue({ element: document.getElementById('moved'), score: 81.6 });
+      
+      const [result] = manager.checkAnchorHealth([{ id: 'n1', selector: '#anchor-element', anchorFingerprint: {} }]);
+      
+      expect(result).toMatchObject({ status: 'drifted', reason: 'elementChanged', suggestedSelector: '#moved', score: 82 });
+    });
+    
+    it('should report drift when the text quote is gone', () => {
+      const { localThis, manager } = createManager();
+      localThis.selectorEngine.locateTextRange.mockReturnValue(null);
+      
+      const [result] = manager.checkAnchorHealth([
+        { id: 'n1', selector: '#anchor-element', textAnchor: { exact: 'gone' } }
+      ]);
+      
+      expect(result).toMatchObject({ status: 'drifted', reason: 'textChanged', suggestedSelector: null });
+    });
+    
+    it('should report drift with a suggestion when the selector is ambiguous', () => {
+      const { localThis, manager } = createManager();
+      document.body.innerHTML = '<p class="item" id="first">A</p><p class="item" id="second">B</p>';
+      localThis.selectorEngine.findBestMatchWithScore.mockReturnValue({ element: document.getElementById('second'), score: 90 });
+      
+      const [result] = manager.checkAnchorHealth([{ id: 'n1', selector: '.item', anchorText: 'B' }]);
+      
+      expect(result).toMatchObject({ status: 'drifted', reason: 'ambiguous', suggestedSelector: '#second', score: 90 });
+      expect(localThis.selectorEngine.findBestMatchWithScore).toHaveBeenCalledWith('.item', expect.objectContaining({ textContent: 'B' }));
+    });
+    
+    it('should report drift when only a fuzzy match is found', () => {
+      const { localThis, manager } = createManager();
+      localThis.selectorEngine.findBestMatchWithScore.mockReturnValue({ element: document.getElementById('anchor-element'), score: 60 });
+      
+      const [result] = manager.checkAnchorHealth([{ id: 'n1', selector: '#missing' }]);
+      
+      expect(result).toMatchObject({ status: 'drifted', reason: 'selectorMissing', suggestedSelector: '#anchor-element', score: 60 });
+    });
+    
+    it('should report a note without any match as orphaned', () => {
+      const { manager } = createManager();
+      
+      const results = manager.checkAnchorHealth([
+        { id: 'n1', selector: '#missing' },
+        { id: 'n2', selector: '[[invalid' }
+      ]);
+      
+      expect(results.map(result => [result.status, result.reason])).toEqual([
+        ['orphaned', 'noMatch'],
+        ['orphaned', 'noMatch']
+      ]);
+    });
+    
+    it('should return an empty list without notes', () => {
+      const { manager } = createManager();
+      
+      expect(manager.checkAnchorHealth(undefined)).toEqual([]);
+    });
+  });
+
   describe('showOrphanedNote', () => {
     it('should log warning if orphaned note not found', () => {
       const localThis = createMockDependencies();
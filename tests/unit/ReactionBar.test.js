@@ -0,0 +1,134 @@
+/**
+ * ReactionBar Component Unit Tests
+ */
+
+import { jest, describe, it, expect, beforeEach, afterEach } from '@jest/globals';
+import { ReactionBar } from '../../src/content/components/ReactionBar.js';
+
+const flushPromises = () => new Promise(resolve => setTimeout(resolve, 0));
+
+describe('ReactionBar', () => {
+  const localThis = {};
+
+  beforeEach(() => {
+    localThis.onToggle = jest.fn().mockResolvedValue({});
+    localThis.createBar = (options = {}) => {
+      localThis.bar = new ReactionBar({
+        reactions: { alice: ['thumbsUp'], bob: ['thumbsUp', 'check'] },
+        userId: 'bob',
+        onToggle: localThis.onToggle,
+        ...options
+      });
+      document.body.appendChild(localThis.bar.element);
+      return localThis.bar;
+    };
+    localThis.chip = (type) => localThis.bar.element.querySelector(`.sn-reaction[data-reaction="${type}"]`);
+  });
+
+  afterEach(() => {
+    localThis.bar?.destroy();
+    jest.clearAllMocks();
+  });
+
+  it('should render a chip with a count for each reaction in use', () => {
+    localThis.createBar();
+
+    const chips = localThis.bar.element.querySelectorAll('.sn-reaction');
+    expect([...chips].map(chip => chip.dataset.reaction)).toEqual(['thumbsUp', 'check']);
+    expect(localThis.chip('thumbsUp').querySelector('.sn-reaction-count').textContent).toBe('2');
+    expect(localThis.chip('thumbsUp').getAttribute('aria-pressed')).toBe('true');
+    expect(localThis.bar.element.getAttribute('role')).toBe('group');
+  });
+
+  it('should only mark the current user\'s reactions as pressed', () => {
+    localThis.createBar({ userId: 'alice' });
+
+    expect(localThis.chip('thumbsUp').getAttribute('aria-pressed')).toBe('true');
+    expect(localThis.chip('check').getAttribute('aria-pressed')).toBe('false');
+    expect(localThis.chip('check').classList.contains('sn-reaction-own')).toBe(false);
+  });
+
+  it('should toggle a reaction when its chip is clicked', async () => {
+    localThis.createBar();
+
+    localThis.chip('thumbsUp').click();
+    await flushPromises();
+
+    expect(localThis.onToggle).toHaveBeenCalledWith('thumbsUp');
+    expect(localThis.bar.getReactions()).toEqual({ alice: ['thumbsUp'], bob: ['check'] });
+    expect(localThis.chip('thumbsUp').getAttribute('aria-pressed')).toBe('false');
+  });
+
+  it('should add a reaction from the picker', async () => {
+    localThis.createBar();
+    const add = localThis.bar.element.querySelector('.sn-reaction-add');
+
+    add.click();
+    expect(localThis.bar.element.querySelector('.sn-reaction-picker').classList.contains('sn-hidden')).toBe(false);
+    expect(localThis.bar.element.querySelector('.sn-reaction-add').getAttribute('aria-expanded')).toBe('true');
+
+    localThis.bar.element.querySelector('.sn-reaction-option[data-reaction="eyes"]').click();
+    await flushPromises();
+
+    expect(localThis.onToggle).toHaveBeenCalledWith('eyes');
+    expect(localThis.chip('eyes')).not.toBeNull();
+    expect(localThis.bar.element.querySelector('.sn-reaction-picker').classList.contains('sn-hidden')).toBe(true);
+  });
+
+  it('should roll back the toggle when saving it fails', async () => {
+    localThis.onToggle.mockRejectedValueOnce(new Error('offline'));
+    localThis.createBar();
+
+    localThis.chip('thumbsUp').click();
+    await flushPromises();
+
+    expect(localThis.bar.getReactions()).toEqual({ alice: ['thumbsUp'], bob: ['thumbsUp', 'check'] });
+    expect(localThis.chip('thumbsUp').querySelector('.sn-reaction-count').textContent).toBe('2');
+  });
+
+  it('should keep reactions that arrived while a failed toggle was saving', async () => {
+    let rejectToggle;
+    localThis.onToggle.mockReturnValueOnce(new Promise((_resolve, reject) => { rejectToggle = reject; }));
+    localThis.createBar();
+
+    localThis.chip('check').click();
+    localThis.bar.setReactions({ carol: ['heart'] });
+    rejectToggle(new Error('offline'));
+    await flushPromises();
+
+    expect(localThis.bar.getReactions()).toEqual({ carol: ['heart'] });
+  });
+
+  it('should be read-only without a user', () => {
+    localThis.createBar({ userId: null });
+
+    expect(localThis.chip('thumbsUp').disabled).toBe(true);
+    expect(localThis.bar.element.querySelector('.sn-reaction-add')).toBeNull();
+
+    localThis.chip('thumbsUp').click();
+    expect(localThis.onToggle).not.toHaveBeenCalled();
+  });
+
+  it('should hide when read-only and nobody has reacted', () => {
+    localThis.createBar({ reactions: {}, userId: null });
+    expect(localThis.bar.element.classList.contains('sn-hidden')).toBe(true);
+
+    localThis.bar.setUserId('bob');
+    expect(localThis.bar.element.classList.contains('sn-hidden')).toBe(false);
+    expect(localThis.bar.element.querySelector('.sn-reaction-add')).not.toBeNull();
+  });
+
+  it('should re-render when reactions change', () => {
+    localThis.createBar();
+
+    localThis.bar.setReactions({ alice: ['heart', 'rocket'] });
+
+    expect(localThis.chip('thumbsUp')).toBeNull();
+    expect(localThis.chip('heart').querySelector('.sn-reaction-count').textContent).toBe('1');
+    expect(localThis.bar.element.querySelectorAll('.sn-reaction')).toHaveLength(1);
+  });
+
+  it('should provide styles', () => {
+    expect(ReactionBar.getStyles()).toContain('.sn-reaction-picker');
+  });
+});
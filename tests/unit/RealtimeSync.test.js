@@ -1,5 +1,6 @@
 import { jest } from '@jest/globals';
 import { RealtimeSync } from '../../src/content/app/RealtimeSync.js';
+import { PRESENCE } from '../../src/shared/utils.js';
 
 describe('RealtimeSync', () => {
   let realtimeSync;
@@ -25,6 +26,10 @@ describe('RealtimeSync', () => {
     });
   });
 
+  afterEach(() => {
+    realtimeSync.stopPresence();
+  });
+
   describe('subscribeToNotes', () => {
     it('should send subscribeToNotes message', async () => {
       mockSendMessage.mockResolvedValue({ success: true });
@@ -208,4 +213,122 @@ describe('RealtimeSync', () => {
       expect(mockOnCommentsUpdate).toHaveBeenCalledWith('n1', comments);
     });
   });
+
+  describe('presence', () => {
+    let mockOnPresenceUpdate;
+    let notes;
+
+    beforeEach(() => {
+      jest.useFakeTimers();
+      mockOnPresenceUpdate = jest.fn();
+      notes = new Map([
+        ['n1', { id: 'n1', ownerEmail: 'me@example.com', sharedWith: ['Alice@example.com'] }],
+        ['n2', { id: 'n2', ownerEmail: 'me@example.com', sharedWith: [] }]
+      ]);
+      mockGetNotes.mockReturnValue(notes);
+      mockSendMessage.mockResolvedValue({ success: true });
+      realtimeSync.onPresenceUpdate = mockOnPresenceUpdate;
+    });
+
+    afterEach(() => {
+      realtimeSync.stopPresence();
+      jest.useRealTimers();
+    });
+
+    const presenceMessages = () => mockSendMessage.mock.calls
+      .map(([message]) => message)
+      .filter(message => message.action === 'updatePresence');
+
+    it('should publish presence to the page collaborators once subscribed', async () => {
+      await realtimeSync.subscribeToNotes('url1');
+
+      expect(presenceMessages()).toEqual([{
+        action: 'updatePresence',
+        audience: ['me@example.com', 'alice@example.com'],
+        editingNoteId: null,
+        typingNoteId: null
+      }]);
+    });
+
+    it('should refresh presence on every heartbeat', async () => {
+      await realtimeSync.subscribeToNotes('url1');
+
+      jest.advanceTimersByTime(PRESENCE.HEARTBEAT_INTERVAL * 2);
+
+      expect(presenceMessages()).toHaveLength(3);
+    });
+
+    it('should not publish presence on pages without shared notes', async () => {
+      notes.clear();
+
+      await realtimeSync.subscribeToNotes('url1');
+      jest.advanceTimersByTime(PRESENCE.HEARTBEAT_INTERVAL);
+
+      expect(presenceMessages()).toHaveLength(0);
+    });
+
+    it('should withdraw presence once the last shared note is gone', async () => {
+      await realtimeSync.subscribeToNotes('url1');
+      notes.clear();
+
+      jest.advanceTimersByTime(PRESENCE.HEARTBEAT_INTERVAL * 2);
+
+      expect(presenceMessages().map(message => message.audience)).toEqual([
+        ['me@example.com', 'alice@example.com'],
+        []
+      ]);
+    });
+
+    it('should publish the note being edited', async () => {
+      await realtimeSync.subscribeToNotes('url1');
+
+      realtimeSync.setEditingNote('n1');
+      realtimeSync.setEditingNote('n1');
+
+      expect(presenceMessages()).toHaveLength(2);
+      expect(presenceMessages()[1].editingNoteId).toBe('n1');
+    });
+
+    it('should clear typing after input pauses', async () => {
+      await realtimeSync.subscribeToNotes('url1');
+
+      realtimeSync.setTypingNote('n1');
+      jest.advanceTimersByTime(PRESENCE.TYPING_IDLE - 1);
+      realtimeSync.setTypingNote('n1');
+      expect(presenceMessages().map(message => message.typingNoteId)).toEqual([null, 'n1']);
+
+      jest.advanceTimersByTime(PRESENCE.TYPING_IDLE);
+      expect(presenceMessages().map(message => message.typingNoteId)).toEqual([null, 'n1', null]);
+    });
+
+    it('should not publish before subscribing', () => {
+      realtimeSync.setEditingNote('n1');
+
+      expect(presenceMessages()).toHaveLength(0);
+    });
+
+    it('should pass on viewers and drop expired ones', async () => {
+      const now = Date.now();
+      const active = { userId: 'u1', expiresAt: now + 1000 };
+      const expired = { userId: 'u2', expiresAt: now - 1 };
+
+      realtimeSync.handlePresenceUpdate([active, expired]);
+      expect(mockOnPresenceUpdate).toHaveBeenLastCalledWith([active]);
+
+      await realtimeSync.subscribeToNotes('url1');
+      jest.advanceTimersByTime(PRESENCE.HEARTBEAT_INTERVAL);
+      expect(mockOnPresenceUpdate).toHaveBeenLastCalledWith([]);
+    });
+
+    it('should stop publishing and clear viewers on unsubscribe', async () => {
+      await realtimeSync.subscribeToNotes('url1');
+      realtimeSync.handlePresenceUpdate([{ userId: 'u1', expiresAt: Date.now() + 1000 }]);
+
+      await realtimeSync.unsubscribeFromNotes();
+      jest.advanceTimersByTime(PRESENCE.HEARTBEAT_INTERVAL);
+
+      expect(presenceMessages()).toHaveLength(1);
+      expect(mockOnPresenceUpdate).toHaveBeenLastCalledWith([]);
+    });
+  });
 });
@@ -0,0 +1,202 @@
+/**
+ * RevisionHistory Component Unit Tests
+ */
+
+import { jest, describe, it, expect, beforeEach, afterEach } from '@jest/globals';
+
+let RevisionHistory;
+
+beforeEach(async () => {
+  document.body.innerHTML = '';
+  chrome.i18n.getMessage.mockClear();
+
+  const module = await import('../../src/content/components/RevisionHistory.js');
+  RevisionHistory = module.RevisionHistory;
+});
+
+afterEach(() => {
+  document.body.innerHTML = '';
+});
+
+describe('RevisionHistory', () => {
+  let history;
+  let mockCallbacks;
+
+  const revisions = [
+    {
+      id: 'rev-2',
+      authorName: 'Bob',
+      content: '<p>Fix the login bug</p>',
+      previousContent: '<p>Fix the bug</p>',
+      createdAt: new Date().toISOString()
+    },
+    {
+      id: 'rev-1',
+      authorName: 'Alice',
+      content: '<p>Fix the bug</p>',
+      previousContent: '<p>Fix bug</p>',
+      createdAt: new Date().toISOString()
+    }
+  ];
+
+  /**
+   * Attach the component to a shadow root so ConfirmDialog can mount
+   * @returns {ShadowRoot} Shadow root
+   */
+  const mountInShadow = () => {
+    const host = document.createElement('div');
+    document.body.appendChild(host);
+    const shadowRoot = host.attachShadow({ mode: 'open' });
+    shadowRoot.appendChild(history.element);
+    return shadowRoot;
+  };
+
+  beforeEach(() => {
+    mockCallbacks = {
+      onLoadRevisions: jest.fn().mockResolvedValue(revisions),
+      onRestore: jest.fn().mockResolvedValue(true)
+    };
+
+    history = new RevisionHistory({
+      noteId: 'note-123',
+      user: { uid: 'user-1', email: 'test@example.com' },
+      ...mockCallbacks
+    });
+  });
+
+  afterEach(() => {
+    history.destroy();
+    jest.clearAllMocks();
+  });
+
+  it('starts collapsed without loading', () => {
+    expect(history.element.className).toBe('sn-revision-history');
+    expect(history.element.querySelector('.sn-history-panel').classList.contains('sn-hidden')).toBe(true);
+    expect(mockCallbacks.onLoadRevisions).not.toHaveBeenCalled();
+  });
+
+  it('loads and renders revisions with diffs when opened', async () => {
+    await history.togglePanel();
+
+    const toggle = history.element.querySelector('.sn-history-toggle');
+    expect(toggle.getAttribute('aria-expanded')).toBe('true');
+    expect(mockCallbacks.onLoadRevisions).toHaveBeenCalledWith('note-123');
+
+    const items = history.element.querySelectorAll('.sn-revision');
+    // Two revisions plus the original version
+    expect(items).toHaveLength(3);
+    expect(items[0].querySelector('.sn-revision-author').textContent).toBe('Bob');
+    expect(items[0].querySelector('.sn-diff-ins').textContent).toBe('login ');
+    expect(items[1].querySelector('.sn-diff-ins').textContent).toBe('the ');
+  });
+
+  it('marks the newest revision as current and offers restore for the others', async () => {
+    await history.togglePanel();
+
+    const items = history.element.querySelectorAll('.sn-revision');
+    expect(items[0].querySelector('.sn-revision-badge').textContent).toBe('currentVersion');
+    expect(items[0].querySelector('.sn-revision-restore')).toBeNull();
+    expect(items[1].querySelector('.sn-revision-restore').dataset.revisionId).toBe('rev-1');
+    expect(items[2].querySelector('.sn-revision-restore').dataset.original).toBe('true');
+  });
+
+  it('flags restore revisions', async () => {
+    mockCallbacks.onLoadRevisions.mockResolvedValue([
+      revisions[0],
+      { ...revisions[1], restoredFrom: 'rev-0' }
+    ]);
+
+    await history.togglePanel();
+
+    const items = history.element.querySelectorAll('.sn-revision');
+    expect(items[1].querySelector('.sn-revision-badge').textContent).toBe('restoredVersion');
+  });
+
+  it('describes formatting-only edits', async () => {
+    mockCallbacks.onLoadRevisions.mockResolvedValue([
+      { id: 'rev-1', content: '<p><b>Hi</b></p>', previousContent: '<p>Hi</p>' }
+    ]);
+
+    await history.togglePanel();
+
+    expect(history.element.querySelector('.sn-revision-formatting').textContent).toBe('formattingChanged');
+  });
+
+  it('escapes revision text', async () => {
+    mockCallbacks.onLoadRevisions.mockResolvedValue([
+      { id: 'rev-1', authorName: '<img>', content: '<p>&lt;script&gt;</p>', previousContent: '' }
+    ]);
+
+    await history.togglePanel();
+
+    expect(history.element.querySelector('script')).toBeNull();
+    expect(history.element.querySelector('.sn-revision-author img')).toBeNull();
+  });
+
+  it('shows the empty state', async () => {
+    mockCallbacks.onLoadRevisions.mockResolvedValue([]);
+
+    await history.togglePanel();
+
+    expect(history.element.querySelector('.sn-history-empty').textContent).toBe('noRevisions');
+  });
+
+  it('shows an error when loading fails', async () => {
+    mockCallbacks.onLoadRevisions.mockRejectedValue(new Error('offline'));
+
+    await history.togglePanel();
+
+    expect(history.element.querySelector('.sn-history-error').textContent).toBe('failedToLoadHistory');
+  });
+
+  it('asks signed-out users to sign in', async () => {
+    history.setUser(null);
+
+    await history.togglePanel();
+
+    expect(mockCallbacks.onLoadRevisions).not.toHaveBeenCalled();
+    expect(history.element.querySelector('.sn-history-empty').textContent).toBe('signInToViewHistory');
+  });
+
+  it('reloads every time the panel opens', async () => {
+    await history.togglePanel();
+    await history.togglePanel();
+    await history.togglePanel();
+
+    expect(mockCallbacks.onLoadRevisions).toHaveBeenCalledTimes(2);
+  });
+
+  it('restores after confirmation and reloads', async () => {
+    const shadowRoot = mountInShadow();
+    await history.togglePanel();
+
+    const restorePromise = history.restore('rev-1');
+    await new Promise(resolve => setTimeout(resolve, 10));
+    shadowRoot.querySelector('.sn-confirm-ok').click();
+    await restorePromise;
+
+    expect(mockCallbacks.onRestore).toHaveBeenCalledWith('rev-1', false);
+    expect(mockCallbacks.onLoadRevisions).toHaveBeenCalledTimes(2);
+  });
+
+  it('restores from the clicked button', async () => {
+    await history.togglePanel();
+    const restoreSpy = jest.spyOn(history, 'restore').mockResolvedValue();
+
+    history.element.querySelector('.sn-revision-restore[data-original="true"]').click();
+
+    expect(restoreSpy).toHaveBeenCalledWith('rev-1', true);
+  });
+
+  it('does not restore when confirmation is cancelled', async () => {
+    const shadowRoot = mountInShadow();
+    await history.togglePanel();
+
+    const restorePromise = history.restore('rev-1');
+    await new Promise(resolve => setTimeout(resolve, 10));
+    shadowRoot.querySelector('.sn-confirm-cancel').click();
+    await restorePromise;
+
+    expect(mockCallbacks.onRestore).not.toHaveBeenCalled();
+  });
+});
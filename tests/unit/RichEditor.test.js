@@ -494,6 +494,74 @@ describe('RichEditor', () => {
     });
   });
 
+  describe('file attachments', () => {
+    let fileEditor;
+    let onFiles;
+    
+    beforeEach(() => {
+      onFiles = jest.fn();
+      fileEditor = new RichEditor({ onFiles });
+      document.body.appendChild(fileEditor.element);
+    });
+    
+    afterEach(() => {
+      fileEditor.destroy();
+    });
+    
+    it('should only show the attach button when files are accepted', () => {
+      expect(editor.toolbar.querySelector('[data-command="attachFile"]')).toBeNull();
+      expect(fileEditor.toolbar.querySelector('[data-command="attachFile"]')).not.toBeNull();
+      expect(fileEditor.fileInput.accept).toContain('image/png');
+    });
+    
+    it('should open the file picker from the attach button', () => {
+      const clickSpy = jest.spyOn(fileEditor.fileInput, 'click').mockImplementation(() => {});
+      
+      fileEditor.toolbar.querySelector('[data-command="attachFile"]').click();
+      
+      expect(clickSpy).toHaveBeenCalled();
+    });
+    
+    it('should hand pasted files to onFiles instead of inserting them', () => {
+      const execCommandSpy = jest.spyOn(document, 'execCommand').mockReturnValue(true);
+      const file = new File(['abc'], 'shot.png', { type: 'image/png' });
+      const pasteEvent = new Event('paste', { bubbles: true });
+      pasteEvent.clipboardData = { files: [file], getData: jest.fn(() => '') };
+      
+      fileEditor.editor.dispatchEvent(pasteEvent);
+      
+      expect(onFiles).toHaveBeenCalledWith([file]);
+      expect(execCommandSpy).not.toHaveBeenCalled();
+      execCommandSpy.mockRestore();
+    });
+    
+    it('should hand dropped files to onFiles', () => {
+      const file = new File(['abc'], 'log.txt', { type: 'text/plain' });
+      const dragEvent = new Event('dragover', { bubbles: true, cancelable: true });
+      dragEvent.dataTransfer = { types: ['Files'] };
+      fileEditor.editor.dispatchEvent(dragEvent);
+      
+      expect(dragEvent.defaultPrevented).toBe(true);
+      expect(fileEditor.editor.classList.contains('sn-editor-dragover')).toBe(true);
+      
+      const dropEvent = new Event('drop', { bubbles: true, cancelable: true });
+      dropEvent.dataTransfer = { types: ['Files'], files: [file] };
+      fileEditor.editor.dispatchEvent(dropEvent);
+      
+      expect(onFiles).toHaveBeenCalledWith([file]);
+      expect(fileEditor.editor.classList.contains('sn-editor-dragover')).toBe(false);
+    });
+    
+    it('should ignore drags without files', () => {
+      const dragEvent = new Event('dragover', { bubbles: true, cancelable: true });
+      dragEvent.dataTransfer = { types: ['text/plain'] };
+      
+      fileEditor.editor.dispatchEvent(dragEvent);
+      
+      expect(dragEvent.defaultPrevented).toBe(false);
+    });
+  });
+
   describe('updatePlaceholder', () => {
     it('should add empty class when editor is empty', () => {
       editor.editor.innerHTML = '';
@@ -1072,6 +1140,21 @@ describe('RichEditor', () => {
       const cleaned = editor.cleanHtml(html);
       expect(cleaned).toContain('contenteditable="false"');
     });
+    
+    it('should preserve code blocks', () => {
+      const html = '<pre><code>Error: boom\n    at run (app.js:1)</code></pre>';
+      expect(editor.cleanHtml(html)).toBe(html);
+    });
+    
+    it('should drop links that would run script', () => {
+      const cleaned = editor.cleanHtml('<a href="javascript:alert(1)">one</a><a href=" JAVA\tSCRIPT:alert(1)">two</a><a href="mailto:a@example.com">three</a>');
+      expect(cleaned).toBe('<a>one</a><a>two</a><a href="mailto:a@example.com">three</a>');
+    });
+    
+    it('should drop images and other inputs along with their handlers', () => {
+      const cleaned = editor.cleanHtml('<img src="x" onerror="alert(1)"><input type="text" value="x">text');
+      expect(cleaned).toBe('text');
+    });
   });
 
 
@@ -2138,4 +2221,153 @@ describe('RichEditor', () => {
       });
     });
   });
+  
+  describe('code blocks', () => {
+    let originalGetSelection;
+    
+    const placeCaret = (node, offset) => {
+      const range = document.createRange();
+      range.setStart(node, offset);
+      document.getSelection().removeAllRanges();
+      document.getSelection().addRange(range);
+    };
+    
+    beforeEach(() => {
+      originalGetSelection = window.getSelection;
+      window.getSelection = () => document.getSelection();
+    });
+    
+    afterEach(() => {
+      window.getSelection = originalGetSelection;
+    });
+    
+    it('should have a code block button', () => {
+      expect(editor.toolbar.querySelector('[data-command="codeBlock"]')).not.toBeNull();
+    });
+    
+    it('should wrap the selection in a code block with a line after it', () => {
+      editor.editor.innerHTML = 'at run (app.js:1)';
+      const range = document.createRange();
+      range.selectNodeContents(editor.editor.firstChild);
+      document.getSelection().removeAllRanges();
+      document.getSelection().addRange(range);
+      
+      editor.toolbar.querySelector('[data-command="codeBlock"]').click();
+      
+      expect(editor.editor.innerHTML).toBe('<pre><code>at run (app.js:1)</code></pre><div><br></div>');
+      expect(editor.onChange).toHaveBeenCalledWith(editor.editor.innerHTML);
+    });
+    
+    it('should turn a code block back into lines', () => {
+      editor.editor.innerHTML = '<pre><code>one\n\nthree</code></pre>';
+      placeCaret(editor.editor.querySelector('code').firstChild, 1);
+      
+      editor.handleCodeBlock();
+      
+      expect(editor.editor.innerHTML).toBe('<div>one</div><div><br></div><div>three</div>');
+    });
+    
+    it('should add a line on Enter inside a code block', () => {
+      editor.editor.innerHTML = '<pre><code>ab</code></pre>';
+      placeCaret(editor.editor.querySelector('code').firstChild, 1);
+      
+      const event = new KeyboardEvent('keydown', { key: 'Enter', bubbles: true, cancelable: true });
+      editor.editor.dispatchEvent(event);
+      
+      expect(event.defaultPrevented).toBe(true);
+      expect(editor.editor.querySelector('pre').textContent).toBe('a\nb');
+    });
+    
+    it('should keep a new last line visible', () => {
+      editor.editor.innerHTML = '<pre><code>ab</code></pre>';
+      placeCaret(editor.editor.querySelector('code').firstChild, 2);
+      
+      editor.insertCodeLineBreak();
+      
+      expect(editor.editor.querySelector('pre').textContent).toBe('ab\n\n');
+    });
+  });
+  
+  describe('compact mode', () => {
+    let compactEditor;
+    let originalGetSelection;
+    
+    const typeText = (text, typed) => {
+      compactEditor.editor.textContent = text;
+      const range = document.createRange();
+      range.setStart(compactEditor.editor.firstChild, text.length);
+      document.getSelection().removeAllRanges();
+      document.getSelection().addRange(range);
+      compactEditor.editor.dispatchEvent(new InputEvent('input', { inputType: 'insertText', data: typed }));
+    };
+    
+    beforeEach(() => {
+      originalGetSelection = window.getSelection;
+      window.getSelection = () => document.getSelection();
+      compactEditor = new RichEditor({ compact: true, maxLength: 0, onChange: jest.fn(), onEmailShare: jest.fn() });
+      document.body.appendChild(compactEditor.element);
+    });
+    
+    afterEach(() => {
+      compactEditor.destroy();
+      window.getSelection = originalGetSelection;
+    });
+    
+    it('should only offer code, link and list buttons', () => {
+      const commands = Array.from(compactEditor.toolbar.querySelectorAll('.sn-toolbar-btn')).map(btn => btn.dataset.command);
+      
+      expect(commands).toEqual(['insertUnorderedList', 'insertOrderedList', 'createLink', 'code', 'codeBlock']);
+      expect(compactEditor.toolbar.querySelector('.sn-toolbar-divider')).toBeNull();
+      expect(compactEditor.element.classList.contains('sn-rich-editor-compact')).toBe(true);
+    });
+    
+    it('should leave out the character counter and email sharing', () => {
+      typeText('ping ana@example.com ', ' ');
+      
+      expect(compactEditor.element.querySelector('.sn-char-counter')).toBeNull();
+      expect(compactEditor.editor.querySelector('.sn-email-share')).toBeNull();
+      expect(compactEditor.onEmailShare).not.toHaveBeenCalled();
+    });
+    
+    it('should turn text between backticks into inline code', () => {
+      typeText('run `npm ci`', '`');
+      
+      expect(compactEditor.editor.innerHTML).toBe('run <code>npm ci</code>&nbsp;');
+      expect(compactEditor.onChange).toHaveBeenCalledWith(compactEditor.editor.innerHTML);
+    });
+    
+    it('should start a code block from three backticks', () => {
+      typeText('```', '`');
+      
+      expect(compactEditor.editor.querySelector('pre code')).not.toBeNull();
+      expect(compactEditor.editor.textContent).toBe('');
+    });
+    
+    it('should start a list from a dash', () => {
+      const execCommandSpy = jest.spyOn(document, 'execCommand').mockReturnValue(true);
+      
+      typeText('- ', ' ');
+      
+      expect(execCommandSpy).toHaveBeenCalledWith('insertUnorderedList', false, null);
+      expect(compactEditor.editor.textContent).toBe('');
+      execCommandSpy.mockRestore();
+    });
+    
+    it('should not apply shortcuts mid-line', () => {
+      const execCommandSpy = jest.spyOn(document, 'execCommand').mockReturnValue(true);
+      
+      typeText('a - ', ' ');
+      
+      expect(execCommandSpy).not.toHaveBeenCalled();
+      expect(compactEditor.editor.textContent).toBe('a - ');
+      execCommandSpy.mockRestore();
+    });
+    
+    it('should change the placeholder', () => {
+      compactEditor.setPlaceholder('Reply to Jane');
+      
+      expect(compactEditor.editor.dataset.placeholder).toBe('Reply to Jane');
+      expect(compactEditor.editor.getAttribute('aria-label')).toBe('Reply to Jane');
+    });
+  });
 });
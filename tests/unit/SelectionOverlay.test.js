@@ -283,6 +283,48 @@ describe('SelectionOverlay', () => {
     });
   });
 
+  describe('shadow DOM targets', () => {
+    it('should use the originating element from the composed path', () => {
+      const host = document.createElement('x-card');
+      document.body.appendChild(host);
+      const inner = document.createElement('button');
+      host.attachShadow({ mode: 'open' }).appendChild(inner);
+      
+      overlay.handleMouseOver({ target: host, composedPath: () => [inner, host.shadowRoot, host] });
+      
+      expect(overlay.highlightedElement).toBe(inner);
+      expect(host.classList.contains('sn-element-highlight')).toBe(false);
+    });
+    
+    it('should inject highlight styles into the shadow root once', () => {
+      const host = document.createElement('x-card');
+      document.body.appendChild(host);
+      const inner = document.createElement('button');
+      host.attachShadow({ mode: 'open' }).appendChild(inner);
+      
+      overlay.handleMouseOver({ target: host, composedPath: () => [inner] });
+      overlay.handleMouseOver({ target: host, composedPath: () => [inner] });
+      
+      expect(host.shadowRoot.querySelectorAll('#sticky-notes-main-styles')).toHaveLength(1);
+    });
+    
+    it('should select the originating element on click', () => {
+      const host = document.createElement('x-card');
+      document.body.appendChild(host);
+      const inner = document.createElement('button');
+      host.attachShadow({ mode: 'open' }).appendChild(inner);
+      
+      overlay.handleClick({
+        target: host,
+        composedPath: () => [inner, host.shadowRoot, host],
+        preventDefault: jest.fn(),
+        stopPropagation: jest.fn()
+      });
+      
+      expect(onSelect).toHaveBeenCalledWith(inner);
+    });
+  });
+
   describe('handleMouseOut', () => {
     it('should hide tooltip when moving to ignored element', () => {
       overlay.tooltip.style.display = 'block';
@@ -416,6 +458,62 @@ describe('SelectionOverlay', () => {
       expect(event.stopPropagation).toHaveBeenCalled();
     });
     
+    it('should call onSelect with the text range when text is selected', () => {
+      document.body.innerHTML = '<p id="para">The quick brown fox</p>';
+      const textNode = document.getElementById('para').firstChild;
+      const range = document.createRange();
+      range.setStart(textNode, 4);
+      range.setEnd(textNode, 9);
+      const selection = {
+        isCollapsed: false,
+        rangeCount: 1,
+        getRangeAt: jest.fn(() => range),
+        removeAllRanges: jest.fn()
+      };
+      const originalGetSelection = window.getSelection.getMockImplementation();
+      window.getSelection.mockImplementation(() => selection);
+      
+      const event = {
+        target: document.body,
+        preventDefault: jest.fn(),
+        stopPropagation: jest.fn()
+      };
+      
+      try {
+        overlay.handleClick(event);
+      } finally {
+        window.getSelection.mockImplementation(originalGetSelection);
+      }
+      
+      expect(onSelect).toHaveBeenCalledWith(document.getElementById('para'), expect.any(Object));
+      expect(onSelect.mock.calls[0][1].toString()).toBe('quick');
+      expect(event.preventDefault).toHaveBeenCalled();
+      expect(selection.removeAllRanges).toHaveBeenCalled();
+    });
+    
+    it('should fall back to element selection for whitespace-only selections', () => {
+      document.body.innerHTML = '<p id="para">A   B</p>';
+      const para = document.getElementById('para');
+      const range = document.createRange();
+      range.setStart(para.firstChild, 1);
+      range.setEnd(para.firstChild, 3);
+      const originalGetSelection = window.getSelection.getMockImplementation();
+      window.getSelection.mockImplementation(() => ({
+        isCollapsed: false,
+        rangeCount: 1,
+        getRangeAt: () => range,
+        removeAllRanges: jest.fn()
+      }));
+      
+      try {
+        overlay.handleClick({ target: para, preventDefault: jest.fn(), stopPropagation: jest.fn() });
+      } finally {
+        window.getSelection.mockImplementation(originalGetSelection);
+      }
+      
+      expect(onSelect).toHaveBeenCalledWith(para);
+    });
+    
     it('should not handle click if not active', () => {
       overlay.isActive = false;
       const div = document.createElement('div');
@@ -478,6 +576,85 @@ describe('SelectionOverlay', () => {
     });
   });
 
+  describe('region drag', () => {
+    let canvas;
+    
+    beforeEach(() => {
+      canvas = document.createElement('canvas');
+      document.body.appendChild(canvas);
+      canvas.getBoundingClientRect = () => ({ left: 100, top: 100, width: 400, height: 200 });
+    });
+    
+    const mouseEvent = (target, clientX, clientY) => ({
+      target,
+      button: 0,
+      clientX,
+      clientY,
+      preventDefault: jest.fn(),
+      stopPropagation: jest.fn()
+    });
+    
+    it('should call onSelect with the dragged region of a canvas', () => {
+      const down = mouseEvent(canvas, 140, 120);
+      overlay.handleMouseDown(down);
+      overlay.handleMouseMove(mouseEvent(canvas, 240, 170));
+      
+      expect(down.preventDefault).toHaveBeenCalled();
+      expect(overlay.regionDraft.style.display).toBe('block');
+      expect(overlay.regionDraft.style.width).toBe('100px');
+      
+      overlay.handleMouseUp(mouseEvent(canvas, 240, 170));
+      
+      expect(onSelect).toHaveBeenCalledWith(canvas, null, { x: 10, y: 10, width: 25, height: 25 });
+      expect(overlay.regionDraft.style.display).toBe('none');
+    });
+    
+    it('should start a drag on elements inside an SVG', () => {
+      document.body.innerHTML += '<svg id="chart"><rect id="bar"></rect></svg>';
+      const svg = document.getElementById('chart');
+      
+      overlay.handleMouseDown(mouseEvent(document.getElementById('bar'), 10, 10));
+      
+      expect(overlay.regionDrag.element).toBe(svg);
+    });
+    
+    it('should leave short drags to the click handler', () => {
+      overlay.handleMouseDown(mouseEvent(canvas, 140, 120));
+      overlay.handleMouseUp(mouseEvent(canvas, 143, 122));
+      
+      expect(onSelect).not.toHaveBeenCalled();
+      expect(overlay.regionDrag).toBeNull();
+    });
+    
+    it('should ignore mousedown on other elements', () => {
+      const div = document.createElement('div');
+      document.body.appendChild(div);
+      const down = mouseEvent(div, 10, 10);
+      
+      overlay.handleMouseDown(down);
+      
+      expect(overlay.regionDrag).toBeNull();
+      expect(down.preventDefault).not.toHaveBeenCalled();
+    });
+    
+    it('should swallow the click that follows a region drag', () => {
+      overlay.handleMouseDown(mouseEvent(canvas, 140, 120));
+      overlay.handleMouseUp(mouseEvent(canvas, 240, 170));
+      
+      const pageClick = jest.fn();
+      canvas.addEventListener('click', pageClick);
+      canvas.dispatchEvent(new MouseEvent('click', { bubbles: true }));
+      
+      expect(pageClick).not.toHaveBeenCalled();
+    });
+    
+    it('should mention dragging in the tooltip over a canvas', () => {
+      overlay.updateTooltip(canvas);
+      
+      expect(overlay.tooltip.textContent).toContain('drag');
+    });
+  });
+
   describe('render', () => {
     it('should create overlay with correct class', () => {
       expect(overlay.element.className).toBe('sn-selection-overlay');
@@ -502,6 +679,50 @@ describe('SelectionOverlay', () => {
     });
   });
 
+  describe('template picker', () => {
+    const templates = [
+      { id: 'bug', name: 'Bug' },
+      { id: 'question', name: 'Question' }
+    ];
+    
+    it('should list a blank option and the templates, with the last pick selected', () => {
+      overlay.showTemplatePicker(templates, 'question');
+      
+      const select = overlay.element.querySelector('.sn-template-select');
+      expect(Array.from(select.options).map(option => option.textContent)).toEqual(['blankNote', 'Bug', 'Question']);
+      expect(select.value).toBe('question');
+    });
+    
+    it('should fall back to a blank note when the last pick no longer exists', () => {
+      overlay.showTemplatePicker(templates, 'deleted');
+      
+      expect(overlay.element.querySelector('.sn-template-select').value).toBe('');
+    });
+    
+    it('should report the picked template', () => {
+      const onTemplateChange = jest.fn();
+      overlay.onTemplateChange = onTemplateChange;
+      overlay.showTemplatePicker(templates);
+      
+      const select = overlay.element.querySelector('.sn-template-select');
+      select.value = 'bug';
+      select.dispatchEvent(new Event('change'));
+      select.value = '';
+      select.dispatchEvent(new Event('change'));
+      
+      expect(onTemplateChange.mock.calls).toEqual([['bug'], [null]]);
+    });
+    
+    it('should not show a picker without templates or after destroy', () => {
+      overlay.showTemplatePicker([]);
+      expect(overlay.templatePicker).toBeNull();
+      
+      overlay.destroy();
+      overlay.showTemplatePicker(templates);
+      expect(overlay.templatePicker).toBeNull();
+    });
+  });
+
   describe('default callbacks', () => {
     it('should use empty functions when callbacks not provided', () => {
       const overlayNoCallbacks = new SelectionOverlay({});
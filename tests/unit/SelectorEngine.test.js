@@ -2,7 +2,7 @@
  * SelectorEngine Unit Tests
  */
 
-import { describe, it, expect, beforeEach } from '@jest/globals';
+import { jest, describe, it, expect, beforeEach } from '@jest/globals';
 
 // We need to import the module dynamically due to ES modules
 let SelectorEngine;
@@ -133,6 +133,141 @@ describe('SelectorEngine', () => {
     });
   });
   
+  describe('generateLocators()', () => {
+    it('should return null for invalid elements', () => {
+      expect(engine.generateLocators(null)).toBeNull();
+      expect(engine.generateLocators(document.createTextNode('text'))).toBeNull();
+    });
+    
+    it('should prefer data-testid locators', () => {
+      document.body.innerHTML = '<div><button data-testid="save">Save</button></div>';
+      const button = document.querySelector('button');
+      
+      expect(engine.generateLocators(button)).toEqual({
+        xpath: '//button[@data-testid="save"]',
+        playwright: 'page.getByTestId(\'save\')',
+        cypress: 'cy.get(\'button[data-testid="save"]\')'
+      });
+    });
+    
+    it('should use getByRole with the accessible name when unique', () => {
+      document.body.innerHTML = '<button class="primary">Submit order</button><button class="secondary">Cancel</button>';
+      const button = document.querySelector('button.primary');
+      
+      expect(engine.generatePlaywrightLocator(button, 'button.primary'))
+        .toBe('page.getByRole(\'button\', { name: \'Submit order\', exact: true })');
+    });
+    
+    it('should fall back to a CSS locator when the role and name are not unique', () => {
+      document.body.innerHTML = '<button class="one">Go</button><button class="two">Go</button>';
+      const button = document.querySelector('button.two');
+      
+      expect(engine.generatePlaywrightLocator(button, 'button.two')).toBe('page.locator(\'button.two\')');
+    });
+    
+    it('should escape quotes in JavaScript strings', () => {
+      document.body.innerHTML = '<a href="/x">It\'s here</a>';
+      const link = document.querySelector('a');
+      
+      expect(engine.generatePlaywrightLocator(link, 'a')).toBe('page.getByRole(\'link\', { name: \'It\\\'s here\', exact: true })');
+    });
+    
+    it('should build an XPath from the nearest stable ID', () => {
+      document.body.innerHTML = '<main id="content"><p>One</p><p>Two <span>x</span></p></main>';
+      const span = document.querySelector('span');
+      
+      expect(engine.generateXPath(span)).toBe('//*[@id="content"]/p[2]/span');
+    });
+    
+    it('should build an absolute XPath without stable IDs', () => {
+      document.body.innerHTML = '<div id="123"><em>a</em></div><div><em>b</em></div>';
+      const em = document.querySelectorAll('em')[1];
+      
+      expect(engine.generateXPath(em)).toBe('/html/body/div[2]/em');
+      expect(document.evaluate(engine.generateXPath(em), document, null, XPathResult.FIRST_ORDERED_NODE_TYPE, null).singleNodeValue).toBe(em);
+    });
+    
+    it('should use local-name() for SVG elements', () => {
+      document.body.innerHTML = '<div id="chart"><svg><circle r="1"></circle></svg></div>';
+      const circle = document.querySelector('circle');
+      
+      expect(engine.generateXPath(circle)).toBe('//*[@id="chart"]/*[local-name()="svg"]/*[local-name()="circle"]');
+    });
+    
+    it('should quote XPath values containing both quote kinds with concat()', () => {
+      document.body.innerHTML = '<input name="a&quot;b\'c">';
+      const input = document.querySelector('input');
+      
+      expect(engine.generateXPath(input)).toBe('//input[@name=concat("a", \'"\', "b\'c")]');
+    });
+    
+    it('should chain shadow DOM segments for Playwright and Cypress', () => {
+      document.body.innerHTML = '<my-app id="app"></my-app>';
+      const host = document.getElementById('app');
+      const shadow = host.attachShadow({ mode: 'open' });
+      shadow.innerHTML = '<span class="label">Hi</span>';
+      const label = shadow.querySelector('.label');
+      
+      const locators = engine.generateLocators(label);
+      
+      expect(locators.xpath).toBeNull();
+      expect(locators.playwright).toBe('page.locator(\'#app\').locator(\'span.label\')');
+      expect(locators.cypress).toBe('cy.get(\'#app\').shadow().find(\'span.label\')');
+    });
+  });
+  
+  describe('applyRules()', () => {
+    it('should try rule attributes before the built-in ones', () => {
+      document.body.innerHTML = '<button data-testid="save" data-qa="save-qa">Save</button>';
+      const button = document.querySelector('button');
+      
+      engine.applyRules({ domain: 'example.com', preferredAttributes: ['data-qa'] });
+      
+      expect(engine.preferredAttributes[0]).toBe('data-qa');
+      expect(engine.preferredAttributes).toContain('data-testid');
+      expect(engine.generate(button)).toBe('button[data-qa="save-qa"]');
+    });
+    
+    it('should skip IDs matching rule patterns', () => {
+      document.body.innerHTML = '<button id="mui-123" data-hook="save">Save</button>';
+      const button = document.querySelector('button');
+      
+      expect(engine.generate(button)).toBe('#mui-123');
+      
+      engine.applyRules({ domain: 'example.com', preferredAttributes: ['data-hook'], ignoreIdPatterns: ['^mui-\\d+'] });
+      
+      expect(engine.isDynamicId('mui-123')).toBe(true);
+      expect(engine.isDynamicId('ember1')).toBe(true);
+      expect(engine.generate(button)).toBe('button[data-hook="save"]');
+    });
+    
+    it('should skip classes matching rule patterns', () => {
+      document.body.innerHTML = '<div><span class="css-1x2y3z label">A</span></div>';
+      const span = document.querySelector('span');
+      
+      engine.applyRules({ domain: 'example.com', ignoreClassPatterns: ['^css-'] });
+      
+      expect(engine.isIgnoredClass('css-1x2y3z')).toBe(true);
+      expect(engine.isIgnoredClass('label')).toBe(false);
+      expect(engine.generate(span)).toBe('span.label');
+    });
+    
+    it('should ignore invalid patterns', () => {
+      engine.applyRules({ domain: 'example.com', ignoreIdPatterns: ['(unclosed'] });
+      
+      expect(engine.isDynamicId('header')).toBe(false);
+    });
+    
+    it('should restore the built-in strategy when cleared', () => {
+      engine.applyRules({ domain: 'example.com', preferredAttributes: ['data-qa'], ignoreIdPatterns: ['^mui-'] });
+      engine.applyRules(null);
+      
+      expect(engine.preferredAttributes[0]).toBe('data-testid');
+      expect(engine.isDynamicId('mui-1')).toBe(false);
+      expect(engine.ignoredClassPatterns).toEqual([]);
+    });
+  });
+  
   describe('isUnique()', () => {
     it('should return true for unique selectors', () => {
       document.body.innerHTML = '<div id="unique">Content</div>';
@@ -822,4 +957,428 @@ describe('SelectorEngine', () => {
       expect(typeof result.valid).toBe('boolean');
     });
   });
+
+  describe('generateFingerprint()', () => {
+    it('should return null for invalid elements', () => {
+      expect(engine.generateFingerprint(null)).toBeNull();
+      expect(engine.generateFingerprint(document.createTextNode('text'))).toBeNull();
+    });
+    
+    it('should capture all anchor signals', () => {
+      document.body.innerHTML = `
+        <main>
+          <section>
+            <h2>Checkout</h2>
+            <button class="btn-x1">Cancel</button>
+            <button class="btn-x2">Pay now</button>
+          </section>
+        </main>
+      `;
+      const button = document.querySelector('.btn-x2');
+      button.getBoundingClientRect = () => ({ width: 120, height: 40 });
+      
+      const fingerprint = engine.generateFingerprint(button);
+      
+      expect(fingerprint).toEqual({
+        textHash: engine.hashText('Pay now'),
+        tagPath: 'main>section>button',
+        landmarkText: 'Checkout',
+        bboxRatio: 3,
+        role: 'button',
+        ariaName: 'Pay now',
+        siblingIndex: 2
+      });
+    });
+    
+    it('should use null for missing text and unrendered elements', () => {
+      document.body.innerHTML = '<div><span></span></div>';
+      const span = document.querySelector('span');
+      span.getBoundingClientRect = () => ({ width: 0, height: 0 });
+      
+      const fingerprint = engine.generateFingerprint(span);
+      
+      expect(fingerprint.textHash).toBeNull();
+      expect(fingerprint.bboxRatio).toBeNull();
+      expect(fingerprint.role).toBeNull();
+      expect(fingerprint.ariaName).toBeNull();
+    });
+  });
+  
+  describe('hashText()', () => {
+    it('should be deterministic and 8 hex characters', () => {
+      expect(engine.hashText('hello')).toBe(engine.hashText('hello'));
+      expect(engine.hashText('hello')).toMatch(/^[0-9a-f]{8}$/);
+      expect(engine.hashText('hello')).not.toBe(engine.hashText('hello!'));
+    });
+  });
+  
+  describe('getLandmarkText()', () => {
+    it('should prefer a preceding sibling heading', () => {
+      document.body.innerHTML = '<div><h3>Shipping</h3><p>Details</p></div>';
+      
+      expect(engine.getLandmarkText(document.querySelector('p'))).toBe('Shipping');
+    });
+    
+    it('should use an ancestor aria-label', () => {
+      document.body.innerHTML = '<div aria-label="User menu"><div><a href="#">Profile</a></div></div>';
+      
+      expect(engine.getLandmarkText(document.querySelector('a'))).toBe('User menu');
+    });
+    
+    it('should use the heading of the enclosing landmark', () => {
+      document.body.innerHTML = '<form><legend>Billing</legend><div><input name="card"></div></form>';
+      
+      expect(engine.getLandmarkText(document.querySelector('input'))).toBe('Billing');
+    });
+    
+    it('should return empty string when nothing is nearby', () => {
+      document.body.innerHTML = '<div><span>Alone</span></div>';
+      
+      expect(engine.getLandmarkText(document.querySelector('span'))).toBe('');
+    });
+  });
+  
+  describe('getAriaInfo()', () => {
+    it('should prefer explicit role and aria-label', () => {
+      document.body.innerHTML = '<div role="tab" aria-label="Settings">S</div>';
+      
+      expect(engine.getAriaInfo(document.querySelector('div'))).toEqual({ role: 'tab', name: 'Settings' });
+    });
+    
+    it('should resolve aria-labelledby', () => {
+      document.body.innerHTML = '<span id="lbl">Email address</span><input aria-labelledby="lbl">';
+      
+      expect(engine.getAriaInfo(document.querySelector('input'))).toEqual({ role: 'textbox', name: 'Email address' });
+    });
+    
+    it('should map input types to implicit roles', () => {
+      document.body.innerHTML = '<input type="checkbox" title="Agree"><input type="submit">';
+      const [checkbox, submit] = document.querySelectorAll('input');
+      
+      expect(engine.getAriaInfo(checkbox)).toEqual({ role: 'checkbox', name: 'Agree' });
+      expect(engine.getAriaInfo(submit).role).toBe('button');
+    });
+    
+    it('should only treat anchors with href as links', () => {
+      document.body.innerHTML = '<a href="/home">Home</a><a>Plain</a>';
+      const [link, plain] = document.querySelectorAll('a');
+      
+      expect(engine.getAriaInfo(link)).toEqual({ role: 'link', name: 'Home' });
+      expect(engine.getAriaInfo(plain)).toEqual({ role: null, name: null });
+    });
+  });
+  
+  describe('getSiblingIndex()', () => {
+    it('should count only same-tag siblings', () => {
+      document.body.innerHTML = '<ul><li>1</li><span></span><li>2</li><li id="third">3</li></ul>';
+      
+      expect(engine.getSiblingIndex(document.getElementById('third'))).toBe(3);
+    });
+  });
+  
+  describe('getFingerprintTag()', () => {
+    it('should return the last tag in the path', () => {
+      expect(engine.getFingerprintTag({ tagPath: 'main>section>button' })).toBe('button');
+    });
+    
+    it('should reject missing or malformed paths', () => {
+      expect(engine.getFingerprintTag(null)).toBeNull();
+      expect(engine.getFingerprintTag({ tagPath: 42 })).toBeNull();
+      expect(engine.getFingerprintTag({ tagPath: 'div>*' })).toBeNull();
+    });
+  });
+  
+  describe('scoreFingerprint()', () => {
+    it('should return zero for missing fingerprint', () => {
+      document.body.innerHTML = '<div></div>';
+      
+      expect(engine.scoreFingerprint(document.querySelector('div'), null)).toEqual({ score: 0, maxScore: 0 });
+    });
+    
+    it('should give full score to the original element', () => {
+      document.body.innerHTML = '<nav aria-label="Primary"><a href="/a">About</a><a href="/b">Blog</a></nav>';
+      const link = document.querySelectorAll('a')[1];
+      link.getBoundingClientRect = () => ({ width: 80, height: 20 });
+      const fingerprint = engine.generateFingerprint(link);
+      
+      const result = engine.scoreFingerprint(link, fingerprint);
+      
+      expect(result.maxScore).toBeGreaterThan(0);
+      expect(result.score).toBe(result.maxScore);
+    });
+    
+    it('should give partial credit for neighbouring siblings and similar boxes', () => {
+      document.body.innerHTML = '<div><p>One</p><p>Two</p></div>';
+      const [first] = document.querySelectorAll('p');
+      first.getBoundingClientRect = () => ({ width: 80, height: 20 });
+      
+      const result = engine.scoreFingerprint(first, { siblingIndex: 2, bboxRatio: 5 });
+      
+      expect(result).toEqual({ score: 10, maxScore: 20 });
+    });
+    
+    it('should score a different element lower', () => {
+      document.body.innerHTML = '<div><h2>Cart</h2><button>Pay</button></div><div><button>Help</button></div>';
+      const [pay, help] = document.querySelectorAll('button');
+      const fingerprint = engine.generateFingerprint(pay);
+      
+      const payScore = engine.scoreFingerprint(pay, fingerprint);
+      const helpScore = engine.scoreFingerprint(help, fingerprint);
+      
+      expect(helpScore.score).toBeLessThan(payScore.score);
+    });
+  });
+  
+  describe('findHistoricalMatch()', () => {
+    it('should fall back to a historical selector that still resolves', () => {
+      document.body.innerHTML = '<button data-testid="checkout">Pay</button><button>Cancel</button>';
+      
+      const result = engine.findBestMatchWithScore('#renamed-button', {
+        textContent: 'Pay',
+        history: [{ selector: 'button[data-testid="checkout"]' }]
+      });
+      
+      expect(result.element.textContent).toBe('Pay');
+      expect(engine.findBestMatch('#renamed-button', { history: [{ selector: 'button[data-testid="checkout"]' }] }))
+        .toBe(result.element);
+    });
+    
+    it('should try the newest historical selector first', () => {
+      document.body.innerHTML = '<p id="older">Old</p><p id="newer">New</p>';
+      
+      const result = engine.findHistoricalMatch({ history: [{ selector: '#older' }, { selector: '#newer' }] });
+      
+      expect(result.element.id).toBe('newer');
+    });
+    
+    it('should skip ambiguous and invalid historical selectors', () => {
+      document.body.innerHTML = '<li class="row">A</li><li class="row">B</li>';
+      
+      expect(engine.findHistoricalMatch({ history: [{ selector: 'li.row' }, { selector: '[broken' }] })).toBeNull();
+      expect(engine.findHistoricalMatch({})).toBeNull();
+    });
+  });
+  
+  describe('findBestMatchWithScore()', () => {
+    it('should return the best match with its score', () => {
+      document.body.innerHTML = '<button class="buy primary">Buy now</button>';
+      
+      const result = engine.findBestMatchWithScore('button.buy.secondary', { textContent: 'Buy now' });
+      
+      expect(result.element.textContent).toBe('Buy now');
+      expect(result.score).toBeGreaterThanOrEqual(50);
+      expect(result.score).toBeLessThan(100);
+    });
+    
+    it('should return null below the minimum match score', () => {
+      document.body.innerHTML = '<span>Unrelated</span>';
+      
+      expect(engine.findBestMatchWithScore('button#gone', { textContent: 'Buy now' })).toBeNull();
+    });
+  });
+  
+  describe('findBestMatch() - with fingerprint', () => {
+    it('should recover an anchor after class names change', () => {
+      document.body.innerHTML = `
+        <section aria-label="Checkout">
+          <button class="css-a1">Cancel</button>
+          <button class="css-a2">Pay now</button>
+        </section>
+      `;
+      const fingerprint = engine.generateFingerprint(document.querySelector('.css-a2'));
+      
+      // Simulate a deploy that regenerates class names
+      document.body.innerHTML = `
+        <section aria-label="Checkout">
+          <button class="css-z9">Cancel</button>
+          <button class="css-z8">Pay now</button>
+        </section>
+      `;
+      
+      const result = engine.findBestMatch('.css-a2', { fingerprint });
+      
+      expect(result).not.toBeNull();
+      expect(result.textContent).toBe('Pay now');
+    });
+    
+    it('should use the fingerprint tag to narrow candidates', () => {
+      document.body.innerHTML = '<div></div><span></span><button>Go</button>';
+      const spy = jest.spyOn(document, 'getElementsByTagName');
+      
+      engine.findCandidates(engine.parseSelector('.gone'), { fingerprint: { tagPath: 'div>button' } });
+      
+      expect(spy).toHaveBeenCalledWith('button');
+      spy.mockRestore();
+    });
+    
+    it('should not match when no candidate resembles the fingerprint', () => {
+      document.body.innerHTML = '<div><span>Totally unrelated</span></div>';
+      const fingerprint = {
+        textHash: engine.hashText('Pay now'),
+        tagPath: 'section>button',
+        landmarkText: 'Checkout',
+        role: 'button',
+        ariaName: 'Pay now',
+        siblingIndex: 2
+      };
+      
+      expect(engine.findBestMatch('.css-a2', { fingerprint })).toBeNull();
+    });
+  });
+
+  describe('describeTextRange()', () => {
+    it('should capture quote, context and offsets', () => {
+      document.body.innerHTML = '<p>We <em>recieve</em> payments daily.</p>';
+      const paragraph = document.querySelector('p');
+      const range = document.createRange();
+      range.setStart(paragraph.querySelector('em').firstChild, 0);
+      range.setEnd(paragraph.lastChild, 9);
+      
+      expect(engine.describeTextRange(range, paragraph)).toEqual({
+        exact: 'recieve payments',
+        prefix: 'We ',
+        suffix: ' daily.',
+        start: 3,
+        end: 19
+      });
+    });
+    
+    it('should return null for collapsed, blank or foreign ranges', () => {
+      document.body.innerHTML = '<p>Text   here</p><div>Other</div>';
+      const paragraph = document.querySelector('p');
+      const range = document.createRange();
+      range.setStart(paragraph.firstChild, 1);
+      
+      expect(engine.describeTextRange(null, paragraph)).toBeNull();
+      expect(engine.describeTextRange(range, paragraph)).toBeNull();
+      
+      range.setStart(paragraph.firstChild, 4);
+      range.setEnd(paragraph.firstChild, 7);
+      expect(engine.describeTextRange(range, paragraph)).toBeNull();
+      
+      range.selectNodeContents(document.querySelector('div'));
+      expect(engine.describeTextRange(range, paragraph)).toBeNull();
+    });
+  });
+  
+  describe('findTextPosition()', () => {
+    const anchor = { exact: 'brown fox', prefix: 'The quick ', suffix: ' jumps', start: 10, end: 19 };
+    
+    it('should use the stored position when text is unchanged', () => {
+      expect(engine.findTextPosition('The quick brown fox jumps', anchor)).toEqual({ start: 10, end: 19 });
+    });
+    
+    it('should find a moved quote and prefer matching context', () => {
+      const text = 'A brown fox sleeps. Then the quick brown fox jumps';
+      
+      expect(engine.findTextPosition(text, anchor)).toEqual({ start: 35, end: 44 });
+    });
+    
+    it('should use prefix and suffix when the quote was edited', () => {
+      const text = 'The quick red fox jumps';
+      
+      expect(engine.findTextPosition(text, anchor)).toEqual({ start: 10, end: 17 });
+    });
+    
+    it('should fall back to fuzzy matching', () => {
+      const text = 'Totally rewritten: brown foxes everywhere';
+      
+      const position = engine.findTextPosition(text, anchor);
+      
+      expect(text.slice(position.start, position.end)).toBe('brown fox');
+    });
+    
+    it('should return null when nothing resembles the quote', () => {
+      expect(engine.findTextPosition('Completely different', anchor)).toBeNull();
+      expect(engine.findTextPosition('', anchor)).toBeNull();
+      expect(engine.findTextPosition('text', { exact: '' })).toBeNull();
+    });
+  });
+  
+  describe('locateTextRange()', () => {
+    it('should build a range spanning several text nodes', () => {
+      document.body.innerHTML = '<p>We <em>recieve</em> payments daily.</p>';
+      const paragraph = document.querySelector('p');
+      
+      const range = engine.locateTextRange(paragraph, { exact: 'recieve payments', prefix: 'We ', suffix: ' daily.' });
+      
+      expect(range.toString()).toBe('recieve payments');
+      expect(range.startContainer).toBe(paragraph.querySelector('em').firstChild);
+    });
+    
+    it('should return null when the quote is missing', () => {
+      document.body.innerHTML = '<p>Nothing to see</p>';
+      
+      expect(engine.locateTextRange(document.querySelector('p'), { exact: 'zebra crossing' })).toBeNull();
+      expect(engine.locateTextRange(null, { exact: 'x' })).toBeNull();
+    });
+  });
+  
+  describe('createTextRange()', () => {
+    it('should return null for out-of-range offsets', () => {
+      document.body.innerHTML = '<p>Short</p>';
+      
+      expect(engine.createTextRange(document.querySelector('p'), 2, 50)).toBeNull();
+    });
+  });
+  
+  describe('shadow DOM piercing selectors', () => {
+    beforeEach(() => {
+      document.body.innerHTML = '<app-shell id="shell"></app-shell>';
+      const shellRoot = document.getElementById('shell').attachShadow({ mode: 'open' });
+      shellRoot.innerHTML = '<nav><sl-button data-testid="checkout"></sl-button></nav><p class="note">Hi</p>';
+      const buttonRoot = shellRoot.querySelector('sl-button').attachShadow({ mode: 'open' });
+      buttonRoot.innerHTML = '<span class="label">Cart</span><button class="native">Pay now</button>';
+    });
+    
+    const getButton = () => document.getElementById('shell').shadowRoot
+      .querySelector('sl-button').shadowRoot.querySelector('button');
+    
+    it('should record the chain of shadow hosts', () => {
+      const selector = engine.generate(getButton());
+      
+      expect(selector).toBe('#shell >>> sl-button[data-testid="checkout"] >>> button.native');
+    });
+    
+    it('should produce selectors that resolve back to the element', () => {
+      const button = getButton();
+      const paragraph = document.getElementById('shell').shadowRoot.querySelector('p');
+      
+      expect(engine.validate(engine.generate(button), button)).toBe(true);
+      expect(engine.validate(engine.generate(paragraph), paragraph)).toBe(true);
+    });
+    
+    it('should check uniqueness inside the shadow root', () => {
+      const shellRoot = document.getElementById('shell').shadowRoot;
+      
+      expect(engine.isUnique('p.note', shellRoot)).toBe(true);
+      expect(engine.isUnique('p.note')).toBe(false);
+    });
+    
+    it('should anchor to the host of a closed shadow root', () => {
+      document.body.innerHTML = '<secure-widget id="widget"></secure-widget>';
+      const closedRoot = document.getElementById('widget').attachShadow({ mode: 'closed' });
+      closedRoot.innerHTML = '<button>Hidden</button>';
+      
+      expect(engine.generate(closedRoot.querySelector('button'))).toBe('#widget');
+    });
+    
+    it('should fuzzy match the last segment inside the resolved shadow root', () => {
+      const result = engine.findBestMatch('#shell >>> sl-button[data-testid="checkout"] >>> button.renamed', {
+        textContent: 'Pay now'
+      });
+      
+      expect(result).toBe(getButton());
+    });
+    
+    it('should not fuzzy match when the host chain no longer resolves', () => {
+      expect(engine.findBestMatch('#gone >>> button.native', { textContent: 'Pay now' })).toBeNull();
+    });
+    
+    it('should validate each segment of a shadow selector', () => {
+      expect(engine.validateSelector('#shell >>> button.native').valid).toBe(true);
+      expect(engine.validateSelector('#shell >>> [invalid').valid).toBe(false);
+      expect(engine.validateSelector('#shell >>>  >>> button').valid).toBe(false);
+    });
+  });
 });
@@ -45,6 +45,7 @@ describe('StickyNote', () => {
       anchor: anchor,
       container: container,
       content: 'Test content',
+      updatedAt: { seconds: 100, nanoseconds: 0 },
       theme: 'yellow',
       position: { anchor: 'top-right' },
       onSave: onSave,
@@ -492,10 +493,124 @@ describe('StickyNote', () => {
       jest.advanceTimersByTime(1000);
       
       expect(onSave).toHaveBeenCalledTimes(1);
-      expect(onSave).toHaveBeenCalledWith('Content 3');
+      expect(onSave).toHaveBeenCalledWith('Content 3', 'Test content', { seconds: 100, nanoseconds: 0 });
       
       jest.useRealTimers();
     });
+    
+    it('should send each save with the content it builds on', async () => {
+      jest.useFakeTimers();
+      
+      note.handleEditorChange('Content 1');
+      jest.advanceTimersByTime(1000);
+      const firstSave = note.pendingSave;
+      await firstSave;
+      note.handleEditorChange('Content 2');
+      jest.advanceTimersByTime(1000);
+      
+      jest.useRealTimers();
+      expect(onSave).toHaveBeenNthCalledWith(1, 'Content 1', 'Test content', { seconds: 100, nanoseconds: 0 });
+      // Without a stored updatedAt from the first save, its echo brings the new version
+      expect(onSave).toHaveBeenNthCalledWith(2, 'Content 2', 'Content 1', { seconds: 100, nanoseconds: 0 });
+    });
+    
+    it('should wait for a save in flight and base the next one on the version it stored', async () => {
+      let finishFirstSave;
+      onSave.mockImplementationOnce(() => new Promise(resolve => {
+        finishFirstSave = resolve;
+      }));
+      jest.useFakeTimers();
+      
+      note.handleEditorChange('Content 1');
+      jest.advanceTimersByTime(1000);
+      const firstSave = note.pendingSave;
+      note.handleEditorChange('Content 2');
+      jest.advanceTimersByTime(1000);
+      jest.useRealTimers();
+      
+      expect(onSave).toHaveBeenCalledTimes(1);
+      
+      finishFirstSave({ seconds: 150, nanoseconds: 0 });
+      await firstSave;
+      
+      expect(onSave).toHaveBeenCalledTimes(2);
+      expect(onSave).toHaveBeenNthCalledWith(2, 'Content 2', 'Content 1', { seconds: 150, nanoseconds: 0 });
+      expect(note.baseUpdatedAt).toEqual({ seconds: 150, nanoseconds: 0 });
+    });
+  });
+  
+  describe('edit conflicts', () => {
+    it('should apply server content and make it the new base', () => {
+      note.applyServerContent('<p>theirs</p>', { seconds: 200, nanoseconds: 0 });
+      
+      expect(note.content).toBe('<p>theirs</p>');
+      expect(note.baseContent).toBe('<p>theirs</p>');
+      expect(note.baseUpdatedAt).toEqual({ seconds: 200, nanoseconds: 0 });
+      expect(note.richEditor.getContent()).toBe('<p>theirs</p>');
+    });
+    
+    it('should keep the base version while a write is pending', () => {
+      note.setBaseVersion('<p>mine</p>', null);
+      
+      expect(note.baseContent).toBe('<p>mine</p>');
+      expect(note.baseUpdatedAt).toEqual({ seconds: 100, nanoseconds: 0 });
+    });
+    
+    it('should show the conflict prompt once and hold saves while it is open', () => {
+      jest.useFakeTimers();
+      note.handleEditorChange('<p>mine</p>');
+      note.showConflict('<p>theirs</p>');
+      note.showConflict('<p>theirs again</p>');
+      jest.advanceTimersByTime(1000);
+      jest.useRealTimers();
+      
+      expect(note.element.querySelectorAll('.sn-conflict-banner')).toHaveLength(1);
+      expect(note.conflictContent).toBe('<p>theirs again</p>');
+      expect(onSave).not.toHaveBeenCalled();
+    });
+    
+    it('should take their version without saving', () => {
+      note.handleEditorChange('<p>mine</p>');
+      note.showConflict('<p>theirs</p>');
+      
+      note.element.querySelector('.sn-conflict-btn[data-choice="theirs"]').click();
+      
+      expect(note.content).toBe('<p>theirs</p>');
+      expect(note.element.querySelector('.sn-conflict-banner')).toBeNull();
+      expect(onSave).not.toHaveBeenCalled();
+    });
+    
+    it('should keep my version and save it on top of theirs', () => {
+      note.handleEditorChange('<p>mine</p>');
+      note.showConflict('<p>theirs</p>', undefined, { seconds: 200, nanoseconds: 0 });
+      
+      note.resolveConflict('mine');
+      
+      expect(note.content).toBe('<p>mine</p>');
+      expect(onSave).toHaveBeenCalledWith('<p>mine</p>', '<p>theirs</p>', { seconds: 200, nanoseconds: 0 });
+      expect(note.baseContent).toBe('<p>mine</p>');
+    });
+    
+    it('should merge both versions and save the result', () => {
+      note.applyServerContent('<p>one</p><p>two</p>');
+      note.handleEditorChange('<p>one!</p><p>two</p>');
+      note.showConflict('<p>one</p><p>two?</p>');
+      
+      note.resolveConflict('merge');
+      
+      expect(note.content).toBe('<p>one!</p><p>two?</p>');
+      expect(note.richEditor.getContent()).toBe('<p>one!</p><p>two?</p>');
+      expect(onSave).toHaveBeenCalledWith('<p>one!</p><p>two?</p>', '<p>one</p><p>two?</p>', { seconds: 100, nanoseconds: 0 });
+    });
+    
+    it('should merge against the original base after a rejected save', () => {
+      note.handleEditorChange('<p>mine</p>');
+      note.saveContent();
+      
+      note.showConflict('<p>theirs</p>', 'Test content');
+      
+      expect(note.baseContent).toBe('Test content');
+    });
   });
   
   describe('handleDelete', () => {
@@ -971,6 +1086,66 @@ describe('StickyNote', () => {
     });
   });
   
+  describe('creation screenshot', () => {
+    const localThis = {};
+    
+    beforeEach(() => {
+      localThis.screenshot = { id: 'shot-1', storage: 'local', width: 400, height: 300 };
+      chrome.runtime.sendMessage.mockResolvedValueOnce({ success: true, src: 'data:image/jpeg;base64,abc' });
+      localThis.note = new StickyNote({
+        id: 'screenshot-note',
+        anchor,
+        container,
+        content: '',
+        theme: 'yellow',
+        position: { anchor: 'top-right' },
+        screenshot: localThis.screenshot
+      });
+      container.appendChild(localThis.note.element);
+      localThis.thumb = localThis.note.element.querySelector('.sn-note-screenshot');
+    });
+    
+    afterEach(() => {
+      localThis.note.destroy();
+    });
+    
+    it('should not render a thumbnail for notes without a screenshot', () => {
+      expect(note.element.querySelector('.sn-note-screenshot')).toBeNull();
+    });
+    
+    it('should load the image through the background and show it once loaded', async () => {
+      await Promise.resolve();
+      await Promise.resolve();
+      
+      expect(chrome.runtime.sendMessage).toHaveBeenCalledWith({
+        action: 'getNoteScreenshot',
+        screenshot: localThis.screenshot
+      });
+      const img = localThis.thumb.querySelector('.sn-note-screenshot-img');
+      expect(img.src).toBe('data:image/jpeg;base64,abc');
+      expect(localThis.thumb.classList.contains('sn-hidden')).toBe(true);
+      
+      img.dispatchEvent(new Event('load'));
+      expect(localThis.thumb.classList.contains('sn-hidden')).toBe(false);
+    });
+    
+    it('should keep the thumbnail hidden when the screenshot is gone', async () => {
+      chrome.runtime.sendMessage.mockResolvedValueOnce({ success: false, error: 'screenshotNotFound' });
+      
+      await localThis.note.loadScreenshot();
+      
+      expect(localThis.thumb.classList.contains('sn-hidden')).toBe(true);
+    });
+    
+    it('should toggle between thumbnail and full size', () => {
+      localThis.thumb.click();
+      expect(localThis.thumb.getAttribute('aria-expanded')).toBe('true');
+      
+      localThis.thumb.click();
+      expect(localThis.thumb.getAttribute('aria-expanded')).toBe('false');
+    });
+  });
+  
   describe('context invalidation checks', () => {
     it('should detect when chrome.runtime.sendMessage is undefined', () => {
       const localThis = {};
@@ -1893,6 +2068,134 @@ describe('StickyNote', () => {
     });
   });
   
+  describe('text anchoring', () => {
+    it('should position against the text range when set', () => {
+      const localThis = {};
+      localThis.range = document.createRange();
+      localThis.range.selectNodeContents(anchor);
+      localThis.range.getBoundingClientRect = jest.fn(() => ({ left: 40, top: 60, right: 90, bottom: 80, width: 50, height: 20 }));
+      
+      note.setTextRange(localThis.range);
+      
+      expect(note.textRange).toBe(localThis.range);
+      expect(note.getAnchorRect().left).toBe(40);
+    });
+    
+    it('should fall back to the anchor rect for empty ranges', () => {
+      const localThis = {};
+      localThis.range = document.createRange();
+      localThis.range.selectNodeContents(anchor);
+      localThis.range.getBoundingClientRect = jest.fn(() => ({ left: 0, top: 0, width: 0, height: 0 }));
+      
+      note.setTextRange(localThis.range);
+      
+      expect(note.getAnchorRect().width).toBe(100);
+    });
+    
+    it('should clear the text range when the anchor changes', () => {
+      const localThis = {};
+      localThis.range = document.createRange();
+      localThis.range.selectNodeContents(anchor);
+      note.setTextRange(localThis.range);
+      
+      note.updateAnchor(document.createElement('div'));
+      
+      expect(note.textRange).toBeNull();
+      expect(note.textHighlight).toBeNull();
+    });
+    
+    it('should show the selected text in the metadata panel', () => {
+      const localThis = {};
+      localThis.note = new StickyNote({
+        id: 'text-note',
+        anchor: anchor,
+        selector: '#anchor-element',
+        textAnchor: { exact: 'Anchor', prefix: '', suffix: ' Content', start: 0, end: 6 }
+      });
+      
+      const quote = localThis.note.element.querySelector('.sn-metadata-quote');
+      expect(quote).not.toBeNull();
+      expect(quote.textContent).toBe('Anchor');
+      
+      localThis.note.destroy();
+    });
+  });
+  
+  describe('region anchoring', () => {
+    const region = { x: 10, y: 20, width: 50, height: 25 };
+    
+    it('should position against the region of the anchor', () => {
+      const localThis = {};
+      localThis.note = new StickyNote({ id: 'region-note', anchor, anchorRegion: region });
+      
+      expect(localThis.note.region).toEqual(region);
+      expect(localThis.note.getAnchorRect()).toEqual({ left: 10, top: 20, right: 60, bottom: 45, width: 50, height: 25 });
+      
+      localThis.note.destroy();
+    });
+    
+    it('should draw the region next to the note while visible', () => {
+      const localThis = {};
+      localThis.note = new StickyNote({ id: 'region-note', anchor, anchorRegion: region });
+      container.appendChild(localThis.note.element);
+      
+      localThis.note.show();
+      
+      const outline = container.querySelector('.sn-region-highlight');
+      expect(outline).not.toBeNull();
+      expect(outline.style.display).toBe('block');
+      expect(outline.style.left).toBe('10px');
+      expect(outline.style.width).toBe('50px');
+      
+      localThis.note.hide();
+      expect(outline.style.display).toBe('none');
+      
+      localThis.note.destroy();
+      expect(container.querySelector('.sn-region-highlight')).toBeNull();
+    });
+    
+    it('should not draw a region for notes without one', () => {
+      note.show();
+      
+      expect(note.regionElement).toBeNull();
+      expect(container.querySelector('.sn-region-highlight')).toBeNull();
+    });
+    
+    it('should keep the region when the same element is re-rendered', () => {
+      const localThis = {};
+      localThis.note = new StickyNote({ id: 'region-note', anchor, anchorRegion: region });
+      
+      localThis.note.updateAnchor(document.createElement('canvas'));
+      
+      expect(localThis.note.region).toEqual(region);
+      
+      localThis.note.destroy();
+    });
+    
+    it('should switch to the region of a responsive anchor', () => {
+      const localThis = {};
+      localThis.note = new StickyNote({ id: 'region-note', anchor, anchorRegion: region });
+      
+      localThis.note.switchAnchor(document.createElement('div'));
+      
+      expect(localThis.note.region).toBeNull();
+      expect(localThis.note.anchorRegion).toEqual(region);
+      
+      localThis.note.destroy();
+    });
+    
+    it('should show the region in the metadata panel', () => {
+      const localThis = {};
+      localThis.note = new StickyNote({ id: 'region-note', anchor, selector: 'canvas', anchorRegion: region });
+      
+      const value = localThis.note.element.querySelector('.sn-metadata-region');
+      expect(value).not.toBeNull();
+      expect(value.textContent).toBe('10%, 20% · 50% × 25%');
+      
+      localThis.note.destroy();
+    });
+  });
+  
   describe('updateAnchor', () => {
     it('should update anchor element', () => {
       const localThis = {};
@@ -2019,6 +2322,221 @@ describe('StickyNote', () => {
     });
   });
 
+  describe('renderAnchorHistory', () => {
+    it('should return empty string without anchor history', () => {
+      const plainNote = new StickyNote({ id: 'no-history', anchor, content: '' });
+      
+      expect(plainNote.renderAnchorHistory()).toBe('');
+      
+      plainNote.destroy();
+    });
+    
+    it('should list previous selectors newest first with user and confidence', () => {
+      const historyNote = new StickyNote({
+        id: 'with-history',
+        anchor,
+        selector: '#current',
+        content: '',
+        anchorHistory: [
+          { selector: '#first', confidence: 60, replacedAt: Date.now() - 60000, replacedBy: 'dev@example.com' },
+          { selector: '#second', confidence: 90, replacedAt: Date.now(), replacedBy: null }
+        ]
+      });
+      
+      const items = historyNote.element.querySelectorAll('.sn-anchor-history-item');
+      expect(items).toHaveLength(2);
+      expect(items[0].querySelector('.sn-anchor-history-selector').textContent).toBe('#second');
+      expect(items[1].querySelector('.sn-anchor-history-selector').textContent).toBe('#first');
+      expect(items[1].querySelector('.sn-anchor-history-details').textContent).toContain('dev@example.com');
+      expect(items[1].querySelector('.sn-anchor-history-details').textContent).toContain('anchorHistoryConfidence');
+      
+      historyNote.destroy();
+    });
+    
+    it('should toggle the history list', () => {
+      const historyNote = new StickyNote({
+        id: 'toggle-history',
+        anchor,
+        selector: '#current',
+        content: '',
+        anchorHistory: [{ selector: '#first', confidence: 60, replacedAt: Date.now() }]
+      });
+      const toggle = historyNote.element.querySelector('.sn-anchor-history-toggle');
+      const list = historyNote.element.querySelector('.sn-anchor-history-list');
+      
+      toggle.click();
+      
+      expect(list.classList.contains('sn-hidden')).toBe(false);
+      expect(toggle.getAttribute('aria-expanded')).toBe('true');
+      
+      toggle.click();
+      
+      expect(list.classList.contains('sn-hidden')).toBe(true);
+      
+      historyNote.destroy();
+    });
+    
+    it('should escape selectors in history entries', () => {
+      const historyNote = new StickyNote({
+        id: 'escape-history',
+        anchor,
+        selector: '#current',
+        content: '',
+        anchorHistory: [{ selector: '<img src=x>', replacedAt: Date.now() }]
+      });
+      
+      expect(historyNote.renderAnchorHistory()).not.toContain('<img');
+      
+      historyNote.destroy();
+    });
+  });
+
+  describe('test locators', () => {
+    const locators = {
+      xpath: '//*[@id="anchor-element"]',
+      playwright: 'page.locator(\'#anchor-element\')',
+      cypress: 'cy.get(\'#anchor-element\')'
+    };
+    
+    it('should render locator rows with copy buttons when the metadata panel opens', () => {
+      const getLocators = jest.fn(() => locators);
+      const locatorNote = new StickyNote({ id: 'locators', anchor, selector: '#anchor-element', content: '', getLocators });
+      
+      expect(getLocators).not.toHaveBeenCalled();
+      
+      locatorNote.element.querySelector('.sn-metadata-toggle').click();
+      
+      expect(getLocators).toHaveBeenCalledWith(anchor);
+      const rows = locatorNote.element.querySelectorAll('.sn-metadata-locators .sn-metadata-row');
+      expect(rows).toHaveLength(3);
+      expect(rows[0].querySelector('.sn-metadata-label').textContent).toBe('XPath');
+      expect(rows[1].querySelector('.sn-metadata-copy-btn').dataset.copyValue).toBe(locators.playwright);
+      expect(rows[2].querySelector('.sn-metadata-locator').textContent).toBe(locators.cypress);
+      
+      locatorNote.destroy();
+    });
+    
+    it('should copy a locator from its row', async () => {
+      const locatorNote = new StickyNote({ id: 'copy-locator', anchor, selector: '#anchor-element', content: '', getLocators: () => locators });
+      container.appendChild(locatorNote.element);
+      locatorNote.renderLocators();
+      
+      await locatorNote.element.querySelector(`.sn-metadata-locators [data-copy-value="${locators.xpath.replace(/"/g, '\\"')}"]`).click();
+      
+      expect(navigator.clipboard.writeText).toHaveBeenCalledWith(locators.xpath);
+      
+      locatorNote.destroy();
+    });
+    
+    it('should skip missing locators and notes without an anchor', () => {
+      const partialNote = new StickyNote({ id: 'partial', anchor, selector: '#anchor-element', content: '', getLocators: () => ({ ...locators, xpath: null }) });
+      partialNote.renderLocators();
+      
+      expect(partialNote.element.querySelectorAll('.sn-metadata-locators .sn-metadata-row')).toHaveLength(2);
+      
+      partialNote.anchor = null;
+      partialNote.renderLocators();
+      
+      expect(partialNote.element.querySelector('.sn-metadata-locators').children).toHaveLength(0);
+      
+      partialNote.destroy();
+    });
+    
+    it('should include locators in the copied bug report', async () => {
+      const locatorNote = new StickyNote({ id: 'report-locators', anchor, selector: '#anchor-element', content: 'Bug', getLocators: () => locators });
+      container.appendChild(locatorNote.element);
+      
+      await locatorNote.handleCopyMarkdown({ stopPropagation: jest.fn() });
+      
+      const markdown = navigator.clipboard.writeText.mock.calls.at(-1)[0];
+      expect(markdown).toContain(`- **Cypress:** \`${locators.cypress}\``);
+
+      locatorNote.destroy();
+    });
+  });
+
+  describe('breakpoints', () => {
+    const localThis = {};
+
+    beforeEach(() => {
+      localThis.originalInnerWidth = global.innerWidth;
+      global.innerWidth = 375;
+      localThis.onRecordResponsiveAnchor = jest.fn();
+      localThis.onVerifyBreakpoint = jest.fn();
+      localThis.note = new StickyNote({
+        id: 'breakpoint-note',
+        anchor,
+        selector: '#anchor-element',
+        content: '',
+        responsiveAnchors: [{ breakpoint: 'mobile', minWidth: 0, maxWidth: 767, selector: '#burger' }],
+        verifiedBreakpoints: { desktop: { verifiedAt: Date.now(), width: 1440 } },
+        onRecordResponsiveAnchor: localThis.onRecordResponsiveAnchor,
+        onVerifyBreakpoint: localThis.onVerifyBreakpoint
+      });
+    });
+
+    afterEach(() => {
+      global.innerWidth = localThis.originalInnerWidth;
+      localThis.note.destroy();
+    });
+
+    it('should render a chip per breakpoint when the metadata panel opens', () => {
+      expect(localThis.note.element.querySelectorAll('.sn-breakpoint-chip')).toHaveLength(0);
+
+      localThis.note.element.querySelector('.sn-metadata-toggle').click();
+
+      const chips = localThis.note.element.querySelectorAll('.sn-breakpoint-chip');
+      expect([...chips].map(chip => chip.dataset.breakpoint)).toEqual(['mobile', 'tablet', 'desktop']);
+      expect(chips[0].classList.contains('sn-breakpoint-current')).toBe(true);
+      expect(chips[0].classList.contains('sn-breakpoint-has-anchor')).toBe(true);
+      expect(chips[0].classList.contains('sn-breakpoint-verified')).toBe(false);
+      expect(chips[2].classList.contains('sn-breakpoint-verified')).toBe(true);
+      expect(chips[0].title).toContain('breakpointAnchor');
+    });
+
+    it('should call the breakpoint callbacks from the action buttons', () => {
+      localThis.note.renderBreakpoints();
+
+      localThis.note.element.querySelector('.sn-breakpoint-anchor-btn').click();
+      localThis.note.element.querySelector('.sn-breakpoint-verify-btn').click();
+
+      expect(localThis.onRecordResponsiveAnchor).toHaveBeenCalled();
+      expect(localThis.onVerifyBreakpoint).toHaveBeenCalled();
+    });
+
+    it('should re-render open chips when breakpoints change', () => {
+      localThis.note.element.querySelector('.sn-metadata-toggle').click();
+
+      localThis.note.setResponsiveAnchors([], { mobile: { verifiedAt: Date.now(), width: 375 } });
+
+      const mobileChip = localThis.note.element.querySelector('[data-breakpoint="mobile"]');
+      expect(mobileChip.classList.contains('sn-breakpoint-verified')).toBe(true);
+      expect(mobileChip.classList.contains('sn-breakpoint-has-anchor')).toBe(false);
+    });
+
+    it('should not render breakpoints for page-level notes', () => {
+      const pageNote = new StickyNote({ id: 'page-note', anchor: null, selector: '__PAGE__', content: '' });
+
+      pageNote.renderBreakpoints();
+
+      expect(pageNote.element.querySelector('.sn-breakpoint-chip')).toBeNull();
+      pageNote.destroy();
+    });
+
+    it('should switch anchors without resetting the saved position', () => {
+      const onPositionChange = jest.fn();
+      localThis.note.onPositionChange = onPositionChange;
+      const other = document.createElement('div');
+      document.body.appendChild(other);
+
+      localThis.note.switchAnchor(other);
+
+      expect(localThis.note.anchor).toBe(other);
+      expect(onPositionChange).not.toHaveBeenCalled();
+      other.remove();
+    });
+  });
+
   describe('renderConsoleErrors', () => {
     it('should return empty string when no errors', () => {
       const localThis = {};
@@ -2360,6 +2878,513 @@ describe('StickyNote', () => {
     });
   });
 
+  describe('status', () => {
+    it('should default to open and render the badge and footer indicator', () => {
+      expect(note.status).toBe('open');
+      expect(note.element.classList.contains('sn-status-open')).toBe(true);
+      expect(note.element.querySelector('.sn-status-badge-label').textContent).toBe('statusOpen');
+      expect(note.element.querySelector('.sn-status-indicator').textContent).toBe('statusOpen');
+    });
+    
+    it('should fall back to open for unknown statuses', () => {
+      const localThis = {};
+      localThis.note = new StickyNote({ id: 'status-note', anchor, content: '', status: 'archived' });
+      
+      expect(localThis.note.status).toBe('open');
+      localThis.note.destroy();
+    });
+    
+    it('should only offer the current status and allowed transitions', () => {
+      const localThis = {};
+      localThis.note = new StickyNote({ id: 'status-note', anchor, content: '', status: 'resolved' });
+      localThis.options = Array.from(localThis.note.element.querySelectorAll('.sn-status-option'));
+      
+      expect(localThis.options.map(option => option.dataset.status)).toEqual(['resolved', 'reopened']);
+      expect(localThis.options[0].getAttribute('aria-selected')).toBe('true');
+      localThis.note.destroy();
+    });
+    
+    it('should toggle the status dropdown from the badge', () => {
+      const localThis = {};
+      localThis.badge = note.element.querySelector('.sn-status-badge');
+      localThis.dropdown = note.element.querySelector('.sn-status-dropdown');
+      
+      localThis.badge.click();
+      expect(localThis.dropdown.classList.contains('sn-hidden')).toBe(false);
+      expect(localThis.badge.getAttribute('aria-expanded')).toBe('true');
+      
+      localThis.badge.click();
+      expect(localThis.dropdown.classList.contains('sn-hidden')).toBe(true);
+    });
+    
+    it('should change status and notify when an option is selected', () => {
+      const localThis = {};
+      localThis.onStatusChange = jest.fn();
+      note.onStatusChange = localThis.onStatusChange;
+      
+      note.openStatusDropdown();
+      note.element.querySelector('[data-status="in_progress"]').click();
+      
+      expect(localThis.onStatusChange).toHaveBeenCalledWith('in_progress');
+      expect(note.status).toBe('in_progress');
+      expect(note.element.classList.contains('sn-status-in_progress')).toBe(true);
+      expect(note.element.classList.contains('sn-status-open')).toBe(false);
+      expect(note.element.querySelector('.sn-status-dropdown').classList.contains('sn-hidden')).toBe(true);
+    });
+    
+    it('should not notify when the current status is selected', () => {
+      const localThis = {};
+      localThis.onStatusChange = jest.fn();
+      note.onStatusChange = localThis.onStatusChange;
+      
+      note.openStatusDropdown();
+      note.element.querySelector('[data-status="open"]').click();
+      
+      expect(localThis.onStatusChange).not.toHaveBeenCalled();
+    });
+    
+    it('should select a status with the keyboard', () => {
+      const localThis = {};
+      localThis.onStatusChange = jest.fn();
+      note.onStatusChange = localThis.onStatusChange;
+      
+      note.openStatusDropdown();
+      note.element.querySelector('[data-status="resolved"]')
+        .dispatchEvent(new KeyboardEvent('keydown', { key: 'Enter', bubbles: true }));
+      
+      expect(localThis.onStatusChange).toHaveBeenCalledWith('resolved');
+    });
+    
+    it('should close the status dropdown on Escape', () => {
+      note.openStatusDropdown();
+      note.element.querySelector('.sn-status-option')
+        .dispatchEvent(new KeyboardEvent('keydown', { key: 'Escape', bubbles: true }));
+      
+      expect(note.element.querySelector('.sn-status-dropdown').classList.contains('sn-hidden')).toBe(true);
+    });
+    
+    it('should close the status dropdown when clicking outside', () => {
+      note.openStatusDropdown();
+      document.body.click();
+      
+      expect(note.element.querySelector('.sn-status-dropdown').classList.contains('sn-hidden')).toBe(true);
+    });
+    
+    it('should update badge, indicator and options in setStatus', () => {
+      note.setStatus('resolved');
+      
+      expect(note.element.querySelector('.sn-status-badge').classList.contains('sn-status-resolved')).toBe(true);
+      expect(note.element.querySelector('.sn-status-indicator').textContent).toBe('statusResolved');
+      expect(Array.from(note.element.querySelectorAll('.sn-status-option')).map(option => option.dataset.status))
+        .toEqual(['resolved', 'reopened']);
+    });
+  });
+
+  describe('assignment', () => {
+    it('should render no header chips for unassigned notes without a due date', () => {
+      expect(note.element.querySelector('.sn-note-header-assignment').innerHTML).toBe('');
+      expect(note.element.querySelector('.sn-assignee-select').value).toBe('');
+      expect(note.element.querySelector('.sn-due-date-input').value).toBe('');
+    });
+    
+    it('should show the assignee and due date in the header', () => {
+      const localThis = {};
+      localThis.note = new StickyNote({
+        id: 'assigned-note',
+        anchor,
+        content: '',
+        ownerEmail: 'owner@example.com',
+        sharedWith: ['dev@example.com'],
+        assignee: 'dev@example.com',
+        dueDate: '2999-01-01'
+      });
+      
+      expect(localThis.note.element.querySelector('.sn-assignee-chip').textContent).toBe('dev');
+      expect(localThis.note.element.querySelector('.sn-due-chip').classList.contains('sn-overdue')).toBe(false);
+      expect(localThis.note.element.querySelector('.sn-assignee-select').value).toBe('dev@example.com');
+      expect(localThis.note.element.querySelector('.sn-due-date-input').value).toBe('2999-01-01');
+      localThis.note.destroy();
+    });
+    
+    it('should flag overdue notes until they are resolved', () => {
+      const localThis = {};
+      localThis.note = new StickyNote({ id: 'late-note', anchor, content: '', dueDate: '2000-01-01' });
+      
+      expect(localThis.note.element.querySelector('.sn-due-chip').classList.contains('sn-overdue')).toBe(true);
+      
+      localThis.note.setStatus('resolved');
+      expect(localThis.note.element.querySelector('.sn-due-chip').classList.contains('sn-overdue')).toBe(false);
+      localThis.note.destroy();
+    });
+    
+    it('should offer the owner and collaborators as assignees', () => {
+      const localThis = {};
+      localThis.note = new StickyNote({
+        id: 'shared-note',
+        anchor,
+        content: '',
+        ownerEmail: 'owner@example.com',
+        sharedWith: ['dev@example.com', 'qa@example.com']
+      });
+      localThis.values = Array.from(localThis.note.element.querySelectorAll('.sn-assignee-select option')).map(option => option.value);
+      
+      expect(localThis.values).toEqual(['', 'owner@example.com', 'dev@example.com', 'qa@example.com']);
+      localThis.note.destroy();
+    });
+    
+    it('should notify when the assignee changes', () => {
+      const localThis = {};
+      localThis.onAssignmentChange = jest.fn();
+      localThis.note = new StickyNote({
+        id: 'shared-note',
+        anchor,
+        content: '',
+        ownerEmail: 'owner@example.com',
+        sharedWith: ['dev@example.com'],
+        onAssignmentChange: localThis.onAssignmentChange
+      });
+      localThis.select = localThis.note.element.querySelector('.sn-assignee-select');
+      
+      localThis.select.value = 'dev@example.com';
+      localThis.select.dispatchEvent(new Event('change'));
+      
+      expect(localThis.onAssignmentChange).toHaveBeenCalledWith({ assignee: 'dev@example.com' });
+      expect(localThis.note.assignee).toBe('dev@example.com');
+      expect(localThis.note.element.querySelector('.sn-assignee-chip').textContent).toBe('dev');
+      localThis.note.destroy();
+    });
+    
+    it('should notify when the due date changes or is cleared', () => {
+      const localThis = {};
+      localThis.onAssignmentChange = jest.fn();
+      note.onAssignmentChange = localThis.onAssignmentChange;
+      localThis.input = note.element.querySelector('.sn-due-date-input');
+      
+      localThis.input.value = '2999-06-30';
+      localThis.input.dispatchEvent(new Event('change'));
+      localThis.input.value = '';
+      localThis.input.dispatchEvent(new Event('change'));
+      
+      expect(localThis.onAssignmentChange).toHaveBeenNthCalledWith(1, { dueDate: '2999-06-30' });
+      expect(localThis.onAssignmentChange).toHaveBeenNthCalledWith(2, { dueDate: null });
+      expect(note.element.querySelector('.sn-due-chip')).toBeNull();
+    });
+    
+    it('should refresh assignee options when collaborators change', () => {
+      note.setSharedWith(['new@example.com']);
+      
+      expect(note.element.querySelector('.sn-assignee-select option[value="new@example.com"]')).not.toBeNull();
+    });
+  });
+
+  describe('attachments', () => {
+    const attachment = { id: 'attachment-1', name: 'spec.pdf', type: 'application/pdf', size: 1200, storage: 'local' };
+    
+    it('should list the note attachments under the editor', () => {
+      const localThis = {};
+      localThis.note = new StickyNote({ id: 'attached-note', anchor, content: '', attachments: [attachment, { id: 'bad' }] });
+      
+      expect(localThis.note.attachments).toEqual([attachment]);
+      expect(localThis.note.element.querySelector('.sn-note-editor-container .sn-attachment-name').textContent).toBe('spec.pdf');
+      expect(localThis.note.richEditor.toolbar.querySelector('[data-command="attachFile"]')).not.toBeNull();
+      localThis.note.destroy();
+    });
+    
+    it('should upload attached files and notify', async () => {
+      const localThis = {};
+      localThis.onAttachmentsChange = jest.fn();
+      note.onAttachmentsChange = localThis.onAttachmentsChange;
+      chrome.runtime.sendMessage.mockResolvedValueOnce({ success: true, attachment });
+      
+      await note.handleAttachFiles([new File(['%PDF'], 'spec.pdf', { type: 'application/pdf' })]);
+      
+      expect(note.attachments).toEqual([attachment]);
+      expect(localThis.onAttachmentsChange).toHaveBeenCalledWith([attachment], []);
+      expect(note.attachmentList.hasPending()).toBe(false);
+    });
+    
+    it('should show an error for files that cannot be attached', async () => {
+      const localThis = {};
+      localThis.toastSpy = jest.spyOn(note, 'showToast').mockImplementation(() => {});
+      localThis.onAttachmentsChange = jest.fn();
+      note.onAttachmentsChange = localThis.onAttachmentsChange;
+      
+      await note.handleAttachFiles([new File(['x'], 'setup.exe', { type: 'application/x-msdownload' })]);
+      
+      expect(localThis.toastSpy).toHaveBeenCalledWith('attachmentTypeNotAllowed', 'error');
+      expect(localThis.onAttachmentsChange).not.toHaveBeenCalled();
+    });
+    
+    it('should show an error when the upload fails', async () => {
+      const localThis = {};
+      localThis.toastSpy = jest.spyOn(note, 'showToast').mockImplementation(() => {});
+      chrome.runtime.sendMessage.mockResolvedValueOnce({ success: false, error: 'Quota exceeded' });
+      
+      await note.handleAttachFiles([new File(['%PDF'], 'spec.pdf', { type: 'application/pdf' })]);
+      
+      expect(localThis.toastSpy).toHaveBeenCalledWith('failedToUploadAttachment', 'error');
+      expect(note.attachments).toEqual([]);
+    });
+    
+    it('should remove an attachment and report it as removed', () => {
+      const localThis = {};
+      localThis.onAttachmentsChange = jest.fn();
+      note.onAttachmentsChange = localThis.onAttachmentsChange;
+      note.setAttachments([attachment]);
+      
+      note.element.querySelector('.sn-attachment-remove').click();
+      
+      expect(note.attachments).toEqual([]);
+      expect(localThis.onAttachmentsChange).toHaveBeenCalledWith([], [attachment]);
+    });
+  });
+  
+  describe('reactions', () => {
+    const user = { uid: 'user-1', email: 'user@example.com' };
+    
+    it('should render the note\'s reactions', () => {
+      const localThis = {};
+      localThis.note = new StickyNote({ id: 'reacted-note', anchor, content: '', user, reactions: { 'user-2': ['eyes'], 'user-1': ['eyes'] } });
+      
+      localThis.chip = localThis.note.element.querySelector('.sn-reaction[data-reaction="eyes"]');
+      expect(localThis.chip.querySelector('.sn-reaction-count').textContent).toBe('2');
+      expect(localThis.chip.getAttribute('aria-pressed')).toBe('true');
+      localThis.note.destroy();
+    });
+    
+    it('should save a toggled reaction', async () => {
+      const localThis = {};
+      localThis.onToggleReaction = jest.fn().mockResolvedValue({ 'user-1': ['check'] });
+      localThis.note = new StickyNote({ id: 'reacted-note', anchor, content: '', user, onToggleReaction: localThis.onToggleReaction });
+      
+      localThis.note.element.querySelector('.sn-reaction-option[data-reaction="check"]').click();
+      await Promise.resolve();
+      
+      expect(localThis.onToggleReaction).toHaveBeenCalledWith('check');
+      localThis.note.destroy();
+    });
+    
+    it('should tell the user when a reaction could not be saved', async () => {
+      const localThis = {};
+      localThis.note = new StickyNote({
+        id: 'reacted-note', anchor, content: '', user,
+        onToggleReaction: jest.fn().mockRejectedValue(new Error('offline'))
+      });
+      localThis.toastSpy = jest.spyOn(localThis.note, 'showToast').mockImplementation(() => {});
+      
+      await expect(localThis.note.handleToggleReaction('check')).rejects.toThrow('offline');
+      expect(localThis.toastSpy).toHaveBeenCalledWith('failedToReact', 'error');
+      localThis.note.destroy();
+    });
+    
+    it('should update reactions and the user', () => {
+      note.setReactions({ 'user-2': ['heart', 'party'] });
+      
+      expect(note.reactions).toEqual({ 'user-2': ['heart'] });
+      expect(note.element.querySelector('.sn-reaction[data-reaction="heart"]').disabled).toBe(true);
+      
+      note.setUser(user);
+      expect(note.element.querySelector('.sn-reaction[data-reaction="heart"]').disabled).toBe(false);
+    });
+  });
+  
+  describe('drawings', () => {
+    const shape = { id: 'shape-1', tool: 'rect', color: 'red', points: [10, 10, 60, 40] };
+    
+    it('should draw saved shapes relative to the anchor while the note is visible', () => {
+      const localThis = {};
+      localThis.note = new StickyNote({ id: 'drawn-note', anchor, content: '', drawings: [shape] });
+      container.appendChild(localThis.note.element);
+      jest.spyOn(localThis.note, 'getAnchorRect').mockReturnValue({ left: 100, top: 200, width: 50, height: 20 });
+      
+      localThis.note.show();
+      
+      localThis.layer = container.querySelector('.sn-drawing-layer');
+      expect(localThis.layer.classList.contains('sn-hidden')).toBe(false);
+      expect(localThis.layer.querySelector('.sn-drawing-canvas > g').getAttribute('transform')).toBe('translate(100 200)');
+      expect(localThis.layer.querySelector('[data-tool="rect"]').getAttribute('width')).toBe('50');
+      
+      localThis.note.hide();
+      expect(localThis.layer.classList.contains('sn-hidden')).toBe(true);
+      
+      localThis.note.destroy();
+      expect(container.querySelector('.sn-drawing-layer')).toBeNull();
+    });
+    
+    it('should not create a layer for notes without drawings', () => {
+      note.show();
+      
+      expect(note.drawingLayer).toBeNull();
+    });
+    
+    it('should toggle drawing mode from the header and save the shapes', () => {
+      const localThis = {};
+      localThis.onDrawingsChange = jest.fn();
+      note.onDrawingsChange = localThis.onDrawingsChange;
+      note.show();
+      localThis.drawBtn = note.element.querySelector('.sn-draw-btn');
+      
+      localThis.drawBtn.click();
+      expect(note.drawingLayer.isDrawing).toBe(true);
+      expect(localThis.drawBtn.getAttribute('aria-pressed')).toBe('true');
+      
+      note.drawingLayer.shapes = [shape];
+      localThis.drawBtn.click();
+      
+      expect(note.drawingLayer.isDrawing).toBe(false);
+      expect(localThis.drawBtn.getAttribute('aria-pressed')).toBe('false');
+      expect(localThis.onDrawingsChange).toHaveBeenCalledWith([shape]);
+      expect(note.drawings).toEqual([shape]);
+    });
+    
+    it('should replace the shapes from a collaborator', () => {
+      note.show();
+      
+      note.setDrawings([shape]);
+      
+      expect(note.drawingLayer.getShapes()).toEqual([shape]);
+      expect(container.querySelectorAll('.sn-drawing-shape')).toHaveLength(1);
+    });
+    
+    it('should keep the drawings in the page while copying a screenshot', async () => {
+      const localThis = {};
+      note.show();
+      note.setDrawings([shape]);
+      chrome.runtime.sendMessage.mockImplementationOnce(() => {
+        localThis.layerHidden = note.drawingLayer.element.classList.contains('sn-hidden');
+        return Promise.resolve({ success: false });
+      });
+      jest.spyOn(note, 'showToast').mockImplementation(() => {});
+      
+      await note.handleScreenshot({ stopPropagation: () => {} });
+      
+      expect(localThis.layerHidden).toBe(false);
+      expect(note.isVisible).toBe(true);
+    });
+  });
+  
+  describe('tags', () => {
+    it('should render existing tags as chips', () => {
+      const localThis = {};
+      localThis.note = new StickyNote({ id: 'tagged-note', anchor, content: '', tags: ['a11y', 'copy'] });
+      localThis.labels = Array.from(localThis.note.element.querySelectorAll('.sn-tag-label')).map(label => label.textContent);
+      
+      expect(localThis.labels).toEqual(['#a11y', '#copy']);
+      localThis.note.destroy();
+    });
+    
+    it('should add a normalized tag on Enter and notify', () => {
+      const localThis = {};
+      localThis.onTagsChange = jest.fn();
+      note.onTagsChange = localThis.onTagsChange;
+      localThis.input = note.element.querySelector('.sn-tag-input');
+      
+      localThis.input.value = '#Regression';
+      localThis.input.dispatchEvent(new KeyboardEvent('keydown', { key: 'Enter', bubbles: true }));
+      
+      expect(localThis.onTagsChange).toHaveBeenCalledWith(['regression']);
+      expect(localThis.input.value).toBe('');
+      expect(note.element.querySelector('.sn-tag-remove').dataset.tag).toBe('regression');
+    });
+    
+    it('should ignore duplicate tags', () => {
+      const localThis = {};
+      localThis.onTagsChange = jest.fn();
+      note.onTagsChange = localThis.onTagsChange;
+      note.setTags(['copy']);
+      
+      expect(note.addTag('COPY')).toBe(false);
+      expect(localThis.onTagsChange).not.toHaveBeenCalled();
+    });
+    
+    it('should warn about invalid tags and the tag limit', () => {
+      const localThis = {};
+      localThis.showToastSpy = jest.spyOn(note, 'showToast');
+      
+      expect(note.addTag('no <html>')).toBe(false);
+      expect(localThis.showToastSpy).toHaveBeenCalledWith('invalidTag', 'error');
+      
+      note.setTags(Array.from({ length: 10 }, (_, index) => `tag${index}`));
+      expect(note.addTag('one-more')).toBe(false);
+      expect(localThis.showToastSpy).toHaveBeenCalledWith('tooManyTags', 'error');
+      localThis.showToastSpy.mockRestore();
+    });
+    
+    it('should remove a tag from its chip button', () => {
+      const localThis = {};
+      localThis.onTagsChange = jest.fn();
+      note.onTagsChange = localThis.onTagsChange;
+      note.setTags(['a11y', 'copy']);
+      
+      note.element.querySelector('.sn-tag-remove[data-tag="a11y"]').click();
+      
+      expect(localThis.onTagsChange).toHaveBeenCalledWith(['copy']);
+      expect(note.element.querySelectorAll('.sn-tag')).toHaveLength(1);
+    });
+    
+    it('should remove the last tag on Backspace in an empty input', () => {
+      note.setTags(['a11y', 'copy']);
+      
+      note.element.querySelector('.sn-tag-input').dispatchEvent(new KeyboardEvent('keydown', { key: 'Backspace', bubbles: true }));
+      
+      expect(note.tags).toEqual(['a11y']);
+    });
+  });
+
+  describe('version history', () => {
+    it('should render the history section before the footer', () => {
+      const localThis = {};
+      localThis.history = note.element.querySelector('.sn-revision-history');
+      
+      expect(localThis.history).not.toBeNull();
+      expect(localThis.history.nextElementSibling.classList.contains('sn-note-footer')).toBe(true);
+    });
+    
+    it('should replace the content and drop a pending save on restore', async () => {
+      const localThis = {};
+      localThis.onSave = jest.fn();
+      note.onSave = localThis.onSave;
+      note.onRestoreRevision = jest.fn().mockResolvedValue('<p>restored</p>');
+      localThis.showToastSpy = jest.spyOn(note, 'showToast');
+      
+      jest.useFakeTimers();
+      note.handleEditorChange('<p>unsaved</p>');
+      
+      localThis.restored = await note.handleRestoreRevision('rev-1', false);
+      jest.runAllTimers();
+      jest.useRealTimers();
+      
+      expect(localThis.restored).toBe(true);
+      expect(note.onRestoreRevision).toHaveBeenCalledWith(note.id, 'rev-1', false);
+      expect(note.content).toBe('<p>restored</p>');
+      expect(note.richEditor.getContent()).toBe('<p>restored</p>');
+      expect(localThis.onSave).not.toHaveBeenCalled();
+      expect(localThis.showToastSpy).toHaveBeenCalledWith('versionRestored');
+      localThis.showToastSpy.mockRestore();
+    });
+    
+    it('should keep the content when the restore fails', async () => {
+      const localThis = {};
+      localThis.content = note.content;
+      note.onRestoreRevision = jest.fn().mockRejectedValue(new Error('offline'));
+      localThis.showToastSpy = jest.spyOn(note, 'showToast');
+      
+      expect(await note.handleRestoreRevision('rev-1')).toBe(false);
+      expect(note.content).toBe(localThis.content);
+      expect(localThis.showToastSpy).toHaveBeenCalledWith('failedToRestoreVersion', 'error');
+      localThis.showToastSpy.mockRestore();
+    });
+    
+    it('should pass the user to the history section', () => {
+      const localThis = {};
+      localThis.user = { uid: 'user-9', email: 'nine@example.com' };
+      
+      note.setUser(localThis.user);
+      
+      expect(note.revisionHistory.user).toBe(localThis.user);
+    });
+  });
+
   describe('copyTextToClipboard', () => {
     it('should use legacy execCommand when Clipboard API fails', async () => {
       const localThis = {};
@@ -2419,6 +3444,114 @@ describe('StickyNote', () => {
     });
   });
 
+  describe('presence', () => {
+    it('should show collaborator avatars with editors first', () => {
+      note.setPresence([
+        { displayName: 'bob', isEditing: false, isTyping: false },
+        { displayName: 'alice', isEditing: true, isTyping: false }
+      ]);
+      
+      const avatars = note.element.querySelectorAll('.sn-note-presence .sn-presence-avatar');
+      expect(avatars).toHaveLength(2);
+      expect(avatars[0].textContent).toBe('A');
+      expect(avatars[0].classList.contains('sn-presence-editing')).toBe(true);
+      expect(avatars[0].getAttribute('title')).toBe('collaboratorEditing');
+      expect(avatars[1].getAttribute('title')).toBe('collaboratorViewing');
+    });
+    
+    it('should collapse extra collaborators into a count', () => {
+      note.setPresence(['a', 'b', 'c', 'd', 'e'].map(name => ({ displayName: name })));
+      
+      expect(note.element.querySelectorAll('.sn-presence-avatar')).toHaveLength(3);
+      expect(note.element.querySelector('.sn-presence-more').getAttribute('title')).toBe('d, e');
+    });
+    
+    it('should escape collaborator names', () => {
+      note.setPresence([{ displayName: '<img src=x>', email: 'x@example.com' }]);
+      
+      expect(note.element.querySelector('.sn-note-presence img')).toBeNull();
+    });
+    
+    it('should clear the avatars when nobody is around', () => {
+      note.setPresence([{ displayName: 'alice' }]);
+      note.setPresence([]);
+      
+      expect(note.element.querySelector('.sn-note-presence').innerHTML).toBe('');
+    });
+    
+    it('should pass typing collaborators to the comment section', () => {
+      const setTypingUsers = jest.spyOn(note.commentSection, 'setTypingUsers');
+      
+      note.setPresence([
+        { displayName: 'alice', isTyping: true },
+        { email: 'bob@example.com', isTyping: true },
+        { displayName: 'carol', isTyping: false }
+      ]);
+      
+      expect(setTypingUsers).toHaveBeenCalledWith(['alice', 'bob@example.com']);
+    });
+    
+    it('should let the note owner pick answers in comment threads', () => {
+      const localThis = {};
+      localThis.onResolveThread = jest.fn();
+      localThis.onAcceptAnswer = jest.fn();
+      localThis.note = new StickyNote({
+        id: 'owned-note',
+        anchor,
+        content: '',
+        ownerId: 'user-1',
+        user: { uid: 'user-1' },
+        onResolveThread: localThis.onResolveThread,
+        onAcceptAnswer: localThis.onAcceptAnswer
+      });
+      
+      expect(localThis.note.commentSection.noteOwnerId).toBe('user-1');
+      expect(localThis.note.commentSection.onResolveThread).toBe(localThis.onResolveThread);
+      expect(localThis.note.commentSection.onAcceptAnswer).toBe(localThis.onAcceptAnswer);
+      localThis.note.destroy();
+    });
+    
+    it('should open the comments on a linked comment', async () => {
+      const showCommentSpy = jest.spyOn(note.commentSection, 'showComment').mockResolvedValue();
+      
+      await note.showComment('comment-1');
+      
+      expect(showCommentSpy).toHaveBeenCalledWith('comment-1');
+    });
+    
+    it('should offer collaborators for @mentions, named from presence when known', () => {
+      note.ownerEmail = 'Owner@example.com';
+      note.setSharedWith(['alice@example.com']);
+      note.setPresence([{ displayName: 'Alice Doe', email: 'Alice@example.com' }]);
+      
+      expect(note.getMentionCandidates()).toEqual([
+        { email: 'owner@example.com', name: 'owner' },
+        { email: 'alice@example.com', name: 'Alice Doe' }
+      ]);
+      expect(note.commentSection.getMentionCandidates()).toHaveLength(2);
+    });
+    
+    it('should report when the editor gains and loses focus', () => {
+      const onEditingChange = jest.fn();
+      note.onEditingChange = onEditingChange;
+      
+      note.richEditor.editor.dispatchEvent(new FocusEvent('focus'));
+      note.richEditor.editor.dispatchEvent(new FocusEvent('blur'));
+      
+      expect(onEditingChange.mock.calls).toEqual([['test-note-1', true], ['test-note-1', false]]);
+    });
+    
+    it('should stop reporting editing when destroyed mid-edit', () => {
+      const onEditingChange = jest.fn();
+      note.onEditingChange = onEditingChange;
+      note.richEditor.editor.dispatchEvent(new FocusEvent('focus'));
+      
+      note.destroy();
+      
+      expect(onEditingChange).toHaveBeenLastCalledWith('test-note-1', false);
+    });
+  });
+
   describe('showToast', () => {
     it('should remove existing toast before creating new one', () => {
       note.showToast('First toast');
@@ -1,4 +1,4 @@
-import { purgeExpiredSessionMarkers, calculateNoteDiff } from '../../src/content/app/SyncLogic.js';
+import { purgeExpiredSessionMarkers, calculateNoteDiff, detectContentConflict, getNotePresence, CONTENT_SYNC } from '../../src/content/app/SyncLogic.js';
 
 describe('SyncLogic', () => {
   describe('purgeExpiredSessionMarkers', () => {
@@ -88,6 +88,128 @@ describe('SyncLogic', () => {
       expect(diff.toUpdate[0].theme).toBe('blue');
     });
 
+    it('should identify notes to update (breakpoint change)', () => {
+      const currentNotes = new Map([
+        ['id1', { content: 'same', theme: 'yellow', responsiveAnchors: [], verifiedBreakpoints: {} }]
+      ]);
+      const updatedList = [{ id: 'id1', content: 'same', theme: 'yellow', verifiedBreakpoints: { mobile: { verifiedAt: 1 } } }];
+
+      const diff = calculateNoteDiff(currentNotes, updatedList, new Map());
+
+      expect(diff.toUpdate).toHaveLength(1);
+    });
+
+    it('should identify notes to update (status change)', () => {
+      const currentNotes = new Map([
+        ['id1', { content: 'same', theme: 'yellow', status: 'open' }]
+      ]);
+      const updatedList = [{ id: 'id1', content: 'same', theme: 'yellow', status: 'resolved' }];
+
+      const diff = calculateNoteDiff(currentNotes, updatedList, new Map());
+
+      expect(diff.toUpdate).toHaveLength(1);
+      expect(diff.toUpdate[0].status).toBe('resolved');
+    });
+
+    it('should treat a missing status as open', () => {
+      const currentNotes = new Map([
+        ['id1', { content: 'same', theme: 'yellow', status: 'open' }]
+      ]);
+      const updatedList = [{ id: 'id1', content: 'same', theme: 'yellow' }];
+
+      const diff = calculateNoteDiff(currentNotes, updatedList, new Map());
+
+      expect(diff.toUpdate).toEqual([]);
+    });
+
+    it('should identify notes to update (assignment change)', () => {
+      const currentNotes = new Map([
+        ['id1', { content: 'same', theme: 'yellow', assignee: null, dueDate: null, sharedWith: [] }]
+      ]);
+      const updatedList = [{ id: 'id1', content: 'same', theme: 'yellow', assignee: 'dev@example.com', sharedWith: ['dev@example.com'] }];
+
+      const diff = calculateNoteDiff(currentNotes, updatedList, new Map());
+
+      expect(diff.toUpdate).toHaveLength(1);
+    });
+
+    it('should identify notes to update (tags change)', () => {
+      const currentNotes = new Map([
+        ['id1', { content: 'same', theme: 'yellow', tags: ['a11y'] }]
+      ]);
+      const updatedList = [{ id: 'id1', content: 'same', theme: 'yellow', tags: ['a11y', 'copy'] }];
+
+      const diff = calculateNoteDiff(currentNotes, updatedList, new Map());
+
+      expect(diff.toUpdate).toHaveLength(1);
+    });
+
+    it('should identify notes to update (attachments change)', () => {
+      const currentNotes = new Map([
+        ['id1', { content: 'same', theme: 'yellow', attachments: [] }]
+      ]);
+      const updatedList = [{ id: 'id1', content: 'same', theme: 'yellow', attachments: [{ id: 'attachment-1', name: 'a.png' }] }];
+
+      const diff = calculateNoteDiff(currentNotes, updatedList, new Map());
+
+      expect(diff.toUpdate).toHaveLength(1);
+    });
+
+    it('should identify notes to update (drawings change)', () => {
+      const currentNotes = new Map([
+        ['id1', { content: 'same', theme: 'yellow', drawings: [] }]
+      ]);
+      const updatedList = [{ id: 'id1', content: 'same', theme: 'yellow', drawings: [{ id: 'shape-1', tool: 'rect', color: '#ef4444', points: [0, 0, 10, 10] }] }];
+
+      const diff = calculateNoteDiff(currentNotes, updatedList, new Map());
+
+      expect(diff.toUpdate).toHaveLength(1);
+    });
+
+    it('should identify notes to update (reactions change)', () => {
+      const currentNotes = new Map([
+        ['id1', { content: 'same', theme: 'yellow', reactions: { alice: ['eyes'] } }]
+      ]);
+      const changed = [{ id: 'id1', content: 'same', theme: 'yellow', reactions: { alice: ['eyes'], bob: ['check'] } }];
+      const unchanged = [{ id: 'id1', content: 'same', theme: 'yellow', reactions: { alice: ['eyes'], bob: [] } }];
+
+      expect(calculateNoteDiff(currentNotes, changed, new Map()).toUpdate).toHaveLength(1);
+      expect(calculateNoteDiff(currentNotes, unchanged, new Map()).toUpdate).toHaveLength(0);
+    });
+
+    it('should ignore the echo of a save while the user keeps typing', () => {
+      const currentNotes = new Map([
+        ['id1', { content: 'saved and more', baseContent: 'saved', theme: 'yellow' }]
+      ]);
+      const updatedList = [{ id: 'id1', content: 'saved', theme: 'yellow' }];
+
+      const diff = calculateNoteDiff(currentNotes, updatedList, new Map());
+
+      expect(diff.toUpdate).toEqual([]);
+    });
+
+    it('should include newer versions without visible changes', () => {
+      const currentNotes = new Map([
+        ['id1', { content: 'saved', baseContent: 'saved', baseUpdatedAt: { seconds: 100, nanoseconds: 0 }, theme: 'yellow' }]
+      ]);
+      const newer = [{ id: 'id1', content: 'saved', theme: 'yellow', updatedAt: { seconds: 200, nanoseconds: 0 } }];
+      const pending = [{ id: 'id1', content: 'saved', theme: 'yellow', updatedAt: null }];
+
+      expect(calculateNoteDiff(currentNotes, newer, new Map()).toUpdate).toHaveLength(1);
+      expect(calculateNoteDiff(currentNotes, pending, new Map()).toUpdate).toHaveLength(0);
+    });
+
+    it('should include conflicting content changes', () => {
+      const currentNotes = new Map([
+        ['id1', { content: 'mine', baseContent: 'base', theme: 'yellow' }]
+      ]);
+      const updatedList = [{ id: 'id1', content: 'theirs', theme: 'yellow' }];
+
+      const diff = calculateNoteDiff(currentNotes, updatedList, new Map());
+
+      expect(diff.toUpdate).toHaveLength(1);
+    });
+
     it('should identify notes to create', () => {
       const currentNotes = new Map();
       const updatedList = [{ id: 'newId', content: 'test', theme: 'yellow' }];
@@ -110,4 +232,54 @@ describe('SyncLogic', () => {
       expect(diff.toCreate[0].isNewNote).toBe(true);
     });
   });
+
+  describe('detectContentConflict', () => {
+    it('should do nothing when the server matches the editor', () => {
+      expect(detectContentConflict('same', 'base', 'same')).toBe(CONTENT_SYNC.NONE);
+    });
+
+    it('should apply server content when nothing is tracked', () => {
+      expect(detectContentConflict('old', undefined, 'new')).toBe(CONTENT_SYNC.APPLY);
+    });
+
+    it('should do nothing when the server still has the base', () => {
+      expect(detectContentConflict('edited', 'base', 'base')).toBe(CONTENT_SYNC.NONE);
+    });
+
+    it('should apply server content when there are no local edits', () => {
+      expect(detectContentConflict('base', 'base', 'theirs')).toBe(CONTENT_SYNC.APPLY);
+    });
+
+    it('should report a conflict when both sides changed', () => {
+      expect(detectContentConflict('mine', 'base', 'theirs')).toBe(CONTENT_SYNC.CONFLICT);
+    });
+  });
+
+  describe('getNotePresence', () => {
+    const viewers = [
+      { userId: 'alice', email: 'Alice@example.com', editingNoteId: 'n1', typingNoteId: null },
+      { userId: 'bob', email: 'bob@example.com', editingNoteId: null, typingNoteId: 'n1' },
+      { userId: 'carol', email: 'carol@example.com', editingNoteId: 'n1', typingNoteId: null }
+    ];
+
+    it('should keep only collaborators of the note', () => {
+      const presence = getNotePresence(viewers, 'n1', ['alice@example.com', 'bob@example.com']);
+      expect(presence.map(viewer => viewer.userId)).toEqual(['alice', 'bob']);
+    });
+
+    it('should flag who is editing the note or typing a comment on it', () => {
+      const presence = getNotePresence(viewers, 'n1', ['alice@example.com', 'bob@example.com']);
+      expect(presence[0]).toEqual(expect.objectContaining({ isEditing: true, isTyping: false }));
+      expect(presence[1]).toEqual(expect.objectContaining({ isEditing: false, isTyping: true }));
+    });
+
+    it('should not flag activity on other notes', () => {
+      const presence = getNotePresence(viewers, 'n2', ['alice@example.com']);
+      expect(presence[0]).toEqual(expect.objectContaining({ isEditing: false, isTyping: false }));
+    });
+
+    it('should handle missing viewers', () => {
+      expect(getNotePresence(null, 'n1', ['alice@example.com'])).toEqual([]);
+    });
+  });
 });
@@ -0,0 +1,92 @@
+/**
+ * TextHighlight Component Unit Tests
+ */
+
+import { jest, describe, it, expect, beforeEach, afterEach } from '@jest/globals';
+
+let TextHighlight;
+let TEXT_HIGHLIGHT_NAME;
+
+beforeEach(async () => {
+  document.body.innerHTML = '<p>Some highlighted text</p>';
+  
+  const module = await import('../../src/content/components/TextHighlight.js');
+  TextHighlight = module.TextHighlight;
+  TEXT_HIGHLIGHT_NAME = module.TEXT_HIGHLIGHT_NAME;
+});
+
+afterEach(() => {
+  document.body.innerHTML = '';
+  delete global.Highlight;
+  delete global.CSS.highlights;
+});
+
+/**
+ * Install a minimal CSS Custom Highlight API (not available in JSDOM)
+ */
+function installHighlightApi() {
+  global.Highlight = class {
+    constructor() {
+      this.ranges = new Set();
+    }
+    add(range) {
+      this.ranges.add(range);
+    }
+    delete(range) {
+      this.ranges.delete(range);
+    }
+  };
+  global.CSS.highlights = new Map();
+}
+
+function createRange() {
+  const range = document.createRange();
+  range.selectNodeContents(document.querySelector('p'));
+  return range;
+}
+
+describe('TextHighlight', () => {
+  it('should do nothing when the Highlight API is unavailable', () => {
+    const highlight = new TextHighlight(createRange());
+    
+    expect(TextHighlight.isSupported()).toBe(false);
+    expect(highlight.isActive).toBe(false);
+    expect(() => highlight.remove()).not.toThrow();
+  });
+  
+  it('should register the range in the shared highlight', () => {
+    installHighlightApi();
+    const range = createRange();
+    
+    const highlight = new TextHighlight(range);
+    
+    expect(highlight.isActive).toBe(true);
+    expect(CSS.highlights.get(TEXT_HIGHLIGHT_NAME).ranges.has(range)).toBe(true);
+  });
+  
+  it('should share one highlight between notes', () => {
+    installHighlightApi();
+    const first = new TextHighlight(createRange());
+    const second = new TextHighlight(createRange());
+    
+    expect(CSS.highlights.size).toBe(1);
+    expect(CSS.highlights.get(TEXT_HIGHLIGHT_NAME).ranges.size).toBe(2);
+    
+    first.remove();
+    
+    expect(CSS.highlights.get(TEXT_HIGHLIGHT_NAME).ranges.has(second.range)).toBe(true);
+    expect(CSS.highlights.get(TEXT_HIGHLIGHT_NAME).ranges.size).toBe(1);
+  });
+  
+  it('should only remove once', () => {
+    installHighlightApi();
+    const highlight = new TextHighlight(createRange());
+    const deleteSpy = jest.spyOn(CSS.highlights.get(TEXT_HIGHLIGHT_NAME), 'delete');
+    
+    highlight.remove();
+    highlight.remove();
+    
+    expect(deleteSpy).toHaveBeenCalledTimes(1);
+    expect(highlight.isActive).toBe(false);
+  });
+});
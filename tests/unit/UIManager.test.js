@@ -16,6 +16,10 @@ describe('UIManager', () => {
     global.chrome = {
       runtime: {
         sendMessage: jest.fn().mockReturnValue({ catch: jest.fn() })
+      },
+      storage: {
+        sync: { get: jest.fn().mockResolvedValue({}) },
+        local: { get: jest.fn().mockResolvedValue({}), set: jest.fn().mockResolvedValue() }
       }
     };
 
@@ -117,11 +121,37 @@ describe('UIManager', () => {
 
     expect(localThis.noteManager.selectorEngine.findBestMatch).toHaveBeenCalledWith(
       '.sn-test-target',
-      { textContent: 'C' }
+      { textContent: 'C', fingerprint: null, history: [] }
     );
     expect(note.updateAnchor).toHaveBeenCalledWith(match1);
   });
 
+  it('should re-locate the text quote inside the new anchor', () => {
+    const target = document.createElement('p');
+    target.className = 'sn-test-quote';
+    target.textContent = 'Fixed typo here';
+    document.body.appendChild(target);
+
+    const range = document.createRange();
+    localThis.noteManager.selectorEngine.locateTextRange = jest.fn(() => range);
+
+    const note = {
+      id: 'note-3',
+      selector: '.sn-test-quote',
+      anchor: document.createElement('p'),
+      textAnchor: { exact: 'typo' },
+      updateAnchor: jest.fn(),
+      setTextRange: jest.fn()
+    };
+
+    localThis.ui.setupMutationObserver(new Map([[note.id, note]]), localThis.visibilityManager, localThis.noteManager);
+    localThis.observerCallback([]);
+
+    expect(note.updateAnchor).toHaveBeenCalledWith(target);
+    expect(localThis.noteManager.selectorEngine.locateTextRange).toHaveBeenCalledWith(target, { exact: 'typo' });
+    expect(note.setTextRange).toHaveBeenCalledWith(range);
+  });
+
   describe('disableSelectionModeAllFrames', () => {
     it('should call disableSelectionMode locally', () => {
       localThis.ui.createShadowContainer();
@@ -243,6 +273,38 @@ describe('UIManager', () => {
       // selectionOverlay should still be null since we skipped
       expect(localThis.ui.selectionOverlay).toBeNull();
     });
+    
+    it('should show the template picker with the last picked template', async () => {
+      global.chrome.storage = {
+        sync: { get: jest.fn().mockResolvedValue({ noteTemplates: [{ id: 'bug', name: 'Bug', body: 'Steps:' }] }) },
+        local: { get: jest.fn().mockResolvedValue({ lastNoteTemplateId: 'bug' }) }
+      };
+      
+      localThis.ui.enableSelectionMode();
+      await localThis.ui.showTemplatePicker(localThis.ui.selectionOverlay);
+      
+      const select = localThis.ui.container.querySelector('.sn-template-select');
+      expect(Array.from(select.options).map(option => option.value)).toEqual(['', 'bug']);
+      expect(select.value).toBe('bug');
+    });
+    
+    it('should remember the template picked in the overlay', () => {
+      global.chrome.storage.local.set = jest.fn().mockResolvedValue();
+      localThis.ui.enableSelectionMode();
+      
+      localThis.ui.selectionOverlay.onTemplateChange('bug');
+      
+      expect(global.chrome.storage.local.set).toHaveBeenCalledWith({ lastNoteTemplateId: 'bug' });
+    });
+    
+    it('should not offer templates while re-anchoring', () => {
+      const pickerSpy = jest.spyOn(localThis.ui, 'showTemplatePicker');
+      localThis.ui.pendingReanchor = { id: 'note-1' };
+      
+      localThis.ui.enableSelectionMode();
+      
+      expect(pickerSpy).not.toHaveBeenCalled();
+    });
   });
 
   describe('disableSelectionMode', () => {
@@ -302,7 +364,7 @@ describe('UIManager', () => {
       const element = document.createElement('div');
       await ui.handleElementSelect(element);
       
-      expect(onElementSelect).toHaveBeenCalledWith(element, null);
+      expect(onElementSelect).toHaveBeenCalledWith(element, null, null, null, null);
     });
     
     it('should pass pendingReanchor to callback and clear it', async () => {
@@ -316,9 +378,46 @@ describe('UIManager', () => {
       const element = document.createElement('div');
       await ui.handleElementSelect(element);
       
-      expect(onElementSelect).toHaveBeenCalledWith(element, pendingReanchor);
+      expect(onElementSelect).toHaveBeenCalledWith(element, pendingReanchor, null, null, null);
       expect(ui.pendingReanchor).toBeNull();
     });
+
+    it('should pass a dragged region to the callback', async () => {
+      const onElementSelect = jest.fn();
+      const ui = new UIManager({ onElementSelect });
+      ui.createShadowContainer();
+      const region = { x: 10, y: 20, width: 30, height: 40 };
+
+      const element = document.createElement('canvas');
+      await ui.handleElementSelect(element, null, region);
+
+      expect(onElementSelect).toHaveBeenCalledWith(element, null, null, region, null);
+    });
+    
+    it('should pass the last picked template to the callback', async () => {
+      global.chrome.storage.local.get = jest.fn().mockResolvedValue({ lastNoteTemplateId: 'bug' });
+      const onElementSelect = jest.fn();
+      const ui = new UIManager({ onElementSelect });
+      ui.createShadowContainer();
+      
+      const element = document.createElement('div');
+      await ui.handleElementSelect(element);
+      
+      expect(onElementSelect).toHaveBeenCalledWith(element, null, null, null, 'bug');
+    });
+    
+    it('should not apply a template when re-anchoring', async () => {
+      global.chrome.storage.local.get = jest.fn().mockResolvedValue({ lastNoteTemplateId: 'bug' });
+      const onElementSelect = jest.fn();
+      const ui = new UIManager({ onElementSelect });
+      ui.createShadowContainer();
+      ui.pendingReanchor = { id: 'note-1' };
+      
+      const element = document.createElement('div');
+      await ui.handleElementSelect(element);
+      
+      expect(onElementSelect).toHaveBeenCalledWith(element, { id: 'note-1' }, null, null, null);
+    });
     
     it('should remove reanchor tooltip if present', async () => {
       const onElementSelect = jest.fn();
@@ -426,6 +525,67 @@ describe('UIManager', () => {
     });
   });
 
+  describe('showReanchorConfirmUI', () => {
+    beforeEach(() => {
+      localThis.ui.createShadowContainer();
+      localThis.ui.startReanchorMode = jest.fn();
+    });
+    
+    it('should show a banner that stays until the user decides', () => {
+      jest.useFakeTimers();
+      localThis.ui.showReanchorConfirmUI({ id: 'note-1', content: 'Moved note' }, {
+        onConfirm: jest.fn(),
+        onPickAnother: jest.fn()
+      });
+      jest.advanceTimersByTime(60000);
+      
+      const banner = localThis.ui.container.querySelector('.sn-banner');
+      expect(banner).toBeTruthy();
+      expect(banner.classList.contains('sn-banner-info')).toBe(true);
+      expect(banner.textContent).toContain('Moved note');
+      jest.useRealTimers();
+    });
+    
+    it('should confirm the new anchor', () => {
+      const onConfirm = jest.fn();
+      const onPickAnother = jest.fn();
+      localThis.ui.showReanchorConfirmUI({ id: 'note-1', content: 'Moved' }, { onConfirm, onPickAnother });
+      
+      localThis.ui.container.querySelector('.sn-banner .sn-btn-primary').click();
+      
+      expect(onConfirm).toHaveBeenCalled();
+      expect(onPickAnother).not.toHaveBeenCalled();
+      expect(localThis.ui.startReanchorMode).not.toHaveBeenCalled();
+    });
+    
+    it('should start re-anchor mode when picking another anchor', () => {
+      const noteData = { id: 'note-1', content: 'Moved' };
+      const onPickAnother = jest.fn();
+      localThis.ui.showReanchorConfirmUI(noteData, { onConfirm: jest.fn(), onPickAnother });
+      
+      localThis.ui.container.querySelector('.sn-banner .sn-btn-secondary').click();
+      
+      expect(onPickAnother).toHaveBeenCalled();
+      expect(localThis.ui.startReanchorMode).toHaveBeenCalledWith(noteData);
+    });
+    
+    it('should queue confirmations and show them one at a time', () => {
+      const firstConfirm = jest.fn();
+      const secondConfirm = jest.fn();
+      localThis.ui.showReanchorConfirmUI({ id: 'note-1', content: 'First' }, { onConfirm: firstConfirm, onPickAnother: jest.fn() });
+      localThis.ui.showReanchorConfirmUI({ id: 'note-2', content: 'Second' }, { onConfirm: secondConfirm, onPickAnother: jest.fn() });
+      
+      expect(localThis.ui.container.querySelector('.sn-banner').textContent).toContain('First');
+      
+      localThis.ui.container.querySelector('.sn-banner .sn-btn-primary').click();
+      
+      const banners = localThis.ui.container.querySelectorAll('.sn-banner');
+      expect(banners[banners.length - 1].textContent).toContain('Second');
+      expect(firstConfirm).toHaveBeenCalled();
+      expect(secondConfirm).not.toHaveBeenCalled();
+    });
+  });
+
   describe('dismissBanner', () => {
     beforeEach(() => {
       localThis.ui.createShadowContainer();
@@ -603,6 +763,71 @@ describe('UIManager', () => {
       expect(() => localThis.observerCallback([])).not.toThrow();
     });
     
+    it('should re-anchor notes whose anchor lives in a shadow root', () => {
+      const host = document.createElement('app-list');
+      document.body.appendChild(host);
+      host.attachShadow({ mode: 'open' }).innerHTML = '<li class="row">Row</li>';
+      
+      const note = {
+        id: 'note-shadow',
+        selector: 'app-list >>> li.row',
+        anchor: document.createElement('li'),
+        updateAnchor: jest.fn()
+      };
+      
+      localThis.ui.setupMutationObserver(new Map([[note.id, note]]), localThis.visibilityManager, localThis.noteManager);
+      localThis.observerCallback([]);
+      
+      expect(note.updateAnchor).toHaveBeenCalledWith(host.shadowRoot.querySelector('li'));
+      host.remove();
+    });
+    
+    it('should keep anchors that are still connected inside a shadow root', () => {
+      const host = document.createElement('app-list');
+      document.body.appendChild(host);
+      host.attachShadow({ mode: 'open' }).innerHTML = '<li class="row">Row</li>';
+      
+      const note = {
+        id: 'note-shadow-connected',
+        selector: 'app-list >>> li.row',
+        anchor: host.shadowRoot.querySelector('li'),
+        updateAnchor: jest.fn()
+      };
+      
+      localThis.ui.setupMutationObserver(new Map([[note.id, note]]), localThis.visibilityManager, localThis.noteManager);
+      localThis.observerCallback([]);
+      
+      expect(note.updateAnchor).not.toHaveBeenCalled();
+      host.remove();
+    });
+    
+    it('should observe shadow roots of note and pending note selectors once', () => {
+      const observeSpy = jest.spyOn(global.MutationObserver.prototype, 'observe');
+      const listHost = document.createElement('app-list');
+      const panelHost = document.createElement('app-panel');
+      document.body.append(listHost, panelHost);
+      listHost.attachShadow({ mode: 'open' });
+      panelHost.attachShadow({ mode: 'open' });
+      localThis.noteManager.pendingNotes = new Map([
+        ['pending', { noteData: { selector: 'app-panel >>> h2' } }]
+      ]);
+      const note = {
+        id: 'note-observed',
+        selector: 'app-list >>> li',
+        anchor: null,
+        updateAnchor: jest.fn()
+      };
+      
+      localThis.ui.setupMutationObserver(new Map([[note.id, note]]), localThis.visibilityManager, localThis.noteManager);
+      localThis.observerCallback([]);
+      
+      const observedRoots = observeSpy.mock.calls.map(([target]) => target);
+      expect(observedRoots).toEqual([document.body, listHost.shadowRoot, panelHost.shadowRoot]);
+      observeSpy.mockRestore();
+      listHost.remove();
+      panelHost.remove();
+    });
+    
     it('should not update anchor if element is still in document', () => {
       const anchor = document.createElement('div');
       document.body.appendChild(anchor);
@@ -307,6 +307,29 @@ describe('VisibilityManager', () => {
     });
   });
   
+  describe('shadow DOM anchors', () => {
+    it('should listen for scroll events inside the anchor shadow root', () => {
+      const host = document.createElement('x-list');
+      document.body.appendChild(host);
+      const shadowRoot = host.attachShadow({ mode: 'open' });
+      const inner = document.createElement('div');
+      shadowRoot.appendChild(inner);
+      const addSpy = jest.spyOn(shadowRoot, 'addEventListener');
+      const removeSpy = jest.spyOn(shadowRoot, 'removeEventListener');
+      
+      manager.observe(inner, mockNote);
+      manager.observe(inner, mockNote);
+      
+      expect(addSpy).toHaveBeenCalledTimes(1);
+      expect(addSpy).toHaveBeenCalledWith('scroll', manager.boundScrollHandler, { passive: true, capture: true });
+      
+      manager.disconnect();
+      
+      expect(removeSpy).toHaveBeenCalledWith('scroll', expect.any(Function), { passive: true, capture: true });
+      expect(manager.shadowRoots.size).toBe(0);
+    });
+  });
+
   describe('global visibility', () => {
     it('should initialize with globallyVisible set to true', () => {
       expect(manager.getGlobalVisibility()).toBe(true);
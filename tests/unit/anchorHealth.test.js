@@ -0,0 +1,258 @@
+/**
+ * Anchor Health Check Unit Tests
+ */
+
+import { jest, describe, it, expect, beforeEach } from '@jest/globals';
+
+import {
+  createAnchorHealthChecker,
+  summarizeAnchorHealth,
+  ANCHOR_HEALTH_REPORT_KEY
+} from '../../src/background/anchorHealth.js';
+
+const localThis = {};
+
+beforeEach(() => {
+  localThis.storage = {};
+  localThis.clock = 0;
+  localThis.nextTabId = 100;
+  localThis.pageResults = {};
+
+  localThis.chromeStorage = {
+    local: {
+      get: jest.fn(async (keys) => {
+        const result = {};
+        for (const key of keys) {
+          if (localThis.storage[key] !== undefined) {
+            result[key] = localThis.storage[key];
+          }
+        }
+        return result;
+      }),
+      set: jest.fn(async (items) => {
+        Object.assign(localThis.storage, items);
+      })
+    }
+  };
+
+  localThis.tabUrls = {};
+  localThis.chromeTabs = {
+    create: jest.fn(async ({ url }) => {
+      const id = localThis.nextTabId++;
+      localThis.tabUrls[id] = url;
+      return { id };
+    }),
+    get: jest.fn(async (id) => ({ id, status: 'complete' })),
+    sendMessage: jest.fn(async (id, message) => {
+      const results = localThis.pageResults[localThis.tabUrls[id]] || [];
+      return { success: true, results: results.filter(item => message.notes.some(note => note.id === item.id)) };
+    }),
+    remove: jest.fn(async () => {})
+  };
+
+  localThis.injectContentScript = jest.fn(async () => ({ success: true, injected: true }));
+
+  localThis.log = { debug: jest.fn(), warn: jest.fn(), error: jest.fn() };
+
+  localThis.createChecker = (overrides = {}) => createAnchorHealthChecker({
+    chromeTabs: localThis.chromeTabs,
+    chromeStorage: localThis.chromeStorage,
+    injectContentScript: localThis.injectContentScript,
+    log: localThis.log,
+    sleep: jest.fn(async (ms) => {
+      localThis.clock += ms;
+    }),
+    now: () => localThis.clock,
+    ...overrides
+  });
+});
+
+describe('summarizeAnchorHealth', () => {
+  it('should count entries by status', () => {
+    const summary = summarizeAnchorHealth([
+      { status: 'healthy' },
+      { status: 'healthy' },
+      { status: 'orphaned' },
+      { status: 'bogus' }
+    ]);
+
+    expect(summary.healthy).toBe(2);
+    expect(summary.orphaned).toBe(1);
+    expect(summary.drifted).toBe(0);
+    expect(summary.bogus).toBeUndefined();
+  });
+
+  it('should handle a missing list', () => {
+    expect(summarizeAnchorHealth(undefined).healthy).toBe(0);
+  });
+});
+
+describe('createAnchorHealthChecker', () => {
+  it('should check each page once and save the merged report', async () => {
+    localThis.pageResults['https://example.com/a'] = [
+      { id: 'n1', status: 'healthy' },
+      { id: 'n2', status: 'drifted', reason: 'selectorMissing', suggestedSelector: '#new', score: 80 }
+    ];
+    localThis.pageResults['https://example.com/b'] = [
+      { id: 'n3', status: 'orphaned', reason: 'noMatch' }
+    ];
+    const checker = localThis.createChecker();
+
+    const result = await checker.start('https://example.com', [
+      { id: 'n1', url: 'https://example.com/a', selector: '#one', content: '<b>One</b>' },
+      { id: 'n2', url: 'https://example.com/a', selector: '#two' },
+      { id: 'n3', url: 'https://example.com/b', selector: '#three' }
+    ]);
+    expect(result.success).toBe(true);
+    expect(result.report.pagesTotal).toBe(2);
+    expect(checker.isRunning()).toBe(true);
+
+    await checker.whenIdle();
+
+    expect(localThis.chromeTabs.create).toHaveBeenCalledTimes(2);
+    expect(localThis.chromeTabs.create).toHaveBeenCalledWith({ url: 'https://example.com/a', active: false });
+    expect(localThis.chromeTabs.remove).toHaveBeenCalledTimes(2);
+    expect(localThis.injectContentScript).toHaveBeenCalledWith(expect.any(Number), 'https://example.com/a', { checkOnly: true });
+    expect(checker.isRunning()).toBe(false);
+
+    const report = await checker.getReport();
+    expect(report.status).toBe('completed');
+    expect(report.pagesChecked).toBe(2);
+    expect(report.finishedAt).not.toBeNull();
+    expect(report.summary).toMatchObject({ healthy: 1, drifted: 1, orphaned: 1 });
+    expect(report.notes.find(note => note.id === 'n2')).toMatchObject({
+      status: 'drifted',
+      reason: 'selectorMissing',
+      suggestedSelector: '#new',
+      score: 80
+    });
+    expect(report.notes.find(note => note.id === 'n1').content).toBe('<b>One</b>');
+  });
+
+  it('should skip page-level and iframe notes without opening their pages', async () => {
+    const checker = localThis.createChecker();
+
+    await checker.start('https://example.com', [
+      { id: 'p1', url: 'https://example.com/a', selector: '__PAGE__' },
+      { id: 'f1', url: 'https://example.com/a#iframe:https://widget.com/embed', selector: '#x' }
+    ]);
+    await checker.whenIdle();
+
+    expect(localThis.chromeTabs.create).not.toHaveBeenCalled();
+    const report = localThis.storage[ANCHOR_HEALTH_REPORT_KEY];
+    expect(report.notes.map(note => [note.id, note.status, note.reason])).toEqual([
+      ['p1', 'skipped', 'pageLevel'],
+      ['f1', 'skipped', 'iframe']
+    ]);
+  });
+
+  it('should mark notes unchecked when the page does not finish loading', async () => {
+    localThis.chromeTabs.get.mockResolvedValue({ status: 'loading' });
+    const checker = localThis.createChecker({ pageLoadTimeout: 1000 });
+
+    await checker.start('https://example.com', [{ id: 'n1', url: 'https://example.com/a', selector: '#one' }]);
+    await checker.whenIdle();
+
+    const report = await checker.getReport();
+    expect(report.notes[0]).toMatchObject({ status: 'unchecked', reason: 'pageTimeout' });
+    expect(localThis.injectContentScript).not.toHaveBeenCalled();
+    expect(localThis.chromeTabs.remove).toHaveBeenCalled();
+  });
+
+  it('should mark notes unchecked when injection fails', async () => {
+    localThis.injectContentScript.mockResolvedValue({ success: false, error: 'Restricted URL' });
+    const checker = localThis.createChecker();
+
+    await checker.start('https://example.com', [{ id: 'n1', url: 'https://example.com/a', selector: '#one' }]);
+    await checker.whenIdle();
+
+    const report = await checker.getReport();
+    expect(report.notes[0]).toMatchObject({ status: 'unchecked', reason: 'Restricted URL' });
+  });
+
+  it('should retry until the content script answers', async () => {
+    localThis.pageResults['https://example.com/a'] = [{ id: 'n1', status: 'healthy' }];
+    const respond = localThis.chromeTabs.sendMessage.getMockImplementation();
+    localThis.chromeTabs.sendMessage
+      .mockRejectedValueOnce(new Error('Receiving end does not exist'))
+      .mockImplementation(respond);
+    const checker = localThis.createChecker();
+
+    await checker.start('https://example.com', [{ id: 'n1', url: 'https://example.com/a', selector: '#one' }]);
+    await checker.whenIdle();
+
+    expect(localThis.chromeTabs.sendMessage).toHaveBeenCalledTimes(2);
+    expect((await checker.getReport()).notes[0].status).toBe('healthy');
+  });
+
+  it('should stop after the current page when cancelled', async () => {
+    const checker = localThis.createChecker();
+    localThis.injectContentScript.mockImplementation(async () => {
+      checker.cancel();
+      return { success: true };
+    });
+
+    await checker.start('https://example.com', [
+      { id: 'n1', url: 'https://example.com/a', selector: '#one' },
+      { id: 'n2', url: 'https://example.com/b', selector: '#two' }
+    ]);
+    await checker.whenIdle();
+
+    expect(localThis.chromeTabs.create).toHaveBeenCalledTimes(1);
+    const report = await checker.getReport();
+    expect(report.status).toBe('cancelled');
+    expect(report.notes.every(note => note.status === 'unchecked' && note.reason === 'cancelled')).toBe(true);
+  });
+
+  it('should refuse to start a second check while one runs', async () => {
+    const checker = localThis.createChecker();
+    await checker.start('https://example.com', [{ id: 'n1', url: 'https://example.com/a', selector: '#one' }]);
+
+    const second = await checker.start('https://other.com', []);
+
+    expect(second.success).toBe(false);
+    expect(second.error).toBe('alreadyRunning');
+    await checker.whenIdle();
+  });
+
+  it('should report cancel without a running check', () => {
+    expect(localThis.createChecker().cancel()).toEqual({ success: false, error: 'notRunning' });
+  });
+
+  it('should return null when no report is saved', async () => {
+    expect(await localThis.createChecker().getReport()).toBeNull();
+  });
+
+  it('should mark a running report as failed when the worker restarted mid-run', async () => {
+    localThis.storage[ANCHOR_HEALTH_REPORT_KEY] = {
+      origin: 'https://example.com',
+      status: 'running',
+      startedAt: '2025-01-01T00:00:00.000Z',
+      finishedAt: null,
+      pagesTotal: 2,
+      pagesChecked: 1,
+      notes: [
+        { id: 'n1', url: 'https://example.com/a', status: 'healthy' },
+        { id: 'n2', url: 'https://example.com/b', status: 'pending' }
+      ],
+      error: null
+    };
+    const checker = localThis.createChecker();
+
+    const report = await checker.getReport();
+
+    expect(report).toMatchObject({ status: 'failed', error: 'interrupted' });
+    expect(report.finishedAt).not.toBeNull();
+    expect(report.notes[1]).toMatchObject({ status: 'unchecked', reason: 'cancelled' });
+    expect(report.summary).toMatchObject({ healthy: 1, unchecked: 1 });
+    expect(localThis.storage[ANCHOR_HEALTH_REPORT_KEY].status).toBe('failed');
+  });
+
+  it('should keep the report running while this worker is checking', async () => {
+    const checker = localThis.createChecker();
+    await checker.start('https://example.com', [{ id: 'n1', url: 'https://example.com/a', selector: '#one' }]);
+
+    expect((await checker.getReport()).status).toBe('running');
+    await checker.whenIdle();
+  });
+});
@@ -0,0 +1,135 @@
+/**
+ * Firebase Attachments Unit Tests
+ *
+ * Tests the Cloud Storage attachment service with mocked dependencies.
+ */
+
+import { jest, describe, it, expect, beforeEach } from '@jest/globals';
+
+// Mock Firebase modules before import
+jest.unstable_mockModule('firebase/storage', () => ({
+  getStorage: jest.fn(() => ({ name: 'mock-storage' })),
+  ref: jest.fn(),
+  uploadString: jest.fn(),
+  getDownloadURL: jest.fn(),
+  deleteObject: jest.fn()
+}));
+
+jest.unstable_mockModule('firebase/app', () => ({
+  initializeApp: jest.fn()
+}));
+
+jest.unstable_mockModule('firebase/auth', () => ({
+  getAuth: jest.fn(),
+  initializeAuth: jest.fn(() => ({ name: 'mock-auth' })),
+  browserLocalPersistence: { type: 'LOCAL' },
+  indexedDBLocalPersistence: { type: 'LOCAL' }
+}));
+
+jest.unstable_mockModule('firebase/firestore', () => ({
+  getFirestore: jest.fn(() => ({ name: 'mock-db' })),
+  initializeFirestore: jest.fn(() => ({ name: 'mock-db' })),
+  persistentLocalCache: jest.fn(),
+  persistentSingleTabManager: jest.fn(),
+  memoryLocalCache: jest.fn()
+}));
+
+// Import after mocking
+const { uploadAttachment, deleteAttachment } = await import('../../src/firebase/attachments.js');
+
+describe('Firebase Attachments', () => {
+  const localThis = {};
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    localThis.mockStorage = { name: 'mock-storage' };
+    localThis.mockRef = { fullPath: 'attachments/user-123/attachment-1' };
+    localThis.mockUser = { uid: 'user-123', email: 'me@example.com' };
+    localThis.file = { name: 'spec.pdf', type: 'application/pdf', size: 1024, dataUrl: 'data:application/pdf;base64,abc' };
+
+    localThis.deps = {
+      app: { name: 'mock-app' },
+      storage: localThis.mockStorage,
+      isFirebaseConfigured: jest.fn(() => true),
+      ref: jest.fn(() => localThis.mockRef),
+      uploadString: jest.fn().mockResolvedValue({}),
+      getDownloadURL: jest.fn().mockResolvedValue('https://storage.example.com/attachment-1'),
+      deleteObject: jest.fn().mockResolvedValue()
+    };
+  });
+
+  describe('uploadAttachment', () => {
+    it('should upload under the user folder and keep the file name', async () => {
+      const result = await uploadAttachment('attachment-1', localThis.file, localThis.mockUser, localThis.deps);
+
+      expect(localThis.deps.ref).toHaveBeenCalledWith(localThis.mockStorage, 'attachments/user-123/attachment-1');
+      expect(localThis.deps.uploadString).toHaveBeenCalledWith(
+        localThis.mockRef, localThis.file.dataUrl, 'data_url', { customMetadata: { name: 'spec.pdf' } }
+      );
+      expect(result).toEqual({
+        path: 'attachments/user-123/attachment-1',
+        url: 'https://storage.example.com/attachment-1'
+      });
+    });
+
+    it('should reject IDs that could escape the user folder', async () => {
+      await expect(uploadAttachment('../other', localThis.file, localThis.mockUser, localThis.deps))
+        .rejects.toThrow('Invalid attachment ID');
+      expect(localThis.deps.uploadString).not.toHaveBeenCalled();
+    });
+
+    it('should reject file types that are not allowed', async () => {
+      const file = { ...localThis.file, type: 'text/html', dataUrl: 'data:text/html,<p>' };
+
+      await expect(uploadAttachment('attachment-1', file, localThis.mockUser, localThis.deps))
+        .rejects.toThrow('File type not allowed');
+    });
+
+    it('should reject data that does not match the file type', async () => {
+      const file = { ...localThis.file, dataUrl: 'data:text/html,<p>' };
+
+      await expect(uploadAttachment('attachment-1', file, localThis.mockUser, localThis.deps))
+        .rejects.toThrow('File type not allowed');
+    });
+
+    it('should reject files over the size limit', async () => {
+      const file = { ...localThis.file, dataUrl: `data:application/pdf;base64,${'A'.repeat(Math.ceil((5 * 1024 * 1024 + 1) / 3) * 4)}` };
+
+      await expect(uploadAttachment('attachment-1', file, localThis.mockUser, localThis.deps))
+        .rejects.toThrow('File is too large');
+    });
+
+    it('should throw when user is not authenticated', async () => {
+      await expect(uploadAttachment('attachment-1', localThis.file, null, localThis.deps))
+        .rejects.toThrow('User authentication required');
+    });
+
+    it('should throw when Firebase is not configured', async () => {
+      localThis.deps.isFirebaseConfigured.mockReturnValue(false);
+
+      await expect(uploadAttachment('attachment-1', localThis.file, localThis.mockUser, localThis.deps))
+        .rejects.toThrow('Firebase is not configured');
+    });
+  });
+
+  describe('deleteAttachment', () => {
+    it('should delete an attachment in the user folder', async () => {
+      await deleteAttachment('attachments/user-123/attachment-1', localThis.mockUser, localThis.deps);
+
+      expect(localThis.deps.ref).toHaveBeenCalledWith(localThis.mockStorage, 'attachments/user-123/attachment-1');
+      expect(localThis.deps.deleteObject).toHaveBeenCalledWith(localThis.mockRef);
+    });
+
+    it('should not delete attachments of other users', async () => {
+      await expect(deleteAttachment('attachments/user-456/attachment-1', localThis.mockUser, localThis.deps))
+        .rejects.toThrow('Permission denied');
+      expect(localThis.deps.deleteObject).not.toHaveBeenCalled();
+    });
+
+    it('should throw when user is not authenticated', async () => {
+      await expect(deleteAttachment('attachments/user-123/attachment-1', null, localThis.deps))
+        .rejects.toThrow('User authentication required');
+    });
+  });
+});
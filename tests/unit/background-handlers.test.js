@@ -5,6 +5,7 @@
 
 import { jest, describe, it, expect, beforeEach } from '@jest/globals';
 import { createHandlers } from '../../src/background/handlers.js';
+import { MAX_ATTACHMENT_SIZE } from '../../src/shared/utils.js';
 
 describe('Background Handlers', () => {
   const localThis = {};
@@ -387,7 +388,7 @@ describe('Background Handlers', () => {
       
       expect(result.success).toBe(true);
       expect(result.note).toEqual(savedNote);
-      expect(localThis.deps.createNote).toHaveBeenCalledWith(noteData, 'user-123', 'test@example.com');
+      expect(localThis.deps.createNote).toHaveBeenCalledWith({ ...noteData, screenshot: null }, 'user-123', 'test@example.com');
     });
 
     it('should fall back to local storage when Firebase fails', async () => {
@@ -422,6 +423,17 @@ describe('Background Handlers', () => {
       expect(result.note.updatedAt).toBeDefined();
     });
 
+    it('should normalize tags of locally saved notes', async () => {
+      localThis.deps.getCurrentUser.mockResolvedValue(null);
+      localThis.deps.isFirebaseConfigured.mockReturnValue(false);
+      localThis.mockChromeStorage.local.get.mockResolvedValue({ notes: [] });
+      localThis.mockChromeStorage.local.set.mockResolvedValue();
+      
+      const result = await localThis.handlers.saveNote({ url: 'https://example.com', tags: ['#Copy', 'copy', 'bad tag!'] });
+      
+      expect(result.note.tags).toEqual(['copy']);
+    });
+
     it('should append to existing notes', async () => {
       localThis.deps.getCurrentUser.mockResolvedValue(null);
       localThis.deps.isFirebaseConfigured.mockReturnValue(false);
@@ -454,7 +466,7 @@ describe('Background Handlers', () => {
       
       localThis.deps.getCurrentUser.mockResolvedValue(localThis.mockUser);
       localThis.deps.isFirebaseConfigured.mockReturnValue(true);
-      localThis.deps.updateNoteInFirestore.mockResolvedValue();
+      localThis.deps.updateNoteInFirestore.mockResolvedValue({ previous: { content: 'Old' }, updatedAt: null });
       
       const result = await localThis.handlers.updateNote(noteData);
       
@@ -494,6 +506,33 @@ describe('Background Handlers', () => {
       expect(result.note.updatedAt).toBeDefined();
     });
 
+    it('should normalize tags when updating local notes', async () => {
+      localThis.deps.getCurrentUser.mockResolvedValue(null);
+      localThis.deps.isFirebaseConfigured.mockReturnValue(false);
+      localThis.mockChromeStorage.local.get.mockResolvedValue({
+        notes: [{ id: 'note-1', content: 'Old', tags: ['a11y'] }]
+      });
+      localThis.mockChromeStorage.local.set.mockResolvedValue();
+      
+      const result = await localThis.handlers.updateNote({ id: 'note-1', tags: ['A11y', 'Regression'] });
+      
+      expect(result.note.tags).toEqual(['a11y', 'regression']);
+    });
+
+    it('should normalize drawings when updating local notes', async () => {
+      localThis.deps.getCurrentUser.mockResolvedValue(null);
+      localThis.deps.isFirebaseConfigured.mockReturnValue(false);
+      localThis.mockChromeStorage.local.get.mockResolvedValue({
+        notes: [{ id: 'note-1', content: 'Old' }]
+      });
+      localThis.mockChromeStorage.local.set.mockResolvedValue();
+      const shape = { id: 'shape-1', tool: 'arrow', color: 'red', points: [0, 0, 20, 20] };
+      
+      const result = await localThis.handlers.updateNote({ id: 'note-1', drawings: [shape, { id: 'bad', tool: 'circle' }] });
+      
+      expect(result.note.drawings).toEqual([shape]);
+    });
+
     it('should return error when note not found', async () => {
       localThis.deps.getCurrentUser.mockResolvedValue(null);
       localThis.deps.isFirebaseConfigured.mockReturnValue(false);
@@ -957,6 +996,412 @@ describe('Background Handlers', () => {
     });
   });
 
+  describe('note screenshots', () => {
+    beforeEach(() => {
+      localThis.mockChromeTabs = { captureVisibleTab: jest.fn() };
+      localThis.screenshot = { dataUrl: 'data:image/jpeg;base64,abc', width: 400, height: 300 };
+      localThis.sender = { tab: { id: 7, windowId: 3, active: true } };
+      localThis.rect = { x: 10, y: 20, width: 100, height: 50 };
+      localThis.viewport = { width: 1000, height: 800 };
+
+      localThis.deps.chromeTabs = localThis.mockChromeTabs;
+      localThis.deps.generateId = jest.fn((prefix) => `${prefix}_123_abc`);
+      localThis.deps.cropScreenshot = jest.fn().mockResolvedValue(localThis.screenshot);
+      localThis.deps.uploadScreenshotToStorage = jest.fn().mockResolvedValue({
+        path: 'screenshots/user-123/screenshot_123_abc.jpg',
+        url: 'https://storage.example.com/screenshot.jpg'
+      });
+      localThis.deps.deleteScreenshotFromStorage = jest.fn().mockResolvedValue();
+      localThis.deps.saveLocalFile = jest.fn().mockResolvedValue();
+      localThis.deps.getLocalFile = jest.fn().mockResolvedValue('data:image/jpeg;base64,local');
+      localThis.deps.deleteLocalFile = jest.fn().mockResolvedValue();
+      localThis.handlers = createHandlers(localThis.deps);
+    });
+
+    describe('captureNoteScreenshot', () => {
+      it('should capture the sender tab and crop around the anchor', async () => {
+        localThis.mockChromeTabs.captureVisibleTab.mockResolvedValue('data:image/png;base64,full');
+
+        const result = await localThis.handlers.handleMessage({
+          action: 'captureNoteScreenshot', rect: localThis.rect, viewport: localThis.viewport
+        }, localThis.sender);
+
+        expect(localThis.mockChromeTabs.captureVisibleTab).toHaveBeenCalledWith(3, { format: 'png' });
+        expect(localThis.deps.cropScreenshot).toHaveBeenCalledWith('data:image/png;base64,full', localThis.rect, localThis.viewport);
+        expect(result).toEqual({ success: true, screenshot: localThis.screenshot });
+      });
+
+      it('should not capture a background tab', async () => {
+        const result = await localThis.handlers.captureNoteScreenshot(localThis.rect, localThis.viewport, {
+          tab: { id: 7, windowId: 3, active: false }
+        });
+
+        expect(result.success).toBe(false);
+        expect(localThis.mockChromeTabs.captureVisibleTab).not.toHaveBeenCalled();
+      });
+
+      it('should reject an invalid anchor rect', async () => {
+        const result = await localThis.handlers.captureNoteScreenshot({ x: 'a' }, localThis.viewport, localThis.sender);
+
+        expect(result.success).toBe(false);
+        expect(localThis.mockChromeTabs.captureVisibleTab).not.toHaveBeenCalled();
+      });
+
+      it('should return error when capture fails', async () => {
+        localThis.mockChromeTabs.captureVisibleTab.mockRejectedValue(new Error('Capture failed'));
+
+        const result = await localThis.handlers.captureNoteScreenshot(localThis.rect, localThis.viewport, localThis.sender);
+
+        expect(result).toEqual({ success: false, error: 'Capture failed' });
+        expect(localThis.mockLog.error).toHaveBeenCalled();
+      });
+    });
+
+    describe('saveNote with a screenshot', () => {
+      it('should upload to Cloud Storage and keep a reference on the note', async () => {
+        localThis.deps.getCurrentUser.mockResolvedValue(localThis.mockUser);
+        localThis.deps.createNote.mockImplementation(async (note) => ({ id: 'firestore-id', ...note }));
+
+        const result = await localThis.handlers.handleMessage({
+          action: 'saveNote', note: { url: 'https://example.com' }, screenshot: localThis.screenshot
+        }, null);
+
+        expect(localThis.deps.uploadScreenshotToStorage).toHaveBeenCalledWith(
+          'screenshot_123_abc', 'data:image/jpeg;base64,abc', localThis.mockUser
+        );
+        expect(result.note.screenshot).toEqual({
+          id: 'screenshot_123_abc',
+          storage: 'cloud',
+          path: 'screenshots/user-123/screenshot_123_abc.jpg',
+          url: 'https://storage.example.com/screenshot.jpg',
+          width: 400,
+          height: 300,
+          capturedAt: expect.any(String)
+        });
+        expect(localThis.deps.saveLocalFile).not.toHaveBeenCalled();
+      });
+
+      it('should store the screenshot locally when signed out', async () => {
+        localThis.deps.getCurrentUser.mockResolvedValue(null);
+        localThis.mockChromeStorage.local.get.mockResolvedValue({ notes: [] });
+        localThis.mockChromeStorage.local.set.mockResolvedValue();
+
+        const result = await localThis.handlers.saveNote({ url: 'https://example.com' }, localThis.screenshot);
+
+        expect(localThis.deps.saveLocalFile).toHaveBeenCalledWith('screenshots', 'screenshot_123_abc', 'data:image/jpeg;base64,abc');
+        expect(result.note.screenshot).toEqual(expect.objectContaining({ id: 'screenshot_123_abc', storage: 'local' }));
+        expect(result.note.screenshot.url).toBeUndefined();
+      });
+
+      it('should still save the note when the screenshot cannot be stored', async () => {
+        localThis.deps.getCurrentUser.mockResolvedValue(localThis.mockUser);
+        localThis.deps.uploadScreenshotToStorage.mockRejectedValue(new Error('Quota exceeded'));
+        localThis.deps.createNote.mockImplementation(async (note) => ({ id: 'firestore-id', ...note }));
+
+        const result = await localThis.handlers.saveNote({ url: 'https://example.com' }, localThis.screenshot);
+
+        expect(result.success).toBe(true);
+        expect(result.note.screenshot).toBeNull();
+        expect(localThis.mockLog.error).toHaveBeenCalled();
+      });
+
+      it('should move the screenshot to the device when the Firestore save fails', async () => {
+        localThis.deps.getCurrentUser.mockResolvedValue(localThis.mockUser);
+        localThis.deps.createNote.mockRejectedValue(new Error('Firebase error'));
+        localThis.mockChromeStorage.local.get.mockResolvedValue({ notes: [] });
+        localThis.mockChromeStorage.local.set.mockResolvedValue();
+
+        const result = await localThis.handlers.saveNote({ url: 'https://example.com' }, localThis.screenshot);
+
+        expect(localThis.deps.deleteScreenshotFromStorage).toHaveBeenCalledWith(
+          'screenshots/user-123/screenshot_123_abc.jpg', localThis.mockUser
+        );
+        expect(localThis.deps.saveLocalFile).toHaveBeenCalledWith('screenshots', 'screenshot_123_abc', 'data:image/jpeg;base64,abc');
+        expect(result.note.screenshot.storage).toBe('local');
+      });
+    });
+
+    describe('deleteNote', () => {
+      it('should delete the Cloud Storage screenshot of a Firestore note', async () => {
+        localThis.deps.getCurrentUser.mockResolvedValue(localThis.mockUser);
+        localThis.deps.deleteNoteFromFirestore.mockResolvedValue({
+          screenshot: { id: 'shot-1', storage: 'cloud', path: 'screenshots/user-123/shot-1.jpg' }
+        });
+
+        const result = await localThis.handlers.deleteNote('note-1');
+
+        expect(result.success).toBe(true);
+        expect(localThis.deps.deleteScreenshotFromStorage).toHaveBeenCalledWith('screenshots/user-123/shot-1.jpg', localThis.mockUser);
+      });
+
+      it('should delete the local screenshot of a local note', async () => {
+        localThis.deps.getCurrentUser.mockResolvedValue(null);
+        localThis.mockChromeStorage.local.get.mockResolvedValue({
+          notes: [{ id: 'note-1', screenshot: { id: 'shot-1', storage: 'local' } }]
+        });
+        localThis.mockChromeStorage.local.set.mockResolvedValue();
+
+        await localThis.handlers.deleteNote('note-1');
+
+        expect(localThis.deps.deleteLocalFile).toHaveBeenCalledWith('screenshots', 'shot-1');
+      });
+
+      it('should still delete the note when the screenshot cannot be removed', async () => {
+        localThis.deps.getCurrentUser.mockResolvedValue(null);
+        localThis.deps.deleteLocalFile.mockRejectedValue(new Error('Blocked'));
+        localThis.mockChromeStorage.local.get.mockResolvedValue({
+          notes: [{ id: 'note-1', screenshot: { id: 'shot-1', storage: 'local' } }]
+        });
+        localThis.mockChromeStorage.local.set.mockResolvedValue();
+
+        const result = await localThis.handlers.deleteNote('note-1');
+
+        expect(result.success).toBe(true);
+        expect(localThis.mockLog.warn).toHaveBeenCalled();
+      });
+    });
+
+    describe('getNoteScreenshot', () => {
+      it('should return the download URL of a cloud screenshot', async () => {
+        const result = await localThis.handlers.handleMessage({
+          action: 'getNoteScreenshot', screenshot: { id: 'shot-1', storage: 'cloud', url: 'https://storage.example.com/shot-1.jpg' }
+        }, null);
+
+        expect(result).toEqual({ success: true, src: 'https://storage.example.com/shot-1.jpg' });
+      });
+
+      it('should read a local screenshot from IndexedDB', async () => {
+        const result = await localThis.handlers.getNoteScreenshot({ id: 'shot-1', storage: 'local' });
+
+        expect(localThis.deps.getLocalFile).toHaveBeenCalledWith('screenshots', 'shot-1');
+        expect(result).toEqual({ success: true, src: 'data:image/jpeg;base64,local' });
+      });
+
+      it('should return error when the screenshot is gone', async () => {
+        localThis.deps.getLocalFile.mockResolvedValue(null);
+
+        const result = await localThis.handlers.getNoteScreenshot({ id: 'shot-1', storage: 'local' });
+
+        expect(result.success).toBe(false);
+        expect(result.error).toMatch(/^(Screenshot not found|screenshotNotFound)$/);
+      });
+    });
+  });
+
+  describe('note attachments', () => {
+    beforeEach(() => {
+      localThis.file = { name: 'report.pdf', type: 'application/pdf', size: 9, dataUrl: 'data:application/pdf;base64,JVBERi0xLjQK' };
+      localThis.cloudAttachment = {
+        id: 'attachment-1', name: 'report.pdf', type: 'application/pdf', size: 2048, storage: 'cloud',
+        path: 'attachments/user-123/attachment-1', url: 'https://storage.example.com/attachment-1'
+      };
+
+      localThis.deps.generateId = jest.fn((prefix) => `${prefix}_123_abc`);
+      localThis.deps.uploadAttachmentToStorage = jest.fn().mockResolvedValue({
+        path: 'attachments/user-123/attachment_123_abc',
+        url: 'https://storage.example.com/attachment_123_abc'
+      });
+      localThis.deps.deleteAttachmentFromStorage = jest.fn().mockResolvedValue();
+      localThis.deps.saveLocalFile = jest.fn().mockResolvedValue();
+      localThis.deps.getLocalFile = jest.fn().mockResolvedValue('data:application/pdf;base64,local');
+      localThis.deps.deleteLocalFile = jest.fn().mockResolvedValue();
+      localThis.deps.deleteCommentFromFirestore = jest.fn();
+      localThis.handlers = createHandlers(localThis.deps);
+    });
+
+    describe('uploadAttachment', () => {
+      it('should upload to Cloud Storage for a signed-in user', async () => {
+        localThis.deps.getCurrentUser.mockResolvedValue(localThis.mockUser);
+
+        const result = await localThis.handlers.handleMessage({ action: 'uploadAttachment', file: localThis.file }, null);
+
+        expect(localThis.deps.uploadAttachmentToStorage).toHaveBeenCalledWith('attachment_123_abc', localThis.file, localThis.mockUser);
+        expect(result).toEqual({
+          success: true,
+          attachment: {
+            id: 'attachment_123_abc',
+            name: 'report.pdf',
+            type: 'application/pdf',
+            size: 9,
+            storage: 'cloud',
+            path: 'attachments/user-123/attachment_123_abc',
+            url: 'https://storage.example.com/attachment_123_abc'
+          }
+        });
+        expect(localThis.deps.saveLocalFile).not.toHaveBeenCalled();
+      });
+
+      it('should keep the file in IndexedDB when signed out', async () => {
+        localThis.deps.getCurrentUser.mockResolvedValue(null);
+
+        const result = await localThis.handlers.uploadAttachment(localThis.file);
+
+        expect(localThis.deps.saveLocalFile).toHaveBeenCalledWith('attachments', 'attachment_123_abc', 'data:application/pdf;base64,JVBERi0xLjQK');
+        expect(result.attachment).toEqual({
+          id: 'attachment_123_abc', name: 'report.pdf', type: 'application/pdf', size: 9, storage: 'local'
+        });
+      });
+
+      it('should reject a file type that is not allowed', async () => {
+        const result = await localThis.handlers.uploadAttachment({
+          ...localThis.file, type: 'application/x-msdownload', dataUrl: 'data:application/x-msdownload;base64,abc'
+        });
+
+        expect(result.success).toBe(false);
+        expect(localThis.deps.saveLocalFile).not.toHaveBeenCalled();
+      });
+
+      it('should reject data that does not match the file type', async () => {
+        const result = await localThis.handlers.uploadAttachment({ ...localThis.file, dataUrl: 'data:text/html;base64,abc' });
+
+        expect(result.success).toBe(false);
+      });
+
+      it('should reject a file over the size limit even when it reports a smaller size', async () => {
+        localThis.deps.getCurrentUser.mockResolvedValue(null);
+        const dataUrl = `data:application/pdf;base64,${'A'.repeat(Math.ceil((MAX_ATTACHMENT_SIZE + 1) / 3) * 4)}`;
+
+        const result = await localThis.handlers.uploadAttachment({ ...localThis.file, size: 9, dataUrl });
+
+        expect(result).toEqual({ success: false, error: 'attachmentTooLarge' });
+        expect(localThis.deps.saveLocalFile).not.toHaveBeenCalled();
+      });
+
+      it('should store the decoded size instead of the reported one', async () => {
+        localThis.deps.getCurrentUser.mockResolvedValue(null);
+
+        const result = await localThis.handlers.uploadAttachment({ ...localThis.file, size: 1 });
+
+        expect(result.attachment.size).toBe(9);
+      });
+
+      it('should reject data that is not base64', async () => {
+        const result = await localThis.handlers.uploadAttachment({ ...localThis.file, dataUrl: 'data:application/pdf,%25PDF' });
+
+        expect(result.success).toBe(false);
+        expect(localThis.deps.saveLocalFile).not.toHaveBeenCalled();
+      });
+
+      it('should return error when the upload fails', async () => {
+        localThis.deps.getCurrentUser.mockResolvedValue(localThis.mockUser);
+        localThis.deps.uploadAttachmentToStorage.mockRejectedValue(new Error('Quota exceeded'));
+
+        const result = await localThis.handlers.uploadAttachment(localThis.file);
+
+        expect(result).toEqual({ success: false, error: 'Quota exceeded' });
+        expect(localThis.mockLog.error).toHaveBeenCalled();
+      });
+    });
+
+    describe('deleteAttachment', () => {
+      it('should delete a cloud file', async () => {
+        localThis.deps.getCurrentUser.mockResolvedValue(localThis.mockUser);
+
+        const result = await localThis.handlers.handleMessage({ action: 'deleteAttachment', attachment: localThis.cloudAttachment }, null);
+
+        expect(result.success).toBe(true);
+        expect(localThis.deps.deleteAttachmentFromStorage).toHaveBeenCalledWith('attachments/user-123/attachment-1', localThis.mockUser);
+      });
+
+      it('should delete a local file', async () => {
+        localThis.deps.getCurrentUser.mockResolvedValue(null);
+
+        await localThis.handlers.deleteAttachment({ id: 'attachment-1', name: 'a.txt', type: 'text/plain', size: 3, storage: 'local' });
+
+        expect(localThis.deps.deleteLocalFile).toHaveBeenCalledWith('attachments', 'attachment-1');
+      });
+
+      it('should not fail when the file cannot be removed', async () => {
+        localThis.deps.getCurrentUser.mockResolvedValue(localThis.mockUser);
+        localThis.deps.deleteAttachmentFromStorage.mockRejectedValue(new Error('Permission denied'));
+
+        const result = await localThis.handlers.deleteAttachment(localThis.cloudAttachment);
+
+        expect(result.success).toBe(true);
+        expect(localThis.mockLog.warn).toHaveBeenCalled();
+      });
+    });
+
+    describe('getAttachment', () => {
+      it('should return the download URL of a cloud file', async () => {
+        const result = await localThis.handlers.handleMessage({ action: 'getAttachment', attachment: localThis.cloudAttachment }, null);
+
+        expect(result).toEqual({ success: true, src: 'https://storage.example.com/attachment-1' });
+      });
+
+      it('should read a local file from IndexedDB', async () => {
+        const result = await localThis.handlers.getAttachment({ id: 'attachment-1', storage: 'local' });
+
+        expect(localThis.deps.getLocalFile).toHaveBeenCalledWith('attachments', 'attachment-1');
+        expect(result).toEqual({ success: true, src: 'data:application/pdf;base64,local' });
+      });
+
+      it('should return error when the file is gone', async () => {
+        localThis.deps.getLocalFile.mockResolvedValue(null);
+
+        const result = await localThis.handlers.getAttachment({ id: 'attachment-1', storage: 'local' });
+
+        expect(result.success).toBe(false);
+      });
+    });
+
+    describe('notes and comments with attachments', () => {
+      it('should keep valid attachments on a local note', async () => {
+        localThis.deps.getCurrentUser.mockResolvedValue(null);
+        localThis.mockChromeStorage.local.get.mockResolvedValue({ notes: [] });
+        localThis.mockChromeStorage.local.set.mockResolvedValue();
+        const attachment = { id: 'attachment-1', name: 'a.txt', type: 'text/plain', size: 3, storage: 'local' };
+
+        const result = await localThis.handlers.saveNote({ url: 'https://example.com', attachments: [attachment, { id: 'bad' }] });
+
+        expect(result.note.attachments).toEqual([attachment]);
+      });
+
+      it('should update the attachments of a local note', async () => {
+        localThis.deps.getCurrentUser.mockResolvedValue(null);
+        localThis.mockChromeStorage.local.get.mockResolvedValue({ notes: [{ id: 'note-1', attachments: [] }] });
+        localThis.mockChromeStorage.local.set.mockResolvedValue();
+        const attachment = { id: 'attachment-1', name: 'a.txt', type: 'text/plain', size: 3, storage: 'local' };
+
+        await localThis.handlers.updateNote({ id: 'note-1', attachments: [attachment] });
+
+        const saved = localThis.mockChromeStorage.local.set.mock.calls[0][0].notes[0];
+        expect(saved.attachments).toEqual([attachment]);
+      });
+
+      it('should delete the files of a deleted Firestore note', async () => {
+        localThis.deps.getCurrentUser.mockResolvedValue(localThis.mockUser);
+        localThis.deps.deleteNoteFromFirestore.mockResolvedValue({ attachments: [localThis.cloudAttachment] });
+
+        await localThis.handlers.deleteNote('note-1');
+
+        expect(localThis.deps.deleteAttachmentFromStorage).toHaveBeenCalledWith('attachments/user-123/attachment-1', localThis.mockUser);
+      });
+
+      it('should delete the files of a deleted local note', async () => {
+        localThis.deps.getCurrentUser.mockResolvedValue(null);
+        localThis.mockChromeStorage.local.get.mockResolvedValue({
+          notes: [{ id: 'note-1', attachments: [{ id: 'attachment-1', name: 'a.txt', type: 'text/plain', size: 3, storage: 'local' }] }]
+        });
+        localThis.mockChromeStorage.local.set.mockResolvedValue();
+
+        await localThis.handlers.deleteNote('note-1');
+
+        expect(localThis.deps.deleteLocalFile).toHaveBeenCalledWith('attachments', 'attachment-1');
+      });
+
+      it('should delete the files of a deleted comment thread', async () => {
+        localThis.deps.getCurrentUser.mockResolvedValue(localThis.mockUser);
+        localThis.deps.deleteCommentFromFirestore.mockResolvedValue([localThis.cloudAttachment]);
+
+        const result = await localThis.handlers.deleteCommentHandler('note-1', 'comment-1');
+
+        expect(result.success).toBe(true);
+        expect(localThis.deps.deleteAttachmentFromStorage).toHaveBeenCalledWith('attachments/user-123/attachment-1', localThis.mockUser);
+      });
+    });
+  });
+
   describe('addComment', () => {
     beforeEach(() => {
       localThis.deps.createCommentInFirestore = jest.fn();
@@ -1124,6 +1569,119 @@ describe('Background Handlers', () => {
     });
   });
 
+  describe('reactions', () => {
+    beforeEach(() => {
+      localThis.deps.toggleNoteReactionInFirestore = jest.fn().mockResolvedValue({ 'user-123': ['eyes'] });
+      localThis.deps.toggleCommentReactionInFirestore = jest.fn().mockResolvedValue({ 'user-123': ['check'] });
+      localThis.handlers = createHandlers(localThis.deps);
+      localThis.deps.getCurrentUser.mockResolvedValue(localThis.mockUser);
+      localThis.deps.isFirebaseConfigured.mockReturnValue(true);
+    });
+
+    it('should toggle a note reaction for the signed-in user', async () => {
+      const result = await localThis.handlers.handleMessage({ action: 'toggleNoteReaction', noteId: 'note-1', reaction: 'eyes' }, null);
+      
+      expect(result).toEqual({ success: true, reactions: { 'user-123': ['eyes'] } });
+      expect(localThis.deps.toggleNoteReactionInFirestore).toHaveBeenCalledWith('note-1', 'eyes', localThis.mockUser);
+    });
+
+    it('should toggle a comment reaction for the signed-in user', async () => {
+      const result = await localThis.handlers.handleMessage({
+        action: 'toggleCommentReaction',
+        noteId: 'note-1',
+        commentId: 'comment-1',
+        reaction: 'check'
+      }, null);
+      
+      expect(result).toEqual({ success: true, reactions: { 'user-123': ['check'] } });
+      expect(localThis.deps.toggleCommentReactionInFirestore).toHaveBeenCalledWith('note-1', 'comment-1', 'check', localThis.mockUser);
+    });
+
+    it('should require login', async () => {
+      localThis.deps.getCurrentUser.mockResolvedValue(null);
+      
+      const noteResult = await localThis.handlers.toggleNoteReaction('note-1', 'eyes');
+      const commentResult = await localThis.handlers.toggleCommentReaction('note-1', 'comment-1', 'eyes');
+      
+      expect(noteResult.success).toBe(false);
+      expect(noteResult.error).toMatch(/^(You must be logged in to react|mustBeLoggedInToReact)$/);
+      expect(commentResult.success).toBe(false);
+      expect(localThis.deps.toggleNoteReactionInFirestore).not.toHaveBeenCalled();
+    });
+
+    it('should require Firebase configuration', async () => {
+      localThis.deps.isFirebaseConfigured.mockReturnValue(false);
+      
+      const result = await localThis.handlers.toggleNoteReaction('note-1', 'eyes');
+      
+      expect(result.success).toBe(false);
+      expect(result.error).toMatch(/^(Reactions require Firebase to be configured|reactionsRequireFirebase)$/);
+    });
+
+    it('should return the error when saving fails', async () => {
+      localThis.deps.toggleCommentReactionInFirestore.mockRejectedValue(new Error('Permission denied'));
+      
+      const result = await localThis.handlers.toggleCommentReaction('note-1', 'comment-1', 'eyes');
+      
+      expect(result).toEqual({ success: false, error: 'Permission denied' });
+      expect(localThis.mockLog.error).toHaveBeenCalled();
+    });
+  });
+
+  describe('comment threads', () => {
+    beforeEach(() => {
+      localThis.thread = { resolved: true, resolvedBy: { uid: 'user-123', name: 'Test' }, acceptedAnswerId: 'reply-1' };
+      localThis.deps.setCommentThreadResolvedInFirestore = jest.fn().mockResolvedValue(localThis.thread);
+      localThis.deps.setAcceptedAnswerInFirestore = jest.fn().mockResolvedValue(localThis.thread);
+      localThis.handlers = createHandlers(localThis.deps);
+      localThis.deps.getCurrentUser.mockResolvedValue(localThis.mockUser);
+      localThis.deps.isFirebaseConfigured.mockReturnValue(true);
+    });
+
+    it('should resolve a thread for the signed-in user', async () => {
+      const result = await localThis.handlers.handleMessage({
+        action: 'resolveCommentThread',
+        noteId: 'note-1',
+        commentId: 'comment-1',
+        resolved: true
+      }, null);
+      
+      expect(result).toEqual({ success: true, thread: localThis.thread });
+      expect(localThis.deps.setCommentThreadResolvedInFirestore).toHaveBeenCalledWith('note-1', 'comment-1', true, localThis.mockUser);
+    });
+
+    it('should accept an answer, passing null to clear it', async () => {
+      await localThis.handlers.handleMessage({
+        action: 'acceptCommentAnswer',
+        noteId: 'note-1',
+        commentId: 'comment-1',
+        answerId: 'reply-1'
+      }, null);
+      await localThis.handlers.acceptCommentAnswer('note-1', 'comment-1', undefined);
+      
+      expect(localThis.deps.setAcceptedAnswerInFirestore).toHaveBeenNthCalledWith(1, 'note-1', 'comment-1', 'reply-1', localThis.mockUser);
+      expect(localThis.deps.setAcceptedAnswerInFirestore).toHaveBeenNthCalledWith(2, 'note-1', 'comment-1', null, localThis.mockUser);
+    });
+
+    it('should require login', async () => {
+      localThis.deps.getCurrentUser.mockResolvedValue(null);
+      
+      const result = await localThis.handlers.resolveCommentThread('note-1', 'comment-1', true);
+      
+      expect(result.success).toBe(false);
+      expect(localThis.deps.setCommentThreadResolvedInFirestore).not.toHaveBeenCalled();
+    });
+
+    it('should return the error when saving fails', async () => {
+      localThis.deps.setAcceptedAnswerInFirestore.mockRejectedValue(new Error('Permission denied'));
+      
+      const result = await localThis.handlers.acceptCommentAnswer('note-1', 'comment-1', 'reply-1');
+      
+      expect(result).toEqual({ success: false, error: 'Permission denied' });
+      expect(localThis.mockLog.error).toHaveBeenCalled();
+    });
+  });
+
   describe('deleteCommentHandler', () => {
     beforeEach(() => {
       localThis.deps.deleteCommentFromFirestore = jest.fn();
@@ -1291,6 +1849,143 @@ describe('Background Handlers', () => {
     });
   });
 
+  describe('revisions', () => {
+    beforeEach(() => {
+      localThis.deps.recordRevisionInFirestore = jest.fn().mockResolvedValue({ id: 'rev-new' });
+      localThis.deps.getRevisionsForNoteFromFirestore = jest.fn();
+      localThis.deps.getRevisionFromFirestore = jest.fn();
+      localThis.handlers = createHandlers(localThis.deps);
+      localThis.deps.getCurrentUser.mockResolvedValue(localThis.mockUser);
+      localThis.deps.isFirebaseConfigured.mockReturnValue(true);
+    });
+
+    it('should record a revision when a save changes the content', async () => {
+      localThis.deps.updateNoteInFirestore.mockResolvedValue({ previous: { content: 'Before' }, updatedAt: null });
+      
+      const result = await localThis.handlers.updateNote({ id: 'note-1', content: 'After' });
+      
+      expect(result.success).toBe(true);
+      expect(localThis.deps.recordRevisionInFirestore).toHaveBeenCalledWith('note-1', {
+        content: 'After',
+        previousContent: 'Before'
+      }, localThis.mockUser);
+    });
+
+    it('should not record a revision when the content is unchanged', async () => {
+      localThis.deps.updateNoteInFirestore.mockResolvedValue({ previous: { content: 'Same' }, updatedAt: null });
+      
+      await localThis.handlers.updateNote({ id: 'note-1', content: 'Same', theme: 'blue' });
+      await localThis.handlers.updateNote({ id: 'note-1', theme: 'pink' });
+      
+      expect(localThis.deps.recordRevisionInFirestore).not.toHaveBeenCalled();
+    });
+
+    it('should keep the save when recording the revision fails', async () => {
+      localThis.deps.updateNoteInFirestore.mockResolvedValue({ previous: { content: 'Before' }, updatedAt: null });
+      localThis.deps.recordRevisionInFirestore.mockRejectedValue(new Error('offline'));
+      
+      const result = await localThis.handlers.updateNote({ id: 'note-1', content: 'After' });
+      
+      expect(result.success).toBe(true);
+      expect(localThis.mockLog.warn).toHaveBeenCalled();
+      expect(localThis.mockChromeStorage.local.set).not.toHaveBeenCalled();
+    });
+
+    it('should return the updatedAt the save stored', async () => {
+      localThis.deps.updateNoteInFirestore.mockResolvedValue({ previous: { content: 'Before' }, updatedAt: { seconds: 150, nanoseconds: 0 } });
+      
+      const result = await localThis.handlers.updateNote({ id: 'note-1', content: 'After', baseUpdatedAt: { seconds: 100, nanoseconds: 0 } });
+      
+      expect(result).toEqual({ success: true, note: { id: 'note-1', content: 'After', updatedAt: { seconds: 150, nanoseconds: 0 } } });
+    });
+
+    it('should report an edit conflict without falling back to local storage', async () => {
+      const conflict = Object.assign(new Error('Edit conflict'), { code: 'edit-conflict', currentContent: 'Theirs', currentUpdatedAt: { seconds: 200, nanoseconds: 0 } });
+      localThis.deps.updateNoteInFirestore.mockRejectedValue(conflict);
+      
+      const result = await localThis.handlers.updateNote({ id: 'note-1', content: 'Mine', baseUpdatedAt: { seconds: 100, nanoseconds: 0 } });
+      
+      expect(result).toEqual(expect.objectContaining({ success: false, conflict: true, content: 'Theirs', updatedAt: { seconds: 200, nanoseconds: 0 } }));
+      expect(localThis.mockChromeStorage.local.set).not.toHaveBeenCalled();
+    });
+
+    it('should not store the base version locally', async () => {
+      localThis.deps.isFirebaseConfigured.mockReturnValue(false);
+      localThis.mockChromeStorage.local.get.mockResolvedValue({ notes: [{ id: 'note-1', content: 'Base' }] });
+      
+      const result = await localThis.handlers.updateNote({ id: 'note-1', content: 'Mine', baseUpdatedAt: '2026-01-01T00:00:00.000Z' });
+      
+      expect(result.success).toBe(true);
+      expect(result.note).not.toHaveProperty('baseUpdatedAt');
+      expect(localThis.mockChromeStorage.local.set.mock.calls[0][0].notes[0]).not.toHaveProperty('baseUpdatedAt');
+    });
+
+    it('should get revisions via handleMessage', async () => {
+      const revisions = [{ id: 'rev-1', content: 'a' }];
+      localThis.deps.getRevisionsForNoteFromFirestore.mockResolvedValue(revisions);
+      
+      const result = await localThis.handlers.handleMessage({ action: 'getRevisions', noteId: 'note-1' }, null);
+      
+      expect(result).toEqual({ success: true, revisions });
+      expect(localThis.deps.getRevisionsForNoteFromFirestore).toHaveBeenCalledWith('note-1', localThis.mockUser);
+    });
+
+    it('should require login to get revisions', async () => {
+      localThis.deps.getCurrentUser.mockResolvedValue(null);
+      
+      const result = await localThis.handlers.getRevisions('note-1');
+      
+      expect(result.success).toBe(false);
+      expect(result.error).toMatch(/^(Sign in to view the note's history|signInToViewHistory)$/);
+    });
+
+    it('should require Firebase configuration to get revisions', async () => {
+      localThis.deps.isFirebaseConfigured.mockReturnValue(false);
+      
+      const result = await localThis.handlers.getRevisions('note-1');
+      
+      expect(result.success).toBe(false);
+      expect(result.error).toMatch(/^(Version history requires cloud sync|historyRequiresFirebase)$/);
+    });
+
+    it('should restore a revision and record the restore', async () => {
+      localThis.deps.getRevisionFromFirestore.mockResolvedValue({ id: 'rev-1', content: 'Old', previousContent: 'Older' });
+      localThis.deps.updateNoteInFirestore.mockResolvedValue({ previous: { content: 'Current' }, updatedAt: null });
+      
+      const result = await localThis.handlers.handleMessage({
+        action: 'restoreRevision',
+        noteId: 'note-1',
+        revisionId: 'rev-1'
+      }, null);
+      
+      expect(result).toEqual({ success: true, content: 'Old' });
+      expect(localThis.deps.updateNoteInFirestore).toHaveBeenCalledWith('note-1', { content: 'Old' }, 'user-123');
+      expect(localThis.deps.recordRevisionInFirestore).toHaveBeenCalledWith('note-1', {
+        content: 'Old',
+        previousContent: 'Current',
+        restoredFrom: 'rev-1'
+      }, localThis.mockUser);
+    });
+
+    it('should restore the content from before a revision', async () => {
+      localThis.deps.getRevisionFromFirestore.mockResolvedValue({ id: 'rev-1', content: 'Old', previousContent: 'Older' });
+      localThis.deps.updateNoteInFirestore.mockResolvedValue({ previous: { content: 'Current' }, updatedAt: null });
+      
+      const result = await localThis.handlers.restoreRevision('note-1', 'rev-1', true);
+      
+      expect(result).toEqual({ success: true, content: 'Older' });
+    });
+
+    it('should return error when the restore fails', async () => {
+      localThis.deps.getRevisionFromFirestore.mockRejectedValue(new Error('Revision not found'));
+      
+      const result = await localThis.handlers.restoreRevision('note-1', 'rev-x');
+      
+      expect(result).toEqual({ success: false, error: 'Revision not found' });
+      expect(localThis.deps.updateNoteInFirestore).not.toHaveBeenCalled();
+    });
+  });
+
   describe('subscribeNotes', () => {
     beforeEach(() => {
       localThis.deps.subscribeToNotesForUrl = jest.fn();
@@ -1537,6 +2232,112 @@ describe('Background Handlers', () => {
     });
   });
 
+  describe('presence', () => {
+    beforeEach(() => {
+      localThis.deps.subscribeToNotesForUrl = jest.fn(() => jest.fn());
+      localThis.deps.subscribeToPresence = jest.fn(() => jest.fn());
+      localThis.deps.setPresenceInFirestore = jest.fn().mockResolvedValue();
+      localThis.deps.clearPresenceInFirestore = jest.fn().mockResolvedValue();
+      localThis.deps.noteSubscriptions = new Map();
+      localThis.mockChromeTabs = {
+        query: jest.fn(),
+        captureVisibleTab: jest.fn(),
+        sendMessage: jest.fn().mockResolvedValue({})
+      };
+      localThis.deps.chromeTabs = localThis.mockChromeTabs;
+      localThis.deps.getCurrentUser.mockResolvedValue(localThis.mockUser);
+      localThis.deps.isFirebaseConfigured.mockReturnValue(true);
+      localThis.handlers = createHandlers(localThis.deps);
+      localThis.sender = { tab: { id: 123 }, frameId: 456 };
+    });
+
+    it('should subscribe to presence along with notes and forward viewers to the frame', async () => {
+      await localThis.handlers.subscribeNotes('https://example.com', localThis.sender);
+
+      expect(localThis.deps.subscribeToPresence).toHaveBeenCalledWith(
+        'https://example.com',
+        localThis.mockUser,
+        expect.any(Function),
+        expect.any(Function)
+      );
+
+      const viewers = [{ userId: 'alice' }];
+      localThis.deps.subscribeToPresence.mock.calls[0][2](viewers);
+
+      expect(localThis.mockChromeTabs.sendMessage).toHaveBeenCalledWith(
+        123,
+        { action: 'presenceUpdated', viewers },
+        { frameId: 456 }
+      );
+    });
+
+    it('should still subscribe to notes when presence fails', async () => {
+      localThis.deps.subscribeToPresence.mockRejectedValue(new Error('offline'));
+
+      const result = await localThis.handlers.subscribeNotes('https://example.com', localThis.sender);
+
+      expect(result.success).toBe(true);
+      expect(localThis.deps.noteSubscriptions.has('123-456')).toBe(true);
+    });
+
+    it('should stop presence and remove our own when unsubscribing', async () => {
+      const notesUnsubscribe = jest.fn();
+      const presenceUnsubscribe = jest.fn();
+      localThis.deps.subscribeToNotesForUrl.mockReturnValue(notesUnsubscribe);
+      localThis.deps.subscribeToPresence.mockReturnValue(presenceUnsubscribe);
+      await localThis.handlers.subscribeNotes('https://example.com', localThis.sender);
+
+      await localThis.handlers.unsubscribeNotes(localThis.sender);
+
+      expect(notesUnsubscribe).toHaveBeenCalled();
+      expect(presenceUnsubscribe).toHaveBeenCalled();
+      expect(localThis.deps.clearPresenceInFirestore).toHaveBeenCalledWith('123-456', localThis.mockUser);
+    });
+
+    it('should publish presence for the subscribed page', async () => {
+      await localThis.handlers.subscribeNotes('https://example.com', localThis.sender);
+
+      const result = await localThis.handlers.handleMessage({
+        action: 'updatePresence',
+        audience: ['alice@example.com'],
+        editingNoteId: 'note-1',
+        typingNoteId: null
+      }, localThis.sender);
+
+      expect(result).toEqual({ success: true });
+      expect(localThis.deps.setPresenceInFirestore).toHaveBeenCalledWith('123-456', {
+        url: 'https://example.com',
+        audience: ['alice@example.com'],
+        editingNoteId: 'note-1',
+        typingNoteId: null
+      }, localThis.mockUser);
+    });
+
+    it('should not publish presence without a notes subscription', async () => {
+      const result = await localThis.handlers.updatePresence({ audience: [] }, localThis.sender);
+
+      expect(result.success).toBe(false);
+      expect(localThis.deps.setPresenceInFirestore).not.toHaveBeenCalled();
+    });
+
+    it('should require login to publish presence', async () => {
+      localThis.deps.getCurrentUser.mockResolvedValue(null);
+
+      const result = await localThis.handlers.updatePresence({ audience: [] }, localThis.sender);
+
+      expect(result).toEqual({ success: false, error: 'mustBeLoggedInForRealtime' });
+    });
+
+    it('should report presence write failures', async () => {
+      localThis.deps.setPresenceInFirestore.mockRejectedValue(new Error('Permission denied'));
+      await localThis.handlers.subscribeNotes('https://example.com', localThis.sender);
+
+      const result = await localThis.handlers.updatePresence({ audience: ['alice@example.com'] }, localThis.sender);
+
+      expect(result).toEqual({ success: false, error: 'Permission denied' });
+    });
+  });
+
   describe('subscribeCommentsHandler', () => {
     beforeEach(() => {
       localThis.deps.subscribeToComments = jest.fn();
@@ -1677,6 +2478,7 @@ describe('Background Handlers', () => {
       // Subscription handlers
       expect(typeof handlers.subscribeNotes).toBe('function');
       expect(typeof handlers.unsubscribeNotes).toBe('function');
+      expect(typeof handlers.updatePresence).toBe('function');
       expect(typeof handlers.subscribeCommentsHandler).toBe('function');
       expect(typeof handlers.unsubscribeCommentsHandler).toBe('function');
       // Badge management
@@ -2284,6 +3086,23 @@ describe('Background Handlers', () => {
       expect(result.count).toBe(0);
       expect(localThis.deps.chromeAction.setBadgeText).toHaveBeenCalledWith({ text: '' });
     });
+
+    it('should count unread mentions in the badge', async () => {
+      localThis.deps.getCurrentUser.mockResolvedValue(localThis.mockUser);
+      localThis.deps.isFirebaseConfigured.mockReturnValue(true);
+      localThis.deps.getSharedNotesForUser.mockResolvedValue([{ id: 'note-1' }]);
+      localThis.deps.getMentionNotifications = jest.fn().mockResolvedValue([
+        { id: 'notification-1', read: false },
+        { id: 'notification-2', read: true }
+      ]);
+      localThis.deps.chromeStorage.local.get.mockResolvedValue({});
+      localThis.handlers = createHandlers(localThis.deps);
+      
+      const result = await localThis.handlers.updateUnreadSharedBadge();
+      
+      expect(result.count).toBe(2);
+      expect(localThis.deps.chromeAction.setBadgeText).toHaveBeenCalledWith({ text: '2' });
+    });
   });
 
   describe('getUnreadSharedNotes', () => {
@@ -2391,6 +3210,110 @@ describe('Background Handlers', () => {
     });
   });
 
+  describe('getAssignedNotes', () => {
+    beforeEach(() => {
+      localThis.deps.getSharedNotesForUser = jest.fn().mockResolvedValue([]);
+      localThis.handlers = createHandlers(localThis.deps);
+    });
+
+    it('should return shared notes assigned to the user, soonest due first', async () => {
+      localThis.deps.getCurrentUser.mockResolvedValue(localThis.mockUser);
+      localThis.deps.isFirebaseConfigured.mockReturnValue(true);
+      localThis.deps.getSharedNotesForUser.mockResolvedValue([
+        { id: 'note-1', assignee: 'test@example.com', dueDate: null },
+        { id: 'note-2', assignee: 'other@example.com', dueDate: '2026-01-01' },
+        { id: 'note-3', assignee: 'test@example.com', dueDate: '2026-05-01' },
+        { id: 'note-4', assignee: 'test@example.com', dueDate: '2026-02-01' },
+        { id: 'note-5', assignee: null }
+      ]);
+      
+      const result = await localThis.handlers.handleMessage({ action: 'getAssignedNotes' }, null);
+      
+      expect(result.success).toBe(true);
+      expect(result.notes.map(note => note.id)).toEqual(['note-4', 'note-3', 'note-1']);
+    });
+
+    it('should return empty array when user not logged in', async () => {
+      localThis.deps.getCurrentUser.mockResolvedValue(null);
+      
+      const result = await localThis.handlers.getAssignedNotes();
+      
+      expect(result).toEqual({ success: true, notes: [] });
+      expect(localThis.deps.getSharedNotesForUser).not.toHaveBeenCalled();
+    });
+
+    it('should handle errors gracefully', async () => {
+      localThis.deps.getCurrentUser.mockResolvedValue(localThis.mockUser);
+      localThis.deps.isFirebaseConfigured.mockReturnValue(true);
+      localThis.deps.getSharedNotesForUser.mockRejectedValue(new Error('Query failed'));
+      
+      const result = await localThis.handlers.getAssignedNotes();
+      
+      expect(result.success).toBe(false);
+      expect(result.notes).toEqual([]);
+      expect(localThis.mockLog.error).toHaveBeenCalled();
+    });
+  });
+
+  describe('mentions', () => {
+    beforeEach(() => {
+      localThis.deps.getMentionNotifications = jest.fn().mockResolvedValue([]);
+      localThis.deps.markNotificationReadInFirestore = jest.fn().mockResolvedValue();
+      localThis.deps.getSharedNotesForUser = jest.fn().mockResolvedValue([]);
+      localThis.deps.chromeAction = {
+        setBadgeText: jest.fn().mockResolvedValue(),
+        setBadgeBackgroundColor: jest.fn().mockResolvedValue()
+      };
+      localThis.deps.chromeStorage.local.get.mockResolvedValue({});
+      localThis.handlers = createHandlers(localThis.deps);
+    });
+
+    it('should return mentions with the unread count', async () => {
+      localThis.deps.getCurrentUser.mockResolvedValue(localThis.mockUser);
+      localThis.deps.isFirebaseConfigured.mockReturnValue(true);
+      localThis.deps.getMentionNotifications.mockResolvedValue([
+        { id: 'notification-1', read: false },
+        { id: 'notification-2', read: true }
+      ]);
+      
+      const result = await localThis.handlers.handleMessage({ action: 'getMentions' }, null);
+      
+      expect(result.success).toBe(true);
+      expect(result.mentions).toHaveLength(2);
+      expect(result.unreadCount).toBe(1);
+      expect(localThis.deps.getMentionNotifications).toHaveBeenCalledWith(localThis.mockUser);
+    });
+
+    it('should return no mentions when user not logged in', async () => {
+      localThis.deps.getCurrentUser.mockResolvedValue(null);
+      
+      const result = await localThis.handlers.getMentions();
+      
+      expect(result).toEqual({ success: true, mentions: [], unreadCount: 0 });
+      expect(localThis.deps.getMentionNotifications).not.toHaveBeenCalled();
+    });
+
+    it('should mark a mention as read and refresh the badge', async () => {
+      localThis.deps.getCurrentUser.mockResolvedValue(localThis.mockUser);
+      localThis.deps.isFirebaseConfigured.mockReturnValue(true);
+      
+      const result = await localThis.handlers.handleMessage({ action: 'markMentionRead', notificationId: 'notification-1' }, null);
+      
+      expect(result).toEqual({ success: true });
+      expect(localThis.deps.markNotificationReadInFirestore).toHaveBeenCalledWith('notification-1', localThis.mockUser);
+      expect(localThis.deps.chromeAction.setBadgeText).toHaveBeenCalled();
+    });
+
+    it('should require a notification ID', async () => {
+      localThis.deps.getCurrentUser.mockResolvedValue(localThis.mockUser);
+      
+      const result = await localThis.handlers.markMentionRead();
+      
+      expect(result.success).toBe(false);
+      expect(localThis.deps.markNotificationReadInFirestore).not.toHaveBeenCalled();
+    });
+  });
+
   describe('handleMessage - injectContentScript', () => {
     beforeEach(() => {
       localThis.deps.chromeTabs = {
@@ -2421,6 +3344,24 @@ describe('Background Handlers', () => {
       );
     });
 
+    it('should flag the app as check-only before injecting when asked', async () => {
+      localThis.deps.chromeTabs.sendMessage.mockRejectedValue(new Error('No receiver'));
+      globalThis.chrome.scripting = {
+        executeScript: jest.fn().mockResolvedValue([{ result: true }])
+      };
+      
+      const result = await localThis.handlers.injectContentScriptIntoTab(1, 'https://example.com', { checkOnly: true });
+      
+      expect(result.success).toBe(true);
+      expect(globalThis.chrome.scripting.executeScript).toHaveBeenCalledTimes(3);
+      const flagCall = globalThis.chrome.scripting.executeScript.mock.calls[0][0];
+      expect(flagCall.target).toEqual({ tabId: 1, allFrames: true });
+      flagCall.func();
+      expect(window.__stickyNotesCheckOnly).toBe(true);
+      delete window.__stickyNotesCheckOnly;
+      expect(globalThis.chrome.scripting.executeScript.mock.calls[2][0].files).toEqual(['src/content/content.js']);
+    });
+
     it('should return alreadyInjected when content script responds to ping', async () => {
       localThis.deps.chromeTabs.sendMessage.mockResolvedValue({ success: true }); // ping succeeds
       
@@ -2468,4 +3409,86 @@ describe('Background Handlers', () => {
       expect(result.error).toBe('Injection failed');
     });
   });
+
+  describe('anchor health check', () => {
+    beforeEach(() => {
+      localThis.mockChecker = {
+        start: jest.fn(async (origin, notes) => ({ success: true, report: { origin, pagesTotal: notes.length } })),
+        getReport: jest.fn().mockResolvedValue({ origin: 'https://example.com', status: 'completed' }),
+        cancel: jest.fn(() => ({ success: true })),
+        isRunning: jest.fn(() => false)
+      };
+      localThis.deps.getNotesForDomain = jest.fn();
+      localThis.deps.anchorHealthChecker = localThis.mockChecker;
+      localThis.handlers = createHandlers(localThis.deps);
+    });
+
+    it('should check Firestore notes of the site when logged in', async () => {
+      const notes = [{ id: 'n1', url: 'https://example.com/a' }];
+      localThis.deps.getCurrentUser.mockResolvedValue(localThis.mockUser);
+      localThis.deps.getNotesForDomain.mockResolvedValue(notes);
+
+      const result = await localThis.handlers.handleMessage(
+        { action: 'startAnchorHealthCheck', origin: 'https://example.com/some/page' },
+        null
+      );
+
+      expect(result.success).toBe(true);
+      expect(localThis.deps.getNotesForDomain).toHaveBeenCalledWith('https://example.com', 'user-123', 'test@example.com');
+      expect(localThis.mockChecker.start).toHaveBeenCalledWith('https://example.com', notes);
+    });
+
+    it('should fall back to local notes of the same origin', async () => {
+      localThis.deps.isFirebaseConfigured.mockReturnValue(false);
+      localThis.mockChromeStorage.local.get.mockResolvedValue({
+        notes: [
+          { id: 'n1', url: 'https://example.com/a' },
+          { id: 'n2', url: 'https://other.com/a' },
+          { id: 'n3', url: 'not a url' }
+        ]
+      });
+
+      await localThis.handlers.startAnchorHealthCheck('https://example.com');
+
+      expect(localThis.mockChecker.start).toHaveBeenCalledWith('https://example.com', [
+        { id: 'n1', url: 'https://example.com/a' }
+      ]);
+    });
+
+    it('should fall back to local notes when the Firestore query fails', async () => {
+      localThis.deps.getCurrentUser.mockResolvedValue(localThis.mockUser);
+      localThis.deps.getNotesForDomain.mockRejectedValue(new Error('index missing'));
+      localThis.mockChromeStorage.local.get.mockResolvedValue({ notes: [] });
+
+      const result = await localThis.handlers.startAnchorHealthCheck('https://example.com');
+
+      expect(result.success).toBe(true);
+      expect(localThis.mockChecker.start).toHaveBeenCalledWith('https://example.com', []);
+    });
+
+    it('should reject invalid and non-web origins', async () => {
+      expect(await localThis.handlers.startAnchorHealthCheck('nope')).toEqual({ success: false, error: 'Invalid origin' });
+      expect(await localThis.handlers.startAnchorHealthCheck('chrome://extensions')).toEqual({ success: false, error: 'Restricted URL' });
+      expect(localThis.mockChecker.start).not.toHaveBeenCalled();
+    });
+
+    it('should return the latest report with the running flag', async () => {
+      localThis.mockChecker.isRunning.mockReturnValue(true);
+
+      const result = await localThis.handlers.handleMessage({ action: 'getAnchorHealthReport' }, null);
+
+      expect(result).toEqual({
+        success: true,
+        report: { origin: 'https://example.com', status: 'completed' },
+        running: true
+      });
+    });
+
+    it('should cancel the running check', async () => {
+      const result = await localThis.handlers.handleMessage({ action: 'cancelAnchorHealthCheck' }, null);
+
+      expect(result.success).toBe(true);
+      expect(localThis.mockChecker.cancel).toHaveBeenCalled();
+    });
+  });
 });
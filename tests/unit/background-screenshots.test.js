@@ -0,0 +1,106 @@
+/**
+ * Background Screenshots Unit Tests
+ *
+ * Tests cropping of visible-tab captures with mocked canvas APIs.
+ */
+
+import { jest, describe, it, expect, beforeEach } from '@jest/globals';
+import {
+  isValidRect,
+  getCropRect,
+  cropScreenshot,
+  SCREENSHOT_PADDING,
+  MAX_SCREENSHOT_WIDTH
+} from '../../src/background/screenshots.js';
+
+describe('Background Screenshots', () => {
+  const localThis = {};
+
+  describe('isValidRect', () => {
+    it('should accept finite, non-negative sizes', () => {
+      expect(isValidRect({ x: -10, y: 20, width: 100, height: 0 })).toBe(true);
+    });
+
+    it('should reject missing or invalid rects', () => {
+      expect(isValidRect(null)).toBe(false);
+      expect(isValidRect({ x: 0, y: 0, width: 10 })).toBe(false);
+      expect(isValidRect({ x: 0, y: 0, width: -1, height: 10 })).toBe(false);
+      expect(isValidRect({ x: NaN, y: 0, width: 10, height: 10 })).toBe(false);
+    });
+  });
+
+  describe('getCropRect', () => {
+    const viewport = { width: 1000, height: 800 };
+
+    it('should pad the anchor', () => {
+      expect(getCropRect({ x: 200, y: 300, width: 100, height: 50 }, viewport)).toEqual({
+        x: 200 - SCREENSHOT_PADDING,
+        y: 300 - SCREENSHOT_PADDING,
+        width: 100 + SCREENSHOT_PADDING * 2,
+        height: 50 + SCREENSHOT_PADDING * 2
+      });
+    });
+
+    it('should clamp to the viewport', () => {
+      expect(getCropRect({ x: 10, y: 750, width: 1200, height: 100 }, viewport, 20)).toEqual({
+        x: 0, y: 730, width: 1000, height: 70
+      });
+    });
+
+    it('should return null when the anchor is off screen', () => {
+      expect(getCropRect({ x: 0, y: -500, width: 100, height: 50 }, viewport)).toBeNull();
+    });
+  });
+
+  describe('cropScreenshot', () => {
+    beforeEach(() => {
+      localThis.image = { width: 2000, height: 1600, close: jest.fn() };
+      localThis.context = { drawImage: jest.fn(), strokeRect: jest.fn() };
+      localThis.canvases = [];
+      localThis.deps = {
+        fetch: jest.fn().mockResolvedValue({ blob: jest.fn().mockResolvedValue('png-blob') }),
+        createImageBitmap: jest.fn().mockResolvedValue(localThis.image),
+        OffscreenCanvas: jest.fn(function (width, height) {
+          this.width = width;
+          this.height = height;
+          this.getContext = () => localThis.context;
+          this.convertToBlob = jest.fn().mockResolvedValue('jpeg-blob');
+          localThis.canvases.push(this);
+        }),
+        blobToDataUrl: jest.fn().mockResolvedValue('data:image/jpeg;base64,abc')
+      };
+      localThis.viewport = { width: 1000, height: 800 };
+    });
+
+    it('should crop around the anchor in device pixels and outline it', async () => {
+      const result = await cropScreenshot('data:image/png;base64,xyz',
+        { x: 200, y: 300, width: 100, height: 50 }, localThis.viewport, localThis.deps);
+
+      const crop = { x: 120, y: 220, width: 260, height: 210 };
+      expect(localThis.context.drawImage).toHaveBeenCalledWith(
+        localThis.image, crop.x * 2, crop.y * 2, crop.width * 2, crop.height * 2, 0, 0, 520, 420
+      );
+      expect(localThis.context.strokeRect).toHaveBeenCalledWith(160, 160, 200, 100);
+      expect(localThis.canvases[0].convertToBlob).toHaveBeenCalledWith({ type: 'image/jpeg', quality: 0.8 });
+      expect(result).toEqual({ dataUrl: 'data:image/jpeg;base64,abc', width: 520, height: 420 });
+      expect(localThis.image.close).toHaveBeenCalled();
+    });
+
+    it('should keep the whole viewport without an outline when the anchor is off screen', async () => {
+      const result = await cropScreenshot('data:image/png;base64,xyz',
+        { x: 0, y: -500, width: 100, height: 50 }, localThis.viewport, localThis.deps);
+
+      expect(localThis.context.strokeRect).not.toHaveBeenCalled();
+      expect(result.width).toBe(MAX_SCREENSHOT_WIDTH);
+      expect(result.height).toBe(1024);
+    });
+
+    it('should close the image when encoding fails', async () => {
+      localThis.deps.blobToDataUrl.mockRejectedValue(new Error('Read failed'));
+
+      await expect(cropScreenshot('data:image/png;base64,xyz',
+        { x: 200, y: 300, width: 100, height: 50 }, localThis.viewport, localThis.deps)).rejects.toThrow('Read failed');
+      expect(localThis.image.close).toHaveBeenCalled();
+    });
+  });
+});
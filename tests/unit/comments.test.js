@@ -44,11 +44,13 @@ const {
   createComment,
   getCommentsForNote,
   updateComment,
+  toggleCommentReaction,
+  setCommentThreadResolved,
+  setAcceptedAnswer,
   deleteComment,
   getCommentCount,
   validateCommentContent,
   subscribeToComments,
-  MAX_REPLY_DEPTH,
   MAX_COMMENT_LENGTH
 } = await import('../../src/firebase/comments.js');
 
@@ -134,6 +136,24 @@ describe('Firebase Comments', () => {
       const result = validateCommentContent(maxContent);
       expect(result.valid).toBe(true);
     });
+
+    it('should count the text of rich text comments, not the markup', () => {
+      const html = `<pre><code>${'a'.repeat(MAX_COMMENT_LENGTH)}</code></pre>`;
+      expect(validateCommentContent(html, 'html').valid).toBe(true);
+      expect(validateCommentContent(html).valid).toBe(false);
+    });
+
+    it('should reject rich text comments that are only markup', () => {
+      const result = validateCommentContent('<div><br></div>', 'html');
+      expect(result.valid).toBe(false);
+      expect(result.error).toBe('Comment cannot be empty');
+    });
+
+    it('should cap the size of rich text markup', () => {
+      const result = validateCommentContent('<b></b>'.repeat(3000) + 'text', 'html');
+      expect(result.valid).toBe(false);
+      expect(result.error).toBe('Comment formatting is too large');
+    });
   });
 
   describe('createComment', () => {
@@ -172,6 +192,44 @@ describe('Firebase Comments', () => {
       expect(result.parentId).toBe('parent-comment-123');
     });
 
+    it('should create a comment with only attachments', async () => {
+      const attachment = { id: 'attachment-1', name: 'shot.png', type: 'image/png', size: 300, storage: 'local' };
+      
+      const result = await createComment('note-123', { content: '  ', attachments: [attachment] }, localThis.mockUser, localThis.deps);
+      
+      expect(result.content).toBe('');
+      expect(result.attachments).toEqual([attachment]);
+    });
+
+    it('should keep mentions of collaborators that are still in the text', async () => {
+      localThis.mockNoteData.ownerEmail = 'user@example.com';
+      localThis.mockNoteData.sharedWith = ['ana@example.com', 'bo@example.com'];
+      const mentions = [
+        { email: 'Ana@Example.com', name: 'Ana' },
+        { email: 'bo@example.com', name: 'Bo' },
+        { email: 'stranger@example.com', name: 'Stranger' },
+        { email: 'user@example.com', name: 'Test User' }
+      ];
+      
+      const result = await createComment('note-123', {
+        content: '@Ana @Stranger @Test User please check', mentions
+      }, localThis.mockUser, localThis.deps);
+      
+      expect(result.mentions).toEqual([{ email: 'ana@example.com', name: 'Ana' }]);
+      expect(localThis.deps.addDoc.mock.calls[0][1].mentions).toEqual([{ email: 'ana@example.com', name: 'Ana' }]);
+    });
+
+    it('should store no mentions by default', async () => {
+      const result = await createComment('note-123', { content: 'Test comment' }, localThis.mockUser, localThis.deps);
+      
+      expect(result.mentions).toEqual([]);
+    });
+
+    it('should reject a comment without content or attachments', async () => {
+      await expect(createComment('note-123', { content: '', attachments: [] }, localThis.mockUser, localThis.deps))
+        .rejects.toThrow('Comment content is required');
+    });
+
     it('should throw error when Firebase is not configured', async () => {
       localThis.deps.isFirebaseConfigured = jest.fn(() => false);
       
@@ -244,14 +302,19 @@ describe('Firebase Comments', () => {
         .rejects.toThrow('Parent comment not found');
     });
 
-    it('should throw error when max reply depth reached', async () => {
-      // Parent already has a parentId, meaning it's already a reply
+    it('should allow replying to a reply', async () => {
       localThis.deps.getDoc
         .mockResolvedValueOnce({ exists: () => true, data: () => localThis.mockNoteData })
         .mockResolvedValueOnce({ exists: () => true, data: () => ({ parentId: 'some-parent' }) });
+      localThis.deps.addDoc.mockResolvedValue({ id: 'comment-456' });
       
-      await expect(createComment('note-123', { content: 'Nested reply', parentId: 'reply-123' }, localThis.mockUser, localThis.deps))
-        .rejects.toThrow('Maximum reply depth reached');
+      const result = await createComment('note-123', { content: 'Nested reply', parentId: 'reply-123' }, localThis.mockUser, localThis.deps);
+      
+      expect(result.parentId).toBe('reply-123');
+      expect(localThis.deps.addDoc).toHaveBeenCalledWith(
+        localThis.mockCollectionRef,
+        expect.objectContaining({ parentId: 'reply-123' })
+      );
     });
 
     it('should store raw content without escaping (escape at render time)', async () => {
@@ -263,6 +326,18 @@ describe('Firebase Comments', () => {
       expect(result.content).toBe('<script>alert("xss")</script>');
     });
 
+    it('should store the format, plain text unless it is rich text', async () => {
+      const plain = await createComment('note-123', { content: 'Hi' }, localThis.mockUser, localThis.deps);
+      const rich = await createComment('note-123', { content: 'Run <code>npm ci</code>', format: 'html' }, localThis.mockUser, localThis.deps);
+      
+      expect(plain.format).toBe('text');
+      expect(rich.format).toBe('html');
+      expect(localThis.deps.addDoc).toHaveBeenLastCalledWith(
+        localThis.mockCollectionRef,
+        expect.objectContaining({ content: 'Run <code>npm ci</code>', format: 'html' })
+      );
+    });
+
     it('should use email as displayName fallback', async () => {
       const userWithoutName = { uid: 'user-123', email: 'user@example.com' };
       
@@ -377,6 +452,177 @@ describe('Firebase Comments', () => {
     });
   });
 
+  describe('toggleCommentReaction', () => {
+    beforeEach(() => {
+      localThis.mockNoteData = { ownerId: 'owner', sharedWith: ['user@example.com'] };
+      localThis.mockCommentData = { authorId: 'owner', content: 'Fixed', reactions: { owner: ['check'] } };
+      localThis.deps.getDoc
+        .mockResolvedValueOnce({ exists: () => true, data: () => localThis.mockNoteData })
+        .mockResolvedValueOnce({ exists: () => true, data: () => localThis.mockCommentData });
+    });
+
+    it('should let a collaborator react to someone else\'s comment', async () => {
+      const reactions = await toggleCommentReaction('note-123', 'comment-123', 'eyes', localThis.mockUser, localThis.deps);
+      
+      expect(localThis.deps.updateDoc).toHaveBeenCalledWith(localThis.mockDocRef, { 'reactions.user-123': ['eyes'] });
+      expect(reactions).toEqual({ owner: ['check'], 'user-123': ['eyes'] });
+    });
+
+    it('should write an empty list when the user\'s last reaction is toggled off', async () => {
+      localThis.mockCommentData.reactions['user-123'] = ['eyes'];
+      
+      const reactions = await toggleCommentReaction('note-123', 'comment-123', 'eyes', localThis.mockUser, localThis.deps);
+      
+      expect(localThis.deps.updateDoc.mock.calls[0][1]).toEqual({ 'reactions.user-123': [] });
+      expect(reactions).toEqual({ owner: ['check'] });
+    });
+
+    it('should reject users without access to the note', async () => {
+      localThis.mockNoteData.sharedWith = [];
+      
+      await expect(toggleCommentReaction('note-123', 'comment-123', 'eyes', localThis.mockUser, localThis.deps))
+        .rejects.toThrow('Permission denied');
+      expect(localThis.deps.updateDoc).not.toHaveBeenCalled();
+    });
+
+    it('should reject unknown reactions', async () => {
+      await expect(toggleCommentReaction('note-123', 'comment-123', 'party', localThis.mockUser, localThis.deps))
+        .rejects.toThrow('Invalid reaction');
+    });
+
+    it('should throw when the comment does not exist', async () => {
+      localThis.deps.getDoc.mockReset();
+      localThis.deps.getDoc
+        .mockResolvedValueOnce({ exists: () => true, data: () => localThis.mockNoteData })
+        .mockResolvedValueOnce({ exists: () => false });
+      
+      await expect(toggleCommentReaction('note-123', 'comment-123', 'eyes', localThis.mockUser, localThis.deps))
+        .rejects.toThrow('Comment not found');
+    });
+  });
+
+  describe('setCommentThreadResolved', () => {
+    beforeEach(() => {
+      localThis.mockNoteData = { ownerId: 'owner', sharedWith: ['user@example.com'] };
+      localThis.mockCommentData = { authorId: 'owner', content: 'How do I log in?', parentId: null, acceptedAnswerId: 'reply-1' };
+      localThis.deps.getDoc
+        .mockResolvedValueOnce({ exists: () => true, data: () => localThis.mockNoteData })
+        .mockResolvedValueOnce({ exists: () => true, data: () => localThis.mockCommentData });
+    });
+
+    it('should let a collaborator resolve someone else\'s thread without marking it edited', async () => {
+      const thread = await setCommentThreadResolved('note-123', 'comment-123', true, localThis.mockUser, localThis.deps);
+      
+      const update = localThis.deps.updateDoc.mock.calls[0][1];
+      expect(update).toEqual({
+        resolved: true,
+        resolvedBy: { uid: 'user-123', email: 'user@example.com', name: 'Test User' },
+        resolvedAt: { _type: 'serverTimestamp' }
+      });
+      expect(update.updatedAt).toBeUndefined();
+      expect(thread).toEqual({ resolved: true, resolvedBy: update.resolvedBy, acceptedAnswerId: 'reply-1' });
+    });
+
+    it('should clear who resolved the thread when reopening it', async () => {
+      await setCommentThreadResolved('note-123', 'comment-123', false, localThis.mockUser, localThis.deps);
+      
+      expect(localThis.deps.updateDoc.mock.calls[0][1]).toEqual({ resolved: false, resolvedBy: null, resolvedAt: null });
+    });
+
+    it('should reject replies', async () => {
+      localThis.mockCommentData.parentId = 'comment-1';
+      
+      await expect(setCommentThreadResolved('note-123', 'comment-123', true, localThis.mockUser, localThis.deps))
+        .rejects.toThrow('Only top-level comments start a thread');
+      expect(localThis.deps.updateDoc).not.toHaveBeenCalled();
+    });
+
+    it('should reject users without access to the note', async () => {
+      localThis.mockNoteData.sharedWith = [];
+      
+      await expect(setCommentThreadResolved('note-123', 'comment-123', true, localThis.mockUser, localThis.deps))
+        .rejects.toThrow('Permission denied');
+    });
+
+    it('should reject a non-boolean state', async () => {
+      await expect(setCommentThreadResolved('note-123', 'comment-123', 'yes', localThis.mockUser, localThis.deps))
+        .rejects.toThrow('Invalid resolved state');
+    });
+  });
+
+  describe('setAcceptedAnswer', () => {
+    beforeEach(() => {
+      localThis.mockNoteData = { ownerId: 'owner', sharedWith: ['user@example.com'] };
+      localThis.mockCommentData = { authorId: 'user-123', content: 'How do I log in?', parentId: null };
+      localThis.deps.getDoc
+        .mockResolvedValueOnce({ exists: () => true, data: () => localThis.mockNoteData })
+        .mockResolvedValueOnce({ exists: () => true, data: () => localThis.mockCommentData });
+      const thread = [
+        { id: 'comment-123', parentId: null },
+        { id: 'reply-1', parentId: 'comment-123' },
+        { id: 'reply-2', parentId: 'reply-1' },
+        { id: 'other', parentId: null }
+      ];
+      localThis.deps.getDocs.mockResolvedValue({
+        forEach: (cb) => thread.forEach(item => cb({ id: item.id, data: () => ({ parentId: item.parentId }) }))
+      });
+    });
+
+    it('should accept a nested reply and resolve the thread', async () => {
+      const thread = await setAcceptedAnswer('note-123', 'comment-123', 'reply-2', localThis.mockUser, localThis.deps);
+      
+      const update = localThis.deps.updateDoc.mock.calls[0][1];
+      expect(update.acceptedAnswerId).toBe('reply-2');
+      expect(update.resolved).toBe(true);
+      expect(thread).toEqual({
+        resolved: true,
+        resolvedBy: { uid: 'user-123', email: 'user@example.com', name: 'Test User' },
+        acceptedAnswerId: 'reply-2'
+      });
+    });
+
+    it('should keep who resolved an already resolved thread', async () => {
+      localThis.mockCommentData.resolved = true;
+      localThis.mockCommentData.resolvedBy = { uid: 'owner', email: 'owner@example.com', name: 'Owner' };
+      
+      const thread = await setAcceptedAnswer('note-123', 'comment-123', 'reply-1', localThis.mockUser, localThis.deps);
+      
+      expect(localThis.deps.updateDoc.mock.calls[0][1]).toEqual({ acceptedAnswerId: 'reply-1' });
+      expect(thread.resolvedBy.name).toBe('Owner');
+    });
+
+    it('should clear the answer without reopening the thread', async () => {
+      localThis.mockCommentData.resolved = true;
+      
+      const thread = await setAcceptedAnswer('note-123', 'comment-123', null, localThis.mockUser, localThis.deps);
+      
+      expect(localThis.deps.updateDoc.mock.calls[0][1]).toEqual({ acceptedAnswerId: null });
+      expect(localThis.deps.getDocs).not.toHaveBeenCalled();
+      expect(thread.resolved).toBe(true);
+    });
+
+    it('should reject comments outside the thread', async () => {
+      await expect(setAcceptedAnswer('note-123', 'comment-123', 'other', localThis.mockUser, localThis.deps))
+        .rejects.toThrow('The answer must be a reply in this thread');
+      expect(localThis.deps.updateDoc).not.toHaveBeenCalled();
+    });
+
+    it('should let the note owner pick the answer of someone else\'s thread', async () => {
+      localThis.mockCommentData.authorId = 'someone-else';
+      
+      await setAcceptedAnswer('note-123', 'comment-123', 'reply-1', { uid: 'owner', email: 'owner@example.com' }, localThis.deps);
+      
+      expect(localThis.deps.updateDoc).toHaveBeenCalled();
+    });
+
+    it('should reject collaborators who neither started the thread nor own the note', async () => {
+      localThis.mockCommentData.authorId = 'someone-else';
+      
+      await expect(setAcceptedAnswer('note-123', 'comment-123', 'reply-1', localThis.mockUser, localThis.deps))
+        .rejects.toThrow('Permission denied');
+    });
+  });
+
   describe('updateComment', () => {
     beforeEach(() => {
       localThis.deps.getDoc.mockResolvedValue({
@@ -395,6 +641,27 @@ describe('Firebase Comments', () => {
       expect(updateCall.updatedAt).toBeDefined();
     });
 
+    it('should update comment attachments', async () => {
+      const attachment = { id: 'attachment-1', name: 'log.txt', type: 'text/plain', size: 40, storage: 'local' };
+      
+      await updateComment('note-123', 'comment-123', { content: '', attachments: [attachment] }, 'user-123', localThis.deps);
+      
+      const updateCall = localThis.deps.updateDoc.mock.calls[0][1];
+      expect(updateCall.content).toBe('');
+      expect(updateCall.attachments).toEqual([attachment]);
+    });
+
+    it('should not remove the last attachment of a comment without text', async () => {
+      localThis.deps.getDoc.mockResolvedValue({
+        exists: () => true,
+        data: () => ({ authorId: 'user-123', content: '', attachments: [{ id: 'attachment-1' }] })
+      });
+      
+      await expect(updateComment('note-123', 'comment-123', { attachments: [] }, 'user-123', localThis.deps))
+        .rejects.toThrow('Comment cannot be empty');
+      expect(localThis.deps.updateDoc).not.toHaveBeenCalled();
+    });
+
     it('should throw error when Firebase is not configured', async () => {
       localThis.deps.isFirebaseConfigured = jest.fn(() => false);
       
@@ -434,6 +701,52 @@ describe('Firebase Comments', () => {
         .rejects.toThrow('Only the author can edit this comment');
     });
 
+    it('should check updated mentions against the note collaborators', async () => {
+      localThis.deps.getDoc
+        .mockResolvedValueOnce({ exists: () => true, data: () => ({ authorId: 'user-123', authorEmail: 'user@example.com', content: 'Hi' }) })
+        .mockResolvedValueOnce({ exists: () => true, data: () => ({ ownerEmail: 'user@example.com', sharedWith: ['ana@example.com'] }) });
+      
+      await updateComment('note-123', 'comment-123', {
+        content: 'Hi @Ana and @Bo',
+        mentions: [{ email: 'ana@example.com', name: 'Ana' }, { email: 'bo@example.com', name: 'Bo' }]
+      }, 'user-123', localThis.deps);
+      
+      expect(localThis.deps.updateDoc.mock.calls[0][1].mentions).toEqual([{ email: 'ana@example.com', name: 'Ana' }]);
+    });
+
+    it('should store the format of new content and find mentions in its text', async () => {
+      localThis.deps.getDoc
+        .mockResolvedValueOnce({ exists: () => true, data: () => ({ authorId: 'user-123', authorEmail: 'user@example.com', content: 'Hi', format: 'html' }) })
+        .mockResolvedValueOnce({ exists: () => true, data: () => ({ ownerEmail: 'user@example.com', sharedWith: ['ana@example.com'] }) });
+      
+      await updateComment('note-123', 'comment-123', {
+        content: '<b>@Ana</b>&nbsp;see <code>x</code>',
+        format: 'html',
+        mentions: [{ email: 'ana@example.com', name: 'Ana' }]
+      }, 'user-123', localThis.deps);
+      
+      const updateCall = localThis.deps.updateDoc.mock.calls[0][1];
+      expect(updateCall.format).toBe('html');
+      expect(updateCall.mentions).toEqual([{ email: 'ana@example.com', name: 'Ana' }]);
+    });
+
+    it('should store edited content without a format as plain text', async () => {
+      await updateComment('note-123', 'comment-123', { content: 'Plain again' }, 'user-123', localThis.deps);
+      
+      expect(localThis.deps.updateDoc.mock.calls[0][1].format).toBe('text');
+    });
+
+    it('should drop mentions edited out of the text', async () => {
+      localThis.deps.getDoc.mockResolvedValue({
+        exists: () => true,
+        data: () => ({ authorId: 'user-123', content: '@Ana look', mentions: [{ email: 'ana@example.com', name: 'Ana' }] })
+      });
+      
+      await updateComment('note-123', 'comment-123', { content: 'look' }, 'user-123', localThis.deps);
+      
+      expect(localThis.deps.updateDoc.mock.calls[0][1].mentions).toEqual([]);
+    });
+
     it('should not call updateDoc when no content provided', async () => {
       await updateComment('note-123', 'comment-123', {}, 'user-123', localThis.deps);
       
@@ -456,6 +769,7 @@ describe('Firebase Comments', () => {
         .mockResolvedValueOnce({ exists: () => true, data: () => localThis.mockNoteData })
         .mockResolvedValueOnce({ exists: () => true, data: () => ({ authorId: 'user-123', parentId: 'parent-123' }) });
       localThis.deps.deleteDoc.mockResolvedValue();
+      localThis.deps.getDocs.mockResolvedValue({ forEach: jest.fn(), size: 0 });
     });
 
     it('should delete a reply comment successfully', async () => {
@@ -472,8 +786,8 @@ describe('Firebase Comments', () => {
         .mockResolvedValueOnce({ exists: () => true, data: () => ({ authorId: 'user-123', parentId: null }) });
       
       const mockReplies = [
-        { id: 'reply-1', ref: { path: 'reply-1' } },
-        { id: 'reply-2', ref: { path: 'reply-2' } }
+        { id: 'reply-1', ref: { path: 'reply-1' }, data: () => ({ parentId: 'comment-123' }) },
+        { id: 'reply-2', ref: { path: 'reply-2' }, data: () => ({ parentId: 'comment-123' }) }
       ];
       
       localThis.deps.getDocs.mockResolvedValue({
@@ -487,6 +801,104 @@ describe('Firebase Comments', () => {
       expect(localThis.mockBatch.commit).toHaveBeenCalled();
     });
 
+    it('should delete nested replies at any depth but leave other threads alone', async () => {
+      const mockComments = [
+        { id: 'comment-123', ref: { path: 'comment-123' }, data: () => ({ parentId: 'parent-123' }) },
+        { id: 'reply-1', ref: { path: 'reply-1' }, data: () => ({ parentId: 'comment-123' }) },
+        { id: 'reply-2', ref: { path: 'reply-2' }, data: () => ({ parentId: 'reply-1' }) },
+        { id: 'reply-3', ref: { path: 'reply-3' }, data: () => ({ parentId: 'reply-2' }) },
+        { id: 'other', ref: { path: 'other' }, data: () => ({ parentId: 'parent-123' }) }
+      ];
+      localThis.deps.getDocs.mockResolvedValue({
+        forEach: (cb) => mockComments.forEach(cb),
+        size: mockComments.length
+      });
+      
+      await deleteComment('note-123', 'comment-123', 'user-123', localThis.deps);
+      
+      expect(localThis.mockBatch.delete).toHaveBeenCalledTimes(4); // 3 nested replies + the comment
+      expect(localThis.mockBatch.delete).toHaveBeenCalledWith(mockComments[3].ref);
+      expect(localThis.mockBatch.delete).not.toHaveBeenCalledWith(mockComments[4].ref);
+      expect(localThis.mockBatch.commit).toHaveBeenCalled();
+    });
+
+    it('should return the attachments of the deleted thread', async () => {
+      const parentFile = { id: 'attachment-1', storage: 'local' };
+      const replyFile = { id: 'attachment-2', storage: 'local' };
+      localThis.deps.getDoc
+        .mockReset()
+        .mockResolvedValueOnce({ exists: () => true, data: () => localThis.mockNoteData })
+        .mockResolvedValueOnce({ exists: () => true, data: () => ({ authorId: 'user-123', parentId: null, attachments: [parentFile] }) });
+      localThis.deps.getDocs.mockResolvedValue({
+        forEach: (cb) => [{ id: 'reply-1', ref: { path: 'reply-1' }, data: () => ({ parentId: 'comment-123', attachments: [replyFile] }) }].forEach(cb),
+        size: 1
+      });
+      
+      const removed = await deleteComment('note-123', 'comment-123', 'user-123', localThis.deps);
+      
+      expect(removed).toEqual([parentFile, replyFile]);
+    });
+
+    it('should keep replies by other people when a collaborator deletes their comment', async () => {
+      const ownFile = { id: 'attachment-1', storage: 'local' };
+      localThis.deps.getDoc
+        .mockReset()
+        .mockResolvedValueOnce({ exists: () => true, data: () => ({ ownerId: 'owner', sharedWith: ['user@example.com'] }) })
+        .mockResolvedValueOnce({ exists: () => true, data: () => ({ authorId: 'user-123', parentId: null, attachments: [ownFile] }) });
+      const mockComments = [
+        { id: 'reply-1', ref: { path: 'reply-1' }, data: () => ({ parentId: 'comment-123', authorId: 'user-123' }) },
+        { id: 'reply-2', ref: { path: 'reply-2' }, data: () => ({ parentId: 'reply-1', authorId: 'someone-else' }) }
+      ];
+      localThis.deps.getDocs.mockResolvedValue({ forEach: (cb) => mockComments.forEach(cb), size: 2 });
+      
+      const removed = await deleteComment('note-123', 'comment-123', 'user-123', localThis.deps);
+      
+      expect(localThis.mockBatch.delete).not.toHaveBeenCalled();
+      expect(localThis.deps.deleteDoc).not.toHaveBeenCalled();
+      expect(localThis.deps.updateDoc).toHaveBeenCalledWith(localThis.mockDocRef, {
+        content: '',
+        format: 'text',
+        attachments: [],
+        mentions: [],
+        deleted: true,
+        deletedAt: { _type: 'serverTimestamp' }
+      });
+      expect(removed).toEqual([ownFile]);
+    });
+
+    it('should delete a collaborator\'s comment along with their own replies', async () => {
+      localThis.deps.getDoc
+        .mockReset()
+        .mockResolvedValueOnce({ exists: () => true, data: () => ({ ownerId: 'owner', sharedWith: ['user@example.com'] }) })
+        .mockResolvedValueOnce({ exists: () => true, data: () => ({ authorId: 'user-123', parentId: null }) });
+      const mockComments = [
+        { id: 'reply-1', ref: { path: 'reply-1' }, data: () => ({ parentId: 'comment-123', authorId: 'user-123' }) }
+      ];
+      localThis.deps.getDocs.mockResolvedValue({ forEach: (cb) => mockComments.forEach(cb), size: 1 });
+      
+      await deleteComment('note-123', 'comment-123', 'user-123', localThis.deps);
+      
+      expect(localThis.mockBatch.delete).toHaveBeenCalledTimes(2);
+      expect(localThis.deps.updateDoc).not.toHaveBeenCalled();
+    });
+
+    it('should split large threads into batches of at most 500 deletes, replies first', async () => {
+      const mockComments = Array.from({ length: 600 }, (_item, index) => ({
+        id: `reply-${index}`,
+        ref: { path: `reply-${index}` },
+        data: () => ({ parentId: index === 0 ? 'comment-123' : `reply-${index - 1}` })
+      }));
+      localThis.deps.getDocs.mockResolvedValue({ forEach: (cb) => mockComments.forEach(cb), size: mockComments.length });
+      
+      await deleteComment('note-123', 'comment-123', 'user-123', localThis.deps);
+      
+      expect(localThis.deps.writeBatch).toHaveBeenCalledTimes(2);
+      expect(localThis.mockBatch.commit).toHaveBeenCalledTimes(2);
+      expect(localThis.mockBatch.delete).toHaveBeenCalledTimes(601);
+      expect(localThis.mockBatch.delete.mock.calls[0][0]).toBe(mockComments[599].ref);
+      expect(localThis.mockBatch.delete.mock.calls[600][0]).toBe(localThis.mockDocRef);
+    });
+
     it('should delete top-level comment without replies using deleteDoc', async () => {
       localThis.deps.getDoc
         .mockReset()
@@ -865,10 +1277,6 @@ describe('Firebase Comments', () => {
   });
 
   describe('Constants', () => {
-    it('should export MAX_REPLY_DEPTH', () => {
-      expect(MAX_REPLY_DEPTH).toBe(1);
-    });
-
     it('should export MAX_COMMENT_LENGTH', () => {
       expect(MAX_COMMENT_LENGTH).toBe(2000);
     });
@@ -12,8 +12,12 @@ import {
     isValidUrl,
     getSafeUrl,
     stripHtml,
+    sanitizeCommentHtml,
+    renderCommentContent,
     formatDate,
     getErrorTypeLabel,
+    getStatusLabel,
+    parseTagFilter,
     renderConsoleErrors,
     filterNotesBySearch,
     debounce,
@@ -27,6 +31,7 @@ import {
     handleUrlParams,
     handleDomainSelectChange,
     populateDomainDropdown,
+    populateTagDropdown,
     // Rendering
     renderNotes,
     // API functions
@@ -164,6 +169,31 @@ describe('site/js/dashboard.js', () => {
         });
     });
 
+    describe('sanitizeCommentHtml', () => {
+        it('should keep code blocks, lists and formatting', () => {
+            const html = '<pre><code>a &lt; b</code></pre><ul><li><b>one</b></li></ul>';
+            expect(sanitizeCommentHtml(html)).toBe(html);
+        });
+
+        it('should drop scripts, event handlers and unknown tags', () => {
+            const result = sanitizeCommentHtml('<img src=x onerror="alert(1)"><b onclick="x()">hi</b><script>alert(1)</script><font>text</font>');
+            expect(result).toBe('<b>hi</b>text');
+        });
+
+        it('should only keep http(s) links, opened in a new tab', () => {
+            expect(sanitizeCommentHtml('<a href="https://example.com">ok</a>'))
+                .toBe('<a href="https://example.com" target="_blank" rel="noopener noreferrer">ok</a>');
+            expect(sanitizeCommentHtml('<a href="javascript:alert(1)">bad</a>')).toBe('<a>bad</a>');
+        });
+    });
+
+    describe('renderCommentContent', () => {
+        it('should escape plain text comments and sanitize rich text ones', () => {
+            expect(renderCommentContent({ content: '<b>x</b>' })).toBe('&lt;b&gt;x&lt;/b&gt;');
+            expect(renderCommentContent({ content: '<b>x</b>', format: 'html' })).toBe('<b>x</b>');
+        });
+    });
+
     describe('formatDate', () => {
         it('should format a valid date string', () => {
             const result = formatDate('2024-01-15T10:30:00Z');
@@ -202,6 +232,28 @@ describe('site/js/dashboard.js', () => {
         });
     });
 
+    describe('getStatusLabel', () => {
+        it('should return labels for note statuses', () => {
+            expect(getStatusLabel('in_progress')).toBe('In progress');
+            expect(getStatusLabel('reopened')).toBe('Reopened');
+        });
+
+        it('should fall back to Open for missing statuses', () => {
+            expect(getStatusLabel(undefined)).toBe('Open');
+        });
+    });
+
+    describe('parseTagFilter', () => {
+        it('should normalize comma-separated tags', () => {
+            expect(parseTagFilter('#A11y, copy edit, a11y')).toEqual(['a11y', 'copy-edit']);
+        });
+
+        it('should return an empty list for empty input', () => {
+            expect(parseTagFilter('')).toEqual([]);
+            expect(parseTagFilter(undefined)).toEqual([]);
+        });
+    });
+
     describe('renderConsoleErrors', () => {
         it('should return empty string for null/undefined errors', () => {
             expect(renderConsoleErrors(null)).toBe('');
@@ -697,6 +749,33 @@ describe('site/js/dashboard.js', () => {
         });
     });
 
+    describe('populateTagDropdown', () => {
+        beforeEach(() => {
+            document.body.innerHTML = `
+                <select id="tagSelect">
+                    <option value="">All tags</option>
+                </select>
+            `;
+            localThis.tagSelect = document.getElementById('tagSelect');
+        });
+
+        it('should list tags by usage with their counts', () => {
+            populateTagDropdown(localThis.tagSelect, { copy: 1, a11y: 4, regression: 1 });
+            
+            expect(Array.from(localThis.tagSelect.options).map(option => option.value)).toEqual(['', 'a11y', 'copy', 'regression']);
+            expect(localThis.tagSelect.options[1].textContent).toBe('#a11y (4)');
+        });
+
+        it('should preserve current selection if still valid', () => {
+            populateTagDropdown(localThis.tagSelect, { a11y: 1 });
+            localThis.tagSelect.value = 'a11y';
+            
+            populateTagDropdown(localThis.tagSelect, { a11y: 2, copy: 1 });
+            
+            expect(localThis.tagSelect.value).toBe('a11y');
+        });
+    });
+
     // ============================================
     // Rendering Tests
     // ============================================
@@ -732,6 +811,63 @@ describe('site/js/dashboard.js', () => {
             expect(localThis.notesList.innerHTML).toContain('No commented notes');
         });
 
+        it('should show contextual empty state for status filter', () => {
+            renderNotes(localThis.notesList, [], { status: 'resolved' });
+            
+            expect(localThis.notesList.innerHTML).toContain('No resolved notes');
+        });
+
+        it('should show contextual empty state for tag filter', () => {
+            renderNotes(localThis.notesList, [], { tag: 'a11y' });
+            
+            expect(localThis.notesList.innerHTML).toContain('No notes tagged #a11y');
+        });
+
+        it('should show tags on each note', () => {
+            renderNotes(localThis.notesList, [
+                { id: 'note-123456789', url: 'https://example.com', selector: '.test', content: 'Test', tags: ['a11y', 'copy'] }
+            ]);
+            
+            expect(Array.from(localThis.notesList.querySelectorAll('.note-tag')).map(tag => tag.textContent)).toEqual(['#a11y', '#copy']);
+        });
+
+        it('should show the creation screenshot of a note', () => {
+            renderNotes(localThis.notesList, [
+                { id: 'note-123456789', url: 'https://example.com', selector: '.test', content: 'Test', screenshot: { id: 'shot-1', storage: 'cloud', url: 'https://storage.example.com/shot.jpg' } },
+                { id: 'note-987654321', url: 'https://example.com', selector: '.test', content: 'Test', screenshot: { id: 'shot-2', storage: 'cloud', url: 'javascript:alert(1)' } }
+            ]);
+            
+            const thumbs = localThis.notesList.querySelectorAll('.note-screenshot img');
+            expect(thumbs).toHaveLength(1);
+            expect(thumbs[0].getAttribute('src')).toBe('https://storage.example.com/shot.jpg');
+        });
+
+        it('should link note and comment attachments', () => {
+            renderNotes(localThis.notesList, [{
+                id: 'note-123456789', url: 'https://example.com', selector: '.test', content: 'Test',
+                attachments: [
+                    { id: 'a-1', name: 'log.txt', storage: 'cloud', url: 'https://storage.example.com/a-1' },
+                    { id: 'a-2', name: '<b>local</b>.pdf', storage: 'local' }
+                ],
+                comments: [{ authorName: 'Ana', content: '', attachments: [{ id: 'a-3', name: 'shot.png', url: 'javascript:alert(1)' }] }]
+            }]);
+            
+            const links = localThis.notesList.querySelectorAll('a.note-attachment');
+            expect(links).toHaveLength(1);
+            expect(links[0].getAttribute('href')).toBe('https://storage.example.com/a-1');
+            expect(localThis.notesList.querySelector('.note-attachment-local').innerHTML).toBe('&lt;b&gt;local&lt;/b&gt;.pdf');
+            expect(localThis.notesList.querySelector('.comment .note-attachment').textContent).toBe('shot.png');
+            expect(localThis.notesList.querySelector('.comment .comment-content')).toBeNull();
+        });
+
+        it('should show a status badge on each note', () => {
+            renderNotes(localThis.notesList, [
+                { id: 'note-123456789', url: 'https://example.com', selector: '.test', content: 'Test', status: 'in_progress' }
+            ]);
+            
+            expect(localThis.notesList.querySelector('.note-status-in_progress').textContent).toBe('In progress');
+        });
+
         it('should show contextual empty state for owned filter', () => {
             renderNotes(localThis.notesList, [], { filter: 'owned' });
             
@@ -1113,6 +1249,14 @@ describe('site/js/dashboard.js', () => {
                 <select id="domainSelect">
                     <option value="">All</option>
                 </select>
+                <select id="statusSelect">
+                    <option value="">All statuses</option>
+                    <option value="resolved">Resolved</option>
+                </select>
+                <select id="tagSelect">
+                    <option value="">All tags</option>
+                    <option value="a11y">#a11y (1)</option>
+                </select>
                 <input id="urlInput" value="" />
                 <input id="searchInput" value="" />
                 <span id="lastUpdated"></span>
@@ -1121,6 +1265,8 @@ describe('site/js/dashboard.js', () => {
                 status: document.getElementById('status'),
                 notesList: document.getElementById('notesList'),
                 domainSelect: document.getElementById('domainSelect'),
+                statusSelect: document.getElementById('statusSelect'),
+                tagSelect: document.getElementById('tagSelect'),
                 urlInput: document.getElementById('urlInput'),
                 searchInput: document.getElementById('searchInput')
             };
@@ -1200,6 +1346,44 @@ describe('site/js/dashboard.js', () => {
             );
         });
 
+        it('should filter by tag', async () => {
+            localThis.elements.tagSelect.value = 'a11y';
+            
+            global.fetch.mockResolvedValueOnce({
+                ok: true,
+                json: () => Promise.resolve({ notes: [] })
+            });
+            
+            await loadNotes({
+                apiKey: 'test-key',
+                elements: localThis.elements
+            });
+            
+            expect(global.fetch).toHaveBeenCalledWith(
+                expect.stringContaining('tag=a11y'),
+                expect.any(Object)
+            );
+        });
+
+        it('should filter by status', async () => {
+            localThis.elements.statusSelect.value = 'resolved';
+            
+            global.fetch.mockResolvedValueOnce({
+                ok: true,
+                json: () => Promise.resolve({ notes: [] })
+            });
+            
+            await loadNotes({
+                apiKey: 'test-key',
+                elements: localThis.elements
+            });
+            
+            expect(global.fetch).toHaveBeenCalledWith(
+                expect.stringContaining('status=resolved'),
+                expect.any(Object)
+            );
+        });
+
         it('should filter by custom URL', async () => {
             // Add custom option and select it
             const option = document.createElement('option');
@@ -1800,6 +1984,15 @@ describe('site/js/dashboard.js', () => {
             expect(result).toEqual(localThis.allNotes);
         });
 
+        it('should keep only notes with any of the given tags', () => {
+            localThis.allNotes[1].tags = ['a11y'];
+            localThis.allNotes[3].tags = ['copy', 'regression'];
+            const options = { scope: 'allNotes', tags: ['regression', 'a11y'] };
+            const result = getNotesForReport(options, localThis.allNotes, localThis.filteredNotes);
+            
+            expect(result.map(note => note.id)).toEqual(['2', '4']);
+        });
+
         it('should return empty array when filteredNotes is empty and scope is filtered', () => {
             const options = { scope: 'filtered' };
             const result = getNotesForReport(options, localThis.allNotes, []);
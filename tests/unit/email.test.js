@@ -15,13 +15,14 @@ jest.unstable_mockModule('firebase-admin/firestore', () => ({
 }));
 
 // Import after mocking
-const { writeShareNotificationEmail, _testHelpers } = await import('../../functions/lib/email.js');
+const { writeShareNotificationEmail, writeMentionNotificationEmail, _testHelpers } = await import('../../functions/lib/email.js');
 const {
   extractDomain,
   truncateContent,
   escapeHtml,
   generateHtmlTemplate,
   generateTextTemplate,
+  generateMentionHtmlTemplate,
   MAIL_COLLECTION,
   MAX_CONTENT_PREVIEW_LENGTH
 } = _testHelpers;
@@ -359,6 +360,67 @@ describe('Email Module', () => {
     });
   });
 
+  describe('writeMentionNotificationEmail', () => {
+    beforeEach(() => {
+      localThis.commentData = {
+        content: 'Can you look at <this>, @Recipient?',
+        authorName: 'Ana',
+        authorEmail: 'ana@example.com'
+      };
+    });
+
+    it('should write a mention email for the recipient', async () => {
+      const mailId = await writeMentionNotificationEmail(
+        localThis.recipientEmail, localThis.commentData, localThis.noteData,
+        { noteId: 'note-123', commentId: 'comment-456' }, localThis.deps
+      );
+      
+      expect(mailId).toBe('mail-doc-123');
+      expect(localThis.mockDb.collection).toHaveBeenCalledWith('mail');
+      const addCall = localThis.mockCollection.add.mock.calls[0][0];
+      expect(addCall.to).toBe(localThis.recipientEmail);
+      expect(addCall.message.subject).toBe('Ana mentioned you on example.com');
+      expect(addCall.message.text).toContain('Can you look at <this>, @Recipient?');
+      expect(addCall.metadata).toEqual({
+        type: 'mention_notification',
+        noteId: 'note-123',
+        commentId: 'comment-456',
+        authorEmail: 'ana@example.com',
+        recipientEmail: localThis.recipientEmail,
+        createdAt: { _type: 'serverTimestamp' }
+      });
+    });
+
+    it('should send the text of rich text comments', async () => {
+      await writeMentionNotificationEmail(
+        localThis.recipientEmail,
+        { ...localThis.commentData, content: '<div>Stack trace:</div><pre><code>Error: a &lt; b</code></pre>', format: 'html' },
+        localThis.noteData, {}, localThis.deps
+      );
+      
+      const addCall = localThis.mockCollection.add.mock.calls[0][0];
+      expect(addCall.message.text).toContain('Stack trace:\nError: a < b');
+      expect(addCall.message.html).not.toContain('<pre>');
+    });
+
+    it('should escape the comment in the HTML body', () => {
+      const html = generateMentionHtmlTemplate({
+        authorName: '<b>Ana</b>',
+        commentContent: '<script>alert(1)</script>',
+        noteUrl: 'https://example.com/page',
+        domain: 'example.com'
+      });
+      
+      expect(html).toContain('&lt;b&gt;Ana&lt;/b&gt;');
+      expect(html).not.toContain('<script>alert(1)</script>');
+    });
+
+    it('should throw error for missing recipient email', async () => {
+      await expect(writeMentionNotificationEmail('', localThis.commentData, localThis.noteData, {}, localThis.deps))
+        .rejects.toThrow('Recipient email is required');
+    });
+  });
+
   describe('Constants', () => {
     it('should have correct mail collection name', () => {
       expect(MAIL_COLLECTION).toBe('mail');
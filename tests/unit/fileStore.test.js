@@ -0,0 +1,120 @@
+/**
+ * File Store Unit Tests
+ *
+ * Tests the IndexedDB file store against a small in-memory fake.
+ */
+
+import { jest, describe, it, expect, beforeEach } from '@jest/globals';
+import {
+  saveLocalFile,
+  getLocalFile,
+  deleteLocalFile,
+  FILE_STORES
+} from '../../src/shared/fileStore.js';
+
+/**
+ * Create a request that succeeds on the next tick
+ * @param {Function} run - Produces the result
+ * @returns {Object} Fake IDBRequest
+ */
+function createRequest(run) {
+  const request = {};
+  setTimeout(() => {
+    request.result = run();
+    request.onsuccess?.();
+  }, 0);
+  return request;
+}
+
+describe('File Store', () => {
+  const localThis = {};
+
+  beforeEach(() => {
+    localThis.stores = new Map();
+    localThis.storeNames = [];
+    localThis.database = {
+      objectStoreNames: { contains: (name) => localThis.storeNames.includes(name) },
+      createObjectStore: jest.fn((name) => localThis.storeNames.push(name)),
+      transaction: jest.fn((name) => {
+        if (!localThis.stores.has(name)) {
+          localThis.stores.set(name, new Map());
+        }
+        const records = localThis.stores.get(name);
+        return {
+          objectStore: () => ({
+            put: (value, key) => createRequest(() => records.set(key, value) && key),
+            get: (key) => createRequest(() => records.get(key)),
+            delete: (key) => createRequest(() => records.delete(key) && undefined)
+          })
+        };
+      }),
+      close: jest.fn()
+    };
+    localThis.deps = {
+      indexedDB: {
+        open: jest.fn(() => {
+          const request = {};
+          setTimeout(() => {
+            request.result = localThis.database;
+            request.onupgradeneeded?.();
+            request.onsuccess?.();
+          }, 0);
+          return request;
+        })
+      }
+    };
+  });
+
+  it('should create missing stores on upgrade', async () => {
+    localThis.storeNames.push('screenshots');
+
+    await getLocalFile(FILE_STORES.ATTACHMENTS, 'attachment-1', localThis.deps);
+
+    expect(localThis.deps.indexedDB.open).toHaveBeenCalledWith('sticky-notes', 2);
+    expect(localThis.database.createObjectStore).toHaveBeenCalledTimes(1);
+    expect(localThis.database.createObjectStore).toHaveBeenCalledWith('attachments');
+  });
+
+  it('should save and read back a screenshot', async () => {
+    await saveLocalFile(FILE_STORES.SCREENSHOTS, 'screenshot-1', 'data:image/jpeg;base64,abc', localThis.deps);
+
+    await expect(getLocalFile(FILE_STORES.SCREENSHOTS, 'screenshot-1', localThis.deps)).resolves.toBe('data:image/jpeg;base64,abc');
+    expect(localThis.database.transaction).toHaveBeenCalledWith('screenshots', 'readwrite');
+    expect(localThis.database.transaction).toHaveBeenCalledWith('screenshots', 'readonly');
+  });
+
+  it('should return null for a missing screenshot', async () => {
+    await expect(getLocalFile(FILE_STORES.SCREENSHOTS, 'missing', localThis.deps)).resolves.toBeNull();
+  });
+
+  it('should keep each kind of file in its own store', async () => {
+    await saveLocalFile(FILE_STORES.ATTACHMENTS, 'file-1', 'data:application/pdf;base64,abc', localThis.deps);
+
+    await expect(getLocalFile(FILE_STORES.SCREENSHOTS, 'file-1', localThis.deps)).resolves.toBeNull();
+    await expect(getLocalFile(FILE_STORES.ATTACHMENTS, 'file-1', localThis.deps)).resolves.toBe('data:application/pdf;base64,abc');
+  });
+
+  it('should delete a screenshot', async () => {
+    await saveLocalFile(FILE_STORES.SCREENSHOTS, 'screenshot-1', 'data:image/jpeg;base64,abc', localThis.deps);
+    await deleteLocalFile(FILE_STORES.SCREENSHOTS, 'screenshot-1', localThis.deps);
+
+    await expect(getLocalFile(FILE_STORES.SCREENSHOTS, 'screenshot-1', localThis.deps)).resolves.toBeNull();
+  });
+
+  it('should close the database after each operation', async () => {
+    await saveLocalFile(FILE_STORES.SCREENSHOTS, 'screenshot-1', 'data:image/jpeg;base64,abc', localThis.deps);
+    await getLocalFile(FILE_STORES.SCREENSHOTS, 'screenshot-1', localThis.deps);
+
+    expect(localThis.database.close).toHaveBeenCalledTimes(2);
+  });
+
+  it('should reject when the database cannot be opened', async () => {
+    localThis.deps.indexedDB.open.mockImplementation(() => {
+      const request = { error: new Error('Blocked') };
+      setTimeout(() => request.onerror?.(), 0);
+      return request;
+    });
+
+    await expect(getLocalFile(FILE_STORES.SCREENSHOTS, 'screenshot-1', localThis.deps)).rejects.toThrow('Blocked');
+  });
+});
@@ -205,14 +205,26 @@ const {
   shareNoteLazy,
   unshareNoteLazy,
   leaveSharedNoteLazy,
+  toggleNoteReactionLazy,
   subscribeToNotesForUrlLazy,
   subscribeToSharedNotesLazy,
   getSharedNotesForUserLazy,
   createCommentLazy,
   getCommentsForNoteLazy,
   updateCommentLazy,
+  toggleCommentReactionLazy,
+  setCommentThreadResolvedLazy,
+  setAcceptedAnswerLazy,
   deleteCommentLazy,
-  subscribeToCommentsLazy
+  subscribeToCommentsLazy,
+  recordRevisionLazy,
+  getRevisionsForNoteLazy,
+  getRevisionLazy,
+  setPresenceLazy,
+  clearPresenceLazy,
+  subscribeToPresenceLazy,
+  getMentionNotificationsLazy,
+  markNotificationReadLazy
 } = await import('../../src/firebase/lazy.js');
 
 describe('Firebase Lazy Wrapper Functions', () => {
@@ -293,6 +305,10 @@ describe('Firebase Lazy Wrapper Functions', () => {
       expect(typeof leaveSharedNoteLazy).toBe('function');
     });
 
+    it('toggleNoteReactionLazy is an async function', () => {
+      expect(typeof toggleNoteReactionLazy).toBe('function');
+    });
+
     it('subscribeToNotesForUrlLazy is an async function', () => {
       expect(typeof subscribeToNotesForUrlLazy).toBe('function');
     });
@@ -319,6 +335,18 @@ describe('Firebase Lazy Wrapper Functions', () => {
       expect(typeof updateCommentLazy).toBe('function');
     });
 
+    it('toggleCommentReactionLazy is an async function', () => {
+      expect(typeof toggleCommentReactionLazy).toBe('function');
+    });
+
+    it('setCommentThreadResolvedLazy is an async function', () => {
+      expect(typeof setCommentThreadResolvedLazy).toBe('function');
+    });
+
+    it('setAcceptedAnswerLazy is an async function', () => {
+      expect(typeof setAcceptedAnswerLazy).toBe('function');
+    });
+
     it('deleteCommentLazy is an async function', () => {
       expect(typeof deleteCommentLazy).toBe('function');
     });
@@ -328,6 +356,44 @@ describe('Firebase Lazy Wrapper Functions', () => {
     });
   });
 
+  describe('Revisions lazy wrappers', () => {
+    it('recordRevisionLazy is an async function', () => {
+      expect(typeof recordRevisionLazy).toBe('function');
+    });
+
+    it('getRevisionsForNoteLazy is an async function', () => {
+      expect(typeof getRevisionsForNoteLazy).toBe('function');
+    });
+
+    it('getRevisionLazy is an async function', () => {
+      expect(typeof getRevisionLazy).toBe('function');
+    });
+  });
+
+  describe('Presence lazy wrappers', () => {
+    it('setPresenceLazy is an async function', () => {
+      expect(typeof setPresenceLazy).toBe('function');
+    });
+
+    it('clearPresenceLazy is an async function', () => {
+      expect(typeof clearPresenceLazy).toBe('function');
+    });
+
+    it('subscribeToPresenceLazy is an async function', () => {
+      expect(typeof subscribeToPresenceLazy).toBe('function');
+    });
+  });
+
+  describe('Notification lazy wrappers', () => {
+    it('getMentionNotificationsLazy is an async function', () => {
+      expect(typeof getMentionNotificationsLazy).toBe('function');
+    });
+
+    it('markNotificationReadLazy is an async function', () => {
+      expect(typeof markNotificationReadLazy).toBe('function');
+    });
+  });
+
   describe('Wrapper functions load modules correctly', () => {
     it('auth wrapper loads auth module before calling', async () => {
       // Verify the auth module is loaded when calling any auth wrapper
@@ -433,6 +499,15 @@ describe('Firebase Lazy Wrapper Functions', () => {
       expect(leaveSharedNoteLazy).toBeDefined();
     });
 
+    it('toggleNoteReactionLazy exercises the wrapper code path', async () => {
+      try {
+        await toggleNoteReactionLazy('note123', 'eyes', { uid: 'user123' }, localThis.mockDeps);
+      } catch {
+        // Expected to fail without real Firebase
+      }
+      expect(toggleNoteReactionLazy).toBeDefined();
+    });
+
     it('subscribeToNotesForUrlLazy exercises the wrapper code path', async () => {
       const onUpdate = jest.fn();
       const onError = jest.fn();
@@ -492,6 +567,33 @@ describe('Firebase Lazy Wrapper Functions', () => {
       expect(updateCommentLazy).toBeDefined();
     });
 
+    it('toggleCommentReactionLazy exercises the wrapper code path', async () => {
+      try {
+        await toggleCommentReactionLazy('note123', 'comment123', 'eyes', { uid: 'user123' }, localThis.mockDeps);
+      } catch {
+        // Expected to fail without real Firebase
+      }
+      expect(toggleCommentReactionLazy).toBeDefined();
+    });
+
+    it('setCommentThreadResolvedLazy exercises the wrapper code path', async () => {
+      try {
+        await setCommentThreadResolvedLazy('note123', 'comment123', true, { uid: 'user123' }, localThis.mockDeps);
+      } catch {
+        // Expected to fail without real Firebase
+      }
+      expect(setCommentThreadResolvedLazy).toBeDefined();
+    });
+
+    it('setAcceptedAnswerLazy exercises the wrapper code path', async () => {
+      try {
+        await setAcceptedAnswerLazy('note123', 'comment123', 'reply123', { uid: 'user123' }, localThis.mockDeps);
+      } catch {
+        // Expected to fail without real Firebase
+      }
+      expect(setAcceptedAnswerLazy).toBeDefined();
+    });
+
     it('deleteCommentLazy exercises the wrapper code path', async () => {
       try {
         await deleteCommentLazy('note123', 'comment123', 'user123', localThis.mockDeps);
@@ -0,0 +1,33 @@
+/**
+ * Cloud Functions Utils Unit Tests
+ */
+
+import { describe, it, expect } from '@jest/globals';
+import { getNoteStatus, isValidStatusTransition } from '../../functions/lib/utils.js';
+
+describe('getNoteStatus', () => {
+  it('should return a valid stored status', () => {
+    expect(getNoteStatus({ status: 'in_progress' })).toBe('in_progress');
+  });
+
+  it('should treat a missing or unknown status as open', () => {
+    expect(getNoteStatus({})).toBe('open');
+    expect(getNoteStatus({ status: 'done' })).toBe('open');
+    expect(getNoteStatus(null)).toBe('open');
+  });
+});
+
+describe('isValidStatusTransition', () => {
+  it('should allow the workflow transitions only', () => {
+    expect(isValidStatusTransition('open', 'resolved')).toBe(true);
+    expect(isValidStatusTransition('resolved', 'in_progress')).toBe(false);
+  });
+
+  it('should reject transitions from an unknown status instead of throwing', () => {
+    expect(isValidStatusTransition('done', 'resolved')).toBe(false);
+  });
+
+  it('should let a note with a legacy status move like an open one', () => {
+    expect(isValidStatusTransition(getNoteStatus({ status: 'done' }), 'in_progress')).toBe(true);
+  });
+});
@@ -0,0 +1,129 @@
+/**
+ * HTML Diff Unit Tests
+ */
+
+import { describe, it, expect } from '@jest/globals';
+import { htmlToDiffText, diffWords, diffHtml, renderDiffSegments, mergeHtml } from '../../src/shared/htmlDiff.js';
+
+describe('htmlDiff', () => {
+  describe('htmlToDiffText', () => {
+    it('should return empty string for empty input', () => {
+      expect(htmlToDiffText('')).toBe('');
+      expect(htmlToDiffText(null)).toBe('');
+    });
+
+    it('should put block elements and line breaks on their own lines', () => {
+      expect(htmlToDiffText('<p>First</p><p>Second<br>Third</p>')).toBe('First\nSecond\nThird');
+    });
+
+    it('should keep inline formatting as plain text', () => {
+      expect(htmlToDiffText('Some <b>bold</b> and <a href="#">link</a>')).toBe('Some bold and link');
+    });
+
+    it('should bullet list items', () => {
+      expect(htmlToDiffText('<ul><li>One</li><li>Two</li></ul>')).toBe('• One\n• Two');
+    });
+
+    it('should render checkboxes', () => {
+      const html = '<div><input type="checkbox" checked> Done</div><div><input type="checkbox"> Todo</div>';
+      expect(htmlToDiffText(html)).toBe('[x] Done\n[ ] Todo');
+    });
+
+    it('should not run scripts or load images', () => {
+      window.diffRan = false;
+      const text = htmlToDiffText('<img src="x" onerror="window.diffRan = true"><script>window.diffRan = true</script>ok');
+      expect(window.diffRan).toBe(false);
+      expect(text).toContain('ok');
+    });
+  });
+
+  describe('diffWords', () => {
+    it('should return a single equal segment for identical text', () => {
+      expect(diffWords('same text', 'same text')).toEqual([{ type: 'equal', text: 'same text' }]);
+    });
+
+    it('should mark inserted words', () => {
+      expect(diffWords('fix the bug', 'fix the login bug')).toEqual([
+        { type: 'equal', text: 'fix the ' },
+        { type: 'insert', text: 'login ' },
+        { type: 'equal', text: 'bug' }
+      ]);
+    });
+
+    it('should mark deleted words', () => {
+      expect(diffWords('a b c', 'a c')).toEqual([
+        { type: 'equal', text: 'a ' },
+        { type: 'delete', text: 'b ' },
+        { type: 'equal', text: 'c' }
+      ]);
+    });
+
+    it('should mark replaced words as delete then insert', () => {
+      expect(diffWords('color red', 'color blue')).toEqual([
+        { type: 'equal', text: 'color ' },
+        { type: 'delete', text: 'red' },
+        { type: 'insert', text: 'blue' }
+      ]);
+    });
+
+    it('should handle empty sides', () => {
+      expect(diffWords('', 'new')).toEqual([{ type: 'insert', text: 'new' }]);
+      expect(diffWords('old', '')).toEqual([{ type: 'delete', text: 'old' }]);
+    });
+  });
+
+  describe('diffHtml', () => {
+    it('should report text changes', () => {
+      const result = diffHtml('<p>Hello</p>', '<p>Hello world</p>');
+      expect(result.hasTextChanges).toBe(true);
+    });
+
+    it('should not report formatting-only changes as text changes', () => {
+      const result = diffHtml('<p>Hello</p>', '<p><b>Hello</b></p>');
+      expect(result.hasTextChanges).toBe(false);
+    });
+  });
+
+  describe('renderDiffSegments', () => {
+    it('should wrap changes in ins/del and escape text', () => {
+      const html = renderDiffSegments([
+        { type: 'equal', text: 'a ' },
+        { type: 'delete', text: '<old>' },
+        { type: 'insert', text: '<new>' }
+      ]);
+      expect(html).toBe('a <del class="sn-diff-del">&lt;old&gt;</del><ins class="sn-diff-ins">&lt;new&gt;</ins>');
+    });
+  });
+
+  describe('mergeHtml', () => {
+    const base = '<p>one</p><p>two</p><p>three</p>';
+
+    it('should keep edits to different paragraphs from both sides', () => {
+      const mine = '<p>one!</p><p>two</p><p>three</p>';
+      const theirs = '<p>one</p><p>two</p><p>three?</p>';
+      expect(mergeHtml(base, mine, theirs)).toBe('<p>one!</p><p>two</p><p>three?</p>');
+    });
+
+    it('should keep both versions of a paragraph both sides changed, mine first', () => {
+      const mine = '<p>one</p><p>two (mine)</p><p>three</p>';
+      const theirs = '<p>one</p><p>two (theirs)</p><p>three</p>';
+      expect(mergeHtml(base, mine, theirs)).toBe('<p>one</p><p>two (mine)</p><p>two (theirs)</p><p>three</p>');
+    });
+
+    it('should add an identical insertion only once', () => {
+      const both = '<p>one</p><p>two</p><p>three</p><p>four</p>';
+      expect(mergeHtml(base, both, both)).toBe(both);
+    });
+
+    it('should apply a deletion from either side', () => {
+      const mine = '<p>one</p><p>three</p>';
+      const theirs = '<p>one</p><p>two</p><p>three</p><p>four</p>';
+      expect(mergeHtml(base, mine, theirs)).toBe('<p>one</p><p>three</p><p>four</p>');
+    });
+
+    it('should treat loose inline content as one block', () => {
+      expect(mergeHtml('Hello <b>world</b>', 'Hello <b>world</b><p>mine</p>', '<p>theirs</p>Hello <b>world</b>'))
+        .toBe('<p>theirs</p>Hello <b>world</b><p>mine</p>');
+    });
+  });
+});
@@ -0,0 +1,295 @@
+/**
+ * Note Templates Module Unit Tests
+ */
+
+import { jest, describe, it, expect, beforeEach, afterEach } from '@jest/globals';
+
+import {
+  getDefaultNoteTemplates,
+  validateNoteTemplate,
+  sanitizeNoteTemplate,
+  getNoteTemplates,
+  setNoteTemplates,
+  getLastNoteTemplateId,
+  setLastNoteTemplateId,
+  getTemplateValues,
+  fillTemplate,
+  renderNoteTemplate,
+  MAX_NOTE_TEMPLATES,
+  MAX_TEMPLATE_BODY_LENGTH
+} from '../../src/shared/noteTemplates.js';
+
+const localThis = {
+  mockStorage: {},
+  mockChromeStorage: null
+};
+
+/**
+ * Build a storage area backed by an object
+ * @param {Object} store - Backing object
+ * @returns {Object} Storage area mock
+ */
+function createArea(store) {
+  return {
+    get: jest.fn(async (keys) => {
+      const result = {};
+      for (const key of keys) {
+        if (store[key] !== undefined) {
+          result[key] = store[key];
+        }
+      }
+      return result;
+    }),
+    set: jest.fn(async (items) => {
+      Object.assign(store, items);
+    })
+  };
+}
+
+beforeEach(() => {
+  localThis.mockStorage = {};
+  localThis.mockLocalStorage = {};
+  localThis.mockChromeStorage = {
+    sync: createArea(localThis.mockStorage),
+    local: createArea(localThis.mockLocalStorage)
+  };
+});
+
+afterEach(() => {
+  jest.clearAllMocks();
+});
+
+describe('getDefaultNoteTemplates', () => {
+  it('should offer bug report, design feedback and question templates', () => {
+    expect(getDefaultNoteTemplates().map(template => template.id)).toEqual(['bug-report', 'design-feedback', 'question']);
+    expect(getDefaultNoteTemplates()[0]).toEqual({
+      id: 'bug-report',
+      name: 'templateBugReportName',
+      body: 'templateBugReportBody'
+    });
+  });
+});
+
+describe('validateNoteTemplate', () => {
+  it('should accept a template with a name and content', () => {
+    expect(validateNoteTemplate({ name: 'Bug', body: 'Steps:' })).toEqual({ valid: true, errors: [] });
+  });
+
+  it('should require a name and content', () => {
+    const result = validateNoteTemplate({ name: ' ', body: '\n' });
+
+    expect(result.valid).toBe(false);
+    expect(result.errors).toHaveLength(2);
+  });
+
+  it('should reject content that is too long', () => {
+    const result = validateNoteTemplate({ name: 'Long', body: 'x'.repeat(MAX_TEMPLATE_BODY_LENGTH + 1) });
+
+    expect(result.valid).toBe(false);
+    expect(result.errors[0]).toContain('too long');
+  });
+
+  it('should reject non-object templates', () => {
+    expect(validateNoteTemplate(null).valid).toBe(false);
+  });
+});
+
+describe('sanitizeNoteTemplate', () => {
+  it('should trim the name and normalize line endings', () => {
+    expect(sanitizeNoteTemplate({ id: 'bug', name: ' Bug ', body: 'Steps:\r\n1. \r\n\r\n' })).toEqual({
+      id: 'bug',
+      name: 'Bug',
+      body: 'Steps:\n1.'
+    });
+  });
+
+  it('should give templates without a usable ID a new one', () => {
+    const template = sanitizeNoteTemplate({ id: 'not valid!', name: 'Bug', body: 'Steps:' });
+
+    expect(template.id).toMatch(/^template_/);
+  });
+
+  it('should return null for invalid templates', () => {
+    expect(sanitizeNoteTemplate({ name: 'Empty', body: '' })).toBeNull();
+  });
+});
+
+describe('getNoteTemplates', () => {
+  it('should return the built-in templates when nothing is stored', async () => {
+    const templates = await getNoteTemplates({ chromeStorage: localThis.mockChromeStorage });
+
+    expect(templates).toEqual(getDefaultNoteTemplates());
+  });
+
+  it('should keep an empty saved list', async () => {
+    localThis.mockStorage.noteTemplates = [];
+
+    const templates = await getNoteTemplates({ chromeStorage: localThis.mockChromeStorage });
+
+    expect(templates).toEqual([]);
+  });
+
+  it('should drop invalid and duplicate stored templates', async () => {
+    localThis.mockStorage.noteTemplates = [
+      { id: 'bug', name: 'Bug', body: 'Steps:' },
+      { id: 'bug', name: 'Bug again', body: 'Steps:' },
+      { id: 'empty', name: 'Empty', body: '' }
+    ];
+
+    const templates = await getNoteTemplates({ chromeStorage: localThis.mockChromeStorage });
+
+    expect(templates).toEqual([{ id: 'bug', name: 'Bug', body: 'Steps:' }]);
+  });
+
+  it('should fall back to the built-in templates when storage fails', async () => {
+    const consoleSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+    localThis.mockChromeStorage.sync.get.mockRejectedValue(new Error('Storage error'));
+
+    const templates = await getNoteTemplates({ chromeStorage: localThis.mockChromeStorage });
+
+    expect(templates).toHaveLength(3);
+    expect(consoleSpy).toHaveBeenCalled();
+    consoleSpy.mockRestore();
+  });
+});
+
+describe('setNoteTemplates', () => {
+  it('should save normalized templates', async () => {
+    const result = await setNoteTemplates([
+      { id: 'bug', name: ' Bug ', body: 'Steps:\n' }
+    ], { chromeStorage: localThis.mockChromeStorage });
+
+    expect(result.success).toBe(true);
+    expect(localThis.mockStorage.noteTemplates).toEqual([{ id: 'bug', name: 'Bug', body: 'Steps:' }]);
+    expect(result.templates).toEqual(localThis.mockStorage.noteTemplates);
+  });
+
+  it('should refuse to save an invalid template', async () => {
+    const result = await setNoteTemplates([{ name: '', body: 'Steps:' }], { chromeStorage: localThis.mockChromeStorage });
+
+    expect(result.success).toBe(false);
+    expect(result.error).toContain('name is required');
+    expect(localThis.mockChromeStorage.sync.set).not.toHaveBeenCalled();
+  });
+
+  it('should refuse too many templates', async () => {
+    const templates = Array.from({ length: MAX_NOTE_TEMPLATES + 1 }, (_, index) => ({ name: `T${index}`, body: 'x' }));
+
+    const result = await setNoteTemplates(templates, { chromeStorage: localThis.mockChromeStorage });
+
+    expect(result.success).toBe(false);
+  });
+
+  it('should refuse templates too large to sync', async () => {
+    const templates = Array.from({ length: MAX_NOTE_TEMPLATES }, (_, index) => ({
+      name: `T${index}`,
+      body: 'x'.repeat(MAX_TEMPLATE_BODY_LENGTH)
+    }));
+
+    const result = await setNoteTemplates(templates, { chromeStorage: localThis.mockChromeStorage });
+
+    expect(result.success).toBe(false);
+    expect(result.error).toContain('too large');
+  });
+
+  it('should refuse non-array input', async () => {
+    const result = await setNoteTemplates('nope', { chromeStorage: localThis.mockChromeStorage });
+
+    expect(result.success).toBe(false);
+  });
+
+  it('should handle storage errors', async () => {
+    const consoleSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+    localThis.mockChromeStorage.sync.set.mockRejectedValue(new Error('Quota exceeded'));
+
+    const result = await setNoteTemplates([{ name: 'Bug', body: 'x' }], { chromeStorage: localThis.mockChromeStorage });
+
+    expect(result).toEqual({ success: false, error: 'Quota exceeded' });
+    consoleSpy.mockRestore();
+  });
+});
+
+describe('last picked template', () => {
+  it('should remember the picked template locally', async () => {
+    await setLastNoteTemplateId('bug', { chromeStorage: localThis.mockChromeStorage });
+
+    expect(localThis.mockChromeStorage.sync.set).not.toHaveBeenCalled();
+    expect(await getLastNoteTemplateId({ chromeStorage: localThis.mockChromeStorage })).toBe('bug');
+  });
+
+  it('should return null for a blank note', async () => {
+    await setLastNoteTemplateId(null, { chromeStorage: localThis.mockChromeStorage });
+
+    expect(await getLastNoteTemplateId({ chromeStorage: localThis.mockChromeStorage })).toBeNull();
+  });
+
+  it('should return null when storage fails', async () => {
+    localThis.mockChromeStorage.local.get.mockRejectedValue(new Error('Storage error'));
+
+    expect(await getLastNoteTemplateId({ chromeStorage: localThis.mockChromeStorage })).toBeNull();
+  });
+});
+
+describe('getTemplateValues', () => {
+  it('should combine page metadata, browser info and the environment', () => {
+    const values = getTemplateValues({
+      metadata: {
+        url: 'https://staging.example.com/cart',
+        title: 'Cart',
+        browser: 'Chrome 120',
+        viewport: '1280x720',
+        timestamp: '2026-03-01T12:00:00Z',
+        userAgent: 'Mozilla/5.0'
+      },
+      browserInfo: { browser: 'Chrome', version: '120', userAgent: 'Mozilla/5.0 (UA)' },
+      environment: 'staging'
+    });
+
+    expect(values).toEqual({
+      url: 'https://staging.example.com/cart',
+      title: 'Cart',
+      browser: 'Chrome 120',
+      browserVersion: '120',
+      viewport: '1280x720',
+      environment: 'envStaging',
+      userAgent: 'Mozilla/5.0 (UA)',
+      date: new Date('2026-03-01T12:00:00Z').toLocaleDateString()
+    });
+  });
+
+  it('should leave unknown values empty', () => {
+    const values = getTemplateValues();
+
+    expect(values.url).toBe('');
+    expect(values.environment).toBe('');
+  });
+});
+
+describe('fillTemplate', () => {
+  it('should replace known placeholders, allowing spaces inside the braces', () => {
+    expect(fillTemplate('{{title}} at {{ url }}', { title: 'Cart', url: 'https://example.com' }))
+      .toBe('Cart at https://example.com');
+  });
+
+  it('should leave unknown placeholders as typed', () => {
+    expect(fillTemplate('Ticket {{ticket}}', { title: 'Cart' })).toBe('Ticket {{ticket}}');
+  });
+});
+
+describe('renderNoteTemplate', () => {
+  it('should put each line in its own block and keep blank lines', () => {
+    const html = renderNoteTemplate({ body: 'Steps:\n\nURL: {{url}}' }, { url: 'https://example.com' });
+
+    expect(html).toBe('<div>Steps:</div><div><br></div><div>URL: https://example.com</div>');
+  });
+
+  it('should escape template text and page values', () => {
+    const html = renderNoteTemplate({ body: '<b>{{title}}</b>' }, { title: '<img src=x onerror=alert(1)>' });
+
+    expect(html).toBe('<div>&lt;b&gt;&lt;img src=x onerror=alert(1)&gt;&lt;/b&gt;</div>');
+  });
+
+  it('should return empty content without a template', () => {
+    expect(renderNoteTemplate(null, {})).toBe('');
+  });
+});
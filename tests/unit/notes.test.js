@@ -15,6 +15,7 @@ jest.unstable_mockModule('firebase/firestore', () => ({
   getDocs: jest.fn(),
   updateDoc: jest.fn(),
   deleteDoc: jest.fn(),
+  runTransaction: jest.fn(),
   query: jest.fn(),
   where: jest.fn(),
   orderBy: jest.fn(),
@@ -42,11 +43,13 @@ jest.unstable_mockModule('firebase/auth', () => ({
 const {
   createNote,
   getNotesForUrl,
+  getNotesForDomain,
   updateNote,
   deleteNote,
   shareNote,
   unshareNote,
   leaveSharedNote,
+  toggleNoteReaction,
   subscribeToNotesForUrl,
   getSharedNotesForUser,
   subscribeToSharedNotes
@@ -70,10 +73,16 @@ describe('Firebase Notes', () => {
       collection: jest.fn(() => localThis.mockCollectionRef),
       doc: jest.fn(() => localThis.mockDocRef),
       addDoc: jest.fn(),
-      getDoc: jest.fn(),
+      // Reading a note back after writing it finds nothing unless a test stores one
+      getDoc: jest.fn().mockResolvedValue({ exists: () => false }),
       getDocs: jest.fn(),
       updateDoc: jest.fn(),
       deleteDoc: jest.fn(),
+      // Transactions read and write through the getDoc and updateDoc mocks
+      runTransaction: jest.fn((_db, update) => update({
+        get: (ref) => localThis.deps.getDoc(ref),
+        update: (ref, data) => localThis.deps.updateDoc(ref, data)
+      })),
       query: jest.fn((col) => col),
       where: jest.fn(() => ({})),
       orderBy: jest.fn(() => ({})),
@@ -104,6 +113,88 @@ describe('Firebase Notes', () => {
       expect(result.sharedWith).toEqual([]);
     });
 
+    it('should store anchor text and fingerprint', async () => {
+      const fingerprint = { textHash: 'abc12345', tagPath: 'main>button', siblingIndex: 1 };
+      localThis.deps.addDoc.mockResolvedValue({ id: 'new-note-123' });
+      
+      const result = await createNote({
+        url: 'https://example.com/page',
+        selector: '#submit',
+        anchorText: 'Submit',
+        anchorFingerprint: fingerprint
+      }, 'user-123', 'user@example.com', localThis.deps);
+      
+      expect(result.anchorText).toBe('Submit');
+      expect(result.anchorFingerprint).toEqual(fingerprint);
+      expect(result.textAnchor).toBeNull();
+    });
+
+    it('should store normalized tags', async () => {
+      localThis.deps.addDoc.mockResolvedValue({ id: 'new-note-123' });
+      
+      const result = await createNote({
+        url: 'https://example.com/page',
+        selector: '#submit',
+        tags: ['#A11y', 'a11y', 'Copy Edit']
+      }, 'user-123', 'user@example.com', localThis.deps);
+      
+      expect(result.tags).toEqual(['a11y', 'copy-edit']);
+    });
+
+    it('should store valid attachment references only', async () => {
+      localThis.deps.addDoc.mockResolvedValue({ id: 'new-note-123' });
+      const attachment = {
+        id: 'attachment-1', name: 'spec.pdf', type: 'application/pdf', size: 1200, storage: 'cloud',
+        path: 'attachments/user-123/attachment-1', url: 'https://storage.example.com/attachment-1'
+      };
+      
+      const result = await createNote({
+        url: 'https://example.com/page',
+        selector: '#submit',
+        attachments: [attachment, { id: 'bad', name: 'x.exe', type: 'application/x-msdownload', size: 1, storage: 'local' }]
+      }, 'user-123', 'user@example.com', localThis.deps);
+      
+      expect(result.attachments).toEqual([attachment]);
+    });
+
+    it('should store the text anchor of text-anchored notes', async () => {
+      const textAnchor = { exact: 'recieve', prefix: 'We ', suffix: ' payments', start: 3, end: 10 };
+      localThis.deps.addDoc.mockResolvedValue({ id: 'new-note-123' });
+      
+      const result = await createNote({
+        url: 'https://example.com/page',
+        selector: 'p.intro',
+        textAnchor
+      }, 'user-123', 'user@example.com', localThis.deps);
+      
+      expect(result.textAnchor).toEqual(textAnchor);
+    });
+
+    it('should store the region of region-anchored notes', async () => {
+      const anchorRegion = { x: 10, y: 20, width: 30, height: 15 };
+      localThis.deps.addDoc.mockResolvedValue({ id: 'new-note-123' });
+      
+      const result = await createNote({
+        url: 'https://example.com/page',
+        selector: 'canvas#chart',
+        anchorRegion
+      }, 'user-123', 'user@example.com', localThis.deps);
+      
+      expect(result.anchorRegion).toEqual(anchorRegion);
+    });
+
+    it('should create notes as open unless a valid status is given', async () => {
+      localThis.deps.addDoc.mockResolvedValue({ id: 'new-note-123' });
+      
+      const defaulted = await createNote({ url: 'https://example.com/page', selector: 'p' }, 'user-123', 'user@example.com', localThis.deps);
+      const invalid = await createNote({ url: 'https://example.com/page', selector: 'p', status: 'done' }, 'user-123', 'user@example.com', localThis.deps);
+      const resolved = await createNote({ url: 'https://example.com/page', selector: 'p', status: 'resolved' }, 'user-123', 'user@example.com', localThis.deps);
+      
+      expect(defaulted.status).toBe('open');
+      expect(invalid.status).toBe('open');
+      expect(resolved.status).toBe('resolved');
+    });
+
     it('should throw error when Firebase is not configured', async () => {
       localThis.deps.isFirebaseConfigured = jest.fn(() => false);
       
@@ -244,16 +335,62 @@ describe('Firebase Notes', () => {
     });
   });
 
+  describe('getNotesForDomain', () => {
+    it('should query owned and shared notes by URL prefix', async () => {
+      const mockOwnedDocs = [
+        { id: 'owned-1', data: () => ({ url: 'https://example.com/a', content: 'Owned note' }) }
+      ];
+      const mockSharedDocs = [
+        { id: 'owned-1', data: () => ({ url: 'https://example.com/a', content: 'Owned note' }) },
+        { id: 'shared-1', data: () => ({ url: 'https://example.com/b', content: 'Shared note' }) }
+      ];
+      
+      localThis.deps.getDocs
+        .mockResolvedValueOnce({ forEach: (cb) => mockOwnedDocs.forEach(cb), size: 1 })
+        .mockResolvedValueOnce({ forEach: (cb) => mockSharedDocs.forEach(cb), size: 2 });
+      
+      const notes = await getNotesForDomain('https://example.com/page?x=1', 'user-123', 'User@Example.com', localThis.deps);
+      
+      expect(notes.map(note => note.id)).toEqual(['owned-1', 'shared-1']);
+      expect(notes[1].isShared).toBe(true);
+      expect(localThis.deps.where).toHaveBeenCalledWith('ownerId', '==', 'user-123');
+      expect(localThis.deps.where).toHaveBeenCalledWith('sharedWith', 'array-contains', 'user@example.com');
+      expect(localThis.deps.where).toHaveBeenCalledWith('url', '>=', 'https://example.com/');
+      expect(localThis.deps.where).toHaveBeenCalledWith('url', '<=', 'https://example.com/\uf8ff');
+    });
+
+    it('should only query owned notes without an email', async () => {
+      localThis.deps.getDocs.mockResolvedValueOnce({ forEach: () => {}, size: 0 });
+      
+      const notes = await getNotesForDomain('https://example.com', 'user-123', null, localThis.deps);
+      
+      expect(notes).toEqual([]);
+      expect(localThis.deps.getDocs).toHaveBeenCalledTimes(1);
+    });
+
+    it('should reject an invalid origin', async () => {
+      await expect(getNotesForDomain('example', 'user-123', null, localThis.deps))
+        .rejects.toThrow('Invalid origin');
+    });
+
+    it('should throw error when Firebase is not configured', async () => {
+      localThis.deps.isFirebaseConfigured = jest.fn(() => false);
+      
+      await expect(getNotesForDomain('https://example.com', 'user-123', null, localThis.deps))
+        .rejects.toThrow('Firebase is not configured');
+    });
+  });
+
   describe('updateNote', () => {
-    it('should update note when user is owner', async () => {
+    it('should update note when user is owner and return the previous data', async () => {
       localThis.deps.getDoc.mockResolvedValue({
         exists: () => true,
-        data: () => ({ ownerId: 'user-123', sharedWith: [] })
+        data: () => ({ ownerId: 'user-123', sharedWith: [], content: 'Before' })
       });
       localThis.deps.updateDoc.mockResolvedValue();
       
       await expect(updateNote('note-123', { content: 'Updated' }, 'user-123', localThis.deps))
-        .resolves.toBeUndefined();
+        .resolves.toEqual({ previous: { ownerId: 'user-123', sharedWith: [], content: 'Before' }, updatedAt: null });
       
       expect(localThis.deps.updateDoc).toHaveBeenCalled();
     });
@@ -266,7 +403,107 @@ describe('Firebase Notes', () => {
       localThis.deps.updateDoc.mockResolvedValue();
       
       await expect(updateNote('note-123', { content: 'Updated' }, 'user-123', localThis.deps))
-        .resolves.toBeUndefined();
+        .resolves.toEqual({ previous: { ownerId: 'other-user', sharedWith: ['user-123'] }, updatedAt: null });
+    });
+
+    it('should reject a content save based on a stale version', async () => {
+      localThis.deps.getDoc.mockResolvedValue({
+        exists: () => true,
+        data: () => ({ ownerId: 'user-123', sharedWith: [], content: 'Theirs', updatedAt: { seconds: 200, nanoseconds: 0 } })
+      });
+      
+      await expect(updateNote('note-123', { content: 'Mine', baseUpdatedAt: { seconds: 100, nanoseconds: 0 } }, 'user-123', localThis.deps))
+        .rejects.toMatchObject({ code: 'edit-conflict', currentContent: 'Theirs', currentUpdatedAt: { seconds: 200, nanoseconds: 0 } });
+      expect(localThis.deps.updateDoc).not.toHaveBeenCalled();
+    });
+
+    it('should reject a stale save even when the stored text matches', async () => {
+      localThis.deps.getDoc.mockResolvedValue({
+        exists: () => true,
+        data: () => ({ ownerId: 'user-123', sharedWith: [], content: 'Mine', updatedAt: { seconds: 200, nanoseconds: 0 } })
+      });
+      
+      await expect(updateNote('note-123', { content: 'Mine', baseUpdatedAt: '1970-01-01T00:01:40.000Z' }, 'user-123', localThis.deps))
+        .rejects.toMatchObject({ code: 'edit-conflict' });
+    });
+
+    it('should accept a content save based on the stored version without storing the base', async () => {
+      localThis.deps.getDoc.mockResolvedValue({
+        exists: () => true,
+        data: () => ({ ownerId: 'user-123', sharedWith: [], content: 'Base', updatedAt: { seconds: 100, nanoseconds: 5000 } })
+      });
+      localThis.deps.updateDoc.mockResolvedValue();
+      
+      // A Timestamp serialized through Chrome messaging keeps its seconds and nanoseconds
+      await updateNote('note-123', { content: 'Mine', baseUpdatedAt: { seconds: 100, nanoseconds: 5000, type: 'firestore/timestamp/1.1' } }, 'user-123', localThis.deps);
+      
+      expect(localThis.deps.updateDoc.mock.calls[0][1]).not.toHaveProperty('baseUpdatedAt');
+      expect(localThis.deps.updateDoc.mock.calls[0][1].content).toBe('Mine');
+    });
+
+    it('should reject the save when another save lands between its read and write', async () => {
+      const stored = { ownerId: 'user-123', sharedWith: [], content: 'Base', updatedAt: { seconds: 100, nanoseconds: 0 } };
+      let version = 0;
+      // Like Firestore: a transaction whose reads changed before it committed runs again
+      localThis.deps.runTransaction.mockImplementation((_db, update) => {
+        const attempt = async () => {
+          const readVersion = version;
+          const writes = [];
+          const result = await update({
+            get: async () => {
+              const snapshot = { ...stored };
+              if (version === 0) {
+                Object.assign(stored, { content: 'Theirs', updatedAt: { seconds: 200, nanoseconds: 0 } });
+                version += 1;
+              }
+              return { exists: () => true, data: () => snapshot };
+            },
+            update: (_ref, data) => writes.push(data)
+          });
+          if (readVersion !== version) return attempt();
+          writes.forEach(data => Object.assign(stored, data));
+          return result;
+        };
+        return attempt();
+      });
+      
+      await expect(updateNote('note-123', { content: 'Mine', baseUpdatedAt: { seconds: 100, nanoseconds: 0 } }, 'user-123', localThis.deps))
+        .rejects.toMatchObject({ code: 'edit-conflict', currentContent: 'Theirs' });
+      expect(stored.content).toBe('Theirs');
+      expect(localThis.deps.runTransaction).toHaveBeenCalledWith(localThis.mockDb, expect.any(Function));
+    });
+
+    it('should let saves right after creating a note build on the versions they stored', async () => {
+      const stored = {};
+      let seconds = 100;
+      localThis.deps.addDoc.mockImplementation(async (_collection, data) => {
+        Object.assign(stored, data, { createdAt: { seconds, nanoseconds: 5000 }, updatedAt: { seconds, nanoseconds: 5000 } });
+        return { id: 'new-note-123' };
+      });
+      localThis.deps.getDoc.mockImplementation(async () => ({ exists: () => true, data: () => ({ ...stored }) }));
+      localThis.deps.updateDoc.mockImplementation(async (_ref, data) => {
+        seconds += 1;
+        Object.assign(stored, data, { updatedAt: { seconds, nanoseconds: 0 } });
+      });
+      
+      const created = await createNote({ url: 'https://example.com/page', selector: '#main', content: 'One' }, 'user-123', 'user@example.com', localThis.deps);
+      const first = await updateNote('new-note-123', { content: 'Two', baseUpdatedAt: created.updatedAt }, 'user-123', localThis.deps);
+      const second = await updateNote('new-note-123', { content: 'Three', baseUpdatedAt: first.updatedAt }, 'user-123', localThis.deps);
+      
+      expect(created.updatedAt).toEqual({ seconds: 100, nanoseconds: 5000 });
+      expect(first.updatedAt).toEqual({ seconds: 101, nanoseconds: 0 });
+      expect(second.updatedAt).toEqual({ seconds: 102, nanoseconds: 0 });
+      expect(stored.content).toBe('Three');
+    });
+
+    it('should not return the updatedAt of content someone else saved since', async () => {
+      localThis.deps.getDoc
+        .mockResolvedValueOnce({ exists: () => true, data: () => ({ ownerId: 'user-123', sharedWith: [], content: 'Base' }) })
+        .mockResolvedValueOnce({ exists: () => true, data: () => ({ content: 'Theirs', updatedAt: { seconds: 300, nanoseconds: 0 } }) });
+      
+      const result = await updateNote('note-123', { content: 'Mine' }, 'user-123', localThis.deps);
+      
+      expect(result.updatedAt).toBeNull();
     });
 
     it('should throw error when note not found', async () => {
@@ -308,6 +545,191 @@ describe('Firebase Notes', () => {
       expect(updateCall.updatedAt).toBeDefined();
     });
 
+    it('should allow updating anchor text and fingerprint', async () => {
+      localThis.deps.getDoc.mockResolvedValue({
+        exists: () => true,
+        data: () => ({ ownerId: 'user-123' })
+      });
+      localThis.deps.updateDoc.mockResolvedValue();
+      const fingerprint = { textHash: 'abc12345', tagPath: 'main>button', siblingIndex: 2 };
+      
+      await updateNote('note-123', { 
+        selector: '#new',
+        anchorText: 'Submit',
+        anchorFingerprint: fingerprint
+      }, 'user-123', localThis.deps);
+      
+      const updateCall = localThis.deps.updateDoc.mock.calls[0][1];
+      expect(updateCall.anchorText).toBe('Submit');
+      expect(updateCall.anchorFingerprint).toEqual(fingerprint);
+    });
+
+    it('should allow updating anchor history', async () => {
+      localThis.deps.getDoc.mockResolvedValue({
+        exists: () => true,
+        data: () => ({ ownerId: 'user-123' })
+      });
+      localThis.deps.updateDoc.mockResolvedValue();
+      const anchorHistory = [{ selector: '#old', confidence: 70, replacedAt: 1700000000000, replacedBy: 'a@b.com' }];
+      
+      await updateNote('note-123', { selector: '#new', anchorHistory }, 'user-123', localThis.deps);
+      
+      expect(localThis.deps.updateDoc.mock.calls[0][1].anchorHistory).toEqual(anchorHistory);
+    });
+
+    it('should allow updating responsive anchors and verified breakpoints', async () => {
+      localThis.deps.getDoc.mockResolvedValue({
+        exists: () => true,
+        data: () => ({ ownerId: 'user-123' })
+      });
+      localThis.deps.updateDoc.mockResolvedValue();
+      const responsiveAnchors = [{ breakpoint: 'mobile', minWidth: 0, maxWidth: 767, selector: '#burger' }];
+      const verifiedBreakpoints = { mobile: { verifiedAt: 1700000000000, verifiedBy: 'a@b.com', width: 375 } };
+
+      await updateNote('note-123', { responsiveAnchors, verifiedBreakpoints }, 'user-123', localThis.deps);
+
+      const updateCall = localThis.deps.updateDoc.mock.calls[0][1];
+      expect(updateCall.responsiveAnchors).toEqual(responsiveAnchors);
+      expect(updateCall.verifiedBreakpoints).toEqual(verifiedBreakpoints);
+    });
+
+    it('should allow updating the anchor region', async () => {
+      localThis.deps.getDoc.mockResolvedValue({
+        exists: () => true,
+        data: () => ({ ownerId: 'user-123' })
+      });
+      localThis.deps.updateDoc.mockResolvedValue();
+
+      await updateNote('note-123', { anchorRegion: null }, 'user-123', localThis.deps);
+
+      expect(localThis.deps.updateDoc.mock.calls[0][1]).toHaveProperty('anchorRegion', null);
+    });
+
+    it('should allow valid status transitions and record when they happened', async () => {
+      localThis.deps.getDoc.mockResolvedValue({
+        exists: () => true,
+        data: () => ({ ownerId: 'user-123', status: 'in_progress' })
+      });
+      localThis.deps.updateDoc.mockResolvedValue();
+
+      await updateNote('note-123', { status: 'resolved' }, 'user-123', localThis.deps);
+
+      const updateCall = localThis.deps.updateDoc.mock.calls[0][1];
+      expect(updateCall.status).toBe('resolved');
+      expect(updateCall).toHaveProperty('statusChangedAt');
+    });
+
+    it('should treat notes without a status as open', async () => {
+      localThis.deps.getDoc.mockResolvedValue({
+        exists: () => true,
+        data: () => ({ ownerId: 'user-123' })
+      });
+      localThis.deps.updateDoc.mockResolvedValue();
+
+      await expect(updateNote('note-123', { status: 'reopened' }, 'user-123', localThis.deps))
+        .rejects.toThrow('Invalid status transition: open -> reopened');
+      expect(localThis.deps.updateDoc).not.toHaveBeenCalled();
+    });
+
+    it('should not touch statusChangedAt when the status is unchanged', async () => {
+      localThis.deps.getDoc.mockResolvedValue({
+        exists: () => true,
+        data: () => ({ ownerId: 'user-123', status: 'resolved' })
+      });
+      localThis.deps.updateDoc.mockResolvedValue();
+
+      await updateNote('note-123', { status: 'resolved', content: 'Done' }, 'user-123', localThis.deps);
+
+      expect(localThis.deps.updateDoc.mock.calls[0][1]).not.toHaveProperty('statusChangedAt');
+    });
+
+    it('should assign a note to a collaborator', async () => {
+      localThis.deps.getDoc.mockResolvedValue({
+        exists: () => true,
+        data: () => ({ ownerId: 'user-123', ownerEmail: 'owner@example.com', sharedWith: ['friend@example.com'] })
+      });
+      localThis.deps.updateDoc.mockResolvedValue();
+
+      await updateNote('note-123', { assignee: 'Friend@Example.com', dueDate: '2026-03-15' }, 'user-123', localThis.deps);
+
+      const updateCall = localThis.deps.updateDoc.mock.calls[0][1];
+      expect(updateCall.assignee).toBe('friend@example.com');
+      expect(updateCall.dueDate).toBe('2026-03-15');
+    });
+
+    it('should allow clearing the assignee and due date', async () => {
+      localThis.deps.getDoc.mockResolvedValue({
+        exists: () => true,
+        data: () => ({ ownerId: 'user-123', assignee: 'friend@example.com', dueDate: '2026-03-15' })
+      });
+      localThis.deps.updateDoc.mockResolvedValue();
+
+      await updateNote('note-123', { assignee: null, dueDate: null }, 'user-123', localThis.deps);
+
+      const updateCall = localThis.deps.updateDoc.mock.calls[0][1];
+      expect(updateCall.assignee).toBeNull();
+      expect(updateCall.dueDate).toBeNull();
+    });
+
+    it('should reject assignees who are not collaborators', async () => {
+      localThis.deps.getDoc.mockResolvedValue({
+        exists: () => true,
+        data: () => ({ ownerId: 'user-123', ownerEmail: 'owner@example.com', sharedWith: [] })
+      });
+
+      await expect(updateNote('note-123', { assignee: 'stranger@example.com' }, 'user-123', localThis.deps))
+        .rejects.toThrow('Assignee must be the owner or a collaborator');
+      expect(localThis.deps.updateDoc).not.toHaveBeenCalled();
+    });
+
+    it('should reject invalid due dates', async () => {
+      localThis.deps.getDoc.mockResolvedValue({
+        exists: () => true,
+        data: () => ({ ownerId: 'user-123' })
+      });
+
+      await expect(updateNote('note-123', { dueDate: 'tomorrow' }, 'user-123', localThis.deps))
+        .rejects.toThrow('Invalid due date');
+    });
+
+    it('should normalize tags on update', async () => {
+      localThis.deps.getDoc.mockResolvedValue({
+        exists: () => true,
+        data: () => ({ ownerId: 'user-123', tags: ['a11y'] })
+      });
+      localThis.deps.updateDoc.mockResolvedValue();
+
+      await updateNote('note-123', { tags: ['a11y', '#Regression', '!!'] }, 'user-123', localThis.deps);
+
+      expect(localThis.deps.updateDoc.mock.calls[0][1].tags).toEqual(['a11y', 'regression']);
+    });
+
+    it('should allow updating attachments', async () => {
+      localThis.deps.getDoc.mockResolvedValue({
+        exists: () => true,
+        data: () => ({ ownerId: 'user-123', attachments: [] })
+      });
+      localThis.deps.updateDoc.mockResolvedValue();
+      const attachment = { id: 'attachment-1', name: 'notes.txt', type: 'text/plain', size: 12, storage: 'local' };
+
+      await updateNote('note-123', { attachments: [attachment, 'junk'] }, 'user-123', localThis.deps);
+
+      expect(localThis.deps.updateDoc.mock.calls[0][1].attachments).toEqual([attachment]);
+    });
+
+    it('should allow updating drawings', async () => {
+      localThis.deps.getDoc.mockResolvedValue({
+        exists: () => true,
+        data: () => ({ ownerId: 'user-123', drawings: [] })
+      });
+      localThis.deps.updateDoc.mockResolvedValue();
+      const shape = { id: 'shape-1', tool: 'highlight', color: 'yellow', points: [0, 0, 80, 16] };
+
+      await updateNote('note-123', { drawings: [shape, { ...shape, id: 'bad', points: [0] }] }, 'user-123', localThis.deps);
+
+      expect(localThis.deps.updateDoc.mock.calls[0][1].drawings).toEqual([shape]);
+    });
+
     it('should allow updating isHidden field', async () => {
       localThis.deps.getDoc.mockResolvedValue({
         exists: () => true,
@@ -341,7 +763,7 @@ describe('Firebase Notes', () => {
       localThis.deps.deleteDoc.mockResolvedValue();
       
       await expect(deleteNote('note-123', 'user-123', localThis.deps))
-        .resolves.toBeUndefined();
+        .resolves.toEqual({ ownerId: 'user-123' });
       
       expect(localThis.deps.deleteDoc).toHaveBeenCalled();
     });
@@ -523,6 +945,30 @@ describe('Firebase Notes', () => {
       expect(updateCall.sharedWith).toEqual(['other@example.com']);
     });
 
+    it('should clear the assignee when unsharing them', async () => {
+      localThis.deps.getDoc.mockResolvedValue({
+        exists: () => true,
+        data: () => ({ ownerId: 'user-123', sharedWith: ['friend@example.com'], assignee: 'friend@example.com' })
+      });
+      localThis.deps.updateDoc.mockResolvedValue();
+      
+      await unshareNote('note-123', 'friend@example.com', 'user-123', localThis.deps);
+      
+      expect(localThis.deps.updateDoc.mock.calls[0][1].assignee).toBeNull();
+    });
+
+    it('should keep the assignee when unsharing someone else', async () => {
+      localThis.deps.getDoc.mockResolvedValue({
+        exists: () => true,
+        data: () => ({ ownerId: 'user-123', sharedWith: ['friend@example.com', 'other@example.com'], assignee: 'other@example.com' })
+      });
+      localThis.deps.updateDoc.mockResolvedValue();
+      
+      await unshareNote('note-123', 'friend@example.com', 'user-123', localThis.deps);
+      
+      expect(localThis.deps.updateDoc.mock.calls[0][1]).not.toHaveProperty('assignee');
+    });
+
     it('should throw error when Firebase is not configured', async () => {
       localThis.deps.isFirebaseConfigured = jest.fn(() => false);
       
@@ -579,6 +1025,76 @@ describe('Firebase Notes', () => {
     });
   });
 
+  describe('toggleNoteReaction', () => {
+    beforeEach(() => {
+      localThis.user = { uid: 'user-1', email: 'User@Example.com' };
+    });
+
+    it('should add a reaction by writing only the user\'s entry', async () => {
+      localThis.deps.getDoc.mockResolvedValue({
+        exists: () => true,
+        data: () => ({ ownerId: 'owner', sharedWith: ['user@example.com'], reactions: { other: ['eyes'] } })
+      });
+      
+      const reactions = await toggleNoteReaction('note-123', 'thumbsUp', localThis.user, localThis.deps);
+      
+      expect(localThis.deps.updateDoc).toHaveBeenCalledWith(localThis.mockDocRef, { 'reactions.user-1': ['thumbsUp'] });
+      expect(reactions).toEqual({ other: ['eyes'], 'user-1': ['thumbsUp'] });
+    });
+
+    it('should remove a reaction the user already left', async () => {
+      localThis.deps.getDoc.mockResolvedValue({
+        exists: () => true,
+        data: () => ({ ownerId: 'user-1', reactions: { 'user-1': ['thumbsUp', 'check'] } })
+      });
+      
+      await toggleNoteReaction('note-123', 'thumbsUp', localThis.user, localThis.deps);
+      
+      expect(localThis.deps.updateDoc.mock.calls[0][1]).toEqual({ 'reactions.user-1': ['check'] });
+    });
+
+    it('should not bump updatedAt', async () => {
+      localThis.deps.getDoc.mockResolvedValue({
+        exists: () => true,
+        data: () => ({ ownerId: 'user-1' })
+      });
+      
+      const reactions = await toggleNoteReaction('note-123', 'heart', localThis.user, localThis.deps);
+      
+      expect(localThis.deps.updateDoc.mock.calls[0][1].updatedAt).toBeUndefined();
+      expect(reactions).toEqual({ 'user-1': ['heart'] });
+    });
+
+    it('should reject unknown reactions', async () => {
+      await expect(toggleNoteReaction('note-123', 'rocket', localThis.user, localThis.deps))
+        .rejects.toThrow('Invalid reaction');
+      expect(localThis.deps.getDoc).not.toHaveBeenCalled();
+    });
+
+    it('should reject users without access to the note', async () => {
+      localThis.deps.getDoc.mockResolvedValue({
+        exists: () => true,
+        data: () => ({ ownerId: 'owner', sharedWith: ['someone@example.com'] })
+      });
+      
+      await expect(toggleNoteReaction('note-123', 'eyes', localThis.user, localThis.deps))
+        .rejects.toThrow('Permission denied');
+      expect(localThis.deps.updateDoc).not.toHaveBeenCalled();
+    });
+
+    it('should require a signed-in user', async () => {
+      await expect(toggleNoteReaction('note-123', 'eyes', null, localThis.deps))
+        .rejects.toThrow('User authentication required');
+    });
+
+    it('should throw when the note does not exist', async () => {
+      localThis.deps.getDoc.mockResolvedValue({ exists: () => false });
+      
+      await expect(toggleNoteReaction('note-123', 'eyes', localThis.user, localThis.deps))
+        .rejects.toThrow('Note not found');
+    });
+  });
+
   describe('leaveSharedNote', () => {
     it('should leave shared note successfully', async () => {
       localThis.deps.getDoc.mockResolvedValue({
@@ -608,6 +1124,18 @@ describe('Firebase Notes', () => {
       expect(updateCall.sharedWith).toEqual([]);
     });
 
+    it('should clear the assignment when the assignee leaves', async () => {
+      localThis.deps.getDoc.mockResolvedValue({
+        exists: () => true,
+        data: () => ({ ownerId: 'other-user', sharedWith: ['user@example.com'], assignee: 'user@example.com' })
+      });
+      localThis.deps.updateDoc.mockResolvedValue();
+      
+      await leaveSharedNote('note-123', 'user@example.com', localThis.deps);
+      
+      expect(localThis.deps.updateDoc.mock.calls[0][1].assignee).toBeNull();
+    });
+
     it('should throw error when Firebase is not configured', async () => {
       localThis.deps.isFirebaseConfigured = jest.fn(() => false);
       
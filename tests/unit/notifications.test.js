@@ -0,0 +1,108 @@
+/**
+ * Firebase Notifications Unit Tests
+ *
+ * Tests the @mention notification service with mocked dependencies.
+ */
+
+import { jest, describe, it, expect, beforeEach } from '@jest/globals';
+
+// Mock Firebase modules before import
+jest.unstable_mockModule('firebase/firestore', () => ({
+  collection: jest.fn(),
+  doc: jest.fn(),
+  getDocs: jest.fn(),
+  updateDoc: jest.fn(),
+  query: jest.fn(),
+  where: jest.fn(),
+  orderBy: jest.fn(),
+  limit: jest.fn(),
+  getFirestore: jest.fn(() => ({ name: 'mock-db' })),
+  initializeFirestore: jest.fn(() => ({ name: 'mock-db' })),
+  persistentLocalCache: jest.fn(),
+  persistentSingleTabManager: jest.fn(),
+  memoryLocalCache: jest.fn()
+}));
+
+jest.unstable_mockModule('firebase/app', () => ({
+  initializeApp: jest.fn()
+}));
+
+jest.unstable_mockModule('firebase/auth', () => ({
+  getAuth: jest.fn(),
+  initializeAuth: jest.fn(() => ({ name: 'mock-auth' })),
+  browserLocalPersistence: { type: 'LOCAL' },
+  indexedDBLocalPersistence: { type: 'LOCAL' }
+}));
+
+// Import after mocking
+const {
+  getMentionNotifications,
+  markNotificationRead,
+  MAX_NOTIFICATIONS
+} = await import('../../src/firebase/notifications.js');
+
+describe('Firebase Notifications', () => {
+  const localThis = {};
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    localThis.user = { uid: 'user-1', email: 'Bo@Example.com' };
+    localThis.docs = [
+      {
+        id: 'notification-1',
+        data: () => ({ type: 'mention', noteId: 'note-1', read: false, createdAt: { toDate: () => new Date('2026-03-01T10:00:00.000Z') } })
+      },
+      { id: 'notification-2', data: () => ({ type: 'other', noteId: 'note-2', read: false }) }
+    ];
+    localThis.deps = {
+      db: { name: 'mock-db' },
+      isFirebaseConfigured: jest.fn(() => true),
+      collection: jest.fn(() => ({ id: 'notifications' })),
+      doc: jest.fn((_db, ...path) => ({ path: path.join('/') })),
+      getDocs: jest.fn(async () => ({ forEach: (callback) => localThis.docs.forEach(callback) })),
+      updateDoc: jest.fn(),
+      query: jest.fn(() => ({ id: 'query' })),
+      where: jest.fn((...args) => ({ where: args })),
+      orderBy: jest.fn((...args) => ({ orderBy: args })),
+      limit: jest.fn((count) => ({ limit: count }))
+    };
+  });
+
+  describe('getMentionNotifications', () => {
+    it('should query the newest notifications for the lowercased email', async () => {
+      const notifications = await getMentionNotifications(localThis.user, localThis.deps);
+
+      expect(localThis.deps.collection).toHaveBeenCalledWith(localThis.deps.db, 'notifications');
+      expect(localThis.deps.where).toHaveBeenCalledWith('recipientEmail', '==', 'bo@example.com');
+      expect(localThis.deps.orderBy).toHaveBeenCalledWith('createdAt', 'desc');
+      expect(localThis.deps.limit).toHaveBeenCalledWith(MAX_NOTIFICATIONS);
+      expect(notifications).toEqual([
+        { id: 'notification-1', type: 'mention', noteId: 'note-1', read: false, createdAt: '2026-03-01T10:00:00.000Z' }
+      ]);
+    });
+
+    it('should require a signed-in user with an email', async () => {
+      await expect(getMentionNotifications({ uid: 'user-1' }, localThis.deps)).rejects.toThrow('User authentication required');
+    });
+
+    it('should throw when Firebase is not configured', async () => {
+      localThis.deps.isFirebaseConfigured = jest.fn(() => false);
+
+      await expect(getMentionNotifications(localThis.user, localThis.deps)).rejects.toThrow('Firebase is not configured');
+    });
+  });
+
+  describe('markNotificationRead', () => {
+    it('should only set the read flag', async () => {
+      await markNotificationRead('notification-1', localThis.user, localThis.deps);
+
+      expect(localThis.deps.updateDoc).toHaveBeenCalledWith({ path: 'notifications/notification-1' }, { read: true });
+    });
+
+    it('should reject an invalid notification ID', async () => {
+      await expect(markNotificationRead('', localThis.user, localThis.deps)).rejects.toThrow('Invalid notification ID');
+      expect(localThis.deps.updateDoc).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,160 @@
+/**
+ * onCommentMentioned Firestore Trigger Unit Tests
+ * 
+ * Tests the mention detection and in-app notification helpers the trigger uses.
+ */
+
+import { jest, describe, it, expect, beforeEach } from '@jest/globals';
+
+// Mock firebase-admin before import
+jest.unstable_mockModule('firebase-admin/firestore', () => ({
+  getFirestore: jest.fn(),
+  FieldValue: {
+    serverTimestamp: jest.fn(() => ({ _type: 'serverTimestamp' }))
+  }
+}));
+
+// Import after mocking
+const {
+  getNewMentionEmails,
+  writeMentionNotification,
+  notifyMentionedCollaborators,
+  NOTIFICATIONS_COLLECTION,
+  MAX_PREVIEW_LENGTH
+} = await import('../../functions/lib/notifications.js');
+
+describe('onCommentMentioned Trigger Logic', () => {
+  const localThis = {};
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    
+    localThis.createComment = (mentions = [], overrides = {}) => ({
+      content: 'Hello',
+      authorName: 'Ana',
+      authorEmail: 'ana@example.com',
+      mentions,
+      ...overrides
+    });
+  });
+
+  describe('getNewMentionEmails', () => {
+    it('should notify everyone mentioned in a new comment', () => {
+      const after = localThis.createComment([{ email: 'bo@example.com', name: 'Bo' }, { email: 'cy@example.com', name: 'Cy' }]);
+      
+      expect(getNewMentionEmails(undefined, after)).toEqual(['bo@example.com', 'cy@example.com']);
+    });
+
+    it('should only notify people added by an edit', () => {
+      const before = localThis.createComment([{ email: 'bo@example.com', name: 'Bo' }]);
+      const after = localThis.createComment([{ email: 'BO@example.com', name: 'Bo' }, { email: 'cy@example.com', name: 'Cy' }]);
+      
+      expect(getNewMentionEmails(before, after)).toEqual(['cy@example.com']);
+    });
+
+    it('should never notify the author', () => {
+      const after = localThis.createComment([{ email: 'Ana@example.com', name: 'Ana' }]);
+      
+      expect(getNewMentionEmails(undefined, after)).toEqual([]);
+    });
+
+    it('should ignore deleted comments and comments without mentions', () => {
+      expect(getNewMentionEmails(localThis.createComment([{ email: 'bo@example.com', name: 'Bo' }]), undefined)).toEqual([]);
+      expect(getNewMentionEmails(undefined, localThis.createComment(undefined))).toEqual([]);
+    });
+  });
+
+  describe('writeMentionNotification', () => {
+    beforeEach(() => {
+      localThis.mockCollection = { add: jest.fn().mockResolvedValue({ id: 'notification-1' }) };
+      localThis.deps = {
+        db: { collection: jest.fn().mockReturnValue(localThis.mockCollection) },
+        serverTimestamp: jest.fn(() => ({ _type: 'serverTimestamp' }))
+      };
+    });
+
+    it('should write an unread notification for the recipient', async () => {
+      const id = await writeMentionNotification(
+        'Bo@example.com',
+        localThis.createComment([], { content: '  @Bo can you check?  ' }),
+        { url: 'https://example.com/page' },
+        { noteId: 'note-1', commentId: 'comment-1' },
+        localThis.deps
+      );
+      
+      expect(id).toBe('notification-1');
+      expect(localThis.deps.db.collection).toHaveBeenCalledWith(NOTIFICATIONS_COLLECTION);
+      expect(localThis.mockCollection.add).toHaveBeenCalledWith({
+        recipientEmail: 'bo@example.com',
+        type: 'mention',
+        noteId: 'note-1',
+        commentId: 'comment-1',
+        authorName: 'Ana',
+        authorEmail: 'ana@example.com',
+        url: 'https://example.com/page',
+        preview: '@Bo can you check?',
+        read: false,
+        createdAt: { _type: 'serverTimestamp' }
+      });
+    });
+
+    it('should shorten long comments in the preview', async () => {
+      await writeMentionNotification(
+        'bo@example.com', localThis.createComment([], { content: 'a'.repeat(MAX_PREVIEW_LENGTH + 50) }), {}, {}, localThis.deps
+      );
+      
+      const { preview } = localThis.mockCollection.add.mock.calls[0][0];
+      expect(preview).toHaveLength(MAX_PREVIEW_LENGTH + 3);
+      expect(preview.endsWith('...')).toBe(true);
+    });
+
+    it('should preview the text of rich text comments', async () => {
+      await writeMentionNotification(
+        'bo@example.com',
+        localThis.createComment([], { content: '<div>@Bo&nbsp;see</div><pre><code>a &lt; b</code></pre>', format: 'html' }),
+        {}, {}, localThis.deps
+      );
+      
+      expect(localThis.mockCollection.add.mock.calls[0][0].preview).toBe('@Bo see\na < b');
+    });
+
+    it('should throw error for missing recipient email', async () => {
+      await expect(writeMentionNotification('', localThis.createComment(), {}, {}, localThis.deps))
+        .rejects.toThrow('Recipient email is required');
+    });
+  });
+
+  describe('notifyMentionedCollaborators', () => {
+    beforeEach(() => {
+      localThis.collections = {
+        notifications: { add: jest.fn().mockResolvedValue({ id: 'notification-1' }) },
+        mail: { add: jest.fn().mockResolvedValue({ id: 'mail-1' }) }
+      };
+      localThis.deps = {
+        db: { collection: jest.fn(name => localThis.collections[name]) },
+        serverTimestamp: jest.fn(() => ({ _type: 'serverTimestamp' }))
+      };
+      localThis.note = { url: 'https://example.com/page', ownerEmail: 'Owner@example.com', sharedWith: ['bo@example.com'] };
+    });
+
+    it('should notify the owner and collaborators in the popup and by email', async () => {
+      const notified = await notifyMentionedCollaborators(
+        ['owner@example.com', 'bo@example.com'], localThis.createComment(), localThis.note, { noteId: 'note-1', commentId: 'comment-1' }, localThis.deps
+      );
+      
+      expect(notified).toEqual(['owner@example.com', 'bo@example.com']);
+      expect(localThis.collections.notifications.add).toHaveBeenCalledTimes(2);
+      expect(localThis.collections.mail.add).toHaveBeenCalledTimes(2);
+    });
+
+    it('should not notify or email people without access to the note', async () => {
+      const notified = await notifyMentionedCollaborators(
+        ['anyone@example.com'], localThis.createComment(), localThis.note, { noteId: 'note-1', commentId: 'comment-1' }, localThis.deps
+      );
+      
+      expect(notified).toEqual([]);
+      expect(localThis.collections.notifications.add).not.toHaveBeenCalled();
+      expect(localThis.collections.mail.add).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -14,7 +14,17 @@ import {
   selectPosition,
   showStatus,
   initDOMElements,
-  displayVersion
+  displayVersion,
+  loadSelectorRules,
+  readSelectorRules,
+  handleAddSelectorRule,
+  handleSaveSelectorRules,
+  updateSelectorPreview,
+  loadNoteTemplates,
+  readNoteTemplates,
+  handleAddNoteTemplate,
+  handleRestoreNoteTemplates,
+  handleSaveNoteTemplates
 } from '../../src/options/options.js';
 
 import { DEFAULT_PREFERENCES } from '../../src/shared/preferences.js';
@@ -98,6 +108,13 @@ describe('Options Page Script', () => {
         </select>
         
         <input type="checkbox" id="notesVisibleByDefault" checked>
+        <input type="checkbox" id="screenshotOnCreate">
+        
+        <select id="resolvedNotesDisplay">
+          <option value="show">Show</option>
+          <option value="collapse" selected>Collapse</option>
+          <option value="hide">Hide</option>
+        </select>
         
         <button type="button" id="resetBtn">Reset</button>
         <button type="submit" id="saveBtn">Save</button>
@@ -325,7 +342,9 @@ describe('Options Page Script', () => {
             defaultPosition: 'bottom-left',
             noteWidth: 320,
             fontSize: 'large',
-            notesVisibleByDefault: false
+            notesVisibleByDefault: false,
+            resolvedNotesDisplay: 'hide',
+            screenshotOnCreate: true
           }
         };
         if (callback) callback(result);
@@ -344,6 +363,8 @@ describe('Options Page Script', () => {
       expect(document.getElementById('noteWidth').value).toBe('320');
       expect(document.getElementById('fontSize').value).toBe('large');
       expect(document.getElementById('notesVisibleByDefault').checked).toBe(false);
+      expect(document.getElementById('screenshotOnCreate').checked).toBe(true);
+      expect(document.getElementById('resolvedNotesDisplay').value).toBe('hide');
     });
     
     it('should handle load error gracefully', async () => {
@@ -400,6 +421,8 @@ describe('Options Page Script', () => {
       document.getElementById('noteWidth').value = '360';
       document.getElementById('fontSize').value = 'small';
       document.getElementById('notesVisibleByDefault').checked = false;
+      document.getElementById('screenshotOnCreate').checked = true;
+      document.getElementById('resolvedNotesDisplay').value = 'show';
       
       await handleSave(mockEvent);
       
@@ -413,6 +436,8 @@ describe('Options Page Script', () => {
       expect(savedCall.preferences.noteWidth).toBe(360);
       expect(savedCall.preferences.fontSize).toBe('small');
       expect(savedCall.preferences.notesVisibleByDefault).toBe(false);
+      expect(savedCall.preferences.screenshotOnCreate).toBe(true);
+      expect(savedCall.preferences.resolvedNotesDisplay).toBe('show');
     });
     
     it('should show success message after saving', async () => {
@@ -650,6 +675,243 @@ describe('Options Page Script', () => {
     });
   });
 
+  describe('Selector rules', () => {
+    const storedRules = [
+      { domain: 'example.com', preferredAttributes: ['data-qa'], ignoreIdPatterns: ['^mui-\\d+'], ignoreClassPatterns: ['^css-'] }
+    ];
+    
+    beforeEach(() => {
+      document.body.insertAdjacentHTML('beforeend', `
+        <section id="selectorRulesSection">
+          <div id="selectorRulesList"></div>
+          <p id="selectorRulesEmpty"></p>
+          <button type="button" id="addSelectorRuleBtn">Add Rule</button>
+          <button type="button" id="saveSelectorRulesBtn">Save Rules</button>
+          <input type="text" id="selectorPreviewHost">
+          <textarea id="selectorPreviewHtml"></textarea>
+          <p id="selectorPreviewRule"></p>
+          <code id="selectorPreviewOutput"></code>
+        </section>
+      `);
+      initDOMElements();
+      
+      chrome.storage.sync.get.mockImplementation((keys) => {
+        const result = keys.includes('selectorRules') ? { selectorRules: storedRules } : {};
+        return Promise.resolve(result);
+      });
+    });
+    
+    it('should render stored rules and fill the preview', async () => {
+      await loadSelectorRules();
+      
+      const rows = document.querySelectorAll('.selector-rule');
+      expect(rows).toHaveLength(1);
+      expect(rows[0].querySelector('.selector-rule-domain').value).toBe('example.com');
+      expect(rows[0].querySelector('.selector-rule-attributes').value).toBe('data-qa');
+      expect(rows[0].querySelector('.selector-rule-id-patterns').value).toBe('^mui-\\d+');
+      expect(document.getElementById('selectorRulesEmpty').classList.contains('hidden')).toBe(true);
+      
+      expect(document.getElementById('selectorPreviewHost').value).toBe('example.com');
+      expect(document.getElementById('selectorPreviewOutput').textContent).toBe('button[data-qa="save-button"]');
+    });
+    
+    it('should show the empty message without rules', async () => {
+      chrome.storage.sync.get.mockResolvedValue({});
+      
+      await loadSelectorRules();
+      
+      expect(document.querySelectorAll('.selector-rule')).toHaveLength(0);
+      expect(document.getElementById('selectorRulesEmpty').classList.contains('hidden')).toBe(false);
+    });
+    
+    it('should use the built-in strategy when no rule matches the preview domain', async () => {
+      await loadSelectorRules();
+      
+      document.getElementById('selectorPreviewHost').value = 'other.org';
+      updateSelectorPreview();
+      
+      expect(document.getElementById('selectorPreviewRule').textContent).toBe('selectorPreviewNoRule');
+      expect(document.getElementById('selectorPreviewOutput').textContent).toBe('#mui-123');
+    });
+    
+    it('should preview unsaved edits', async () => {
+      await loadSelectorRules();
+      
+      const row = document.querySelector('.selector-rule');
+      row.querySelector('.selector-rule-attributes').value = 'data-hook';
+      document.getElementById('selectorPreviewHtml').value = '<a id="mui-7" data-hook="home">Home</a>';
+      updateSelectorPreview();
+      
+      expect(document.getElementById('selectorPreviewOutput').textContent).toBe('a[data-hook="home"]');
+    });
+    
+    it('should report an empty preview sample', async () => {
+      await loadSelectorRules();
+      
+      document.getElementById('selectorPreviewHtml').value = 'just text';
+      updateSelectorPreview();
+      
+      expect(document.getElementById('selectorPreviewOutput').textContent).toBe('selectorPreviewEmpty');
+    });
+    
+    it('should add an empty rule row and skip it when reading', async () => {
+      chrome.storage.sync.get.mockResolvedValue({});
+      await loadSelectorRules();
+      
+      handleAddSelectorRule();
+      
+      expect(document.querySelectorAll('.selector-rule')).toHaveLength(1);
+      expect(readSelectorRules()).toEqual([]);
+    });
+    
+    it('should save edited rules', async () => {
+      chrome.storage.sync.get.mockResolvedValue({});
+      await loadSelectorRules();
+      handleAddSelectorRule();
+      
+      const row = document.querySelector('.selector-rule');
+      row.querySelector('.selector-rule-domain').value = 'https://App.Example.com/';
+      row.querySelector('.selector-rule-attributes').value = 'data-qa, data-hook';
+      row.querySelector('.selector-rule-class-patterns').value = '^css-\n^jss\\d+';
+      
+      await handleSaveSelectorRules();
+      
+      expect(chrome.storage.sync.set).toHaveBeenCalledWith({
+        selectorRules: [{
+          domain: 'app.example.com',
+          preferredAttributes: ['data-qa', 'data-hook'],
+          ignoreIdPatterns: [],
+          ignoreClassPatterns: ['^css-', '^jss\\d+']
+        }]
+      });
+      expect(document.querySelector('.selector-rule-domain').value).toBe('app.example.com');
+      expect(document.getElementById('statusMessage').className).toContain('success');
+    });
+    
+    it('should not save invalid rules', async () => {
+      chrome.storage.sync.get.mockResolvedValue({});
+      await loadSelectorRules();
+      handleAddSelectorRule();
+      
+      const row = document.querySelector('.selector-rule');
+      row.querySelector('.selector-rule-domain').value = 'example.com';
+      row.querySelector('.selector-rule-id-patterns').value = '(unclosed';
+      
+      await handleSaveSelectorRules();
+      
+      expect(chrome.storage.sync.set).not.toHaveBeenCalled();
+      expect(row.classList.contains('invalid')).toBe(true);
+      expect(document.getElementById('statusMessage').className).toContain('error');
+    });
+    
+    it('should remove a rule row from its remove button', async () => {
+      await init();
+      
+      document.querySelector('.selector-rule-remove').click();
+      
+      expect(document.querySelectorAll('.selector-rule')).toHaveLength(0);
+      expect(document.getElementById('selectorPreviewOutput').textContent).toBe('#mui-123');
+    });
+  });
+
+  describe('Note templates', () => {
+    const storedTemplates = [
+      { id: 'bug', name: 'Bug', body: 'Steps:\nURL: {{url}}' }
+    ];
+    
+    beforeEach(() => {
+      document.body.insertAdjacentHTML('beforeend', `
+        <section id="noteTemplatesSection">
+          <p id="noteTemplatePlaceholders"></p>
+          <div id="noteTemplatesList"></div>
+          <p id="noteTemplatesEmpty"></p>
+          <button type="button" id="restoreNoteTemplatesBtn">Restore Defaults</button>
+          <button type="button" id="addNoteTemplateBtn">Add Template</button>
+          <button type="button" id="saveNoteTemplatesBtn">Save Templates</button>
+        </section>
+      `);
+      initDOMElements();
+      
+      chrome.storage.sync.get.mockImplementation((keys) => {
+        const result = keys.includes('noteTemplates') ? { noteTemplates: storedTemplates } : {};
+        return Promise.resolve(result);
+      });
+    });
+    
+    it('should render stored templates and list the placeholders', async () => {
+      await loadNoteTemplates();
+      
+      const rows = document.querySelectorAll('.note-template');
+      expect(rows).toHaveLength(1);
+      expect(rows[0].dataset.templateId).toBe('bug');
+      expect(rows[0].querySelector('.note-template-name').value).toBe('Bug');
+      expect(rows[0].querySelector('.note-template-body').value).toBe('Steps:\nURL: {{url}}');
+      expect(document.getElementById('noteTemplatesEmpty').classList.contains('hidden')).toBe(true);
+      expect(chrome.i18n.getMessage).toHaveBeenCalledWith('noteTemplatePlaceholders', [expect.stringContaining('{{environment}}')]);
+    });
+    
+    it('should show the built-in templates when none were saved', async () => {
+      chrome.storage.sync.get.mockResolvedValue({});
+      
+      await loadNoteTemplates();
+      
+      expect(document.querySelectorAll('.note-template')).toHaveLength(3);
+    });
+    
+    it('should add an empty template row and skip it when reading', async () => {
+      chrome.storage.sync.get.mockResolvedValue({ noteTemplates: [] });
+      await loadNoteTemplates();
+      
+      expect(document.getElementById('noteTemplatesEmpty').classList.contains('hidden')).toBe(false);
+      handleAddNoteTemplate();
+      
+      expect(document.querySelectorAll('.note-template')).toHaveLength(1);
+      expect(readNoteTemplates()).toEqual([]);
+    });
+    
+    it('should save edited templates, keeping their IDs', async () => {
+      await loadNoteTemplates();
+      document.querySelector('.note-template-name').value = 'Bug report ';
+      
+      await handleSaveNoteTemplates();
+      
+      expect(chrome.storage.sync.set).toHaveBeenCalledWith({
+        noteTemplates: [{ id: 'bug', name: 'Bug report', body: 'Steps:\nURL: {{url}}' }]
+      });
+      expect(document.getElementById('statusMessage').className).toContain('success');
+    });
+    
+    it('should not save invalid templates', async () => {
+      await loadNoteTemplates();
+      const row = document.querySelector('.note-template');
+      row.querySelector('.note-template-body').value = ' ';
+      
+      await handleSaveNoteTemplates();
+      
+      expect(chrome.storage.sync.set).not.toHaveBeenCalled();
+      expect(row.classList.contains('invalid')).toBe(true);
+      expect(document.getElementById('statusMessage').className).toContain('error');
+    });
+    
+    it('should put the built-in templates back without saving', async () => {
+      await loadNoteTemplates();
+      
+      handleRestoreNoteTemplates();
+      
+      expect(Array.from(document.querySelectorAll('.note-template')).map(row => row.dataset.templateId))
+        .toEqual(['bug-report', 'design-feedback', 'question']);
+      expect(chrome.storage.sync.set).not.toHaveBeenCalled();
+    });
+    
+    it('should remove a template row from its remove button', async () => {
+      await init();
+      
+      document.querySelector('.note-template-remove').click();
+      
+      expect(document.querySelectorAll('.note-template')).toHaveLength(0);
+    });
+  });
+
   describe('Permission functions', () => {
     beforeEach(() => {
       // Reset permission mocks
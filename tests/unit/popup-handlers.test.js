@@ -466,6 +466,12 @@ describe('Popup Handlers', () => {
       // Check for either the i18n key or the translated message
       expect(html).toMatch(/No notes on this page yet|noNotesYet/);
     });
+    
+    it('should render a custom message', () => {
+      const html = localThis.handlers.renderEmptyNotes('Nothing here');
+      
+      expect(html).toContain('<p>Nothing here</p>');
+    });
   });
 
   describe('injectContentScript', () => {
@@ -818,6 +824,14 @@ describe('Popup Handlers', () => {
       expect(html).toContain('note-item-details');
     });
 
+    it('should show the note status, defaulting to open', () => {
+      const html = localThis.handlers.renderNoteItemExpanded({ id: 'note-1', content: 'Test', selector: '#main' });
+      const resolvedHtml = localThis.handlers.renderNoteItemExpanded({ id: 'note-2', content: 'Test', selector: '#main', status: 'resolved' });
+      
+      expect(html).toContain('note-item-status-open');
+      expect(resolvedHtml).toContain('note-item-status-resolved');
+    });
+
     it('should show shared badge for shared notes', () => {
       const note = { 
         id: 'note-1', 
@@ -1355,6 +1369,111 @@ describe('Popup Handlers', () => {
       // Should not crash and should render the note
       expect(html).toContain('data-id="note-123"');
     });
+
+    it('should show the due date and flag overdue notes', () => {
+      const note = {
+        id: 'note-123',
+        content: 'Test',
+        url: 'https://example.com',
+        dueDate: '2000-01-01'
+      };
+      
+      const html = localThis.handlers.renderSharedNoteItem(note);
+      
+      expect(html).toContain('shared-note-due overdue');
+      expect(html).toContain('overdueSince');
+    });
+
+    it('should leave out the unread dot when asked', () => {
+      const note = { id: 'note-123', content: 'Test', url: 'https://example.com' };
+      
+      const html = localThis.handlers.renderSharedNoteItem(note, { showUnreadDot: false });
+      
+      expect(html).not.toContain('shared-note-unread-dot');
+      expect(html).not.toContain('shared-note-due');
+    });
+  });
+
+  describe('getAssignedNotes', () => {
+    it('should request notes assigned to the user', async () => {
+      const mockNotes = [{ id: 'note-1', assignee: 'test@example.com' }];
+      localThis.mockChromeRuntime.sendMessage.mockResolvedValue({ success: true, notes: mockNotes });
+      
+      const result = await localThis.handlers.getAssignedNotes();
+      
+      expect(result).toEqual({ success: true, notes: mockNotes });
+      expect(localThis.mockChromeRuntime.sendMessage).toHaveBeenCalledWith({
+        action: 'getAssignedNotes'
+      });
+    });
+
+    it('should return empty array on errors', async () => {
+      localThis.mockChromeRuntime.sendMessage.mockRejectedValue(new Error('Network error'));
+      
+      const result = await localThis.handlers.getAssignedNotes();
+      
+      expect(result.success).toBe(false);
+      expect(result.notes).toEqual([]);
+    });
+  });
+
+  describe('getMentions', () => {
+    it('should request mentions with the unread count', async () => {
+      const mentions = [{ id: 'notification-1', read: false }];
+      localThis.mockChromeRuntime.sendMessage.mockResolvedValue({ success: true, mentions, unreadCount: 1 });
+      
+      const result = await localThis.handlers.getMentions();
+      
+      expect(result).toEqual({ success: true, mentions, unreadCount: 1 });
+      expect(localThis.mockChromeRuntime.sendMessage).toHaveBeenCalledWith({ action: 'getMentions' });
+    });
+
+    it('should return no mentions on errors', async () => {
+      localThis.mockChromeRuntime.sendMessage.mockRejectedValue(new Error('Network error'));
+      
+      const result = await localThis.handlers.getMentions();
+      
+      expect(result.success).toBe(false);
+      expect(result.mentions).toEqual([]);
+      expect(result.unreadCount).toBe(0);
+    });
+  });
+
+  describe('renderMentionItem', () => {
+    it('should render an escaped mention with an unread dot', () => {
+      const html = localThis.handlers.renderMentionItem({
+        id: 'notification-1',
+        authorName: '<b>Ana</b>',
+        preview: '<img src=x> @Bo look',
+        url: 'https://example.com/page',
+        read: false,
+        createdAt: new Date().toISOString()
+      });
+      
+      expect(html).toContain('data-notification-id="notification-1"');
+      expect(html).toContain('shared-note-unread-dot');
+      expect(html).toContain('&lt;img src=x&gt; @Bo look');
+      expect(html).not.toContain('<b>Ana</b>');
+      expect(html).toContain('example.com/page');
+    });
+
+    it('should leave out the unread dot once read', () => {
+      const html = localThis.handlers.renderMentionItem({ id: 'notification-1', url: 'https://example.com', read: true });
+      
+      expect(html).not.toContain('shared-note-unread-dot');
+    });
+
+    it('should link to the mentioning comment', () => {
+      const html = localThis.handlers.renderMentionItem({
+        id: 'notification-1',
+        noteId: 'note-1',
+        commentId: 'comment-1',
+        url: 'https://example.com/page',
+        read: true
+      });
+      
+      expect(html).toContain('data-url="https://example.com/page#sn-comment=note-1:comment-1"');
+    });
   });
 
   describe('renderEmptySharedNotes', () => {
@@ -1366,6 +1485,29 @@ describe('Popup Handlers', () => {
     });
   });
 
+  describe('filterNotesByStatus', () => {
+    it('should keep only notes with the given status', () => {
+      const notes = [
+        { id: '1', status: 'resolved' },
+        { id: '2', status: 'in_progress' },
+        { id: '3' }
+      ];
+      
+      expect(localThis.handlers.filterNotesByStatus(notes, 'resolved').map(note => note.id)).toEqual(['1']);
+      expect(localThis.handlers.filterNotesByStatus(notes, 'open').map(note => note.id)).toEqual(['3']);
+    });
+    
+    it('should return all notes when no status is selected', () => {
+      const notes = [{ id: '1', status: 'resolved' }, { id: '2' }];
+      
+      expect(localThis.handlers.filterNotesByStatus(notes, '')).toBe(notes);
+    });
+    
+    it('should return empty array for invalid input', () => {
+      expect(localThis.handlers.filterNotesByStatus(null, 'open')).toEqual([]);
+    });
+  });
+
   describe('filterNotesByAge', () => {
     it('should filter notes older than specified days', () => {
       const now = new Date();
@@ -1696,6 +1838,30 @@ describe('Popup Handlers', () => {
       expect(result.success).toBe(true);
     });
 
+    it('should resolve note screenshots through the background', async () => {
+      const currentPageNotes = [
+        { id: '1', content: 'Note 1', theme: 'yellow', url: 'https://example.com', createdAt: new Date(), screenshot: { id: 'shot-1', storage: 'local' } },
+        { id: '2', content: 'Note 2', theme: 'blue', url: 'https://example.com', createdAt: new Date() }
+      ];
+      localThis.mockChromeRuntime.sendMessage.mockResolvedValue({ success: true, src: 'data:image/jpeg;base64,abc' });
+      
+      const result = await localThis.handlers.handleGenerateReport({
+        format: 'html',
+        scope: 'currentPage',
+        includeMetadata: false,
+        includeComments: false,
+        includeScreenshots: true
+      }, currentPageNotes);
+      
+      expect(result.success).toBe(true);
+      expect(localThis.mockChromeRuntime.sendMessage).toHaveBeenCalledTimes(1);
+      expect(localThis.mockChromeRuntime.sendMessage).toHaveBeenCalledWith({
+        action: 'getNoteScreenshot',
+        screenshot: { id: 'shot-1', storage: 'local' }
+      });
+      expect(currentPageNotes[0].screenshotSrc).toBe('data:image/jpeg;base64,abc');
+    });
+
     it('should return error when no notes are available', async () => {
       const options = {
         format: 'html',
@@ -1900,4 +2066,134 @@ describe('Popup Handlers', () => {
       expect(result.error).toBe('No active tab');
     });
   });
+
+  describe('startAnchorHealthCheck', () => {
+    it('should start the check when permission is already granted', async () => {
+      localThis.mockChromeRuntime.sendMessage.mockResolvedValue({ success: true, report: { pagesTotal: 2 } });
+      
+      const result = await localThis.handlers.startAnchorHealthCheck('https://example.com');
+      
+      expect(globalThis.chrome.permissions.contains).toHaveBeenCalledWith({ origins: ['https://example.com/*'] });
+      expect(globalThis.chrome.permissions.request).not.toHaveBeenCalled();
+      expect(localThis.mockChromeRuntime.sendMessage).toHaveBeenCalledWith({
+        action: 'startAnchorHealthCheck',
+        origin: 'https://example.com'
+      });
+      expect(result.success).toBe(true);
+    });
+    
+    it('should request permission for the site when missing', async () => {
+      globalThis.chrome.permissions.contains.mockResolvedValue(false);
+      localThis.mockChromeRuntime.sendMessage.mockResolvedValue({ success: true });
+      
+      await localThis.handlers.startAnchorHealthCheck('https://example.com');
+      
+      expect(globalThis.chrome.permissions.request).toHaveBeenCalledWith({ origins: ['https://example.com/*'] });
+    });
+    
+    it('should not start when permission is denied', async () => {
+      globalThis.chrome.permissions.contains.mockResolvedValue(false);
+      globalThis.chrome.permissions.request.mockResolvedValue(false);
+      
+      const result = await localThis.handlers.startAnchorHealthCheck('https://example.com');
+      
+      expect(result.needsPermission).toBe(true);
+      expect(localThis.mockChromeRuntime.sendMessage).not.toHaveBeenCalled();
+      expect(localThis.mockShowErrorToast).toHaveBeenCalledWith('anchorHealthPermissionDenied');
+    });
+    
+    it('should show an error when the background refuses to start', async () => {
+      localThis.mockChromeRuntime.sendMessage.mockResolvedValue({ success: false, error: 'Invalid origin' });
+      
+      await localThis.handlers.startAnchorHealthCheck('https://example.com');
+      
+      expect(localThis.mockShowErrorToast).toHaveBeenCalledWith('anchorHealthStartFailed');
+    });
+    
+    it('should not show an error when a check is already running', async () => {
+      localThis.mockChromeRuntime.sendMessage.mockResolvedValue({ success: false, error: 'alreadyRunning' });
+      
+      await localThis.handlers.startAnchorHealthCheck('https://example.com');
+      
+      expect(localThis.mockShowErrorToast).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('getAnchorHealthReport / cancelAnchorHealthCheck', () => {
+    it('should request the report from the background', async () => {
+      localThis.mockChromeRuntime.sendMessage.mockResolvedValue({ success: true, report: null, running: false });
+      
+      const result = await localThis.handlers.getAnchorHealthReport();
+      
+      expect(localThis.mockChromeRuntime.sendMessage).toHaveBeenCalledWith({ action: 'getAnchorHealthReport' });
+      expect(result.running).toBe(false);
+    });
+    
+    it('should return an empty result when the background is unreachable', async () => {
+      localThis.mockChromeRuntime.sendMessage.mockRejectedValue(new Error('Disconnected'));
+      
+      const result = await localThis.handlers.getAnchorHealthReport();
+      
+      expect(result).toMatchObject({ success: false, report: null, running: false });
+    });
+    
+    it('should send the cancel action', async () => {
+      localThis.mockChromeRuntime.sendMessage.mockResolvedValue({ success: true });
+      
+      await localThis.handlers.cancelAnchorHealthCheck();
+      
+      expect(localThis.mockChromeRuntime.sendMessage).toHaveBeenCalledWith({ action: 'cancelAnchorHealthCheck' });
+    });
+  });
+
+  describe('renderAnchorHealthItem', () => {
+    it('should render status, path, selector and suggestion', () => {
+      const html = localThis.handlers.renderAnchorHealthItem({
+        id: 'n1',
+        url: 'https://example.com/docs/page',
+        selector: '#old',
+        content: '<p>Check this</p>',
+        status: 'drifted',
+        reason: 'selectorMissing',
+        suggestedSelector: '#new',
+        score: 82
+      });
+      
+      expect(html).toContain('anchor-health-item-drifted');
+      expect(html).toContain('anchorHealthDrifted');
+      expect(html).toContain('/docs/page');
+      expect(html).toContain('Check this');
+      expect(html).toContain('#old');
+      expect(html).toContain('anchorHealthReasonSelectorMissing');
+      expect(html).toContain('#new');
+      expect(html).toContain('anchorHealthMatchScore');
+    });
+    
+    it('should escape note content and selectors', () => {
+      const html = localThis.handlers.renderAnchorHealthItem({
+        id: 'n1',
+        url: 'https://example.com/',
+        selector: 'div[title="<x>"]',
+        content: '&lt;img src=x onerror=alert(1)&gt;',
+        status: 'orphaned',
+        reason: 'noMatch'
+      });
+      
+      expect(html).not.toContain('<img');
+      expect(html).toContain('div[title=&quot;&lt;x&gt;&quot;]');
+    });
+    
+    it('should label unknown reasons as page errors', () => {
+      const html = localThis.handlers.renderAnchorHealthItem({
+        id: 'n1',
+        url: 'https://example.com/',
+        selector: '#a',
+        status: 'unchecked',
+        reason: 'No tab with id: 5'
+      });
+      
+      expect(html).toContain('anchorHealthReasonPageError');
+      expect(html).toContain('emptyNote');
+    });
+  });
 });
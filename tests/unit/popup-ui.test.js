@@ -20,7 +20,11 @@ import {
     openDeleteOldNotesModal,
     closeDeleteOldNotesModalFn,
     renderOldNotePreviewItem,
-    setupDeleteOldNotesModal
+    setupDeleteOldNotesModal,
+    openAnchorHealthModal,
+    closeAnchorHealthModalFn,
+    renderAnchorHealthReport,
+    handleStartAnchorHealthCheck
 } from '../../src/popup/popup.js';
 
 // Import createPopupHandlers to use for renderNotesList tests
@@ -612,4 +616,128 @@ describe('src/popup/popup.js', () => {
             });
         });
     });
+
+    describe('Anchor Health Modal', () => {
+        beforeEach(() => {
+            document.body.insertAdjacentHTML('beforeend', `
+                <div id="anchorHealthModal" class="modal hidden">
+                    <div class="modal-backdrop"></div>
+                    <div class="modal-content">
+                        <button id="closeAnchorHealthModal"></button>
+                        <p id="anchorHealthStatus"></p>
+                        <div id="anchorHealthSummary" class="hidden"></div>
+                        <div id="anchorHealthList"></div>
+                        <button id="cancelAnchorHealthCheck" class="hidden"></button>
+                        <button id="startAnchorHealthCheck"></button>
+                    </div>
+                </div>
+            `);
+            initDOMElements();
+
+            localThis.modal = document.getElementById('anchorHealthModal');
+            localThis.status = document.getElementById('anchorHealthStatus');
+            localThis.summary = document.getElementById('anchorHealthSummary');
+            localThis.list = document.getElementById('anchorHealthList');
+            localThis.startBtn = document.getElementById('startAnchorHealthCheck');
+            localThis.cancelBtn = document.getElementById('cancelAnchorHealthCheck');
+
+            chrome.tabs.query.mockResolvedValue([{ id: 1, url: 'https://example.com/page' }]);
+            chrome.runtime.sendMessage.mockResolvedValue({ success: true, report: null, running: false });
+
+            localThis.report = {
+                origin: 'https://example.com',
+                status: 'completed',
+                pagesTotal: 2,
+                pagesChecked: 2,
+                finishedAt: new Date().toISOString(),
+                summary: { healthy: 1, drifted: 1, orphaned: 0, unchecked: 0, skipped: 0 },
+                notes: [
+                    { id: 'n1', url: 'https://example.com/a', selector: '#a', status: 'healthy' },
+                    { id: 'n2', url: 'https://example.com/b', selector: '#b', status: 'drifted', reason: 'ambiguous', suggestedSelector: '#b2', score: 77 }
+                ]
+            };
+        });
+
+        afterEach(() => {
+            closeAnchorHealthModalFn();
+        });
+
+        it('should open with an introduction when there is no report', async () => {
+            await openAnchorHealthModal();
+
+            expect(localThis.modal.classList.contains('hidden')).toBe(false);
+            expect(chrome.runtime.sendMessage).toHaveBeenCalledWith({ action: 'getAnchorHealthReport' });
+            expect(localThis.status.textContent).toBe('anchorHealthIntro');
+            expect(localThis.summary.classList.contains('hidden')).toBe(true);
+            expect(localThis.startBtn.textContent).toBe('anchorHealthStart');
+        });
+
+        it('should not open on restricted pages', async () => {
+            chrome.tabs.query.mockResolvedValue([{ id: 1, url: 'chrome://extensions' }]);
+
+            await openAnchorHealthModal();
+
+            expect(localThis.modal.classList.contains('hidden')).toBe(true);
+        });
+
+        it('should list only notes that need attention', async () => {
+            await openAnchorHealthModal();
+
+            renderAnchorHealthReport(localThis.report, false);
+
+            expect(localThis.status.textContent).toBe('anchorHealthCompleted');
+            expect(localThis.summary.querySelectorAll('.anchor-health-badge')).toHaveLength(2);
+            expect(localThis.list.querySelectorAll('.anchor-health-item')).toHaveLength(1);
+            expect(localThis.list.textContent).toContain('#b2');
+            expect(localThis.startBtn.textContent).toBe('anchorHealthRerun');
+        });
+
+        it('should say so when every note is healthy', async () => {
+            await openAnchorHealthModal();
+
+            renderAnchorHealthReport({ ...localThis.report, notes: [localThis.report.notes[0]] }, false);
+
+            expect(localThis.list.textContent).toContain('anchorHealthAllHealthy');
+        });
+
+        it('should show progress and the stop button while running', async () => {
+            await openAnchorHealthModal();
+
+            renderAnchorHealthReport({ ...localThis.report, status: 'running', pagesChecked: 1 }, true);
+
+            expect(localThis.status.textContent).toBe('anchorHealthProgress');
+            expect(localThis.startBtn.classList.contains('hidden')).toBe(true);
+            expect(localThis.cancelBtn.classList.contains('hidden')).toBe(false);
+        });
+
+        it('should ignore a finished report for another site', async () => {
+            await openAnchorHealthModal();
+
+            renderAnchorHealthReport({ ...localThis.report, origin: 'https://other.com' }, false);
+
+            expect(localThis.status.textContent).toBe('anchorHealthIntro');
+            expect(localThis.list.innerHTML).toBe('');
+        });
+
+        it('should start a check for the current site', async () => {
+            await openAnchorHealthModal();
+            chrome.runtime.sendMessage.mockClear();
+
+            await handleStartAnchorHealthCheck();
+
+            expect(chrome.runtime.sendMessage).toHaveBeenCalledWith({
+                action: 'startAnchorHealthCheck',
+                origin: 'https://example.com'
+            });
+            expect(localThis.startBtn.disabled).toBe(false);
+        });
+
+        it('should hide the modal when closed', async () => {
+            await openAnchorHealthModal();
+
+            closeAnchorHealthModalFn();
+
+            expect(localThis.modal.classList.contains('hidden')).toBe(true);
+        });
+    });
 });
@@ -27,6 +27,7 @@ import {
   updateTotalNotesCount,
   loadAndRenderSharedNotes,
   handleSharedNoteClick,
+  handleMentionClick,
   displayVersion,
   setupActionsDropdown,
   init
@@ -76,6 +77,9 @@ describe('Popup Script Logic', () => {
       <div id="sharedContent" class="hidden"></div>
       <span id="thisPageCount">0</span>
       <span id="sharedCount" class="hidden">0</span>
+      <span id="mentionsCount" class="hidden">@0</span>
+      <div id="mentionsSection" class="hidden"><div id="mentionsList"></div></div>
+      <div id="assignedNotesSection" class="hidden"><div id="assignedNotesList"></div></div>
       <div id="sharedNotesList"></div>
       <span id="versionDisplay"></span>
       <!-- Delete Old Notes Modal -->
@@ -554,6 +558,21 @@ describe('Popup Script Logic', () => {
       const sharedCount = document.getElementById('sharedCount');
       expect(sharedCount.textContent).toBe('0');
       expect(sharedCount.classList.contains('hidden')).toBe(true);
+      expect(document.getElementById('mentionsCount').classList.contains('hidden')).toBe(true);
+    });
+    
+    it('should show unread mentions next to the shared count', async () => {
+      chrome.runtime.sendMessage.mockImplementation(async (message) => (
+        message.action === 'getMentions'
+          ? { success: true, mentions: [{ id: 'notification-1', read: false }], unreadCount: 1 }
+          : { success: true, count: 0 }
+      ));
+      
+      await updateSharedNotesCount();
+      
+      const mentionsCount = document.getElementById('mentionsCount');
+      expect(mentionsCount.textContent).toBe('@1');
+      expect(mentionsCount.classList.contains('hidden')).toBe(false);
     });
   });
 
@@ -1112,6 +1131,51 @@ describe('Popup Script Logic', () => {
       
       const sharedNotesList = document.getElementById('sharedNotesList');
       expect(sharedNotesList.innerHTML).toContain('empty');
+      expect(document.getElementById('assignedNotesSection').classList.contains('hidden')).toBe(true);
+    });
+    
+    it('should render notes assigned to the user in their own section', async () => {
+      chrome.runtime.sendMessage.mockImplementation(async (message) => (
+        message.action === 'getAssignedNotes'
+          ? { success: true, notes: [{ id: 'assigned-1', content: 'Fix it', url: 'https://example.com/1', dueDate: '2999-01-01' }] }
+          : { success: true, notes: [] }
+      ));
+      
+      await loadAndRenderSharedNotes();
+      
+      expect(document.getElementById('assignedNotesSection').classList.contains('hidden')).toBe(false);
+      expect(document.getElementById('assignedNotesList').innerHTML).toContain('assigned-1');
+      expect(document.getElementById('assignedNotesList').innerHTML).not.toContain('shared-note-unread-dot');
+    });
+    
+    it('should render mentions in their own section', async () => {
+      chrome.runtime.sendMessage.mockImplementation(async (message) => (
+        message.action === 'getMentions'
+          ? { success: true, mentions: [{ id: 'notification-1', authorName: 'Ana', preview: '@Bo look', url: 'https://example.com/1', read: false }], unreadCount: 1 }
+          : { success: true, notes: [] }
+      ));
+      
+      await loadAndRenderSharedNotes();
+      
+      expect(document.getElementById('mentionsSection').classList.contains('hidden')).toBe(false);
+      expect(document.getElementById('mentionsList').querySelector('.mention-item').dataset.notificationId).toBe('notification-1');
+    });
+  });
+
+  describe('handleMentionClick', () => {
+    it('should mark the mention as read and open the page', async () => {
+      chrome.runtime.sendMessage.mockResolvedValue({ success: true });
+      chrome.tabs.create.mockResolvedValue({ id: 2 });
+      
+      const item = document.createElement('div');
+      item.dataset.notificationId = 'notification-1';
+      item.dataset.url = 'https://example.com/page';
+      
+      await handleMentionClick(item);
+      
+      expect(chrome.runtime.sendMessage).toHaveBeenCalledWith({ action: 'markMentionRead', notificationId: 'notification-1' });
+      expect(chrome.tabs.create).toHaveBeenCalledWith({ url: 'https://example.com/page' });
+      expect(window.close).toHaveBeenCalled();
     });
   });
 
@@ -48,7 +48,9 @@ describe('DEFAULT_PREFERENCES', () => {
       defaultPosition: 'top-right',
       noteWidth: 280,
       fontSize: 'medium',
-      notesVisibleByDefault: true
+      notesVisibleByDefault: true,
+      resolvedNotesDisplay: 'collapse',
+      screenshotOnCreate: false
     });
   });
 });
@@ -143,7 +145,9 @@ describe('getPreferences', () => {
       defaultPosition: 'bottom-left',
       noteWidth: 320,
       fontSize: 'large',
-      notesVisibleByDefault: false
+      notesVisibleByDefault: false,
+      resolvedNotesDisplay: 'hide',
+      screenshotOnCreate: true
     };
     localThis.mockStorage.preferences = storedPrefs;
     
@@ -223,6 +227,28 @@ describe('getPreferences', () => {
     expect(result.notesVisibleByDefault).toBe(DEFAULT_PREFERENCES.notesVisibleByDefault);
   });
   
+  it('should reject unknown resolved notes display and use default', async () => {
+    localThis.mockStorage.preferences = {
+      resolvedNotesDisplay: 'fade'
+    };
+    
+    const { getPreferences, DEFAULT_PREFERENCES } = await import('../../src/shared/preferences.js');
+    const result = await getPreferences({ chromeStorage: localThis.mockChromeStorage });
+    
+    expect(result.resolvedNotesDisplay).toBe(DEFAULT_PREFERENCES.resolvedNotesDisplay);
+  });
+  
+  it('should reject non-boolean screenshot on creation and use default', async () => {
+    localThis.mockStorage.preferences = {
+      screenshotOnCreate: 'always'
+    };
+    
+    const { getPreferences, DEFAULT_PREFERENCES } = await import('../../src/shared/preferences.js');
+    const result = await getPreferences({ chromeStorage: localThis.mockChromeStorage });
+    
+    expect(result.screenshotOnCreate).toBe(DEFAULT_PREFERENCES.screenshotOnCreate);
+  });
+  
   it('should return defaults when storage throws error', async () => {
     const errorStorage = {
       sync: {
@@ -246,7 +272,9 @@ describe('setPreferences', () => {
       defaultPosition: 'bottom-right',
       noteWidth: 360,
       fontSize: 'small',
-      notesVisibleByDefault: false
+      notesVisibleByDefault: false,
+      resolvedNotesDisplay: 'show',
+      screenshotOnCreate: true
     };
     
     const result = await setPreferences(newPrefs, { chromeStorage: localThis.mockChromeStorage });
@@ -0,0 +1,224 @@
+/**
+ * Firebase Presence Unit Tests
+ *
+ * Tests the live presence service with mocked dependencies.
+ */
+
+import { jest, describe, it, expect, beforeEach } from '@jest/globals';
+
+// Mock Firebase modules before import
+jest.unstable_mockModule('firebase/firestore', () => ({
+  collection: jest.fn(),
+  doc: jest.fn(),
+  setDoc: jest.fn(),
+  deleteDoc: jest.fn(),
+  query: jest.fn(),
+  where: jest.fn(),
+  onSnapshot: jest.fn(),
+  serverTimestamp: jest.fn(() => ({ _type: 'serverTimestamp' })),
+  getFirestore: jest.fn(() => ({ name: 'mock-db' })),
+  initializeFirestore: jest.fn(() => ({ name: 'mock-db' })),
+  persistentLocalCache: jest.fn(),
+  persistentSingleTabManager: jest.fn(),
+  memoryLocalCache: jest.fn()
+}));
+
+jest.unstable_mockModule('firebase/app', () => ({
+  initializeApp: jest.fn()
+}));
+
+jest.unstable_mockModule('firebase/auth', () => ({
+  getAuth: jest.fn(),
+  initializeAuth: jest.fn(() => ({ name: 'mock-auth' })),
+  browserLocalPersistence: { type: 'LOCAL' },
+  indexedDBLocalPersistence: { type: 'LOCAL' }
+}));
+
+// Import after mocking
+const {
+  setPresence,
+  clearPresence,
+  subscribeToPresence,
+  MAX_PRESENCE_AUDIENCE
+} = await import('../../src/firebase/presence.js');
+const { PRESENCE } = await import('../../src/shared/utils.js');
+
+describe('Firebase Presence', () => {
+  const localThis = {};
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    localThis.now = Date.parse('2026-03-01T12:00:00Z');
+    localThis.mockDb = { name: 'mock-db' };
+    localThis.mockDocRef = { id: 'presence-doc' };
+
+    localThis.mockUser = {
+      uid: 'user-123',
+      email: 'Me@Example.com',
+      displayName: 'Test User'
+    };
+
+    localThis.deps = {
+      db: localThis.mockDb,
+      isFirebaseConfigured: jest.fn(() => true),
+      now: () => localThis.now,
+      collection: jest.fn(() => ({ id: 'presence' })),
+      doc: jest.fn(() => localThis.mockDocRef),
+      setDoc: jest.fn().mockResolvedValue(),
+      deleteDoc: jest.fn().mockResolvedValue(),
+      query: jest.fn((col) => col),
+      where: jest.fn((...args) => args),
+      onSnapshot: jest.fn(() => jest.fn()),
+      serverTimestamp: jest.fn(() => ({ _type: 'serverTimestamp' }))
+    };
+
+    /**
+     * Subscribe and return the snapshot handler once the async setup ran
+     * @returns {Promise<Object>} { onUpdate, onError, unsubscribe, emit }
+     */
+    localThis.subscribe = async () => {
+      const onUpdate = jest.fn();
+      const onError = jest.fn();
+      const unsubscribe = subscribeToPresence('https://example.com/page', localThis.mockUser, onUpdate, onError, localThis.deps);
+      await new Promise(resolve => setTimeout(resolve, 0));
+      const handler = localThis.deps.onSnapshot.mock.calls[0]?.[1];
+      const emit = (docs) => handler({ forEach: (cb) => docs.forEach(data => cb({ data: () => data })) });
+      return { onUpdate, onError, unsubscribe, emit };
+    };
+  });
+
+  describe('setPresence', () => {
+    it('should write presence for the page session', async () => {
+      await setPresence('12-0', {
+        url: 'https://example.com/page',
+        audience: ['Alice@example.com', 'alice@example.com', 'me@example.com'],
+        editingNoteId: 'note-1'
+      }, localThis.mockUser, localThis.deps);
+
+      expect(localThis.deps.doc).toHaveBeenCalledWith(localThis.mockDb, 'presence', 'user-123_12-0');
+      expect(localThis.deps.setDoc).toHaveBeenCalledWith(localThis.mockDocRef, expect.objectContaining({
+        userId: 'user-123',
+        email: 'me@example.com',
+        displayName: 'Test User',
+        url: 'https://example.com/page',
+        audience: ['alice@example.com'],
+        editingNoteId: 'note-1',
+        typingNoteId: null,
+        expiresAt: new Date(localThis.now + PRESENCE.TIMEOUT)
+      }));
+    });
+
+    it('should remove presence when nobody else can see it', async () => {
+      await setPresence('12-0', {
+        url: 'https://example.com/page',
+        audience: ['me@example.com']
+      }, localThis.mockUser, localThis.deps);
+
+      expect(localThis.deps.setDoc).not.toHaveBeenCalled();
+      expect(localThis.deps.deleteDoc).toHaveBeenCalledWith(localThis.mockDocRef);
+    });
+
+    it('should cap the audience', async () => {
+      const audience = Array.from({ length: MAX_PRESENCE_AUDIENCE + 5 }, (_, index) => `user${index}@example.com`);
+
+      await setPresence('12-0', { url: 'https://example.com/page', audience }, localThis.mockUser, localThis.deps);
+
+      expect(localThis.deps.setDoc.mock.calls[0][1].audience).toHaveLength(MAX_PRESENCE_AUDIENCE);
+    });
+
+    it('should throw for an invalid URL', async () => {
+      await expect(setPresence('12-0', { url: '' }, localThis.mockUser, localThis.deps))
+        .rejects.toThrow('Invalid URL');
+    });
+
+    it('should throw when user is not authenticated', async () => {
+      await expect(setPresence('12-0', { url: 'https://example.com' }, null, localThis.deps))
+        .rejects.toThrow('User authentication required');
+    });
+
+    it('should throw when Firebase is not configured', async () => {
+      localThis.deps.isFirebaseConfigured = jest.fn(() => false);
+
+      await expect(setPresence('12-0', { url: 'https://example.com' }, localThis.mockUser, localThis.deps))
+        .rejects.toThrow('Firebase is not configured');
+    });
+  });
+
+  describe('clearPresence', () => {
+    it('should delete the page session presence', async () => {
+      await clearPresence('12-0', localThis.mockUser, localThis.deps);
+
+      expect(localThis.deps.doc).toHaveBeenCalledWith(localThis.mockDb, 'presence', 'user-123_12-0');
+      expect(localThis.deps.deleteDoc).toHaveBeenCalledWith(localThis.mockDocRef);
+    });
+
+    it('should throw for an invalid session key', async () => {
+      await expect(clearPresence('', localThis.mockUser, localThis.deps))
+        .rejects.toThrow('Invalid session key');
+    });
+  });
+
+  describe('subscribeToPresence', () => {
+    it('should query presence published to the user on the page', async () => {
+      await localThis.subscribe();
+
+      expect(localThis.deps.where).toHaveBeenCalledWith('url', '==', 'https://example.com/page');
+      expect(localThis.deps.where).toHaveBeenCalledWith('audience', 'array-contains', 'me@example.com');
+    });
+
+    it('should report other collaborators and skip the user and expired sessions', async () => {
+      const { onUpdate, emit } = await localThis.subscribe();
+
+      emit([
+        { userId: 'alice', email: 'alice@example.com', displayName: 'Alice', editingNoteId: 'note-1', expiresAt: new Date(localThis.now + 1000) },
+        { userId: 'user-123', email: 'me@example.com', expiresAt: new Date(localThis.now + 1000) },
+        { userId: 'bob', email: 'bob@example.com', expiresAt: new Date(localThis.now - 1) }
+      ]);
+
+      expect(onUpdate).toHaveBeenCalledWith([{
+        userId: 'alice',
+        email: 'alice@example.com',
+        displayName: 'Alice',
+        editingNoteId: 'note-1',
+        typingNoteId: null,
+        expiresAt: localThis.now + 1000
+      }]);
+    });
+
+    it('should merge several open pages of the same collaborator', async () => {
+      const { onUpdate, emit } = await localThis.subscribe();
+
+      emit([
+        { userId: 'alice', email: 'alice@example.com', typingNoteId: 'note-2', expiresAt: { toMillis: () => localThis.now + 1000 } },
+        { userId: 'alice', email: 'alice@example.com', expiresAt: { toMillis: () => localThis.now + 5000 } }
+      ]);
+
+      const viewers = onUpdate.mock.calls[0][0];
+      expect(viewers).toHaveLength(1);
+      expect(viewers[0]).toEqual(expect.objectContaining({
+        displayName: 'alice@example.com',
+        typingNoteId: 'note-2',
+        expiresAt: localThis.now + 5000
+      }));
+    });
+
+    it('should stop listening on unsubscribe', async () => {
+      const listenerUnsubscribe = jest.fn();
+      localThis.deps.onSnapshot.mockReturnValue(listenerUnsubscribe);
+      const { unsubscribe } = await localThis.subscribe();
+
+      unsubscribe();
+
+      expect(listenerUnsubscribe).toHaveBeenCalled();
+    });
+
+    it('should report an error for users without an email', () => {
+      const onError = jest.fn();
+
+      subscribeToPresence('https://example.com', { uid: 'user-123' }, jest.fn(), onError, localThis.deps);
+
+      expect(onError).toHaveBeenCalledWith(new Error('User authentication required'));
+    });
+  });
+});
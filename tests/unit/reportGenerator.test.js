@@ -129,6 +129,20 @@ describe('ReportGenerator', () => {
       expect(filtered[0].id).toBe('note1');
     });
 
+    it('should keep notes with any of the given tags', () => {
+      const generator = new localThis.ReportGenerator({
+        scope: localThis.REPORT_SCOPES.ALL_NOTES,
+        tags: ['a11y', 'copy']
+      });
+      
+      const filtered = generator.filterNotes([
+        { ...localThis.sampleNotes[0], tags: ['a11y'] },
+        { ...localThis.sampleNotes[1], tags: ['regression'] }
+      ]);
+      
+      expect(filtered.map(note => note.id)).toEqual([localThis.sampleNotes[0].id]);
+    });
+
     it('should filter by date range', () => {
       const generator = new localThis.ReportGenerator({
         scope: localThis.REPORT_SCOPES.DATE_RANGE,
@@ -293,6 +307,146 @@ describe('ReportGenerator', () => {
       
       expect(result.content).not.toContain('This is a test comment');
     });
+
+    it('should render sanitized rich text comments', () => {
+      const generator = new localThis.ReportGenerator({ includeComments: true });
+      const note = {
+        ...localThis.sampleNotes[0],
+        comments: [
+          { authorName: 'Ana', format: 'html', content: '<pre><code>a &lt; b</code></pre><img src=x onerror="alert(1)">' },
+          { authorName: 'Bo', content: '<b>plain</b>' }
+        ]
+      };
+      
+      const result = generator.renderHTML([note], {});
+      
+      expect(result.content).toContain('<div class="comment-content"><pre><code>a &lt; b</code></pre></div>');
+      expect(result.content).not.toContain('onerror');
+      expect(result.content).toContain('&lt;b&gt;plain&lt;/b&gt;');
+    });
+
+    it('should include the assignee and due date', () => {
+      const generator = new localThis.ReportGenerator();
+      
+      const result = generator.renderHTML([
+        { ...localThis.sampleNotes[0], assignee: 'dev@example.com', dueDate: '2000-01-01' }
+      ], {});
+      
+      expect(result.content).toContain('<strong>Assignee:</strong> dev@example.com');
+      expect(result.content).toContain('<strong>Due:</strong> 2000-01-01 (overdue)');
+    });
+
+    it('should include tags', () => {
+      const generator = new localThis.ReportGenerator();
+      
+      const result = generator.renderHTML([{ ...localThis.sampleNotes[0], tags: ['a11y', 'copy'] }], {});
+      
+      expect(result.content).toContain('<span class="note-tag">#a11y</span><span class="note-tag">#copy</span>');
+    });
+
+    it('should omit the assignment block for unassigned notes', () => {
+      const generator = new localThis.ReportGenerator();
+      
+      const result = generator.renderHTML(localThis.sampleNotes, {});
+      
+      expect(result.content).not.toContain('class="note-assignment"');
+    });
+  });
+
+  describe('screenshots', () => {
+    it('should include a note screenshot in HTML reports', () => {
+      const generator = new localThis.ReportGenerator();
+      const notes = [{ ...localThis.sampleNotes[0], screenshotSrc: 'data:image/jpeg;base64,abc' }];
+
+      const result = generator.renderHTML(notes, {});
+
+      expect(result.content).toContain('<div class="note-screenshot">');
+      expect(result.content).toContain('src="data:image/jpeg;base64,abc"');
+    });
+
+    it('should fall back to the download URL of a cloud screenshot', () => {
+      const generator = new localThis.ReportGenerator();
+
+      expect(generator.getScreenshotSrc({ screenshot: { url: 'https://storage.example.com/shot.jpg' } }))
+        .toBe('https://storage.example.com/shot.jpg');
+    });
+
+    it('should ignore sources that are not images', () => {
+      const generator = new localThis.ReportGenerator();
+
+      expect(generator.getScreenshotSrc({ screenshotSrc: 'javascript:alert(1)' })).toBeNull();
+      expect(generator.getScreenshotSrc({ screenshot: { url: 'http://example.com/shot.jpg' } })).toBeNull();
+    });
+
+    it('should leave screenshots out when disabled', () => {
+      const generator = new localThis.ReportGenerator({ includeScreenshots: false });
+      const notes = [{ ...localThis.sampleNotes[0], screenshotSrc: 'data:image/jpeg;base64,abc' }];
+
+      expect(generator.renderHTML(notes, {}).content).not.toContain('<div class="note-screenshot">');
+    });
+
+    it('should only link cloud screenshots in Markdown reports', () => {
+      const generator = new localThis.ReportGenerator();
+      const notes = [
+        { ...localThis.sampleNotes[0], screenshotSrc: 'data:image/jpeg;base64,abc' },
+        { ...localThis.sampleNotes[1], screenshot: { url: 'https://storage.example.com/shot.jpg' } }
+      ];
+
+      const result = generator.renderMarkdown(notes, {});
+
+      expect(result.content).toContain('](https://storage.example.com/shot.jpg)');
+      expect(result.content).not.toContain('data:image/jpeg');
+    });
+  });
+
+  describe('attachments', () => {
+    beforeEach(() => {
+      localThis.attachments = [
+        { id: 'a-1', name: 'shot.png', type: 'image/png', size: 2048, storage: 'cloud', url: 'https://storage.example.com/a-1' },
+        { id: 'a-2', name: 'log <1>.txt', type: 'text/plain', size: 300, storage: 'cloud', url: 'https://storage.example.com/a-2' },
+        { id: 'a-3', name: 'local.pdf', type: 'application/pdf', size: 4096, storage: 'local' }
+      ];
+    });
+
+    it('should show images inline and link other files in HTML reports', () => {
+      const generator = new localThis.ReportGenerator();
+      const notes = [{ ...localThis.sampleNotes[0], attachments: localThis.attachments }];
+
+      const result = generator.renderHTML(notes, {});
+
+      expect(result.content).toContain('<img src="https://storage.example.com/a-1" alt="shot.png"');
+      expect(result.content).toContain('href="https://storage.example.com/a-2" target="_blank" rel="noopener">log &lt;1&gt;.txt');
+      expect(result.content).toContain('<span class="attachment attachment-local">local.pdf');
+    });
+
+    it('should only link attachments with a web URL', () => {
+      const generator = new localThis.ReportGenerator();
+
+      expect(generator.getAttachmentUrl({ url: 'javascript:alert(1)' })).toBeNull();
+      expect(generator.getAttachmentUrl({ storage: 'local' })).toBeNull();
+    });
+
+    it('should list attachments in Markdown reports', () => {
+      const generator = new localThis.ReportGenerator();
+      const notes = [{ ...localThis.sampleNotes[0], attachments: localThis.attachments }];
+
+      const result = generator.renderMarkdown(notes, {});
+
+      expect(result.content).toContain('- ![shot.png](https://storage.example.com/a-1)');
+      expect(result.content).toContain('- [log <1>.txt](https://storage.example.com/a-2) (300 B)');
+      expect(result.content).toContain('- local.pdf (4 KB)');
+    });
+
+    it('should include comment attachments', () => {
+      const generator = new localThis.ReportGenerator({ includeComments: true });
+      const notes = [{
+        ...localThis.sampleNotes[0],
+        comments: [{ content: '', authorName: 'Ana', attachments: [localThis.attachments[1]] }]
+      }];
+
+      expect(generator.renderHTML(notes, {}).content).toContain('href="https://storage.example.com/a-2"');
+      expect(generator.renderMarkdown(notes, {}).content).toContain('  - [log <1>.txt](https://storage.example.com/a-2)');
+    });
   });
 
   describe('renderMarkdown', () => {
@@ -340,6 +494,43 @@ describe('ReportGenerator', () => {
       expect(result.content).toContain('**Comments');
       expect(result.content).toContain('Test User');
     });
+
+    it('should convert rich text comments with code blocks to Markdown', () => {
+      const generator = new localThis.ReportGenerator();
+      const note = {
+        ...localThis.sampleNotes[0],
+        comments: [{
+          authorName: 'Ana',
+          format: 'html',
+          content: '<div>Run <code>npm ci</code>, see <a href="https://example.com">docs</a>:</div><pre><code>TypeError: x\n    at y.js:1</code></pre><ul><li>one</li><li>two</li></ul>'
+        }]
+      };
+      
+      const result = generator.renderMarkdown([note], {});
+      
+      expect(result.content).toContain('  Run `npm ci`, see [docs](https://example.com):\n');
+      expect(result.content).toContain('  ```\n  TypeError: x\n      at y.js:1\n  ```\n');
+      expect(result.content).toContain('  - one\n  - two');
+    });
+
+    it('should include the assignee and due date', () => {
+      const generator = new localThis.ReportGenerator();
+      
+      const result = generator.renderMarkdown([
+        { ...localThis.sampleNotes[0], assignee: 'dev@example.com', dueDate: '2999-01-01' }
+      ], {});
+      
+      expect(result.content).toContain('**Assignee:** dev@example.com');
+      expect(result.content).toContain('**Due:** 2999-01-01\n');
+    });
+
+    it('should include tags', () => {
+      const generator = new localThis.ReportGenerator();
+      
+      const result = generator.renderMarkdown([{ ...localThis.sampleNotes[0], tags: ['a11y', 'copy'] }], {});
+      
+      expect(result.content).toContain('**Tags:** #a11y, #copy');
+    });
   });
 
   describe('generate', () => {
@@ -0,0 +1,257 @@
+/**
+ * Firebase Revisions Unit Tests
+ *
+ * Tests the note version history service with mocked dependencies.
+ */
+
+import { jest, describe, it, expect, beforeEach } from '@jest/globals';
+
+// Mock Firebase modules before import
+jest.unstable_mockModule('firebase/firestore', () => ({
+  collection: jest.fn(),
+  doc: jest.fn(),
+  addDoc: jest.fn(),
+  getDoc: jest.fn(),
+  getDocs: jest.fn(),
+  updateDoc: jest.fn(),
+  query: jest.fn(),
+  orderBy: jest.fn(),
+  limit: jest.fn(),
+  serverTimestamp: jest.fn(() => ({ _type: 'serverTimestamp' })),
+  getFirestore: jest.fn(() => ({ name: 'mock-db' })),
+  initializeFirestore: jest.fn(() => ({ name: 'mock-db' })),
+  persistentLocalCache: jest.fn(),
+  persistentSingleTabManager: jest.fn(),
+  memoryLocalCache: jest.fn()
+}));
+
+jest.unstable_mockModule('firebase/app', () => ({
+  initializeApp: jest.fn()
+}));
+
+jest.unstable_mockModule('firebase/auth', () => ({
+  getAuth: jest.fn(),
+  initializeAuth: jest.fn(() => ({ name: 'mock-auth' })),
+  browserLocalPersistence: { type: 'LOCAL' },
+  indexedDBLocalPersistence: { type: 'LOCAL' }
+}));
+
+// Import after mocking
+const {
+  recordRevision,
+  getRevisionsForNote,
+  getRevision,
+  MAX_REVISIONS,
+  REVISION_COALESCE_WINDOW
+} = await import('../../src/firebase/revisions.js');
+
+describe('Firebase Revisions', () => {
+  const localThis = {};
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    localThis.now = Date.parse('2026-03-01T12:00:00Z');
+    localThis.mockDb = { name: 'mock-db' };
+    localThis.mockDocRef = { id: 'doc-123' };
+    localThis.mockCollectionRef = { id: 'collection' };
+
+    localThis.mockUser = {
+      uid: 'user-123',
+      email: 'user@example.com',
+      displayName: 'Test User'
+    };
+
+    localThis.mockNoteData = {
+      ownerId: 'owner-999',
+      sharedWith: ['user@example.com']
+    };
+
+    localThis.deps = {
+      db: localThis.mockDb,
+      isFirebaseConfigured: jest.fn(() => true),
+      now: () => localThis.now,
+      collection: jest.fn(() => localThis.mockCollectionRef),
+      doc: jest.fn(() => localThis.mockDocRef),
+      addDoc: jest.fn().mockResolvedValue({ id: 'rev-new' }),
+      getDoc: jest.fn().mockResolvedValue({
+        exists: () => true,
+        data: () => localThis.mockNoteData
+      }),
+      getDocs: jest.fn().mockResolvedValue({ docs: [] }),
+      updateDoc: jest.fn(),
+      query: jest.fn((col) => col),
+      orderBy: jest.fn(() => ({})),
+      limit: jest.fn(() => ({})),
+      serverTimestamp: jest.fn(() => ({ _type: 'serverTimestamp' }))
+    };
+
+    localThis.latest = (data) => {
+      localThis.deps.getDocs.mockResolvedValue({
+        docs: [{ id: 'rev-latest', data: () => data }]
+      });
+    };
+  });
+
+  describe('recordRevision', () => {
+    it('should create a revision attributed to the user', async () => {
+      const result = await recordRevision('note-123', {
+        content: '<p>new</p>',
+        previousContent: '<p>old</p>'
+      }, localThis.mockUser, localThis.deps);
+
+      expect(result.id).toBe('rev-new');
+      expect(localThis.deps.addDoc).toHaveBeenCalledWith(localThis.mockCollectionRef, expect.objectContaining({
+        authorId: 'user-123',
+        authorEmail: 'user@example.com',
+        authorName: 'Test User',
+        content: '<p>new</p>',
+        previousContent: '<p>old</p>',
+        restoredFrom: null
+      }));
+    });
+
+    it('should fold a recent save by the same author into the latest revision', async () => {
+      localThis.latest({
+        authorId: 'user-123',
+        content: '<p>draft</p>',
+        previousContent: '<p>old</p>',
+        restoredFrom: null,
+        createdAt: { toMillis: () => localThis.now - 60 * 1000 }
+      });
+
+      const result = await recordRevision('note-123', {
+        content: '<p>final</p>',
+        previousContent: '<p>draft</p>'
+      }, localThis.mockUser, localThis.deps);
+
+      expect(localThis.deps.addDoc).not.toHaveBeenCalled();
+      expect(localThis.deps.updateDoc).toHaveBeenCalledWith(localThis.mockDocRef, expect.objectContaining({
+        content: '<p>final</p>'
+      }));
+      expect(result.id).toBe('rev-latest');
+      expect(result.previousContent).toBe('<p>old</p>');
+    });
+
+    it('should start a new revision when another author saved last', async () => {
+      localThis.latest({
+        authorId: 'someone-else',
+        createdAt: { toMillis: () => localThis.now - 1000 }
+      });
+
+      await recordRevision('note-123', { content: 'b', previousContent: 'a' }, localThis.mockUser, localThis.deps);
+
+      expect(localThis.deps.addDoc).toHaveBeenCalled();
+      expect(localThis.deps.updateDoc).not.toHaveBeenCalled();
+    });
+
+    it('should start a new revision once the coalesce window has passed', async () => {
+      localThis.latest({
+        authorId: 'user-123',
+        createdAt: new Date(localThis.now - REVISION_COALESCE_WINDOW).toISOString()
+      });
+
+      await recordRevision('note-123', { content: 'b', previousContent: 'a' }, localThis.mockUser, localThis.deps);
+
+      expect(localThis.deps.addDoc).toHaveBeenCalled();
+    });
+
+    it('should not fold a save into a restore revision', async () => {
+      localThis.latest({
+        authorId: 'user-123',
+        restoredFrom: 'rev-1',
+        createdAt: { toMillis: () => localThis.now - 1000 }
+      });
+
+      await recordRevision('note-123', { content: 'b', previousContent: 'a' }, localThis.mockUser, localThis.deps);
+
+      expect(localThis.deps.addDoc).toHaveBeenCalled();
+    });
+
+    it('should always record a restore as its own revision', async () => {
+      await recordRevision('note-123', {
+        content: 'a',
+        previousContent: 'b',
+        restoredFrom: 'rev-1'
+      }, localThis.mockUser, localThis.deps);
+
+      expect(localThis.deps.getDocs).not.toHaveBeenCalled();
+      expect(localThis.deps.addDoc).toHaveBeenCalledWith(localThis.mockCollectionRef, expect.objectContaining({
+        restoredFrom: 'rev-1'
+      }));
+    });
+
+    it('should throw when the user has no access to the note', async () => {
+      localThis.mockNoteData.sharedWith = [];
+
+      await expect(recordRevision('note-123', { content: 'b' }, localThis.mockUser, localThis.deps))
+        .rejects.toThrow('Permission denied');
+    });
+
+    it('should throw when Firebase is not configured', async () => {
+      localThis.deps.isFirebaseConfigured = jest.fn(() => false);
+
+      await expect(recordRevision('note-123', { content: 'b' }, localThis.mockUser, localThis.deps))
+        .rejects.toThrow('Firebase is not configured');
+    });
+
+    it('should throw when user is not authenticated', async () => {
+      await expect(recordRevision('note-123', { content: 'b' }, null, localThis.deps))
+        .rejects.toThrow('User authentication required');
+    });
+  });
+
+  describe('getRevisionsForNote', () => {
+    it('should return revisions newest first, limited to one page', async () => {
+      const docs = [
+        { id: 'rev-2', data: () => ({ content: 'b' }) },
+        { id: 'rev-1', data: () => ({ content: 'a' }) }
+      ];
+      localThis.deps.getDocs.mockResolvedValue({ forEach: (cb) => docs.forEach(cb) });
+
+      const revisions = await getRevisionsForNote('note-123', localThis.mockUser, localThis.deps);
+
+      expect(revisions.map(revision => revision.id)).toEqual(['rev-2', 'rev-1']);
+      expect(localThis.deps.orderBy).toHaveBeenCalledWith('createdAt', 'desc');
+      expect(localThis.deps.limit).toHaveBeenCalledWith(MAX_REVISIONS);
+    });
+
+    it('should throw when the note does not exist', async () => {
+      localThis.deps.getDoc.mockResolvedValue({ exists: () => false });
+
+      await expect(getRevisionsForNote('note-123', localThis.mockUser, localThis.deps))
+        .rejects.toThrow('Note not found');
+    });
+
+    it('should throw for invalid note ID', async () => {
+      await expect(getRevisionsForNote('', localThis.mockUser, localThis.deps))
+        .rejects.toThrow('Invalid note ID');
+    });
+  });
+
+  describe('getRevision', () => {
+    it('should return a single revision', async () => {
+      localThis.deps.getDoc
+        .mockResolvedValueOnce({ exists: () => true, data: () => localThis.mockNoteData })
+        .mockResolvedValueOnce({ id: 'rev-1', exists: () => true, data: () => ({ content: 'a' }) });
+
+      const revision = await getRevision('note-123', 'rev-1', localThis.mockUser, localThis.deps);
+
+      expect(revision).toEqual({ id: 'rev-1', content: 'a' });
+    });
+
+    it('should throw when the revision does not exist', async () => {
+      localThis.deps.getDoc
+        .mockResolvedValueOnce({ exists: () => true, data: () => localThis.mockNoteData })
+        .mockResolvedValueOnce({ exists: () => false });
+
+      await expect(getRevision('note-123', 'rev-1', localThis.mockUser, localThis.deps))
+        .rejects.toThrow('Revision not found');
+    });
+
+    it('should throw for invalid revision ID', async () => {
+      await expect(getRevision('note-123', '', localThis.mockUser, localThis.deps))
+        .rejects.toThrow('Invalid revision ID');
+    });
+  });
+});
@@ -0,0 +1,117 @@
+/**
+ * Firebase Screenshots Unit Tests
+ *
+ * Tests the Cloud Storage screenshot service with mocked dependencies.
+ */
+
+import { jest, describe, it, expect, beforeEach } from '@jest/globals';
+
+// Mock Firebase modules before import
+jest.unstable_mockModule('firebase/storage', () => ({
+  getStorage: jest.fn(() => ({ name: 'mock-storage' })),
+  ref: jest.fn(),
+  uploadString: jest.fn(),
+  getDownloadURL: jest.fn(),
+  deleteObject: jest.fn()
+}));
+
+jest.unstable_mockModule('firebase/app', () => ({
+  initializeApp: jest.fn()
+}));
+
+jest.unstable_mockModule('firebase/auth', () => ({
+  getAuth: jest.fn(),
+  initializeAuth: jest.fn(() => ({ name: 'mock-auth' })),
+  browserLocalPersistence: { type: 'LOCAL' },
+  indexedDBLocalPersistence: { type: 'LOCAL' }
+}));
+
+jest.unstable_mockModule('firebase/firestore', () => ({
+  getFirestore: jest.fn(() => ({ name: 'mock-db' })),
+  initializeFirestore: jest.fn(() => ({ name: 'mock-db' })),
+  persistentLocalCache: jest.fn(),
+  persistentSingleTabManager: jest.fn(),
+  memoryLocalCache: jest.fn()
+}));
+
+// Import after mocking
+const { uploadScreenshot, deleteScreenshot } = await import('../../src/firebase/screenshots.js');
+
+describe('Firebase Screenshots', () => {
+  const localThis = {};
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    localThis.mockStorage = { name: 'mock-storage' };
+    localThis.mockRef = { fullPath: 'screenshots/user-123/screenshot-1.jpg' };
+    localThis.mockUser = { uid: 'user-123', email: 'me@example.com' };
+    localThis.dataUrl = 'data:image/jpeg;base64,abc';
+
+    localThis.deps = {
+      app: { name: 'mock-app' },
+      storage: localThis.mockStorage,
+      isFirebaseConfigured: jest.fn(() => true),
+      ref: jest.fn(() => localThis.mockRef),
+      uploadString: jest.fn().mockResolvedValue({}),
+      getDownloadURL: jest.fn().mockResolvedValue('https://storage.example.com/screenshot-1.jpg'),
+      deleteObject: jest.fn().mockResolvedValue()
+    };
+  });
+
+  describe('uploadScreenshot', () => {
+    it('should upload under the user folder and return the path and download URL', async () => {
+      const result = await uploadScreenshot('screenshot-1', localThis.dataUrl, localThis.mockUser, localThis.deps);
+
+      expect(localThis.deps.ref).toHaveBeenCalledWith(localThis.mockStorage, 'screenshots/user-123/screenshot-1.jpg');
+      expect(localThis.deps.uploadString).toHaveBeenCalledWith(localThis.mockRef, localThis.dataUrl, 'data_url');
+      expect(result).toEqual({
+        path: 'screenshots/user-123/screenshot-1.jpg',
+        url: 'https://storage.example.com/screenshot-1.jpg'
+      });
+    });
+
+    it('should reject IDs that could escape the user folder', async () => {
+      await expect(uploadScreenshot('../other', localThis.dataUrl, localThis.mockUser, localThis.deps))
+        .rejects.toThrow('Invalid screenshot ID');
+      expect(localThis.deps.uploadString).not.toHaveBeenCalled();
+    });
+
+    it('should reject data that is not an image', async () => {
+      await expect(uploadScreenshot('screenshot-1', 'data:text/html,<p>', localThis.mockUser, localThis.deps))
+        .rejects.toThrow('Invalid screenshot image');
+    });
+
+    it('should throw when user is not authenticated', async () => {
+      await expect(uploadScreenshot('screenshot-1', localThis.dataUrl, null, localThis.deps))
+        .rejects.toThrow('User authentication required');
+    });
+
+    it('should throw when Firebase is not configured', async () => {
+      localThis.deps.isFirebaseConfigured.mockReturnValue(false);
+
+      await expect(uploadScreenshot('screenshot-1', localThis.dataUrl, localThis.mockUser, localThis.deps))
+        .rejects.toThrow('Firebase is not configured');
+    });
+  });
+
+  describe('deleteScreenshot', () => {
+    it('should delete a screenshot in the user folder', async () => {
+      await deleteScreenshot('screenshots/user-123/screenshot-1.jpg', localThis.mockUser, localThis.deps);
+
+      expect(localThis.deps.ref).toHaveBeenCalledWith(localThis.mockStorage, 'screenshots/user-123/screenshot-1.jpg');
+      expect(localThis.deps.deleteObject).toHaveBeenCalledWith(localThis.mockRef);
+    });
+
+    it('should not delete screenshots of other users', async () => {
+      await expect(deleteScreenshot('screenshots/user-456/screenshot-1.jpg', localThis.mockUser, localThis.deps))
+        .rejects.toThrow('Permission denied');
+      expect(localThis.deps.deleteObject).not.toHaveBeenCalled();
+    });
+
+    it('should throw when user is not authenticated', async () => {
+      await expect(deleteScreenshot('screenshots/user-123/screenshot-1.jpg', null, localThis.deps))
+        .rejects.toThrow('User authentication required');
+    });
+  });
+});
@@ -0,0 +1,250 @@
+/**
+ * Selector Rules Module Unit Tests
+ */
+
+import { jest, describe, it, expect, beforeEach, afterEach } from '@jest/globals';
+
+import {
+  normalizeRuleDomain,
+  isValidPattern,
+  compilePatterns,
+  validateSelectorRule,
+  sanitizeSelectorRule,
+  getSelectorRules,
+  setSelectorRules,
+  findSelectorRuleForHost,
+  MAX_SELECTOR_RULES
+} from '../../src/shared/selectorRules.js';
+
+const localThis = {
+  mockStorage: {},
+  mockChromeStorage: null
+};
+
+beforeEach(() => {
+  localThis.mockStorage = {};
+  localThis.mockChromeStorage = {
+    sync: {
+      get: jest.fn(async (keys) => {
+        const result = {};
+        for (const key of keys) {
+          if (localThis.mockStorage[key] !== undefined) {
+            result[key] = localThis.mockStorage[key];
+          }
+        }
+        return result;
+      }),
+      set: jest.fn(async (items) => {
+        Object.assign(localThis.mockStorage, items);
+      })
+    }
+  };
+});
+
+afterEach(() => {
+  jest.clearAllMocks();
+});
+
+describe('normalizeRuleDomain', () => {
+  it('should accept a bare hostname', () => {
+    expect(normalizeRuleDomain('Example.com')).toBe('example.com');
+  });
+
+  it('should strip protocol, wildcard, port and path', () => {
+    expect(normalizeRuleDomain('https://app.example.com:8080/path?q=1')).toBe('app.example.com');
+    expect(normalizeRuleDomain('*.example.com')).toBe('example.com');
+  });
+
+  it('should accept localhost', () => {
+    expect(normalizeRuleDomain('localhost')).toBe('localhost');
+  });
+
+  it('should reject invalid domains', () => {
+    expect(normalizeRuleDomain('')).toBeNull();
+    expect(normalizeRuleDomain(null)).toBeNull();
+    expect(normalizeRuleDomain('exa mple.com')).toBeNull();
+    expect(normalizeRuleDomain('-example.com')).toBeNull();
+  });
+});
+
+describe('isValidPattern / compilePatterns', () => {
+  it('should detect invalid regular expressions', () => {
+    expect(isValidPattern('^mui-\\d+')).toBe(true);
+    expect(isValidPattern('(unclosed')).toBe(false);
+    expect(isValidPattern('')).toBe(false);
+  });
+
+  it('should compile valid patterns case-insensitively and skip invalid ones', () => {
+    const patterns = compilePatterns(['^mui-\\d+', '(unclosed']);
+
+    expect(patterns).toHaveLength(1);
+    expect(patterns[0].test('MUI-12')).toBe(true);
+  });
+
+  it('should return an empty array for non-array input', () => {
+    expect(compilePatterns(undefined)).toEqual([]);
+  });
+});
+
+describe('validateSelectorRule', () => {
+  it('should accept a valid rule', () => {
+    const result = validateSelectorRule({
+      domain: 'example.com',
+      preferredAttributes: ['data-qa', 'data-hook'],
+      ignoreIdPatterns: ['^mui-\\d+'],
+      ignoreClassPatterns: ['^css-']
+    });
+
+    expect(result).toEqual({ valid: true, errors: [] });
+  });
+
+  it('should report an invalid domain, attribute and pattern', () => {
+    const result = validateSelectorRule({
+      domain: 'not a domain',
+      preferredAttributes: ['data qa'],
+      ignoreIdPatterns: ['(unclosed']
+    });
+
+    expect(result.valid).toBe(false);
+    expect(result.errors).toEqual([
+      'Invalid domain',
+      'Invalid attribute name: data qa',
+      'Invalid pattern: (unclosed'
+    ]);
+  });
+
+  it('should reject non-object rules', () => {
+    expect(validateSelectorRule(null).valid).toBe(false);
+  });
+});
+
+describe('sanitizeSelectorRule', () => {
+  it('should normalize the domain and clean every list', () => {
+    const rule = sanitizeSelectorRule({
+      domain: 'https://Example.com/',
+      preferredAttributes: [' Data-QA ', 'data-qa', 'bad attr', 42],
+      ignoreIdPatterns: ['^mui-\\d+', '(unclosed', ''],
+      ignoreClassPatterns: undefined
+    });
+
+    expect(rule).toEqual({
+      domain: 'example.com',
+      preferredAttributes: ['data-qa'],
+      ignoreIdPatterns: ['^mui-\\d+'],
+      ignoreClassPatterns: []
+    });
+  });
+
+  it('should return null without a valid domain', () => {
+    expect(sanitizeSelectorRule({ domain: '' })).toBeNull();
+  });
+});
+
+describe('getSelectorRules', () => {
+  it('should return an empty array when nothing is stored', async () => {
+    const rules = await getSelectorRules({ chromeStorage: localThis.mockChromeStorage });
+
+    expect(rules).toEqual([]);
+  });
+
+  it('should drop invalid and duplicate stored rules', async () => {
+    localThis.mockStorage.selectorRules = [
+      { domain: 'example.com', preferredAttributes: ['data-qa'] },
+      { domain: 'EXAMPLE.com', preferredAttributes: ['data-hook'] },
+      { domain: '' },
+      'garbage'
+    ];
+
+    const rules = await getSelectorRules({ chromeStorage: localThis.mockChromeStorage });
+
+    expect(rules).toHaveLength(1);
+    expect(rules[0].preferredAttributes).toEqual(['data-qa']);
+  });
+
+  it('should return an empty array when storage fails', async () => {
+    const consoleSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+    localThis.mockChromeStorage.sync.get.mockRejectedValue(new Error('Storage error'));
+
+    const rules = await getSelectorRules({ chromeStorage: localThis.mockChromeStorage });
+
+    expect(rules).toEqual([]);
+    expect(consoleSpy).toHaveBeenCalled();
+    consoleSpy.mockRestore();
+  });
+});
+
+describe('setSelectorRules', () => {
+  it('should save normalized rules', async () => {
+    const result = await setSelectorRules([
+      { domain: 'https://example.com', preferredAttributes: ['data-qa'], ignoreIdPatterns: ['^mui-\\d+'] }
+    ], { chromeStorage: localThis.mockChromeStorage });
+
+    expect(result.success).toBe(true);
+    expect(localThis.mockStorage.selectorRules).toEqual([{
+      domain: 'example.com',
+      preferredAttributes: ['data-qa'],
+      ignoreIdPatterns: ['^mui-\\d+'],
+      ignoreClassPatterns: []
+    }]);
+    expect(result.rules).toEqual(localThis.mockStorage.selectorRules);
+  });
+
+  it('should refuse to save an invalid rule', async () => {
+    const result = await setSelectorRules([
+      { domain: 'example.com', ignoreClassPatterns: ['[oops'] }
+    ], { chromeStorage: localThis.mockChromeStorage });
+
+    expect(result.success).toBe(false);
+    expect(result.error).toContain('Invalid pattern');
+    expect(localThis.mockChromeStorage.sync.set).not.toHaveBeenCalled();
+  });
+
+  it('should refuse too many rules', async () => {
+    const rules = Array.from({ length: MAX_SELECTOR_RULES + 1 }, (_, index) => ({ domain: `site${index}.com` }));
+
+    const result = await setSelectorRules(rules, { chromeStorage: localThis.mockChromeStorage });
+
+    expect(result.success).toBe(false);
+  });
+
+  it('should refuse non-array input', async () => {
+    const result = await setSelectorRules('nope', { chromeStorage: localThis.mockChromeStorage });
+
+    expect(result.success).toBe(false);
+  });
+
+  it('should handle storage errors', async () => {
+    const consoleSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+    localThis.mockChromeStorage.sync.set.mockRejectedValue(new Error('Quota exceeded'));
+
+    const result = await setSelectorRules([{ domain: 'example.com' }], { chromeStorage: localThis.mockChromeStorage });
+
+    expect(result).toEqual({ success: false, error: 'Quota exceeded' });
+    consoleSpy.mockRestore();
+  });
+});
+
+describe('findSelectorRuleForHost', () => {
+  const rules = [
+    { domain: 'example.com', preferredAttributes: ['data-qa'] },
+    { domain: 'app.example.com', preferredAttributes: ['data-hook'] }
+  ];
+
+  it('should match the exact domain', () => {
+    expect(findSelectorRuleForHost(rules, 'example.com')).toBe(rules[0]);
+  });
+
+  it('should match subdomains and prefer the most specific rule', () => {
+    expect(findSelectorRuleForHost(rules, 'docs.example.com')).toBe(rules[0]);
+    expect(findSelectorRuleForHost(rules, 'eu.app.example.com')).toBe(rules[1]);
+  });
+
+  it('should not match unrelated hosts that share a suffix', () => {
+    expect(findSelectorRuleForHost(rules, 'notexample.com')).toBeNull();
+  });
+
+  it('should return null without rules or hostname', () => {
+    expect(findSelectorRuleForHost(null, 'example.com')).toBeNull();
+    expect(findSelectorRuleForHost(rules, null)).toBeNull();
+  });
+});
@@ -368,6 +368,19 @@ describe('src/content/app/styles.js', () => {
             expect(styleElements.length).toBe(1);
         });
 
+        it('should inject styles into a shadow root when given one', () => {
+            const host = document.createElement('div');
+            document.body.appendChild(host);
+            const shadowRoot = host.attachShadow({ mode: 'open' });
+            
+            injectMainDocumentStyles(shadowRoot);
+            injectMainDocumentStyles(shadowRoot);
+            
+            expect(shadowRoot.querySelectorAll(`#${styleId}`)).toHaveLength(1);
+            expect(document.getElementById(styleId)).toBeNull();
+            host.remove();
+        });
+
         it('should use correct style id', () => {
             injectMainDocumentStyles();
             
@@ -63,6 +63,48 @@ describe('stripHtml', () => {
   });
 });
 
+describe('cleanHtml', () => {
+  it('should keep formatting, code blocks and safe links', () => {
+    const html = '<p><b>Bold</b> <a href="https://example.com">link</a></p><ul><li>item</li></ul><pre><code>x = 1</code></pre>';
+    expect(utils.cleanHtml(html)).toBe(html);
+  });
+  
+  it('should drop scripts, handlers and unsafe links', () => {
+    const html = '<script>alert(1)</script><b onclick="alert(1)">hi</b><a href="javascript:alert(1)">x</a><img src="x" onerror="alert(1)">';
+    expect(utils.cleanHtml(html)).toBe('<b>hi</b><a>x</a>');
+  });
+  
+  it('should keep relative links', () => {
+    expect(utils.cleanHtml('<a href="/docs">docs</a>')).toBe('<a href="/docs">docs</a>');
+  });
+  
+  it('should unwrap other tags, keeping their text', () => {
+    expect(utils.cleanHtml('<table><tr><td>cell</td></tr></table><h1>title</h1>')).toBe('celltitle');
+  });
+  
+  it('should return empty string for empty input', () => {
+    expect(utils.cleanHtml('')).toBe('');
+    expect(utils.cleanHtml(null)).toBe('');
+  });
+});
+
+describe('getCommentText', () => {
+  it('should return plain text comments as they are', () => {
+    expect(utils.getCommentText({ content: 'a <b> tag' })).toBe('a <b> tag');
+    expect(utils.getCommentText({ content: 'text', format: 'text' })).toBe('text');
+  });
+  
+  it('should strip the markup of rich text comments', () => {
+    const comment = { format: 'html', content: '<div>See <code>a &lt; b</code></div><pre><code>at x\nat y</code></pre><ul><li>one</li><li>two&nbsp;&amp; three</li></ul>' };
+    expect(utils.getCommentText(comment)).toBe('See a < b\nat x\nat y\none\ntwo & three\n');
+  });
+  
+  it('should handle missing content', () => {
+    expect(utils.getCommentText({ format: 'html' })).toBe('');
+    expect(utils.getCommentText(null)).toBe('');
+  });
+});
+
 describe('isValidEmail', () => {
   it('should accept valid emails', () => {
     expect(utils.isValidEmail('test@example.com')).toBe(true);
@@ -605,6 +647,423 @@ describe('getViewportInfo', () => {
   });
 });
 
+describe('getBreakpointForWidth', () => {
+  it('should map widths to breakpoints at their boundaries', () => {
+    expect(utils.getBreakpointForWidth(320).id).toBe('mobile');
+    expect(utils.getBreakpointForWidth(767).id).toBe('mobile');
+    expect(utils.getBreakpointForWidth(768).id).toBe('tablet');
+    expect(utils.getBreakpointForWidth(1023).id).toBe('tablet');
+    expect(utils.getBreakpointForWidth(1024).id).toBe('desktop');
+    expect(utils.getBreakpointForWidth(3840).id).toBe('desktop');
+  });
+});
+
+describe('getResponsiveAnchor', () => {
+  const noteData = {
+    selector: '#desktop-nav',
+    responsiveAnchors: [
+      { breakpoint: 'mobile', minWidth: 0, maxWidth: 767, selector: '#burger' },
+      { breakpoint: 'desktop', minWidth: 1024, maxWidth: null, selector: '#wide-nav' }
+    ]
+  };
+
+  it('should return the entry whose range contains the width', () => {
+    expect(utils.getResponsiveAnchor(noteData, 375).selector).toBe('#burger');
+    expect(utils.getResponsiveAnchor(noteData, 1440).selector).toBe('#wide-nav');
+  });
+
+  it('should return null when no range matches', () => {
+    expect(utils.getResponsiveAnchor(noteData, 800)).toBeNull();
+  });
+
+  it('should return null for notes without responsive anchors', () => {
+    expect(utils.getResponsiveAnchor({ selector: '#a' }, 375)).toBeNull();
+    expect(utils.getResponsiveAnchor(null, 375)).toBeNull();
+  });
+});
+
+describe('createAnchorRegion', () => {
+  const elementRect = { left: 100, top: 50, width: 400, height: 200 };
+
+  it('should store the rectangle as percentages of the element box', () => {
+    expect(utils.createAnchorRegion(elementRect, { left: 140, top: 70, width: 100, height: 50 }))
+      .toEqual({ x: 10, y: 10, width: 25, height: 25 });
+  });
+
+  it('should clip the rectangle to the element', () => {
+    expect(utils.createAnchorRegion(elementRect, { left: 0, top: 0, width: 300, height: 150 }))
+      .toEqual({ x: 0, y: 0, width: 50, height: 50 });
+  });
+
+  it('should return null when the rectangle misses the element', () => {
+    expect(utils.createAnchorRegion(elementRect, { left: 600, top: 0, width: 50, height: 50 })).toBeNull();
+  });
+
+  it('should return null for elements without a box', () => {
+    expect(utils.createAnchorRegion({ left: 0, top: 0, width: 0, height: 0 }, { left: 0, top: 0, width: 10, height: 10 })).toBeNull();
+  });
+});
+
+describe('getRegionRect', () => {
+  it('should scale the region with the element box', () => {
+    const region = { x: 10, y: 10, width: 25, height: 25 };
+
+    expect(utils.getRegionRect({ left: 100, top: 50, width: 400, height: 200 }, region))
+      .toEqual({ left: 140, top: 70, right: 240, bottom: 120, width: 100, height: 50 });
+    expect(utils.getRegionRect({ left: 0, top: 0, width: 800, height: 400 }, region))
+      .toEqual({ left: 80, top: 40, right: 280, bottom: 140, width: 200, height: 100 });
+  });
+});
+
+describe('formatAnchorRegion', () => {
+  it('should format position and size in percent', () => {
+    expect(utils.formatAnchorRegion({ x: 12.34, y: 40, width: 10, height: 25.06 })).toBe('12.3%, 40% · 10% × 25.1%');
+  });
+});
+
+describe('getNoteStatus', () => {
+  it('should return a valid stored status', () => {
+    expect(utils.getNoteStatus({ status: 'in_progress' })).toBe('in_progress');
+  });
+  
+  it('should default missing or unknown statuses to open', () => {
+    expect(utils.getNoteStatus({})).toBe('open');
+    expect(utils.getNoteStatus({ status: 'done' })).toBe('open');
+    expect(utils.getNoteStatus(null)).toBe('open');
+  });
+});
+
+describe('isValidStatusTransition', () => {
+  it('should allow the workflow transitions', () => {
+    expect(utils.isValidStatusTransition('open', 'in_progress')).toBe(true);
+    expect(utils.isValidStatusTransition('in_progress', 'resolved')).toBe(true);
+    expect(utils.isValidStatusTransition('resolved', 'reopened')).toBe(true);
+    expect(utils.isValidStatusTransition('reopened', 'resolved')).toBe(true);
+  });
+  
+  it('should reject other transitions', () => {
+    expect(utils.isValidStatusTransition('resolved', 'open')).toBe(false);
+    expect(utils.isValidStatusTransition('open', 'reopened')).toBe(false);
+    expect(utils.isValidStatusTransition('unknown', 'open')).toBe(false);
+  });
+  
+  it('should have a label key for every status', () => {
+    Object.values(utils.NOTE_STATUSES).forEach(status => {
+      expect(utils.NOTE_STATUS_LABEL_KEYS[status]).toBeTruthy();
+    });
+  });
+});
+
+describe('isValidDueDate', () => {
+  it('should accept calendar dates in YYYY-MM-DD form', () => {
+    expect(utils.isValidDueDate('2026-03-15')).toBe(true);
+    expect(utils.isValidDueDate('2024-02-29')).toBe(true);
+  });
+  
+  it('should reject other values', () => {
+    expect(utils.isValidDueDate('2026-02-30')).toBe(false);
+    expect(utils.isValidDueDate('2026-3-15')).toBe(false);
+    expect(utils.isValidDueDate('15/03/2026')).toBe(false);
+    expect(utils.isValidDueDate(null)).toBe(false);
+    expect(utils.isValidDueDate(20260315)).toBe(false);
+  });
+});
+
+describe('isNoteOverdue', () => {
+  const now = new Date(2026, 2, 15, 12, 0);
+  
+  it('should flag unresolved notes due before today', () => {
+    expect(utils.isNoteOverdue({ dueDate: '2026-03-14', status: 'open' }, now)).toBe(true);
+    expect(utils.isNoteOverdue({ dueDate: '2026-03-14' }, now)).toBe(true);
+  });
+  
+  it('should not flag notes due today or later', () => {
+    expect(utils.isNoteOverdue({ dueDate: '2026-03-15' }, now)).toBe(false);
+    expect(utils.isNoteOverdue({ dueDate: '2026-04-01' }, now)).toBe(false);
+  });
+  
+  it('should not flag resolved notes or notes without a due date', () => {
+    expect(utils.isNoteOverdue({ dueDate: '2026-03-01', status: 'resolved' }, now)).toBe(false);
+    expect(utils.isNoteOverdue({ dueDate: null }, now)).toBe(false);
+    expect(utils.isNoteOverdue(null, now)).toBe(false);
+  });
+});
+
+describe('formatDueDate', () => {
+  it('should format the date without shifting the day', () => {
+    expect(utils.formatDueDate('2026-03-15', 'en-US')).toBe('Mar 15, 2026');
+  });
+  
+  it('should return an empty string for invalid dates', () => {
+    expect(utils.formatDueDate('soon')).toBe('');
+  });
+});
+
+describe('normalizeTag', () => {
+  it('should lowercase, drop a leading # and join words with dashes', () => {
+    expect(utils.normalizeTag('  #A11y ')).toBe('a11y');
+    expect(utils.normalizeTag('Copy Edit')).toBe('copy-edit');
+    expect(utils.normalizeTag('régression_2')).toBe('régression_2');
+  });
+  
+  it('should reject empty, overlong or malformed tags', () => {
+    expect(utils.normalizeTag('#')).toBeNull();
+    expect(utils.normalizeTag('a'.repeat(utils.MAX_TAG_LENGTH + 1))).toBeNull();
+    expect(utils.normalizeTag('-leading')).toBeNull();
+    expect(utils.normalizeTag('<b>')).toBeNull();
+    expect(utils.normalizeTag(42)).toBeNull();
+  });
+});
+
+describe('normalizeTags', () => {
+  it('should normalize arrays and comma-separated strings, dropping duplicates', () => {
+    expect(utils.normalizeTags(['A11y', '#a11y', 'copy'])).toEqual(['a11y', 'copy']);
+    expect(utils.normalizeTags('a11y, regression,,')).toEqual(['a11y', 'regression']);
+  });
+  
+  it('should drop invalid tags and cap the list', () => {
+    const many = Array.from({ length: 15 }, (_, index) => `tag${index}`);
+    expect(utils.normalizeTags(many)).toHaveLength(utils.MAX_TAGS_PER_NOTE);
+    expect(utils.normalizeTags(['ok', '!!'])).toEqual(['ok']);
+    expect(utils.normalizeTags(undefined)).toEqual([]);
+  });
+});
+
+describe('noteHasAnyTag', () => {
+  it('should match notes with at least one of the tags', () => {
+    expect(utils.noteHasAnyTag({ tags: ['a11y', 'copy'] }, ['copy', 'regression'])).toBe(true);
+    expect(utils.noteHasAnyTag({ tags: ['a11y'] }, ['regression'])).toBe(false);
+    expect(utils.noteHasAnyTag({}, ['a11y'])).toBe(false);
+  });
+  
+  it('should match every note when no tags are given', () => {
+    expect(utils.noteHasAnyTag({}, [])).toBe(true);
+    expect(utils.noteHasAnyTag({ tags: ['a11y'] }, null)).toBe(true);
+  });
+});
+
+describe('getNoteCollaborators', () => {
+  it('should list the owner and shared users once, lowercased', () => {
+    expect(utils.getNoteCollaborators({
+      ownerEmail: 'Owner@Example.com',
+      sharedWith: ['a@example.com', 'owner@example.com', 'B@example.com']
+    })).toEqual(['owner@example.com', 'a@example.com', 'b@example.com']);
+  });
+  
+  it('should handle notes without an owner email or shares', () => {
+    expect(utils.getNoteCollaborators({})).toEqual([]);
+    expect(utils.getNoteCollaborators(null)).toEqual([]);
+  });
+});
+
+describe('normalizeMentions', () => {
+  it('should lowercase emails, trim names and drop invalid mentions and duplicates', () => {
+    expect(utils.normalizeMentions([
+      { email: ' Ana@Example.com ', name: ' Ana ' },
+      { email: 'ana@example.com', name: 'Ana again' },
+      { email: 'not-an-email', name: 'Nobody' },
+      { email: 'bo@example.com', name: '' },
+      null
+    ])).toEqual([{ email: 'ana@example.com', name: 'Ana' }]);
+  });
+  
+  it('should cap the number of mentions', () => {
+    const mentions = Array.from({ length: 15 }, (_, index) => ({ email: `user${index}@example.com`, name: `User ${index}` }));
+    expect(utils.normalizeMentions(mentions)).toHaveLength(utils.MAX_MENTIONS);
+  });
+  
+  it('should return an empty list for anything but an array', () => {
+    expect(utils.normalizeMentions('ana@example.com')).toEqual([]);
+  });
+});
+
+describe('getMentionsInContent', () => {
+  it('should keep only mentions whose @name is in the text', () => {
+    const mentions = [{ email: 'ana@example.com', name: 'Ana Lopez' }, { email: 'bo@example.com', name: 'Bo' }];
+    expect(utils.getMentionsInContent(mentions, 'Thanks @Ana Lopez!')).toEqual([mentions[0]]);
+    expect(utils.getMentionsInContent(mentions, null)).toEqual([]);
+  });
+});
+
+describe('getCommentDescendantIds', () => {
+  const comments = [
+    { id: 'c1', parentId: null },
+    { id: 'c2', parentId: 'c1' },
+    { id: 'c3', parentId: 'c2' },
+    { id: 'c4', parentId: 'c3' },
+    { id: 'c5', parentId: null },
+    { id: 'c6', parentId: 'c5' }
+  ];
+
+  it('should return replies at every depth, parents first', () => {
+    expect(utils.getCommentDescendantIds(comments, 'c1')).toEqual(['c2', 'c3', 'c4']);
+    expect(utils.getCommentDescendantIds(comments, 'c3')).toEqual(['c4']);
+    expect(utils.getCommentDescendantIds(comments, 'c4')).toEqual([]);
+  });
+
+  it('should stop on parentId cycles', () => {
+    const cyclic = [{ id: 'a', parentId: 'b' }, { id: 'b', parentId: 'a' }];
+    expect(utils.getCommentDescendantIds(cyclic, 'a')).toEqual(['b']);
+    expect(utils.getCommentDescendantIds(null, 'a')).toEqual([]);
+  });
+});
+
+describe('comment permalinks', () => {
+  it('should add the comment fragment to the page URL, replacing any hash', () => {
+    expect(utils.createCommentPermalink('https://example.com/page?q=1#top', 'note-1', 'comment-1'))
+      .toBe('https://example.com/page?q=1#sn-comment=note-1:comment-1');
+  });
+
+  it('should read the note and comment back from a URL or hash', () => {
+    const link = utils.createCommentPermalink('https://example.com/', 'note:1', 'comment 1');
+    expect(utils.parseCommentPermalink(link)).toEqual({ noteId: 'note:1', commentId: 'comment 1' });
+    expect(utils.parseCommentPermalink('#sn-comment=note-1:comment-1')).toEqual({ noteId: 'note-1', commentId: 'comment-1' });
+  });
+
+  it('should return null for other fragments', () => {
+    expect(utils.parseCommentPermalink('#section-2')).toBeNull();
+    expect(utils.parseCommentPermalink('#sn-comment=note-1')).toBeNull();
+    expect(utils.parseCommentPermalink('#sn-comment=%E0%A4%A:c1')).toBeNull();
+    expect(utils.parseCommentPermalink(undefined)).toBeNull();
+  });
+});
+
+describe('isAllowedAttachmentType', () => {
+  it('should allow common images and documents but not HTML or SVG', () => {
+    expect(utils.isAllowedAttachmentType('image/png')).toBe(true);
+    expect(utils.isAllowedAttachmentType('application/pdf')).toBe(true);
+    expect(utils.isAllowedAttachmentType('text/html')).toBe(false);
+    expect(utils.isAllowedAttachmentType('image/svg+xml')).toBe(false);
+    expect(utils.isAllowedAttachmentType(undefined)).toBe(false);
+  });
+});
+
+describe('normalizeAttachments', () => {
+  const localFile = { id: 'attachment-1', name: ' log.txt ', type: 'text/plain', size: 10, storage: 'local' };
+  const cloudImage = {
+    id: 'attachment-2', name: 'shot.png', type: 'image/png', size: 2000, storage: 'cloud',
+    path: 'attachments/user-1/attachment-2', url: 'https://storage.example.com/attachment-2', extra: true
+  };
+  
+  it('should keep only the reference fields', () => {
+    expect(utils.normalizeAttachments([localFile, cloudImage])).toEqual([
+      { id: 'attachment-1', name: 'log.txt', type: 'text/plain', size: 10, storage: 'local' },
+      {
+        id: 'attachment-2', name: 'shot.png', type: 'image/png', size: 2000, storage: 'cloud',
+        path: 'attachments/user-1/attachment-2', url: 'https://storage.example.com/attachment-2'
+      }
+    ]);
+  });
+  
+  it('should drop malformed, oversized and duplicate attachments', () => {
+    expect(utils.normalizeAttachments([
+      localFile,
+      { ...localFile },
+      { ...localFile, id: '../x' },
+      { ...localFile, id: 'big', size: utils.MAX_ATTACHMENT_SIZE + 1 },
+      { ...localFile, id: 'html', type: 'text/html' },
+      { ...cloudImage, url: 'javascript:alert(1)' },
+      null
+    ])).toHaveLength(1);
+    expect(utils.normalizeAttachments('nope')).toEqual([]);
+  });
+  
+  it('should cap the number of attachments', () => {
+    const many = Array.from({ length: 8 }, (_, index) => ({ ...localFile, id: `attachment-${index}` }));
+    expect(utils.normalizeAttachments(many)).toHaveLength(utils.MAX_ATTACHMENTS);
+  });
+});
+
+describe('normalizeDrawings', () => {
+  const arrow = { id: 'shape-1', tool: 'arrow', color: 'red', points: [0, 0, 40.04, -12.96], extra: true };
+  const freehand = { id: 'shape-2', tool: 'freehand', color: 'blue', points: [1, 1, 2, 3, 5, 8] };
+  
+  it('should keep only the shape fields and round the points', () => {
+    expect(utils.normalizeDrawings([arrow, freehand])).toEqual([
+      { id: 'shape-1', tool: 'arrow', color: 'red', points: [0, 0, 40, -13] },
+      { id: 'shape-2', tool: 'freehand', color: 'blue', points: [1, 1, 2, 3, 5, 8] }
+    ]);
+  });
+  
+  it('should drop malformed and duplicate shapes', () => {
+    expect(utils.normalizeDrawings([
+      arrow,
+      { ...arrow },
+      { ...arrow, id: 'tool', tool: 'circle' },
+      { ...arrow, id: 'color', color: '#ff0000' },
+      { ...arrow, id: 'odd', points: [0, 0, 10] },
+      { ...arrow, id: 'long', points: [0, 0, 10, 10, 20, 20] },
+      { ...arrow, id: 'nan', points: [0, 0, NaN, 10] },
+      { ...freehand, id: 'huge', points: new Array((utils.MAX_DRAWING_POINTS + 1) * 2).fill(1) },
+      null
+    ])).toHaveLength(1);
+    expect(utils.normalizeDrawings('nope')).toEqual([]);
+  });
+  
+  it('should cap the number of shapes', () => {
+    const many = Array.from({ length: utils.MAX_DRAWING_SHAPES + 5 }, (_, index) => ({ ...arrow, id: `shape-${index}` }));
+    expect(utils.normalizeDrawings(many)).toHaveLength(utils.MAX_DRAWING_SHAPES);
+  });
+});
+
+describe('reactions', () => {
+  it('should normalize reactions to known types in display order', () => {
+    expect(utils.normalizeReactions({
+      alice: ['check', 'thumbsUp', 'rocket', 'check'],
+      bob: [],
+      carol: 'eyes',
+      dave: ['heart']
+    })).toEqual({ alice: ['thumbsUp', 'check'], dave: ['heart'] });
+    expect(utils.normalizeReactions(null)).toEqual({});
+    expect(utils.normalizeReactions(['thumbsUp'])).toEqual({});
+  });
+  
+  it('should count reactions per type and flag the user\'s own', () => {
+    const summary = utils.summarizeReactions({ alice: ['thumbsUp'], bob: ['thumbsUp', 'eyes'] }, 'bob');
+    
+    expect(summary.map(item => item.type)).toEqual(utils.REACTION_TYPES);
+    expect(summary[0]).toEqual({ type: 'thumbsUp', count: 2, reacted: true });
+    expect(summary[1]).toEqual({ type: 'eyes', count: 1, reacted: true });
+    expect(summary[2]).toEqual({ type: 'check', count: 0, reacted: false });
+    expect(utils.summarizeReactions({ alice: ['heart'] })[3].reacted).toBe(false);
+  });
+  
+  it('should toggle a reaction type on and off', () => {
+    expect(utils.toggleReactionType(['check'], 'thumbsUp')).toEqual(['thumbsUp', 'check']);
+    expect(utils.toggleReactionType(['thumbsUp', 'check'], 'thumbsUp')).toEqual(['check']);
+    expect(utils.toggleReactionType(undefined, 'eyes')).toEqual(['eyes']);
+  });
+  
+  it('should have a label for every reaction type', () => {
+    expect(Object.keys(utils.REACTION_LABEL_KEYS)).toEqual(utils.REACTION_TYPES);
+  });
+});
+
+describe('getDataUrlSize', () => {
+  it('should return the decoded size of base64 data', () => {
+    expect(utils.getDataUrlSize('data:text/plain;base64,YWJj')).toBe(3);
+    expect(utils.getDataUrlSize('data:text/plain;base64,YWI=')).toBe(2);
+    expect(utils.getDataUrlSize('data:text/plain;base64,YQ==')).toBe(1);
+    expect(utils.getDataUrlSize('data:text/plain;base64,')).toBe(0);
+  });
+
+  it('should return null for anything but a base64 data URL', () => {
+    expect(utils.getDataUrlSize('data:text/plain,abc')).toBeNull();
+    expect(utils.getDataUrlSize('data:text/plain;base64,ab c')).toBeNull();
+    expect(utils.getDataUrlSize('https://example.com/a.png')).toBeNull();
+    expect(utils.getDataUrlSize(undefined)).toBeNull();
+  });
+});
+
+describe('formatFileSize', () => {
+  it('should use the largest fitting unit', () => {
+    expect(utils.formatFileSize(512)).toBe('512 B');
+    expect(utils.formatFileSize(12 * 1024)).toBe('12 KB');
+    expect(utils.formatFileSize(1.5 * 1024 * 1024)).toBe('1.5 MB');
+    expect(utils.formatFileSize(5 * 1024 * 1024)).toBe('5 MB');
+  });
+});
+
 describe('getPageMetadata', () => {
   const localThis = {};
   
@@ -682,6 +1141,61 @@ describe('generateBugReportMarkdown', () => {
     expect(markdown).toMatch(/### (Actual Behavior|bugReportActual)/);
   });
   
+  it('should include the selected text quote when present', () => {
+    const markdown = utils.generateBugReportMarkdown({
+      content: 'Typo',
+      selector: 'p.intro',
+      textAnchor: { exact: 'recieve\n  payments' },
+      metadata: {
+        url: 'https://example.com',
+        browser: 'Chrome',
+        viewport: '1920x1080',
+        timestamp: new Date().toISOString()
+      }
+    });
+    
+    expect(markdown).toMatch(/\*\*(Selected text|metadataSelectedText):\*\*/);
+    expect(markdown).toContain('> recieve payments');
+  });
+  
+  it('should include the anchor region when present', () => {
+    const markdown = utils.generateBugReportMarkdown({
+      content: 'Wrong bar',
+      selector: 'canvas#chart',
+      anchorRegion: { x: 12, y: 40, width: 10, height: 25 },
+      metadata: {
+        url: 'https://example.com',
+        browser: 'Chrome',
+        viewport: '1920x1080',
+        timestamp: new Date().toISOString()
+      }
+    });
+    
+    expect(markdown).toMatch(/\*\*(Region|metadataRegion):\*\* 12%, 40% · 10% × 25%/);
+  });
+  
+  it('should list anchor test locators when provided', () => {
+    const markdown = utils.generateBugReportMarkdown({
+      content: 'Broken',
+      selector: 'button[data-testid="save"]',
+      locators: {
+        xpath: '//button[@data-testid="save"]',
+        playwright: 'page.getByTestId(\'save\')',
+        cypress: null
+      },
+      metadata: {
+        url: 'https://example.com',
+        browser: 'Chrome',
+        viewport: '1920x1080',
+        timestamp: new Date().toISOString()
+      }
+    });
+    
+    expect(markdown).toContain('- **XPath:** `//button[@data-testid="save"]`');
+    expect(markdown).toContain('- **Playwright:** `page.getByTestId(\'save\')`');
+    expect(markdown).not.toContain('Cypress');
+  });
+  
   it('should strip HTML from content', () => {
     const options = {
       content: '<p>This is <strong>bold</strong> text</p>',
@@ -718,6 +1232,28 @@ describe('generateBugReportMarkdown', () => {
   });
 });
 
+describe('getTimestampMillis', () => {
+  it('should read Firestore Timestamps, serialized or not', () => {
+    expect(utils.getTimestampMillis({ seconds: 100, nanoseconds: 5000000 })).toBe(100005);
+    expect(utils.getTimestampMillis({ seconds: 100, nanoseconds: 0, type: 'firestore/timestamp/1.1' })).toBe(100000);
+  });
+
+  it('should fall back to toMillis for timestamp-like objects', () => {
+    expect(utils.getTimestampMillis({ toMillis: () => 123456 })).toBe(123456);
+  });
+
+  it('should read ISO strings and dates', () => {
+    expect(utils.getTimestampMillis('1970-01-01T00:01:40.000Z')).toBe(100000);
+    expect(utils.getTimestampMillis(new Date(100000))).toBe(100000);
+  });
+
+  it('should return null for missing or invalid values', () => {
+    expect(utils.getTimestampMillis(null)).toBeNull();
+    expect(utils.getTimestampMillis(undefined)).toBeNull();
+    expect(utils.getTimestampMillis('not a date')).toBeNull();
+  });
+});
+
 describe('formatRelativeTime', () => {
   const localThis = {};
   
@@ -1018,6 +1554,57 @@ describe('isPageLevelNote', () => {
   });
 });
 
+describe('shadow DOM piercing selectors', () => {
+  beforeEach(() => {
+    document.body.innerHTML = '<app-shell></app-shell><p class="light">Light</p>';
+    const shell = document.querySelector('app-shell').attachShadow({ mode: 'open' });
+    shell.innerHTML = '<sl-card></sl-card><p class="inner">Shell</p>';
+    const card = shell.querySelector('sl-card').attachShadow({ mode: 'open' });
+    card.innerHTML = '<button class="pay">Pay</button>';
+  });
+  
+  it('should detect shadow selectors', () => {
+    expect(utils.isShadowSelector('app-shell >>> p')).toBe(true);
+    expect(utils.isShadowSelector('div > p')).toBe(false);
+    expect(utils.isShadowSelector(null)).toBe(false);
+  });
+  
+  it('should split a selector into per-root segments', () => {
+    expect(utils.splitShadowSelector('app-shell >>> sl-card >>> button')).toEqual(['app-shell', 'sl-card', 'button']);
+    expect(utils.splitShadowSelector('div > p')).toEqual(['div > p']);
+  });
+  
+  it('should resolve elements through nested open shadow roots', () => {
+    const match = utils.querySelectorDeep('app-shell >>> sl-card >>> button.pay');
+    
+    expect(match).not.toBeNull();
+    expect(match.textContent).toBe('Pay');
+  });
+  
+  it('should behave like querySelectorAll for plain selectors', () => {
+    expect(utils.querySelectorAllDeep('p')).toHaveLength(1);
+    expect(utils.querySelectorAllDeep('p')[0].className).toBe('light');
+  });
+  
+  it('should return no matches when a host is missing', () => {
+    expect(utils.querySelectorDeep('missing-host >>> button')).toBeNull();
+    expect(utils.querySelectorAllDeep('')).toEqual([]);
+  });
+  
+  it('should throw on invalid CSS like querySelectorAll', () => {
+    expect(() => utils.querySelectorAllDeep('app-shell >>> [invalid')).toThrow();
+  });
+  
+  it('should list the shadow roots a selector descends through', () => {
+    const roots = utils.getShadowRootsForSelector('app-shell >>> sl-card >>> button');
+    
+    expect(roots).toHaveLength(2);
+    expect(roots[0].host.tagName).toBe('APP-SHELL');
+    expect(roots[1].host.tagName).toBe('SL-CARD');
+    expect(utils.getShadowRootsForSelector('div > p')).toEqual([]);
+  });
+});
+
 describe('validateSelectorPattern', () => {
   it('should accept __PAGE__ as valid selector', () => {
     const result = utils.validateSelectorPattern('__PAGE__');